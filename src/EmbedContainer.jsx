@@ -86,10 +86,17 @@ import {
   cleanAdfForRenderer,
   filterContentByToggles,
   substituteVariablesInAdf,
+  applyBlockOverridesInAdf,
   insertCustomParagraphsInAdf,
   insertInternalNotesInAdf,
   extractParagraphsFromAdf
 } from './utils/adf-rendering-utils';
+import { tagParagraphAnchors } from './utils/insertion-anchor-utils';
+import { mergeVariableScopes } from './utils/page-variable-utils';
+import { validateVariableValues } from './utils/variable-types';
+import { resolveVariableValues } from './utils/variable-resolution';
+import { substituteVariablesInText } from './utils/variable-filters';
+import { getUpdateSeverity } from './utils/source-release-utils';
 
 // Import React Query hooks
 import {
@@ -200,6 +207,7 @@ const App = () => {
   const [toggleStates, setToggleStates] = useState(config?.toggleStates || {});
   const [customInsertions, setCustomInsertions] = useState(config?.customInsertions || []);
   const [internalNotes, setInternalNotes] = useState(config?.internalNotes || []);
+  const [blockOverrides, setBlockOverrides] = useState(config?.blockOverrides || []);
   const [insertionType, setInsertionType] = useState('body'); // 'body' or 'note'
   const [selectedPosition, setSelectedPosition] = useState(null);
   const [customText, setCustomText] = useState('');
@@ -215,6 +223,8 @@ const App = () => {
   const [showDiffView, setShowDiffView] = useState(false);
   const [latestRenderedContent, setLatestRenderedContent] = useState(null);
   const [syncedContent, setSyncedContent] = useState(null); // Old Source ADF from last sync for diff comparison
+  const [sourceChangelog, setSourceChangelog] = useState([]); // Publish notes of the latest Source (staged publishing)
+  const [sourceVersionInfo, setSourceVersionInfo] = useState({ severity: null, sourceVersion: null, syncedVersion: null, staleReason: null });
 
   // Lazy loading - DISABLED for now due to Forge UI limitations
   // Forge UI components don't expose real DOM nodes, so IntersectionObserver doesn't work
@@ -272,12 +282,23 @@ const App = () => {
     setToggleStates,
     setCustomInsertions,
     setInternalNotes,
+    setBlockOverrides,
     setExcerptForViewMode
   );
 
   // Use excerptFromQuery when available (edit mode), fallback to manual state for view mode
   const excerpt = isEditing ? excerptFromQuery : excerptForViewMode;
 
+  // Page-level variables and the variable dictionaries fill in whatever this Embed
+  // doesn't set itself. Only the Embed's own values are edited and saved; previews
+  // render the merged values.
+  const inheritedScopes = variableValuesData?.inheritedScopes || [];
+  const pageToggleStates = variableValuesData?.pageToggleStates || {};
+  const {
+    variableValues: effectiveVariableValues,
+    toggleStates: effectiveToggleStates
+  } = mergeVariableScopes({ variableValues, toggleStates }, inheritedScopes);
+
   // ============================================================================
   // STATE MANAGEMENT DOCUMENTATION
   // ============================================================================
@@ -410,6 +431,12 @@ const App = () => {
         setInternalNotes(variableValuesData.internalNotes);
       }
     }
+    if (variableValuesData.blockOverrides && Array.isArray(variableValuesData.blockOverrides) && variableValuesData.blockOverrides.length > 0) {
+      const overridesChanged = JSON.stringify(blockOverrides) !== JSON.stringify(variableValuesData.blockOverrides);
+      if (overridesChanged) {
+        setBlockOverrides(variableValuesData.blockOverrides);
+      }
+    }
   }, [variableValuesData, isEditing, isLoadingVariableValues, effectiveLocalId]);
 
   // Reset the sync guard flag when switching to a new embed instance
@@ -489,7 +516,8 @@ const App = () => {
                           Object.keys(varsResultForLoading.variableValues || {}).length === 0 &&
                           Object.keys(varsResultForLoading.toggleStates || {}).length === 0 &&
                           (varsResultForLoading.customInsertions || []).length === 0 &&
-                          (varsResultForLoading.internalNotes || []).length === 0;
+                          (varsResultForLoading.internalNotes || []).length === 0 &&
+                          (varsResultForLoading.blockOverrides || []).length === 0;
 
         if (isSuccess && hasNoData && selectedExcerptId) {
           const pageId = context?.contentId || context?.extension?.content?.id;
@@ -519,6 +547,9 @@ const App = () => {
         const loadedInternalNotes = varsResultForLoading.success !== undefined
           ? (varsResultForLoading.success ? varsResultForLoading.internalNotes : [])
           : (varsResultForLoading.internalNotes || []);
+        const loadedBlockOverrides = varsResultForLoading.success !== undefined
+          ? (varsResultForLoading.success ? varsResultForLoading.blockOverrides : [])
+          : (varsResultForLoading.blockOverrides || []);
 
         // Auto-infer "client" variable from page title if it follows "Blueprint: [Client Name]" pattern
         let pageTitle = '';
@@ -535,8 +566,11 @@ const App = () => {
           }
         }
 
-        // Only auto-infer if client is undefined, null, or empty string (check both 'client' and 'Client' for case variations)
-        const clientValue = loadedVariableValues['client'] || loadedVariableValues['Client'] || '';
+        // Only auto-infer if client is undefined, null, or empty string (check both 'client' and 'Client' for case variations),
+        // here or in the page-level variables
+        const loadedPageValues = varsResultForLoading.pageVariableValues || {};
+        const clientValue = loadedVariableValues['client'] || loadedVariableValues['Client'] ||
+          loadedPageValues['client'] || loadedPageValues['Client'] || '';
         const clientIsEmpty = !clientValue || (typeof clientValue === 'string' && clientValue.trim() === '');
 
         // Check if title contains "Blueprint:" and extract client name
@@ -552,8 +586,13 @@ const App = () => {
         setToggleStates(loadedToggleStates);
         setCustomInsertions(loadedCustomInsertions || []);
         setInternalNotes(loadedInternalNotes || []);
+        setBlockOverrides(loadedBlockOverrides || []);
 
-        // NOW: Generate the fresh rendered content with loaded settings
+        // NOW: Generate the fresh rendered content with loaded settings (inherited values filled in)
+        const loadedEffective = mergeVariableScopes(
+          { variableValues: loadedVariableValues, toggleStates: loadedToggleStates },
+          varsResultForLoading.inheritedScopes || []
+        );
         let freshContent = excerptFromQuery.content;
         const isAdf = freshContent && typeof freshContent === 'object' && freshContent.type === 'doc';
 
@@ -571,8 +610,9 @@ const App = () => {
       
       // CURRENT (BUGGY) BEHAVIOR:
       // First filter toggles, then substitute variables, insert custom paragraphs, then internal notes
-      freshContent = filterContentByToggles(freshContent, loadedToggleStates);
-      freshContent = substituteVariablesInAdf(freshContent, loadedVariableValues);
+      freshContent = filterContentByToggles(tagParagraphAnchors(freshContent), loadedEffective.toggleStates);
+      freshContent = substituteVariablesInAdf(freshContent, loadedEffective.variableValues, excerptFromQuery.variables);
+      freshContent = applyBlockOverridesInAdf(freshContent, loadedBlockOverrides || []);
       freshContent = insertCustomParagraphsInAdf(freshContent, loadedCustomInsertions);
       freshContent = insertInternalNotesInAdf(freshContent, loadedInternalNotes);
         } else {
@@ -580,22 +620,15 @@ const App = () => {
           const toggleRegex = /\{\{toggle:([^}]+)\}\}([\s\S]*?)\{\{\/toggle:\1\}\}/g;
           freshContent = freshContent.replace(toggleRegex, (match, toggleName, content) => {
             const trimmedName = toggleName.trim();
-            return loadedToggleStates?.[trimmedName] === true ? content : '';
+            return loadedEffective.toggleStates?.[trimmedName] === true ? content : '';
           });
 
           // Strip any remaining markers
           freshContent = freshContent.replace(/\{\{toggle:[^}]+\}\}/g, '');
           freshContent = freshContent.replace(/\{\{\/toggle:[^}]+\}\}/g, '');
 
-          // Then substitute variables
-          const escapeRegex = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-          if (excerptFromQuery.variables) {
-            excerptFromQuery.variables.forEach(variable => {
-              const value = loadedVariableValues[variable.name] || `{{${variable.name}}}`;
-              const regex = new RegExp(`\\{\\{${escapeRegex(variable.name)}\\}\\}`, 'g');
-              freshContent = freshContent.replace(regex, value);
-            });
-          }
+          // Then substitute variables (with defaults and computed variables resolved)
+          freshContent = substituteVariablesInText(freshContent, resolveVariableValues(excerptFromQuery.variables, loadedEffective.variableValues));
         }
 
         setContent(freshContent);
@@ -622,7 +655,7 @@ const App = () => {
   // This is an ONGOING operation that runs whenever user configuration changes.
   //
   // Flow:
-  // 1. User edits: variableValues, toggleStates, customInsertions, or internalNotes
+  // 1. User edits: variableValues, toggleStates, customInsertions, internalNotes, or blockOverrides
   // 2. Effect triggers: Detects state change
   // 3. Debounce: Waits 500ms for user to finish typing/editing
   // 4. Save: Uses React Query mutation to save to storage
@@ -654,6 +687,13 @@ const App = () => {
       return;
     }
 
+    // Don't persist values that don't match their declared type (the server would reject them)
+    // The Write tab shows the inline error for each invalid field
+    if (!validateVariableValues(excerptFromQuery.variables, variableValues).valid) {
+      setSaveStatus('invalid');
+      return;
+    }
+
     setSaveStatus('saving');
     isSavingRef.current = true;
 
@@ -668,7 +708,8 @@ const App = () => {
           variableValues,
           toggleStates,
           customInsertions,
-          internalNotes
+          internalNotes,
+          blockOverrides
         }, {
           onSuccess: async () => {
             // Cache generation and saving is now handled server-side in saveVariableValues
@@ -717,7 +758,7 @@ const App = () => {
     // They change reference when queries are invalidated, causing infinite loops
     // We only check if they exist, we don't need to track their changes
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [variableValues, toggleStates, customInsertions, internalNotes, isEditing, effectiveLocalId, selectedExcerptId]);
+  }, [variableValues, toggleStates, customInsertions, internalNotes, blockOverrides, isEditing, effectiveLocalId, selectedExcerptId]);
 
   // Check for staleness in view mode immediately after render, with jitter for performance
   // Starts as soon as content is available, jitter spreads out requests across multiple Embeds
@@ -735,7 +776,7 @@ const App = () => {
       setIsCheckingStaleness(true); // Start checking
       try {
         // Get excerpt metadata to check contentHash
-        const excerptResult = await invoke('getExcerpt', { excerptId: selectedExcerptId });
+        const excerptResult = await invoke('getExcerpt', { excerptId: selectedExcerptId, resolveIncludes: true });
         if (!excerptResult.success || !excerptResult.excerpt) {
           setIsCheckingStaleness(false);
           return;
@@ -769,12 +810,24 @@ const App = () => {
           }
         }
 
-        setIsStale(stale);
+        // A variable dictionary value this Embed renders changed since it synced
+        const dictionaryChangedAt = varsResult.dictionaryChangedAt;
+        const dictionaryStale = !stale && !!dictionaryChangedAt && !!varsResult.lastSynced &&
+          new Date(dictionaryChangedAt) > new Date(varsResult.lastSynced);
+
+        setIsStale(stale || dictionaryStale);
         setSourceLastModified(excerptResult.excerpt.updatedAt);
         setIncludeLastSynced(varsResult.lastSynced);
+        setSourceChangelog(excerptResult.excerpt.changelog || []);
+        setSourceVersionInfo({
+          severity: getUpdateSeverity(excerptResult.excerpt.version, varsResult.syncedVersion, stale),
+          sourceVersion: excerptResult.excerpt.version || null,
+          syncedVersion: varsResult.syncedVersion || null,
+          staleReason: stale ? 'source' : (dictionaryStale ? 'dictionary' : null)
+        });
 
         // If stale, store both old and new content for enhanced diff view
-        if (stale) {
+        if (stale || dictionaryStale) {
           setLatestRenderedContent(excerptResult.excerpt.content); // New Source content
           setSyncedContent(varsResult.syncedContent || null); // Old Source content from last sync
 
@@ -823,7 +876,8 @@ const App = () => {
       variableValues: {},
       toggleStates: {},
       customInsertions: [],
-      internalNotes: []
+      internalNotes: [],
+      blockOverrides: []
     });
 
     // Track usage
@@ -925,8 +979,9 @@ const App = () => {
       
       // CURRENT (BUGGY) BEHAVIOR:
       // First filter toggles, substitute variables, insert custom paragraphs, then internal notes
-      previewContent = filterContentByToggles(previewContent, toggleStates);
-      previewContent = substituteVariablesInAdf(previewContent, variableValues);
+      previewContent = filterContentByToggles(tagParagraphAnchors(previewContent), effectiveToggleStates);
+      previewContent = substituteVariablesInAdf(previewContent, effectiveVariableValues, excerpt.variables);
+      previewContent = applyBlockOverridesInAdf(previewContent, blockOverrides);
       previewContent = insertCustomParagraphsInAdf(previewContent, customInsertions);
       previewContent = insertInternalNotesInAdf(previewContent, internalNotes);
       return cleanAdfForRenderer(previewContent);
@@ -935,19 +990,15 @@ const App = () => {
       const toggleRegex = /\{\{toggle:([^}]+)\}\}([\s\S]*?)\{\{\/toggle:\1\}\}/g;
       previewContent = previewContent.replace(toggleRegex, (match, toggleName, content) => {
         const trimmedName = toggleName.trim();
-        return toggleStates?.[trimmedName] === true ? content : '';
+        return effectiveToggleStates?.[trimmedName] === true ? content : '';
       });
 
       // Strip any remaining markers (in case regex didn't match full pattern)
       previewContent = previewContent.replace(/\{\{toggle:[^}]+\}\}/g, '');
       previewContent = previewContent.replace(/\{\{\/toggle:[^}]+\}\}/g, '');
 
-      // Then substitute variables
-      excerpt.variables?.forEach(variable => {
-        const value = variableValues[variable.name] || `{{${variable.name}}}`;
-        const regex = new RegExp(`\\{\\{${variable.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\}\\}`, 'g');
-        previewContent = previewContent.replace(regex, value);
-      });
+      // Then substitute variables (with defaults and computed variables resolved)
+      previewContent = substituteVariablesInText(previewContent, resolveVariableValues(excerpt.variables, effectiveVariableValues));
       return previewContent;
     }
   };
@@ -980,8 +1031,9 @@ const App = () => {
       
       // CURRENT (BUGGY) BEHAVIOR:
       // Filter toggles (removes disabled content) but DON'T strip markers
-      previewContent = filterContentByToggles(previewContent, toggleStates);
-      previewContent = substituteVariablesInAdf(previewContent, variableValues);
+      previewContent = filterContentByToggles(tagParagraphAnchors(previewContent), effectiveToggleStates);
+      previewContent = substituteVariablesInAdf(previewContent, effectiveVariableValues, excerpt.variables);
+      previewContent = applyBlockOverridesInAdf(previewContent, blockOverrides);
       previewContent = insertCustomParagraphsInAdf(previewContent, customInsertions);
       previewContent = insertInternalNotesInAdf(previewContent, internalNotes);
       return cleanAdfForRenderer(previewContent);
@@ -991,15 +1043,11 @@ const App = () => {
       previewContent = previewContent.replace(toggleRegex, (match, toggleName, content) => {
         const trimmedName = toggleName.trim();
         // Keep full match (including markers) if enabled, remove everything if disabled
-        return toggleStates?.[trimmedName] === true ? match : '';
+        return effectiveToggleStates?.[trimmedName] === true ? match : '';
       });
 
-      // Then substitute variables
-      excerpt.variables?.forEach(variable => {
-        const value = variableValues[variable.name] || `{{${variable.name}}}`;
-        const regex = new RegExp(`\\{\\{${variable.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\}\\}`, 'g');
-        previewContent = previewContent.replace(regex, value);
-      });
+      // Then substitute variables (with defaults and computed variables resolved)
+      previewContent = substituteVariablesInText(previewContent, resolveVariableValues(excerpt.variables, effectiveVariableValues));
       return previewContent;
     }
   };
@@ -1014,7 +1062,7 @@ const App = () => {
 
     try {
       // Fetch fresh excerpt
-      const excerptResult = await invoke('getExcerpt', { excerptId: selectedExcerptId });
+      const excerptResult = await invoke('getExcerpt', { excerptId: selectedExcerptId, resolveIncludes: true });
       if (!excerptResult.success || !excerptResult.excerpt) {
         alert('Failed to fetch latest Blueprint Standard content');
         return;
@@ -1023,55 +1071,18 @@ const App = () => {
       // Update the excerpt state so the new data (including documentationLinks) is available
       setExcerptForViewMode(excerptResult.excerpt);
 
-      // Get current variable values, toggle states, custom insertions, and internal notes
-      const varsResult = await invoke('getVariableValues', { localId: effectiveLocalId });
-      const currentVariableValues = varsResult.success ? varsResult.variableValues : {};
-      const currentToggleStates = varsResult.success ? varsResult.toggleStates : {};
-      const currentCustomInsertions = varsResult.success ? varsResult.customInsertions : [];
-      const currentInternalNotes = varsResult.success ? varsResult.internalNotes : [];
-
-      // Generate fresh content with current settings
-      let freshContent = excerptResult.excerpt.content;
-      const isAdf = freshContent && typeof freshContent === 'object' && freshContent.type === 'doc';
-
-      if (isAdf) {
-        freshContent = filterContentByToggles(freshContent, currentToggleStates);
-        freshContent = substituteVariablesInAdf(freshContent, currentVariableValues);
-        freshContent = insertCustomParagraphsInAdf(freshContent, currentCustomInsertions);
-        freshContent = insertInternalNotesInAdf(freshContent, currentInternalNotes);
-      } else {
-        // For plain text, filter toggles first
-        const toggleRegex = /\{\{toggle:([^}]+)\}\}([\s\S]*?)\{\{\/toggle:\1\}\}/g;
-        freshContent = freshContent.replace(toggleRegex, (match, toggleName, content) => {
-          const trimmedName = toggleName.trim();
-          return currentToggleStates?.[trimmedName] === true ? content : '';
-        });
-
-        // Strip any remaining markers
-        freshContent = freshContent.replace(/\{\{toggle:[^}]+\}\}/g, '');
-        freshContent = freshContent.replace(/\{\{\/toggle:[^}]+\}\}/g, '');
-
-        // Substitute variables
-        const escapeRegex = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        if (excerptResult.excerpt.variables) {
-          excerptResult.excerpt.variables.forEach(variable => {
-            const value = currentVariableValues[variable.name] || `{{${variable.name}}}`;
-            const regex = new RegExp(`\\{\\{${escapeRegex(variable.name)}\\}\\}`, 'g');
-            freshContent = freshContent.replace(regex, value);
-          });
-        }
+      // Render with current settings and cache with the new syncedContentHash and syncedContent
+      const cacheResult = await invoke('saveCachedContent', {
+        localId: effectiveLocalId,
+        excerptId: selectedExcerptId
+      });
+      if (!cacheResult.success) {
+        alert('Failed to update: ' + (cacheResult.error || 'Unknown error'));
+        return;
       }
 
       // Update the displayed content
-      setContent(freshContent);
-
-      // Cache the updated content with new syncedContentHash and syncedContent
-      await invoke('saveCachedContent', {
-        localId: effectiveLocalId,
-        renderedContent: freshContent,
-        syncedContentHash: excerptResult.excerpt.contentHash,
-        syncedContent: excerptResult.excerpt.content
-      });
+      setContent(cacheResult.renderedContent);
 
       // Clear staleness flags
       setIsStale(false);
@@ -1102,10 +1113,14 @@ const App = () => {
         setVariableValues={setVariableValues}
         toggleStates={toggleStates}
         setToggleStates={setToggleStates}
+        inheritedScopes={inheritedScopes}
+        pageToggleStates={pageToggleStates}
         customInsertions={customInsertions}
         setCustomInsertions={setCustomInsertions}
         internalNotes={internalNotes}
         setInternalNotes={setInternalNotes}
+        blockOverrides={blockOverrides}
+        setBlockOverrides={setBlockOverrides}
         insertionType={insertionType}
         setInsertionType={setInsertionType}
         selectedPosition={selectedPosition}
@@ -1130,10 +1145,18 @@ const App = () => {
       isUpdating={isUpdating}
       syncedContent={syncedContent}
       latestRenderedContent={latestRenderedContent}
-      variableValues={variableValues}
-      toggleStates={toggleStates}
+      variableValues={effectiveVariableValues}
+      toggleStates={effectiveToggleStates}
       excerpt={excerpt}
       internalNotes={internalNotes}
+      customInsertions={customInsertions}
+      blockOverrides={variableValuesData?.blockOverrides || blockOverrides}
+      changelog={sourceChangelog}
+      updateSeverity={sourceVersionInfo.severity}
+      sourceVersion={sourceVersionInfo.sourceVersion}
+      syncedVersion={sourceVersionInfo.syncedVersion}
+      staleReason={sourceVersionInfo.staleReason}
+      lastSynced={includeLastSynced}
       redlineStatus={variableValuesData?.redlineStatus}
       approvedBy={variableValuesData?.approvedBy}
       approvedAt={variableValuesData?.approvedAt}
@@ -43,6 +43,8 @@ import {
   useExcerptsQuery,
   useCategoriesQuery,
   useSaveCategoriesMutation,
+  useCategoryOwnersQuery,
+  useRenameCategoryMutation,
   useExcerptUsageQuery,
   useDeleteExcerptMutation,
   useCheckAllSourcesMutation,
@@ -50,6 +52,10 @@ import {
   usePushUpdatesToPageMutation,
   usePushUpdatesToAllMutation,
   useAllUsageCountsQuery,
+  useAllStaleCountsQuery,
+  useSavedSearchesQuery,
+  useSaveSavedSearchMutation,
+  useDeleteSavedSearchMutation,
   useCreateTestPageMutation
 } from './hooks/admin-hooks';
 
@@ -64,6 +70,15 @@ import {
   calculateStalenessStatus
 } from './utils/admin-utils';
 import { APP_VERSION } from './utils/version';
+import { getUpdateSeverity } from './utils/source-release-utils';
+import {
+  normalizeCategoryPath,
+  isInCategory,
+  renameCategoryPath,
+  withCategoryAncestors,
+  CATEGORY_SEPARATOR
+} from './utils/category-utils';
+import { parseSearchQuery } from './utils/source-search-utils';
 
 // Import components
 import { MigrationModal } from './components/MigrationModal';
@@ -73,9 +88,12 @@ import { ExcerptListSidebar } from './components/admin/ExcerptListSidebar';
 import { StalenessBadge } from './components/admin/StalenessBadge';
 import { ExcerptPreviewModal } from './components/admin/ExcerptPreviewModal';
 import { CategoryManager } from './components/admin/CategoryManager';
+import { VariableDictionaryModal } from './components/admin/VariableDictionaryModal';
+import { ContentSearchModal } from './components/admin/ContentSearchModal';
 import { CheckAllProgressBar } from './components/admin/CheckAllProgressBar';
 import { AdminToolbar } from './components/admin/AdminToolbar';
 import { OrphanedItemsSection } from './components/admin/OrphanedItemsSection';
+import { OrphanedInsertionsSection } from './components/admin/OrphanedInsertionsSection';
 import { EmergencyRecoveryModal } from './components/admin/EmergencyRecoveryModal';
 import { VersionHistoryModal } from './components/admin/VersionHistoryModal';
 import { StorageUsageFooter } from './components/admin/StorageUsageFooter';
@@ -153,9 +171,11 @@ const App = () => {
   const {
     data: categories = ['General', 'Pricing', 'Technical', 'Legal', 'Marketing']
   } = useCategoriesQuery();
+  const { data: categoryOwners = {} } = useCategoryOwnersQuery();
 
   // Mutations
   const saveCategoriesMutation = useSaveCategoriesMutation();
+  const renameCategoryMutation = useRenameCategoryMutation();
   const deleteExcerptMutation = useDeleteExcerptMutation();
   const checkAllSourcesMutation = useCheckAllSourcesMutation();
   const checkAllIncludesMutation = useCheckAllIncludesMutation();
@@ -166,6 +186,11 @@ const App = () => {
   // Fetch all usage counts (for sorting)
   const { data: usageCounts = {} } = useAllUsageCountsQuery();
 
+  // Saved Source searches (sidebar)
+  const { data: savedSearches = [] } = useSavedSearchesQuery();
+  const saveSearchMutation = useSaveSavedSearchMutation();
+  const deleteSavedSearchMutation = useDeleteSavedSearchMutation();
+
   // ============================================================================
   // STORE ADMIN URL ON FIRST LOAD
   // ============================================================================
@@ -202,6 +227,10 @@ const App = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [categoryFilter, setCategoryFilter] = useState('All');
   const [sortBy, setSortBy] = useState('name-asc');
+
+  // Stale Embed counts are only fetched while the search filters on them
+  const searchUsesStaleness = parseSearchQuery(searchTerm).filters.some(filter => filter.key === 'is' && filter.value === 'stale');
+  const { data: staleCounts = {} } = useAllStaleCountsQuery(searchUsesStaleness);
   const [selectedExcerpt, setSelectedExcerpt] = useState(null);
   const [showPreviewModal, setShowPreviewModal] = useState(null);
   const [selectedExcerptForDetails, setSelectedExcerptForDetails] = useState(null);
@@ -245,6 +274,12 @@ const App = () => {
   const [editingCategory, setEditingCategory] = useState(null);
   const [newCategoryName, setNewCategoryName] = useState('');
 
+  // Variable dictionaries UI
+  const [isVariableDictionaryModalOpen, setIsVariableDictionaryModalOpen] = useState(false);
+
+  // Full-text search UI
+  const [isContentSearchOpen, setIsContentSearchOpen] = useState(false);
+
   // Migration Modal UI
   const [isMigrationModalOpen, setIsMigrationModalOpen] = useState(false);
 
@@ -257,6 +292,7 @@ const App = () => {
   const [versionHistoryEmbedUuid, setVersionHistoryEmbedUuid] = useState(null);
   const [isVersionHistoryOpen, setIsVersionHistoryOpen] = useState(false);
   const [versionHistoryUuid, setVersionHistoryUuid] = useState(null);
+  const [versionHistorySource, setVersionHistorySource] = useState(null); // { id, name } when showing a Source's history
 
   // Storage usage state
   const [storageUsage, setStorageUsage] = useState(null);
@@ -466,8 +502,14 @@ const App = () => {
 
   // Category management handlers (using React Query mutation)
   const handleDeleteCategory = (categoryName) => {
+    // Subcategories have to be moved or deleted first
+    if (categories.some(c => c !== categoryName && isInCategory(c, categoryName))) {
+      alert(`Cannot delete category "${categoryName}" while it has subcategories. Move or delete them first.`);
+      return;
+    }
+
     // Check if any excerpts use this category
-    const excerptsUsingCategory = excerpts.filter(e => (e.category || 'General') === categoryName);
+    const excerptsUsingCategory = excerpts.filter(e => isInCategory(e.category || 'General', categoryName));
 
     if (excerptsUsingCategory.length > 0) {
       const excerptNames = excerptsUsingCategory.map(e => e.name).join(', ');
@@ -482,23 +524,31 @@ const App = () => {
     }
   };
 
+  // Renaming and moving are the same thing: give the category a new path.
+  // Subcategories and every Source filed under it follow.
   const handleEditCategory = (oldName) => {
-    const newName = prompt(`Enter new name for category "${oldName}":`, oldName);
-    if (newName && newName.trim() && newName !== oldName) {
-      const trimmedName = newName.trim();
-
+    const newName = prompt(`Enter the new name for category "${oldName}".\nUse "${CATEGORY_SEPARATOR.trim()}" between levels to move it (e.g. "Technical${CATEGORY_SEPARATOR}Integrations"):`, oldName);
+    const newPath = normalizeCategoryPath(newName);
+    if (newPath && newPath !== oldName) {
       // Check if category already exists
-      if (categories.includes(trimmedName)) {
-        alert(`Category "${trimmedName}" already exists`);
+      if (categories.includes(newPath)) {
+        alert(`Category "${newPath}" already exists`);
+        return;
+      }
+      if (isInCategory(newPath, oldName)) {
+        alert(`Category "${oldName}" can't be moved inside itself`);
         return;
       }
 
-      // Update category in the list
-      const updated = categories.map(c => c === oldName ? trimmedName : c);
-      saveCategoriesMutation.mutate(updated);
-
-      // Note: In a full implementation, you'd also update all excerpts using this category
-      alert(`Category renamed from "${oldName}" to "${trimmedName}". Note: Existing Blueprint Standards still use the old category name.`);
+      renameCategoryMutation.mutate({ from: oldName, to: newPath }, {
+        onSuccess: (result) => {
+          if (isInCategory(categoryFilter, oldName)) {
+            setCategoryFilter(renameCategoryPath(categoryFilter, oldName, newPath));
+          }
+          alert(`Category "${oldName}" is now "${newPath}". ${result.updatedSources} Blueprint Standard(s) updated.`);
+        },
+        onError: (error) => alert(`Failed to rename category: ${error.message}`)
+      });
     }
   };
 
@@ -508,19 +558,53 @@ const App = () => {
       return;
     }
 
-    const trimmedName = newCategoryName.trim();
+    // "Parent > Child" adds a subcategory (and any missing parents)
+    const trimmedName = normalizeCategoryPath(newCategoryName);
 
     if (categories.includes(trimmedName)) {
       alert(`Category "${trimmedName}" already exists`);
       return;
     }
 
-    const updated = [...categories, trimmedName];
+    const updated = withCategoryAncestors([...categories, trimmedName]);
     saveCategoriesMutation.mutate(updated);
     setNewCategoryName('');
     alert(`Category "${trimmedName}" added successfully`);
   };
 
+  // Saved searches restore the query, category filter and sort order
+  const handleApplySavedSearch = (search) => {
+    setSearchTerm(search.query || '');
+    setCategoryFilter(search.categoryFilter || 'All');
+    if (search.sortBy) {
+      setSortBy(search.sortBy);
+    }
+  };
+
+  const handleSaveSearch = () => {
+    const activeSearch = savedSearches.find(search =>
+      search.query === searchTerm.trim() && (search.categoryFilter || 'All') === categoryFilter
+    );
+    const name = prompt('Name this search (saving under an existing name replaces it):', activeSearch?.name || '');
+    if (!name || !name.trim()) {
+      return;
+    }
+
+    saveSearchMutation.mutate({ name: name.trim(), query: searchTerm, categoryFilter, sortBy }, {
+      onError: (error) => alert(`Failed to save search: ${error.message}`)
+    });
+  };
+
+  const handleDeleteSavedSearch = (search) => {
+    if (!confirm(`Delete the saved search "${search.name}"?`)) {
+      return;
+    }
+
+    deleteSavedSearchMutation.mutate(search.id, {
+      onError: (error) => alert(`Failed to delete saved search: ${error.message}`)
+    });
+  };
+
   const handleMoveCategoryToPosition = (categoryName, targetPosition) => {
     console.log(`[ADMIN-PAGE] ======================================`);
     console.log(`[ADMIN-PAGE] handleMoveCategoryToPosition called`);
@@ -1280,7 +1364,7 @@ const App = () => {
   }
 
   // Filter and sort excerpts using utility functions
-  const filteredExcerpts = filterExcerpts(excerpts, searchTerm, categoryFilter);
+  const filteredExcerpts = filterExcerpts(excerpts, searchTerm, categoryFilter, { usageCounts, staleCounts });
   const sortedExcerpts = sortExcerpts(filteredExcerpts, sortBy, usageCounts);
 
   // Check if we're in development environment
@@ -1395,6 +1479,8 @@ const App = () => {
                     onOpenMigrationModal={() => setIsMigrationModalOpen(true)}
                     showMigrationTools={SHOW_MIGRATION_TOOLS}
                     onOpenCategoryModal={() => setIsCategoryModalOpen(true)}
+                    onOpenVariableDictionaries={() => setIsVariableDictionaryModalOpen(true)}
+                    onOpenContentSearch={() => setIsContentSearchOpen(true)}
                     onCheckAllSources={handleCheckAllSources}
                     isCheckingAllSources={checkAllSourcesMutation.isPending}
                     onCheckAllIncludes={handleCheckAllIncludes}
@@ -1440,6 +1526,11 @@ const App = () => {
           sortBy={sortBy}
           setSortBy={setSortBy}
           categories={categories}
+          excerpts={excerpts}
+          savedSearches={savedSearches}
+          onApplySavedSearch={handleApplySavedSearch}
+          onSaveSearch={handleSaveSearch}
+          onDeleteSavedSearch={handleDeleteSavedSearch}
           selectedExcerptForDetails={selectedExcerptForDetails}
           setSelectedExcerptForDetails={setSelectedExcerptForDetails}
           xcss={xcss({
@@ -1634,6 +1725,15 @@ const App = () => {
                         >
                           Edit Source Metadata
                         </Button>
+                        <Button
+                          appearance="subtle"
+                          onClick={() => {
+                            setVersionHistorySource({ id: selectedExcerptForDetails.id, name: selectedExcerptForDetails.name });
+                            setIsVersionHistoryOpen(true);
+                          }}
+                        >
+                          Version History
+                        </Button>
                         
                         {/* Hidden but wired up for future use */}
                         {/* <Button
@@ -1826,28 +1926,36 @@ const App = () => {
                         const excerptLastModified = new Date(selectedExcerptForDetails.updatedAt || 0);
                         const includeLastSynced = ref.lastSynced ? new Date(ref.lastSynced) : new Date(0);
                         const isStale = excerptLastModified > includeLastSynced;
+                        const updateSeverity = getUpdateSeverity(selectedExcerptForDetails.version, ref.syncedVersion, isStale);
 
                         const rowCells = [
                           {
                             key: 'page',
                             content: (
-                              <Button
-                                appearance="link"
-                                onClick={async () => {
-                                  try {
-                                    let url = `/wiki/pages/viewpage.action?pageId=${ref.pageId}`;
-                                    if (ref.headingAnchor) {
-                                      url += `#${ref.headingAnchor}`;
+                              <Stack space="space.025">
+                                <Button
+                                  appearance="link"
+                                  onClick={async () => {
+                                    try {
+                                      let url = `/wiki/pages/viewpage.action?pageId=${ref.pageId}`;
+                                      if (ref.headingAnchor) {
+                                        url += `#${ref.headingAnchor}`;
+                                      }
+                                      await router.open(url);
+                                    } catch (err) {
+                                      console.error('Navigation error:', err);
                                     }
-                                    await router.open(url);
-                                  } catch (err) {
-                                    console.error('Navigation error:', err);
-                                  }
-                                }}
-                                iconAfter={() => <Icon glyph="shortcut" label="Opens in new tab" />}
-                              >
-                                {String(ref.pageTitle || 'Unknown Page')}
-                              </Button>
+                                  }}
+                                  iconAfter={() => <Icon glyph="shortcut" label="Opens in new tab" />}
+                                >
+                                  {String(ref.pageTitle || 'Unknown Page')}
+                                </Button>
+                                {Array.isArray(ref.includedVia) && ref.includedVia.length > 0 && (
+                                  <Text size="small" color="color.text.subtlest">
+                                    Via nested Source: {ref.includedVia.join(' → ')}
+                                  </Text>
+                                )}
+                              </Stack>
                             )
                           },
                           // Status cell (second column)
@@ -1859,6 +1967,9 @@ const App = () => {
                                   isStale={isStale}
                                   sourceLastModified={excerptLastModified}
                                   embedLastSynced={includeLastSynced}
+                                  severity={updateSeverity}
+                                  sourceVersion={selectedExcerptForDetails.version}
+                                  syncedVersion={ref.syncedVersion}
                                 />
                               </Box>
                             )
@@ -2016,6 +2127,9 @@ const App = () => {
           cardStyles={cardStyles}
         />
       )}
+      {sortedExcerpts.length > 0 && (
+        <OrphanedInsertionsSection cardStyles={cardStyles} />
+      )}
 
       <ModalTransition>
         {isModalOpen && selectedExcerpt && (
@@ -2412,6 +2526,9 @@ const App = () => {
                                           isStale={isStale}
                                           sourceLastModified={excerptLastModified}
                                           embedLastSynced={includeLastSynced}
+                                          severity={getUpdateSeverity(selectedExcerpt.version, ref.syncedVersion, isStale)}
+                                          sourceVersion={selectedExcerpt.version}
+                                          syncedVersion={ref.syncedVersion}
                                         />
                                       )
                                     });
@@ -2514,6 +2631,7 @@ const App = () => {
         isOpen={isCategoryModalOpen}
         onClose={() => setIsCategoryModalOpen(false)}
         categories={categories}
+        owners={categoryOwners}
         excerpts={excerpts}
         saveCategoriesMutation={saveCategoriesMutation}
         newCategoryName={newCategoryName}
@@ -2524,6 +2642,24 @@ const App = () => {
         onMoveCategoryToPosition={handleMoveCategoryToPosition}
       />
 
+      {/* Variable Dictionaries Modal */}
+      <VariableDictionaryModal
+        isOpen={isVariableDictionaryModalOpen}
+        onClose={() => setIsVariableDictionaryModalOpen(false)}
+      />
+
+      {/* Full-Text Search Modal */}
+      <ContentSearchModal
+        isOpen={isContentSearchOpen}
+        onClose={() => setIsContentSearchOpen(false)}
+        onSelectSource={(excerptId) => {
+          const excerpt = excerpts.find(e => e.id === excerptId);
+          if (excerpt) {
+            setSelectedExcerptForDetails(excerpt);
+          }
+        }}
+      />
+
       {/* Preview Content Modal */}
       <ExcerptPreviewModal
         showPreviewModal={showPreviewModal}
@@ -2568,8 +2704,11 @@ const App = () => {
         onClose={() => {
           setIsVersionHistoryOpen(false);
           setVersionHistoryUuid(null); // Reset UUID when closing
+          setVersionHistorySource(null);
         }}
         embedUuid={versionHistoryUuid}
+        excerptId={versionHistorySource?.id}
+        sourceName={versionHistorySource?.name}
       />
 
       {/* Storage Usage Footer */}
@@ -5,16 +5,27 @@
  * and internal notes at specific positions within the rendered content.
  *
  * Features:
- * - Add custom paragraphs (visible to clients)
+ * - Add custom content (visible to clients) - rich text written as lightweight
+ *   markdown (lists, bold, links, small tables...) with a live preview
  * - Add internal notes (visible only internally, marked with 🔏)
  * - Position selection relative to source paragraphs
  * - Toggle between paragraph and note mode
  * - View and delete existing custom content
  * - Prevents multiple notes at same position
  * - Auto-saving via parent component
+ *
+ * Insertions and notes are anchored to the paragraph they follow (see
+ * utils/insertion-anchor-utils.js), so Source edits don't move them. Ones that
+ * couldn't be re-anchored after a Source change are flagged here so the author
+ * can pick a new paragraph or delete them.
+ *
+ * Paragraph overrides replace one Source paragraph with this Embed's own wording.
+ * When the Source later edits an overridden paragraph the override is flagged
+ * as possibly outdated; the author compares the changes and either keeps the
+ * override or goes back to the Source text.
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import {
   Text,
   Strong,
@@ -24,19 +35,26 @@ import {
   Select,
   Lozenge,
   Inline,
+  Stack,
   Tooltip,
   Icon,
   DynamicTable,
   Box,
+  SectionMessage,
+  AdfRenderer,
   xcss
 } from '@forge/react';
 import { StableTextfield } from './common/StableTextfield';
+import { StableTextArea } from './common/StableTextArea';
+import { createRichInsertionContent, isRichInsertion } from '../utils/rich-text-utils';
 
 import {
-  filterContentByToggles,
-  substituteVariablesInAdf,
-  extractParagraphsFromAdf
-} from '../utils/adf-rendering-utils';
+  getAnchoredParagraphs,
+  createInsertionAnchor,
+  findItemParagraph,
+  rebaseBlockOverride
+} from '../utils/insertion-anchor-utils';
+import { OverrideConflictDiff } from './EnhancedDiffView';
 
 // Style for full-width variable table container
 const variableBoxStyle = xcss({
@@ -47,6 +65,131 @@ const variableBoxStyle = xcss({
   paddingInline: 'space.100'
 });
 
+// Markdown supported in custom content (see utils/rich-text-utils.js)
+const MARKDOWN_HINT = '**bold**, *italic*, [link](https://...), "- " bullets, "1. " numbered lists, "| a | b |" table rows. Blank line = new paragraph.';
+
+/**
+ * Paragraph overrides: pick a Source paragraph, rewrite it, and manage existing
+ * overrides (including ones the Source has changed since)
+ */
+const ParagraphOverridesSection = ({ paragraphs, blockOverrides, setBlockOverrides }) => {
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const [overrideText, setOverrideText] = useState('');
+  const [expandedIndex, setExpandedIndex] = useState(null);
+
+  const paragraphOptions = paragraphs.map(p => ({
+    label: `Paragraph ${p.index + 1}: "${p.lastSentence}"`,
+    value: p.index
+  }));
+  const selectedParagraph = paragraphs.find(p => p.index === selectedIndex);
+  const newOverrideContent = createRichInsertionContent(overrideText);
+  const hasChanges = !!newOverrideContent.text && newOverrideContent.text !== selectedParagraph?.fullText;
+
+  const saveOverride = () => {
+    const override = {
+      position: selectedParagraph.index,
+      ...newOverrideContent,
+      anchor: createInsertionAnchor(selectedParagraph),
+      baseText: selectedParagraph.fullText
+    };
+    // One override per paragraph - rewriting an overridden paragraph replaces its override
+    const others = blockOverrides.filter(existing => findItemParagraph(paragraphs, existing) !== selectedParagraph);
+    setBlockOverrides([...others, override]);
+    setSelectedIndex(null);
+    setOverrideText('');
+  };
+
+  const removeOverride = (index) => {
+    setBlockOverrides(blockOverrides.filter((_, i) => i !== index));
+    setExpandedIndex(null);
+  };
+
+  const keepOverride = (index) => {
+    setBlockOverrides(blockOverrides.map((existing, i) => (i === index ? rebaseBlockOverride(existing) : existing)));
+    setExpandedIndex(null);
+  };
+
+  return (
+    <Stack space="space.150">
+      <Text><Strong>✎ Paragraph overrides</Strong></Text>
+      <Text size="small" color="color.text.subtlest">
+        Reword a Source paragraph for this Embed only. The Source wording is replaced here and marked with ✎.
+      </Text>
+      <Select
+        options={paragraphOptions}
+        value={paragraphOptions.find(opt => opt.value === selectedIndex) || null}
+        placeholder="Paragraph to override..."
+        onChange={(e) => {
+          const paragraph = paragraphs.find(p => p.index === e?.value);
+          const existing = blockOverrides.find(o => findItemParagraph(paragraphs, o) === paragraph);
+          setSelectedIndex(e?.value ?? null);
+          setOverrideText(existing ? existing.text : (paragraph?.fullText || ''));
+        }}
+      />
+      {selectedParagraph && (
+        <Stack space="space.100">
+          <StableTextArea
+            stableKey="block-override-text"
+            value={overrideText}
+            onChange={(e) => setOverrideText(e.target.value)}
+          />
+          <Text size="small" color="color.text.subtlest">{MARKDOWN_HINT}</Text>
+          {hasChanges && <AdfRenderer document={newOverrideContent.adf} />}
+          <Inline space="space.100">
+            <Button appearance="primary" isDisabled={!hasChanges} onClick={saveOverride}>
+              Override paragraph
+            </Button>
+            <Button appearance="subtle" onClick={() => { setSelectedIndex(null); setOverrideText(''); }}>
+              Cancel
+            </Button>
+          </Inline>
+        </Stack>
+      )}
+
+      {blockOverrides.map((override, index) => {
+        const anchorText = override.anchor?.text || override.baseText || '';
+        return (
+          <Stack key={override.anchor?.fingerprint || index} space="space.050">
+            <Inline space="space.100" alignBlock="center" spread="space-between">
+              <Inline space="space.075" alignBlock="center">
+                {override.orphaned && <Lozenge appearance="removed">Paragraph removed</Lozenge>}
+                {override.conflict && !override.orphaned && <Lozenge appearance="moved">Source changed</Lozenge>}
+                <Text size="small">
+                  <Em>{override.orphaned ? 'Replaced' : 'Replaces'}: "{anchorText.substring(0, 40)}{anchorText.length > 40 ? '...' : ''}"</Em>
+                </Text>
+              </Inline>
+              <Button appearance="subtle" onClick={() => removeOverride(index)}>
+                <Icon glyph="trash" size="small" label="Remove override" />
+              </Button>
+            </Inline>
+            {isRichInsertion(override)
+              ? <AdfRenderer document={override.adf} />
+              : <Text>{override.text}</Text>}
+            {override.conflict && !override.orphaned && (
+              <Stack space="space.100">
+                <Inline space="space.100">
+                  <Button appearance="subtle" onClick={() => setExpandedIndex(expandedIndex === index ? null : index)}>
+                    {expandedIndex === index ? 'Hide' : 'Show'} changes
+                  </Button>
+                  <Button onClick={() => keepOverride(index)}>Keep my override</Button>
+                  <Button onClick={() => removeOverride(index)}>Use Source text</Button>
+                </Inline>
+                {expandedIndex === index && (
+                  <OverrideConflictDiff
+                    baseText={override.baseText || ''}
+                    sourceText={override.anchor?.text || ''}
+                    overrideText={override.text}
+                  />
+                )}
+              </Stack>
+            )}
+          </Stack>
+        );
+      })}
+    </Stack>
+  );
+};
+
 /**
  * CustomInsertionsPanel Component
  *
@@ -58,6 +201,8 @@ const variableBoxStyle = xcss({
  * @param {Function} props.setCustomInsertions - Function to update custom insertions
  * @param {Array} props.internalNotes - Array of internal notes
  * @param {Function} props.setInternalNotes - Function to update internal notes
+ * @param {Array} props.blockOverrides - Array of paragraph overrides
+ * @param {Function} props.setBlockOverrides - Function to update paragraph overrides
  * @param {string} props.insertionType - Current insertion type ('body' or 'note')
  * @param {Function} props.setInsertionType - Function to update insertion type
  * @param {number|null} props.selectedPosition - Currently selected position for insertion
@@ -74,6 +219,8 @@ export const CustomInsertionsPanel = ({
   setCustomInsertions,
   internalNotes,
   setInternalNotes,
+  blockOverrides = [],
+  setBlockOverrides,
   insertionType,
   setInsertionType,
   selectedPosition,
@@ -82,25 +229,14 @@ export const CustomInsertionsPanel = ({
   setCustomText
 }) => {
   // Extract paragraphs from ORIGINAL excerpt content only (not preview with custom insertions)
-  // This ensures users can only position custom content relative to source content
-  let originalContent = excerpt?.content;
-  if (originalContent && typeof originalContent === 'object' && originalContent.type === 'doc') {
-    // TODO: Fix for GitHub issue #2 - Free Write paragraph insertion position with enabled toggles
-    // FIX: Extract paragraphs from ORIGINAL content (before toggle filtering) so paragraph indices
-    // match the original structure. This allows insertions to be placed inside toggle blocks.
-    // Only apply variable substitution for display purposes, but don't filter toggles yet.
-    // 
-    // COMMENTED OUT FIX (to be tested):
-    // originalContent = substituteVariablesInAdf(originalContent, variableValues);
-    // // Don't filter toggles here - extract from original structure
-    
-    // CURRENT (BUGGY) BEHAVIOR:
-    // Apply variable substitution and toggle filtering to show accurate text
-    originalContent = filterContentByToggles(originalContent, toggleStates);
-    originalContent = substituteVariablesInAdf(originalContent, variableValues);
-  }
-
-  const paragraphs = extractParagraphsFromAdf(originalContent);
+  // This ensures users can only position custom content relative to source content.
+  // TODO: Fix for GitHub issue #2 - paragraphs come from the toggle-filtered content, so
+  // insertions can't be placed inside disabled toggle blocks.
+  const paragraphs = getAnchoredParagraphs(excerpt?.content, {
+    variableValues,
+    toggleStates,
+    variables: excerpt?.variables
+  });
 
   // If no paragraphs available, show empty state
   if (paragraphs.length === 0) {
@@ -113,27 +249,55 @@ export const CustomInsertionsPanel = ({
     value: p.index
   }));
 
-  // Combine existing content and sort by position
+  // Combine existing content and sort by position (orphaned items last)
   const existingContent = [
     ...customInsertions.map((item, idx) => ({
       type: 'paragraph',
       position: item.position,
       content: item.text,
+      adf: isRichInsertion(item) ? item.adf : null,
+      anchor: item.anchor,
+      orphaned: !!item.orphaned,
+      paragraph: findItemParagraph(paragraphs, item),
       originalIndex: idx
     })),
     ...internalNotes.map((item, idx) => ({
       type: 'note',
       position: item.position,
       content: item.content,
+      anchor: item.anchor,
+      orphaned: !!item.orphaned,
+      paragraph: findItemParagraph(paragraphs, item),
       originalIndex: idx
     }))
-  ].sort((a, b) => a.position - b.position);
+  ].sort((a, b) => (a.orphaned - b.orphaned) || ((a.paragraph?.index ?? a.position) - (b.paragraph?.index ?? b.position)));
+
+  const orphanedCount = existingContent.filter(item => item.orphaned).length;
 
   // Since selectedPosition comes from the dropdown which uses original paragraph indices,
   // we can use it directly as the target position
   const targetPosition = selectedPosition;
+  const targetParagraph = paragraphs.find(p => p.index === targetPosition);
+
+  // Custom content is stored as ADF built from the markdown typed in
+  const newInsertionContent = insertionType === 'body' ? createRichInsertionContent(customText) : null;
+  const hasNewContent = insertionType === 'body' ? !!newInsertionContent.text : !!customText.trim();
+
+  const hasNoteAtPosition = !!targetParagraph && internalNotes.some(n => findItemParagraph(paragraphs, n) === targetParagraph);
 
-  const hasNoteAtPosition = targetPosition !== null && internalNotes.some(n => n.position === targetPosition);
+  // Attach an existing (e.g. orphaned) item to a different paragraph
+  const moveItem = (item, paragraphIndex) => {
+    const paragraph = paragraphs.find(p => p.index === paragraphIndex);
+    const update = (existing) => {
+      const { orphaned, ...rest } = existing;
+      return { ...rest, position: paragraphIndex, anchor: createInsertionAnchor(paragraph) };
+    };
+    if (item.type === 'paragraph') {
+      setCustomInsertions(customInsertions.map((existing, i) => (i === item.originalIndex ? update(existing) : existing)));
+    } else {
+      setInternalNotes(internalNotes.map((existing, i) => (i === item.originalIndex ? update(existing) : existing)));
+    }
+  };
 
   // Build table rows: "Add New" row + existing content rows
   const tableRows = [
@@ -173,11 +337,23 @@ export const CustomInsertionsPanel = ({
         },
         {
           key: 'content',
-          content: (
+          content: insertionType === 'body' ? (
+            <Stack space="space.100">
+              <StableTextArea
+                stableKey="custom-text-body"
+                placeholder="Enter content..."
+                value={customText}
+                onChange={(e) => setCustomText(e.target.value)}
+                isDisabled={selectedPosition === null}
+              />
+              <Text size="small" color="color.text.subtlest">{MARKDOWN_HINT}</Text>
+              {hasNewContent && <AdfRenderer document={newInsertionContent.adf} />}
+            </Stack>
+          ) : (
             <StableTextfield
               id={`custom-text-${insertionType}`}
               stableKey={`custom-text-${insertionType}`}
-              placeholder={insertionType === 'body' ? "Enter paragraph text..." : "Enter internal note..."}
+              placeholder="Enter internal note..."
               value={customText}
               onChange={(e) => setCustomText(e.target.value)}
               isDisabled={selectedPosition === null}
@@ -189,19 +365,21 @@ export const CustomInsertionsPanel = ({
           content: (
             <Button
               appearance="primary"
-              isDisabled={selectedPosition === null || !customText.trim() || (insertionType === 'note' && hasNoteAtPosition)}
+              isDisabled={selectedPosition === null || !hasNewContent || (insertionType === 'note' && hasNoteAtPosition)}
               onClick={() => {
                 if (insertionType === 'body') {
                   const newInsertion = {
                     position: targetPosition,
-                    text: customText.trim()
+                    ...newInsertionContent,
+                    anchor: createInsertionAnchor(targetParagraph)
                   };
                   setCustomInsertions([...customInsertions, newInsertion]);
                 } else {
                   if (!hasNoteAtPosition) {
                     const newNote = {
                       position: targetPosition,
-                      content: customText.trim()
+                      content: customText.trim(),
+                      anchor: createInsertionAnchor(targetParagraph)
                     };
                     setInternalNotes([...internalNotes, newNote]);
                   }
@@ -220,9 +398,9 @@ export const CustomInsertionsPanel = ({
     // Existing content rows
     ...existingContent.map((item, idx) => {
       // Get the paragraph text preview for the position
-      const targetParagraph = paragraphs.find(p => p.index === item.position);
-      const positionPreview = targetParagraph
-        ? targetParagraph.lastSentence.substring(0, 30) + (targetParagraph.lastSentence.length > 30 ? '...' : '')
+      const anchorParagraph = item.paragraph;
+      const positionPreview = anchorParagraph
+        ? anchorParagraph.lastSentence.substring(0, 30) + (anchorParagraph.lastSentence.length > 30 ? '...' : '')
         : `¶${item.position + 1}`;
 
       return {
@@ -241,11 +419,27 @@ export const CustomInsertionsPanel = ({
           },
           {
             key: 'position-display',
-            content: <Text><Em>After: "{positionPreview}"</Em></Text>
+            content: item.orphaned ? (
+              <Stack space="space.050">
+                <Lozenge appearance="removed">Paragraph removed</Lozenge>
+                {item.anchor?.text && (
+                  <Text size="small"><Em>Was after: "{item.anchor.text.substring(0, 40)}{item.anchor.text.length > 40 ? '...' : ''}"</Em></Text>
+                )}
+                <Select
+                  options={paragraphOptions}
+                  placeholder="Move after..."
+                  onChange={(e) => moveItem(item, e.value)}
+                />
+              </Stack>
+            ) : (
+              <Text><Em>After: "{positionPreview}"</Em></Text>
+            )
           },
           {
             key: 'content-display',
-            content: <Text>{item.content.substring(0, 100)}{item.content.length > 100 ? '...' : ''}</Text>
+            content: item.adf
+              ? <AdfRenderer document={item.adf} />
+              : <Text>{item.content.substring(0, 100)}{item.content.length > 100 ? '...' : ''}</Text>
           },
           {
             key: 'delete-action',
@@ -271,6 +465,11 @@ export const CustomInsertionsPanel = ({
 
   return (
     <Box xcss={variableBoxStyle}>
+      {orphanedCount > 0 && (
+        <SectionMessage appearance="warning" title={`${orphanedCount} insertion(s) lost their paragraph`}>
+          <Text>The Source changed and the paragraph they were placed after is gone. They are hidden until you move them after another paragraph or delete them.</Text>
+        </SectionMessage>
+      )}
       <DynamicTable
         head={{
           cells: [
@@ -298,6 +497,11 @@ export const CustomInsertionsPanel = ({
         }}
         rows={tableRows}
       />
+      <ParagraphOverridesSection
+        paragraphs={paragraphs}
+        blockOverrides={blockOverrides}
+        setBlockOverrides={setBlockOverrides}
+      />
     </Box>
   );
 };
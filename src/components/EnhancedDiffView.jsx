@@ -14,6 +14,12 @@
  * - Word-level highlighting for precise change detection
  * - Visual distinction between enabled/disabled content
  * - Maximum disclosure with clear visual markers
+ * - The Embed's custom insertions (plain or rich text) and paragraph overrides
+ *   shown in place on both sides, so reviewers see them next to the Source
+ *   paragraphs they follow or replace
+ *
+ * Also exports OverrideConflictDiff, the three-way diff for a paragraph override
+ * whose Source paragraph changed after the override was written.
  */
 
 import React from 'react';
@@ -23,8 +29,11 @@ import {
   filterContentByToggles,
   substituteVariablesInAdf,
   cleanAdfForRenderer,
-  extractTextWithToggleMarkers
+  extractTextWithToggleMarkers,
+  applyBlockOverridesInAdf,
+  insertCustomParagraphsInAdf
 } from '../utils/adf-rendering-utils.js';
+import { tagParagraphAnchors } from '../utils/insertion-anchor-utils';
 
 // Container styles (no background - now inside green SectionMessage)
 const containerStyle = xcss({
@@ -236,19 +245,27 @@ function renderLineDiff(oldText, newText) {
  * @param {Object} props.newSourceContent - Current ADF from Source (latest excerpt.content)
  * @param {Object} props.variableValues - User's current variable values
  * @param {Object} props.toggleStates - User's current toggle states (enabled/disabled)
+ * @param {Array} [props.variables] - Source variable definitions (for defaults/computed values)
+ * @param {Array} [props.customInsertions] - The Embed's custom insertions (placed on both sides)
+ * @param {Array} [props.blockOverrides] - The Embed's paragraph overrides (applied on both sides)
  * @returns {JSX.Element}
  */
 export function EnhancedDiffView({
   oldSourceContent,
   newSourceContent,
   variableValues = {},
-  toggleStates = {}
+  toggleStates = {},
+  variables,
+  customInsertions = [],
+  blockOverrides = []
 }) {
   // Render content with variables substituted and only enabled toggles (for preview)
   const renderForPreview = (content) => {
     if (!content) return null;
-    let rendered = filterContentByToggles(content, toggleStates);
-    rendered = substituteVariablesInAdf(rendered, variableValues);
+    let rendered = filterContentByToggles(tagParagraphAnchors(content), toggleStates);
+    rendered = substituteVariablesInAdf(rendered, variableValues, variables);
+    rendered = applyBlockOverridesInAdf(rendered, blockOverrides);
+    rendered = insertCustomParagraphsInAdf(rendered, customInsertions);
     return cleanAdfForRenderer(rendered);
   };
 
@@ -259,7 +276,10 @@ export function EnhancedDiffView({
   const renderForLineDiff = (content) => {
     if (!content) return '';
     // Apply variable substitutions
-    let rendered = substituteVariablesInAdf(content, variableValues);
+    let rendered = substituteVariablesInAdf(tagParagraphAnchors(content), variableValues, variables);
+    // Apply overrides and place custom insertions after their paragraphs (anchors are matched on both sides)
+    rendered = applyBlockOverridesInAdf(rendered, blockOverrides);
+    rendered = insertCustomParagraphsInAdf(rendered, customInsertions);
     // Extract text with toggle markers (shows ALL toggles including disabled)
     return extractTextWithToggleMarkers(rendered, toggleStates);
   };
@@ -355,3 +375,48 @@ export function EnhancedDiffView({
     </Box>
   );
 }
+
+/**
+ * Split paragraph text into one sentence per line, so the line diff shows
+ * which sentences changed instead of the whole paragraph
+ */
+function toSentenceLines(text) {
+  return String(text || '').trim().split(/(?<=[.!?])\s+/).join('\n');
+}
+
+/**
+ * Three-way diff for a paragraph override that may be outdated
+ *
+ * Both the Source's change and the Embed's override are diffed against the
+ * paragraph as it read when the override was written (the common base), so
+ * the author can see whether the Source change needs to be carried into the
+ * override.
+ *
+ * @param {Object} props
+ * @param {string} props.baseText - Source paragraph when the override was written
+ * @param {string} props.sourceText - Source paragraph now
+ * @param {string} props.overrideText - The Embed's override
+ * @returns {JSX.Element}
+ */
+export function OverrideConflictDiff({ baseText, sourceText, overrideText }) {
+  const base = toSentenceLines(baseText);
+
+  return (
+    <Box xcss={containerStyle}>
+      <Stack space="space.200">
+        <Stack space="space.050">
+          <Text><Strong>What the Source changed</Strong> <Em>(original paragraph → Source now)</Em></Text>
+          <Box xcss={diffContainerStyle}>
+            {renderLineDiff(base, toSentenceLines(sourceText))}
+          </Box>
+        </Stack>
+        <Stack space="space.050">
+          <Text><Strong>What your override changed</Strong> <Em>(original paragraph → your override)</Em></Text>
+          <Box xcss={diffContainerStyle}>
+            {renderLineDiff(base, toSentenceLines(overrideText))}
+          </Box>
+        </Stack>
+      </Stack>
+    </Box>
+  );
+}
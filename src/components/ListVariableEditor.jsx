@@ -0,0 +1,98 @@
+/**
+ * List Variable Editor
+ *
+ * Row editor for list-valued variables (used by {{#each}} repeating sections)
+ * in the Embed "Write" tab. Each row is one list item; rows can be added,
+ * removed, and reordered.
+ *
+ * Items with item fields (e.g. {{name}} and {{city}} inside the loop) get one
+ * input per field. Simple lists ({{this}} only) get a single input per row.
+ *
+ * The value is stored like every other variable value, as a string
+ * (JSON array - see utils/variable-loops.js).
+ */
+
+import React from 'react';
+import {
+  Text,
+  Button,
+  Icon,
+  Inline,
+  Stack
+} from '@forge/react';
+import { StableTextfield } from './common/StableTextfield';
+import { parseListValue, serializeListValue } from '../utils/variable-loops';
+
+/**
+ * ListVariableEditor Component
+ *
+ * @param {Object} props
+ * @param {Object} props.variable - Variable definition from the Source ({name, itemFields, example})
+ * @param {string} props.value - Current stored list value
+ * @param {Function} props.onValueChange - Called with the new stored string value
+ * @returns {JSX.Element}
+ */
+export const ListVariableEditor = ({ variable, value, onValueChange }) => {
+  const items = parseListValue(value);
+  const fields = variable.itemFields && variable.itemFields.length > 0 ? variable.itemFields : ['this'];
+
+  const updateItems = (newItems) => {
+    onValueChange(serializeListValue(newItems));
+  };
+
+  const moveItem = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= items.length) return;
+    const newItems = [...items];
+    [newItems[index], newItems[target]] = [newItems[target], newItems[index]];
+    updateItems(newItems);
+  };
+
+  const addItem = () => {
+    updateItems([...items, Object.fromEntries(fields.map(field => [field, '']))]);
+  };
+
+  return (
+    <Stack space="space.100">
+      {items.length === 0 && (
+        <Text size="small" color="color.text.subtlest">
+          No items yet - this section is left out until you add one.
+        </Text>
+      )}
+      {items.map((item, index) => (
+        <Inline key={index} space="space.050" alignBlock="center">
+          <Text size="small">{index + 1}.</Text>
+          {fields.map(field => (
+            <StableTextfield
+              key={field}
+              appearance="standard"
+              id={`var-value-${variable.name}-${index}-${field}`}
+              stableKey={`var-value-${variable.name}-${index}-${field}`}
+              placeholder={field === 'this' ? `Item ${index + 1}` : field}
+              value={item[field] || ''}
+              onChange={(e) => {
+                const newItems = [...items];
+                newItems[index] = { ...item, [field]: e.target.value };
+                updateItems(newItems);
+              }}
+            />
+          ))}
+          <Button appearance="subtle" isDisabled={index === 0} onClick={() => moveItem(index, -1)}>
+            <Icon glyph="arrow-up" size="small" label="Move up" />
+          </Button>
+          <Button appearance="subtle" isDisabled={index === items.length - 1} onClick={() => moveItem(index, 1)}>
+            <Icon glyph="arrow-down" size="small" label="Move down" />
+          </Button>
+          <Button appearance="subtle" onClick={() => updateItems(items.filter((_, i) => i !== index))}>
+            <Icon glyph="trash" size="small" label="Remove item" />
+          </Button>
+        </Inline>
+      ))}
+      <Inline>
+        <Button appearance="subtle" onClick={addItem}>
+          Add item
+        </Button>
+      </Inline>
+    </Stack>
+  );
+};
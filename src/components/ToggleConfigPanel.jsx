@@ -8,6 +8,8 @@
  * - Toggle switches for each conditional section
  * - Toggle names and descriptions
  * - Empty state when no toggles defined
+ * - Page-level settings (shared by every Embed on the page) used until this
+ *   Embed switches the toggle itself
  * - Auto-saving via parent component
  */
 
@@ -17,6 +19,9 @@ import {
   Strong,
   Em,
   Toggle,
+  Button,
+  Lozenge,
+  Inline,
   DynamicTable,
   Box,
   xcss
@@ -38,9 +43,10 @@ const variableBoxStyle = xcss({
  * @param {Object} props.excerpt - The Blueprint Standard/excerpt object containing toggles
  * @param {Object} props.toggleStates - Current toggle states (map of name -> boolean)
  * @param {Function} props.setToggleStates - Function to update toggle states
+ * @param {Object} props.pageToggleStates - Page-level settings used while a toggle isn't set here (optional)
  * @returns {JSX.Element}
  */
-export const ToggleConfigPanel = ({ excerpt, toggleStates, setToggleStates }) => {
+export const ToggleConfigPanel = ({ excerpt, toggleStates, setToggleStates, pageToggleStates = {} }) => {
   // Handle null excerpt (template context where user hasn't selected a source yet)
   if (!excerpt) {
     return <Text>Please select a Source first to configure toggles.</Text>;
@@ -73,33 +79,57 @@ export const ToggleConfigPanel = ({ excerpt, toggleStates, setToggleStates }) =>
             }
           ]
         }}
-        rows={excerpt.toggles.map(toggle => ({
-          key: toggle.name,
-          cells: [
-            {
-              key: 'toggle',
-              content: (
-                <Toggle
-                  isChecked={toggleStates[toggle.name] || false}
-                  onChange={(e) => {
-                    setToggleStates({
-                      ...toggleStates,
-                      [toggle.name]: e.target.checked
-                    });
-                  }}
-                />
-              )
-            },
-            {
-              key: 'name',
-              content: <Text><Strong>{toggle.name}</Strong></Text>
-            },
-            {
-              key: 'description',
-              content: toggle.description ? <Text><Em>{toggle.description}</Em></Text> : <Text>—</Text>
-            }
-          ]
-        }))}
+        rows={excerpt.toggles.map(toggle => {
+          const ownState = toggleStates[toggle.name];
+          const pageState = pageToggleStates[toggle.name];
+          const hasPageState = typeof pageState === 'boolean';
+          const isOwn = typeof ownState === 'boolean';
+
+          return {
+            key: toggle.name,
+            cells: [
+              {
+                key: 'toggle',
+                content: (
+                  <Toggle
+                    isChecked={isOwn ? ownState : (hasPageState ? pageState : false)}
+                    onChange={(e) => {
+                      setToggleStates({
+                        ...toggleStates,
+                        [toggle.name]: e.target.checked
+                      });
+                    }}
+                  />
+                )
+              },
+              {
+                key: 'name',
+                content: (
+                  <Inline space="space.075" alignBlock="center">
+                    <Text><Strong>{toggle.name}</Strong></Text>
+                    {hasPageState && !isOwn && <Lozenge appearance="new">From page</Lozenge>}
+                    {hasPageState && isOwn && ownState !== pageState && (
+                      <Button
+                        appearance="subtle"
+                        spacing="compact"
+                        onClick={() => {
+                          const { [toggle.name]: removed, ...rest } = toggleStates;
+                          setToggleStates(rest);
+                        }}
+                      >
+                        Use page setting ({pageState ? 'on' : 'off'})
+                      </Button>
+                    )}
+                  </Inline>
+                )
+              },
+              {
+                key: 'description',
+                content: toggle.description ? <Text><Em>{toggle.description}</Em></Text> : <Text>—</Text>
+              }
+            ]
+          };
+        })}
       />
     </Box>
   );
@@ -8,7 +8,13 @@
  * - Required field indicators with asterisks
  * - Warning icons for missing required fields
  * - Tooltips for variable descriptions
- * - Visual status indicators (filled/empty/required)
+ * - Visual status indicators (filled/empty/required/invalid)
+ * - Per-type inputs (enum Select, date picker, multi-line TextArea, list row editor, text fields)
+ * - Inline validation against the variable's declared type
+ * - Source default values shown as placeholders; computed variables shown read-only
+ * - Conditional block summary ({{#if ...}}) explaining why content is shown or hidden
+ * - Page-level values (shared by every Embed on the page) shown as inherited until
+ *   this Embed sets its own value
  * - Auto-saving via parent component
  */
 
@@ -22,9 +28,24 @@ import {
   Icon,
   DynamicTable,
   Box,
+  Stack,
+  Select,
+  DatePicker,
+  Button,
   xcss
 } from '@forge/react';
 import { StableTextfield } from './common/StableTextfield';
+import { StableTextArea } from './common/StableTextArea';
+import { ListVariableEditor } from './ListVariableEditor';
+import {
+  normalizeVariableType,
+  parseAllowedValues,
+  validateVariableValue
+} from '../utils/variable-types';
+import { resolveVariableValues, isComputedVariable } from '../utils/variable-resolution';
+import { describeConditions } from '../utils/variable-conditions';
+import { detectConditions } from '../utils/detection-utils';
+import { mergeVariableScopes, getInheritedValue, hasVariableValue, VALUE_SOURCE } from '../utils/page-variable-utils';
 
 // Style for full-width variable table container
 const variableBoxStyle = xcss({
@@ -59,6 +80,113 @@ const textfieldWrapperStyle = xcss({
   caretColor: 'color.text'
 });
 
+// Style for invalid value border (value doesn't match the variable's type)
+const invalidFieldStyle = xcss({
+  borderColor: 'color.border.danger',
+  borderWidth: 'border.width.outline',
+  borderStyle: 'solid',
+  borderRadius: 'border.radius',
+  padding: 'space.050'
+});
+
+// Where an inherited value comes from, as shown next to the input
+const INHERITED_LABELS = {
+  [VALUE_SOURCE.PAGE]: 'page',
+  [VALUE_SOURCE.SPACE]: 'space dictionary',
+  [VALUE_SOURCE.GLOBAL]: 'global dictionary'
+};
+
+// Placeholder hints per variable type (used when the Source has no example)
+const TYPE_PLACEHOLDERS = {
+  number: 'e.g., 5000',
+  currency: 'e.g., $5,000.00',
+  email: 'e.g., name@example.com',
+  url: 'e.g., https://example.com'
+};
+
+/**
+ * Render the value input matching the variable's declared type
+ *
+ * Also used by the page variables editor (PageVariablesModal).
+ *
+ * @param {Object} variable - Variable definition from the Source
+ * @param {string} value - Current value
+ * @param {Function} onValueChange - Called with the new string value
+ * @param {string} inheritedValue - Inherited value used while this one is empty (optional)
+ * @param {string} inheritedLabel - Where the inherited value comes from (default 'page')
+ * @returns {JSX.Element}
+ */
+export const renderValueInput = (variable, value, onValueChange, inheritedValue, inheritedLabel = 'page') => {
+  const type = normalizeVariableType(variable.type);
+  const placeholder = inheritedValue
+    ? `Value from ${inheritedLabel}: ${inheritedValue}`
+    : variable.defaultValue
+      ? `Default: ${variable.defaultValue}`
+      : variable.example
+        ? `e.g., ${variable.example}`
+        : (TYPE_PLACEHOLDERS[type] || `Enter value for ${variable.name}`);
+
+  if (type === 'enum') {
+    const options = parseAllowedValues(variable.allowedValues).map(option => ({
+      label: option,
+      value: option
+    }));
+    return (
+      <Select
+        id={`var-value-${variable.name}`}
+        options={options}
+        value={options.find(opt => opt.value === value) || null}
+        placeholder={`Select ${variable.name}`}
+        isClearable
+        onChange={(e) => onValueChange(e ? e.value : '')}
+      />
+    );
+  }
+
+  if (type === 'date') {
+    return (
+      <DatePicker
+        id={`var-value-${variable.name}`}
+        value={value || undefined}
+        placeholder="YYYY-MM-DD"
+        onChange={(date) => onValueChange(date || '')}
+      />
+    );
+  }
+
+  if (type === 'list') {
+    return (
+      <ListVariableEditor
+        variable={variable}
+        value={value}
+        onValueChange={onValueChange}
+      />
+    );
+  }
+
+  if (type === 'multiline') {
+    return (
+      <StableTextArea
+        stableKey={`var-value-${variable.name}`}
+        placeholder={placeholder}
+        value={value}
+        onChange={(e) => onValueChange(e.target.value)}
+      />
+    );
+  }
+
+  return (
+    <StableTextfield
+      appearance="standard"
+      id={`var-value-${variable.name}`}
+      stableKey={`var-value-${variable.name}`}
+      placeholder={placeholder}
+      value={value}
+      onChange={(e) => onValueChange(e.target.value)}
+    />
+  );
+};
+
 /**
  * VariableConfigPanel Component
  *
@@ -66,9 +194,11 @@ const textfieldWrapperStyle = xcss({
  * @param {Object} props.excerpt - The Blueprint Standard/excerpt object containing variables
  * @param {Object} props.variableValues - Current values for all variables (map of name -> value)
  * @param {Function} props.setVariableValues - Function to update variable values
+ * @param {Array} props.inheritedScopes - Page-level and dictionary values inherited while a value
+ *   is empty, nearest first (optional, see getVariableValues)
  * @returns {JSX.Element}
  */
-export const VariableConfigPanel = ({ excerpt, variableValues, setVariableValues }) => {
+export const VariableConfigPanel = ({ excerpt, variableValues, setVariableValues, inheritedScopes = [] }) => {
   // Handle null excerpt (template context where user hasn't selected a source yet)
   if (!excerpt) {
     return <Text>Please select a Source first to configure variables.</Text>;
@@ -79,6 +209,17 @@ export const VariableConfigPanel = ({ excerpt, variableValues, setVariableValues
     return <Text>No variables defined for this standard.</Text>;
   }
 
+  // Effective values (inherited values + defaults + computed variables) for read-only computed rows
+  const effectiveValues = mergeVariableScopes({ variableValues }, inheritedScopes).variableValues;
+  const resolvedValues = resolveVariableValues(excerpt.variables, effectiveValues);
+
+  // Conditional blocks and whether the current values show or hide them.
+  // Older Sources were saved before conditions were stored, so fall back to detecting them.
+  const conditionStates = describeConditions(
+    excerpt.conditions || detectConditions(excerpt.content),
+    resolvedValues
+  );
+
   return (
     <Box xcss={variableBoxStyle}>
       <Box xcss={tableContainerStyle}>
@@ -103,9 +244,25 @@ export const VariableConfigPanel = ({ excerpt, variableValues, setVariableValues
             ]
           }}
           rows={excerpt.variables.map(variable => {
-          const isRequired = variable.required || false;
-          const isEmpty = !variableValues[variable.name] || variableValues[variable.name].trim() === '';
-          const showWarning = isRequired && isEmpty;
+          const isComputed = isComputedVariable(variable);
+          const isRequired = (variable.required || false) && !isComputed;
+          const inherited = isComputed ? null : getInheritedValue(variable.name, inheritedScopes);
+          const inheritedValue = inherited ? String(inherited.value) : null;
+          const inheritedLabel = inherited ? INHERITED_LABELS[inherited.source] : null;
+          const hasOwnValue = hasVariableValue(variableValues[variable.name]);
+          const inheritsValue = !!inherited && !hasOwnValue;
+          const isEmpty = isComputed
+            ? !resolvedValues[variable.name]
+            : !hasOwnValue && !inherited;
+          const usesDefault = isEmpty && !isComputed && !!variable.defaultValue;
+          const showWarning = isRequired && isEmpty && !usesDefault;
+          const validationError = isComputed ? null : validateVariableValue(variable, variableValues[variable.name]);
+          const handleValueChange = (newValue) => {
+            setVariableValues({
+              ...variableValues,
+              [variable.name]: newValue
+            });
+          };
 
           return {
             key: variable.name,
@@ -132,29 +289,56 @@ export const VariableConfigPanel = ({ excerpt, variableValues, setVariableValues
               {
                 key: 'value',
                 content: (
-                  <Box xcss={showWarning ? requiredFieldStyle : undefined}>
-                    <Box xcss={textfieldWrapperStyle}>
-                      <StableTextfield
-                        appearance="standard"
-                        id={`var-value-${variable.name}`}
-                        stableKey={`var-value-${variable.name}`}
-                        placeholder={variable.example ? `e.g., ${variable.example}` : `Enter value for ${variable.name}`}
-                        value={variableValues[variable.name] || ''}
-                        onChange={(e) => {
-                          setVariableValues({
-                            ...variableValues,
-                            [variable.name]: e.target.value
-                          });
-                        }}
-                      />
-                    </Box>
+                  <Box xcss={validationError ? invalidFieldStyle : (showWarning ? requiredFieldStyle : undefined)}>
+                    <Stack space="space.050">
+                      {isComputed ? (
+                        <Text>
+                          {resolvedValues[variable.name]
+                            ? resolvedValues[variable.name]
+                            : <Code>{variable.formula}</Code>}
+                        </Text>
+                      ) : (
+                        <Box xcss={textfieldWrapperStyle}>
+                          {renderValueInput(variable, variableValues[variable.name] || '', handleValueChange, inheritedValue || undefined, inheritedLabel)}
+                        </Box>
+                      )}
+                      {inheritsValue && (
+                        <Text size="small" color="color.text.subtlest">Value from {inheritedLabel}: "{inheritedValue}" - type a value to override it for this Embed</Text>
+                      )}
+                      {inherited && hasOwnValue && variableValues[variable.name] !== inherited.value && (
+                        <Inline space="space.050" alignBlock="center">
+                          <Text size="small" color="color.text.subtlest">Overrides the {inheritedLabel} value "{inheritedValue}"</Text>
+                          <Button appearance="subtle" spacing="compact" onClick={() => handleValueChange('')}>
+                            Use {inheritedLabel} value
+                          </Button>
+                        </Inline>
+                      )}
+                      {isComputed && (
+                        <Text size="small" color="color.text.subtlest">Computed from {variable.formula}</Text>
+                      )}
+                      {validationError && (
+                        <Text size="small" color="color.text.danger">{validationError}</Text>
+                      )}
+                    </Stack>
                   </Box>
                 )
               },
               {
                 key: 'status',
                 content: (
-                  isEmpty ? (
+                  validationError ? (
+                    <Tooltip content={validationError} position="left">
+                      <Icon glyph="error" label="Invalid value" color="color.icon.danger" />
+                    </Tooltip>
+                  ) : inheritsValue ? (
+                    <Tooltip content={`Using value from ${inheritedLabel}: ${inheritedValue}`} position="left">
+                      <Icon glyph="check-circle-outline" label={`From ${inheritedLabel}`} color="color.icon.success" />
+                    </Tooltip>
+                  ) : usesDefault ? (
+                    <Tooltip content={`Using default value: ${variable.defaultValue}`} position="left">
+                      <Icon glyph="check-circle-outline" label="Using default" color="color.icon.subtle" />
+                    </Tooltip>
+                  ) : isEmpty ? (
                     isRequired ? (
                       <Icon glyph="checkbox-unchecked" label="Required - Empty" color="color.icon.danger" />
                     ) : (
@@ -170,6 +354,30 @@ export const VariableConfigPanel = ({ excerpt, variableValues, setVariableValues
         })}
       />
       </Box>
+      {conditionStates.length > 0 && (
+        <Stack space="space.050">
+          <Text><Strong>Conditional sections</Strong></Text>
+          {conditionStates.map(condition => (
+            <Inline key={condition.expression} space="space.100" alignBlock="center">
+              <Icon
+                glyph={condition.isMet ? 'check-circle' : 'cross-circle'}
+                label={condition.isMet ? 'Shown' : 'Hidden'}
+                color={condition.isMet ? 'color.icon.success' : 'color.icon.subtle'}
+              />
+              <Text>
+                <Code>{condition.expression}</Code>
+                {condition.error
+                  ? ` - hidden (invalid condition: ${condition.error})`
+                  : ` - ${condition.isMet ? 'shown' : 'hidden'} because ${
+                    Object.entries(condition.values)
+                      .map(([name, value]) => `${name} is ${value ? `"${value}"` : 'empty'}`)
+                      .join(', ') || 'the condition has no variables'
+                  }`}
+              </Text>
+            </Inline>
+          ))}
+        </Stack>
+      )}
     </Box>
   );
 };
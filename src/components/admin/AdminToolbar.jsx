@@ -4,6 +4,7 @@
  * Top toolbar for the Admin page containing action buttons only:
  * - Migration Tools button (if enabled)
  * - Manage Categories button
+ * - Variable Dictionaries button
  * - Check All Sources button
  * - Check All Embeds button
  * - Emergency Recovery button (Phase 1 safety feature)
@@ -14,6 +15,8 @@
  * @param {Function} props.onOpenMigrationModal - Handler for Migration Tools button
  * @param {boolean} props.showMigrationTools - Feature flag for migration tools
  * @param {Function} props.onOpenCategoryModal - Handler for Manage Categories button
+ * @param {Function} props.onOpenVariableDictionaries - Handler for Variable Dictionaries button
+ * @param {Function} props.onOpenContentSearch - Handler for Full-Text Search button
  * @param {Function} props.onCheckAllSources - Handler for Check All Sources button
  * @param {boolean} props.isCheckingAllSources - Whether Check All Sources is running
  * @param {Function} props.onCheckAllIncludes - Handler for Check All Embeds button
@@ -45,6 +48,8 @@ export function AdminToolbar({
   onOpenMigrationModal,
   showMigrationTools = true,
   onOpenCategoryModal,
+  onOpenVariableDictionaries,
+  onOpenContentSearch,
   onCheckAllSources,
   isCheckingAllSources,
   onCheckAllIncludes,
@@ -92,6 +97,26 @@ export function AdminToolbar({
         🗂️ Manage Categories
       </Button>
 
+      <Tooltip content="Values shared across the whole company or one space (support email, legal entity name...). Any Source variable with the same name uses them when the Embed and its page leave it empty.">
+        <Button
+          appearance="default"
+          onClick={onOpenVariableDictionaries}
+          xcss={buttonStyles}
+        >
+          📖 Variable Dictionaries
+        </Button>
+      </Tooltip>
+
+      <Tooltip content="Search the text of every Source - content, variables, documentation links - and optionally the values and Free Write paragraphs of every Embed.">
+        <Button
+          appearance="default"
+          onClick={onOpenContentSearch}
+          xcss={buttonStyles}
+        >
+          🔎 Full-Text Search
+        </Button>
+      </Tooltip>
+
       <Tooltip content={verificationTooltip}>
         <Button
           appearance="default"
@@ -2,22 +2,25 @@
  * CategoryManager Component
  *
  * Modal dialog for managing Blueprint Standard categories. Allows admins to:
- * - Add new categories
- * - Rename existing categories
+ * - Add new categories, and subcategories ("Technical > Integrations")
+ * - Rename or move categories (Sources and subcategories follow)
  * - Delete unused categories
- * - Reorder categories (up/down arrows)
+ * - Reorder categories (drag and drop; subcategories move with their parent)
+ * - Set category owners, the default approvers for Sources in the category
+ *   and its subcategories
  *
  * @param {Object} props
  * @param {boolean} props.isOpen - Whether the modal is open
  * @param {Function} props.onClose - Callback to close the modal
- * @param {Array<string>} props.categories - Current list of category names
+ * @param {Array<string>} props.categories - Current list of category paths
+ * @param {Object} props.owners - Category owners { path: [accountId] }
  * @param {Array} props.excerpts - All excerpts (used to check category usage)
  * @param {Object} props.saveCategoriesMutation - React Query mutation for saving categories
  * @param {string} props.newCategoryName - Input value for new category name
  * @param {Function} props.setNewCategoryName - Callback to update new category name input
  * @param {Function} props.onAddCategory - Handler for adding a new category
  * @param {Function} props.onDeleteCategory - Handler for deleting a category
- * @param {Function} props.onEditCategory - Handler for editing/renaming a category
+ * @param {Function} props.onEditCategory - Handler for renaming/moving a category
  * @param {Function} props.onMoveCategoryToPosition - Handler for moving category to specific position
  * @returns {JSX.Element}
  */
@@ -37,14 +40,26 @@ import {
   Inline,
   Button,
   Icon,
+  Tooltip,
+  UserPicker,
   DynamicTable
 } from '@forge/react';
 import { StableTextfield } from '../common/StableTextfield';
+import {
+  CATEGORY_SEPARATOR,
+  buildCategoryTree,
+  flattenCategoryTree,
+  getCategoryOwners
+} from '../../utils/category-utils';
+
+// Categories in tree order (parents first, subcategories right after them)
+const toTreeOrder = (categories) => flattenCategoryTree(buildCategoryTree(categories));
 
 export function CategoryManager({
   isOpen,
   onClose,
   categories,
+  owners = {},
   excerpts,
   saveCategoriesMutation,
   newCategoryName,
@@ -56,6 +71,7 @@ export function CategoryManager({
 }) {
   // Local state: maintain category order in component until user saves
   const [localCategories, setLocalCategories] = useState([]);
+  const [localOwners, setLocalOwners] = useState({});
   const [hasChanges, setHasChanges] = useState(false);
   const [isInitialized, setIsInitialized] = useState(false);
   
@@ -74,7 +90,8 @@ export function CategoryManager({
   // Use initialization flag to prevent resetting during re-renders
   useEffect(() => {
     if (isOpen && !isInitialized) {
-      setLocalCategories([...categories]);
+      setLocalCategories(toTreeOrder(categories).map(node => node.path));
+      setLocalOwners({ ...owners });
       prevCategoriesRef.current = categories;
       setHasChanges(false);
       setIsInitialized(true);
@@ -95,7 +112,11 @@ export function CategoryManager({
         categories.some((cat, idx) => cat !== prevCategoriesRef.current[idx]);
       
       if (categoriesChanged) {
-        setLocalCategories([...categories]);
+        setLocalCategories(toTreeOrder(categories).map(node => node.path));
+        // Keep unsaved owner edits; categories that are new here (added or renamed) take the stored owners
+        setLocalOwners(current => Object.fromEntries(
+          categories.map(path => [path, current[path] || owners[path] || []])
+        ));
         prevCategoriesRef.current = categories;
         // Don't reset hasChanges - user might have made other changes
       }
@@ -112,52 +133,92 @@ export function CategoryManager({
     const [removed] = newCategories.splice(sourceIndex, 1);
     newCategories.splice(destinationIndex, 0, removed);
 
-    setLocalCategories(newCategories);
+    // Re-group so a moved parent keeps its subcategories underneath it
+    setLocalCategories(toTreeOrder(newCategories).map(node => node.path));
     setHasChanges(true);
   };
 
-  // Save the final category order
+  // Save the final category order and owners
   const handleSave = () => {
-    saveCategoriesMutation.mutate(localCategories);
+    saveCategoriesMutation.mutate({ categories: localCategories, owners: localOwners });
     onClose();
   };
 
   // Convert categories to DynamicTable row format
   // Use index as part of key to force re-render when order changes
-  const tableRows = localCategories.map((category, index) => ({
-    key: `${category}-${index}`,
-    cells: [
-      {
-        key: 'position',
-        content: <Text>{index + 1}</Text>
-      },
-      {
-        key: 'name',
-        content: <Text>{category}</Text>
-      },
-      {
-        key: 'actions',
-        content: (
-          <Inline space="space.050">
-            <Button
-              appearance="subtle"
-              onClick={() => onEditCategory(category)}
-              spacing="compact"
-            >
-              <Icon glyph="edit" label="Edit" />
-            </Button>
-            <Button
-              appearance="subtle"
-              onClick={() => onDeleteCategory(category)}
-              spacing="compact"
-            >
-              <Icon glyph="trash" label="Delete" />
-            </Button>
-          </Inline>
-        )
-      }
-    ]
-  }));
+  const tableRows = toTreeOrder(localCategories).map((node, index) => {
+    const category = node.path;
+    const inheritedOwners = getCategoryOwners(category, localOwners);
+    const sourceCount = (excerpts || []).filter(e => (e.category || 'General') === category).length;
+
+    return {
+      key: `${category}-${index}`,
+      cells: [
+        {
+          key: 'position',
+          content: <Text>{index + 1}</Text>
+        },
+        {
+          key: 'name',
+          content: (
+            <Stack space="space.025">
+              <Text>{`${'— '.repeat(node.depth)}${node.name}`}</Text>
+              {sourceCount > 0 && (
+                <Text size="small" color="color.text.subtlest">{sourceCount} Source(s)</Text>
+              )}
+            </Stack>
+          )
+        },
+        {
+          key: 'owners',
+          content: (
+            <UserPicker
+              label=""
+              name={`category-owners-${index}`}
+              isMulti
+              placeholder={inheritedOwners.inheritedFrom ? `Inherits owners of ${inheritedOwners.inheritedFrom}` : 'No owners'}
+              defaultValue={localOwners[category] || []}
+              onChange={(users) => {
+                const accountIds = (Array.isArray(users) ? users : [users]).filter(Boolean).map(user => user.id);
+                setLocalOwners(current => ({ ...current, [category]: accountIds }));
+                setHasChanges(true);
+              }}
+            />
+          )
+        },
+        {
+          key: 'actions',
+          content: (
+            <Inline space="space.050">
+              <Tooltip content="Add a subcategory">
+                <Button
+                  appearance="subtle"
+                  onClick={() => setNewCategoryName(`${category}${CATEGORY_SEPARATOR}`)}
+                  spacing="compact"
+                >
+                  <Icon glyph="add" label="Add subcategory" />
+                </Button>
+              </Tooltip>
+              <Button
+                appearance="subtle"
+                onClick={() => onEditCategory(category)}
+                spacing="compact"
+              >
+                <Icon glyph="edit" label="Rename or move" />
+              </Button>
+              <Button
+                appearance="subtle"
+                onClick={() => onDeleteCategory(category)}
+                spacing="compact"
+              >
+                <Icon glyph="trash" label="Delete" />
+              </Button>
+            </Inline>
+          )
+        }
+      ]
+    };
+  });
 
   const tableHead = {
     cells: [
@@ -169,6 +230,10 @@ export function CategoryManager({
         key: 'name',
         content: <Text><Strong>Category</Strong></Text>
       },
+      {
+        key: 'owners',
+        content: <Text><Strong>Owners</Strong></Text>
+      },
       {
         key: 'actions',
         content: <Text><Strong>Actions</Strong></Text>
@@ -178,7 +243,7 @@ export function CategoryManager({
   return (
     <ModalTransition>
       {isOpen && (
-        <Modal onClose={onClose} width="medium">
+        <Modal onClose={onClose} width="large">
           <ModalHeader>
             <ModalTitle>Manage Categories</ModalTitle>
           </ModalHeader>
@@ -192,7 +257,7 @@ export function CategoryManager({
                     <StableTextfield
                       stableKey="new-category-input"
                       ref={textfieldRef}
-                      placeholder="Add a new Category..."
+                      placeholder="Add a new Category (Parent > Child for a subcategory)..."
                       value={newCategoryName}
                       onChange={handleCategoryNameChange}
                     />
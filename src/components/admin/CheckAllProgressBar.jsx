@@ -28,6 +28,26 @@ import {
   Lozenge
 } from '@forge/react';
 
+/**
+ * Format stale Embed counts by update severity (summary.staleBySeverity)
+ * @param {Object} counts - { major, minor, patch, unknown, dictionary }
+ * @returns {string} e.g. "◦ 2 breaking (owner action needed), 5 minor, 9 cosmetic"
+ */
+function formatSeverityCounts(counts) {
+  const parts = [
+    `${counts.major} breaking (owner action needed)`,
+    `${counts.minor} minor`,
+    `${counts.patch} cosmetic`
+  ];
+  if (counts.unknown > 0) {
+    parts.push(`${counts.unknown} synced before versioning`);
+  }
+  if (counts.dictionary > 0) {
+    parts.push(`${counts.dictionary} dictionary value change${counts.dictionary === 1 ? '' : 's'}`);
+  }
+  return `◦ ${parts.join(', ')}`;
+}
+
 export function CheckAllProgressBar({
   includesProgress,
   onCleanUpNow,
@@ -69,6 +89,11 @@ export function CheckAllProgressBar({
                         <Text>• {includesProgress.results.summary.orphanedCount} orphaned Embed(s) - need cleanup</Text>
                         <Text>• {includesProgress.results.summary.brokenReferenceCount} broken reference(s) - auto-repaired</Text>
                         <Text>• {includesProgress.results.summary.staleCount} stale Embed(s) - updates available</Text>
+                        {includesProgress.results.summary.staleBySeverity && includesProgress.results.summary.staleCount > 0 && (
+                          <Text size="small">
+                            {formatSeverityCounts(includesProgress.results.summary.staleBySeverity)}
+                          </Text>
+                        )}
                       </Stack>
                     </Box>
 
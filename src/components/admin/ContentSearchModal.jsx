@@ -0,0 +1,298 @@
+/**
+ * ContentSearchModal Component
+ *
+ * Full-text search over every Source's content, variable names and
+ * descriptions, and documentation links - and, when "Include Embeds" is on,
+ * over the variable values and Free Write paragraphs of every Embed. Results
+ * are grouped by Source with the matching text highlighted. Answers questions
+ * like "which Blueprints mention Ticketmaster in a Free Write paragraph?"
+ * without exporting storage.
+ *
+ * Searches the search index (utils/search-index-utils.js); a rebuild brings in
+ * Sources and Embeds saved before the index existed.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {Function} props.onSelectSource - Callback with an excerptId to show that Source in the Admin page
+ * @returns {JSX.Element}
+ */
+
+import React, { Fragment, useState, useEffect } from 'react';
+import {
+  Text,
+  Strong,
+  Em,
+  Link,
+  Lozenge,
+  Modal,
+  ModalTransition,
+  ModalHeader,
+  ModalTitle,
+  ModalBody,
+  ModalFooter,
+  Stack,
+  Inline,
+  Box,
+  Button,
+  Select,
+  Toggle,
+  Label,
+  Spinner,
+  SectionMessage,
+  xcss
+} from '@forge/react';
+import { invoke } from '@forge/bridge';
+import { StableTextfield } from '../common/StableTextfield';
+import { useContentSearchQuery, useRebuildSearchIndexMutation } from '../../hooks/admin-hooks';
+
+// "Search in" choices (field kinds of the search index)
+const SCOPE_OPTIONS = [
+  { label: 'Everything', value: 'all', kinds: null },
+  { label: 'Source content', value: 'content', kinds: ['name', 'content'] },
+  { label: 'Variable names and descriptions', value: 'variables', kinds: ['variable'] },
+  { label: 'Documentation links', value: 'documentation', kinds: ['documentation'] },
+  { label: 'Free Write paragraphs (Embeds)', value: 'customInsertions', kinds: ['customInsertion'], embedsOnly: true },
+  { label: 'Variable values (Embeds)', value: 'variableValues', kinds: ['variableValue'], embedsOnly: true }
+];
+
+// Progress poll interval while the index rebuilds
+const REBUILD_POLL_MS = 2000;
+
+const resultCardStyle = xcss({
+  padding: 'space.150',
+  borderColor: 'color.border',
+  borderWidth: 'border.width',
+  borderStyle: 'solid',
+  borderRadius: 'border.radius'
+});
+
+/**
+ * Matching fields with highlighted snippets
+ */
+const MatchList = ({ matches }) => (
+  <Stack space="space.050">
+    {matches.map((match, index) => (
+      <Stack key={`${match.kind}-${index}`} space="space.0">
+        <Text size="small" color="color.text.subtlest">{match.label}</Text>
+        <Text>
+          {match.snippet.map((part, partIndex) => (
+            part.highlight
+              ? <Strong key={partIndex}>{part.text}</Strong>
+              : <Fragment key={partIndex}>{part.text}</Fragment>
+          ))}
+        </Text>
+      </Stack>
+    ))}
+  </Stack>
+);
+
+export function ContentSearchModal({ isOpen, onClose, onSelectSource }) {
+  const [queryText, setQueryText] = useState('');
+  const [scope, setScope] = useState('all');
+  const [includeEmbeds, setIncludeEmbeds] = useState(false);
+  const [submitted, setSubmitted] = useState(null);
+  const [rebuildProgressId, setRebuildProgressId] = useState(null);
+  const [rebuildStatus, setRebuildStatus] = useState(null);
+
+  const scopeOption = SCOPE_OPTIONS.find(option => option.value === scope);
+  const { data, isFetching, error, refetch } = useContentSearchQuery(submitted || {});
+  const rebuildMutation = useRebuildSearchIndexMutation();
+
+  useEffect(() => {
+    if (!isOpen) {
+      setSubmitted(null);
+      setRebuildStatus(null);
+    }
+  }, [isOpen]);
+
+  // Follow a rebuild until it finishes, then re-run the search (each new
+  // progress record re-runs this effect and schedules the next poll)
+  useEffect(() => {
+    if (!rebuildProgressId) {
+      return undefined;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const result = await invoke('getCheckProgress', { progressId: rebuildProgressId });
+        const progress = result?.progress;
+        setRebuildStatus(progress || null);
+        if (!progress || progress.phase === 'complete' || progress.phase === 'error') {
+          setRebuildProgressId(null);
+          if (submitted) {
+            refetch();
+          }
+        }
+      } catch (err) {
+        console.error('Error polling search index rebuild:', err);
+        setRebuildProgressId(null);
+      }
+    }, REBUILD_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [rebuildProgressId, rebuildStatus]);
+
+  const handleSearch = () => {
+    if (!queryText.trim()) {
+      return;
+    }
+    setSubmitted({
+      query: queryText.trim(),
+      includeEmbeds: includeEmbeds || !!scopeOption.embedsOnly,
+      kinds: scopeOption.kinds
+    });
+  };
+
+  const handleRebuild = async () => {
+    try {
+      const { progressId } = await rebuildMutation.mutateAsync();
+      setRebuildStatus({ phase: 'queued', percent: 0, status: 'Search index rebuild queued...' });
+      setRebuildProgressId(progressId);
+    } catch (rebuildError) {
+      // Shown from rebuildMutation.error below
+    }
+  };
+
+  const isRebuilding = !!rebuildProgressId;
+
+  return (
+    <ModalTransition>
+      {isOpen && (
+        <Modal onClose={onClose} width="x-large">
+          <ModalHeader>
+            <ModalTitle>Full-Text Search</ModalTitle>
+          </ModalHeader>
+          <ModalBody>
+            <Stack space="space.200">
+              <Inline space="space.200" alignBlock="end" shouldWrap>
+                <Box xcss={xcss({ width: '320px' })}>
+                  <Label labelFor="content-search-query">Search for</Label>
+                  <StableTextfield
+                    id="content-search-query"
+                    stableKey="content-search-query"
+                    value={queryText}
+                    placeholder='Ticketmaster, or "exact phrase"'
+                    onChange={(e) => setQueryText(e.target.value)}
+                  />
+                </Box>
+                <Box xcss={xcss({ width: '260px' })}>
+                  <Label labelFor="content-search-scope">Search in</Label>
+                  <Select
+                    id="content-search-scope"
+                    options={SCOPE_OPTIONS}
+                    value={scopeOption}
+                    onChange={(e) => e?.value && setScope(e.value)}
+                  />
+                </Box>
+                <Stack space="space.050">
+                  <Label labelFor="content-search-embeds">Include Embeds</Label>
+                  <Toggle
+                    id="content-search-embeds"
+                    isChecked={includeEmbeds || !!scopeOption.embedsOnly}
+                    isDisabled={!!scopeOption.embedsOnly}
+                    onChange={() => setIncludeEmbeds(!includeEmbeds)}
+                  />
+                </Stack>
+                <Button appearance="primary" onClick={handleSearch} isDisabled={!queryText.trim()}>
+                  Search
+                </Button>
+              </Inline>
+
+              {rebuildMutation.error && (
+                <SectionMessage appearance="error">
+                  <Text>{rebuildMutation.error.message}</Text>
+                </SectionMessage>
+              )}
+
+              {rebuildStatus && (
+                <SectionMessage appearance={rebuildStatus.phase === 'error' ? 'error' : (rebuildStatus.phase === 'complete' ? 'success' : 'information')}>
+                  <Text>
+                    {rebuildStatus.phase === 'complete' || rebuildStatus.phase === 'error'
+                      ? rebuildStatus.status
+                      : `${rebuildStatus.status} (${rebuildStatus.percent || 0}%)`}
+                  </Text>
+                </SectionMessage>
+              )}
+
+              {isFetching && <Spinner size="medium" label="Searching..." />}
+
+              {error && (
+                <SectionMessage appearance="error">
+                  <Text>{error.message}</Text>
+                </SectionMessage>
+              )}
+
+              {data && !isFetching && (
+                <Stack space="space.150">
+                  <Text>
+                    <Strong>{data.sourceMatchCount}</Strong> Source(s)
+                    {submitted?.includeEmbeds && <Fragment> and <Strong>{data.embedMatchCount}</Strong> Embed(s)</Fragment>} match
+                    {data.truncated && <Em> - showing the first {data.results.length} Sources</Em>}
+                  </Text>
+
+                  {data.results.length === 0 && (
+                    <Text><Em>Nothing matches. Sources saved before the search index existed only show up after a rebuild.</Em></Text>
+                  )}
+
+                  {data.results.map(group => (
+                    <Box key={group.excerptId} xcss={resultCardStyle}>
+                      <Stack space="space.100">
+                        <Inline space="space.100" alignBlock="center" shouldWrap>
+                          <Button
+                            appearance="link"
+                            spacing="none"
+                            onClick={() => {
+                              onSelectSource(group.excerptId);
+                              onClose();
+                            }}
+                          >
+                            {group.name}
+                          </Button>
+                          <Lozenge isBold>{group.category}</Lozenge>
+                          {group.embeds.length > 0 && (
+                            <Lozenge appearance="inprogress">{group.embeds.length} Embed(s)</Lozenge>
+                          )}
+                        </Inline>
+
+                        {group.matches.length > 0 && <MatchList matches={group.matches} />}
+
+                        {group.embeds.map(embed => (
+                          <Stack key={embed.localId} space="space.050">
+                            <Text>
+                              Embed on{' '}
+                              {embed.pageId
+                                ? <Link openNewTab={true} href={`/wiki/pages/viewpage.action?pageId=${embed.pageId}`}>{embed.pageTitle || `page ${embed.pageId}`}</Link>
+                                : <Em>unknown page</Em>}
+                              {embed.spaceKey ? ` (${embed.spaceKey})` : ''}
+                            </Text>
+                            <MatchList matches={embed.matches} />
+                          </Stack>
+                        ))}
+                      </Stack>
+                    </Box>
+                  ))}
+                </Stack>
+              )}
+            </Stack>
+          </ModalBody>
+          <ModalFooter>
+            <Inline space="space.100" alignBlock="center" spread="space-between">
+              <Text size="small" color="color.text.subtlest">
+                {data?.indexMeta?.rebuiltAt
+                  ? `Index last rebuilt ${new Date(data.indexMeta.rebuiltAt).toLocaleString()} (kept current as Sources and Embeds are saved)`
+                  : 'The index covers Sources and Embeds saved since it was added - rebuild it once to include older ones.'}
+              </Text>
+              <Inline space="space.100">
+                <Button appearance="default" onClick={handleRebuild} isDisabled={isRebuilding || rebuildMutation.isPending}>
+                  {isRebuilding ? 'Rebuilding...' : 'Rebuild index'}
+                </Button>
+                <Button appearance="subtle" onClick={onClose}>
+                  Close
+                </Button>
+              </Inline>
+            </Inline>
+          </ModalFooter>
+        </Modal>
+      )}
+    </ModalTransition>
+  );
+}
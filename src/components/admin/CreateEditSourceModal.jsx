@@ -3,6 +3,8 @@
  *
  * Modal dialog for creating and editing Blueprint Standard Sources.
  * Note: Content editing must be done in the Source macro on the page itself.
+ * Staged Sources (Require Publish) are edited as a draft; the Publishing tab
+ * publishes it. Tags are admin-only labels and apply as soon as they're saved.
  *
  * @param {Object} props
  * @param {boolean} props.isOpen - Whether the modal is open
@@ -38,13 +40,20 @@ import {
   Label,
   FormSection,
   TextArea,
+  Lozenge,
   xcss
 } from '@forge/react';
 import { invoke } from '@forge/bridge';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { useCategoriesQuery } from '../../hooks/admin-hooks';
+import { useCategoriesQuery, useExcerptsQuery } from '../../hooks/admin-hooks';
 import { extractTextFromAdf } from '../../utils/adf-utils';
 import { StableTextfield } from '../common/StableTextfield';
+import { VariableMetadataFields } from '../common/VariableMetadataFields';
+import { SourcePublishingPanel } from '../common/SourcePublishingPanel';
+import { ReleaseTypeSelect } from '../common/ReleaseTypeSelect';
+import { addFormulaReferencedVariables } from '../../utils/variable-resolution';
+import { INITIAL_SOURCE_VERSION } from '../../utils/source-release-utils';
+import { normalizeTag, normalizeTags, collectTags } from '../../utils/source-search-utils';
 import { middleSectionStyles } from '../../styles/admin-styles';
 
 // Custom hook for fetching excerpt data with React Query
@@ -52,7 +61,8 @@ const useExcerptQuery = (excerptId, enabled) => {
   return useQuery({
     queryKey: ['excerpt', excerptId],
     queryFn: async () => {
-      const result = await invoke('getExcerpt', { excerptId });
+      // Staged Sources: edit the unpublished draft, not the live version
+      const result = await invoke('getExcerpt', { excerptId, includeDraft: true });
 
       if (!result.success || !result.excerpt) {
         throw new Error('Failed to load excerpt');
@@ -72,7 +82,7 @@ const useSaveExcerptMutation = () => {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: async ({ excerptName, category, content, excerptId, variableMetadata, toggleMetadata, documentationLinks, existingSourcePageId, existingSourceSpaceKey, existingSourceLocalId }) => {
+    mutationFn: async ({ excerptName, category, tags, content, excerptId, variableMetadata, toggleMetadata, documentationLinks, existingSourcePageId, existingSourceSpaceKey, existingSourceLocalId, requiresPublish, changeSummary, releaseType }) => {
       try {
         // Use existing virtual page references if editing, otherwise generate new ones
         let virtualPageId, virtualSpaceKey, virtualLocalId;
@@ -93,6 +103,7 @@ const useSaveExcerptMutation = () => {
         const result = await invoke('saveExcerpt', {
           excerptName,
           category,
+          tags,
           content,
           excerptId,
           variableMetadata,
@@ -101,7 +112,10 @@ const useSaveExcerptMutation = () => {
           sourcePageId: virtualPageId,
           sourcePageTitle: excerptName || 'Blueprint Source',
           sourceSpaceKey: virtualSpaceKey,
-          sourceLocalId: virtualLocalId
+          sourceLocalId: virtualLocalId,
+          requiresPublish,
+          changeSummary,
+          releaseType
         });
 
         // Backend returns excerpt data directly (no success wrapper)
@@ -158,9 +172,14 @@ export function CreateEditSourceModal({
     isLoading: isLoadingCategories
   } = useCategoriesQuery();
 
+  // Tags already used by other Sources (suggestions)
+  const { data: allExcerpts = [] } = useExcerptsQuery();
+
   // Use state for controlled components
   const [excerptName, setExcerptName] = useState('');
   const [category, setCategory] = useState('General');
+  const [tags, setTags] = useState([]);
+  const [newTag, setNewTag] = useState('');
   const [editorContent, setEditorContent] = useState(null);
   const [selectedTabIndex, setSelectedTabIndex] = useState(0);
   const [detectedVariables, setDetectedVariables] = useState([]);
@@ -168,6 +187,9 @@ export function CreateEditSourceModal({
   const [detectedToggles, setDetectedToggles] = useState([]);
   const [toggleMetadata, setToggleMetadata] = useState({});
   const [documentationLinks, setDocumentationLinks] = useState([]);
+  const [requiresPublish, setRequiresPublish] = useState(false);
+  const [changeSummary, setChangeSummary] = useState('');
+  const [releaseType, setReleaseType] = useState(null); // null = suggested from the changes
 
   // Form state for adding new documentation links
   const [newLinkAnchor, setNewLinkAnchor] = useState('');
@@ -189,6 +211,8 @@ export function CreateEditSourceModal({
       lastExcerptIdRef.current = null;
       setExcerptName('');
       setCategory('General');
+      setTags([]);
+      setNewTag('');
       setEditorContent(isCreateMode ? { type: 'doc', version: 1, content: [] } : null);
       setSelectedTabIndex(0);
       setDetectedVariables([]);
@@ -196,6 +220,9 @@ export function CreateEditSourceModal({
       setDetectedToggles([]);
       setToggleMetadata({});
       setDocumentationLinks([]);
+      setRequiresPublish(false);
+      setChangeSummary('');
+      setReleaseType(null);
       setNewLinkAnchor('');
       setNewLinkUrl('');
       setUrlError('');
@@ -233,6 +260,7 @@ export function CreateEditSourceModal({
       // Load name and category from storage, with fallback to initial data
       setExcerptName(excerptData.name || initialExcerptData?.name || '');
       setCategory(excerptData.category || initialExcerptData?.category || 'General');
+      setTags(normalizeTags(excerptData.tags));
       
       // Load editor content (ADF format)
       if (excerptData.content) {
@@ -248,7 +276,11 @@ export function CreateEditSourceModal({
           metadata[v.name] = {
             description: v.description || '',
             example: v.example || '',
-            required: v.required || false
+            required: v.required || false,
+            type: v.type || 'text',
+            allowedValues: v.allowedValues || [],
+            defaultValue: v.defaultValue || '',
+            formula: v.formula || ''
           };
         });
         setVariableMetadata(metadata);
@@ -270,6 +302,9 @@ export function CreateEditSourceModal({
         setDocumentationLinks(excerptData.documentationLinks);
       }
 
+      // Load staged publishing setting
+      setRequiresPublish(!!excerptData.requiresPublish);
+
       hasLoadedDataRef.current = true;
     }
   }, [editingExcerptId, excerptData, isLoadingExcerpt, isOpen, initialExcerptData]);
@@ -341,6 +376,18 @@ export function CreateEditSourceModal({
     value: cat
   }));
 
+  const addTag = (tag) => {
+    setTags(normalizeTags([...tags, normalizeTag(tag)]));
+    setNewTag('');
+  };
+
+  const tagSuggestions = collectTags(allExcerpts)
+    .filter(({ tag }) => !tags.some(t => t.toLowerCase() === tag.toLowerCase()))
+    .slice(0, 10);
+
+  // Variables detected in the content, plus any only referenced by computed-variable formulas
+  const configurableVariables = addFormulaReferencedVariables(detectedVariables, variableMetadata);
+
   // Extract text content from ADF for display
   const contentText = editorContent ? extractTextFromAdf(editorContent) : '';
 
@@ -362,11 +409,15 @@ export function CreateEditSourceModal({
     }
 
     // Merge detected variables with their metadata
-    const variablesWithMetadata = detectedVariables.map(v => ({
+    const variablesWithMetadata = configurableVariables.map(v => ({
       name: v.name,
       description: variableMetadata[v.name]?.description || '',
       example: variableMetadata[v.name]?.example || '',
-      required: variableMetadata[v.name]?.required || false
+      required: variableMetadata[v.name]?.required || false,
+      type: variableMetadata[v.name]?.type || 'text',
+      allowedValues: variableMetadata[v.name]?.allowedValues || [],
+      defaultValue: variableMetadata[v.name]?.defaultValue || '',
+      formula: variableMetadata[v.name]?.formula || ''
     }));
 
     // Merge detected toggles with their metadata
@@ -379,6 +430,7 @@ export function CreateEditSourceModal({
     saveExcerptMutation({
       excerptName: excerptName.trim(),
       category,
+      tags,
       content: contentToSave,
       excerptId: editingExcerptId || null,
       variableMetadata: variablesWithMetadata,
@@ -386,10 +438,16 @@ export function CreateEditSourceModal({
       documentationLinks,
       existingSourcePageId: excerptData?.sourcePageId,
       existingSourceSpaceKey: excerptData?.sourceSpaceKey,
-      existingSourceLocalId: excerptData?.sourceLocalId
+      existingSourceLocalId: excerptData?.sourceLocalId,
+      requiresPublish,
+      changeSummary,
+      releaseType
     }, {
-      onSuccess: async () => {
-        // Close modal after successful save
+      onSuccess: async (result) => {
+        // Staged Sources: the save only updated the draft
+        if (result.isDraft) {
+          alert('Draft saved. Embeds keep the published version until you publish it from the Publishing tab.');
+        }
         onClose();
       },
       onError: (error) => {
@@ -426,6 +484,7 @@ export function CreateEditSourceModal({
                 <Tab>Variables</Tab>
                 <Tab>Toggles</Tab>
                 <Tab>Documentation</Tab>
+                <Tab>Publishing</Tab>
               </TabList>
 
               <TabPanel>
@@ -461,10 +520,81 @@ export function CreateEditSourceModal({
                     </Inline>
                   </Box>
 
+                  <Box xcss={xcss({ width: '700px' })} paddingTop="space.100">
+                    <Label labelFor="sourceTags">
+                      Tags
+                    </Label>
+                    <Stack space="space.100">
+                      {tags.length > 0 && (
+                        <Inline space="space.100" shouldWrap>
+                          {tags.map(tag => (
+                            <Inline key={tag} space="space.050" alignBlock="center">
+                              <Lozenge>{tag}</Lozenge>
+                              <Button
+                                appearance="subtle"
+                                spacing="compact"
+                                onClick={() => setTags(tags.filter(t => t !== tag))}
+                              >
+                                <Icon glyph="cross" label={`Remove tag ${tag}`} size="small" />
+                              </Button>
+                            </Inline>
+                          ))}
+                        </Inline>
+                      )}
+                      <Inline space="space.100" alignBlock="center">
+                        <StableTextfield
+                          id="sourceTags"
+                          stableKey="create-edit-source-tag-input"
+                          value={newTag}
+                          placeholder="Add a tag, e.g. deprecated or needs-legal-review"
+                          isDisabled={isLoadingExcerpt}
+                          onChange={(e) => setNewTag(e.target.value)}
+                        />
+                        <Button onClick={() => addTag(newTag)} isDisabled={!normalizeTag(newTag)}>
+                          Add tag
+                        </Button>
+                      </Inline>
+                      {tagSuggestions.length > 0 && (
+                        <Inline space="space.050" alignBlock="center" shouldWrap>
+                          <Text size="small" color="color.text.subtlest">Used on other Sources:</Text>
+                          {tagSuggestions.map(({ tag }) => (
+                            <Button key={tag} appearance="subtle" spacing="compact" onClick={() => addTag(tag)}>
+                              {`+ ${tag}`}
+                            </Button>
+                          ))}
+                        </Inline>
+                      )}
+                    </Stack>
+                  </Box>
+
+                  {!isCreateMode && (
+                    <Box xcss={xcss({ width: '700px' })} paddingTop="space.100">
+                      <Label labelFor="changeSummary">
+                        Change summary (optional)
+                      </Label>
+                      <TextArea
+                        id="changeSummary"
+                        value={changeSummary}
+                        placeholder="What changed and why? Shown in version history and to Embed authors when they update."
+                        isDisabled={isLoadingExcerpt}
+                        onChange={(e) => setChangeSummary(e.target.value)}
+                      />
+                      <Label labelFor="releaseType">
+                        Release type (current version: {excerptData?.version || INITIAL_SOURCE_VERSION})
+                      </Label>
+                      <ReleaseTypeSelect
+                        id="releaseType"
+                        value={releaseType}
+                        isDisabled={isLoadingExcerpt}
+                        onChange={setReleaseType}
+                      />
+                    </Box>
+                  )}
+
                   <Text>{' '}</Text>
                   <SectionMessage appearance="information">
                     <Text><Strong>Content Editing</Strong></Text>
-                    <Text>To edit Source content, navigate to the Source macro on its page and edit it there. This modal is for editing metadata (name, category, variables, toggles, documentation) only.</Text>
+                    <Text>To edit Source content, navigate to the Source macro on its page and edit it there. This modal is for editing metadata (name, category, tags, variables, toggles, documentation) only.</Text>
                   </SectionMessage>
                   {editorContent && (
                     <Box paddingTop="space.200">
@@ -493,9 +623,9 @@ export function CreateEditSourceModal({
                     <Text>No variables detected. Add {'{{variable}}'} syntax to your Source content to create variables.</Text>
                   )}
 
-                  {detectedVariables.length > 0 && (
+                  {configurableVariables.length > 0 && (
                     <Fragment>
-                      {detectedVariables.map((variable) => (
+                      {configurableVariables.map((variable) => (
                         <Fragment key={variable.name}>
                           <Text>{' '}</Text>
                           <Inline space="space.300" alignBlock="center" spread="space-between">
@@ -552,6 +682,22 @@ export function CreateEditSourceModal({
                               });
                             }}
                           />
+                          <VariableMetadataFields
+                            variableName={variable.name}
+                            metadata={variableMetadata[variable.name]}
+                            detectedVariable={variable}
+                            isDisabled={isLoadingExcerpt}
+                            stableKeyPrefix="create-edit"
+                            onChange={(patch) => {
+                              setVariableMetadata({
+                                ...variableMetadata,
+                                [variable.name]: {
+                                  ...variableMetadata[variable.name],
+                                  ...patch
+                                }
+                              });
+                            }}
+                          />
                         </Fragment>
                       ))}
                     </Fragment>
@@ -709,6 +855,17 @@ export function CreateEditSourceModal({
                   </SectionMessage>
                 </FormSection>
               </TabPanel>
+
+              <TabPanel>
+                <FormSection>
+                  <SourcePublishingPanel
+                    excerptId={editingExcerptId}
+                    requiresPublish={requiresPublish}
+                    onRequiresPublishChange={setRequiresPublish}
+                    isDisabled={isLoadingExcerpt}
+                  />
+                </FormSection>
+              </TabPanel>
             </Tabs>
           )}
         </ModalBody>
@@ -729,7 +886,7 @@ export function CreateEditSourceModal({
                 onClick={handleSave}
                 isDisabled={isSavingExcerpt || isLoadingExcerpt || !excerptName.trim()}
               >
-                {isSavingExcerpt ? 'Saving...' : 'Save'}
+                {isSavingExcerpt ? 'Saving...' : (editingExcerptId && requiresPublish ? 'Save Draft' : 'Save')}
               </Button>
             </Inline>
           </Inline>
@@ -2,7 +2,10 @@
  * ExcerptListSidebar Component
  *
  * Displays the left sidebar with a filterable, sortable list of Blueprint Standard Sources.
- * Includes search/filter controls at the top.
+ * Includes search/filter controls at the top, with categories shown as a
+ * collapsible tree (selecting a category includes its subcategories). The
+ * search box takes tag:/category:/usage:/is: filters (source-search-utils.js),
+ * and the user's saved searches are listed above it.
  * Handles excerpt selection for displaying usage details in the main panel.
  *
  * @param {Object} props
@@ -13,7 +16,12 @@
  * @param {Function} props.setCategoryFilter - Callback to update category filter
  * @param {string} props.sortBy - Current sort order
  * @param {Function} props.setSortBy - Callback to update sort order
- * @param {Array<string>} props.categories - List of available categories
+ * @param {Array<string>} props.categories - List of available category paths
+ * @param {Array} props.excerpts - All excerpts (for per-category Source counts)
+ * @param {Array} props.savedSearches - The user's saved searches [{ id, name, query, categoryFilter, sortBy }]
+ * @param {Function} props.onApplySavedSearch - Callback to apply a saved search
+ * @param {Function} props.onSaveSearch - Callback to save the current search
+ * @param {Function} props.onDeleteSavedSearch - Callback to delete a saved search
  * @param {Object|null} props.selectedExcerptForDetails - Currently selected excerpt
  * @param {Function} props.setSelectedExcerptForDetails - Callback to update selected excerpt
  * @param {Object} props.xcss - xcss style object for the sidebar container
@@ -21,7 +29,7 @@
  * @returns {JSX.Element}
  */
 
-import React, { Fragment } from 'react';
+import React, { Fragment, useState } from 'react';
 import {
   Text,
   Strong,
@@ -32,9 +40,13 @@ import {
   Lozenge,
   Pressable,
   Select,
+  Button,
+  Icon,
   xcss
 } from '@forge/react';
 import { StableTextfield } from '../common/StableTextfield';
+import { buildCategoryTree, isInCategory } from '../../utils/category-utils';
+import { normalizeTags } from '../../utils/source-search-utils';
 
 // Pressable item styling for excerpt list items
 const excerptItemStyle = (isSelected) => xcss({
@@ -47,6 +59,108 @@ const excerptItemStyle = (isSelected) => xcss({
   }
 });
 
+// Pressable row styling for the category tree
+const categoryRowStyle = (isSelected, depth) => xcss({
+  paddingBlock: 'space.050',
+  paddingInlineEnd: 'space.100',
+  paddingInlineStart: depth === 0 ? 'space.100' : depth === 1 ? 'space.300' : 'space.500',
+  textAlign: 'left',
+  borderRadius: 'border.radius',
+  backgroundColor: isSelected ? 'color.background.selected' : 'color.background.neutral.subtle',
+  ':hover': {
+    backgroundColor: 'color.background.neutral.hovered'
+  }
+});
+
+/**
+ * Category filter as a collapsible tree with Source counts (subcategories included)
+ */
+function CategoryTreeFilter({ categories, excerpts, categoryFilter, setCategoryFilter }) {
+  const [collapsed, setCollapsed] = useState([]);
+  const excerptCategories = (excerpts || []).map(excerpt => String(excerpt.category || 'General'));
+  const tree = buildCategoryTree([...(categories || []), ...excerptCategories]);
+
+  const countIn = (path) => excerptCategories.filter(category => isInCategory(category, path)).length;
+  const toggleCollapsed = (path) => setCollapsed(collapsed.includes(path)
+    ? collapsed.filter(p => p !== path)
+    : [...collapsed, path]);
+
+  const renderNode = (node) => {
+    const hasChildren = node.children.length > 0;
+    const isCollapsed = collapsed.includes(node.path);
+    return (
+      <Fragment key={node.path}>
+        <Inline space="space.050" alignBlock="center">
+          {hasChildren && (
+            <Pressable
+              onClick={() => toggleCollapsed(node.path)}
+              xcss={xcss({ padding: 'space.025', backgroundColor: 'color.background.neutral.subtle' })}
+            >
+              <Text size="small">{isCollapsed ? '▸' : '▾'}</Text>
+            </Pressable>
+          )}
+          <Pressable
+            onClick={() => setCategoryFilter(node.path)}
+            xcss={categoryRowStyle(categoryFilter === node.path, hasChildren ? node.depth : node.depth + 1)}
+          >
+            <Text size="small">
+              {categoryFilter === node.path ? <Strong>{node.name}</Strong> : node.name} ({countIn(node.path)})
+            </Text>
+          </Pressable>
+        </Inline>
+        {hasChildren && !isCollapsed && node.children.map(renderNode)}
+      </Fragment>
+    );
+  };
+
+  return (
+    <Stack space="space.025">
+      <Pressable onClick={() => setCategoryFilter('All')} xcss={categoryRowStyle(categoryFilter === 'All', 0)}>
+        <Text size="small">
+          {categoryFilter === 'All' ? <Strong>All Categories</Strong> : 'All Categories'} ({excerptCategories.length})
+        </Text>
+      </Pressable>
+      {tree.map(renderNode)}
+    </Stack>
+  );
+}
+
+/**
+ * The user's saved searches, plus saving the current one
+ */
+function SavedSearchList({ savedSearches, searchTerm, categoryFilter, onApplySavedSearch, onSaveSearch, onDeleteSavedSearch }) {
+  const canSave = !!searchTerm.trim() || categoryFilter !== 'All';
+
+  return (
+    <Stack space="space.025">
+      <Inline spread="space-between" alignBlock="center">
+        <Text size="small"><Strong>Saved searches</Strong></Text>
+        <Button appearance="subtle" spacing="compact" onClick={onSaveSearch} isDisabled={!canSave}>
+          Save search
+        </Button>
+      </Inline>
+      {savedSearches.length === 0 && (
+        <Text size="small" color="color.text.subtlest">
+          <Em>None yet - search, then save it here.</Em>
+        </Text>
+      )}
+      {savedSearches.map(search => {
+        const isActive = search.query === searchTerm.trim() && (search.categoryFilter || 'All') === categoryFilter;
+        return (
+          <Inline key={search.id} space="space.050" alignBlock="center" spread="space-between">
+            <Pressable onClick={() => onApplySavedSearch(search)} xcss={categoryRowStyle(isActive, 0)}>
+              <Text size="small">{isActive ? <Strong>{search.name}</Strong> : search.name}</Text>
+            </Pressable>
+            <Button appearance="subtle" spacing="compact" onClick={() => onDeleteSavedSearch(search)}>
+              <Icon glyph="cross" label={`Delete saved search ${search.name}`} size="small" />
+            </Button>
+          </Inline>
+        );
+      })}
+    </Stack>
+  );
+}
+
 export function ExcerptListSidebar({
   sortedExcerpts,
   totalExcerptCount,
@@ -57,6 +171,11 @@ export function ExcerptListSidebar({
   sortBy,
   setSortBy,
   categories,
+  excerpts,
+  savedSearches = [],
+  onApplySavedSearch,
+  onSaveSearch,
+  onDeleteSavedSearch,
   selectedExcerptForDetails,
   setSelectedExcerptForDetails,
   xcss: containerStyle,
@@ -77,23 +196,31 @@ export function ExcerptListSidebar({
         <Stack space="space.200">
           {/* Search and Filter Controls */}
           <Stack space="space.100">
+            <SavedSearchList
+              savedSearches={savedSearches}
+              searchTerm={searchTerm}
+              categoryFilter={categoryFilter}
+              onApplySavedSearch={onApplySavedSearch}
+              onSaveSearch={onSaveSearch}
+              onDeleteSavedSearch={onDeleteSavedSearch}
+            />
+
             <StableTextfield
               stableKey="excerpt-search-input"
-              placeholder="Search by name..."
+              placeholder="Search by name, tag:, usage:, is:stale..."
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
             />
+            <Text size="small" color="color.text.subtlest">
+              {'e.g. tag:deprecated -tag:EU-only usage:>5 is:stale category:"Legal > EU"'}
+            </Text>
 
-            <Box xcss={selectStyles}>
-              <Select
-                options={[
-                  { label: 'All Categories', value: 'All' },
-                  ...categories.map(cat => ({ label: cat, value: cat }))
-                ]}
-                value={{ label: categoryFilter === 'All' ? 'All Categories' : categoryFilter, value: categoryFilter }}
-                onChange={(e) => setCategoryFilter(e.value)}
-              />
-            </Box>
+            <CategoryTreeFilter
+              categories={categories}
+              excerpts={excerpts}
+              categoryFilter={categoryFilter}
+              setCategoryFilter={setCategoryFilter}
+            />
 
             <Box xcss={selectStyles}>
               <Select
@@ -160,6 +287,9 @@ export function ExcerptListSidebar({
                 <Inline space="space.100" alignBlock="center" shouldWrap>
                   <Text><Strong>{excerpt.name}</Strong></Text>
                   <Lozenge isBold>{category}</Lozenge>
+                  {normalizeTags(excerpt.tags).map(tag => (
+                    <Lozenge key={tag}>{tag}</Lozenge>
+                  ))}
                 </Inline>
               </Pressable>
             );
@@ -47,6 +47,8 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useCategoriesQuery } from '../../hooks/admin-hooks';
 import { extractTextFromAdf } from '../../utils/adf-utils';
 import { StableTextfield } from '../common/StableTextfield';
+import { VariableMetadataFields } from '../common/VariableMetadataFields';
+import { addFormulaReferencedVariables } from '../../utils/variable-resolution';
 
 // Custom hook for fetching excerpt data with React Query
 const useExcerptQuery = (excerptId, enabled) => {
@@ -211,7 +213,11 @@ export function ExcerptPreviewModal({
           metadata[v.name] = {
             description: v.description || '',
             example: v.example || '',
-            required: v.required || false
+            required: v.required || false,
+            type: v.type || 'text',
+            allowedValues: v.allowedValues || [],
+            defaultValue: v.defaultValue || '',
+            formula: v.formula || ''
           };
         });
         setVariableMetadata(metadata);
@@ -287,13 +293,20 @@ export function ExcerptPreviewModal({
     value: cat
   }));
 
+  // Variables detected in the content, plus any only referenced by computed-variable formulas
+  const configurableVariables = addFormulaReferencedVariables(detectedVariables, variableMetadata);
+
   const handleSave = async () => {
     // Merge detected variables with their metadata
-    const variablesWithMetadata = detectedVariables.map(v => ({
+    const variablesWithMetadata = configurableVariables.map(v => ({
       name: v.name,
       description: variableMetadata[v.name]?.description || '',
       example: variableMetadata[v.name]?.example || '',
-      required: variableMetadata[v.name]?.required || false
+      required: variableMetadata[v.name]?.required || false,
+      type: variableMetadata[v.name]?.type || 'text',
+      allowedValues: variableMetadata[v.name]?.allowedValues || [],
+      defaultValue: variableMetadata[v.name]?.defaultValue || '',
+      formula: variableMetadata[v.name]?.formula || ''
     }));
 
     // Merge detected toggles with their metadata
@@ -475,9 +488,9 @@ export function ExcerptPreviewModal({
                     <Text>No variables detected. Add {'{{variable}}'} syntax to your macro body to create variables.</Text>
                   )}
 
-                  {detectedVariables.length > 0 && (
+                  {configurableVariables.length > 0 && (
                     <Fragment>
-                      {detectedVariables.map((variable) => (
+                      {configurableVariables.map((variable) => (
                         <Fragment key={variable.name}>
                           <Inline space="space.300" alignBlock="center" spread="space-between">
                             <Text><Strong><Code>{`{{${variable.name}}}`}</Code></Strong></Text>
@@ -533,6 +546,22 @@ export function ExcerptPreviewModal({
                               });
                             }}
                           />
+                          <VariableMetadataFields
+                            variableName={variable.name}
+                            metadata={variableMetadata[variable.name]}
+                            detectedVariable={variable}
+                            isDisabled={isLoadingExcerpt}
+                            stableKeyPrefix="preview"
+                            onChange={(patch) => {
+                              setVariableMetadata({
+                                ...variableMetadata,
+                                [variable.name]: {
+                                  ...variableMetadata[variable.name],
+                                  ...patch
+                                }
+                              });
+                            }}
+                          />
                         </Fragment>
                       ))}
                     </Fragment>
@@ -0,0 +1,73 @@
+/**
+ * OrphanedInsertionsSection Component
+ *
+ * Lists Embeds whose custom insertions (📝), internal notes (🔏) or paragraph
+ * overrides (✎) lost the paragraph they were anchored to when their Source
+ * changed. Those items are hidden until the Embed author moves or deletes them
+ * in the Embed's Custom tab.
+ *
+ * @param {Object} props
+ * @param {Object} props.cardStyles - xcss styles for card containers
+ * @returns {JSX.Element|null}
+ */
+
+import React, { Fragment } from 'react';
+import {
+  Text,
+  Strong,
+  Em,
+  Box,
+  Inline,
+  Link,
+  Lozenge,
+  Badge
+} from '@forge/react';
+import { useOrphanedInsertionsQuery } from '../../hooks/admin-hooks';
+
+const ITEM_ICONS = { insertion: '📝', note: '🔏', override: '✎' };
+
+export function OrphanedInsertionsSection({ cardStyles }) {
+  const { data: embeds = [] } = useOrphanedInsertionsQuery();
+
+  // Don't render if nothing lost its paragraph
+  if (embeds.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box>
+      <Fragment>
+        <Text>{' '}</Text>
+        <Text>{' '}</Text>
+        <Text><Strong>⚠ Unanchored Custom Insertions</Strong></Text>
+        <Text>The Source paragraph these insertions and notes were placed after is gone. They are hidden until they're moved or deleted in the Embed's Custom tab:</Text>
+        <Text>{' '}</Text>
+        <Inline space="space.200" shouldWrap>
+          {embeds.map((embed) => (
+            <Box key={embed.localId} xcss={cardStyles}>
+              <Lozenge appearance="moved" isBold>UNANCHORED</Lozenge>
+              <Text>{' '}</Text>
+              <Text>
+                {embed.pageId
+                  ? <Link openNewTab={true} href={`/wiki/pages/viewpage.action?pageId=${embed.pageId}`}>{embed.pageTitle}</Link>
+                  : embed.pageTitle}
+              </Text>
+              <Text><Em>{embed.excerptName}</Em></Text>
+              <Text>{' '}</Text>
+              <Inline space="space.100" alignBlock="center">
+                <Badge>{embed.items.length}</Badge>
+                <Text>item(s)</Text>
+              </Inline>
+              {embed.items.map((item) => (
+                <Text key={`${item.kind}-${item.index}`}>
+                  {ITEM_ICONS[item.kind]} {item.text.substring(0, 60)}{item.text.length > 60 ? '...' : ''}
+                  {item.anchorText && <Em> ({item.kind === 'override' ? 'replaced' : 'was after'} "{item.anchorText.substring(0, 40)}{item.anchorText.length > 40 ? '...' : ''}")</Em>}
+                </Text>
+              ))}
+            </Box>
+          ))}
+        </Inline>
+      </Fragment>
+    </Box>
+  );
+}
@@ -0,0 +1,304 @@
+/**
+ * RedlineAgingPanel Component
+ *
+ * Aging view of the redline queue: time-in-status metrics from each Embed's
+ * status history, the SLA thresholds they are measured against, and the
+ * leadership report export.
+ *
+ * - Median time to approval, overdue Embeds per status
+ * - Embeds stuck in Needs Revision past its threshold
+ * - Status changes per reviewer per week
+ * - SLA thresholds (days) per workflow state - blank means no SLA
+ * - Export the report as CSV (one row per Embed) or JSON (everything)
+ *
+ * @param {Object} props
+ * @param {string} props.currentUserId - Current user's Confluence accountId
+ * @param {Function} props.onShowOverdue - Filter the queue to overdue Embeds
+ * @returns {JSX.Element}
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Text,
+  Strong,
+  Em,
+  Heading,
+  Stack,
+  Inline,
+  Button,
+  Select,
+  Lozenge,
+  Spinner,
+  SectionMessage,
+  DynamicTable,
+  xcss
+} from '@forge/react';
+import { StableTextfield } from '../common/StableTextfield';
+import {
+  useConfluenceUserQuery,
+  useRedlineWorkflowQuery,
+  useRedlineSlaQuery,
+  useSaveRedlineSlaMutation,
+  useRedlineMetricsQuery,
+  useExportRedlineReportMutation
+} from '../../hooks/redline-hooks';
+import { DEFAULT_REDLINE_WORKFLOW, getRedlineState } from '../../utils/redline-workflow-utils';
+import { DEFAULT_THROUGHPUT_WEEKS } from '../../utils/redline-metrics-utils';
+import { generateRedlineReportCSV } from '../../utils/admin-utils';
+
+const WEEK_OPTIONS = [4, 8, 12, 26].map(weeks => ({ label: `Last ${weeks} weeks`, value: weeks }));
+
+// Most stuck Embeds listed
+const MAX_STUCK_SHOWN = 10;
+
+const panelStyle = xcss({
+  backgroundColor: 'color.background.neutral',
+  padding: 'space.200',
+  borderRadius: 'border.radius',
+  width: '100%'
+});
+
+const thresholdFieldStyle = xcss({
+  width: '80px'
+});
+
+// Display name for a Confluence account
+const UserName = ({ accountId }) => {
+  const { data: user } = useConfluenceUserQuery(accountId);
+  return <Text>{user?.displayName || 'Loading...'}</Text>;
+};
+
+// Browser download of a generated file
+const downloadFile = (content, mimeType, filename) => {
+  const blob = new Blob([content], { type: mimeType });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export function RedlineAgingPanel({ currentUserId, onShowOverdue }) {
+  const [weeks, setWeeks] = useState(DEFAULT_THROUGHPUT_WEEKS);
+  const [thresholds, setThresholds] = useState({});
+  const [hasChanges, setHasChanges] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const { data: workflow = DEFAULT_REDLINE_WORKFLOW } = useRedlineWorkflowQuery();
+  const { data: sla } = useRedlineSlaQuery();
+  const { data, isLoading, error } = useRedlineMetricsQuery(weeks);
+  const saveSlaMutation = useSaveRedlineSlaMutation();
+  const exportMutation = useExportRedlineReportMutation();
+
+  useEffect(() => {
+    if (sla) {
+      setThresholds(Object.fromEntries(Object.entries(sla.thresholds).map(([stateId, days]) => [stateId, String(days)])));
+      setHasChanges(false);
+    }
+  }, [sla]);
+
+  const handleSaveSla = async () => {
+    try {
+      await saveSlaMutation.mutateAsync({ thresholds, userId: currentUserId });
+      setHasChanges(false);
+      setMessage('SLA thresholds saved.');
+    } catch (saveError) {
+      // Shown from saveSlaMutation.error below
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const report = await exportMutation.mutateAsync({ weeks });
+      const date = new Date().toISOString().split('T')[0];
+      if (format === 'csv') {
+        const csv = generateRedlineReportCSV(report);
+        if (!csv) {
+          setMessage('No Embeds to export.');
+          return;
+        }
+        downloadFile(csv, 'text/csv;charset=utf-8;', `redline-aging-report-${date}.csv`);
+      } else {
+        downloadFile(JSON.stringify(report, null, 2), 'application/json;charset=utf-8;', `redline-aging-report-${date}.json`);
+      }
+    } catch (exportError) {
+      // Shown from exportMutation.error below
+    }
+  };
+
+  const metrics = data?.metrics;
+
+  return (
+    <Box xcss={panelStyle}>
+      <Stack space="space.200">
+        <Inline space="space.100" alignBlock="center" spread="space-between">
+          <Heading size="small">Aging &amp; SLAs</Heading>
+          <Inline space="space.100" alignBlock="center">
+            <Select
+              options={WEEK_OPTIONS}
+              value={WEEK_OPTIONS.find(opt => opt.value === weeks)}
+              onChange={(e) => e?.value && setWeeks(e.value)}
+            />
+            <Button appearance="default" onClick={() => handleExport('csv')} isDisabled={exportMutation.isPending}>
+              {exportMutation.isPending ? 'Exporting...' : 'Export CSV'}
+            </Button>
+            <Button appearance="default" onClick={() => handleExport('json')} isDisabled={exportMutation.isPending}>
+              Export JSON
+            </Button>
+          </Inline>
+        </Inline>
+
+        {isLoading && <Spinner size="medium" label="Computing metrics..." />}
+
+        {(error || saveSlaMutation.error || exportMutation.error) && (
+          <SectionMessage appearance="error">
+            <Text>{(error || saveSlaMutation.error || exportMutation.error).message}</Text>
+          </SectionMessage>
+        )}
+
+        {message && (
+          <SectionMessage appearance="success">
+            <Text>{message}</Text>
+          </SectionMessage>
+        )}
+
+        {metrics && (
+          <Inline space="space.300" alignBlock="start" shouldWrap>
+            <Stack space="space.050">
+              <Text size="small" weight="semibold">Median time to approval</Text>
+              <Text>
+                {metrics.timeToApproval.medianDays === null
+                  ? 'No approvals measured yet'
+                  : <><Strong>{metrics.timeToApproval.medianDays} days</Strong> (average {metrics.timeToApproval.averageDays}, {metrics.timeToApproval.count} approval(s))</>}
+              </Text>
+            </Stack>
+            <Stack space="space.050">
+              <Text size="small" weight="semibold">Overdue</Text>
+              <Inline space="space.050" alignBlock="center" shouldWrap>
+                <Button appearance="subtle" spacing="compact" onClick={onShowOverdue} isDisabled={metrics.overdue.total === 0}>
+                  {metrics.overdue.total} Embed(s)
+                </Button>
+                {Object.entries(metrics.overdue.byStatus).map(([stateId, count]) => (
+                  <Lozenge key={stateId} appearance={getRedlineState(workflow, stateId).appearance}>
+                    {getRedlineState(workflow, stateId).label}: {count}
+                  </Lozenge>
+                ))}
+              </Inline>
+            </Stack>
+          </Inline>
+        )}
+
+        {/* SLA thresholds */}
+        <Stack space="space.100">
+          <Text weight="semibold">SLA thresholds (days in status before an Embed is overdue)</Text>
+          <Inline space="space.200" alignBlock="end" shouldWrap>
+            {workflow.states.map(state => (
+              <Stack key={state.id} space="space.050">
+                <Lozenge appearance={state.appearance}>{state.label}</Lozenge>
+                <Box xcss={thresholdFieldStyle}>
+                  <StableTextfield
+                    stableKey={`redline-sla-${state.id}`}
+                    value={thresholds[state.id] || ''}
+                    onChange={(e) => {
+                      setThresholds(current => ({ ...current, [state.id]: e.target.value }));
+                      setHasChanges(true);
+                      setMessage(null);
+                    }}
+                    placeholder="None"
+                  />
+                </Box>
+              </Stack>
+            ))}
+            <Button
+              appearance="primary"
+              onClick={handleSaveSla}
+              isDisabled={!sla || !hasChanges || saveSlaMutation.isPending}
+            >
+              {saveSlaMutation.isPending ? 'Saving...' : 'Save thresholds'}
+            </Button>
+          </Inline>
+        </Stack>
+
+        {/* Stuck in Needs Revision */}
+        {metrics && (
+          <Stack space="space.100">
+            <Text weight="semibold">
+              Stuck in {getRedlineState(workflow, 'needs-revision').label}
+              {metrics.stuckInRevision.thresholdDays ? ` for more than ${metrics.stuckInRevision.thresholdDays} days` : ''}
+            </Text>
+            {!metrics.stuckInRevision.thresholdDays && (
+              <Text><Em>Set a threshold for {getRedlineState(workflow, 'needs-revision').label} to track stuck Embeds.</Em></Text>
+            )}
+            {metrics.stuckInRevision.thresholdDays && metrics.stuckInRevision.embeds.length === 0 && (
+              <Text><Em>None.</Em></Text>
+            )}
+            {metrics.stuckInRevision.embeds.length > 0 && (
+              <DynamicTable
+                head={{
+                  cells: [
+                    { key: 'embed', content: 'Embed UUID' },
+                    { key: 'age', content: 'Days' },
+                    { key: 'since', content: 'Since' },
+                    { key: 'reviewer', content: 'Reviewer' }
+                  ]
+                }}
+                rows={metrics.stuckInRevision.embeds.slice(0, MAX_STUCK_SHOWN).map(embed => ({
+                  key: `stuck-${embed.localId}`,
+                  cells: [
+                    { key: 'embed', content: <Text>{embed.localId}</Text> },
+                    { key: 'age', content: <Text>{embed.ageDays}</Text> },
+                    { key: 'since', content: <Text>{new Date(embed.enteredAt).toLocaleDateString()}</Text> },
+                    { key: 'reviewer', content: embed.assignee ? <UserName accountId={embed.assignee} /> : <Text>Unassigned</Text> }
+                  ]
+                }))}
+              />
+            )}
+            {metrics.stuckInRevision.embeds.length > MAX_STUCK_SHOWN && (
+              <Text size="small" color="color.text.subtlest">
+                {metrics.stuckInRevision.embeds.length - MAX_STUCK_SHOWN} more in the export.
+              </Text>
+            )}
+          </Stack>
+        )}
+
+        {/* Throughput */}
+        {metrics && (
+          <Stack space="space.100">
+            <Text weight="semibold">Status changes per reviewer per week</Text>
+            {metrics.throughput.reviewers.length === 0 ? (
+              <Text><Em>No reviews in this period.</Em></Text>
+            ) : (
+              <DynamicTable
+                head={{
+                  cells: [
+                    { key: 'reviewer', content: 'Reviewer' },
+                    ...metrics.throughput.weekStarts.map(week => ({ key: `week-${week}`, content: week.substring(5) })),
+                    { key: 'total', content: 'Total' },
+                    { key: 'approvals', content: 'Approvals' }
+                  ]
+                }}
+                rows={metrics.throughput.reviewers.map(reviewer => ({
+                  key: `throughput-${reviewer.accountId}`,
+                  cells: [
+                    { key: 'reviewer', content: <UserName accountId={reviewer.accountId} /> },
+                    ...reviewer.weeks.map((count, index) => ({
+                      key: `week-${metrics.throughput.weekStarts[index]}`,
+                      content: <Text>{count}</Text>
+                    })),
+                    { key: 'total', content: <Strong>{reviewer.total}</Strong> },
+                    { key: 'approvals', content: <Text>{reviewer.approvals}</Text> }
+                  ]
+                }))}
+              />
+            )}
+          </Stack>
+        )}
+      </Stack>
+    </Box>
+  );
+}
@@ -0,0 +1,299 @@
+/**
+ * RedlineAssignmentRulesModal Component
+ *
+ * Editor for the rules that assign a reviewer (and owner) to new Embeds in the
+ * redline queue. A rule matches a Source category (and its subcategories) or a
+ * page space; the first matching rule wins, so order matters. Embeds that
+ * existed before a rule can be assigned in one go with "Assign unassigned
+ * Embeds".
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {string} props.currentUserId - Current user's Confluence accountId
+ * @returns {JSX.Element}
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Text,
+  Em,
+  Modal,
+  ModalTransition,
+  ModalHeader,
+  ModalTitle,
+  ModalBody,
+  ModalFooter,
+  Stack,
+  Inline,
+  Button,
+  Select,
+  Spinner,
+  SectionMessage,
+  DynamicTable,
+  UserPicker
+} from '@forge/react';
+import { StableTextfield } from '../common/StableTextfield';
+import { useCategoriesQuery } from '../../hooks/admin-hooks';
+import {
+  useRedlineAssignmentRulesQuery,
+  useSaveRedlineAssignmentRulesMutation,
+  useApplyRedlineAssignmentRulesMutation
+} from '../../hooks/redline-hooks';
+import { ASSIGNMENT_RULE_TYPES } from '../../utils/redline-assignment-utils';
+
+const TYPE_OPTIONS = [
+  { label: 'Source category', value: ASSIGNMENT_RULE_TYPES.CATEGORY },
+  { label: 'Page space', value: ASSIGNMENT_RULE_TYPES.SPACE }
+];
+
+export function RedlineAssignmentRulesModal({ isOpen, onClose, currentUserId }) {
+  const { data, isLoading, error } = useRedlineAssignmentRulesQuery(isOpen);
+  const { data: categories = [] } = useCategoriesQuery();
+  const saveMutation = useSaveRedlineAssignmentRulesMutation();
+  const applyMutation = useApplyRedlineAssignmentRulesMutation();
+
+  const [rows, setRows] = useState([]);
+  const [hasChanges, setHasChanges] = useState(false);
+  const [message, setMessage] = useState(null);
+  const nextRowId = useRef(0);
+
+  useEffect(() => {
+    if (!isOpen || !data) {
+      return;
+    }
+    setRows(data.rules.map(rule => ({ ...rule, rowId: nextRowId.current++ })));
+    setHasChanges(false);
+  }, [isOpen, data]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setMessage(null);
+      saveMutation.reset();
+      applyMutation.reset();
+    }
+  }, [isOpen]);
+
+  const categoryOptions = categories.map(category => ({ label: category, value: category }));
+
+  const updateRow = (rowId, changes) => {
+    setRows(current => current.map(row => (row.rowId === rowId ? { ...row, ...changes } : row)));
+    setHasChanges(true);
+    setMessage(null);
+  };
+
+  const moveRow = (index, offset) => {
+    const reordered = [...rows];
+    const [row] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, row);
+    setRows(reordered);
+    setHasChanges(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      await saveMutation.mutateAsync({
+        rules: rows.map(({ rowId, ...rule }) => rule),
+        userId: currentUserId
+      });
+      setHasChanges(false);
+      setMessage('Rules saved. They apply to Embeds saved from now on.');
+    } catch (saveError) {
+      // Shown from saveMutation.error below
+    }
+  };
+
+  const handleApply = async () => {
+    try {
+      const result = await applyMutation.mutateAsync({ userId: currentUserId });
+      setMessage(`Assigned ${result.assigned} Embed(s). ${result.unmatched} unassigned Embed(s) match no rule.`);
+    } catch (applyError) {
+      // Shown from applyMutation.error below
+    }
+  };
+
+  return (
+    <ModalTransition>
+      {isOpen && (
+        <Modal onClose={onClose} width="x-large">
+          <ModalHeader>
+            <ModalTitle>Reviewer Assignment Rules</ModalTitle>
+          </ModalHeader>
+          <ModalBody>
+            <Stack space="space.200">
+              <Text>
+                New Embeds are assigned by the first rule that matches their Source's category (or a parent
+                category) or their page's space. Without a matching rule the owner is the category owner and the
+                Embed stays unassigned.
+              </Text>
+
+              {isLoading && <Spinner size="medium" label="Loading assignment rules..." />}
+
+              {error && (
+                <SectionMessage appearance="error">
+                  <Text>Couldn't load assignment rules: {error.message}</Text>
+                </SectionMessage>
+              )}
+
+              {(saveMutation.error || applyMutation.error) && (
+                <SectionMessage appearance="error">
+                  <Text>{(saveMutation.error || applyMutation.error).message}</Text>
+                </SectionMessage>
+              )}
+
+              {message && (
+                <SectionMessage appearance="success">
+                  <Text>{message}</Text>
+                </SectionMessage>
+              )}
+
+              {data && rows.length === 0 && (
+                <Text><Em>No rules yet - new Embeds are unassigned.</Em></Text>
+              )}
+
+              {data && rows.length > 0 && (
+                <DynamicTable
+                  head={{
+                    cells: [
+                      { key: 'type', content: 'Matches', width: 15 },
+                      { key: 'match', content: 'Category / space key', width: 25 },
+                      { key: 'assignee', content: 'Reviewer', width: 20 },
+                      { key: 'owner', content: 'Owner', width: 20 },
+                      { key: 'actions', content: '', width: 20 }
+                    ]
+                  }}
+                  rows={rows.map((row, index) => ({
+                    key: `rule-${row.rowId}`,
+                    cells: [
+                      {
+                        key: 'type',
+                        content: (
+                          <Select
+                            options={TYPE_OPTIONS}
+                            value={TYPE_OPTIONS.find(opt => opt.value === row.type)}
+                            onChange={(e) => e?.value && updateRow(row.rowId, { type: e.value, match: '' })}
+                          />
+                        )
+                      },
+                      {
+                        key: 'match',
+                        content: row.type === ASSIGNMENT_RULE_TYPES.CATEGORY ? (
+                          <Select
+                            options={categoryOptions}
+                            value={categoryOptions.find(opt => opt.value === row.match) || null}
+                            placeholder="Choose a category"
+                            onChange={(e) => e?.value && updateRow(row.rowId, { match: e.value })}
+                          />
+                        ) : (
+                          <StableTextfield
+                            stableKey={`assignment-rule-space-${row.rowId}`}
+                            value={row.match}
+                            onChange={(e) => updateRow(row.rowId, { match: e.target.value })}
+                            placeholder="Space key, e.g. DOCS"
+                          />
+                        )
+                      },
+                      {
+                        key: 'assignee',
+                        content: (
+                          <UserPicker
+                            label=""
+                            name={`assignment-rule-assignee-${row.rowId}`}
+                            placeholder="Reviewer"
+                            defaultValue={row.assigneeId || undefined}
+                            onChange={(user) => updateRow(row.rowId, { assigneeId: user?.id || null })}
+                          />
+                        )
+                      },
+                      {
+                        key: 'owner',
+                        content: (
+                          <UserPicker
+                            label=""
+                            name={`assignment-rule-owner-${row.rowId}`}
+                            placeholder="Category owner"
+                            defaultValue={row.ownerId || undefined}
+                            onChange={(user) => updateRow(row.rowId, { ownerId: user?.id || null })}
+                          />
+                        )
+                      },
+                      {
+                        key: 'actions',
+                        content: (
+                          <Inline space="space.050">
+                            <Button appearance="subtle" spacing="compact" isDisabled={index === 0} onClick={() => moveRow(index, -1)}>
+                              ↑
+                            </Button>
+                            <Button appearance="subtle" spacing="compact" isDisabled={index === rows.length - 1} onClick={() => moveRow(index, 1)}>
+                              ↓
+                            </Button>
+                            <Button
+                              appearance="subtle"
+                              spacing="compact"
+                              onClick={() => {
+                                setRows(rows.filter(r => r.rowId !== row.rowId));
+                                setHasChanges(true);
+                              }}
+                            >
+                              Remove
+                            </Button>
+                          </Inline>
+                        )
+                      }
+                    ]
+                  }))}
+                />
+              )}
+
+              {data && (
+                <Inline space="space.100" alignBlock="center">
+                  <Button
+                    appearance="default"
+                    onClick={() => {
+                      setRows([...rows, {
+                        rowId: nextRowId.current++,
+                        type: ASSIGNMENT_RULE_TYPES.CATEGORY,
+                        match: '',
+                        assigneeId: null,
+                        ownerId: null
+                      }]);
+                      setHasChanges(true);
+                    }}
+                  >
+                    Add rule
+                  </Button>
+                  {data.updatedAt && (
+                    <Text size="small" color="color.text.subtlest">
+                      Last changed {new Date(data.updatedAt).toLocaleString()}
+                    </Text>
+                  )}
+                </Inline>
+              )}
+            </Stack>
+          </ModalBody>
+          <ModalFooter>
+            <Inline space="space.100">
+              <Button appearance="subtle" onClick={onClose}>
+                Close
+              </Button>
+              <Button
+                appearance="default"
+                onClick={handleApply}
+                isDisabled={!data || hasChanges || rows.length === 0 || applyMutation.isPending}
+              >
+                {applyMutation.isPending ? 'Assigning...' : 'Assign unassigned Embeds'}
+              </Button>
+              <Button
+                appearance="primary"
+                onClick={handleSave}
+                isDisabled={!data || !hasChanges || saveMutation.isPending}
+              >
+                {saveMutation.isPending ? 'Saving...' : 'Save rules'}
+              </Button>
+            </Inline>
+          </ModalFooter>
+        </Modal>
+      )}
+    </ModalTransition>
+  );
+}
@@ -7,13 +7,14 @@
  * Part of Phase 4 implementation (Queue Filtering & Sorting UI)
  *
  * Features:
- * - Status filter dropdown (all, reviewable, pre-approved, needs-revision, approved)
- * - Sort dropdown (status, page, source, updated)
+ * - Status filter dropdown (all, or one redline workflow state)
+ * - Reviewer filter dropdown (everyone, my queue, unassigned)
+ * - Sort dropdown (status, page, source, updated, time in status)
  * - Group dropdown (none, status, page, source)
  * - Clear filters button
  *
  * Props:
- * @param {Object} filters - Current filter state { status: [] }
+ * @param {Object} filters - Current filter state { status: [], assignee }
  * @param {Function} onFiltersChange - Callback to update filters
  * @param {string} sortBy - Current sort field
  * @param {Function} onSortChange - Callback to update sort field
@@ -23,6 +24,8 @@
 
 import React, { useCallback } from 'react';
 import { Box, Stack, Inline, Select, Button, Textfield, xcss } from '@forge/react';
+import { useRedlineWorkflowQuery } from '../../hooks/redline-hooks';
+import { DEFAULT_REDLINE_WORKFLOW } from '../../utils/redline-workflow-utils';
 
 // Styles for select dropdowns
 const selectStyles = xcss({
@@ -81,6 +84,8 @@ export function RedlineFilterBar({
   onGroupChange,
   onManualRefresh
 }) {
+  const { data: workflow = DEFAULT_REDLINE_WORKFLOW } = useRedlineWorkflowQuery();
+
   // Search term state
   const [searchTerm, setSearchTerm] = React.useState(filters.searchTerm || '');
   
@@ -97,10 +102,14 @@ export function RedlineFilterBar({
   // Status filter options
   const statusOptions = [
     { label: 'All Statuses', value: 'all' },
-    { label: 'Reviewable', value: 'reviewable' },
-    { label: 'Pre-Approved', value: 'pre-approved' },
-    { label: 'Needs Revision', value: 'needs-revision' },
-    { label: 'Approved', value: 'approved' }
+    ...workflow.states.map(state => ({ label: state.label, value: state.id }))
+  ];
+
+  // Reviewer filter options ('me' is resolved to the current user by getRedlineQueue)
+  const assigneeOptions = [
+    { label: 'All Reviewers', value: 'all' },
+    { label: 'My Queue', value: 'me' },
+    { label: 'Unassigned', value: 'unassigned' }
   ];
 
   // Sort options
@@ -108,7 +117,8 @@ export function RedlineFilterBar({
     { label: 'Sort: Status', value: 'status' },
     { label: 'Sort: Page', value: 'page' },
     { label: 'Sort: Source', value: 'source' },
-    { label: 'Sort: Last Updated', value: 'updated' }
+    { label: 'Sort: Last Updated', value: 'updated' },
+    { label: 'Sort: Longest in Status', value: 'age' }
   ];
 
   // Group options
@@ -127,6 +137,10 @@ export function RedlineFilterBar({
   // Get current status label
   const currentStatusLabel = statusOptions.find(opt => opt.value === currentStatus)?.label || 'All Statuses';
 
+  // Get current reviewer filter value and label (a specific reviewer comes from the workload counts)
+  const currentAssignee = filters.assignee || 'all';
+  const currentAssigneeLabel = assigneeOptions.find(opt => opt.value === currentAssignee)?.label || 'One Reviewer';
+
   // Get current sort label
   const currentSortLabel = sortOptions.find(opt => opt.value === sortBy)?.label || 'Sort: Status';
 
@@ -143,6 +157,10 @@ export function RedlineFilterBar({
     }
   };
 
+  const handleAssigneeChange = (e) => {
+    onFiltersChange({ ...filters, assignee: e.value === 'all' ? undefined : e.value });
+  };
+
   const handleSortChange = (e) => {
     onSortChange(e.value);
   };
@@ -184,6 +202,15 @@ export function RedlineFilterBar({
             />
           </Box>
 
+          {/* Reviewer Filter */}
+          <Box xcss={selectStyles}>
+            <Select
+              options={assigneeOptions}
+              value={{ label: currentAssigneeLabel, value: currentAssignee }}
+              onChange={handleAssigneeChange}
+            />
+          </Box>
+
           {/* Sort By */}
           <Box xcss={selectStyles}>
             <Select
@@ -7,9 +7,15 @@
  * Features:
  * - Embed metadata (page title, source name, local ID)
  * - Status badge (color-coded by status)
+ * - Time in status against its SLA threshold (overdue cards get a red border)
  * - Approval info with user avatar (if approved)
+ * - Reviewer and owner, with reassignment
+ * - Review discussion (open thread count, full thread in a modal)
  * - Variables preview
- * - Action buttons (Preview, Mark Approved, Needs Revision)
+ * - Paragraph override flag (the preview marks overridden paragraphs with ✎)
+ * - Action buttons: one per redline workflow transition out of the Embed's status
+ *   (the backend checks who may perform it). An action's comment is saved to the
+ *   review discussion and also posted on the page when possible
  * - Preview modal with ADF content
  *
  * Props:
@@ -41,36 +47,43 @@ import {
   Icon,
   xcss,
   Pressable,
-  TextArea
+  TextArea,
+  UserPicker
 } from '@forge/react';
 import { router } from '@forge/bridge';
-import { useConfluenceUserQuery, useSetRedlineStatusMutation, usePostRedlineCommentMutation } from '../../hooks/redline-hooks';
-import { EmbedViewMode } from '../embed/EmbedViewMode';
 import {
-  cleanAdfForRenderer,
-  filterContentByToggles,
-  substituteVariablesInAdf,
-  insertCustomParagraphsInAdf,
-  insertInternalNotesInAdf
-} from '../../utils/adf-rendering-utils';
-
-// Card styling - dynamic background based on status
-const getCardStyles = (status) => {
-  // Map status to background colors matching lozenge appearances
+  useConfluenceUserQuery,
+  useSetRedlineStatusMutation,
+  useAddReviewCommentMutation,
+  useSetRedlineAssigneeMutation,
+  useRedlineWorkflowQuery
+} from '../../hooks/redline-hooks';
+import {
+  DEFAULT_REDLINE_WORKFLOW,
+  getRedlineState,
+  getAvailableRedlineTransitions
+} from '../../utils/redline-workflow-utils';
+import { EmbedViewMode } from '../embed/EmbedViewMode';
+import { ReviewThreadPanel } from '../common/ReviewThreadPanel';
+
+// Card styling - dynamic background based on the status's lozenge appearance
+const getCardStyles = (appearance, isOverdue) => {
+  // Map lozenge appearances to background colors
   const backgroundColors = {
-    'reviewable': 'color.background.discovery',
-    'pre-approved': 'color.background.information',
-    'needs-revision': 'color.background.danger',
-    'approved': 'color.background.success'
+    'new': 'color.background.discovery',
+    'inprogress': 'color.background.information',
+    'removed': 'color.background.danger',
+    'success': 'color.background.success',
+    'moved': 'color.background.warning'
   };
 
   return xcss({
-    backgroundColor: backgroundColors[status] || 'color.background.neutral',
+    backgroundColor: backgroundColors[appearance] || 'color.background.neutral',
     padding: 'space.200',
     borderRadius: 'border.radius',
-    borderWidth: 'border.width',
+    borderWidth: isOverdue ? 'border.width.outline' : 'border.width',
     borderStyle: 'solid',
-    borderColor: 'color.border',
+    borderColor: isOverdue ? 'color.border.danger' : 'color.border',
     width: '100%'
   });
 };
@@ -137,29 +150,25 @@ function formatDate(isoString) {
   }
 }
 
-// Status badge component
-function RedlineStatusBadge({ status }) {
-  const appearances = {
-    'reviewable': 'new',
-    'pre-approved': 'inprogress',
-    'needs-revision': 'removed',
-    'approved': 'success'
-  };
-
-  const labels = {
-    'reviewable': 'Reviewable',
-    'pre-approved': 'Pre-Approved',
-    'needs-revision': 'Needs Revision',
-    'approved': 'Approved'
-  };
-
+// Status badge component (label and colour from the redline workflow)
+function RedlineStatusBadge({ state }) {
   return (
-    <Lozenge appearance={appearances[status] || 'default'}>
-      {labels[status] || status}
+    <Lozenge appearance={state.appearance || 'default'}>
+      {state.label}
     </Lozenge>
   );
 }
 
+// Action button appearance from the target state's colour
+const getTransitionButtonAppearance = (state) => {
+  if (state.appearance === 'success') return 'primary';
+  if (state.appearance === 'removed') return 'danger';
+  return 'default';
+};
+
+// History reason for a status change
+const describeStatusChange = (state) => `Moved to ${state.label}`;
+
 // Isolated TextArea component to prevent cursor jumping
 // Uses uncontrolled component pattern with ref to maintain cursor position
 // Exposes ref via forwardRef so parent can read current value
@@ -208,12 +217,20 @@ const CommentTextArea = React.memo(CommentTextAreaComponent, (prevProps, nextPro
 
 function RedlineQueueCardComponent({ embedData, currentUserId, onStatusChange }) {
   const [showExpandedModal, setShowExpandedModal] = useState(false);
-  const [activeCommentAction, setActiveCommentAction] = useState(null); // 'approved' | 'pre-approved' | 'needs-revision' | null
+  const [activeCommentAction, setActiveCommentAction] = useState(null); // Target status of the chosen transition, or null
   const [commentText, setCommentText] = useState('');
   const [postedCommentId, setPostedCommentId] = useState(null); // Track successfully posted comment
   const [commentError, setCommentError] = useState(null); // Track comment posting errors
+  const [statusError, setStatusError] = useState(null); // Status change refused by the workflow (or failed)
+  const [isReassigning, setIsReassigning] = useState(false);
+  const [showDiscussion, setShowDiscussion] = useState(false);
   const setStatusMutation = useSetRedlineStatusMutation();
-  const postCommentMutation = usePostRedlineCommentMutation();
+  const postCommentMutation = useAddReviewCommentMutation();
+  const setAssigneeMutation = useSetRedlineAssigneeMutation();
+  const { data: workflow = DEFAULT_REDLINE_WORKFLOW } = useRedlineWorkflowQuery();
+  const currentState = getRedlineState(workflow, embedData.redlineStatus);
+  const transitions = getAvailableRedlineTransitions(workflow, embedData.redlineStatus);
+  const activeTransition = transitions.find(transition => transition.to === activeCommentAction) || null;
   
   // Ref to access TextArea DOM element directly to read current value
   const commentTextAreaRef = React.useRef(null);
@@ -221,11 +238,16 @@ function RedlineQueueCardComponent({ embedData, currentUserId, onStatusChange })
   // Fetch approver user data if this Embed is approved
   const { data: approver } = useConfluenceUserQuery(embedData.approvedBy);
 
+  // Reviewer and owner names
+  const { data: assignee } = useConfluenceUserQuery(embedData.assignee);
+  const { data: owner } = useConfluenceUserQuery(embedData.owner);
+
   // Reset comment text, posted comment ID, and error when action changes
   useEffect(() => {
     setCommentText('');
     setPostedCommentId(null);
     setCommentError(null);
+    setStatusError(null);
   }, [activeCommentAction]);
 
   // Memoize onChange handler to prevent TextArea recreation
@@ -233,21 +255,41 @@ function RedlineQueueCardComponent({ embedData, currentUserId, onStatusChange })
     setCommentText(e.target.value);
   }, []);
 
-  const handleStatusChange = async (newStatus, reason) => {
+  // Returns false when the status change was refused or failed (the reason is shown on the card)
+  const handleStatusChange = async (newStatus, reason, comment) => {
     try {
       await setStatusMutation.mutateAsync({
         localId: embedData.localId,
         status: newStatus,
         userId: currentUserId,
-        reason
+        reason,
+        comment
       });
+      setStatusError(null);
 
       // Call optional callback
       if (onStatusChange) {
         onStatusChange(embedData.localId, newStatus);
       }
+      return true;
     } catch (error) {
       console.error('[RedlineQueueCard] Failed to set status:', error);
+      setStatusError(error.message || String(error));
+      return false;
+    }
+  };
+
+  const handleAssign = async (assigneeId) => {
+    try {
+      await setAssigneeMutation.mutateAsync({
+        localId: embedData.localId,
+        assigneeId,
+        userId: currentUserId,
+        reason: assigneeId === currentUserId ? 'Picked up via redline queue' : 'Reassigned via redline queue'
+      });
+      setIsReassigning(false);
+    } catch (error) {
+      console.error('[RedlineQueueCard] Failed to assign reviewer:', error);
       // Error handling is done by the mutation hook
     }
   };
@@ -262,49 +304,48 @@ function RedlineQueueCardComponent({ embedData, currentUserId, onStatusChange })
       const currentCommentText = commentTextAreaRef.current?.value || commentText || '';
       const trimmedCommentText = currentCommentText.trim();
 
-      // Post inline comment if comment text provided
+      // Update redline status first - the workflow may refuse it, and then nothing is posted
+      const action = describeStatusChange(getRedlineState(workflow, status));
+      const reason = trimmedCommentText
+        ? `${action}: ${trimmedCommentText}`
+        : `${action} via redline queue`;
+
+      if (!(await handleStatusChange(status, reason, trimmedCommentText))) {
+        // Keep the form (and the comment) so the user can see why and try again
+        return;
+      }
+
+      // Then save the comment to the review discussion, and post it on the page as an inline comment
       if (trimmedCommentText) {
         try {
           commentResult = await postCommentMutation.mutateAsync({
             localId: embedData.localId,
+            body: trimmedCommentText,
+            mirrorToConfluence: !!embedData.pageId,
             pageId: embedData.pageId,
-            commentText: trimmedCommentText,
             userId: currentUserId
           });
-
-          // Store the comment ID for "View Comment" link
-          if (commentResult && commentResult.commentId) {
-            setPostedCommentId(commentResult.commentId);
-            setCommentError(null); // Clear any previous errors
-          }
         } catch (commentErr) {
-          // Check if error is due to missing text placement
-          const errorMessage = commentErr.message || String(commentErr);
-          console.error('[RedlineQueueCard] Comment posting failed:', errorMessage);
-
-          if (errorMessage.includes('Could not find suitable text near Embed')) {
-            // Show specific error for missing text placement
-            setCommentError('NO_PLACEMENT_TEXT');
-          } else {
-            // Show generic error for other failures
-            setCommentError('GENERIC');
-          }
-
-          // Don't proceed with status change if comment was required but failed
-          // User can see the error and try again
+          console.error('[RedlineQueueCard] Saving comment failed:', commentErr.message || String(commentErr));
+          setCommentError('GENERIC');
           return;
         }
-      }
 
-      // Then update redline status
-      const reason = trimmedCommentText
-        ? `${status === 'approved' ? 'Approved' : status === 'pre-approved' ? 'Marked as pre-approved' : 'Flagged for revision'}: ${trimmedCommentText}`
-        : `${status === 'approved' ? 'Approved' : status === 'pre-approved' ? 'Marked as pre-approved' : 'Flagged for revision'} via redline queue`;
-
-      await handleStatusChange(status, reason);
+        // Store the comment ID for "View Comment" link
+        if (commentResult.mirror?.commentId) {
+          setPostedCommentId(commentResult.mirror.commentId);
+          setCommentError(null); // Clear any previous errors
+        } else if (commentResult.mirror?.error) {
+          // The comment is in the discussion - only the page copy is missing
+          console.warn('[RedlineQueueCard] Inline comment not posted:', commentResult.mirror.error);
+          setCommentError(commentResult.mirror.error.includes('Could not find suitable text near Embed')
+            ? 'NO_PLACEMENT_TEXT'
+            : 'NOT_ON_PAGE');
+        }
+      }
 
-      // Only clear form if no comment was posted (if comment was posted, keep form to show "View Comment" link)
-      if (!commentResult) {
+      // Only clear form if nothing was posted to the page (keep it to show "View Comment" or the warning)
+      if (!commentResult?.mirror) {
         setActiveCommentAction(null);
         setCommentText('');
       }
@@ -339,7 +380,7 @@ function RedlineQueueCardComponent({ embedData, currentUserId, onStatusChange })
   // Render preview content using EmbedViewMode
   const renderPreview = () => {
     // Check for synced content (ADF document)
-    let rawContent = embedData.syncedContent || embedData.cachedContent;
+    const rawContent = embedData.syncedContent || embedData.cachedContent;
 
     if (!rawContent) {
       return (
@@ -352,31 +393,8 @@ function RedlineQueueCardComponent({ embedData, currentUserId, onStatusChange })
       );
     }
 
-    // Process the content through the same pipeline as EmbedContainer.jsx
-    const isAdf = rawContent && typeof rawContent === 'object' && rawContent.type === 'doc';
-
-    let processedContent = rawContent;
-    if (isAdf) {
-      // TODO: Fix for GitHub issue #2 - Free Write paragraph insertion position with enabled toggles
-      // FIX: Insert custom paragraphs BEFORE toggle filtering (same as EmbedContainer.jsx fix above)
-      // This is less critical here since it's admin view-only, but should be consistent.
-      //
-      // COMMENTED OUT FIX (to be tested):
-      // // Apply transformations in order: variables → custom insertions → internal notes → toggles → clean
-      // processedContent = substituteVariablesInAdf(processedContent, embedData.variableValues || {});
-      // processedContent = insertCustomParagraphsInAdf(processedContent, embedData.customInsertions || []);
-      // processedContent = insertInternalNotesInAdf(processedContent, embedData.internalNotes || []);
-      // processedContent = filterContentByToggles(processedContent, embedData.toggleStates || {});
-      // processedContent = cleanAdfForRenderer(processedContent);
-      
-      // CURRENT (BUGGY) BEHAVIOR:
-      // Apply transformations in order: toggles → variables → custom insertions → internal notes → clean
-      processedContent = filterContentByToggles(processedContent, embedData.toggleStates || {});
-      processedContent = substituteVariablesInAdf(processedContent, embedData.variableValues || {});
-      processedContent = insertCustomParagraphsInAdf(processedContent, embedData.customInsertions || []);
-      processedContent = insertInternalNotesInAdf(processedContent, embedData.internalNotes || []);
-      processedContent = cleanAdfForRenderer(processedContent);
-    }
+    // Rendered server-side by getRedlineQueue (renderEmbed - same pipeline as the Embed's cache)
+    const processedContent = embedData.renderedContent || rawContent;
 
     // Create a minimal excerpt object for EmbedViewMode
     const mockExcerpt = {
@@ -418,7 +436,7 @@ function RedlineQueueCardComponent({ embedData, currentUserId, onStatusChange })
 
   return (
     <>
-      <Box xcss={getCardStyles(embedData.redlineStatus)}>
+      <Box xcss={getCardStyles(currentState.appearance, embedData.aging?.overdue)}>
         <Inline space="space.0" alignBlock="start" shouldWrap={false}>
           {/* Left side: Metadata only (25%) */}
           <Box xcss={leftSideStyles}>
@@ -426,7 +444,7 @@ function RedlineQueueCardComponent({ embedData, currentUserId, onStatusChange })
               <Stack space="space.100">
                 {/* Status Badge */}
                 <Box>
-                  <RedlineStatusBadge space="space.100" status={embedData.redlineStatus} />
+                  <RedlineStatusBadge state={currentState} />
                 </Box>
 
                 {/* Page Title link in small heading */}
@@ -447,6 +465,29 @@ function RedlineQueueCardComponent({ embedData, currentUserId, onStatusChange })
                   Updated: {embedData.lastSynced ? formatDate(embedData.lastSynced) : 'Never'}
                 </Text>
 
+                {/* Time in status (against its SLA threshold, when there is one) */}
+                {embedData.aging?.ageDays !== null && embedData.aging?.ageDays !== undefined && (
+                  <Inline space="space.050" shouldWrap>
+                    <Lozenge appearance={embedData.aging.overdue ? 'removed' : 'default'}>
+                      ⏱ {embedData.aging.ageDays}d in {currentState.label}
+                      {embedData.aging.thresholdDays ? ` (SLA ${embedData.aging.thresholdDays}d)` : ''}
+                    </Lozenge>
+                    {embedData.aging.overdue && (
+                      <Lozenge appearance="removed" isBold>Overdue by {embedData.aging.overdueDays}d</Lozenge>
+                    )}
+                  </Inline>
+                )}
+
+                {/* Paragraph overrides (Embed-specific wording, marked ✎ in the preview) */}
+                {embedData.blockOverrides?.length > 0 && (
+                  <Inline space="space.050" shouldWrap>
+                    <Lozenge appearance="moved">✎ {embedData.blockOverrides.length} overridden paragraph(s)</Lozenge>
+                    {embedData.blockOverrides.some(override => override.conflict) && (
+                      <Lozenge appearance="removed">Override may be outdated</Lozenge>
+                    )}
+                  </Inline>
+                )}
+
                 {/* Approval Info (if approved) */}
                 {embedData.approvedBy && (
                   <Box backgroundColor="color.background.success.subtle" padding="space.100">
@@ -462,6 +503,59 @@ function RedlineQueueCardComponent({ embedData, currentUserId, onStatusChange })
                 )}
               </Stack>
 
+              {/* Reviewer and owner */}
+              <Stack space="space.050">
+                <Text size="small">
+                  👤 Reviewer: {embedData.assignee
+                    ? (assignee ? assignee.displayName : `user ${embedData.assignee}`)
+                    : 'Unassigned'}
+                </Text>
+                {embedData.owner && (
+                  <Text size="small" color="color.text.subtlest">
+                    Owner: {owner ? owner.displayName : `user ${embedData.owner}`}
+                  </Text>
+                )}
+                {isReassigning ? (
+                  <Stack space="space.050">
+                    <UserPicker
+                      label=""
+                      name={`redline-assignee-${embedData.localId}`}
+                      placeholder="Choose a reviewer"
+                      isDisabled={setAssigneeMutation.isPending}
+                      onChange={(user) => user?.id && handleAssign(user.id)}
+                    />
+                    <Inline space="space.050">
+                      {embedData.assignee && (
+                        <Button appearance="subtle" spacing="compact" onClick={() => handleAssign(null)} isDisabled={setAssigneeMutation.isPending}>
+                          Unassign
+                        </Button>
+                      )}
+                      <Button appearance="subtle" spacing="compact" onClick={() => setIsReassigning(false)}>
+                        Cancel
+                      </Button>
+                    </Inline>
+                  </Stack>
+                ) : (
+                  <Inline space="space.050" shouldWrap>
+                    {embedData.assignee !== currentUserId && (
+                      <Button appearance="subtle" spacing="compact" onClick={() => handleAssign(currentUserId)} isDisabled={setAssigneeMutation.isPending}>
+                        Assign to me
+                      </Button>
+                    )}
+                    <Button appearance="subtle" spacing="compact" onClick={() => setIsReassigning(true)}>
+                      Reassign
+                    </Button>
+                  </Inline>
+                )}
+              </Stack>
+
+              {/* Review discussion */}
+              <Button appearance="subtle" spacing="compact" onClick={() => setShowDiscussion(true)}>
+                💬 Discussion{embedData.reviewThread?.total > 0
+                  ? ` (${embedData.reviewThread.open} open)`
+                  : ''}
+              </Button>
+
               {/* Loading state for mutations */}
               {setStatusMutation.isPending && (
                 <Text size="small" color="color.text.subtlest">
@@ -479,31 +573,23 @@ function RedlineQueueCardComponent({ embedData, currentUserId, onStatusChange })
           {/* Right side: Action buttons (25%) */}
           <Box xcss={rightSideStyles}>
             {!activeCommentAction ? (
-              // Show all action buttons when no comment form is active
+              // Show one button per workflow transition when no comment form is active
               <Stack space="space.100">
-                <Button
-                  appearance="primary"
-                  onClick={() => setActiveCommentAction('approved')}
-                  isDisabled={embedData.redlineStatus === 'approved' || setStatusMutation.isPending}
-                >
-                  👍 Approve
-                </Button>
-
-                <Button
-                  appearance="default"
-                  onClick={() => setActiveCommentAction('pre-approved')}
-                  isDisabled={embedData.redlineStatus === 'pre-approved' || setStatusMutation.isPending}
-                >
-                  👌 Pre-Approved
-                </Button>
-
-                <Button
-                  appearance="danger"
-                  onClick={() => setActiveCommentAction('needs-revision')}
-                  isDisabled={setStatusMutation.isPending}
-                >
-                  👎 Needs Revision
-                </Button>
+                {transitions.map(transition => (
+                  <Button
+                    key={transition.to}
+                    appearance={getTransitionButtonAppearance(getRedlineState(workflow, transition.to))}
+                    onClick={() => setActiveCommentAction(transition.to)}
+                    isDisabled={setStatusMutation.isPending}
+                  >
+                    {transition.label}
+                  </Button>
+                ))}
+                {transitions.length === 0 && (
+                  <Text size="small" color="color.text.subtlest">
+                    The workflow has no way out of {currentState.label}.
+                  </Text>
+                )}
               </Stack>
             ) : (
               // Show comment form for active action
@@ -512,7 +598,8 @@ function RedlineQueueCardComponent({ embedData, currentUserId, onStatusChange })
                   // Show error state after failed comment posting
                   <>
                     <Text size="small" color="color.text.danger" weight="semibold">
-                      {commentError === 'NO_PLACEMENT_TEXT' && '❌ Comment Failed: No text found near Embed for comment placement'}
+                      {commentError === 'NO_PLACEMENT_TEXT' && '⚠️ Saved to the discussion, but not posted on the page: no text found near Embed for comment placement'}
+                      {commentError === 'NOT_ON_PAGE' && '⚠️ Saved to the discussion, but not posted on the page: see console for details'}
                       {commentError === 'GENERIC' && '❌ Comment Failed: See console for details'}
                     </Text>
                     <Button
@@ -524,39 +611,40 @@ function RedlineQueueCardComponent({ embedData, currentUserId, onStatusChange })
                         setCommentError(null);
                       }}
                     >
-                      Cancel
+                      {commentError === 'GENERIC' ? 'Cancel' : 'Done'}
                     </Button>
                   </>
                 ) : !postedCommentId ? (
                   // Show normal input form
                   <>
-                     <Text size="small" weight="semibold">
-                       {activeCommentAction === 'approved' && 'Add approval comment (optional):'}
-                       {activeCommentAction === 'pre-approved' && 'Add comment (optional):'}
-                       {activeCommentAction === 'needs-revision' && 'Add revision comment (optional):'}
-                     </Text>
+                    {statusError && (
+                      <Text size="small" color="color.text.danger" weight="semibold">
+                        ❌ {statusError}
+                      </Text>
+                    )}
+                    <Text size="small" weight="semibold">
+                      {activeTransition?.requireComment ? 'Add comment (required):' : 'Add comment (optional):'}
+                    </Text>
                     <CommentTextArea
                       ref={commentTextAreaRef}
                       value={commentText}
                       onChange={handleCommentChange}
-                      placeholder="Enter comment to post on Confluence page..."
+                      placeholder="Enter comment for the review discussion and the Confluence page..."
                       localId={embedData.localId}
                       actionType={activeCommentAction}
                     />
-                     <Button
-                       appearance={
-                         activeCommentAction === 'approved' ? 'primary' :
-                         activeCommentAction === 'pre-approved' ? 'default' :
-                         'danger'
-                       }
-                       onClick={() => handleSubmitWithComment(activeCommentAction)}
-                       isDisabled={setStatusMutation.isPending || postCommentMutation.isPending}
-                     >
-                       {postCommentMutation.isPending ? 'Posting...' :
-                        activeCommentAction === 'approved' ? '👍 Approve' :
-                        activeCommentAction === 'pre-approved' ? '👌 Pre-Approved' :
-                        '👎 Needs Revision'}
-                     </Button>
+                    <Button
+                      appearance={getTransitionButtonAppearance(getRedlineState(workflow, activeCommentAction))}
+                      onClick={() => handleSubmitWithComment(activeCommentAction)}
+                      isDisabled={
+                        setStatusMutation.isPending ||
+                        postCommentMutation.isPending ||
+                        (activeTransition?.requireComment && !commentText.trim())
+                      }
+                    >
+                      {postCommentMutation.isPending ? 'Posting...' :
+                       activeTransition?.label || getRedlineState(workflow, activeCommentAction).label}
+                    </Button>
                     <Button
                       appearance="subtle"
                       onClick={() => {
@@ -640,6 +728,31 @@ function RedlineQueueCardComponent({ embedData, currentUserId, onStatusChange })
           </Modal>
         )}
       </ModalTransition>
+
+      {/* Review discussion */}
+      <ModalTransition>
+        {showDiscussion && (
+          <Modal onClose={() => setShowDiscussion(false)} width="large">
+            <ModalHeader>
+              <ModalTitle>
+                Review Discussion: {embedData.sourceName} on {embedData.pageTitle || 'Unknown Page'}
+              </ModalTitle>
+            </ModalHeader>
+            <ModalBody>
+              <ReviewThreadPanel
+                localId={embedData.localId}
+                pageId={embedData.pageId}
+                currentUserId={currentUserId}
+              />
+            </ModalBody>
+            <ModalFooter>
+              <Button appearance="subtle" onClick={() => setShowDiscussion(false)}>
+                Close
+              </Button>
+            </ModalFooter>
+          </Modal>
+        )}
+      </ModalTransition>
     </>
   );
 }
@@ -662,6 +775,12 @@ export const RedlineQueueCard = React.memo(RedlineQueueCardComponent, (prevProps
     prevEmbed.sourceName === nextEmbed.sourceName &&
     prevEmbed.approvedBy === nextEmbed.approvedBy &&
     prevEmbed.approvedAt === nextEmbed.approvedAt &&
+    prevEmbed.assignee === nextEmbed.assignee &&
+    prevEmbed.owner === nextEmbed.owner &&
+    prevEmbed.reviewThread?.total === nextEmbed.reviewThread?.total &&
+    prevEmbed.reviewThread?.open === nextEmbed.reviewThread?.open &&
+    prevEmbed.aging?.ageDays === nextEmbed.aging?.ageDays &&
+    prevEmbed.aging?.overdue === nextEmbed.aging?.overdue &&
     prevEmbed.lastSynced === nextEmbed.lastSynced &&
     prevProps.currentUserId === nextProps.currentUserId &&
     prevProps.onStatusChange === nextProps.onStatusChange
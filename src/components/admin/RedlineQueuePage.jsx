@@ -9,6 +9,13 @@
  * - Filter/sort/group controls ✓ Phase 4
  * - List of Embed instances with status badges ✓ Phase 5
  * - Status change actions ✓ Phase 5
+ * - Reviewer assignment: bulk assignment of the filtered queue and the
+ *   auto-assignment rules
+ * - Redline workflow editor (states, transitions, who may perform them)
+ * - Aging view: time-in-status metrics, SLA thresholds (overdue cards are
+ *   highlighted) and the report export
+ * - Pages of the queue loaded on demand from the redline index (with a prompt
+ *   to build the index when it never has been)
  *
  * Implementation phases:
  * - Phase 2: Stub component ✓
@@ -18,12 +25,22 @@
  * - Phase 6: Complete queue view with grouping (next)
  */
 
-import React, { useState } from 'react';
-import { Box, Stack, Heading, Text, Spinner, Inline, Button, xcss } from '@forge/react';
+import React, { useState, useEffect } from 'react';
+import { Box, Stack, Heading, Text, Spinner, Inline, Button, UserPicker, SectionMessage, xcss } from '@forge/react';
+import { invoke } from '@forge/bridge';
 import { useQueryClient } from '@tanstack/react-query';
 import { RedlineStatsBar } from './RedlineStatsBar';
 import { RedlineQueueCard } from './RedlineQueueCard';
-import { useRedlineQueueQuery } from '../../hooks/redline-hooks';
+import { RedlineAssignmentRulesModal } from './RedlineAssignmentRulesModal';
+import { RedlineWorkflowModal } from './RedlineWorkflowModal';
+import { RedlineAgingPanel } from './RedlineAgingPanel';
+import {
+  useRedlineQueueQuery,
+  useBulkSetRedlineAssigneeMutation,
+  useRedlineWorkflowQuery,
+  useRebuildRedlineIndexMutation
+} from '../../hooks/redline-hooks';
+import { getRedlineState } from '../../utils/redline-workflow-utils';
 import { useCurrentUserQuery } from '../../hooks/admin-hooks';
 
 // Full-width container style
@@ -32,52 +49,102 @@ const fullWidthContainerStyle = xcss({
   maxWidth: '100%'
 });
 
+// Progress poll interval while the redline index rebuilds
+const REBUILD_POLL_MS = 2000;
+
+// Bulk assignment picker width
+const bulkAssigneePickerStyle = xcss({
+  minWidth: '260px'
+});
+
 export function RedlineQueuePage() {
   // Phase 4: Filter, sort, and group state management
   const [filters, setFilters] = useState({ status: ['all'], searchTerm: '' });
   const [sortBy, setSortBy] = useState('status');
   const [groupBy, setGroupBy] = useState(null);
 
-  // Phase 5: Pagination state
-  const [itemsToShow, setItemsToShow] = useState(10);
-  const ITEMS_PER_PAGE = 10;
+  // Reviewer assignment state
+  const [bulkAssigneeId, setBulkAssigneeId] = useState(null);
+  const [bulkAssignResult, setBulkAssignResult] = useState(null);
+  const [isAssignmentRulesOpen, setIsAssignmentRulesOpen] = useState(false);
+  const [isWorkflowOpen, setIsWorkflowOpen] = useState(false);
+  const [isAgingOpen, setIsAgingOpen] = useState(false);
+  const bulkAssignMutation = useBulkSetRedlineAssigneeMutation();
+
+  // Redline index rebuild state
+  const [rebuildProgressId, setRebuildProgressId] = useState(null);
+  const [rebuildStatus, setRebuildStatus] = useState(null);
+  const rebuildMutation = useRebuildRedlineIndexMutation();
 
   // Query client for manual refresh
   const queryClient = useQueryClient();
 
   // Phase 5: Fetch queue data and current user
-  const { data: queueData, isLoading: queueLoading, error: queueError } = useRedlineQueueQuery(
+  const {
+    data: queueData,
+    isLoading: queueLoading,
+    error: queueError,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useRedlineQueueQuery(
     filters,
     sortBy,
     groupBy
   );
   const { data: currentUserId, isLoading: userLoading } = useCurrentUserQuery();
+  const { data: workflow } = useRedlineWorkflowQuery();
 
   const isLoading = queueLoading || userLoading;
 
-  // Reset pagination when filters/sort/group changes
-  const resetPagination = () => {
-    setItemsToShow(10);
-  };
-
-  // Handle filter changes with pagination reset
+  // Filters, sort and group are part of the queue query key, so a change starts again from the first page
   const handleFiltersChange = (newFilters) => {
     setFilters(newFilters);
-    resetPagination();
   };
 
   const handleSortChange = (newSort) => {
     setSortBy(newSort);
-    resetPagination();
   };
 
   const handleGroupChange = (newGroup) => {
     setGroupBy(newGroup);
-    resetPagination();
   };
 
   const handleLoadMore = () => {
-    setItemsToShow(prev => prev + ITEMS_PER_PAGE);
+    fetchNextPage();
+  };
+
+  // Follow an index rebuild until it finishes, then reload the queue (each new
+  // progress record re-runs this effect and schedules the next poll)
+  useEffect(() => {
+    if (!rebuildProgressId) {
+      return undefined;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const result = await invoke('getCheckProgress', { progressId: rebuildProgressId });
+        const progress = result?.progress;
+        setRebuildStatus(progress || null);
+        if (!progress || progress.phase === 'complete' || progress.phase === 'error') {
+          setRebuildProgressId(null);
+          queryClient.invalidateQueries({ queryKey: ['redlineQueue'] });
+        }
+      } catch (err) {
+        console.error('Error polling redline index rebuild:', err);
+        setRebuildProgressId(null);
+      }
+    }, REBUILD_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [rebuildProgressId, rebuildStatus]);
+
+  const handleRebuildIndex = async () => {
+    try {
+      const { progressId } = await rebuildMutation.mutateAsync();
+      setRebuildStatus({ phase: 'queued', percent: 0, status: 'Redline index rebuild queued...' });
+      setRebuildProgressId(progressId);
+    } catch (rebuildError) {
+      // Shown from rebuildMutation.error below
+    }
   };
 
   // Manual refresh handler - immediately invalidates queue to see updated sort order
@@ -87,6 +154,29 @@ export function RedlineQueuePage() {
     queryClient.invalidateQueries({ queryKey: ['redlineStats'] });
   };
 
+  // Show only overdue Embeds, longest in status first
+  const handleShowOverdue = () => {
+    handleFiltersChange({ ...filters, overdue: true });
+    setSortBy('age');
+  };
+
+  // Assign every Embed matching the current filters (not just the loaded pages of cards)
+  const handleBulkAssign = async () => {
+    if (!bulkAssigneeId || !queueData?.embeds?.length) {
+      return;
+    }
+    try {
+      const result = await bulkAssignMutation.mutateAsync({
+        filters,
+        assigneeId: bulkAssigneeId,
+        userId: currentUserId
+      });
+      setBulkAssignResult(`Assigned ${result.updated} Embed(s)${result.failed > 0 ? `, ${result.failed} failed` : ''}.`);
+    } catch (error) {
+      setBulkAssignResult(`Bulk assignment failed: ${error.message}`);
+    }
+  };
+
   return (
     <Box xcss={fullWidthContainerStyle}>
       <Stack space="space.200">
@@ -101,6 +191,75 @@ export function RedlineQueuePage() {
           onManualRefresh={handleManualRefresh}
         />
 
+        {/* Reviewer assignment */}
+        <Inline space="space.100" alignBlock="center" shouldWrap>
+          <Box xcss={bulkAssigneePickerStyle}>
+            <UserPicker
+              label=""
+              name="redline-bulk-assignee"
+              placeholder="Assign the filtered Embeds to..."
+              onChange={(user) => {
+                setBulkAssigneeId(user?.id || null);
+                setBulkAssignResult(null);
+              }}
+            />
+          </Box>
+          <Button
+            appearance="default"
+            onClick={handleBulkAssign}
+            isDisabled={!bulkAssigneeId || !queueData?.embeds?.length || bulkAssignMutation.isPending}
+          >
+            {bulkAssignMutation.isPending ? 'Assigning...' : 'Assign all matching Embeds'}
+          </Button>
+          <Button appearance="subtle" onClick={() => setIsAssignmentRulesOpen(true)}>
+            Assignment Rules
+          </Button>
+          <Button appearance="subtle" onClick={() => setIsWorkflowOpen(true)}>
+            Workflow
+          </Button>
+          <Button appearance={isAgingOpen ? 'primary' : 'subtle'} onClick={() => setIsAgingOpen(!isAgingOpen)}>
+            📈 Aging &amp; SLAs
+          </Button>
+          {bulkAssignResult && <Text size="small">{bulkAssignResult}</Text>}
+        </Inline>
+
+        {isAgingOpen && (
+          <RedlineAgingPanel
+            currentUserId={currentUserId}
+            onShowOverdue={handleShowOverdue}
+          />
+        )}
+
+        {/* Redline index: never built, or being rebuilt */}
+        {((queueData && !queueData.indexMeta) || rebuildStatus || rebuildMutation.error) && (
+          <SectionMessage
+            appearance={rebuildMutation.error || rebuildStatus?.phase === 'error' ? 'error' : (rebuildStatus?.phase === 'complete' ? 'success' : 'information')}
+          >
+            <Stack space="space.100">
+              {rebuildMutation.error && <Text>{rebuildMutation.error.message}</Text>}
+              {rebuildStatus ? (
+                <Text>
+                  {rebuildStatus.phase === 'complete' || rebuildStatus.phase === 'error'
+                    ? rebuildStatus.status
+                    : `${rebuildStatus.status} (${rebuildStatus.percent || 0}%)`}
+                </Text>
+              ) : (
+                <Text>
+                  The queue reads the redline index, which hasn't been built yet: Embeds only appear once they are saved
+                  or change status. Build the index to bring in every existing Embed.
+                </Text>
+              )}
+              {!rebuildProgressId && queueData && !queueData.indexMeta && (
+                <Box>
+                  <Button appearance="primary" onClick={handleRebuildIndex} isDisabled={rebuildMutation.isPending}>
+                    Build redline index
+                  </Button>
+                </Box>
+              )}
+            </Stack>
+          </SectionMessage>
+        )}
+
         {/* Phase 5: Queue display */}
         {isLoading && (
           <Box backgroundColor="color.background.neutral" padding="space.400">
@@ -121,94 +280,79 @@ export function RedlineQueuePage() {
 
         {!isLoading && !queueError && queueData && (
           <>
+            {queueData.embeds.length === 0 && (
+              <Box backgroundColor="color.background.neutral" padding="space.300">
+                <Text>
+                  {hasNextPage
+                    ? 'No Embeds match the current filters among those checked so far.'
+                    : 'No Embeds match the current filters.'}
+                </Text>
+              </Box>
+            )}
+
             {/* Flat view (no grouping) */}
-            {!groupBy && (
+            {!groupBy && queueData.embeds.length > 0 && (
               <Stack space="space.200">
-                {queueData.embeds.length === 0 ? (
-                  <Box backgroundColor="color.background.neutral" padding="space.300">
-                    <Text>No Embeds match the current filters.</Text>
-                  </Box>
-                ) : (
-                  <>
-                    <Text weight="semibold">
-                      Showing {Math.min(itemsToShow, queueData.embeds.length)} of {queueData.embeds.length} Embed{queueData.embeds.length !== 1 ? 's' : ''}
-                    </Text>
-                    {queueData.embeds.slice(0, itemsToShow).map(embed => (
-                      <RedlineQueueCard
-                        key={embed.localId}
-                        embedData={embed}
-                        currentUserId={currentUserId}
-                      />
-                    ))}
-
-                    {/* Load More button */}
-                    {itemsToShow < queueData.embeds.length && (
-                      <Box backgroundColor="color.background.neutral" padding="space.200">
-                        <Inline space="space.200" alignBlock="center" alignInline="center">
-                          <Button appearance="primary" onClick={handleLoadMore}>
-                            Load More ({queueData.embeds.length - itemsToShow} remaining)
-                          </Button>
-                        </Inline>
-                      </Box>
-                    )}
-                  </>
-                )}
+                <Text weight="semibold">
+                  Showing {queueData.embeds.length}{hasNextPage ? '' : ` of ${queueData.embeds.length}`} Embed{queueData.embeds.length !== 1 ? 's' : ''}
+                </Text>
+                {queueData.embeds.map(embed => (
+                  <RedlineQueueCard
+                    key={embed.localId}
+                    embedData={embed}
+                    currentUserId={currentUserId}
+                  />
+                ))}
               </Stack>
             )}
 
-            {/* Grouped view */}
-            {groupBy && queueData.groups && (
+            {/* Grouped view (groups of the pages loaded so far) */}
+            {groupBy && queueData.groups && Object.keys(queueData.groups).length > 0 && (
               <Stack space="space.400">
-                {Object.keys(queueData.groups).length === 0 ? (
-                  <Box backgroundColor="color.background.neutral" padding="space.300">
-                    <Text>No Embeds match the current filters.</Text>
+                {Object.entries(queueData.groups).map(([groupName, embeds]) => (
+                  <Box key={groupName}>
+                    <Stack space="space.200">
+                      <Heading size="medium">
+                        {groupBy === 'status' ? getRedlineState(workflow, groupName).label : groupName} ({embeds.length}{hasNextPage ? ' loaded' : ''})
+                      </Heading>
+                      {embeds.map(embed => (
+                        <RedlineQueueCard
+                          key={embed.localId}
+                          embedData={embed}
+                          currentUserId={currentUserId}
+                        />
+                      ))}
+                    </Stack>
                   </Box>
-                ) : (
-                  <>
-                    {Object.entries(queueData.groups).map(([groupName, embeds]) => {
-                      const visibleEmbeds = embeds.slice(0, itemsToShow);
-                      const hasMore = embeds.length > itemsToShow;
-
-                      return (
-                        <Box key={groupName}>
-                          <Stack space="space.200">
-                            <Heading size="medium">
-                              {groupName} (Showing {visibleEmbeds.length} of {embeds.length})
-                            </Heading>
-                            {visibleEmbeds.map(embed => (
-                              <RedlineQueueCard
-                                key={embed.localId}
-                                embedData={embed}
-                                currentUserId={currentUserId}
-                              />
-                            ))}
-                          </Stack>
-                        </Box>
-                      );
-                    })}
-
-                    {/* Load More button for grouped view */}
-                    {(() => {
-                      const totalItems = Object.values(queueData.groups).reduce((sum, embeds) => sum + embeds.length, 0);
-                      const visibleItems = Math.min(itemsToShow, totalItems);
-
-                      return visibleItems < totalItems && (
-                        <Box backgroundColor="color.background.neutral" padding="space.200">
-                          <Inline space="space.200" alignBlock="center" alignInline="center">
-                            <Button appearance="primary" onClick={handleLoadMore}>
-                              Load More ({totalItems - visibleItems} remaining)
-                            </Button>
-                          </Inline>
-                        </Box>
-                      );
-                    })()}
-                  </>
-                )}
+                ))}
               </Stack>
             )}
+
+            {/* Load More button */}
+            {hasNextPage && (
+              <Box backgroundColor="color.background.neutral" padding="space.200">
+                <Inline space="space.200" alignBlock="center" alignInline="center">
+                  <Button appearance="primary" onClick={handleLoadMore} isDisabled={isFetchingNextPage}>
+                    {isFetchingNextPage ? 'Loading...' : 'Load More'}
+                  </Button>
+                </Inline>
+              </Box>
+            )}
           </>
         )}
 
+        <RedlineAssignmentRulesModal
+          isOpen={isAssignmentRulesOpen}
+          onClose={() => setIsAssignmentRulesOpen(false)}
+          currentUserId={currentUserId}
+        />
+
+        <RedlineWorkflowModal
+          isOpen={isWorkflowOpen}
+          onClose={() => setIsWorkflowOpen(false)}
+          currentUserId={currentUserId}
+        />
+
         <Text size="small" color="color.text.subtlest">
           Phase 5 of 8 - Queue cards and actions complete. Advanced features coming in Phase 6.
         </Text>
@@ -8,7 +8,9 @@
  *
  * Features:
  * - Real-time stats via React Query
- * - Color-coded status badges
+ * - Color-coded status badges, one per redline workflow state
+ * - Reviewer workload (open Embeds per assignee; click one to filter the queue to it)
+ * - Overdue count (Embeds past their status's SLA threshold; click to filter)
  * - Inline filter, sort, and group controls
  * - Loading state handling
  * - Error state handling
@@ -24,7 +26,8 @@
 
 import React, { useCallback } from 'react';
 import { Box, Inline, Stack, Lozenge, Text, Spinner, Select, Button, Textfield, xcss } from '@forge/react';
-import { useRedlineStatsQuery } from '../../hooks/redline-hooks';
+import { useRedlineStatsQuery, useConfluenceUserQuery, useRedlineWorkflowQuery } from '../../hooks/redline-hooks';
+import { DEFAULT_REDLINE_WORKFLOW } from '../../utils/redline-workflow-utils';
 
 // Full-width style
 const fullWidthStyle = xcss({
@@ -86,6 +89,22 @@ const SearchTextfield = React.memo(({ value, onChange, placeholder }) => {
   );
 });
 
+// One reviewer's open Embeds (clicking filters the queue to them)
+function ReviewerWorkload({ reviewer, isActive, onSelect }) {
+  const { data: user } = useConfluenceUserQuery(reviewer.accountId);
+
+  return (
+    <Button
+      appearance={isActive ? 'primary' : 'subtle'}
+      spacing="compact"
+      onClick={() => onSelect(reviewer.accountId)}
+    >
+      {user?.displayName || 'Loading...'}: {reviewer.open}
+      {reviewer.needsRevision > 0 ? ` (${reviewer.needsRevision} need revision)` : ''}
+    </Button>
+  );
+}
+
 function RedlineStatsBarComponent({
   filters,
   onFiltersChange,
@@ -96,6 +115,7 @@ function RedlineStatsBarComponent({
   onManualRefresh
 }) {
   const { data: stats, isLoading, error } = useRedlineStatsQuery();
+  const { data: workflow = DEFAULT_REDLINE_WORKFLOW } = useRedlineWorkflowQuery();
   
   // Use ref to access current filters without causing callback recreation
   const filtersRef = React.useRef(filters);
@@ -106,17 +126,21 @@ function RedlineStatsBarComponent({
   // Filter/sort options
   const statusOptions = [
     { label: 'All Statuses', value: 'all' },
-    { label: 'Reviewable', value: 'reviewable' },
-    { label: 'Pre-Approved', value: 'pre-approved' },
-    { label: 'Needs Revision', value: 'needs-revision' },
-    { label: 'Approved', value: 'approved' }
+    ...workflow.states.map(state => ({ label: state.label, value: state.id }))
+  ];
+
+  const assigneeOptions = [
+    { label: 'All Reviewers', value: 'all' },
+    { label: 'My Queue', value: 'me' },
+    { label: 'Unassigned', value: 'unassigned' }
   ];
 
   const sortOptions = [
     { label: 'Sort: Status', value: 'status' },
     { label: 'Sort: Page', value: 'page' },
     { label: 'Sort: Source', value: 'source' },
-    { label: 'Sort: Last Updated', value: 'updated' }
+    { label: 'Sort: Last Updated', value: 'updated' },
+    { label: 'Sort: Longest in Status', value: 'age' }
   ];
 
   const groupOptions = [
@@ -131,6 +155,8 @@ function RedlineStatsBarComponent({
     ? filters.status[0]
     : 'all';
   const currentStatusLabel = statusOptions.find(opt => opt.value === currentStatus)?.label || 'All Statuses';
+  const currentAssignee = filters.assignee || 'all';
+  const currentAssigneeLabel = assigneeOptions.find(opt => opt.value === currentAssignee)?.label || 'One Reviewer';
   const currentSortLabel = sortOptions.find(opt => opt.value === sortBy)?.label || 'Sort: Status';
   const currentGroupValue = groupBy || 'none';
   const currentGroupLabel = groupOptions.find(opt => opt.value === currentGroupValue)?.label || 'Group: None';
@@ -145,6 +171,19 @@ function RedlineStatsBarComponent({
     }
   };
 
+  const handleAssigneeChange = (e) => {
+    onFiltersChange({ ...filters, assignee: e.value === 'all' ? undefined : e.value });
+  };
+
+  // Clicking the active reviewer again clears the filter
+  const handleReviewerSelect = (assignee) => {
+    onFiltersChange({ ...filtersRef.current, assignee: filtersRef.current.assignee === assignee ? undefined : assignee });
+  };
+
+  const handleOverdueToggle = () => {
+    onFiltersChange({ ...filtersRef.current, overdue: filtersRef.current.overdue ? undefined : true });
+  };
+
   const handleSortChange = (e) => {
     onSortChange(e.value);
   };
@@ -219,6 +258,13 @@ function RedlineStatsBarComponent({
                 onChange={handleStatusChange}
               />
             </Box>
+            <Box xcss={selectStyles}>
+              <Select
+                options={assigneeOptions}
+                value={{ label: currentAssigneeLabel, value: currentAssignee }}
+                onChange={handleAssigneeChange}
+              />
+            </Box>
             <Box xcss={selectStyles}>
               <Select
                 options={sortOptions}
@@ -248,20 +294,47 @@ function RedlineStatsBarComponent({
 
           {/* Right side: Stats */}
           <Inline space="space.100" alignBlock="center" spread="space-between">
-            <Lozenge appearance="new">
-              Reviewable: {stats.reviewable}
-            </Lozenge>
-            <Lozenge appearance="inprogress">
-              Pre-Approved: {stats.preApproved}
-            </Lozenge>
-            <Lozenge appearance="removed">
-              Needs Revision: {stats.needsRevision}
-            </Lozenge>
-            <Lozenge appearance="success">
-              Approved: {stats.approved}
-            </Lozenge>
+            {workflow.states.map(state => (
+              <Lozenge key={state.id} appearance={state.appearance}>
+                {state.label}: {stats.byStatus?.[state.id] || 0}
+              </Lozenge>
+            ))}
           </Inline>
         </Inline>
+
+        {/* Reviewer workload: open (not yet approved) Embeds per assignee */}
+        <Inline space="space.100" alignBlock="center" shouldWrap>
+          <Text size="small" weight="semibold">Workload:</Text>
+          <Button
+            appearance={currentAssignee === 'me' ? 'primary' : 'subtle'}
+            spacing="compact"
+            onClick={() => handleReviewerSelect('me')}
+          >
+            My Queue: {stats.mine || 0}
+          </Button>
+          <Button
+            appearance={currentAssignee === 'unassigned' ? 'primary' : 'subtle'}
+            spacing="compact"
+            onClick={() => handleReviewerSelect('unassigned')}
+          >
+            Unassigned: {stats.unassigned || 0}
+          </Button>
+          {(stats.workload || []).map(reviewer => (
+            <ReviewerWorkload
+              key={reviewer.accountId}
+              reviewer={reviewer}
+              isActive={currentAssignee === reviewer.accountId}
+              onSelect={handleReviewerSelect}
+            />
+          ))}
+          <Button
+            appearance={filters.overdue ? 'primary' : 'subtle'}
+            spacing="compact"
+            onClick={handleOverdueToggle}
+          >
+            ⏰ Overdue: {stats.overdue || 0}
+          </Button>
+        </Inline>
       </Stack>
     </Box>
   );
@@ -275,10 +348,14 @@ export const RedlineStatsBar = React.memo(RedlineStatsBarComponent, (prevProps,
   const nextSearchTerm = nextProps.filters?.searchTerm || '';
   const prevStatus = prevProps.filters?.status?.[0] || 'all';
   const nextStatus = nextProps.filters?.status?.[0] || 'all';
+  const prevAssignee = prevProps.filters?.assignee || 'all';
+  const nextAssignee = nextProps.filters?.assignee || 'all';
   
   return (
     prevSearchTerm === nextSearchTerm &&
     prevStatus === nextStatus &&
+    prevAssignee === nextAssignee &&
+    !!prevProps.filters?.overdue === !!nextProps.filters?.overdue &&
     prevProps.sortBy === nextProps.sortBy &&
     prevProps.groupBy === nextProps.groupBy &&
     prevProps.onFiltersChange === nextProps.onFiltersChange &&
@@ -0,0 +1,421 @@
+/**
+ * RedlineWorkflowModal Component
+ *
+ * Editor for the redline workflow: the states an Embed can be in (list order
+ * is the queue's sort order), the transitions between them, who may perform
+ * each transition and whether it needs a comment. setRedlineStatus enforces
+ * the saved workflow. Reviewable, Needs Revision and Approved can be renamed
+ * but not removed.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {string} props.currentUserId - Current user's Confluence accountId
+ * @returns {JSX.Element}
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Text,
+  Heading,
+  Modal,
+  ModalTransition,
+  ModalHeader,
+  ModalTitle,
+  ModalBody,
+  ModalFooter,
+  Stack,
+  Inline,
+  Button,
+  Select,
+  Spinner,
+  SectionMessage,
+  DynamicTable,
+  Lozenge,
+  Toggle,
+  UserPicker
+} from '@forge/react';
+import { StableTextfield } from '../common/StableTextfield';
+import { useRedlineWorkflowQuery, useSaveRedlineWorkflowMutation } from '../../hooks/redline-hooks';
+import {
+  DEFAULT_REDLINE_WORKFLOW,
+  REQUIRED_REDLINE_STATES,
+  REDLINE_STATE_APPEARANCES,
+  ANY_REDLINE_STATE,
+  TRANSITION_ROLES
+} from '../../utils/redline-workflow-utils';
+
+const APPEARANCE_OPTIONS = REDLINE_STATE_APPEARANCES.map(appearance => ({ label: appearance, value: appearance }));
+
+const ROLE_OPTIONS = [
+  { label: 'Anyone', value: TRANSITION_ROLES.ANYONE },
+  { label: 'Assigned reviewer', value: TRANSITION_ROLES.ASSIGNEE },
+  { label: 'Embed owner', value: TRANSITION_ROLES.OWNER },
+  { label: 'Category owner', value: TRANSITION_ROLES.CATEGORY_OWNER }
+];
+
+export function RedlineWorkflowModal({ isOpen, onClose, currentUserId }) {
+  const { data, isLoading, error } = useRedlineWorkflowQuery(isOpen);
+  const saveMutation = useSaveRedlineWorkflowMutation();
+
+  const [stateRows, setStateRows] = useState([]);
+  const [transitionRows, setTransitionRows] = useState([]);
+  const [hasChanges, setHasChanges] = useState(false);
+  const [message, setMessage] = useState(null);
+  const nextRowId = useRef(0);
+
+  const loadRows = (workflow) => {
+    setStateRows(workflow.states.map(state => ({ ...state, rowId: nextRowId.current++, isNew: false })));
+    setTransitionRows(workflow.transitions.map(transition => ({ ...transition, rowId: nextRowId.current++ })));
+  };
+
+  useEffect(() => {
+    if (!isOpen || !data) {
+      return;
+    }
+    loadRows(data);
+    setHasChanges(false);
+  }, [isOpen, data]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setMessage(null);
+      saveMutation.reset();
+    }
+  }, [isOpen]);
+
+  const stateOptions = stateRows
+    .filter(row => row.id)
+    .map(row => ({ label: row.label || row.id, value: row.id }));
+  const fromOptions = [{ label: 'Any state', value: ANY_REDLINE_STATE }, ...stateOptions];
+
+  const markChanged = () => {
+    setHasChanges(true);
+    setMessage(null);
+  };
+
+  const updateState = (rowId, changes) => {
+    setStateRows(current => current.map(row => (row.rowId === rowId ? { ...row, ...changes } : row)));
+    markChanged();
+  };
+
+  const updateTransition = (rowId, changes) => {
+    setTransitionRows(current => current.map(row => (row.rowId === rowId ? { ...row, ...changes } : row)));
+    markChanged();
+  };
+
+  const moveState = (index, offset) => {
+    const reordered = [...stateRows];
+    const [row] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, row);
+    setStateRows(reordered);
+    markChanged();
+  };
+
+  const handleSave = async () => {
+    try {
+      await saveMutation.mutateAsync({
+        states: stateRows.map(({ rowId, isNew, ...state }) => state),
+        transitions: transitionRows.map(({ rowId, ...transition }) => transition),
+        userId: currentUserId
+      });
+      setHasChanges(false);
+      setMessage('Workflow saved. Status changes in the queue now follow it.');
+    } catch (saveError) {
+      // Shown from saveMutation.error below
+    }
+  };
+
+  return (
+    <ModalTransition>
+      {isOpen && (
+        <Modal onClose={onClose} width="x-large">
+          <ModalHeader>
+            <ModalTitle>Redline Workflow</ModalTitle>
+          </ModalHeader>
+          <ModalBody>
+            <Stack space="space.200">
+              <Text>
+                States are listed in queue order. A status change is only allowed through a transition below,
+                by the people it names, and with a comment when it asks for one. Refused attempts are kept in the
+                Embed's status history.
+              </Text>
+
+              {isLoading && <Spinner size="medium" label="Loading workflow..." />}
+
+              {error && (
+                <SectionMessage appearance="error">
+                  <Text>Couldn't load the workflow: {error.message}</Text>
+                </SectionMessage>
+              )}
+
+              {saveMutation.error && (
+                <SectionMessage appearance="error">
+                  <Text>{saveMutation.error.message}</Text>
+                </SectionMessage>
+              )}
+
+              {message && (
+                <SectionMessage appearance="success">
+                  <Text>{message}</Text>
+                </SectionMessage>
+              )}
+
+              {data && (
+                <Stack space="space.100">
+                  <Heading size="small">States</Heading>
+                  <DynamicTable
+                    head={{
+                      cells: [
+                        { key: 'id', content: 'ID', width: 20 },
+                        { key: 'label', content: 'Label', width: 25 },
+                        { key: 'appearance', content: 'Colour', width: 25 },
+                        { key: 'actions', content: '', width: 30 }
+                      ]
+                    }}
+                    rows={stateRows.map((row, index) => ({
+                      key: `state-${row.rowId}`,
+                      cells: [
+                        {
+                          key: 'id',
+                          content: row.isNew ? (
+                            <StableTextfield
+                              stableKey={`workflow-state-id-${row.rowId}`}
+                              value={row.id}
+                              onChange={(e) => updateState(row.rowId, { id: e.target.value })}
+                              placeholder="e.g. legal-review"
+                            />
+                          ) : (
+                            <Text>{row.id}</Text>
+                          )
+                        },
+                        {
+                          key: 'label',
+                          content: (
+                            <StableTextfield
+                              stableKey={`workflow-state-label-${row.rowId}`}
+                              value={row.label}
+                              onChange={(e) => updateState(row.rowId, { label: e.target.value })}
+                              placeholder="Label"
+                            />
+                          )
+                        },
+                        {
+                          key: 'appearance',
+                          content: (
+                            <Inline space="space.100" alignBlock="center">
+                              <Select
+                                options={APPEARANCE_OPTIONS}
+                                value={APPEARANCE_OPTIONS.find(opt => opt.value === row.appearance)}
+                                onChange={(e) => e?.value && updateState(row.rowId, { appearance: e.value })}
+                              />
+                              <Lozenge appearance={row.appearance}>{row.label || row.id || 'New state'}</Lozenge>
+                            </Inline>
+                          )
+                        },
+                        {
+                          key: 'actions',
+                          content: (
+                            <Inline space="space.050">
+                              <Button appearance="subtle" spacing="compact" isDisabled={index === 0} onClick={() => moveState(index, -1)}>
+                                ↑
+                              </Button>
+                              <Button appearance="subtle" spacing="compact" isDisabled={index === stateRows.length - 1} onClick={() => moveState(index, 1)}>
+                                ↓
+                              </Button>
+                              <Button
+                                appearance="subtle"
+                                spacing="compact"
+                                isDisabled={!row.isNew && REQUIRED_REDLINE_STATES.includes(row.id)}
+                                onClick={() => {
+                                  setStateRows(stateRows.filter(r => r.rowId !== row.rowId));
+                                  setTransitionRows(transitionRows.filter(t => t.from !== row.id && t.to !== row.id));
+                                  markChanged();
+                                }}
+                              >
+                                Remove
+                              </Button>
+                            </Inline>
+                          )
+                        }
+                      ]
+                    }))}
+                  />
+                  <Inline>
+                    <Button
+                      appearance="default"
+                      onClick={() => {
+                        setStateRows([...stateRows, { rowId: nextRowId.current++, isNew: true, id: '', label: '', appearance: 'default' }]);
+                        markChanged();
+                      }}
+                    >
+                      Add state
+                    </Button>
+                  </Inline>
+                </Stack>
+              )}
+
+              {data && (
+                <Stack space="space.100">
+                  <Heading size="small">Transitions</Heading>
+                  <DynamicTable
+                    head={{
+                      cells: [
+                        { key: 'from', content: 'From', width: 13 },
+                        { key: 'to', content: 'To', width: 13 },
+                        { key: 'label', content: 'Button label', width: 15 },
+                        { key: 'roles', content: 'Who may do it', width: 20 },
+                        { key: 'users', content: 'Also these people', width: 20 },
+                        { key: 'comment', content: 'Comment required', width: 10 },
+                        { key: 'actions', content: '', width: 9 }
+                      ]
+                    }}
+                    rows={transitionRows.map(row => ({
+                      key: `transition-${row.rowId}`,
+                      cells: [
+                        {
+                          key: 'from',
+                          content: (
+                            <Select
+                              options={fromOptions}
+                              value={fromOptions.find(opt => opt.value === row.from) || null}
+                              placeholder="From"
+                              onChange={(e) => e?.value && updateTransition(row.rowId, { from: e.value })}
+                            />
+                          )
+                        },
+                        {
+                          key: 'to',
+                          content: (
+                            <Select
+                              options={stateOptions}
+                              value={stateOptions.find(opt => opt.value === row.to) || null}
+                              placeholder="To"
+                              onChange={(e) => e?.value && updateTransition(row.rowId, { to: e.value })}
+                            />
+                          )
+                        },
+                        {
+                          key: 'label',
+                          content: (
+                            <StableTextfield
+                              stableKey={`workflow-transition-label-${row.rowId}`}
+                              value={row.label || ''}
+                              onChange={(e) => updateTransition(row.rowId, { label: e.target.value })}
+                              placeholder="State label"
+                            />
+                          )
+                        },
+                        {
+                          key: 'roles',
+                          content: (
+                            <Select
+                              isMulti
+                              options={ROLE_OPTIONS}
+                              value={ROLE_OPTIONS.filter(opt => (row.roles || []).includes(opt.value))}
+                              placeholder="Nobody"
+                              onChange={(selected) => updateTransition(row.rowId, {
+                                roles: (selected || []).map(opt => opt.value)
+                              })}
+                            />
+                          )
+                        },
+                        {
+                          key: 'users',
+                          content: (
+                            <UserPicker
+                              label=""
+                              name={`workflow-transition-users-${row.rowId}`}
+                              isMulti
+                              placeholder="No one else"
+                              defaultValue={row.userIds || []}
+                              onChange={(users) => updateTransition(row.rowId, {
+                                userIds: (Array.isArray(users) ? users : [users]).filter(Boolean).map(user => user.id)
+                              })}
+                            />
+                          )
+                        },
+                        {
+                          key: 'comment',
+                          content: (
+                            <Toggle
+                              id={`workflow-transition-comment-${row.rowId}`}
+                              isChecked={!!row.requireComment}
+                              onChange={() => updateTransition(row.rowId, { requireComment: !row.requireComment })}
+                            />
+                          )
+                        },
+                        {
+                          key: 'actions',
+                          content: (
+                            <Button
+                              appearance="subtle"
+                              spacing="compact"
+                              onClick={() => {
+                                setTransitionRows(transitionRows.filter(t => t.rowId !== row.rowId));
+                                markChanged();
+                              }}
+                            >
+                              Remove
+                            </Button>
+                          )
+                        }
+                      ]
+                    }))}
+                  />
+                  <Inline space="space.100" alignBlock="center">
+                    <Button
+                      appearance="default"
+                      onClick={() => {
+                        setTransitionRows([...transitionRows, {
+                          rowId: nextRowId.current++,
+                          from: ANY_REDLINE_STATE,
+                          to: null,
+                          label: '',
+                          roles: [TRANSITION_ROLES.ANYONE],
+                          userIds: [],
+                          requireComment: false
+                        }]);
+                        markChanged();
+                      }}
+                    >
+                      Add transition
+                    </Button>
+                    <Button
+                      appearance="subtle"
+                      onClick={() => {
+                        loadRows(DEFAULT_REDLINE_WORKFLOW);
+                        markChanged();
+                      }}
+                    >
+                      Reset to default workflow
+                    </Button>
+                    {data.updatedAt && (
+                      <Text size="small" color="color.text.subtlest">
+                        Last changed {new Date(data.updatedAt).toLocaleString()}
+                      </Text>
+                    )}
+                  </Inline>
+                </Stack>
+              )}
+            </Stack>
+          </ModalBody>
+          <ModalFooter>
+            <Inline space="space.100">
+              <Button appearance="subtle" onClick={onClose}>
+                Close
+              </Button>
+              <Button
+                appearance="primary"
+                onClick={handleSave}
+                isDisabled={!data || !hasChanges || saveMutation.isPending}
+              >
+                {saveMutation.isPending ? 'Saving...' : 'Save workflow'}
+              </Button>
+            </Inline>
+          </ModalFooter>
+        </Modal>
+      )}
+    </ModalTransition>
+  );
+}
@@ -2,12 +2,17 @@
  * StalenessBadge Component
  *
  * Displays a status badge indicating whether an Embed instance is up to date
- * with its Source. Shows a tooltip with Source and Embed sync timestamps.
+ * with its Source. Stale Embeds are labelled by update severity, so a breaking
+ * Source release (the Embed owner has to act) stands out from a cosmetic one.
+ * Shows a tooltip with Source and Embed sync timestamps and versions.
  *
  * @param {Object} props
  * @param {boolean} props.isStale - Whether the Embed is out of sync with the Source
  * @param {Date} props.sourceLastModified - When the Source was last updated
  * @param {Date} props.embedLastSynced - When the Embed last synced with Source
+ * @param {string|null} props.severity - Update severity from getUpdateSeverity ('major' | 'minor' | 'patch' | 'unknown')
+ * @param {string} props.sourceVersion - Source's current version
+ * @param {string} props.syncedVersion - Source version the Embed last synced
  * @returns {JSX.Element}
  */
 
@@ -37,17 +42,33 @@ function formatTimestamp(date) {
   return `${month}/${day}/${year} ${hours}:${minutes} ${timezoneName}`;
 }
 
+// Lozenge per update severity; 'unknown' (synced before versioning) keeps the generic label
+const SEVERITY_LOZENGES = {
+  major: { appearance: 'removed', label: 'Breaking Update' },
+  minor: { appearance: 'moved', label: 'Update Available' },
+  patch: { appearance: 'default', label: 'Cosmetic Update' },
+  unknown: { appearance: 'moved', label: 'Update Available' }
+};
+
 export function StalenessBadge({
   isStale,
   sourceLastModified,
-  embedLastSynced
+  embedLastSynced,
+  severity,
+  sourceVersion,
+  syncedVersion
 }) {
-  const tooltipText = `Source last updated: ${formatTimestamp(sourceLastModified)}\nEmbed last synced: ${formatTimestamp(embedLastSynced)}`;
+  let tooltipText = `Source last updated: ${formatTimestamp(sourceLastModified)}\nEmbed last synced: ${formatTimestamp(embedLastSynced)}`;
+  if (sourceVersion) {
+    tooltipText += `\nSource version: ${sourceVersion}\nEmbed synced version: ${syncedVersion || 'unknown'}`;
+  }
+
+  const staleLozenge = SEVERITY_LOZENGES[severity] || SEVERITY_LOZENGES.unknown;
 
   return (
     <Tooltip content={tooltipText}>
       {isStale ? (
-        <Lozenge appearance="moved">Update Available</Lozenge>
+        <Lozenge appearance={staleLozenge.appearance}>{staleLozenge.label}</Lozenge>
       ) : (
         <Lozenge appearance="success">Up to date</Lozenge>
       )}
@@ -0,0 +1,291 @@
+/**
+ * VariableDictionaryModal Component
+ *
+ * Editor for the global and per-space variable dictionaries. A dictionary entry
+ * is used by every Source variable with the same name, on Embeds that leave the
+ * variable empty (and whose page doesn't set it); a space dictionary wins over
+ * the global one. Saving a changed value marks the Embeds that render it stale,
+ * so they show an update until they sync.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onClose - Callback to close the modal
+ * @returns {JSX.Element}
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Text,
+  Code,
+  Em,
+  Modal,
+  ModalTransition,
+  ModalHeader,
+  ModalTitle,
+  ModalBody,
+  ModalFooter,
+  Stack,
+  Inline,
+  Button,
+  Select,
+  Spinner,
+  SectionMessage,
+  DynamicTable
+} from '@forge/react';
+import { StableTextfield } from '../common/StableTextfield';
+import { useVariableDictionariesQuery, useSaveVariableDictionaryMutation } from '../../hooks/admin-hooks';
+import { DICTIONARY_SCOPE } from '../../utils/variable-dictionary-utils';
+
+const GLOBAL_OPTION = { label: 'Global (all spaces)', value: DICTIONARY_SCOPE.GLOBAL };
+
+export function VariableDictionaryModal({ isOpen, onClose }) {
+  const { data, isLoading, error } = useVariableDictionariesQuery(isOpen);
+  const saveMutation = useSaveVariableDictionaryMutation();
+
+  // Selected dictionary: 'global' or a space key
+  const [selected, setSelected] = useState(DICTIONARY_SCOPE.GLOBAL);
+  const [addedSpaceKeys, setAddedSpaceKeys] = useState([]);
+  const [newSpaceKey, setNewSpaceKey] = useState('');
+  const [rows, setRows] = useState([]);
+  const [hasChanges, setHasChanges] = useState(false);
+  const [lastSaved, setLastSaved] = useState(null);
+  const nextRowId = useRef(0);
+
+  const isGlobal = selected === DICTIONARY_SCOPE.GLOBAL;
+  const dictionary = isGlobal
+    ? data?.global
+    : data?.spaces.find(space => space.spaceKey === selected);
+
+  // Load the selected dictionary's entries (fresh rows each time it changes)
+  useEffect(() => {
+    if (!isOpen || !data) {
+      return;
+    }
+    setRows((dictionary?.entries || []).map(entry => ({
+      id: nextRowId.current++,
+      name: entry.name,
+      value: entry.value,
+      description: entry.description || ''
+    })));
+    setHasChanges(false);
+  }, [isOpen, data, selected]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setLastSaved(null);
+      saveMutation.reset();
+    }
+  }, [isOpen]);
+
+  const spaceKeys = [...new Set([...(data?.spaces || []).map(space => space.spaceKey), ...addedSpaceKeys])].sort();
+  const options = [GLOBAL_OPTION, ...spaceKeys.map(key => ({ label: `Space: ${key}`, value: key }))];
+
+  const updateRow = (id, field, value) => {
+    setRows(current => current.map(row => (row.id === id ? { ...row, [field]: value } : row)));
+    setHasChanges(true);
+  };
+
+  const handleAddSpace = () => {
+    const key = newSpaceKey.trim();
+    if (!key) {
+      return;
+    }
+    if (!spaceKeys.includes(key)) {
+      setAddedSpaceKeys([...addedSpaceKeys, key]);
+    }
+    setSelected(key);
+    setNewSpaceKey('');
+  };
+
+  const handleSave = async () => {
+    try {
+      const result = await saveMutation.mutateAsync({
+        scope: isGlobal ? DICTIONARY_SCOPE.GLOBAL : DICTIONARY_SCOPE.SPACE,
+        spaceKey: isGlobal ? null : selected,
+        entries: rows.map(({ name, value, description }) => ({ name: name.trim(), value, description }))
+      });
+      setLastSaved(result.changedNames);
+      setHasChanges(false);
+    } catch (saveError) {
+      // Shown from saveMutation.error below
+    }
+  };
+
+  return (
+    <ModalTransition>
+      {isOpen && (
+        <Modal onClose={onClose} width="x-large">
+          <ModalHeader>
+            <ModalTitle>Variable Dictionaries</ModalTitle>
+          </ModalHeader>
+          <ModalBody>
+            <Stack space="space.200">
+              <Text>
+                Every Source variable with the same name as an entry uses its value, unless the Embed or its
+                page sets one. Space entries win over global ones.
+              </Text>
+
+              {isLoading && <Spinner size="medium" label="Loading variable dictionaries..." />}
+
+              {error && (
+                <SectionMessage appearance="error">
+                  <Text>Couldn't load variable dictionaries: {error.message}</Text>
+                </SectionMessage>
+              )}
+
+              {saveMutation.error && (
+                <SectionMessage appearance="error">
+                  <Text>{saveMutation.error.message}</Text>
+                </SectionMessage>
+              )}
+
+              {lastSaved && (
+                <SectionMessage appearance="success">
+                  <Text>
+                    {lastSaved.length === 0
+                      ? 'Saved. No values changed.'
+                      : `Saved. ${lastSaved.length} value(s) changed - Embeds using them show an update until they sync.`}
+                  </Text>
+                </SectionMessage>
+              )}
+
+              {data && (
+                <Inline space="space.200" alignBlock="end" shouldWrap>
+                  <Stack space="space.050">
+                    <Text size="small">Dictionary</Text>
+                    <Select
+                      id="variable-dictionary-scope"
+                      options={options}
+                      value={options.find(opt => opt.value === selected)}
+                      onChange={(e) => {
+                        if (e?.value) {
+                          setSelected(e.value);
+                          setLastSaved(null);
+                        }
+                      }}
+                    />
+                  </Stack>
+                  <StableTextfield
+                    stableKey="variable-dictionary-new-space"
+                    value={newSpaceKey}
+                    onChange={(e) => setNewSpaceKey(e.target.value)}
+                    placeholder="Space key, e.g. DOCS"
+                  />
+                  <Button appearance="default" onClick={handleAddSpace} isDisabled={!newSpaceKey.trim()}>
+                    Add space dictionary
+                  </Button>
+                </Inline>
+              )}
+
+              {data && rows.length === 0 && (
+                <Text><Em>No entries yet.</Em></Text>
+              )}
+
+              {data && rows.length > 0 && (
+                <DynamicTable
+                  head={{
+                    cells: [
+                      { key: 'name', content: 'Variable name', width: 25 },
+                      { key: 'value', content: 'Value', width: 35 },
+                      { key: 'description', content: 'Description', width: 30 },
+                      { key: 'actions', content: '', width: 10 }
+                    ]
+                  }}
+                  rows={rows.map(row => ({
+                    key: `row-${row.id}`,
+                    cells: [
+                      {
+                        key: 'name',
+                        content: (
+                          <StableTextfield
+                            stableKey={`dictionary-name-${row.id}`}
+                            value={row.name}
+                            onChange={(e) => updateRow(row.id, 'name', e.target.value)}
+                            placeholder="supportEmail"
+                          />
+                        )
+                      },
+                      {
+                        key: 'value',
+                        content: (
+                          <StableTextfield
+                            stableKey={`dictionary-value-${row.id}`}
+                            value={row.value}
+                            onChange={(e) => updateRow(row.id, 'value', e.target.value)}
+                          />
+                        )
+                      },
+                      {
+                        key: 'description',
+                        content: (
+                          <StableTextfield
+                            stableKey={`dictionary-description-${row.id}`}
+                            value={row.description}
+                            onChange={(e) => updateRow(row.id, 'description', e.target.value)}
+                          />
+                        )
+                      },
+                      {
+                        key: 'actions',
+                        content: (
+                          <Button
+                            appearance="subtle"
+                            onClick={() => {
+                              setRows(rows.filter(r => r.id !== row.id));
+                              setHasChanges(true);
+                            }}
+                          >
+                            Remove
+                          </Button>
+                        )
+                      }
+                    ]
+                  }))}
+                />
+              )}
+
+              {data && (
+                <Inline space="space.100" alignBlock="center">
+                  <Button
+                    appearance="default"
+                    onClick={() => {
+                      setRows([...rows, { id: nextRowId.current++, name: '', value: '', description: '' }]);
+                      setHasChanges(true);
+                    }}
+                  >
+                    Add entry
+                  </Button>
+                  {dictionary?.updatedAt && (
+                    <Text size="small" color="color.text.subtlest">
+                      Last changed {new Date(dictionary.updatedAt).toLocaleString()}
+                    </Text>
+                  )}
+                </Inline>
+              )}
+
+              {!isGlobal && (
+                <Text size="small" color="color.text.subtlest">
+                  Applies to Embeds on pages in space <Code>{selected}</Code>.
+                </Text>
+              )}
+            </Stack>
+          </ModalBody>
+          <ModalFooter>
+            <Inline space="space.100">
+              <Button appearance="subtle" onClick={onClose}>
+                Close
+              </Button>
+              <Button
+                appearance="primary"
+                onClick={handleSave}
+                isDisabled={!data || !hasChanges || saveMutation.isPending}
+              >
+                {saveMutation.isPending ? 'Saving...' : 'Save dictionary'}
+              </Button>
+            </Inline>
+          </ModalFooter>
+        </Modal>
+      )}
+    </ModalTransition>
+  );
+}
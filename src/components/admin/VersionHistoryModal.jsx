@@ -3,18 +3,22 @@
  *
  * Part of Phase 4 (v7.18.8) - Embed Version Management UI
  *
- * Displays version history for a specific Embed, allowing users to:
+ * Displays version history for a specific Embed or Source, allowing users to:
  * - View all saved versions with timestamps and change types
+ *   (plus the author's change summary for Source versions)
  * - See detailed configuration for any version
  * - Restore from a previous version with automatic backup
  *
  * This is a standalone modal opened directly from the Admin usage grid
- * via the "Recovery Options" button.
+ * via the "Recovery Options" button (Embeds), or from the Source details
+ * header via the "Version History" button (Sources).
  *
  * @param {Object} props
  * @param {boolean} props.isOpen - Whether modal is open
  * @param {Function} props.onClose - Handler to close modal
  * @param {string} props.embedUuid - Embed UUID (localId) to load version history for
+ * @param {string} [props.excerptId] - Source ID to load version history for instead
+ * @param {string} [props.sourceName] - Name of that Source (shown in the title)
  * @returns {JSX.Element}
  */
 
@@ -22,6 +26,7 @@ import React, { useState, useEffect } from 'react';
 import {
   Text,
   Strong,
+  Em,
   Button,
   Box,
   Modal,
@@ -71,8 +76,12 @@ const jsonPreviewStyle = xcss({
 /**
  * Version History Modal
  */
-export function VersionHistoryModal({ isOpen, onClose, embedUuid }) {
-  const [versionLocalId, setVersionLocalId] = useState(embedUuid || '');
+export function VersionHistoryModal({ isOpen, onClose, embedUuid, excerptId, sourceName }) {
+  // Sources and Embeds share the version index (keyed by excerptId / localId)
+  const historyId = excerptId || embedUuid;
+  const entityLabel = excerptId ? 'Source' : 'Embed';
+  const idLabel = excerptId ? 'Source ID' : 'Embed UUID';
+  const [versionLocalId, setVersionLocalId] = useState(historyId || '');
   const [versions, setVersions] = useState([]);
   const [loadingVersions, setLoadingVersions] = useState(false);
   const [selectedVersion, setSelectedVersion] = useState(null);
@@ -80,24 +89,24 @@ export function VersionHistoryModal({ isOpen, onClose, embedUuid }) {
   const [restoringVersion, setRestoringVersion] = useState(false);
   const [expandedItems, setExpandedItems] = useState({});
 
-  // Update versionLocalId when embedUuid prop changes
+  // Update versionLocalId when the embedUuid / excerptId prop changes
   useEffect(() => {
-    if (isOpen && embedUuid) {
-      console.log('[VersionHistory] Setting version localId to:', embedUuid);
-      setVersionLocalId(embedUuid);
+    if (isOpen && historyId) {
+      console.log('[VersionHistory] Setting version localId to:', historyId);
+      setVersionLocalId(historyId);
     }
-  }, [isOpen, embedUuid]);
+  }, [isOpen, historyId]);
 
-  // Auto-load version history when UUID is provided
+  // Auto-load version history when an ID is provided
   useEffect(() => {
-    if (isOpen && embedUuid) {
-      console.log('[VersionHistory] Auto-loading versions for UUID:', embedUuid);
+    if (isOpen && historyId) {
+      console.log('[VersionHistory] Auto-loading versions for ID:', historyId);
       // Small delay to ensure state is set
       setTimeout(() => {
         handleLoadVersions();
       }, 100);
     }
-  }, [isOpen, embedUuid]);
+  }, [isOpen, historyId]);
 
   /**
    * Load version history from backend
@@ -107,7 +116,7 @@ export function VersionHistoryModal({ isOpen, onClose, embedUuid }) {
 
     if (!versionLocalId.trim()) {
       console.log('[VersionHistory] Empty localId, showing error');
-      setVersionError('Please enter a valid Embed UUID (localId)');
+      setVersionError(excerptId ? 'Please enter a valid Source ID' : 'Please enter a valid Embed UUID (localId)');
       return;
     }
 
@@ -128,7 +137,7 @@ export function VersionHistoryModal({ isOpen, onClose, embedUuid }) {
         console.log('[VersionHistory] Success! Found versions:', response.versions?.length || 0);
         setVersions(response.versions || []);
         if (response.versions.length === 0) {
-          setVersionError('No version history found for this Embed UUID');
+          setVersionError(`No version history found for this ${idLabel}`);
         }
       } else {
         console.error('[VersionHistory] Response not successful:', response.error);
@@ -170,9 +179,9 @@ export function VersionHistoryModal({ isOpen, onClose, embedUuid }) {
     const confirmed = confirm(
       '⚠️  Restore this version?\n\n' +
       'This will:\n' +
-      '1. Create a backup snapshot of the current Embed state\n' +
+      `1. Create a backup snapshot of the current ${entityLabel} state\n` +
       '2. Restore all data from the selected version\n' +
-      '3. Update the live Embed immediately\n\n' +
+      `3. Update the live ${entityLabel} immediately\n\n` +
       'The current version will be preserved in version history.\n\n' +
       'Continue?'
     );
@@ -186,7 +195,7 @@ export function VersionHistoryModal({ isOpen, onClose, embedUuid }) {
       const response = await invoke('restoreFromVersion', { versionId });
 
       if (response.success) {
-        alert(`✅ Successfully restored Embed!\n\nRestored from: ${formatTimestamp(response.restoredFrom)}\nBackup created: ${response.backupVersionId}\n\nThe Embed is now live with the restored data.`);
+        alert(`✅ Successfully restored ${entityLabel}!\n\nRestored from: ${formatTimestamp(response.restoredFrom)}\nBackup created: ${response.backupVersionId}\n\nThe ${entityLabel} is now live with the restored data.`);
         setSelectedVersion(null);
         // Refresh version list to show new backup
         handleLoadVersions();
@@ -215,14 +224,14 @@ export function VersionHistoryModal({ isOpen, onClose, embedUuid }) {
       {isOpen && (
         <Modal onClose={onClose} width="xlarge">
           <ModalHeader>
-            <ModalTitle>↺ Embed Version History</ModalTitle>
+            <ModalTitle>↺ {entityLabel} Version History{sourceName ? `: ${sourceName}` : ''}</ModalTitle>
           </ModalHeader>
           <ModalBody>
             <Stack space="space.200">
               {/* Info message */}
               <SectionMessage appearance="information">
                 <Text>
-                  <Strong>Version History</Strong> - View and restore previous versions of this Embed. All changes are automatically saved.
+                  <Strong>Version History</Strong> - View and restore previous versions of this {entityLabel}. All changes are automatically saved.
                 </Text>
               </SectionMessage>
 
@@ -235,11 +244,11 @@ export function VersionHistoryModal({ isOpen, onClose, embedUuid }) {
 
               {/* Lookup input */}
               <Stack space="space.100">
-                <Text><Strong>Embed UUID (localId)</Strong></Text>
+                <Text><Strong>{excerptId ? 'Source ID' : 'Embed UUID (localId)'}</Strong></Text>
                 <Inline space="space.100" alignBlock="center">
                   <StableTextfield
                     stableKey="version-history-uuid-input"
-                    placeholder="Enter Embed UUID (e.g., 1a2b3c4d-5e6f-7g8h-9i0j-1k2l3m4n5o6p)"
+                    placeholder={`Enter ${idLabel} (e.g., 1a2b3c4d-5e6f-7g8h-9i0j-1k2l3m4n5o6p)`}
                     value={versionLocalId}
                     onChange={(e) => setVersionLocalId(e.target.value)}
                     width="full"
@@ -253,7 +262,7 @@ export function VersionHistoryModal({ isOpen, onClose, embedUuid }) {
                   </Button>
                 </Inline>
                 <Text appearance="subtle">
-                  The UUID should already be filled in from the Admin usage grid.
+                  {excerptId ? 'The Source ID is filled in from the Source details.' : 'The UUID should already be filled in from the Admin usage grid.'}
                 </Text>
               </Stack>
 
@@ -262,7 +271,7 @@ export function VersionHistoryModal({ isOpen, onClose, embedUuid }) {
                 <Box xcss={scrollableListStyle}>
                   <Stack space="space.150">
                     <Text>
-                      <Strong>Found {versions.length} version{versions.length !== 1 ? 's' : ''}</Strong> for Embed: {versionLocalId}
+                      <Strong>Found {versions.length} version{versions.length !== 1 ? 's' : ''}</Strong> for {entityLabel}: {versionLocalId}
                     </Text>
 
                     {versions.map((version) => (
@@ -285,6 +294,9 @@ export function VersionHistoryModal({ isOpen, onClose, embedUuid }) {
                                   <Text appearance="subtle">by {version.changedBy}</Text>
                                 )}
                               </Inline>
+                              {version.changeSummary && (
+                                <Text><Em>{version.changeSummary}</Em></Text>
+                              )}
                             </Stack>
 
                             <Button
@@ -335,6 +347,13 @@ export function VersionHistoryModal({ isOpen, onClose, embedUuid }) {
                     {/* Version metadata */}
                     <Stack space="space.050">
                       <Text><Strong>Changed By:</Strong> {selectedVersion.changedBy}</Text>
+                      {selectedVersion.data?.version && (
+                        <Text><Strong>Source Version:</Strong> {selectedVersion.data.version}</Text>
+                      )}
+                      {/* Source versions: the author's summary of this version */}
+                      {(selectedVersion.metadata?.changeSummary || selectedVersion.data?.changeSummary) && (
+                        <Text><Strong>Change Summary:</Strong> {selectedVersion.metadata?.changeSummary || selectedVersion.data.changeSummary}</Text>
+                      )}
                     </Stack>
 
                     {/* Stored data */}
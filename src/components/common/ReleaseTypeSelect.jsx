@@ -0,0 +1,45 @@
+/**
+ * ReleaseTypeSelect Component
+ *
+ * Lets a Source author choose how the next release bumps the Source version
+ * (major / minor / patch), or leave it on automatic so the type is suggested
+ * from the variable/toggle changes (see utils/source-release-utils.js).
+ *
+ * Used by the Source macro config, the admin Create/Edit Source modal and the
+ * Publishing panel.
+ *
+ * @param {Object} props
+ * @param {string} props.id - Field id (for the Label)
+ * @param {string|null} props.value - Selected release type, or null for automatic
+ * @param {Function} props.onChange - Called with the release type, or null for automatic
+ * @param {string} [props.suggestedType] - Suggested release type, shown on the automatic option
+ * @param {boolean} [props.isDisabled] - Disable the select
+ * @returns {JSX.Element}
+ */
+
+import React from 'react';
+import { Select } from '@forge/react';
+import { RELEASE_TYPES, RELEASE_TYPE_LABELS } from '../../utils/source-release-utils';
+
+export const ReleaseTypeSelect = ({ id, value, onChange, suggestedType, isDisabled }) => {
+  const automaticOption = {
+    label: suggestedType
+      ? `Automatic (suggested: ${RELEASE_TYPE_LABELS[suggestedType]})`
+      : 'Automatic (based on the variable and toggle changes)',
+    value: ''
+  };
+  const options = [
+    automaticOption,
+    ...RELEASE_TYPES.map(type => ({ label: RELEASE_TYPE_LABELS[type], value: type }))
+  ];
+
+  return (
+    <Select
+      id={id}
+      options={options}
+      value={options.find(opt => opt.value === (value || '')) || automaticOption}
+      isDisabled={isDisabled}
+      onChange={(e) => onChange(e?.value || null)}
+    />
+  );
+};
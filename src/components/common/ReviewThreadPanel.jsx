@@ -0,0 +1,248 @@
+/**
+ * Review Thread Panel
+ *
+ * App-side review discussion of one Embed, shared by the redline queue cards
+ * (RedlineQueueCard.jsx) and the Embed editor's Review tab (EmbedEditMode.jsx).
+ *
+ * - Threads oldest first, each with its replies; resolved threads are folded away
+ * - Every comment shows the Embed version it was made against, flagged when
+ *   the Embed has changed since
+ * - Resolve / reopen a thread; replying to a resolved thread reopens it
+ * - New threads can also be posted as a Confluence inline comment next to the
+ *   Embed (optional - the comment is kept here even when that fails)
+ *
+ * @param {Object} props
+ * @param {string} props.localId - Embed instance ID
+ * @param {string} [props.pageId] - Page the Embed is on (enables mirroring to Confluence)
+ * @param {string} [props.currentUserId] - Current user's Confluence accountId
+ * @returns {JSX.Element}
+ */
+
+import React, { Fragment, useState } from 'react';
+import {
+  Text,
+  Strong,
+  Em,
+  Button,
+  Inline,
+  Stack,
+  Box,
+  Label,
+  Lozenge,
+  Spinner,
+  SectionMessage,
+  Toggle,
+  xcss
+} from '@forge/react';
+import {
+  useConfluenceUserQuery,
+  useReviewThreadQuery,
+  useAddReviewCommentMutation,
+  useSetReviewThreadResolvedMutation
+} from '../../hooks/redline-hooks';
+import { StableTextArea } from './StableTextArea';
+
+const threadStyle = xcss({
+  padding: 'space.150',
+  borderColor: 'color.border',
+  borderWidth: 'border.width',
+  borderStyle: 'solid',
+  borderRadius: 'border.radius'
+});
+
+const replyStyle = xcss({
+  paddingLeft: 'space.300'
+});
+
+/**
+ * Display name for a Confluence account
+ */
+const AuthorName = ({ accountId }) => {
+  const { data: user } = useConfluenceUserQuery(accountId);
+  return <Strong>{user?.displayName || 'Someone'}</Strong>;
+};
+
+/**
+ * One comment: author, time, version it was made against, text
+ */
+const ReviewComment = ({ comment, currentContentHash }) => (
+  <Stack space="space.050">
+    <Inline space="space.100" alignBlock="center" shouldWrap>
+      <AuthorName accountId={comment.authorId} />
+      <Text size="small" color="color.text.subtlest">{new Date(comment.createdAt).toLocaleString()}</Text>
+      {comment.contentHash && (
+        <Lozenge appearance={comment.contentHash === currentContentHash ? 'default' : 'moved'}>
+          {comment.contentHash === currentContentHash ? 'Current version' : `Earlier version ${comment.contentHash.substring(0, 8)}`}
+        </Lozenge>
+      )}
+      {comment.sourceVersion && (
+        <Text size="small" color="color.text.subtlest">Source v{comment.sourceVersion}</Text>
+      )}
+      {comment.confluenceCommentId && <Lozenge appearance="success">On page</Lozenge>}
+    </Inline>
+    <Text>{comment.body}</Text>
+  </Stack>
+);
+
+export function ReviewThreadPanel({ localId, pageId, currentUserId }) {
+  const { data, isLoading, error } = useReviewThreadQuery(localId);
+  const addCommentMutation = useAddReviewCommentMutation();
+  const resolveMutation = useSetReviewThreadResolvedMutation();
+
+  const [newComment, setNewComment] = useState('');
+  const [mirrorToConfluence, setMirrorToConfluence] = useState(false);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [replyText, setReplyText] = useState('');
+  const [showResolved, setShowResolved] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  const threads = data?.threads || [];
+  const openThreads = threads.filter(thread => !thread.resolved);
+  const resolvedThreads = threads.filter(thread => thread.resolved);
+  const isBusy = addCommentMutation.isPending || resolveMutation.isPending;
+
+  const handleAddComment = async () => {
+    try {
+      const result = await addCommentMutation.mutateAsync({
+        localId,
+        body: newComment,
+        mirrorToConfluence: mirrorToConfluence && !!pageId,
+        pageId,
+        userId: currentUserId
+      });
+      setNewComment('');
+      setNotice(result.mirror?.error
+        ? { appearance: 'warning', text: `Comment saved, but not posted on the page: ${result.mirror.error}` }
+        : null);
+    } catch (addError) {
+      setNotice({ appearance: 'error', text: addError.message });
+    }
+  };
+
+  const handleReply = async (threadId) => {
+    try {
+      await addCommentMutation.mutateAsync({ localId, body: replyText, parentId: threadId, userId: currentUserId });
+      setReplyingTo(null);
+      setReplyText('');
+      setNotice(null);
+    } catch (replyError) {
+      setNotice({ appearance: 'error', text: replyError.message });
+    }
+  };
+
+  const handleResolve = async (threadId, resolved) => {
+    try {
+      await resolveMutation.mutateAsync({ localId, commentId: threadId, resolved, userId: currentUserId });
+    } catch (resolveError) {
+      setNotice({ appearance: 'error', text: resolveError.message });
+    }
+  };
+
+  const renderThread = (thread) => (
+    <Box key={thread.id} xcss={threadStyle}>
+      <Stack space="space.100">
+        <ReviewComment comment={thread} currentContentHash={data.currentContentHash} />
+        {thread.replies.map(reply => (
+          <Box key={reply.id} xcss={replyStyle}>
+            <ReviewComment comment={reply} currentContentHash={data.currentContentHash} />
+          </Box>
+        ))}
+
+        {thread.resolved && (
+          <Text size="small" color="color.text.subtlest">
+            Resolved by <AuthorName accountId={thread.resolvedBy} /> on {new Date(thread.resolvedAt).toLocaleString()}
+          </Text>
+        )}
+
+        {replyingTo === thread.id ? (
+          <Stack space="space.050">
+            <StableTextArea
+              stableKey={`review-reply-${thread.id}`}
+              value={replyText}
+              onChange={(e) => setReplyText(e.target.value)}
+              placeholder="Reply..."
+              isDisabled={isBusy}
+            />
+            <Inline space="space.050">
+              <Button appearance="primary" spacing="compact" onClick={() => handleReply(thread.id)} isDisabled={isBusy || !replyText.trim()}>
+                {addCommentMutation.isPending ? 'Posting...' : 'Reply'}
+              </Button>
+              <Button appearance="subtle" spacing="compact" onClick={() => { setReplyingTo(null); setReplyText(''); }}>
+                Cancel
+              </Button>
+            </Inline>
+          </Stack>
+        ) : (
+          <Inline space="space.050">
+            <Button appearance="subtle" spacing="compact" onClick={() => { setReplyingTo(thread.id); setReplyText(''); }}>
+              Reply
+            </Button>
+            <Button appearance="subtle" spacing="compact" onClick={() => handleResolve(thread.id, !thread.resolved)} isDisabled={isBusy}>
+              {thread.resolved ? 'Reopen' : 'Resolve'}
+            </Button>
+          </Inline>
+        )}
+      </Stack>
+    </Box>
+  );
+
+  return (
+    <Stack space="space.150">
+      {isLoading && <Spinner size="small" label="Loading discussion..." />}
+
+      {error && (
+        <SectionMessage appearance="error">
+          <Text>Couldn't load the review discussion: {error.message}</Text>
+        </SectionMessage>
+      )}
+
+      {notice && (
+        <SectionMessage appearance={notice.appearance}>
+          <Text>{notice.text}</Text>
+        </SectionMessage>
+      )}
+
+      {data && (
+        <Fragment>
+          {openThreads.length === 0 && (
+            <Text><Em>{resolvedThreads.length > 0 ? 'All threads are resolved.' : 'No review comments yet.'}</Em></Text>
+          )}
+          {openThreads.map(renderThread)}
+
+          {resolvedThreads.length > 0 && (
+            <Button appearance="subtle" spacing="compact" onClick={() => setShowResolved(!showResolved)}>
+              {showResolved ? 'Hide' : 'Show'} {resolvedThreads.length} resolved thread(s)
+            </Button>
+          )}
+          {showResolved && resolvedThreads.map(renderThread)}
+
+          <Stack space="space.050">
+            <Label labelFor={`review-new-comment-${localId}`}>Start a thread</Label>
+            <StableTextArea
+              stableKey={`review-new-comment-${localId}`}
+              value={newComment}
+              onChange={(e) => setNewComment(e.target.value)}
+              placeholder="Comment on this Embed..."
+              isDisabled={isBusy}
+            />
+            <Inline space="space.100" alignBlock="center">
+              <Button appearance="primary" onClick={handleAddComment} isDisabled={isBusy || !newComment.trim()}>
+                {addCommentMutation.isPending ? 'Posting...' : 'Comment'}
+              </Button>
+              {pageId && (
+                <Fragment>
+                  <Toggle
+                    id={`review-mirror-${localId}`}
+                    isChecked={mirrorToConfluence}
+                    onChange={() => setMirrorToConfluence(!mirrorToConfluence)}
+                  />
+                  <Label labelFor={`review-mirror-${localId}`}>Also post as an inline comment on the page</Label>
+                </Fragment>
+              )}
+            </Inline>
+          </Stack>
+        </Fragment>
+      )}
+    </Stack>
+  );
+}
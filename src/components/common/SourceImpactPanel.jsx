@@ -0,0 +1,152 @@
+/**
+ * Source Impact Panel
+ *
+ * Previews what saving the edited content of a Source does downstream, before
+ * it's saved: how many Embeds and pages use it, which Embeds have custom
+ * insertions or notes whose paragraph is edited or removed, which Embeds have a
+ * removed toggle enabled, and which approved Embeds will drop back to Needs
+ * Revision. Shown in the Source config (Impact tab) and on the Source macro
+ * while the page is being edited.
+ */
+
+import React, { Fragment } from 'react';
+import {
+  Text,
+  Strong,
+  Em,
+  Link,
+  Stack,
+  Spinner,
+  SectionMessage
+} from '@forge/react';
+import { useSourceImpactQuery } from '../../hooks/admin-hooks';
+
+// Embeds listed per section before collapsing the rest into "and N more"
+const MAX_LISTED_EMBEDS = 10;
+
+/**
+ * Page link plus detail text for one affected Embed
+ */
+const EmbedLine = ({ embed, children }) => (
+  <Text>
+    {embed.pageId
+      ? <Link openNewTab={true} href={`/wiki/pages/viewpage.action?pageId=${embed.pageId}`}>{embed.pageTitle}</Link>
+      : embed.pageTitle}
+    {embed.includedVia && <Em> (via {embed.includedVia.join(' → ')})</Em>}
+    {children && <Fragment> - {children}</Fragment>}
+  </Text>
+);
+
+/**
+ * List affected Embeds, capped at MAX_LISTED_EMBEDS
+ */
+const EmbedList = ({ embeds, renderDetail }) => (
+  <Stack space="space.050">
+    {embeds.slice(0, MAX_LISTED_EMBEDS).map(embed => (
+      <EmbedLine key={embed.localId} embed={embed}>{renderDetail?.(embed)}</EmbedLine>
+    ))}
+    {embeds.length > MAX_LISTED_EMBEDS && (
+      <Text><Em>and {embeds.length - MAX_LISTED_EMBEDS} more</Em></Text>
+    )}
+  </Stack>
+);
+
+/**
+ * Describe what happens to one re-anchored/orphaned insertion or note
+ */
+const shorten = (text) => (text.length > 40 ? `${text.substring(0, 40)}...` : text);
+const describeReanchoring = (item) => {
+  if (item.kind === 'override') {
+    return item.newAnchorText === null
+      ? `Override of "${shorten(item.anchorText)}" loses its paragraph`
+      : `Override of "${shorten(item.anchorText)}" may be outdated (paragraph now reads "${shorten(item.newAnchorText)}")`;
+  }
+  const label = item.kind === 'note' ? 'Note' : 'Insertion';
+  return item.newAnchorText === null
+    ? `${label} after "${shorten(item.anchorText)}" loses its paragraph`
+    : `${label} after "${shorten(item.anchorText)}" moves to the edited "${shorten(item.newAnchorText)}"`;
+};
+
+/**
+ * SourceImpactPanel Component
+ *
+ * @param {Object} props
+ * @param {string|null} props.excerptId - Source ID (nothing to analyze for a new Source)
+ * @param {Object|string} props.content - Edited content (macro body)
+ * @param {Object} props.renames - Confirmed renames { variables, toggles } (optional)
+ * @param {boolean} props.isEnabled - Whether to run the analysis (default true)
+ * @returns {JSX.Element|null}
+ */
+export const SourceImpactPanel = ({ excerptId, content, renames, isEnabled = true }) => {
+  const { data: impact, isLoading, error } = useSourceImpactQuery(excerptId, content, renames, isEnabled);
+
+  if (!excerptId) {
+    return <Text><Em>Impact is shown once the Source has been saved and is used by Embeds.</Em></Text>;
+  }
+
+  if (isLoading) {
+    return <Spinner size="small" label="Analyzing impact..." />;
+  }
+
+  if (error) {
+    return (
+      <SectionMessage appearance="error">
+        <Text>Couldn't analyze the impact of this change: {error.message}</Text>
+      </SectionMessage>
+    );
+  }
+
+  if (!impact) {
+    return null;
+  }
+
+  if (impact.totalEmbeds === 0) {
+    return <Text>No Embeds use this Source yet - saving affects nothing downstream.</Text>;
+  }
+
+  const hasWarnings = impact.approvedEmbeds.length > 0
+    || impact.reanchoredEmbeds.length > 0
+    || impact.toggleEmbeds.length > 0;
+
+  return (
+    <Stack space="space.200">
+      <Text>
+        Used by <Strong>{impact.totalEmbeds}</Strong> Embed(s) on <Strong>{impact.totalPages}</Strong> page(s).
+        {!impact.contentChanged && ' The edited content matches the live version, so saving changes nothing for them.'}
+      </Text>
+
+      {impact.approvedEmbeds.length > 0 && (
+        <SectionMessage appearance="warning" title={`${impact.approvedEmbeds.length} approved Embed(s) will need re-review`}>
+          <Text>They go back to Needs Revision in the redline queue when they pick up this change.</Text>
+          <EmbedList embeds={impact.approvedEmbeds} />
+        </SectionMessage>
+      )}
+
+      {impact.reanchoredEmbeds.length > 0 && (
+        <SectionMessage appearance="warning" title={`${impact.reanchoredEmbeds.length} Embed(s) have custom insertions, notes or overrides on edited paragraphs`}>
+          <Text>Insertions and notes follow the paragraph they were placed after. These move to the closest edited paragraph, or are hidden until the Embed author re-places them. Overridden paragraphs are flagged for the Embed author to review.</Text>
+          <EmbedList
+            embeds={impact.reanchoredEmbeds}
+            renderDetail={(embed) => embed.items.map(describeReanchoring).join('; ')}
+          />
+        </SectionMessage>
+      )}
+
+      {impact.toggleEmbeds.length > 0 && (
+        <SectionMessage appearance="warning" title={`${impact.toggleEmbeds.length} Embed(s) have a removed toggle enabled`}>
+          <Text>Removed toggle(s): {impact.removedToggles.join(', ')}. The content they switched on disappears from these Embeds.</Text>
+          <EmbedList
+            embeds={impact.toggleEmbeds}
+            renderDetail={(embed) => embed.toggles.join(', ')}
+          />
+        </SectionMessage>
+      )}
+
+      {impact.contentChanged && !hasWarnings && (
+        <SectionMessage appearance="success">
+          <Text>No approvals, insertions, notes or enabled toggles are affected.</Text>
+        </SectionMessage>
+      )}
+    </Stack>
+  );
+};
@@ -0,0 +1,264 @@
+/**
+ * Source Publishing Panel
+ *
+ * Staged publishing controls for a Source, shared by the Source macro config
+ * (source-config.jsx) and the admin Create/Edit Source modal.
+ *
+ * - "Require Publish" switches the Source to staged publishing: saves are kept
+ *   as a draft and Embeds keep showing the published content
+ * - Draft status (draft / in review, who saved it, whether it's outdated)
+ * - Optional approvers (a chosen user, or the owners of the Source's category):
+ *   once review is requested only they can publish
+ * - Changelog note, release type (major/minor/patch) + Publish / Discard draft
+ *
+ * The Require Publish setting itself is saved with the rest of the form (via
+ * saveExcerpt); the draft actions run immediately.
+ */
+
+import React, { Fragment, useState } from 'react';
+import {
+  Text,
+  Strong,
+  Em,
+  Button,
+  Inline,
+  Stack,
+  Label,
+  Lozenge,
+  SectionMessage,
+  TextArea,
+  Toggle,
+  UserPicker
+} from '@forge/react';
+import {
+  useSourceDraftStatusQuery,
+  useRequestSourceReviewMutation,
+  usePublishSourceDraftMutation,
+  useDiscardSourceDraftMutation
+} from '../../hooks/admin-hooks';
+import { useConfluenceUserQuery } from '../../hooks/redline-hooks';
+import { ReleaseTypeSelect } from './ReleaseTypeSelect';
+import { bumpVersion } from '../../utils/source-release-utils';
+
+/**
+ * Display name for a Confluence account (falls back to "someone")
+ */
+const UserName = ({ accountId }) => {
+  const { data: user } = useConfluenceUserQuery(accountId);
+  return <Strong>{user?.displayName || 'someone'}</Strong>;
+};
+
+/**
+ * "A, B or C" list of Confluence account names
+ */
+const UserNames = ({ accountIds }) => (
+  <Fragment>
+    {accountIds.map((accountId, index) => (
+      <Fragment key={accountId}>
+        {index > 0 && (index === accountIds.length - 1 ? ' or ' : ', ')}
+        <UserName accountId={accountId} />
+      </Fragment>
+    ))}
+  </Fragment>
+);
+
+/**
+ * SourcePublishingPanel Component
+ *
+ * @param {Object} props
+ * @param {string|null} props.excerptId - Source ID (null while creating a new Source)
+ * @param {boolean} props.requiresPublish - Current (unsaved) value of the Require Publish setting
+ * @param {Function} props.onRequiresPublishChange - Called with the new setting value
+ * @param {boolean} props.isDisabled - Disable all controls (e.g. while loading)
+ * @returns {JSX.Element}
+ */
+export const SourcePublishingPanel = ({ excerptId, requiresPublish, onRequiresPublishChange, isDisabled }) => {
+  const [approverId, setApproverId] = useState(null);
+  const [changelogNote, setChangelogNote] = useState('');
+  const [releaseType, setReleaseType] = useState(null); // null = the draft's choice, else the suggestion
+
+  const { data: status, isLoading: isLoadingStatus } = useSourceDraftStatusQuery(excerptId, !!excerptId);
+  const { mutate: requestReview, isPending: isRequestingReview } = useRequestSourceReviewMutation();
+  const { mutate: publishDraft, isPending: isPublishing } = usePublishSourceDraftMutation();
+  const { mutate: discardDraft, isPending: isDiscarding } = useDiscardSourceDraftMutation();
+
+  const draft = status?.draft;
+  const approverIds = draft?.approverIds || (draft?.approverId ? [draft.approverId] : []);
+  const categoryOwners = status?.categoryOwners || [];
+  const isBusy = isDisabled || isRequestingReview || isPublishing || isDiscarding;
+  // Only the approvers can cancel or sidestep a pending review
+  const isReviewLocked = !!status && status.canManageReview === false;
+
+  const handlePublish = () => {
+    publishDraft({ excerptId, changelogNote, releaseType }, {
+      onSuccess: (result) => {
+        setChangelogNote('');
+        setReleaseType(null);
+        alert(`Published version ${result.version}. Embeds using this Source will show it as an available update.${result.migration ? ' Renamed variable values are being moved to their new names in the background.' : ''}`);
+      },
+      onError: (error) => alert('Failed to publish: ' + error.message)
+    });
+  };
+
+  const handleDiscard = () => {
+    if (!confirm('Discard the unpublished changes to this Source? Embeds keep the published content.')) {
+      return;
+    }
+    discardDraft({ excerptId }, {
+      onError: (error) => alert('Failed to discard draft: ' + error.message)
+    });
+  };
+
+  return (
+    <Stack space="space.200">
+      <Inline space="space.100" alignBlock="center">
+        <Toggle
+          id="source-requires-publish"
+          isChecked={!!requiresPublish}
+          isDisabled={isDisabled || (isReviewLocked && !!requiresPublish)}
+          onChange={(e) => onRequiresPublishChange(e.target.checked)}
+        />
+        <Text>Require Publish before changes reach Embeds</Text>
+      </Inline>
+      <Text size="small" color="color.text.subtlest">
+        When on, saving this Source (and publishing its page) stores a draft. Embeds keep showing the
+        published version until someone clicks Publish.
+      </Text>
+
+      {!excerptId && (
+        <Text><Em>The first save of a new Source is published straight away.</Em></Text>
+      )}
+
+      {excerptId && requiresPublish !== status?.requiresPublish && !isLoadingStatus && (
+        <SectionMessage appearance="information">
+          <Text>Save the Source to {requiresPublish ? 'turn on' : 'turn off'} staged publishing.{!requiresPublish && draft ? ' Saving will publish the current content immediately and drop the draft.' : ''}</Text>
+        </SectionMessage>
+      )}
+
+      {excerptId && status?.requiresPublish && (
+        <Fragment>
+          {isLoadingStatus && <Text><Em>Loading draft status...</Em></Text>}
+
+          {!isLoadingStatus && !draft && (
+            <Text>No unpublished changes. Embeds show the published version.</Text>
+          )}
+
+          {draft && (
+            <Stack space="space.150">
+              <Inline space="space.100" alignBlock="center">
+                {draft.status === 'in-review'
+                  ? <Lozenge appearance="inprogress">In review</Lozenge>
+                  : <Lozenge appearance="new">Draft</Lozenge>}
+                <Text size="small">
+                  Saved {draft.updatedAt ? new Date(draft.updatedAt).toLocaleString() : ''}
+                  {draft.updatedBy && <Fragment> by <UserName accountId={draft.updatedBy} /></Fragment>}
+                </Text>
+              </Inline>
+
+              {!draft.hasChanges && (
+                <Text size="small"><Em>The draft matches the published version - nothing to publish.</Em></Text>
+              )}
+
+              {draft.isOutdated && (
+                <SectionMessage appearance="warning">
+                  <Text>The published version changed after this draft was started. Publishing will replace it.</Text>
+                </SectionMessage>
+              )}
+
+              {/* Review */}
+              {draft.status === 'in-review' ? (
+                <Inline space="space.100" alignBlock="center">
+                  <Text>Waiting for review by <UserNames accountIds={approverIds} /> - only {approverIds.length > 1 ? 'one of them' : 'they'} can publish.</Text>
+                  <Button
+                    appearance="subtle"
+                    isDisabled={isBusy || isReviewLocked}
+                    onClick={() => requestReview({ excerptId, approverId: null }, {
+                      onError: (error) => alert('Failed to clear review: ' + error.message)
+                    })}
+                  >
+                    Cancel review
+                  </Button>
+                </Inline>
+              ) : (
+                <Stack space="space.100">
+                  <UserPicker
+                    label="Approver (optional)"
+                    name="source-approver"
+                    placeholder="Choose who must approve before publishing"
+                    isDisabled={isBusy}
+                    onChange={(user) => setApproverId(user?.id || null)}
+                  />
+                  <Inline space="space.100">
+                    <Button
+                      isDisabled={isBusy || !approverId}
+                      onClick={() => requestReview({ excerptId, approverId }, {
+                        onError: (error) => alert('Failed to request review: ' + error.message)
+                      })}
+                    >
+                      {isRequestingReview ? 'Requesting...' : 'Request review'}
+                    </Button>
+                    {categoryOwners.length > 0 && (
+                      <Button
+                        isDisabled={isBusy}
+                        onClick={() => requestReview({ excerptId, useCategoryOwners: true }, {
+                          onError: (error) => alert('Failed to request review: ' + error.message)
+                        })}
+                      >
+                        Request review from category owners
+                      </Button>
+                    )}
+                  </Inline>
+                  {categoryOwners.length > 0 && (
+                    <Text size="small" color="color.text.subtlest">
+                      Category owners: <UserNames accountIds={categoryOwners} />
+                    </Text>
+                  )}
+                </Stack>
+              )}
+
+              {/* Publish */}
+              <Stack space="space.100">
+                <Label labelFor="source-changelog-note">Changelog note</Label>
+                <TextArea
+                  id="source-changelog-note"
+                  placeholder="What changed? Leave blank to use the change summary saved with the draft. Embed authors see this in the Update Available banner."
+                  value={changelogNote}
+                  isDisabled={isBusy || !status.canPublish}
+                  onChange={(e) => setChangelogNote(e.target.value)}
+                />
+                <Label labelFor="source-release-type">Release type</Label>
+                <ReleaseTypeSelect
+                  id="source-release-type"
+                  value={releaseType || draft.releaseType}
+                  suggestedType={draft.suggestedReleaseType}
+                  isDisabled={isBusy || !status.canPublish}
+                  onChange={setReleaseType}
+                />
+                <Text size="small" color="color.text.subtlest">
+                  Publishes version {bumpVersion(draft.publishedVersion, releaseType || draft.releaseType || draft.suggestedReleaseType)}
+                  {draft.publishedVersion ? ` (currently ${draft.publishedVersion})` : ''}.
+                </Text>
+                <Inline space="space.100">
+                  <Button
+                    appearance="primary"
+                    isDisabled={isBusy || !status.canPublish}
+                    onClick={handlePublish}
+                  >
+                    {isPublishing ? 'Publishing...' : 'Publish'}
+                  </Button>
+                  <Button
+                    appearance="subtle"
+                    isDisabled={isBusy || isReviewLocked}
+                    onClick={handleDiscard}
+                  >
+                    Discard draft
+                  </Button>
+                </Inline>
+              </Stack>
+            </Stack>
+          )}
+        </Fragment>
+      )}
+    </Stack>
+  );
+};
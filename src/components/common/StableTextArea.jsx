@@ -0,0 +1,57 @@
+/**
+ * StableTextArea Component
+ *
+ * Multi-line counterpart of StableTextfield: a Forge TextArea using the same
+ * uncontrolled pattern (defaultValue + ref sync) so typing doesn't make the
+ * cursor jump when the parent re-renders.
+ *
+ * @param {Object} props
+ * @param {string} props.stableKey - Unique key for this field (required for proper memoization)
+ * @param {string} props.value - Controlled value (synced to ref when changed externally)
+ * @param {Function} props.onChange - Change handler
+ * @param {string} props.placeholder - Placeholder text
+ * @param {boolean} props.isDisabled - Whether the field is disabled
+ * @returns {JSX.Element}
+ */
+
+import React from 'react';
+import { TextArea } from '@forge/react';
+
+const StableTextAreaComponent = React.forwardRef(({ value, onChange, placeholder, stableKey, isDisabled }, ref) => {
+  const textAreaRef = React.useRef(null);
+
+  React.useImperativeHandle(ref, () => textAreaRef.current, []);
+
+  // Sync ref value when value prop changes externally (e.g., when parent state resets)
+  React.useEffect(() => {
+    if (textAreaRef.current && textAreaRef.current.value !== (value || '')) {
+      textAreaRef.current.value = value || '';
+    }
+  }, [value]);
+
+  return (
+    <TextArea
+      key={stableKey}
+      ref={textAreaRef}
+      placeholder={placeholder}
+      defaultValue={value || ''}
+      onChange={onChange}
+      isDisabled={isDisabled}
+      resize="vertical"
+    />
+  );
+});
+
+StableTextAreaComponent.displayName = 'StableTextAreaComponent';
+
+export const StableTextArea = React.memo(StableTextAreaComponent, (prevProps, nextProps) => {
+  // Don't re-render when value changes - let the ref handle it
+  return (
+    prevProps.stableKey === nextProps.stableKey &&
+    prevProps.placeholder === nextProps.placeholder &&
+    prevProps.isDisabled === nextProps.isDisabled &&
+    prevProps.onChange === nextProps.onChange
+  );
+});
+
+StableTextArea.displayName = 'StableTextArea';
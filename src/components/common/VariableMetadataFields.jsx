@@ -0,0 +1,90 @@
+/**
+ * VariableMetadataFields Component
+ *
+ * Type, default value, and formula fields for a single Source variable, shared by
+ * the Source macro config (source-config.jsx) and the admin Source modals so every
+ * save path persists the same {type, allowedValues, defaultValue, formula} metadata.
+ *
+ * - Allowed values (comma-separated) are shown only for enum variables
+ * - Default value is used when an Embed leaves the variable empty
+ * - Formula makes the variable computed, e.g. "{{firstName}} {{lastName}}"
+ *   or "{{launchDate}} + 30 days"; Embeds can't type a value for it
+ * - Variables iterated with {{#each}} are always lists; their item fields are
+ *   detected from the loop body and listed read-only
+ *
+ * @param {Object} props
+ * @param {string} props.variableName - Name of the variable being configured
+ * @param {Object} props.metadata - Current metadata for this variable ({type, allowedValues, defaultValue, formula, ...})
+ * @param {Function} props.onChange - Called with a partial metadata object to merge
+ * @param {boolean} props.isDisabled - Whether the fields are disabled (e.g. while loading)
+ * @param {string} props.stableKeyPrefix - Prefix for StableTextfield keys (unique per form)
+ * @param {Object} [props.detectedVariable] - Variable as detected in the content ({type, itemFields})
+ * @returns {JSX.Element}
+ */
+
+import React, { Fragment } from 'react';
+import { Select, Label, Text } from '@forge/react';
+import { StableTextfield } from './StableTextfield';
+import { VARIABLE_TYPE_OPTIONS, normalizeVariableType, validateVariableValue } from '../../utils/variable-types';
+
+export const VariableMetadataFields = ({ variableName, metadata, onChange, isDisabled, stableKeyPrefix, detectedVariable }) => {
+  const isLoopVariable = detectedVariable?.type === 'list';
+  const type = isLoopVariable ? 'list' : normalizeVariableType(metadata?.type);
+  const allowedValues = Array.isArray(metadata?.allowedValues)
+    ? metadata.allowedValues.join(', ')
+    : (metadata?.allowedValues || '');
+  const defaultValueError = validateVariableValue({ ...metadata, type }, metadata?.defaultValue);
+
+  return (
+    <Fragment>
+      <Label labelFor={`var-type-${variableName}`}>Type</Label>
+      <Select
+        id={`var-type-${variableName}`}
+        options={VARIABLE_TYPE_OPTIONS}
+        value={VARIABLE_TYPE_OPTIONS.find(opt => opt.value === type)}
+        isDisabled={isDisabled || isLoopVariable}
+        onChange={(e) => onChange({ type: e.value })}
+      />
+      {isLoopVariable && (
+        <Text size="small">
+          {'Used by {{#each '}{variableName}{'}}'}
+          {detectedVariable.itemFields?.length > 0
+            ? ` - item fields: ${detectedVariable.itemFields.join(', ')}`
+            : ' - simple list (use {{this}} for each item)'}
+        </Text>
+      )}
+      {type === 'enum' && (
+        <StableTextfield
+          id={`var-allowed-${variableName}`}
+          stableKey={`${stableKeyPrefix}-var-allowed-${variableName}`}
+          label="Allowed values"
+          placeholder="Comma-separated, e.g. Basic, Pro, Enterprise"
+          value={allowedValues}
+          isDisabled={isDisabled}
+          onChange={(e) => onChange({ allowedValues: e.target.value })}
+        />
+      )}
+      <StableTextfield
+        id={`var-default-${variableName}`}
+        stableKey={`${stableKeyPrefix}-var-default-${variableName}`}
+        label="Default value"
+        placeholder="Used when an Embed leaves this empty"
+        value={metadata?.defaultValue || ''}
+        isDisabled={isDisabled}
+        onChange={(e) => onChange({ defaultValue: e.target.value })}
+      />
+      {defaultValueError && (
+        <Text size="small" color="color.text.danger">Default value: {defaultValueError}</Text>
+      )}
+      <StableTextfield
+        id={`var-formula-${variableName}`}
+        stableKey={`${stableKeyPrefix}-var-formula-${variableName}`}
+        label="Formula (computed variable)"
+        placeholder={'e.g. {{firstName}} {{lastName}} or {{launchDate}} + 30 days'}
+        value={metadata?.formula || ''}
+        isDisabled={isDisabled}
+        onChange={(e) => onChange({ formula: e.target.value })}
+      />
+    </Fragment>
+  );
+};
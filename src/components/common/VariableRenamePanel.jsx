@@ -0,0 +1,157 @@
+/**
+ * Variable Rename Panel
+ *
+ * Shown in the Source config when the edited content no longer has some of the
+ * saved variables or toggles. For each removed name the author says whether it
+ * was renamed (and to what) - likely renames are preselected - and sees how
+ * many Embeds hold a value for it. Confirmed renames are sent with the save
+ * (saveExcerpt payload.renames) and migrated across all Embeds in the
+ * background when the change goes live.
+ */
+
+import React, { Fragment, useEffect, useMemo } from 'react';
+import {
+  Text,
+  Strong,
+  Code,
+  Label,
+  Select,
+  Stack,
+  Inline,
+  SectionMessage
+} from '@forge/react';
+import { useVariableRenameImpactQuery } from '../../hooks/admin-hooks';
+import { detectRenameCandidates } from '../../utils/variable-rename-utils';
+
+/**
+ * One removed variable/toggle with its "renamed to" choice
+ */
+const RenameRow = ({ kind, oldName, addedNames, value, count, onChange }) => {
+  const notRenamed = { label: 'Not renamed - drop stored values', value: '' };
+  const options = [notRenamed, ...addedNames.map(name => ({ label: name, value: name }))];
+
+  return (
+    <Stack space="space.050">
+      <Inline space="space.100" alignBlock="center">
+        <Text>
+          <Code>{kind === 'toggle' ? `{{toggle:${oldName}}}` : `{{${oldName}}}`}</Code> was removed
+          {count !== undefined && <Fragment> - <Strong>{count}</Strong> Embed(s) have a {kind === 'toggle' ? 'setting' : 'value'} for it</Fragment>}
+        </Text>
+      </Inline>
+      <Label labelFor={`rename-${kind}-${oldName}`}>Renamed to</Label>
+      <Select
+        id={`rename-${kind}-${oldName}`}
+        options={options}
+        value={options.find(opt => opt.value === (value || '')) || notRenamed}
+        onChange={(e) => onChange(e?.value || null)}
+      />
+    </Stack>
+  );
+};
+
+/**
+ * VariableRenamePanel Component
+ *
+ * @param {Object} props
+ * @param {string|null} props.excerptId - Source ID (nothing to migrate for a new Source)
+ * @param {Array} props.previousVariables - Variables as last saved
+ * @param {Array} props.previousToggles - Toggles as last saved
+ * @param {Array} props.currentVariables - Variables detected in the edited content
+ * @param {Array} props.currentToggles - Toggles detected in the edited content
+ * @param {Object} props.renames - { variables: { old: new }, toggles: { old: new } }
+ * @param {Function} props.onRenamesChange - Called with the updated renames
+ * @returns {JSX.Element|null}
+ */
+export const VariableRenamePanel = ({
+  excerptId,
+  previousVariables,
+  previousToggles,
+  currentVariables,
+  currentToggles,
+  renames,
+  onRenamesChange
+}) => {
+  // Recompute only when the names change (the definition arrays are rebuilt on every render)
+  const namesKey = (definitions) => (definitions || []).map(d => d.name).join('\n');
+  const variableCandidates = useMemo(
+    () => detectRenameCandidates(previousVariables, currentVariables),
+    [namesKey(previousVariables), namesKey(currentVariables)]
+  );
+  const toggleCandidates = useMemo(
+    () => detectRenameCandidates(previousToggles, currentToggles),
+    [namesKey(previousToggles), namesKey(currentToggles)]
+  );
+
+  const { data: impact } = useVariableRenameImpactQuery(
+    excerptId,
+    variableCandidates.removed,
+    toggleCandidates.removed
+  );
+
+  // Whenever the removed/added names change: keep choices that still apply, preselect
+  // likely renames for the rest, and forget names that are back in the content
+  useEffect(() => {
+    const reconcile = (current, candidates) => {
+      const next = {};
+      for (const oldName of candidates.removed) {
+        const chosen = current?.[oldName];
+        next[oldName] = chosen && candidates.added.includes(chosen)
+          ? chosen
+          : candidates.suggestions[oldName] || null;
+      }
+      return next;
+    };
+    const next = {
+      variables: reconcile(renames?.variables, variableCandidates),
+      toggles: reconcile(renames?.toggles, toggleCandidates)
+    };
+    if (JSON.stringify(next) !== JSON.stringify(renames)) {
+      onRenamesChange(next);
+    }
+  }, [variableCandidates, toggleCandidates]);
+
+  if (!excerptId || (variableCandidates.removed.length === 0 && toggleCandidates.removed.length === 0)) {
+    return null;
+  }
+
+  const setRename = (group, oldName, newName) => {
+    onRenamesChange({
+      ...renames,
+      [group]: { ...(renames?.[group] || {}), [oldName]: newName }
+    });
+  };
+
+  return (
+    <SectionMessage appearance="warning" title="Renamed or removed variables">
+      <Stack space="space.200">
+        <Text>
+          Embeds store their values by name. Tell us which names were renamed and the values
+          will be moved to the new name in every Embed when this change goes live (each Embed
+          gets a version snapshot first, so this can be undone).
+        </Text>
+        {variableCandidates.removed.map(oldName => (
+          <RenameRow
+            key={`variable-${oldName}`}
+            kind="variable"
+            oldName={oldName}
+            addedNames={variableCandidates.added}
+            value={renames?.variables?.[oldName]}
+            count={impact?.variableCounts?.[oldName]}
+            onChange={(newName) => setRename('variables', oldName, newName)}
+          />
+        ))}
+        {toggleCandidates.removed.map(oldName => (
+          <RenameRow
+            key={`toggle-${oldName}`}
+            kind="toggle"
+            oldName={oldName}
+            addedNames={toggleCandidates.added}
+            value={renames?.toggles?.[oldName]}
+            count={impact?.toggleCounts?.[oldName]}
+            onChange={(newName) => setRename('toggles', oldName, newName)}
+          />
+        ))}
+      </Stack>
+    </SectionMessage>
+  );
+};
@@ -12,6 +12,7 @@
  * - Subtly rounded borders
  * - Optional "Checking for Source updates..." message on the right when checking staleness
  * - Optional redline status badge on the right after staleness check completes
+ *   (states added in the redline workflow show their workflow label)
  *
  * @param {Object} props
  * @param {Array} props.documentationLinks - Array of {anchor, url} objects
@@ -36,7 +37,11 @@ import {
   xcss
 } from '@forge/react';
 import { router } from '@forge/bridge';
-import { useConfluenceUserQuery } from '../../hooks/redline-hooks';
+import { useConfluenceUserQuery, useRedlineWorkflowQuery } from '../../hooks/redline-hooks';
+import { getRedlineState } from '../../utils/redline-workflow-utils';
+
+// Statuses of the default workflow, shown without loading the workflow
+const BUILT_IN_STATUSES = ['reviewable', 'pre-approved', 'needs-revision', 'approved'];
 
 const checkingTextStyle = xcss({
   color: 'background.accent.gray.subtler', // Light gray design token
@@ -69,6 +74,11 @@ export function DocumentationLinksDisplay({
 
   const { data: statusUser } = useConfluenceUserQuery(userIdToFetch);
 
+  // Only states added by admins need the workflow for their label and colour
+  const isCustomStatus = !!redlineStatus && !BUILT_IN_STATUSES.includes(redlineStatus);
+  const { data: workflow } = useRedlineWorkflowQuery(isCustomStatus);
+  const customState = isCustomStatus ? getRedlineState(workflow, redlineStatus) : null;
+
   // Hide component in Embed View Mode if there are no documentation links to display
   if (!documentationLinks || documentationLinks.length === 0) {
     return null;
@@ -115,8 +125,8 @@ export function DocumentationLinksDisplay({
     return (
       <Inline space="space.100" alignBlock="center">
         <Tooltip content={tooltips[redlineStatus] || ''}>
-          <Lozenge appearance={appearances[redlineStatus] || 'default'}>
-            {labels[redlineStatus] || redlineStatus}
+          <Lozenge appearance={appearances[redlineStatus] || customState?.appearance || 'default'}>
+            {labels[redlineStatus] || customState?.label || redlineStatus}
           </Lozenge>
           {redlineStatus === 'approved' && approvedAt && (
             <>
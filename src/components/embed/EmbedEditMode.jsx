@@ -8,7 +8,9 @@
  * - Standard selector dropdown at top
  * - Header with standard name and "View Source" link
  * - Save status indicator (Saving/Saved)
- * - Three tabs: Toggles, Write (variables), Custom (insertions/notes)
+ * - "Page variables" editor for values shared by every Embed on the page
+ * - Four tabs: Toggles, Write (variables, with a row editor for list variables), Custom (insertions/notes),
+ *   Review (the Embed's review discussion)
  * - Live preview below tabs (updates as configuration changes)
  * - Preview mode switches based on selected tab (rendered vs raw with markers)
  *
@@ -19,17 +21,21 @@
  * @param {string} props.selectedExcerptId - ID of currently selected Standard
  * @param {Function} props.handleExcerptSelection - Handler for Standard selection change
  * @param {Object} props.context - Forge context object
- * @param {string} props.saveStatus - Current save status ('saving'|'saved'|null)
- * @param {number} props.selectedTabIndex - Currently selected tab index (0=Toggles, 1=Write, 2=Custom)
+ * @param {string} props.saveStatus - Current save status ('saving'|'saved'|'invalid'|'error'|null)
+ * @param {number} props.selectedTabIndex - Currently selected tab index (0=Toggles, 1=Write, 2=Custom, 3=Review)
  * @param {Function} props.setSelectedTabIndex - Handler to change selected tab
  * @param {Object} props.variableValues - Current variable values
  * @param {Function} props.setVariableValues - Update variable values
  * @param {Object} props.toggleStates - Current toggle states
  * @param {Function} props.setToggleStates - Update toggle states
+ * @param {Array} props.inheritedScopes - Page-level and dictionary values this Embed inherits (nearest first)
+ * @param {Object} props.pageToggleStates - Page-level toggle states this Embed inherits
  * @param {Array} props.customInsertions - Custom paragraph insertions
  * @param {Function} props.setCustomInsertions - Update custom insertions
  * @param {Array} props.internalNotes - Internal notes
  * @param {Function} props.setInternalNotes - Update internal notes
+ * @param {Array} props.blockOverrides - Paragraph overrides
+ * @param {Function} props.setBlockOverrides - Update paragraph overrides
  * @param {string} props.insertionType - Type of insertion being added
  * @param {Function} props.setInsertionType - Update insertion type
  * @param {string} props.selectedPosition - Selected position for insertion
@@ -64,6 +70,9 @@ import { VariableConfigPanel } from '../VariableConfigPanel';
 import { ToggleConfigPanel } from '../ToggleConfigPanel';
 import { CustomInsertionsPanel } from '../CustomInsertionsPanel';
 import { DocumentationLinksDisplay } from './DocumentationLinksDisplay';
+import { PageVariablesModal } from './PageVariablesModal';
+import { ReviewThreadPanel } from '../common/ReviewThreadPanel';
+import { mergeVariableScopes } from '../../utils/page-variable-utils';
 import {
   excerptSelectorStyle,
   previewBoxStyle,
@@ -84,10 +93,14 @@ export function EmbedEditMode({
   setVariableValues,
   toggleStates,
   setToggleStates,
+  inheritedScopes,
+  pageToggleStates,
   customInsertions,
   setCustomInsertions,
   internalNotes,
   setInternalNotes,
+  blockOverrides,
+  setBlockOverrides,
   insertionType,
   setInsertionType,
   selectedPosition,
@@ -98,9 +111,11 @@ export function EmbedEditMode({
   getRawPreviewContent
 }) {
   const [copySuccess, setCopySuccess] = useState(false);
+  const [showPageVariables, setShowPageVariables] = useState(false);
 
   // Get localId from context
   const localId = context?.localId || context?.extension?.localId;
+  const pageId = context?.contentId || context?.extension?.content?.id;
 
   // Handler for copying UUID to clipboard using native Clipboard API
   const handleCopyUuid = async () => {
@@ -154,11 +169,15 @@ export function EmbedEditMode({
   // Toggles tab (0): Raw with markers
   // Write tab (1): Rendered without markers
   // Custom tab (2): Raw with markers
+  // Review tab (3): Rendered without markers
   const previewContent = (selectedTabIndex === 0 || selectedTabIndex === 2)
     ? getRawPreviewContent()
     : getPreviewContent();
   const isAdf = previewContent && typeof previewContent === 'object' && previewContent.type === 'doc';
 
+  // Paragraph text in the Custom tab reads as rendered, with inherited values filled in
+  const effectiveValues = mergeVariableScopes({ variableValues, toggleStates }, inheritedScopes);
+
   return (
     <Stack space="space.100">
       {/* Excerpt Selector - always visible at top of edit mode */}
@@ -223,6 +242,11 @@ export function EmbedEditMode({
               {copySuccess ? '✓ Copied!' : `${localId.substring(0, 8)}...`}
             </Button>
           )}
+          {pageId && (
+            <Button appearance="subtle" onClick={() => setShowPageVariables(true)}>
+              Page variables
+            </Button>
+          )}
         </Inline>
         <Inline space="space.100" alignBlock="center">
           {saveStatus === 'saving' && (
@@ -237,6 +261,12 @@ export function EmbedEditMode({
               <Text><Em>Saved</Em></Text>
             </Fragment>
           )}
+          {saveStatus === 'invalid' && (
+            <Fragment>
+              <Icon glyph="error" color="color.icon.danger" size="small" label="Not saved" />
+              <Text><Em>Not saved - fix invalid values in the Write tab</Em></Text>
+            </Fragment>
+          )}
         </Inline>
       </Inline>
 
@@ -245,6 +275,7 @@ export function EmbedEditMode({
           <Tab>Toggles</Tab>
           <Tab>Write</Tab>
           <Tab>Custom</Tab>
+          <Tab>Review</Tab>
         </TabList>
         {/* Toggles Tab */}
         <TabPanel>
@@ -252,6 +283,7 @@ export function EmbedEditMode({
             excerpt={excerpt}
             toggleStates={toggleStates}
             setToggleStates={setToggleStates}
+            pageToggleStates={pageToggleStates}
           />
         </TabPanel>
 
@@ -261,6 +293,7 @@ export function EmbedEditMode({
             excerpt={excerpt}
             variableValues={variableValues}
             setVariableValues={setVariableValues}
+            inheritedScopes={inheritedScopes}
           />
         </TabPanel>
 
@@ -268,12 +301,14 @@ export function EmbedEditMode({
         <TabPanel>
           <CustomInsertionsPanel
             excerpt={excerpt}
-            variableValues={variableValues}
-            toggleStates={toggleStates}
+            variableValues={effectiveValues.variableValues}
+            toggleStates={effectiveValues.toggleStates}
             customInsertions={customInsertions}
             setCustomInsertions={setCustomInsertions}
             internalNotes={internalNotes}
             setInternalNotes={setInternalNotes}
+            blockOverrides={blockOverrides}
+            setBlockOverrides={setBlockOverrides}
             insertionType={insertionType}
             setInsertionType={setInsertionType}
             selectedPosition={selectedPosition}
@@ -282,6 +317,15 @@ export function EmbedEditMode({
             setCustomText={setCustomText}
           />
         </TabPanel>
+
+        {/* Review Tab - App-side review discussion of this Embed */}
+        <TabPanel>
+          <ReviewThreadPanel
+            localId={localId}
+            pageId={pageId}
+            currentUserId={context?.accountId}
+          />
+        </TabPanel>
       </Tabs>
 
       {/* Preview - Always visible below tabs */}
@@ -297,6 +341,12 @@ export function EmbedEditMode({
           )}
         </Box>
       </Stack>
+
+      <PageVariablesModal
+        isOpen={showPageVariables}
+        onClose={() => setShowPageVariables(false)}
+        pageId={pageId}
+      />
     </Stack>
   );
 }
@@ -27,6 +27,14 @@
  * @param {Object} props.toggleStates - Current toggle states
  * @param {Object} props.excerpt - The Source excerpt object with documentationLinks
  * @param {Array} props.internalNotes - Internal notes to apply to content
+ * @param {Array} props.customInsertions - Custom insertions (shown in the update diff)
+ * @param {Array} props.blockOverrides - Paragraph overrides (update diff, outdated-override banner)
+ * @param {Array} props.changelog - Publish notes of the latest Source (for the update banner)
+ * @param {string} props.lastSynced - When this Embed last synced with the Source
+ * @param {string|null} props.updateSeverity - Severity of the pending Source update (for the update banner)
+ * @param {string} props.sourceVersion - Latest Source version
+ * @param {string} props.syncedVersion - Source version this Embed last synced
+ * @param {string|null} props.staleReason - 'source' or 'dictionary' (a variable dictionary value changed)
  * @returns {JSX.Element} - View mode JSX
  */
 
@@ -52,6 +60,7 @@ const staleBorderWrapperStyle = xcss({
 });
 import { cleanAdfForRenderer, insertInternalNotesInAdf } from '../../utils/adf-rendering-utils';
 import { UpdateAvailableBanner } from './UpdateAvailableBanner';
+import { OverrideConflictBanner } from './OverrideConflictBanner';
 import { DocumentationLinksDisplay } from './DocumentationLinksDisplay';
 import { StalenessCheckIndicator } from './StalenessCheckIndicator';
 import { adfContentContainerStyle } from '../../styles/embed-styles';
@@ -70,6 +79,14 @@ export function EmbedViewMode({
   toggleStates,
   excerpt,
   internalNotes = [],
+  customInsertions = [],
+  blockOverrides = [],
+  changelog = [],
+  lastSynced,
+  updateSeverity,
+  sourceVersion,
+  syncedVersion,
+  staleReason,
   redlineStatus,
   approvedBy,
   approvedAt,
@@ -160,8 +177,18 @@ export function EmbedViewMode({
               latestRenderedContent={latestRenderedContent}
               variableValues={variableValues}
               toggleStates={toggleStates}
+              variables={excerpt?.variables}
+              customInsertions={customInsertions}
+              blockOverrides={blockOverrides}
+              changelog={changelog}
+              lastSynced={lastSynced}
+              updateSeverity={updateSeverity}
+              sourceVersion={sourceVersion}
+              syncedVersion={syncedVersion}
+              staleReason={staleReason}
             />
           )}
+          <OverrideConflictBanner blockOverrides={blockOverrides} />
           {/* Hidden from rendering within Embed itself for now as Confluence's Table of Contents macro cannot detect/parse content within iframes, which the Embed macro is.
           <Inline space="space.100" alignBlock="center"> <Lozenge appearance="success">Standard</Lozenge>
             <Heading level={2}>{excerpt?.name || excerpt?.category}</Heading>
@@ -207,6 +234,13 @@ export function EmbedViewMode({
             latestRenderedContent={latestRenderedContent}
             variableValues={variableValues}
             toggleStates={toggleStates}
+            variables={excerpt?.variables}
+            changelog={changelog}
+            lastSynced={lastSynced}
+            updateSeverity={updateSeverity}
+            sourceVersion={sourceVersion}
+            syncedVersion={syncedVersion}
+            staleReason={staleReason}
           />
         )}
         {/* Hidden from rendering within Embed itself for now as Confluence's Table of Contents macro cannot detect/parse content within iframes, which the Embed macro is.
@@ -0,0 +1,74 @@
+/**
+ * OverrideConflictBanner Component
+ *
+ * Shown on an Embed that overrides Source paragraphs with its own wording when
+ * the Source has since edited one of those paragraphs ("your override may be
+ * outdated"). Each conflict can be expanded into a three-way diff: what the
+ * Source changed, and what the override changed, both against the paragraph as
+ * it read when the override was written. The author resolves conflicts on the
+ * Custom tab (keep the override, or go back to the Source text).
+ *
+ * @param {Object} props
+ * @param {Array} props.blockOverrides - The Embed's paragraph overrides (see insertion-anchor-utils.js)
+ * @returns {JSX.Element|null} - Banner JSX or null if no override is in conflict
+ */
+
+import React, { useState } from 'react';
+import {
+  Text,
+  Em,
+  Heading,
+  Button,
+  Stack,
+  Inline,
+  Box,
+  SectionMessage
+} from '@forge/react';
+import { OverrideConflictDiff } from '../EnhancedDiffView';
+import { updateBannerStyle } from '../../styles/embed-styles';
+
+export function OverrideConflictBanner({ blockOverrides = [] }) {
+  const [expandedIndex, setExpandedIndex] = useState(null);
+
+  const conflicts = blockOverrides.filter(override => override.conflict && !override.orphaned);
+  if (conflicts.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box xcss={updateBannerStyle}>
+      <SectionMessage appearance="warning">
+        <Stack space="space.100">
+          <Heading size="small">Your override may be outdated</Heading>
+          <Text>
+            The Source changed {conflicts.length === 1 ? 'a paragraph' : `${conflicts.length} paragraphs`} this
+            Embed rewords. Your wording is still shown - check whether the Source change should be carried
+            over, then keep your override or switch back to the Source text on the Custom tab.
+          </Text>
+          {conflicts.map((override, index) => (
+            <Stack key={override.anchor?.fingerprint || index} space="space.050">
+              <Inline space="space.100" alignBlock="center" spread="space-between">
+                <Text>
+                  <Em>"{(override.baseText || '').substring(0, 60)}{(override.baseText || '').length > 60 ? '...' : ''}"</Em>
+                </Text>
+                <Button
+                  appearance="subtle"
+                  onClick={() => setExpandedIndex(expandedIndex === index ? null : index)}
+                >
+                  {expandedIndex === index ? 'Hide' : 'Show'} changes
+                </Button>
+              </Inline>
+              {expandedIndex === index && (
+                <OverrideConflictDiff
+                  baseText={override.baseText}
+                  sourceText={override.anchor?.text}
+                  overrideText={override.text}
+                />
+              )}
+            </Stack>
+          ))}
+        </Stack>
+      </SectionMessage>
+    </Box>
+  );
+}
@@ -0,0 +1,228 @@
+/**
+ * PageVariablesModal Component
+ *
+ * Editor for the page-level variables of the page an Embed is on: values set
+ * here are inherited by every Embed on the page that leaves the variable empty
+ * (or doesn't switch the toggle itself). Lists every variable and toggle used
+ * by the page's Embeds, with how many Embeds use it and how many override it.
+ * Opened from the Embed editor ("Page variables").
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Handler to close modal
+ * @param {string} props.pageId - Page the Embed is on
+ * @returns {JSX.Element}
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Text,
+  Strong,
+  Em,
+  Code,
+  Button,
+  Modal,
+  ModalTransition,
+  ModalHeader,
+  ModalTitle,
+  ModalBody,
+  ModalFooter,
+  Stack,
+  Inline,
+  Select,
+  Spinner,
+  SectionMessage,
+  DynamicTable
+} from '@forge/react';
+import { usePageVariables, useSavePageVariables } from '../../hooks/embed-hooks';
+import { renderValueInput } from '../VariableConfigPanel';
+
+// Page-level toggle choices (unset = each Embed decides)
+const TOGGLE_OPTIONS = [
+  { label: 'Not set', value: '' },
+  { label: 'On', value: 'on' },
+  { label: 'Off', value: 'off' }
+];
+
+/**
+ * "Used by N Embed(s), M override it" summary
+ */
+const UsageText = ({ definition }) => (
+  <Text size="small" color="color.text.subtlest">
+    {definition.usedBy} Embed(s){definition.setLocally > 0 ? `, ${definition.setLocally} set their own` : ''}
+  </Text>
+);
+
+export function PageVariablesModal({ isOpen, onClose, pageId }) {
+  const { data, isLoading, error } = usePageVariables(pageId, isOpen);
+  const saveMutation = useSavePageVariables();
+  const [variableValues, setVariableValues] = useState({});
+  const [toggleStates, setToggleStates] = useState({});
+
+  // Start from the saved page values each time the modal opens
+  useEffect(() => {
+    if (isOpen && data) {
+      setVariableValues(data.variableValues || {});
+      setToggleStates(data.toggleStates || {});
+      saveMutation.reset();
+    }
+  }, [isOpen, data]);
+
+  const handleSave = async () => {
+    try {
+      const result = await saveMutation.mutateAsync({ pageId, variableValues, toggleStates });
+      if (result.revisedEmbeds?.length > 0) {
+        alert(`${result.revisedEmbeds.length} approved Embed(s) changed and were sent back for revision.`);
+      }
+      onClose();
+    } catch (saveError) {
+      // Shown from saveMutation.error below
+    }
+  };
+
+  const validationErrors = saveMutation.error?.validationErrors || {};
+
+  return (
+    <ModalTransition>
+      {isOpen && (
+        <Modal onClose={onClose} width="large">
+          <ModalHeader>
+            <ModalTitle>Page variables</ModalTitle>
+          </ModalHeader>
+          <ModalBody>
+            <Stack space="space.200">
+              <Text>
+                Values set here apply to every Embed on this page. An Embed that fills in a
+                variable (or switches a toggle) itself keeps its own value.
+              </Text>
+
+              {isLoading && <Spinner size="medium" label="Loading page variables..." />}
+
+              {data?.approvedEmbedCount > 0 && (
+                <SectionMessage appearance="warning">
+                  <Text>
+                    {data.approvedEmbedCount} Embed(s) on this page are approved. Any whose content
+                    changes with these values will be sent back for revision.
+                  </Text>
+                </SectionMessage>
+              )}
+
+              {error && (
+                <SectionMessage appearance="error">
+                  <Text>Couldn't load page variables: {error.message}</Text>
+                </SectionMessage>
+              )}
+
+              {saveMutation.error && (
+                <SectionMessage appearance="error">
+                  <Text>{saveMutation.error.message}</Text>
+                </SectionMessage>
+              )}
+
+              {data && data.variables.length === 0 && data.toggles.length === 0 && (
+                <Text><Em>The Embeds on this page don't use any variables or toggles yet.</Em></Text>
+              )}
+
+              {data && data.variables.length > 0 && (
+                <DynamicTable
+                  head={{
+                    cells: [
+                      { key: 'variable', content: 'Variable', width: 30 },
+                      { key: 'value', content: 'Page value', width: 70 }
+                    ]
+                  }}
+                  rows={data.variables.map(variable => ({
+                    key: variable.name,
+                    cells: [
+                      {
+                        key: 'variable',
+                        content: (
+                          <Stack space="space.025">
+                            <Text><Code>{variable.name}</Code></Text>
+                            <UsageText definition={variable} />
+                          </Stack>
+                        )
+                      },
+                      {
+                        key: 'value',
+                        content: (
+                          <Stack space="space.050">
+                            {renderValueInput(
+                              variable,
+                              variableValues[variable.name] || '',
+                              (newValue) => setVariableValues({ ...variableValues, [variable.name]: newValue })
+                            )}
+                            {validationErrors[variable.name] && (
+                              <Text size="small" color="color.text.danger">{validationErrors[variable.name]}</Text>
+                            )}
+                          </Stack>
+                        )
+                      }
+                    ]
+                  }))}
+                />
+              )}
+
+              {data && data.toggles.length > 0 && (
+                <DynamicTable
+                  head={{
+                    cells: [
+                      { key: 'toggle', content: 'Toggle', width: 30 },
+                      { key: 'state', content: 'Page setting', width: 70 }
+                    ]
+                  }}
+                  rows={data.toggles.map(toggle => {
+                    const state = toggleStates[toggle.name];
+                    const selected = state === true ? 'on' : state === false ? 'off' : '';
+                    return {
+                      key: toggle.name,
+                      cells: [
+                        {
+                          key: 'toggle',
+                          content: (
+                            <Stack space="space.025">
+                              <Text><Strong>{toggle.name}</Strong></Text>
+                              <UsageText definition={toggle} />
+                            </Stack>
+                          )
+                        },
+                        {
+                          key: 'state',
+                          content: (
+                            <Select
+                              id={`page-toggle-${toggle.name}`}
+                              options={TOGGLE_OPTIONS}
+                              value={TOGGLE_OPTIONS.find(opt => opt.value === selected)}
+                              onChange={(e) => {
+                                const { [toggle.name]: previous, ...rest } = toggleStates;
+                                setToggleStates(e?.value ? { ...rest, [toggle.name]: e.value === 'on' } : rest);
+                              }}
+                            />
+                          )
+                        }
+                      ]
+                    };
+                  })}
+                />
+              )}
+            </Stack>
+          </ModalBody>
+          <ModalFooter>
+            <Inline space="space.100">
+              <Button appearance="subtle" onClick={onClose}>
+                Cancel
+              </Button>
+              <Button
+                appearance="primary"
+                onClick={handleSave}
+                isDisabled={!data || saveMutation.isPending}
+              >
+                {saveMutation.isPending ? 'Saving...' : 'Save for all Embeds'}
+              </Button>
+            </Inline>
+          </ModalFooter>
+        </Modal>
+      )}
+    </ModalTransition>
+  );
+}
@@ -9,6 +9,7 @@
  * - Update button to sync with latest Source content
  * - View/Hide Diff button to toggle EnhancedDiffView
  * - Integrated EnhancedDiffView component for showing changes
+ * - "What changed" list of the Source's change summaries / publish notes since the last sync
  *
  * @param {Object} props
  * @param {boolean} props.isStale - Whether Source content has changed since last sync
@@ -20,12 +21,22 @@
  * @param {Object} props.latestRenderedContent - Latest Source content (for diff new side)
  * @param {Object} props.variableValues - Current variable values for diff rendering
  * @param {Object} props.toggleStates - Current toggle states for diff rendering
+ * @param {Array} props.variables - Source variable definitions (for defaults/computed values)
+ * @param {Array} props.customInsertions - The Embed's custom insertions (shown in the diff)
+ * @param {Array} props.blockOverrides - The Embed's paragraph overrides (applied in the diff)
+ * @param {Array} props.changelog - Source change summaries and publish notes ({ note, publishedAt }), oldest first
+ * @param {string} props.lastSynced - When this Embed last synced (notes after this are shown)
+ * @param {string|null} props.updateSeverity - 'major' | 'minor' | 'patch' | 'unknown' (see getUpdateSeverity)
+ * @param {string} props.sourceVersion - Source's current version
+ * @param {string} props.syncedVersion - Source version this Embed last synced
+ * @param {string|null} props.staleReason - 'dictionary' when only a variable dictionary value changed
  * @returns {JSX.Element|null} - Banner JSX or null if not stale
  */
 
 import React, { Fragment } from 'react';
 import {
   Text,
+  Strong,
   Heading,
   Button,
   ButtonGroup,
@@ -37,6 +48,37 @@ import {
 import { EnhancedDiffView } from '../EnhancedDiffView';
 import { updateBannerStyle, sectionContentStyle } from '../../styles/embed-styles';
 
+// Heading/description per update severity; breaking releases need the Embed owner to act
+const SEVERITY_MESSAGES = {
+  major: {
+    appearance: 'warning',
+    heading: 'Breaking Update Available',
+    description: 'This Source release removed or changed variables or toggles. Review this Embed\'s settings after updating.'
+  },
+  minor: {
+    appearance: 'success',
+    heading: 'Update Available',
+    description: 'The Source added new variables or toggles. Existing settings keep working.'
+  },
+  patch: {
+    appearance: 'success',
+    heading: 'Cosmetic Update Available',
+    description: 'Wording or formatting changes only - no action needed.'
+  },
+  unknown: {
+    appearance: 'success',
+    heading: 'Update Available',
+    description: 'The Source content has been updated since this Embed was last edited.'
+  }
+};
+
+// Shown instead when the Source is unchanged but a dictionary value the Embed uses isn't
+const DICTIONARY_MESSAGE = {
+  appearance: 'success',
+  heading: 'Variable Value Updated',
+  description: 'A variable dictionary value used in this Embed has changed. Update to show the new value.'
+};
+
 export function UpdateAvailableBanner({
   isStale,
   showDiffView,
@@ -46,21 +88,42 @@ export function UpdateAvailableBanner({
   syncedContent,
   latestRenderedContent,
   variableValues,
-  toggleStates
+  toggleStates,
+  variables,
+  customInsertions = [],
+  blockOverrides = [],
+  changelog = [],
+  lastSynced,
+  updateSeverity,
+  sourceVersion,
+  syncedVersion,
+  staleReason
 }) {
   if (!isStale) {
     return null;
   }
 
+  const severityMessage = staleReason === 'dictionary'
+    ? DICTIONARY_MESSAGE
+    : (SEVERITY_MESSAGES[updateSeverity] || SEVERITY_MESSAGES.unknown);
+
+  // Publish notes for the versions this Embed hasn't synced yet, newest first
+  const pendingNotes = (changelog || [])
+    .filter(entry => entry.note && (!lastSynced || new Date(entry.publishedAt) > new Date(lastSynced)))
+    .reverse();
+
   return (
     <Box xcss={updateBannerStyle}>
-      <SectionMessage appearance="success">
+      <SectionMessage appearance={severityMessage.appearance}>
         <Stack space="space.100">
           {/* Compact heading section with inline buttons */}
           <Inline spread="space-between" alignBlock="center" xcss={sectionContentStyle}>
             <Stack space="space.050">
-              <Heading size="small">Update Available</Heading>
-              <Text>The Source content has been updated since this Embed was last edited.</Text>
+              <Heading size="small">{severityMessage.heading}</Heading>
+              <Text>{severityMessage.description}</Text>
+              {sourceVersion && syncedVersion && sourceVersion !== syncedVersion && (
+                <Text size="small">Version {syncedVersion} → {sourceVersion}</Text>
+              )}
             </Stack>
             <ButtonGroup>
               <Button
@@ -79,6 +142,17 @@ export function UpdateAvailableBanner({
             </ButtonGroup>
           </Inline>
 
+          {pendingNotes.length > 0 && (
+            <Stack space="space.050">
+              <Text><Strong>What changed</Strong></Text>
+              {pendingNotes.map(entry => (
+                <Text key={entry.publishedAt}>
+                  {entry.version ? `v${entry.version}, ` : ''}{new Date(entry.publishedAt).toLocaleDateString()}: {entry.note}
+                </Text>
+              ))}
+            </Stack>
+          )}
+
           {/* Enhanced diff view - inside green box, full width */}
           {showDiffView && (
             <EnhancedDiffView
@@ -86,6 +160,9 @@ export function UpdateAvailableBanner({
               newSourceContent={latestRenderedContent}
               variableValues={variableValues}
               toggleStates={toggleStates}
+              variables={variables}
+              customInsertions={customInsertions}
+              blockOverrides={blockOverrides}
             />
           )}
         </Stack>
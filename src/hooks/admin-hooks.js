@@ -7,7 +7,9 @@
  * Key hooks:
  * - useExcerptsQuery: Fetch all excerpts with orphaned data
  * - useCategoriesQuery: Fetch category list
- * - useSaveCategoriesMutation: Save updated categories
+ * - useSaveCategoriesMutation: Save updated categories (and category owners)
+ * - useCategoryOwnersQuery: Fetch category owners (default Source approvers)
+ * - useRenameCategoryMutation: Rename/move a category, re-filing its Sources
  * - useExcerptUsageQuery: Fetch usage data for specific excerpt
  * - useDeleteExcerptMutation: Delete an excerpt with optimistic updates
  * - useCheckAllSourcesMutation: Run maintenance check on all sources
@@ -15,6 +17,19 @@
  * - usePushUpdatesToPageMutation: Push updates to specific page
  * - usePushUpdatesToAllMutation: Push updates to all pages
  * - useAllUsageCountsQuery: Fetch usage counts for sorting
+ * - useAllStaleCountsQuery: Fetch stale Embed counts (is:stale search filter)
+ * - useSourceDraftStatusQuery: Fetch a staged Source's draft status
+ * - useRequestSourceReviewMutation / usePublishSourceDraftMutation / useDiscardSourceDraftMutation:
+ *   staged Source publishing actions
+ * - useVariableRenameImpactQuery: Count Embeds affected by a variable/toggle rename
+ * - useSourceImpactQuery: Preview what a Source change does to its Embeds
+ * - useOrphanedInsertionsQuery: Embeds with insertions/notes that lost their paragraph
+ * - useVariableDictionariesQuery / useSaveVariableDictionaryMutation: global and
+ *   per-space variable dictionaries
+ * - useSavedSearchesQuery / useSaveSavedSearchMutation / useDeleteSavedSearchMutation:
+ *   the current user's saved Source searches
+ * - useContentSearchQuery / useRebuildSearchIndexMutation: full-text search over
+ *   Sources and Embeds
  */
 
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
@@ -101,7 +116,8 @@ export const useExcerptsQuery = () => {
  * Hook for fetching categories
  *
  * Fetches the list of available categories for organizing excerpts.
- * Returns default categories if none are stored.
+ * Returns default categories if none are stored. Nested categories are full
+ * paths ("Technical > Integrations", see utils/category-utils.js).
  *
  * @returns {Object} React Query result with categories array
  */
@@ -139,9 +155,11 @@ export const useSaveCategoriesMutation = () => {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: async (categories) => {
+    mutationFn: async (update) => {
+      // Either the category list, or { categories, owners } to save owners too
+      const { categories, owners } = Array.isArray(update) ? { categories: update } : update;
       console.log('[REACT-QUERY-ADMIN] 💾 Saving categories:', categories);
-      await invoke('saveCategories', { categories });
+      await invoke('saveCategories', { categories, owners });
       return categories;
     },
     // STEP 1-4: onMutate runs before mutation, sets optimistic state
@@ -157,7 +175,7 @@ export const useSaveCategoriesMutation = () => {
       console.log('[REACT-QUERY-ADMIN] 📸 Snapshot previous:', previousCategories);
 
       // STEP 3: Optimistically update to the new value
-      queryClient.setQueryData(['categories'], newCategories);
+      queryClient.setQueryData(['categories'], Array.isArray(newCategories) ? newCategories : newCategories.categories);
       console.log('[REACT-QUERY-ADMIN] ⚡ Optimistic update applied:', newCategories);
 
       // STEP 4: Return context with rollback data
@@ -179,6 +197,52 @@ export const useSaveCategoriesMutation = () => {
   });
 };
 
+/**
+ * Hook for fetching category owners
+ *
+ * @returns {Object} React Query result with { path: [accountId] }
+ */
+export const useCategoryOwnersQuery = () => {
+  return useQuery({
+    queryKey: ['categories', 'owners'],
+    queryFn: async () => {
+      const result = await invoke('getCategories');
+      return result?.owners || {};
+    },
+    staleTime: 1000 * 60 * 10, // 10 minutes - owners change rarely
+    gcTime: 1000 * 60 * 60, // 1 hour
+  });
+};
+
+/**
+ * Hook for renaming or moving a category
+ *
+ * The backend re-files every Source in the category (and its subcategories)
+ * and updates the redline assignment rules that match it, so the excerpt list
+ * and the rules are refetched too.
+ *
+ * @returns {Object} React Query mutation result; mutate({ from, to })
+ */
+export const useRenameCategoryMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ from, to }) => {
+      const result = await invoke('renameCategory', { from, to });
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Failed to rename category');
+      }
+      return result;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['categories'] });
+      queryClient.invalidateQueries({ queryKey: ['excerpts', 'list'] });
+      queryClient.invalidateQueries({ queryKey: ['excerpt'] });
+      queryClient.invalidateQueries({ queryKey: ['redlineAssignmentRules'] });
+    }
+  });
+};
+
 /**
  * Hook for lazy-loading usage data for a specific excerpt
  *
@@ -341,6 +405,7 @@ export const usePushUpdatesToPageMutation = () => {
     onSuccess: ({ excerptId }) => {
       // Invalidate usage data for this excerpt
       queryClient.invalidateQueries({ queryKey: ['excerpt', excerptId, 'usage'] });
+      queryClient.invalidateQueries({ queryKey: ['staleCounts'] });
     }
   });
 };
@@ -366,6 +431,7 @@ export const usePushUpdatesToAllMutation = () => {
     onSuccess: ({ excerptId }) => {
       // Invalidate usage data for this excerpt
       queryClient.invalidateQueries({ queryKey: ['excerpt', excerptId, 'usage'] });
+      queryClient.invalidateQueries({ queryKey: ['staleCounts'] });
     }
   });
 };
@@ -394,6 +460,30 @@ export const useAllUsageCountsQuery = () => {
   });
 };
 
+/**
+ * Hook for fetching the number of stale Embeds of every Source
+ *
+ * Reads every Embed's sync state, so it only runs while a search uses is:stale.
+ *
+ * @param {boolean} enabled - Whether to fetch
+ * @returns {Object} React Query result with staleCounts object ({ excerptId: count })
+ */
+export const useAllStaleCountsQuery = (enabled = true) => {
+  return useQuery({
+    queryKey: ['staleCounts', 'all'],
+    queryFn: async () => {
+      const result = await invoke('getAllStaleCounts');
+      if (result && result.success) {
+        return result.staleCounts || {};
+      }
+      throw new Error('Failed to load stale counts');
+    },
+    enabled,
+    staleTime: 1000 * 60 * 2, // 2 minutes
+    gcTime: 1000 * 60 * 10, // 10 minutes
+  });
+};
+
 /**
  * Hook for creating test page with 148 Embeds
  *
@@ -416,3 +506,326 @@ export const useCreateTestPageMutation = () => {
     }
   });
 };
+
+/**
+ * Hook for fetching the draft status of a staged Source
+ *
+ * @param {string} excerptId - The ID of the Source
+ * @param {boolean} enabled - Whether the query should run
+ * @returns {Object} React Query result with { requiresPublish, draft, canPublish, canManageReview, categoryOwners }
+ */
+export const useSourceDraftStatusQuery = (excerptId, enabled = true) => {
+  return useQuery({
+    queryKey: ['excerpt', excerptId, 'draft'],
+    queryFn: async () => {
+      const result = await invoke('getSourceDraftStatus', { excerptId });
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Failed to load draft status');
+      }
+      return result;
+    },
+    enabled: enabled && !!excerptId,
+    staleTime: 0, // Drafts change whenever the Source is saved
+    gcTime: 1000 * 60 * 10, // 10 minutes
+  });
+};
+
+/**
+ * Hook for sending a Source draft for review (or clearing the review with approverId null);
+ * pass useCategoryOwners to ask the owners of the Source's category
+ *
+ * @returns {Object} React Query mutation result
+ */
+export const useRequestSourceReviewMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ excerptId, approverId, useCategoryOwners }) => {
+      const result = await invoke('requestSourceReview', { excerptId, approverId, useCategoryOwners });
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to request review');
+      }
+      return result;
+    },
+    onSuccess: (data, { excerptId }) => {
+      queryClient.invalidateQueries({ queryKey: ['excerpt', excerptId, 'draft'] });
+    },
+    onError: (error) => {
+      console.error('[REACT-QUERY-ADMIN] Request review failed:', error);
+    }
+  });
+};
+
+/**
+ * Hook for publishing a Source draft with a changelog note and release type
+ *
+ * @returns {Object} React Query mutation result
+ */
+export const usePublishSourceDraftMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ excerptId, changelogNote, releaseType }) => {
+      const result = await invoke('publishSourceDraft', { excerptId, changelogNote, releaseType });
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to publish');
+      }
+      return result;
+    },
+    onSuccess: (data, { excerptId }) => {
+      // The live Source changed - refetch it, its draft status, and the lists
+      queryClient.invalidateQueries({ queryKey: ['excerpt', excerptId] });
+      queryClient.invalidateQueries({ queryKey: ['excerpts', 'list'] });
+    },
+    onError: (error) => {
+      console.error('[REACT-QUERY-ADMIN] Publish failed:', error);
+    }
+  });
+};
+
+/**
+ * Hook for discarding a Source draft
+ *
+ * @returns {Object} React Query mutation result
+ */
+export const useDiscardSourceDraftMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ excerptId }) => {
+      const result = await invoke('discardSourceDraft', { excerptId });
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to discard draft');
+      }
+      return result;
+    },
+    onSuccess: (data, { excerptId }) => {
+      queryClient.invalidateQueries({ queryKey: ['excerpt', excerptId, 'draft'] });
+    },
+    onError: (error) => {
+      console.error('[REACT-QUERY-ADMIN] Discard draft failed:', error);
+    }
+  });
+};
+
+/**
+ * Hook for counting the Embeds that hold values for renamed variables/toggles
+ *
+ * @param {string} excerptId - The ID of the Source
+ * @param {Array<string>} variableNames - Old variable names
+ * @param {Array<string>} toggleNames - Old toggle names
+ * @returns {Object} React Query result with { totalEmbeds, variableCounts, toggleCounts }
+ */
+export const useVariableRenameImpactQuery = (excerptId, variableNames, toggleNames) => {
+  return useQuery({
+    queryKey: ['excerpt', excerptId, 'renameImpact', variableNames, toggleNames],
+    queryFn: async () => {
+      const result = await invoke('getVariableRenameImpact', { excerptId, variableNames, toggleNames });
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Failed to count affected Embeds');
+      }
+      return result;
+    },
+    enabled: !!excerptId && (variableNames.length > 0 || toggleNames.length > 0),
+    staleTime: 1000 * 60, // 1 minute
+    gcTime: 1000 * 60 * 10, // 10 minutes
+  });
+};
+
+/**
+ * Hook for previewing what new content for a Source does to its Embeds
+ *
+ * @param {string} excerptId - The ID of the Source
+ * @param {Object|string} content - Proposed content (macro body)
+ * @param {Object} renames - Confirmed renames { variables, toggles }
+ * @param {boolean} enabled - Whether to run the analysis
+ * @returns {Object} React Query result with the impact summary (see previewSourceImpact)
+ */
+export const useSourceImpactQuery = (excerptId, content, renames, enabled = true) => {
+  return useQuery({
+    queryKey: ['excerpt', excerptId, 'impact', content, renames],
+    queryFn: async () => {
+      const result = await invoke('previewSourceImpact', { excerptId, content, renames });
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Failed to analyze the impact of this change');
+      }
+      return result.impact;
+    },
+    enabled: enabled && !!excerptId && !!content,
+    staleTime: 1000 * 60, // 1 minute
+    gcTime: 1000 * 60 * 10, // 10 minutes
+  });
+};
+
+/**
+ * Hook for listing Embeds whose custom insertions/internal notes could not be
+ * re-anchored after their Source changed
+ *
+ * @returns {Object} React Query result with [{ localId, excerptId, excerptName, pageId, pageTitle, items }]
+ */
+export const useOrphanedInsertionsQuery = () => {
+  return useQuery({
+    queryKey: ['orphanedInsertions'],
+    queryFn: async () => {
+      const result = await invoke('getOrphanedInsertions');
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Failed to load orphaned insertions');
+      }
+      return result.embeds;
+    },
+    staleTime: 1000 * 60 * 5, // 5 minutes
+    gcTime: 1000 * 60 * 30, // 30 minutes
+  });
+};
+
+/**
+ * Hook for fetching the global and per-space variable dictionaries
+ *
+ * @param {boolean} enabled - Whether to fetch (e.g. only while the editor is open)
+ * @returns {Object} React Query result with { global, spaces } (see getVariableDictionaries)
+ */
+export const useVariableDictionariesQuery = (enabled = true) => {
+  return useQuery({
+    queryKey: ['variableDictionaries'],
+    queryFn: async () => {
+      const result = await invoke('getVariableDictionaries');
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Failed to load variable dictionaries');
+      }
+      return { global: result.global, spaces: result.spaces };
+    },
+    enabled,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+    gcTime: 1000 * 60 * 30, // 30 minutes
+  });
+};
+
+/**
+ * Hook for saving the entries of one variable dictionary
+ *
+ * Embeds rendering a changed value show as stale afterwards, so usage data is
+ * refetched too.
+ *
+ * @returns {Object} React Query mutation result; mutate({ scope, spaceKey, entries })
+ */
+export const useSaveVariableDictionaryMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ scope, spaceKey, entries }) => {
+      const result = await invoke('saveVariableDictionary', { scope, spaceKey, entries });
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Failed to save variable dictionary');
+      }
+      return result;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['variableDictionaries'] });
+      queryClient.invalidateQueries({ queryKey: ['excerpt'] });
+      queryClient.invalidateQueries({ queryKey: ['staleCounts'] });
+    }
+  });
+};
+
+/**
+ * Hook for fetching the current user's saved Source searches
+ *
+ * @returns {Object} React Query result with [{ id, name, query, categoryFilter, sortBy }]
+ */
+export const useSavedSearchesQuery = () => {
+  return useQuery({
+    queryKey: ['savedSearches'],
+    queryFn: async () => {
+      const result = await invoke('getSavedSearches');
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Failed to load saved searches');
+      }
+      return result.searches || [];
+    },
+    staleTime: 1000 * 60 * 5, // 5 minutes
+    gcTime: 1000 * 60 * 30, // 30 minutes
+  });
+};
+
+/**
+ * Hook for saving a named Source search (same name = replace)
+ *
+ * @returns {Object} React Query mutation result; mutate({ name, query, categoryFilter, sortBy })
+ */
+export const useSaveSavedSearchMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ name, query, categoryFilter, sortBy }) => {
+      const result = await invoke('saveSavedSearch', { name, query, categoryFilter, sortBy });
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Failed to save search');
+      }
+      return result;
+    },
+    onSuccess: (result) => {
+      queryClient.setQueryData(['savedSearches'], result.searches);
+    }
+  });
+};
+
+/**
+ * Hook for deleting a saved Source search
+ *
+ * @returns {Object} React Query mutation result; mutate(searchId)
+ */
+export const useDeleteSavedSearchMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (searchId) => {
+      const result = await invoke('deleteSavedSearch', { searchId });
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Failed to delete saved search');
+      }
+      return result;
+    },
+    onSuccess: (result) => {
+      queryClient.setQueryData(['savedSearches'], result.searches);
+    }
+  });
+};
+
+/**
+ * Hook for full-text search over Sources (and optionally Embeds)
+ *
+ * @param {Object} search - { query, includeEmbeds, kinds } (fetches only when query has text)
+ * @returns {Object} React Query result with { terms, results, sourceMatchCount, embedMatchCount, truncated, indexMeta }
+ */
+export const useContentSearchQuery = ({ query, includeEmbeds, kinds }) => {
+  return useQuery({
+    queryKey: ['contentSearch', query, includeEmbeds, kinds],
+    queryFn: async () => {
+      const result = await invoke('searchContent', { query, includeEmbeds, kinds });
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Search failed');
+      }
+      return result;
+    },
+    enabled: !!query && query.trim().length > 0,
+    staleTime: 1000 * 60, // 1 minute
+    gcTime: 1000 * 60 * 5, // 5 minutes
+  });
+};
+
+/**
+ * Hook for rebuilding the full-text search index in the background
+ *
+ * @returns {Object} React Query mutation result; mutateAsync() resolves to { jobId, progressId }
+ */
+export const useRebuildSearchIndexMutation = () => {
+  return useMutation({
+    mutationFn: async () => {
+      const result = await invoke('rebuildSearchIndex');
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Failed to start search index rebuild');
+      }
+      return result;
+    }
+  });
+};
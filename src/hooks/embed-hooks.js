@@ -10,21 +10,17 @@
  * - useAvailableExcerpts: Fetch list of available excerpts
  * - useVariableValues: Fetch saved variable values for an embed instance
  * - useCachedContent: Fetch cached rendered content with automatic recovery
+ * - usePageVariables / useSavePageVariables: Page-level variables shared by all Embeds on a page
  */
 
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { invoke } from '@forge/bridge';
-import {
-  filterContentByToggles,
-  substituteVariablesInAdf,
-  insertCustomParagraphsInAdf,
-  insertInternalNotesInAdf
-} from '../utils/adf-rendering-utils';
 
 /**
  * Custom hook for fetching excerpt data with React Query
  *
  * Fetches a specific excerpt/source by ID, including its content, variables, and metadata.
+ * Nested Sources ({{include:Name}}) are expanded server-side for rendering.
  *
  * @param {string} excerptId - The ID of the excerpt to fetch
  * @param {boolean} enabled - Whether the query should run
@@ -40,7 +36,7 @@ export const useExcerptData = (excerptId, enabled) => {
         return null;
       }
 
-      const result = await invoke('getExcerpt', { excerptId });
+      const result = await invoke('getExcerpt', { excerptId, resolveIncludes: true });
 
       if (!result.success || !result.excerpt) {
         throw new Error('Failed to load excerpt');
@@ -60,8 +56,8 @@ export const useExcerptData = (excerptId, enabled) => {
 /**
  * Custom hook for saving variable values with React Query mutation
  *
- * Saves variable values, toggle states, custom insertions, and internal notes
- * for a specific embed instance.
+ * Saves variable values, toggle states, custom insertions, internal notes and
+ * paragraph overrides for a specific embed instance.
  *
  * @returns {Object} React Query mutation result
  */
@@ -69,14 +65,15 @@ export const useSaveVariableValues = () => {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: async ({ localId, excerptId, variableValues, toggleStates, customInsertions, internalNotes }) => {
+    mutationFn: async ({ localId, excerptId, variableValues, toggleStates, customInsertions, internalNotes, blockOverrides }) => {
       const result = await invoke('saveVariableValues', {
         localId,
         excerptId,
         variableValues,
         toggleStates,
         customInsertions,
-        internalNotes
+        internalNotes,
+        blockOverrides
       });
 
       if (!result.success) {
@@ -164,6 +161,7 @@ export const useVariableValues = (localId, enabled) => {
  * @param {Function} setToggleStates - State setter for toggle states
  * @param {Function} setCustomInsertions - State setter for custom insertions
  * @param {Function} setInternalNotes - State setter for internal notes
+ * @param {Function} setBlockOverrides - State setter for paragraph overrides
  * @param {Function} setExcerptForViewMode - State setter for excerpt data
  * @returns {Object} React Query result with cached content
  */
@@ -176,6 +174,7 @@ export const useCachedContent = (
   setToggleStates,
   setCustomInsertions,
   setInternalNotes,
+  setBlockOverrides,
   setExcerptForViewMode
 ) => {
   return useQuery({
@@ -190,7 +189,7 @@ export const useCachedContent = (
 
       // No cached content - fetch fresh and process
 
-      const excerptResult = await invoke('getExcerpt', { excerptId });
+      const excerptResult = await invoke('getExcerpt', { excerptId, resolveIncludes: true });
       if (!excerptResult.success || !excerptResult.excerpt) {
         throw new Error('Failed to load excerpt');
       }
@@ -205,7 +204,8 @@ export const useCachedContent = (
                         Object.keys(varsResult.variableValues || {}).length === 0 &&
                         Object.keys(varsResult.toggleStates || {}).length === 0 &&
                         (varsResult.customInsertions || []).length === 0 &&
-                        (varsResult.internalNotes || []).length === 0;
+                        (varsResult.internalNotes || []).length === 0 &&
+                        (varsResult.blockOverrides || []).length === 0;
 
       if (varsResult.success && hasNoData && excerptId) {
         const pageId = context?.contentId || context?.extension?.content?.id;
@@ -226,62 +226,20 @@ export const useCachedContent = (
       const loadedToggleStates = varsResult.success ? varsResult.toggleStates : {};
       const loadedCustomInsertions = varsResult.success ? varsResult.customInsertions : [];
       const loadedInternalNotes = varsResult.success ? varsResult.internalNotes : [];
+      const loadedBlockOverrides = varsResult.success ? (varsResult.blockOverrides || []) : [];
 
       setVariableValues(loadedVariableValues);
       setToggleStates(loadedToggleStates);
       setCustomInsertions(loadedCustomInsertions);
       setInternalNotes(loadedInternalNotes);
+      setBlockOverrides(loadedBlockOverrides);
 
-      // Generate and cache the content
-      let freshContent = excerptResult.excerpt.content;
-      const isAdf = freshContent && typeof freshContent === 'object' && freshContent.type === 'doc';
-
-      if (isAdf) {
-        // TODO: Fix for GitHub issue #2 - Free Write paragraph insertion position with enabled toggles
-        // FIX: Insert custom paragraphs BEFORE toggle filtering (same as EmbedContainer.jsx fix above)
-        //
-        // COMMENTED OUT FIX (to be tested):
-        // // Insert custom paragraphs and internal notes into original content (before toggle filtering)
-        // freshContent = substituteVariablesInAdf(freshContent, loadedVariableValues);
-        // freshContent = insertCustomParagraphsInAdf(freshContent, loadedCustomInsertions);
-        // freshContent = insertInternalNotesInAdf(freshContent, loadedInternalNotes);
-        // // Then filter toggles (this will preserve insertions inside enabled toggles)
-        // freshContent = filterContentByToggles(freshContent, loadedToggleStates);
-        
-        // CURRENT (BUGGY) BEHAVIOR:
-        freshContent = filterContentByToggles(freshContent, loadedToggleStates);
-        freshContent = substituteVariablesInAdf(freshContent, loadedVariableValues);
-        freshContent = insertCustomParagraphsInAdf(freshContent, loadedCustomInsertions);
-        freshContent = insertInternalNotesInAdf(freshContent, loadedInternalNotes);
-      } else {
-        // For plain text, filter toggles
-        const toggleRegex = /\{\{toggle:([^}]+)\}\}([\s\S]*?)\{\{\/toggle:\1\}\}/g;
-        freshContent = freshContent.replace(toggleRegex, (match, toggleName, content) => {
-          const trimmedName = toggleName.trim();
-          return loadedToggleStates?.[trimmedName] === true ? content : '';
-        });
-        // Strip any remaining markers
-        freshContent = freshContent.replace(/\{\{toggle:[^}]+\}\}/g, '');
-        freshContent = freshContent.replace(/\{\{\/toggle:[^}]+\}\}/g, '');
-
-        // Substitute variables
-        const escapeRegex = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        if (excerptResult.excerpt.variables) {
-          excerptResult.excerpt.variables.forEach(variable => {
-            const value = loadedVariableValues[variable.name] || `{{${variable.name}}}`;
-            const regex = new RegExp(`\\{\\{${escapeRegex(variable.name)}\\}\\}`, 'g');
-            freshContent = freshContent.replace(regex, value);
-          });
-        }
+      // Render and cache server-side (same pipeline as push updates and the redline queue)
+      const cacheResult = await invoke('saveCachedContent', { localId, excerptId });
+      if (!cacheResult.success) {
+        throw new Error(cacheResult.error || 'Failed to render content');
       }
-
-      // Cache it for next time
-      await invoke('saveCachedContent', {
-        localId,
-        renderedContent: freshContent,
-        syncedContentHash: excerptResult.excerpt.contentHash,
-        syncedContent: excerptResult.excerpt.content
-      });
+      const freshContent = cacheResult.renderedContent;
 
       return { content: freshContent, fromCache: false };
     },
@@ -290,3 +248,67 @@ export const useCachedContent = (
     gcTime: 1000 * 60 * 30, // 30 minutes
   });
 };
+
+/**
+ * Custom hook for fetching the page-level variables of a page
+ *
+ * Returns the page's values plus the variables and toggles used by the Embeds
+ * on it (see getPageVariables).
+ *
+ * @param {string} pageId - Confluence page ID
+ * @param {boolean} enabled - Whether the query should run
+ * @returns {Object} React Query result with page variables data
+ */
+export const usePageVariables = (pageId, enabled) => {
+  return useQuery({
+    queryKey: ['pageVariables', pageId],
+    queryFn: async () => {
+      const result = await invoke('getPageVariables', { pageId });
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load page variables');
+      }
+
+      return result;
+    },
+    enabled: enabled && !!pageId,
+    staleTime: 1000 * 30, // 30 seconds
+    gcTime: 1000 * 60 * 5, // 5 minutes
+  });
+};
+
+/**
+ * Custom hook for saving the page-level variables of a page
+ *
+ * Every Embed on the page inherits these values, so all Embed values and cached
+ * content are refetched afterwards, and the redline queue too when approved
+ * Embeds were sent back for revision (result.revisedEmbeds).
+ *
+ * @returns {Object} React Query mutation result (throws with validationErrors on invalid values)
+ */
+export const useSavePageVariables = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ pageId, variableValues, toggleStates }) => {
+      const result = await invoke('savePageVariables', { pageId, variableValues, toggleStates });
+
+      if (!result.success) {
+        const error = new Error(result.error || 'Failed to save page variables');
+        error.validationErrors = result.validationErrors;
+        throw error;
+      }
+
+      return result;
+    },
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['pageVariables', variables.pageId] });
+      queryClient.invalidateQueries({ queryKey: ['variableValues'] });
+      queryClient.invalidateQueries({ queryKey: ['cachedContent'] });
+      if (data.revisedEmbeds?.length > 0) {
+        queryClient.invalidateQueries({ queryKey: ['redlineQueue'] });
+        queryClient.invalidateQueries({ queryKey: ['redlineStats'] });
+      }
+    }
+  });
+};
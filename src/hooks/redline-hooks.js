@@ -5,58 +5,157 @@
  * Uses TanStack React Query for state management, caching, and automatic refetching.
  *
  * Key hooks:
- * - useRedlineQueueQuery: Fetch redline queue with filtering, sorting, grouping
+ * - useRedlineQueueQuery: Fetch redline queue with filtering, sorting, grouping (page by page)
+ * - useRebuildRedlineIndexMutation: Rebuild the index the queue reads
  * - useSetRedlineStatusMutation: Set redline status for single Embed
  * - useBulkSetRedlineStatusMutation: Bulk status update for multiple Embeds
  * - useConfluenceUserQuery: Get Confluence user data for avatar display
- * - useRedlineStatsQuery: Get redline statistics (counts by status)
+ * - useRedlineStatsQuery: Get redline statistics (counts by status, reviewer workload)
+ * - useSetRedlineAssigneeMutation / useBulkSetRedlineAssigneeMutation: Assign reviewers
+ * - useRedlineAssignmentRulesQuery / useSaveRedlineAssignmentRulesMutation /
+ *   useApplyRedlineAssignmentRulesMutation: Auto-assignment rules
+ * - useRedlineWorkflowQuery / useSaveRedlineWorkflowMutation: Workflow states and transitions
+ * - useRedlineSlaQuery / useSaveRedlineSlaMutation / useRedlineMetricsQuery /
+ *   useExportRedlineReportMutation: SLA thresholds, aging metrics and the report export
+ * - useReviewThreadQuery / useAddReviewCommentMutation / useSetReviewThreadResolvedMutation:
+ *   Review discussion on an Embed (queue cards and the Embed editor)
  *
  * Part of Phase 3 implementation (React Query Hooks for Redline Data)
  */
 
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useInfiniteQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { invoke } from '@forge/bridge';
+import { summarizeReviewThread } from '../utils/review-thread-utils';
 
 // Module-level timeout ID for delayed queue invalidation
 // This allows the user to see comment posting results before the card moves due to re-sorting
 let queueInvalidationTimeoutId = null;
 const QUEUE_INVALIDATION_DELAY_MS = 60000; // 1 minute
 
+/**
+ * Patch one Embed in every cached queue page (flat list and groups) without re-sorting
+ */
+const updateQueueCacheEmbed = (queryClient, localId, changes) => {
+  const patch = (embed) => (embed.localId === localId ? { ...embed, ...changes } : embed);
+  const patchPage = (page) => {
+    let updatedGroups = page.groups;
+    if (updatedGroups) {
+      updatedGroups = {};
+      Object.keys(page.groups).forEach(groupName => {
+        updatedGroups[groupName] = page.groups[groupName].map(patch);
+      });
+    }
+
+    return {
+      ...page,
+      embeds: page.embeds.map(patch),
+      groups: updatedGroups
+    };
+  };
+
+  queryClient.setQueriesData(
+    { queryKey: ['redlineQueue'] },
+    (oldData) => (oldData ? { ...oldData, pages: oldData.pages.map(patchPage) } : oldData)
+  );
+};
+
+/**
+ * Merge loaded queue pages into one list (groups keep their first-seen order)
+ */
+const mergeQueuePages = (data) => {
+  const embeds = data.pages.flatMap(page => page.embeds);
+  let groups = null;
+  data.pages.forEach(page => {
+    if (page.groups) {
+      groups = groups || {};
+      Object.entries(page.groups).forEach(([groupName, groupEmbeds]) => {
+        groups[groupName] = [...(groups[groupName] || []), ...groupEmbeds];
+      });
+    }
+  });
+
+  return {
+    embeds,
+    groups,
+    indexMeta: data.pages[0]?.indexMeta || null
+  };
+};
+
+/**
+ * Refresh stats now and the queue after the usual delay (so cards don't jump away mid-review)
+ */
+const scheduleQueueInvalidation = (queryClient) => {
+  if (queueInvalidationTimeoutId) {
+    clearTimeout(queueInvalidationTimeoutId);
+  }
+
+  queryClient.invalidateQueries({ queryKey: ['redlineStats'] });
+
+  queueInvalidationTimeoutId = setTimeout(() => {
+    console.log('[REACT-QUERY-REDLINE] 🔄 Delayed invalidation: refetching redline queue');
+    queryClient.invalidateQueries({ queryKey: ['redlineQueue'] });
+    queueInvalidationTimeoutId = null;
+  }, QUEUE_INVALIDATION_DELAY_MS);
+};
+
 /**
  * Hook for fetching redline queue with filtering, sorting, and grouping
  *
- * Fetches all Embed instances with their redline status, filtered and sorted
- * according to user preferences. Supports grouping by status, page, or source.
+ * Fetches the queue one page at a time from the redline index, filtered and
+ * sorted according to user preferences. fetchNextPage loads the next page
+ * (hasNextPage says whether there is one); data merges the loaded pages.
+ * Supports grouping by status, page, or source.
  *
- * @param {Object} filters - Filter criteria { status: [], pageIds: [], excerptIds: [] }
- * @param {string} sortBy - Sort field: "status" | "page" | "source" | "updated"
+ * @param {Object} filters - Filter criteria { status: [], pageIds: [], excerptIds: [], assignee: 'me'|'unassigned'|accountId, overdue, searchTerm }
+ * @param {string} sortBy - Sort field: "status" | "page" | "source" | "updated" | "age"
  * @param {string|null} groupBy - Group field: "status" | "page" | "source" | null
- * @returns {Object} React Query result with { embeds, groups }
+ * @returns {Object} React Query infinite result with data { embeds, groups, indexMeta }
  */
 export const useRedlineQueueQuery = (filters = {}, sortBy = 'status', groupBy = null) => {
-  return useQuery({
+  return useInfiniteQuery({
     queryKey: ['redlineQueue', filters, sortBy, groupBy],
-    queryFn: async () => {
-      console.log('[REACT-QUERY-REDLINE] 📋 Fetching redline queue:', { filters, sortBy, groupBy });
+    queryFn: async ({ pageParam }) => {
+      console.log('[REACT-QUERY-REDLINE] 📋 Fetching redline queue:', { filters, sortBy, groupBy, cursor: pageParam });
 
-      const result = await invoke('getRedlineQueue', { filters, sortBy, groupBy });
+      const result = await invoke('getRedlineQueue', { filters, sortBy, groupBy, cursor: pageParam });
 
       if (!result || !result.embeds) {
         throw new Error('Failed to load redline queue');
       }
 
-      console.log('[REACT-QUERY-REDLINE] ✅ Loaded queue:', {
+      console.log('[REACT-QUERY-REDLINE] ✅ Loaded queue page:', {
         embedCount: result.embeds.length,
-        hasGroups: !!result.groups
+        hasGroups: !!result.groups,
+        hasMore: !!result.nextCursor
       });
 
       return result;
     },
+    initialPageParam: null,
+    getNextPageParam: (lastPage) => lastPage.nextCursor || undefined,
+    select: mergeQueuePages,
     staleTime: 1000 * 30, // 30 seconds - queue data is fairly dynamic
     gcTime: 1000 * 60 * 5, // 5 minutes
   });
 };
 
+/**
+ * Hook for rebuilding the redline index (background job)
+ *
+ * @returns {Object} React Query mutation result ({ jobId, progressId } - poll getCheckProgress)
+ */
+export const useRebuildRedlineIndexMutation = () => {
+  return useMutation({
+    mutationFn: async () => {
+      const result = await invoke('rebuildRedlineIndex');
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Failed to start redline index rebuild');
+      }
+      return result;
+    }
+  });
+};
+
 /**
  * Hook for setting redline status for a single Embed
  *
@@ -69,10 +168,10 @@ export const useSetRedlineStatusMutation = () => {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: async ({ localId, status, userId, reason = '' }) => {
+    mutationFn: async ({ localId, status, userId, reason = '', comment = '' }) => {
       console.log('[REACT-QUERY-REDLINE] 🔄 Setting redline status:', { localId, status, userId });
 
-      const result = await invoke('setRedlineStatus', { localId, status, userId, reason });
+      const result = await invoke('setRedlineStatus', { localId, status, userId, reason, comment });
 
       if (!result || !result.success) {
         throw new Error('Failed to set redline status');
@@ -87,56 +186,26 @@ export const useSetRedlineStatusMutation = () => {
 
       console.log('[REACT-QUERY-REDLINE] 🔄 Updating card in cache immediately');
 
+      // The Embed just entered its new status (threshold from the cached SLA, if loaded)
+      const aging = {
+        status,
+        enteredAt: new Date().toISOString(),
+        ageDays: 0,
+        thresholdDays: queryClient.getQueryData(['redlineSla'])?.thresholds?.[status] || null,
+        overdue: false,
+        overdueDays: 0
+      };
+
       // Immediately update the specific card in all cached queue queries
       // This updates the UI without refetching or re-sorting
-      queryClient.setQueriesData(
-        { queryKey: ['redlineQueue'] },
-        (oldData) => {
-          if (!oldData) return oldData;
-
-          // Update the specific embed in the embeds array
-          const updatedEmbeds = oldData.embeds.map(embed => {
-            if (embed.localId === localId) {
-              return {
-                ...embed,
-                redlineStatus: status,
-                approvedBy: status === 'approved' ? userId : undefined,
-                approvedAt: status === 'approved' ? new Date().toISOString() : undefined,
-                lastChangedBy: userId,
-                lastChangedAt: new Date().toISOString()
-              };
-            }
-            return embed;
-          });
-
-          // If there are groups, update those too
-          let updatedGroups = oldData.groups;
-          if (updatedGroups) {
-            updatedGroups = {};
-            Object.keys(oldData.groups).forEach(groupName => {
-              updatedGroups[groupName] = oldData.groups[groupName].map(embed => {
-                if (embed.localId === localId) {
-                  return {
-                    ...embed,
-                    redlineStatus: status,
-                    approvedBy: status === 'approved' ? userId : undefined,
-                    approvedAt: status === 'approved' ? new Date().toISOString() : undefined,
-                    lastChangedBy: userId,
-                    lastChangedAt: new Date().toISOString()
-                  };
-                }
-                return embed;
-              });
-            });
-          }
-
-          return {
-            ...oldData,
-            embeds: updatedEmbeds,
-            groups: updatedGroups
-          };
-        }
-      );
+      updateQueueCacheEmbed(queryClient, localId, {
+        redlineStatus: status,
+        approvedBy: status === 'approved' ? userId : undefined,
+        approvedAt: status === 'approved' ? new Date().toISOString() : undefined,
+        lastChangedBy: userId,
+        lastChangedAt: new Date().toISOString(),
+        aging
+      });
 
       console.log('[REACT-QUERY-REDLINE] ✅ Card updated in cache');
 
@@ -146,8 +215,9 @@ export const useSetRedlineStatusMutation = () => {
         console.log('[REACT-QUERY-REDLINE] ⏱️ Cleared previous invalidation timeout');
       }
 
-      // Immediately invalidate stats (lightweight, no re-sorting)
+      // Immediately invalidate stats and metrics (lightweight, no re-sorting)
       queryClient.invalidateQueries({ queryKey: ['redlineStats'] });
+      queryClient.invalidateQueries({ queryKey: ['redlineMetrics'] });
 
       // Schedule queue invalidation after 1 minute delay
       // This allows users to see comment posting results before cards re-sort
@@ -177,14 +247,14 @@ export const useBulkSetRedlineStatusMutation = () => {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: async ({ localIds, status, userId, reason = 'Bulk status update' }) => {
+    mutationFn: async ({ localIds, status, userId, reason = 'Bulk status update', comment = '' }) => {
       console.log('[REACT-QUERY-REDLINE] 🔄 Bulk setting redline status:', {
         count: localIds.length,
         status,
         userId
       });
 
-      const result = await invoke('bulkSetRedlineStatus', { localIds, status, userId, reason });
+      const result = await invoke('bulkSetRedlineStatus', { localIds, status, userId, reason, comment });
 
       if (!result || !result.success) {
         throw new Error('Bulk status update failed');
@@ -206,8 +276,9 @@ export const useBulkSetRedlineStatusMutation = () => {
         console.log('[REACT-QUERY-REDLINE] ⏱️ Cleared previous invalidation timeout');
       }
 
-      // Immediately invalidate stats (lightweight, no re-sorting)
+      // Immediately invalidate stats and metrics (lightweight, no re-sorting)
       queryClient.invalidateQueries({ queryKey: ['redlineStats'] });
+      queryClient.invalidateQueries({ queryKey: ['redlineMetrics'] });
 
       // Schedule queue invalidation after 1 minute delay
       queueInvalidationTimeoutId = setTimeout(() => {
@@ -267,7 +338,8 @@ export const useConfluenceUserQuery = (accountId) => {
  * Fetches aggregate counts of Embeds by redline status.
  * Used to display queue summary stats in the UI.
  *
- * @returns {Object} React Query result with stats { reviewable, preApproved, needsRevision, approved, total }
+ * @returns {Object} React Query result with stats { total, byStatus: { [state]: count },
+ *   unassigned, mine, workload: [{ accountId, open, needsRevision }], overdue }
  */
 export const useRedlineStatsQuery = () => {
   return useQuery({
@@ -363,3 +435,416 @@ export const usePostRedlineCommentMutation = () => {
     }
   });
 };
+
+/**
+ * Hook for assigning (or reassigning) the reviewer of a single Embed
+ *
+ * Updates the card in place like status changes do; the queue refetches after the usual delay.
+ *
+ * @returns {Object} React Query mutation result
+ */
+export const useSetRedlineAssigneeMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ localId, assigneeId, ownerId, userId, reason }) => {
+      console.log('[REACT-QUERY-REDLINE] 👤 Assigning reviewer:', { localId, assigneeId });
+
+      const result = await invoke('setRedlineAssignee', { localId, assigneeId, ownerId, userId, reason });
+
+      if (!result || !result.success) {
+        throw new Error('Failed to assign reviewer');
+      }
+
+      return result;
+    },
+    onSuccess: (data, variables) => {
+      updateQueueCacheEmbed(queryClient, variables.localId, {
+        assignee: data.assignee,
+        owner: data.owner,
+        assignedBy: variables.userId,
+        assignedAt: new Date().toISOString()
+      });
+      scheduleQueueInvalidation(queryClient);
+    },
+    onError: (error) => {
+      console.error('[REACT-QUERY-REDLINE] ❌ Failed to assign reviewer:', error);
+    }
+  });
+};
+
+/**
+ * Hook for assigning one reviewer to many Embeds
+ *
+ * Pass localIds, or the queue filters to assign every Embed they match.
+ *
+ * @returns {Object} React Query mutation result ({ updated, failed, errors, localIds })
+ */
+export const useBulkSetRedlineAssigneeMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ localIds, filters, assigneeId, ownerId, userId, reason = 'Bulk assignment' }) => {
+      console.log('[REACT-QUERY-REDLINE] 👥 Bulk assigning reviewer:', { count: localIds?.length, filters, assigneeId });
+
+      const result = await invoke('bulkSetRedlineAssignee', { localIds, filters, assigneeId, ownerId, userId, reason });
+
+      if (!result || !result.success) {
+        throw new Error('Bulk assignment failed');
+      }
+
+      return result;
+    },
+    onSuccess: (data, variables) => {
+      (data.localIds || variables.localIds || []).forEach(localId => {
+        updateQueueCacheEmbed(queryClient, localId, { assignee: variables.assigneeId || null });
+      });
+      scheduleQueueInvalidation(queryClient);
+
+      if (data.failed > 0) {
+        console.warn('[REACT-QUERY-REDLINE] ⚠️ Some Embeds were not assigned:', data.errors);
+      }
+    },
+    onError: (error) => {
+      console.error('[REACT-QUERY-REDLINE] ❌ Bulk assignment failed:', error);
+    }
+  });
+};
+
+/**
+ * Hook for fetching the assignment rules
+ *
+ * @param {boolean} enabled - Whether the query should run
+ * @returns {Object} React Query result with { rules, updatedAt, updatedBy }
+ */
+export const useRedlineAssignmentRulesQuery = (enabled = true) => {
+  return useQuery({
+    queryKey: ['redlineAssignmentRules'],
+    queryFn: async () => {
+      const result = await invoke('getRedlineAssignmentRules');
+
+      if (!result || !Array.isArray(result.rules)) {
+        throw new Error('Failed to load assignment rules');
+      }
+
+      return result;
+    },
+    enabled,
+    staleTime: 1000 * 60 * 5, // 5 minutes - rules rarely change
+    gcTime: 1000 * 60 * 30, // 30 minutes
+  });
+};
+
+/**
+ * Hook for saving the assignment rules
+ *
+ * @returns {Object} React Query mutation result
+ */
+export const useSaveRedlineAssignmentRulesMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ rules, userId }) => {
+      const result = await invoke('saveRedlineAssignmentRules', { rules, userId });
+
+      if (!result || !result.success) {
+        throw new Error('Failed to save assignment rules');
+      }
+
+      return result;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['redlineAssignmentRules'] });
+    },
+    onError: (error) => {
+      console.error('[REACT-QUERY-REDLINE] ❌ Failed to save assignment rules:', error);
+    }
+  });
+};
+
+/**
+ * Hook for assigning existing unassigned Embeds by the assignment rules
+ *
+ * @returns {Object} React Query mutation result ({ assigned, unmatched })
+ */
+export const useApplyRedlineAssignmentRulesMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ userId, includeAssigned = false }) => {
+      const result = await invoke('applyRedlineAssignmentRules', { userId, includeAssigned });
+
+      if (!result || !result.success) {
+        throw new Error('Failed to apply assignment rules');
+      }
+
+      return result;
+    },
+    onSuccess: () => {
+      // A deliberate bulk action - show the result right away
+      queryClient.invalidateQueries({ queryKey: ['redlineQueue'] });
+      queryClient.invalidateQueries({ queryKey: ['redlineStats'] });
+    },
+    onError: (error) => {
+      console.error('[REACT-QUERY-REDLINE] ❌ Failed to apply assignment rules:', error);
+    }
+  });
+};
+
+/**
+ * Hook for fetching the redline workflow (states, transitions)
+ *
+ * The default workflow is returned until an admin saves one.
+ *
+ * @param {boolean} enabled - Fetch only when needed
+ * @returns {Object} React Query result with { states, transitions, updatedAt, updatedBy }
+ */
+export const useRedlineWorkflowQuery = (enabled = true) => {
+  return useQuery({
+    queryKey: ['redlineWorkflow'],
+    queryFn: async () => {
+      const result = await invoke('getRedlineWorkflow');
+
+      if (!result || !Array.isArray(result.states)) {
+        throw new Error('Failed to load redline workflow');
+      }
+
+      return result;
+    },
+    enabled,
+    staleTime: 1000 * 60 * 5, // 5 minutes - the workflow rarely changes
+    gcTime: 1000 * 60 * 30, // 30 minutes
+  });
+};
+
+/**
+ * Hook for saving the redline workflow
+ *
+ * @returns {Object} React Query mutation result
+ */
+export const useSaveRedlineWorkflowMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ states, transitions, userId }) => {
+      const result = await invoke('saveRedlineWorkflow', { states, transitions, userId });
+
+      if (!result || !result.success) {
+        throw new Error('Failed to save redline workflow');
+      }
+
+      return result;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['redlineWorkflow'] });
+      // State order drives the queue sort
+      queryClient.invalidateQueries({ queryKey: ['redlineQueue'] });
+    },
+    onError: (error) => {
+      console.error('[REACT-QUERY-REDLINE] ❌ Failed to save redline workflow:', error);
+    }
+  });
+};
+
+/**
+ * Hook for fetching the SLA thresholds (days allowed per status)
+ *
+ * @param {boolean} enabled - Fetch only when needed
+ * @returns {Object} React Query result with { thresholds, updatedAt, updatedBy }
+ */
+export const useRedlineSlaQuery = (enabled = true) => {
+  return useQuery({
+    queryKey: ['redlineSla'],
+    queryFn: async () => {
+      const result = await invoke('getRedlineSla');
+
+      if (!result || !result.thresholds) {
+        throw new Error('Failed to load SLA thresholds');
+      }
+
+      return result;
+    },
+    enabled,
+    staleTime: 1000 * 60 * 5, // 5 minutes - thresholds rarely change
+    gcTime: 1000 * 60 * 30, // 30 minutes
+  });
+};
+
+/**
+ * Hook for saving the SLA thresholds
+ *
+ * Aging shown in the queue, stats and metrics depends on them, so all are refreshed.
+ *
+ * @returns {Object} React Query mutation result
+ */
+export const useSaveRedlineSlaMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ thresholds, userId }) => {
+      const result = await invoke('saveRedlineSla', { thresholds, userId });
+
+      if (!result || !result.success) {
+        throw new Error('Failed to save SLA thresholds');
+      }
+
+      return result;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['redlineSla'] });
+      queryClient.invalidateQueries({ queryKey: ['redlineMetrics'] });
+      queryClient.invalidateQueries({ queryKey: ['redlineStats'] });
+      queryClient.invalidateQueries({ queryKey: ['redlineQueue'] });
+    },
+    onError: (error) => {
+      console.error('[REACT-QUERY-REDLINE] ❌ Failed to save SLA thresholds:', error);
+    }
+  });
+};
+
+/**
+ * Hook for fetching review metrics (time to approval, stuck Embeds, throughput)
+ *
+ * @param {number} weeks - Weeks of throughput
+ * @param {boolean} enabled - Fetch only when the aging view is open
+ * @returns {Object} React Query result with { metrics, sla, generatedAt }
+ */
+export const useRedlineMetricsQuery = (weeks, enabled = true) => {
+  return useQuery({
+    queryKey: ['redlineMetrics', weeks],
+    queryFn: async () => {
+      const result = await invoke('getRedlineMetrics', { weeks });
+
+      if (!result || !result.success) {
+        throw new Error('Failed to load redline metrics');
+      }
+
+      return result;
+    },
+    enabled,
+    staleTime: 1000 * 60 * 2, // 2 minutes
+    gcTime: 1000 * 60 * 10, // 10 minutes
+  });
+};
+
+/**
+ * Hook for building the aging report (downloaded as CSV or JSON by the caller)
+ *
+ * @returns {Object} React Query mutation result
+ */
+export const useExportRedlineReportMutation = () => {
+  return useMutation({
+    mutationFn: async ({ weeks }) => {
+      const result = await invoke('exportRedlineReport', { weeks });
+
+      if (!result || !result.success) {
+        throw new Error('Failed to export redline report');
+      }
+
+      return result;
+    },
+    onError: (error) => {
+      console.error('[REACT-QUERY-REDLINE] ❌ Failed to export redline report:', error);
+    }
+  });
+};
+
+/**
+ * Hook for fetching an Embed's review threads
+ *
+ * @param {string} localId - Embed instance ID
+ * @param {boolean} enabled - Whether the query should run
+ * @returns {Object} React Query result with { threads, currentContentHash, currentVersionId }
+ */
+export const useReviewThreadQuery = (localId, enabled = true) => {
+  return useQuery({
+    queryKey: ['reviewThread', localId],
+    queryFn: async () => {
+      const result = await invoke('getReviewThread', { localId });
+
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Failed to load review discussion');
+      }
+
+      return result;
+    },
+    enabled: enabled && !!localId,
+    staleTime: 1000 * 30, // 30 seconds - other reviewers may be commenting
+    gcTime: 1000 * 60 * 5, // 5 minutes
+  });
+};
+
+/**
+ * Keep queue card comment counts in line after a thread changes
+ */
+const updateQueueThreadSummary = (queryClient, localId, threads) => {
+  const comments = threads.flatMap(({ replies, ...thread }) => [thread, ...replies]);
+  updateQueueCacheEmbed(queryClient, localId, { reviewThread: summarizeReviewThread({ comments }) });
+};
+
+/**
+ * Hook for adding a comment or reply to an Embed's review discussion
+ *
+ * mutateAsync resolves to { comment, mirror } - mirror.error is set when the
+ * optional Confluence inline comment couldn't be posted (the comment is kept anyway).
+ *
+ * @returns {Object} React Query mutation result
+ */
+export const useAddReviewCommentMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ localId, body, parentId = null, mirrorToConfluence = false, pageId, userId }) => {
+      console.log('[REACT-QUERY-REDLINE] 💬 Adding review comment:', { localId, parentId, mirrorToConfluence });
+
+      const result = await invoke('addReviewComment', { localId, body, parentId, mirrorToConfluence, pageId, userId });
+
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Failed to add comment');
+      }
+
+      return result;
+    },
+    onSuccess: async (data, variables) => {
+      await queryClient.invalidateQueries({ queryKey: ['reviewThread', variables.localId] });
+      const thread = queryClient.getQueryData(['reviewThread', variables.localId]);
+      if (thread) {
+        updateQueueThreadSummary(queryClient, variables.localId, thread.threads);
+      }
+    },
+    onError: (error) => {
+      console.error('[REACT-QUERY-REDLINE] ❌ Failed to add review comment:', error);
+    }
+  });
+};
+
+/**
+ * Hook for resolving or reopening a review thread
+ *
+ * @returns {Object} React Query mutation result
+ */
+export const useSetReviewThreadResolvedMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ localId, commentId, resolved, userId }) => {
+      const result = await invoke('setReviewThreadResolved', { localId, commentId, resolved, userId });
+
+      if (!result || !result.success) {
+        throw new Error(result?.error || `Failed to ${resolved ? 'resolve' : 'reopen'} thread`);
+      }
+
+      return result;
+    },
+    onSuccess: async (data, variables) => {
+      await queryClient.invalidateQueries({ queryKey: ['reviewThread', variables.localId] });
+      const thread = queryClient.getQueryData(['reviewThread', variables.localId]);
+      if (thread) {
+        updateQueueThreadSummary(queryClient, variables.localId, thread.threads);
+      }
+    },
+    onError: (error) => {
+      console.error('[REACT-QUERY-REDLINE] ❌ Failed to update thread:', error);
+    }
+  });
+};
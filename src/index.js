@@ -25,6 +25,7 @@ import {
   saveCachedContent as saveCachedContentResolver,
   getCategories as getCategoriesResolver,
   saveCategories as saveCategoriesResolver,
+  renameCategory as renameCategoryResolver,
   getCheckProgress as getCheckProgressResolver,
   getMigrationStatus as getMigrationStatusResolver,
   getMultiExcerptScanProgress as getMultiExcerptScanProgressResolver,
@@ -68,13 +69,15 @@ import {
   getExcerptUsage as getExcerptUsageResolver,
   getExcerptUsageForCSV as getExcerptUsageForCSVResolver,
   getAllUsageCounts as getAllUsageCountsResolver,
+  getAllStaleCounts as getAllStaleCountsResolver,
   pushUpdatesToAll as pushUpdatesToAllResolver,
   pushUpdatesToPage as pushUpdatesToPageResolver
 } from './resolvers/usage-resolvers.js';
 
 // Import Embed instance configuration resolver functions (Phase 7 modularization)
 import {
-  saveVariableValues as saveVariableValuesResolver
+  saveVariableValues as saveVariableValuesResolver,
+  getOrphanedInsertions as getOrphanedInsertionsResolver
 } from './resolvers/include-resolvers.js';
 
 // Import restore and recovery resolver functions (Phase 8 modularization)
@@ -105,6 +108,49 @@ import {
   getVersioningStatsResolver
 } from './resolvers/version-resolvers.js';
 
+// Import staged Source publishing resolver functions (draft → review → publish)
+import {
+  getSourceDraftStatus as getSourceDraftStatusResolver,
+  requestSourceReview as requestSourceReviewResolver,
+  publishSourceDraft as publishSourceDraftResolver,
+  discardSourceDraft as discardSourceDraftResolver
+} from './resolvers/publishing-resolvers.js';
+
+// Import variable rename migration resolver functions
+import {
+  getVariableRenameImpact as getVariableRenameImpactResolver
+} from './resolvers/variable-migration-resolvers.js';
+
+// Import Source change impact preview resolver functions
+import {
+  previewSourceImpact as previewSourceImpactResolver
+} from './resolvers/impact-resolvers.js';
+
+// Import page-level variable resolver functions
+import {
+  getPageVariables as getPageVariablesResolver,
+  savePageVariables as savePageVariablesResolver
+} from './resolvers/page-variable-resolvers.js';
+
+// Import variable dictionary resolver functions
+import {
+  getVariableDictionaries as getVariableDictionariesResolver,
+  saveVariableDictionary as saveVariableDictionaryResolver
+} from './resolvers/variable-dictionary-resolvers.js';
+
+// Import saved Source search resolver functions
+import {
+  getSavedSearches as getSavedSearchesResolver,
+  saveSavedSearch as saveSavedSearchResolver,
+  deleteSavedSearch as deleteSavedSearchResolver
+} from './resolvers/saved-search-resolvers.js';
+
+// Import full-text search resolver functions
+import {
+  searchContent as searchContentResolver,
+  rebuildSearchIndex as rebuildSearchIndexResolver
+} from './resolvers/search-resolvers.js';
+
 // Import redline system resolver functions (Phase 1 - Redlining System)
 import {
   getRedlineQueue as getRedlineQueueResolver,
@@ -113,8 +159,25 @@ import {
   checkRedlineStale as checkRedlineStaleResolver,
   getConfluenceUser as getConfluenceUserResolver,
   getRedlineStats as getRedlineStatsResolver,
-  postRedlineComment as postRedlineCommentResolver
+  postRedlineComment as postRedlineCommentResolver,
+  setRedlineAssignee as setRedlineAssigneeResolver,
+  bulkSetRedlineAssignee as bulkSetRedlineAssigneeResolver,
+  getRedlineAssignmentRules as getRedlineAssignmentRulesResolver,
+  saveRedlineAssignmentRules as saveRedlineAssignmentRulesResolver,
+  applyRedlineAssignmentRules as applyRedlineAssignmentRulesResolver,
+  getRedlineWorkflow as getRedlineWorkflowResolver,
+  saveRedlineWorkflow as saveRedlineWorkflowResolver,
+  getRedlineSla as getRedlineSlaResolver,
+  saveRedlineSla as saveRedlineSlaResolver,
+  getRedlineMetrics as getRedlineMetricsResolver,
+  exportRedlineReport as exportRedlineReportResolver,
+  rebuildRedlineIndex as rebuildRedlineIndexResolver
 } from './resolvers/redline-resolvers.js';
+import {
+  getReviewThread as getReviewThreadResolver,
+  addReviewComment as addReviewCommentResolver,
+  setReviewThreadResolved as setReviewThreadResolvedResolver
+} from './resolvers/review-thread-resolvers.js';
 
 // Import storage export/import resolver functions
 import {
@@ -186,6 +249,9 @@ resolver.define('updateExcerptContent', updateExcerptContentResolver);
 // We'll store this keyed by localId (unique ID for each macro instance)
 resolver.define('saveVariableValues', saveVariableValuesResolver);
 
+// Embeds with custom insertions/notes that lost their paragraph after a Source change
+resolver.define('getOrphanedInsertions', getOrphanedInsertionsResolver);
+
 // Save cached rendered content for an Embed instance
 resolver.define('saveCachedContent', saveCachedContentResolver);
 
@@ -228,6 +294,35 @@ resolver.define('massUpdateExcerpts', massUpdateExcerptsResolver);
 // Update Source macro body content on the page
 resolver.define('updateSourceMacroBody', updateSourceMacroBodyResolver);
 
+// Staged Source publishing: draft status, review request, publish, discard
+resolver.define('getSourceDraftStatus', getSourceDraftStatusResolver);
+resolver.define('requestSourceReview', requestSourceReviewResolver);
+resolver.define('publishSourceDraft', publishSourceDraftResolver);
+resolver.define('discardSourceDraft', discardSourceDraftResolver);
+
+// Embeds holding values for renamed variables/toggles (rename-aware Source saves)
+resolver.define('getVariableRenameImpact', getVariableRenameImpactResolver);
+
+// What a Source change would do to its Embeds, previewed before saving
+resolver.define('previewSourceImpact', previewSourceImpactResolver);
+
+// Page-level variables inherited by every Embed on a page
+resolver.define('getPageVariables', getPageVariablesResolver);
+resolver.define('savePageVariables', savePageVariablesResolver);
+
+// Global and per-space variable dictionaries (Admin page)
+resolver.define('getVariableDictionaries', getVariableDictionariesResolver);
+resolver.define('saveVariableDictionary', saveVariableDictionaryResolver);
+
+// Per-user saved Source searches (Admin page sidebar)
+resolver.define('getSavedSearches', getSavedSearchesResolver);
+resolver.define('saveSavedSearch', saveSavedSearchResolver);
+resolver.define('deleteSavedSearch', deleteSavedSearchResolver);
+
+// Full-text search over Sources and Embeds (Admin page), and rebuilding its index
+resolver.define('searchContent', searchContentResolver);
+resolver.define('rebuildSearchIndex', rebuildSearchIndexResolver);
+
 // Track usage of an excerpt (called when Embed macro is saved)
 resolver.define('trackExcerptUsage', trackExcerptUsageResolver);
 
@@ -243,6 +338,9 @@ resolver.define('getExcerptUsageForCSV', getExcerptUsageForCSVResolver);
 // Get usage counts for all excerpts (lightweight for sorting in admin page)
 resolver.define('getAllUsageCounts', getAllUsageCountsResolver);
 
+// Get stale Embed counts for all excerpts (is:stale search filter in admin page)
+resolver.define('getAllStaleCounts', getAllStaleCountsResolver);
+
 // Source heartbeat: Update lastSeenAt timestamp when Source macro is rendered
 resolver.define('sourceHeartbeat', sourceHeartbeatResolver);
 
@@ -292,9 +390,12 @@ resolver.define('getCheckProgress', getCheckProgressResolver);
 // ============================================================================
 // Queue-based review and approval workflow for Embed instances
 
-// Get redline queue with filtering, sorting, and grouping
+// Get redline queue with filtering, sorting, and grouping (one page at a time)
 resolver.define('getRedlineQueue', getRedlineQueueResolver);
 
+// Rebuild the redline index the queue reads (background job)
+resolver.define('rebuildRedlineIndex', rebuildRedlineIndexResolver);
+
 // Set redline status for a single Embed
 resolver.define('setRedlineStatus', setRedlineStatusResolver);
 
@@ -307,12 +408,38 @@ resolver.define('checkRedlineStale', checkRedlineStaleResolver);
 // Get Confluence user data for avatar/name display
 resolver.define('getConfluenceUser', getConfluenceUserResolver);
 
-// Get redline statistics (counts by status)
+// Get redline statistics (counts by status, reviewer workload)
 resolver.define('getRedlineStats', getRedlineStatsResolver);
 
 // Post inline comment to Confluence page near Embed
 resolver.define('postRedlineComment', postRedlineCommentResolver);
 
+// Assign or reassign the reviewer of a single Embed
+resolver.define('setRedlineAssignee', setRedlineAssigneeResolver);
+
+// Bulk assignment for multiple Embeds
+resolver.define('bulkSetRedlineAssignee', bulkSetRedlineAssigneeResolver);
+
+// Assignment rules (auto-assign by Source category or page space)
+resolver.define('getRedlineAssignmentRules', getRedlineAssignmentRulesResolver);
+resolver.define('saveRedlineAssignmentRules', saveRedlineAssignmentRulesResolver);
+resolver.define('applyRedlineAssignmentRules', applyRedlineAssignmentRulesResolver);
+
+// Redline workflow (states, allowed transitions, who may perform them)
+resolver.define('getRedlineWorkflow', getRedlineWorkflowResolver);
+resolver.define('saveRedlineWorkflow', saveRedlineWorkflowResolver);
+
+// Redline aging: SLA thresholds, review metrics and the leadership report
+resolver.define('getRedlineSla', getRedlineSlaResolver);
+resolver.define('saveRedlineSla', saveRedlineSlaResolver);
+resolver.define('getRedlineMetrics', getRedlineMetricsResolver);
+resolver.define('exportRedlineReport', exportRedlineReportResolver);
+
+// Review threads (app-side discussion per Embed, optionally mirrored to Confluence)
+resolver.define('getReviewThread', getReviewThreadResolver);
+resolver.define('addReviewComment', addReviewCommentResolver);
+resolver.define('setReviewThreadResolved', setReviewThreadResolvedResolver);
+
 // Backfill redline fields for existing Embeds (one-time migration)
 resolver.define('backfillRedlineFields', backfillRedlineFieldsResolver);
 
@@ -901,6 +1028,9 @@ resolver.define('saveCategories', saveCategoriesResolver);
 // Get categories from storage
 resolver.define('getCategories', getCategoriesResolver);
 
+// Rename/move a category, re-filing its subcategories and Sources
+resolver.define('renameCategory', renameCategoryResolver);
+
 // Get last verification timestamp (for auto-verification on Admin page mount)
 resolver.define('getLastVerificationTime', getLastVerificationTimeResolver);
 
@@ -8,14 +8,12 @@
 
 import api, { route } from '@forge/api';
 import { getExcerpt } from './storage.js';
+import { resolveNestedSources } from './utils/nested-source-utils.js';
+import { resolveVariableValues } from './utils/variable-resolution.js';
+import { substituteVariablesInText } from './utils/variable-filters.js';
 
 console.log('[PAGE-PUBLISH-MODULE] Module loaded! Handler will be registered for page updates.');
 
-// Helper function to escape regex special characters
-function escapeRegex(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
 // Helper function to parse macro parameters from XML
 function parseMacroParameters(macroXml) {
   const params = {};
@@ -43,14 +41,8 @@ function parseMacroParameters(macroXml) {
 function renderExcerptContent(excerpt, variableValues = {}) {
   let content = excerpt.content || '';
 
-  // Substitute variables
-  if (excerpt.variables && Array.isArray(excerpt.variables)) {
-    excerpt.variables.forEach(variable => {
-      const value = variableValues[variable.name] || `{{${variable.name}}}`;
-      const regex = new RegExp(`\\{\\{${escapeRegex(variable.name)}\\}\\}`, 'g');
-      content = content.replace(regex, value);
-    });
-  }
+  // Substitute variables (defaults and computed variables resolved from the Source definitions)
+  content = substituteVariablesInText(content, resolveVariableValues(excerpt.variables, variableValues));
 
   return content;
 }
@@ -133,7 +125,7 @@ export async function handler(event, context) {
       }
 
       // Load the excerpt
-      const excerpt = await getExcerpt(excerptId);
+      const excerpt = await resolveNestedSources(await getExcerpt(excerptId));
       if (!excerpt) {
         console.error(`[PAGE-PUBLISH] Excerpt ${excerptId} not found for macro ${macro.macroId}`);
         continue;
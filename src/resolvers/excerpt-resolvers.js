@@ -10,13 +10,42 @@
 import { storage } from '@forge/api';
 import api, { route } from '@forge/api';
 import { generateUUID } from '../utils.js';
-import { detectVariables, detectToggles } from '../utils/detection-utils.js';
+import { detectVariables, detectToggles, detectConditions, detectIncludes } from '../utils/detection-utils.js';
+import { normalizeVariableType, parseAllowedValues } from '../utils/variable-types.js';
+import { addFormulaReferencedVariables, findCircularFormulas } from '../utils/variable-resolution.js';
+import { findIncludeCycle, checkSourceRename } from '../utils/nested-source-utils.js';
 import { updateExcerptIndex } from '../utils/storage-utils.js';
 import { calculateContentHash } from '../utils/hash-utils.js';
 import { saveVersion } from '../utils/version-manager.js';
+import { getDraftKey, getSourceDraft, saveSourceDraft, getDraftContent, appendChangelogEntry, canManageDraftReview } from '../utils/source-draft-utils.js';
+import { INITIAL_SOURCE_VERSION, RELEASE_TYPES, bumpVersion, suggestReleaseType } from '../utils/source-release-utils.js';
+import { mergeRenames, hasRenames } from '../utils/variable-rename-utils.js';
+import { queueVariableRenameMigration } from '../utils/variable-migration-utils.js';
+import { queueInsertionReanchor } from '../utils/insertion-reanchor-utils.js';
+import { normalizeTags } from '../utils/source-search-utils.js';
+import { indexSource, removeFromSearchIndex } from '../utils/search-index-utils.js';
 
 /**
  * Save excerpt (create or update)
+ *
+ * Sources with requiresPublish set are staged: saving an existing Source stores
+ * a draft (excerpt-draft:{id}) and leaves the live excerpt untouched until it is
+ * published (publishing-resolvers.js). A new Source always goes live on its first
+ * save - nothing embeds it yet.
+ *
+ * A change that goes live bumps the Source's version (source-release-utils.js) by
+ * the releaseType in the payload, or by the suggested type when none is given.
+ *
+ * payload.renames ({ variables: { old: new }, toggles: { old: new } }) lists the
+ * variables/toggles the author renamed. When the change goes live, a background
+ * migration rewrites every Embed's stored values to the new names (the result's
+ * migration.progressId can be polled with getCheckProgress); for a staged Source
+ * the renames wait on the draft until it's published.
+ *
+ * Content that goes live also queues re-anchoring of the Embeds' custom insertions
+ * and internal notes (workers/insertionReanchorWorker.js).
+ *
+ * Renaming a Source that other Sources {{include:Name}} is refused (see checkSourceRename).
  */
 export async function saveExcerpt(req) {
   // DEBUG: Log the entire payload to see what we receive
@@ -25,7 +54,7 @@ export async function saveExcerpt(req) {
   console.log('[saveExcerpt] documentationLinks type:', typeof req.payload.documentationLinks);
   console.log('[saveExcerpt] documentationLinks is array?:', Array.isArray(req.payload.documentationLinks));
 
-  const { excerptName, category, content, excerptId, variableMetadata, toggleMetadata, documentationLinks, sourcePageId, sourcePageTitle, sourceSpaceKey, sourceLocalId } = req.payload;
+  const { excerptName, category, tags, content, excerptId, variableMetadata, toggleMetadata, documentationLinks, sourcePageId, sourcePageTitle, sourceSpaceKey, sourceLocalId, requiresPublish, changeSummary, releaseType, renames } = req.payload;
 
   console.log('[saveExcerpt] After destructuring, documentationLinks:', documentationLinks);
 
@@ -36,20 +65,42 @@ export async function saveExcerpt(req) {
   // Generate or reuse excerpt ID
   const id = excerptId || generateUUID();
 
-  // Detect variables in content
-  const detectedVariables = detectVariables(content);
+  // Detect variables in content, plus variables only referenced by computed-variable formulas
+  const metadataByName = Object.fromEntries((variableMetadata || []).map(m => [m.name, m]));
+  const detectedVariables = addFormulaReferencedVariables(detectVariables(content), metadataByName);
 
   // Merge detected variables with provided metadata
   const variables = detectedVariables.map(v => {
     const metadata = variableMetadata?.find(m => m.name === v.name);
+    // Variables iterated with {{#each}} are always lists
+    const type = v.type === 'list' ? 'list' : normalizeVariableType(metadata?.type);
     return {
       name: v.name,
       description: metadata?.description || '',
       example: metadata?.example || '',
-      required: metadata?.required || false
+      required: metadata?.required || false,
+      type,
+      // Allowed values only apply to enum variables
+      allowedValues: type === 'enum' ? parseAllowedValues(metadata?.allowedValues) : [],
+      // Item fields (columns of the Embed's row editor) only apply to list variables
+      itemFields: type === 'list' ? (v.itemFields || []) : [],
+      defaultValue: metadata?.defaultValue || '',
+      formula: metadata?.formula || ''
     };
   });
 
+  // Computed variables that depend on each other can never resolve
+  const circularVariables = findCircularFormulas(variables);
+  if (circularVariables.length > 0) {
+    throw new Error(`Computed variables reference each other in a cycle: ${circularVariables.join(', ')}`);
+  }
+
+  // Nested Sources ({{include:Name}}) must not end up including themselves
+  const includeCycle = await findIncludeCycle({ id, name: excerptName, content });
+  if (includeCycle) {
+    throw new Error(`Nested Sources include each other in a cycle: ${includeCycle.join(' → ')}`);
+  }
+
   // Detect toggles in content
   const detectedToggles = detectToggles(content);
 
@@ -65,18 +116,39 @@ export async function saveExcerpt(req) {
   // Get existing excerpt to preserve createdAt and existing source page if not provided
   const existingExcerpt = excerptId ? await storage.get(`excerpt:${id}`) : null;
 
+  // Other Sources include this one by name - a rename would silently break them
+  const renameError = await checkSourceRename(existingExcerpt, excerptName);
+  if (renameError) {
+    throw new Error(renameError);
+  }
+
   // Create excerpt object (without hash first)
   const excerpt = {
     id: id,
     name: excerptName,
     category: category || 'General',
+    // Admin-only labels (not part of contentHash); omitted from the payload = unchanged
+    tags: tags === undefined ? (existingExcerpt?.tags || []) : normalizeTags(tags),
     content: content,
     variables: variables,
     toggles: toggles,
+    // Derived from content (not part of contentHash) - lets Embeds explain hidden {{#if}} blocks
+    conditions: detectConditions(content),
+    // Derived from content - names of nested Sources pulled in with {{include:Name}}
+    includes: detectIncludes(content),
     documentationLinks: documentationLinks || [],
     sourcePageId: pageId || existingExcerpt?.sourcePageId,
     sourceSpaceKey: spaceKey || existingExcerpt?.sourceSpaceKey,
     sourceLocalId: sourceLocalId || existingExcerpt?.sourceLocalId,
+    // Staged publishing setting (not part of contentHash); omitted from the payload = unchanged
+    requiresPublish: requiresPublish ?? existingExcerpt?.requiresPublish ?? false,
+    // Release history - appended below for live saves with a summary, and by publishSourceDraft
+    changelog: existingExcerpt?.changelog || [],
+    // Semver-style version of the live Source (not part of contentHash); bumped below if this goes live
+    version: existingExcerpt?.version || INITIAL_SOURCE_VERSION,
+    releaseType: existingExcerpt?.releaseType || null,
+    publishedAt: existingExcerpt?.publishedAt,
+    publishedBy: existingExcerpt?.publishedBy,
     createdAt: existingExcerpt?.createdAt || new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
@@ -84,6 +156,50 @@ export async function saveExcerpt(req) {
   // Calculate and add content hash
   excerpt.contentHash = calculateContentHash(excerpt);
 
+  // Change summary ("what changed and why") describes this version; it's kept with the
+  // excerpt so the version snapshot taken before the next change carries it too
+  // (a staged Source's previous version is its draft, if it has one)
+  const previousDraft = existingExcerpt?.requiresPublish ? await getSourceDraft(id) : null;
+  const baseExcerpt = previousDraft || existingExcerpt;
+
+  // Turning staging off publishes straight away and drops the draft - not allowed
+  // behind the back of a pending review
+  if (existingExcerpt?.requiresPublish && !excerpt.requiresPublish && !canManageDraftReview(previousDraft, req.context?.accountId)) {
+    throw new Error('This Source has a draft waiting for review - only its approvers can turn off staged publishing');
+  }
+  const summary = (changeSummary || '').trim();
+  const isChanged = excerpt.contentHash !== baseExcerpt?.contentHash;
+  excerpt.changeSummary = summary || (isChanged ? '' : baseExcerpt?.changeSummary || '');
+
+  const requestedReleaseType = RELEASE_TYPES.includes(releaseType) ? releaseType : null;
+
+  // Staged Source: hold the changes as a draft instead of going live
+  if (existingExcerpt && excerpt.requiresPublish) {
+    // The version is bumped when the draft is published; until then just remember
+    // the author's choice (null = suggest one at publish time)
+    excerpt.releaseType = requestedReleaseType || previousDraft?.releaseType || null;
+    // Embeds still render the live Source, so their values are migrated on publish
+    excerpt.pendingRenames = mergeRenames(previousDraft?.pendingRenames, renames);
+    await saveSourceDraft(excerpt, existingExcerpt, req.context?.accountId);
+
+    // Turning staging on, and tags, are settings of the live Source - they apply now
+    const tagsChanged = JSON.stringify(excerpt.tags) !== JSON.stringify(existingExcerpt.tags || []);
+    if (!existingExcerpt.requiresPublish || tagsChanged) {
+      await storage.set(`excerpt:${id}`, { ...existingExcerpt, requiresPublish: true, tags: excerpt.tags });
+    }
+
+    return {
+      excerptId: id,
+      excerptName: excerptName,
+      category: category,
+      content: content,
+      variables: variables,
+      toggles: toggles,
+      documentationLinks: excerpt.documentationLinks || [],
+      isDraft: true
+    };
+  }
+
   // DEBUG: Log what we're saving
   console.log('[saveExcerpt] About to save excerpt with documentationLinks:', excerpt.documentationLinks);
   console.log('[saveExcerpt] Full excerpt object before storage.set:', JSON.stringify(excerpt, null, 2));
@@ -99,7 +215,8 @@ export async function saveExcerpt(req) {
         changeType: 'UPDATE',
         changedBy: 'saveExcerpt',
         userAccountId: req.context?.accountId,
-        excerptName: existingExcerpt.name
+        excerptName: existingExcerpt.name,
+        changeSummary: existingExcerpt.changeSummary || null
       }
     );
     if (versionResult.success) {
@@ -111,8 +228,51 @@ export async function saveExcerpt(req) {
     }
   }
 
+  // Settings outside the content hash (tags, staging) leave updatedAt alone - it's
+  // what the staleness checks compare with each Embed's lastSynced
+  if (existingExcerpt && excerpt.contentHash === existingExcerpt.contentHash) {
+    excerpt.updatedAt = existingExcerpt.updatedAt;
+  }
+
+  // Unstaged Sources go live now - release a new version, and record the summary
+  // for the Embed update banner
+  if (existingExcerpt && excerpt.contentHash !== existingExcerpt.contentHash) {
+    excerpt.releaseType = requestedReleaseType || suggestReleaseType(existingExcerpt, excerpt);
+    excerpt.version = bumpVersion(existingExcerpt.version, excerpt.releaseType);
+
+    if (summary) {
+      excerpt.changelog = appendChangelogEntry(excerpt.changelog, {
+        contentHash: excerpt.contentHash,
+        version: excerpt.version,
+        releaseType: excerpt.releaseType,
+        note: summary,
+        publishedBy: req.context?.accountId || null,
+        publishedAt: excerpt.updatedAt,
+        approvedBy: null
+      });
+    }
+  }
+
   await storage.set(`excerpt:${id}`, excerpt);
 
+  // Move Embed values to renamed variables/toggles (including renames waiting on a dropped draft)
+  let migration = null;
+  if (existingExcerpt) {
+    const liveRenames = mergeRenames(previousDraft?.pendingRenames, renames);
+    if (hasRenames(liveRenames)) {
+      migration = await queueVariableRenameMigration(id, liveRenames, req.context?.accountId);
+    }
+    // Keep Embeds' custom insertions and notes attached to their paragraphs
+    if (excerpt.contentHash !== existingExcerpt.contentHash) {
+      await queueInsertionReanchor(id, req.context?.accountId);
+    }
+  }
+
+  // Staging was turned off - this save went live, so an old draft would only mislead
+  if (existingExcerpt?.requiresPublish) {
+    await storage.delete(getDraftKey(id));
+  }
+
   // DEBUG: Immediately read it back to verify it was saved
   const verifyExcerpt = await storage.get(`excerpt:${id}`);
   console.log('[saveExcerpt] Verification - read back from storage:', {
@@ -124,6 +284,7 @@ export async function saveExcerpt(req) {
 
   // Update index
   await updateExcerptIndex(excerpt);
+  await indexSource(excerpt);
 
   // Return saved excerpt data
   return {
@@ -133,36 +294,64 @@ export async function saveExcerpt(req) {
     content: content,
     variables: variables,
     toggles: toggles,
-    documentationLinks: excerpt.documentationLinks || []
+    documentationLinks: excerpt.documentationLinks || [],
+    version: excerpt.version,
+    migration,
+    isDraft: false
   };
 }
 
 /**
  * Update excerpt content only (called automatically when Source macro body changes)
+ *
+ * For staged Sources (requiresPublish) the change is applied to the draft instead.
  */
 export async function updateExcerptContent(req) {
   try {
     const { excerptId, content } = req.payload;
 
     // Load existing excerpt
-    const excerpt = await storage.get(`excerpt:${excerptId}`);
-    if (!excerpt) {
+    const publishedExcerpt = await storage.get(`excerpt:${excerptId}`);
+    if (!publishedExcerpt) {
       console.error('Excerpt not found:', excerptId);
       return { success: false, error: 'Excerpt not found' };
     }
 
+    // Staged Sources change their draft (started from the live excerpt if there is none)
+    const draft = publishedExcerpt.requiresPublish ? await getSourceDraft(excerptId) : null;
+    const excerpt = draft ? getDraftContent(draft) : publishedExcerpt;
+
+    // Reject content whose nested Sources would include this Source again
+    const includeCycle = await findIncludeCycle({ id: excerptId, name: excerpt.name, content });
+    if (includeCycle) {
+      return { success: false, error: `Nested Sources include each other in a cycle: ${includeCycle.join(' → ')}` };
+    }
+
     // Update content and re-detect variables/toggles
-    const detectedVariables = detectVariables(content);
+    // (keeping variables that are only referenced by existing computed-variable formulas)
+    const existingMetadata = Object.fromEntries((excerpt.variables || []).map(v => [v.name, v]));
+    const detectedVariables = addFormulaReferencedVariables(detectVariables(content), existingMetadata);
     const detectedToggles = detectToggles(content);
 
     // Preserve existing variable metadata, but update the list
     const variables = detectedVariables.map(v => {
       const existing = excerpt.variables?.find(ev => ev.name === v.name);
-      return existing || {
+      if (existing) {
+        // Keep list item fields in sync with the {{#each}} block
+        return v.type === 'list'
+          ? { ...existing, type: 'list', itemFields: v.itemFields || [] }
+          : existing;
+      }
+      return {
         name: v.name,
         description: '',
         example: '',
-        multiline: false
+        required: false,
+        type: v.type || 'text',
+        allowedValues: [],
+        itemFields: v.itemFields || [],
+        defaultValue: '',
+        formula: ''
       };
     });
 
@@ -180,7 +369,9 @@ export async function updateExcerptContent(req) {
       ...excerpt,
       content: content,
       variables: variables,
-      toggles: toggles
+      toggles: toggles,
+      conditions: detectConditions(content),
+      includes: detectIncludes(content)
     };
 
     // Calculate what the new content hash would be
@@ -194,6 +385,17 @@ export async function updateExcerptContent(req) {
     // Content actually changed - update the excerpt
     updatedExcerpt.contentHash = newContentHash;
     updatedExcerpt.updatedAt = new Date().toISOString();
+    // Automatic body syncs have no summary; don't let the previous version's one stick
+    updatedExcerpt.changeSummary = '';
+
+    if (publishedExcerpt.requiresPublish) {
+      await saveSourceDraft(updatedExcerpt, publishedExcerpt, req.context?.accountId);
+      return { success: true, unchanged: false, isDraft: true };
+    }
+
+    // Going live - nobody picked a release type, so use the suggested one
+    updatedExcerpt.releaseType = suggestReleaseType(excerpt, updatedExcerpt);
+    updatedExcerpt.version = bumpVersion(excerpt.version, updatedExcerpt.releaseType);
 
     // Phase 3: Create version snapshot before modification (v7.17.0)
     const versionResult = await saveVersion(
@@ -204,7 +406,8 @@ export async function updateExcerptContent(req) {
         changeType: 'UPDATE',
         changedBy: 'updateExcerptContent',
         userAccountId: req.context?.accountId,
-        excerptName: excerpt.name
+        excerptName: excerpt.name,
+        changeSummary: excerpt.changeSummary || null
       }
     );
     if (versionResult.success) {
@@ -217,6 +420,10 @@ export async function updateExcerptContent(req) {
 
     // Update index
     await updateExcerptIndex(updatedExcerpt);
+    await indexSource(updatedExcerpt);
+
+    // Keep Embeds' custom insertions and notes attached to their paragraphs
+    await queueInsertionReanchor(excerptId, req.context?.accountId);
 
     return { success: true, unchanged: false };
   } catch (error) {
@@ -264,8 +471,10 @@ export async function deleteExcerpt(req) {
   try {
     const { excerptId } = req.payload;
 
-    // Delete the excerpt
+    // Delete the excerpt (and any unpublished draft)
     await storage.delete(`excerpt:${excerptId}`);
+    await storage.delete(getDraftKey(excerptId));
+    await removeFromSearchIndex('source', excerptId);
 
     // Update the index
     const index = await storage.get('excerpt-index') || { excerpts: [] };
@@ -300,6 +509,15 @@ export async function updateExcerptMetadata(req) {
       };
     }
 
+    // Other Sources include this one by name - a rename would silently break them
+    const renameError = await checkSourceRename(excerpt, name);
+    if (renameError) {
+      return {
+        success: false,
+        error: renameError
+      };
+    }
+
     // Update the metadata
     excerpt.name = name;
     excerpt.category = category;
@@ -310,6 +528,7 @@ export async function updateExcerptMetadata(req) {
 
     // Update the index
     await updateExcerptIndex(excerpt);
+    await indexSource(excerpt);
 
     return {
       success: true
@@ -0,0 +1,40 @@
+/**
+ * Impact Analysis Resolvers
+ *
+ * Lets a Source author preview what a change does downstream before saving it
+ * (Source config "Impact" tab, and the Source macro while the page is being
+ * edited - updateExcerptContent commits the body when the page is published).
+ * The analysis itself lives in utils/impact-analysis-utils.js.
+ *
+ * Resolvers return { success, error } like the rest of the excerpt API.
+ */
+
+import { analyzeSourceImpact } from '../utils/impact-analysis-utils.js';
+
+/**
+ * Preview the impact of new content for a Source on its Embeds
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.excerptId - Source ID
+ * @param {Object|string} req.payload.content - Proposed content (macro body)
+ * @param {Object} req.payload.renames - Confirmed renames { variables, toggles } (optional)
+ * @returns {Object} { success, impact } - see analyzeSourceImpact
+ */
+export async function previewSourceImpact(req) {
+  try {
+    const { excerptId, content, renames } = req.payload;
+    if (!excerptId || !content) {
+      return { success: false, error: 'excerptId and content are required' };
+    }
+
+    const impact = await analyzeSourceImpact(excerptId, content, renames);
+    if (!impact) {
+      return { success: false, error: 'Excerpt not found' };
+    }
+
+    return { success: true, impact };
+  } catch (error) {
+    console.error('[previewSourceImpact] Error:', error);
+    return { success: false, error: error.message };
+  }
+}
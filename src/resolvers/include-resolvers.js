@@ -13,41 +13,81 @@
  *
  * Functions:
  * - saveVariableValues: Save Embed instance configuration
+ * - getOrphanedInsertions: List Embeds with custom insertions/notes that lost their paragraph
  */
 
-import { storage } from '@forge/api';
+import { storage, startsWith } from '@forge/api';
 import api, { route } from '@forge/api';
 import { findHeadingBeforeMacro } from '../utils/adf-utils.js';
 import { listVersions, saveVersion } from '../utils/version-manager.js';
-import {
-  cleanAdfForRenderer,
-  filterContentByToggles,
-  substituteVariablesInAdf,
-  insertCustomParagraphsInAdf,
-  insertInternalNotesInAdf
-} from '../utils/adf-rendering-utils.js';
+import { renderEmbed } from '../utils/embed-renderer.js';
 import { logPhase, logSuccess, logWarning, logFailure } from '../utils/forge-logger.js';
+import { validateVariableValues } from '../utils/variable-types.js';
+import { resolveNestedSources } from '../utils/nested-source-utils.js';
+import { reanchorEmbedItems, getOrphanedItems } from '../utils/insertion-anchor-utils.js';
+import { loadVariableScopes, getCategoryData, loadRedlineAssignmentRules } from '../utils/storage-utils.js';
+import { resolveRedlineAssignment, applyRedlineAssignment } from '../utils/redline-assignment-utils.js';
+import { APPROVED_REDLINE_STATE, REVISION_REDLINE_STATE, applyRedlineAutoRevision } from '../utils/redline-workflow-utils.js';
+import { indexEmbed } from '../utils/search-index-utils.js';
+import { indexRedlineEmbed } from '../utils/redline-index-utils.js';
+import { mergeVariableScopes, buildInheritedScopes } from '../utils/page-variable-utils.js';
 
 /**
  * Save variable values, toggle states, and custom insertions for a specific Include instance
  * Also updates usage tracking to keep it synchronized
+ *
+ * Rejects the save (nothing is written) if any value doesn't match its variable's
+ * declared type; the response includes validationErrors keyed by variable name.
  */
 export async function saveVariableValues(req) {
   const functionStartTime = Date.now();
   try {
-    const { localId, excerptId, variableValues, toggleStates, customInsertions, internalNotes, pageId: explicitPageId } = req.payload;
+    const { localId, excerptId, variableValues, toggleStates, customInsertions, internalNotes, blockOverrides: requestedOverrides, pageId: explicitPageId } = req.payload;
     
     const functionStartTime = Date.now();
     const key = `macro-vars:${localId}`;
     const now = new Date().toISOString();
 
+    const pageId = explicitPageId || req.context?.extension?.content?.id;
+
     // OPTIMIZATION: Load excerpt and existing config in parallel (they're independent)
-    const [excerpt, existingConfig] = await Promise.all([
+    const [storedExcerpt, existingConfig] = await Promise.all([
       storage.get(`excerpt:${excerptId}`),
       storage.get(key)
     ]);
-    
+    // Saves from the Admin page have no space context - keep the one stored with the Embed
+    const spaceKey = req.context?.extension?.space?.key || existingConfig?.spaceKey || null;
+    const variableScopes = await loadVariableScopes({ pageId, spaceKey });
+    // Expand nested Sources so validation, syncedContent and the cache match what the Embed renders
+    const excerpt = await resolveNestedSources(storedExcerpt);
+
+    // Reject values that don't match the Source's declared variable types
+    const validation = validateVariableValues(excerpt?.variables, variableValues);
+    if (!validation.valid) {
+      const invalidNames = Object.keys(validation.errors);
+      logWarning('saveVariableValues', 'Rejected invalid variable values', { localId, excerptId, invalidNames });
+      return {
+        success: false,
+        error: `Invalid value for ${invalidNames.map(name => `"${name}"`).join(', ')}: ${invalidNames.map(name => validation.errors[name]).join('; ')}`,
+        validationErrors: validation.errors
+      };
+    }
+
+    // The Embed stores only its own values; rendering and re-anchoring use them with
+    // the page-level and dictionary values filled in
+    const effectiveValues = mergeVariableScopes({ variableValues, toggleStates }, buildInheritedScopes(variableScopes));
+
+    // Callers that don't send block overrides leave the stored ones alone
+    const blockOverrides = requestedOverrides !== undefined ? requestedOverrides : (existingConfig?.blockOverrides || []);
+
+    // Keep custom insertions, notes and overrides attached to their paragraphs (positions of
+    // ones created before anchoring refer to the content this Embed last synced)
+    const anchoredItems = excerpt?.content
+      ? reanchorEmbedItems(excerpt, { variableValues: effectiveValues.variableValues, toggleStates: effectiveValues.toggleStates, customInsertions, internalNotes, blockOverrides }, existingConfig?.syncedContent)
+      : { customInsertions, internalNotes, blockOverrides };
+
     const syncedContentHash = excerpt?.contentHash || null;
+    const syncedVersion = excerpt?.version || null;  // Source version, for update severity
     const syncedContent = excerpt?.content || null;  // Store actual Source ADF for diff view
 
     // Initialize redline fields for new Embeds
@@ -62,11 +102,14 @@ export async function saveVariableValues(req) {
       excerptId,
       variableValues,
       toggleStates: toggleStates || {},
-      customInsertions: customInsertions || [],
-      internalNotes: internalNotes || [],
+      customInsertions: anchoredItems.customInsertions || [],
+      internalNotes: anchoredItems.internalNotes || [],
+      blockOverrides: anchoredItems.blockOverrides || [],
+      createdAt: existingConfig ? (existingConfig.createdAt || null) : now,  // First save (redline aging); unknown for older Embeds
       updatedAt: now,
       lastSynced: now,  // Track when this Include instance last synced with Source
       syncedContentHash,  // Store hash of the content at sync time for staleness detection
+      syncedVersion,
       syncedContent,  // Store Source ADF at sync time for diff comparison
 
       // Redline fields (initialized on first save, preserved on updates)
@@ -75,16 +118,39 @@ export async function saveVariableValues(req) {
       approvedBy,
       approvedAt,
       statusHistory,
-      pageId: explicitPageId || req.context?.extension?.content?.id  // Store for redline queue
+      pageId,  // Store for redline queue and page-level variables
+      spaceKey,  // Store for space variable dictionaries
+
+      // Redline assignment (from the assignment rules on first save, preserved on updates)
+      assignee: existingConfig?.assignee || null,
+      owner: existingConfig?.owner || null,
+      assignedBy: existingConfig?.assignedBy || null,
+      assignedAt: existingConfig?.assignedAt || null,
+      assignmentHistory: existingConfig?.assignmentHistory || []
     };
 
+    // Embeds that were never assigned get their reviewer and owner from the assignment rules
+    if (!newConfig.assignedAt) {
+      const [{ rules }, { owners }] = await Promise.all([loadRedlineAssignmentRules(), getCategoryData()]);
+      const { assignee, owner, ruleId } = resolveRedlineAssignment(rules, owners, { category: excerpt?.category, spaceKey });
+      Object.assign(newConfig, applyRedlineAssignment(newConfig, {
+        assignee,
+        owner,
+        changedBy: 'system',
+        reason: ruleId ? 'Assigned by assignment rule' : 'No assignment rule matched',
+        now
+      }));
+    }
+
     await storage.set(key, newConfig);
+    await indexEmbed(localId, newConfig);
+    await indexRedlineEmbed(localId, newConfig, { excerpt: storedExcerpt });
     logSuccess('saveVariableValues', `Config saved for ${localId}`);
 
     // AUTO-TRANSITION LOGIC: Check if approved Embed content has changed
     // OPTIMIZATION: Run asynchronously in background to avoid blocking the save response
     // This status transition is not critical for the save to complete
-    if (existingConfig && existingConfig.redlineStatus === 'approved' && existingConfig.approvedContentHash) {
+    if (existingConfig && existingConfig.redlineStatus === APPROVED_REDLINE_STATE && existingConfig.approvedContentHash) {
       const autoTransitionPromise = (async () => {
         try {
           // Query version system for latest contentHash
@@ -102,25 +168,16 @@ export async function saveVariableValues(req) {
                 currentHash: currentContentHash
               });
 
-              // Auto-transition status to "needs-revision"
-              const updatedStatusHistory = existingConfig.statusHistory || [];
-              updatedStatusHistory.push({
-                status: 'needs-revision',
-                previousStatus: 'approved',
-                changedBy: 'system',
-                changedAt: new Date().toISOString(),
+              // Auto-transition status to the workflow's revision state
+              const updatedConfig = applyRedlineAutoRevision(newConfig, {
                 reason: 'Content modified after approval (auto-transition)'
               });
 
-              // Update redline fields
-              const updatedConfig = { ...newConfig };
-              updatedConfig.redlineStatus = 'needs-revision';
-              updatedConfig.statusHistory = updatedStatusHistory;
-
               // Save updated config with new status
               await storage.set(key, updatedConfig);
+              await indexRedlineEmbed(localId, updatedConfig, { excerpt: storedExcerpt });
               
-              logSuccess('saveVariableValues', `Auto-transitioned Embed ${localId}: approved → needs-revision (async)`);
+              logSuccess('saveVariableValues', `Auto-transitioned Embed ${localId}: ${APPROVED_REDLINE_STATE} → ${REVISION_REDLINE_STATE} (async)`);
             }
           }
         } catch (autoTransitionError) {
@@ -141,9 +198,8 @@ export async function saveVariableValues(req) {
     const usageTrackingPromise = (async () => {
       const usageTrackingStartTime = Date.now();
       try {
-        // Get page context - use explicit pageId if provided (from Admin page), otherwise use context
-        const pageId = explicitPageId || req.context?.extension?.content?.id;
-        const spaceKey = req.context?.extension?.space?.key || 'Unknown Space';
+        // Page context - explicit pageId if provided (from Admin page), otherwise the macro's page
+        const usageSpaceKey = spaceKey || 'Unknown Space';
 
         if (pageId && excerptId && localId) {
           // Fetch page title
@@ -180,7 +236,7 @@ export async function saveVariableValues(req) {
             localId,
             pageId,
             pageTitle,
-            spaceKey,
+            spaceKey: usageSpaceKey,
             headingAnchor,
             toggleStates: toggleStates || {},
             variableValues: variableValues || {},
@@ -215,51 +271,26 @@ export async function saveVariableValues(req) {
       const cacheGenerationStartTime = Date.now();
       try {
         if (excerpt && excerpt.content) {
-        let previewContent = excerpt.content;
-        const isAdf = previewContent && typeof previewContent === 'object' && previewContent.type === 'doc';
-
-        if (isAdf) {
-          // Process ADF content: filter toggles, substitute variables, insert custom content
-          // Note: Using current (buggy) behavior to match client-side for consistency
-          // TODO: Fix for GitHub issue #2 - Insert custom paragraphs BEFORE toggle filtering
-          try {
-            previewContent = filterContentByToggles(previewContent, toggleStates || {});
-            previewContent = substituteVariablesInAdf(previewContent, variableValues || {});
-            previewContent = insertCustomParagraphsInAdf(previewContent, customInsertions || []);
-            previewContent = insertInternalNotesInAdf(previewContent, internalNotes || []);
-            previewContent = cleanAdfForRenderer(previewContent);
-          } catch (processingError) {
-            logFailure('saveVariableValues', 'Error during ADF processing', processingError, {
-              localId,
-              step: 'ADF processing',
-              hasVariableValues: !!variableValues,
-              variableCount: variableValues ? Object.keys(variableValues).length : 0
-            });
-            // Don't re-throw - allow save to continue even if cache generation fails
-            // The config will still be saved, just without cached content
-            previewContent = excerpt.content; // Use original content as fallback
-          }
-        } else {
-          // For plain text, filter toggles first
-          const toggleRegex = /\{\{toggle:([^}]+)\}\}([\s\S]*?)\{\{\/toggle:\1\}\}/g;
-          previewContent = previewContent.replace(toggleRegex, (match, toggleName, content) => {
-            const trimmedName = toggleName.trim();
-            return (toggleStates || {})[trimmedName] === true ? content : '';
+        let previewContent;
+        try {
+          // Shared pipeline - identical to push updates and the redline preview
+          previewContent = renderEmbed(excerpt, {
+            variableValues: effectiveValues.variableValues,
+            toggleStates: effectiveValues.toggleStates,
+            customInsertions: anchoredItems.customInsertions,
+            internalNotes: anchoredItems.internalNotes,
+            blockOverrides: anchoredItems.blockOverrides
           });
-
-          // Strip any remaining markers
-          previewContent = previewContent.replace(/\{\{toggle:[^}]+\}\}/g, '');
-          previewContent = previewContent.replace(/\{\{\/toggle:[^}]+\}\}/g, '');
-
-          // Then substitute variables
-          const escapeRegex = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-          if (excerpt.variables) {
-            excerpt.variables.forEach(variable => {
-              const value = (variableValues || {})[variable.name] || `{{${variable.name}}}`;
-              const regex = new RegExp(`\\{\\{${escapeRegex(variable.name)}\\}\\}`, 'g');
-              previewContent = previewContent.replace(regex, value);
-            });
-          }
+        } catch (processingError) {
+          logFailure('saveVariableValues', 'Error during content rendering', processingError, {
+            localId,
+            step: 'renderEmbed',
+            hasVariableValues: !!variableValues,
+            variableCount: variableValues ? Object.keys(variableValues).length : 0
+          });
+          // Don't re-throw - allow save to continue even if cache generation fails
+          // The config will still be saved, just without cached content
+          previewContent = excerpt.content; // Use original content as fallback
         }
 
         // Save cached content
@@ -308,6 +339,7 @@ export async function saveVariableValues(req) {
       existingVars.lastSynced = now;
       if (syncedContentHash !== undefined) {
         existingVars.syncedContentHash = syncedContentHash;
+        existingVars.syncedVersion = syncedVersion;
       }
       if (syncedContent !== undefined) {
         existingVars.syncedContent = syncedContent;
@@ -352,3 +384,68 @@ export async function saveVariableValues(req) {
     };
   }
 }
+
+/**
+ * List Embeds with custom insertions or internal notes that could not be
+ * re-anchored after their Source changed (see utils/insertion-anchor-utils.js)
+ *
+ * @returns {Object} { success, embeds: [{ localId, excerptId, excerptName, pageId, pageTitle, items }] }
+ */
+export async function getOrphanedInsertions() {
+  try {
+    let allConfigs = [];
+    let cursor = undefined;
+
+    do {
+      const batch = await storage.query()
+        .where('key', startsWith('macro-vars:'))
+        .limit(100)
+        .cursor(cursor)
+        .getMany();
+
+      allConfigs = allConfigs.concat(batch.results);
+      cursor = batch.nextCursor;
+    } while (cursor);
+
+    // Source name and usage references, loaded once per Source
+    const sources = new Map();
+    const loadSource = async (excerptId) => {
+      if (!sources.has(excerptId)) {
+        const [excerpt, usage] = await Promise.all([
+          storage.get(`excerpt:${excerptId}`),
+          storage.get(`usage:${excerptId}`)
+        ]);
+        sources.set(excerptId, { excerpt, references: usage?.references || [] });
+      }
+      return sources.get(excerptId);
+    };
+
+    const embeds = [];
+    for (const { key, value: config } of allConfigs) {
+      const items = getOrphanedItems(config);
+      if (items.length === 0) {
+        continue;
+      }
+
+      const localId = key.replace('macro-vars:', '');
+      const { excerpt, references } = config.excerptId
+        ? await loadSource(config.excerptId)
+        : { excerpt: null, references: [] };
+      const ref = references.find(r => r.localId === localId);
+
+      embeds.push({
+        localId,
+        excerptId: config.excerptId || null,
+        excerptName: excerpt?.name || 'Unknown Source',
+        pageId: ref?.pageId || config.pageId || null,
+        pageTitle: ref?.pageTitle || 'Unknown Page',
+        items
+      });
+    }
+
+    return { success: true, embeds };
+  } catch (error) {
+    logFailure('getOrphanedInsertions', 'Error listing orphaned insertions', error);
+    return { success: false, error: error.message, embeds: [] };
+  }
+}
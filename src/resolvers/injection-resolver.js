@@ -5,8 +5,12 @@
  * Called when user clicks the "Inject Content" button in the Include macro UI.
  */
 
+import { storage } from '@forge/api';
 import api, { route } from '@forge/api';
 import { getExcerpt } from '../storage.js';
+import { resolveNestedSources } from '../utils/nested-source-utils.js';
+import { renderEmbed } from '../utils/embed-renderer.js';
+import { withVariableScopes } from '../utils/storage-utils.js';
 
 // Helper function to escape regex special characters
 function escapeRegex(string) {
@@ -48,9 +52,10 @@ async function convertAdfToStorage(adfContent) {
   }
 }
 
-// Helper function to render excerpt content with variable substitution
-async function renderExcerptContent(excerpt, variableValues = {}) {
-  let content = excerpt.content;
+// Helper function to render excerpt content for the page's storage format
+async function renderExcerptContent(excerpt, macroVars = {}) {
+  // Same pipeline as the Embed's cached content (toggles, variables, insertions, notes)
+  let content = renderEmbed(excerpt, macroVars);
 
   // Check if content is ADF JSON format
   const isAdf = content && typeof content === 'object' && content.type === 'doc';
@@ -76,15 +81,6 @@ async function renderExcerptContent(excerpt, variableValues = {}) {
     content = String(content || '');
   }
 
-  // Substitute variables
-  if (excerpt.variables && Array.isArray(excerpt.variables)) {
-    excerpt.variables.forEach(variable => {
-      const value = variableValues[variable.name] || `{{${variable.name}}}`;
-      const regex = new RegExp(`\\{\\{${escapeRegex(variable.name)}\\}\\}`, 'g');
-      content = content.replace(regex, value);
-    });
-  }
-
   return content;
 }
 
@@ -218,7 +214,7 @@ export async function injectIncludeContent(req) {
     console.log(`[INJECT] Found Include macro at position ${match.index}`);
 
     // Step 3: Load the excerpt
-    const excerpt = await getExcerpt(excerptId);
+    const excerpt = await resolveNestedSources(await getExcerpt(excerptId));
     if (!excerpt) {
       console.error(`[INJECT] Excerpt ${excerptId} not found`);
       return {
@@ -229,8 +225,15 @@ export async function injectIncludeContent(req) {
 
     console.log(`[INJECT] Loaded excerpt "${excerpt.name}"`);
 
-    // Step 4: Render content with variable substitution
-    const renderedContent = await renderExcerptContent(excerpt, variableValues || {});
+    // Step 4: Render content with this Embed's saved config (unsaved variable values from the UI win,
+    // page-level variables and the variable dictionaries fill in the rest)
+    const macroVars = await storage.get(`macro-vars:${localId}`) || {};
+    const renderedContent = await renderExcerptContent(excerpt, await withVariableScopes({
+      ...macroVars,
+      pageId,
+      spaceKey: macroVars.spaceKey || req.context?.extension?.space?.key || null,
+      variableValues: { ...(macroVars.variableValues || {}), ...(variableValues || {}) }
+    }));
 
     // Create injected content with simple markers
     // Use a unique marker ID based on localId so each macro instance has its own injection
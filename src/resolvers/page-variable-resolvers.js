@@ -0,0 +1,252 @@
+/**
+ * Page Variable Resolvers
+ *
+ * Page-level variables: values such as {{clientName}} or {{launchDate}} set once
+ * for a page and inherited by every Embed on it unless the Embed sets its own
+ * (see utils/page-variable-utils.js for the storage shape and merge rules).
+ * Edited from any Embed on the page ("Page variables" in the Embed editor).
+ *
+ * Resolvers return { success, error } like the rest of the Embed API.
+ */
+
+import { storage, startsWith } from '@forge/api';
+import { resolveNestedSources } from '../utils/nested-source-utils.js';
+import { renderEmbed } from '../utils/embed-renderer.js';
+import { getPageScope, loadVariableScopes } from '../utils/storage-utils.js';
+import { applyVariableScopes, buildInheritedScopes, hasVariableValue } from '../utils/page-variable-utils.js';
+import { validateVariableValues } from '../utils/variable-types.js';
+import { isComputedVariable } from '../utils/variable-resolution.js';
+import { APPROVED_REDLINE_STATE, applyRedlineAutoRevision } from '../utils/redline-workflow-utils.js';
+import { indexRedlineEmbed } from '../utils/redline-index-utils.js';
+import { logSuccess, logFailure } from '../utils/forge-logger.js';
+
+/**
+ * Embed configs on a page, with the Source each one renders
+ *
+ * Found through the Sources' usage:{excerptId} references (one record per
+ * Source) rather than every Embed config; each config is re-checked so moved
+ * or deleted Embeds are left out.
+ *
+ * @param {string} pageId - Confluence page ID
+ * @returns {Promise<Array<Object>>} [{ localId, config, source }] (source has nested Sources resolved)
+ */
+async function getPageEmbeds(pageId) {
+  let allUsage = [];
+  let cursor = undefined;
+
+  do {
+    const batch = await storage.query()
+      .where('key', startsWith('usage:'))
+      .limit(100)
+      .cursor(cursor)
+      .getMany();
+
+    allUsage = allUsage.concat(batch.results);
+    cursor = batch.nextCursor;
+  } while (cursor);
+
+  const localIds = new Set();
+  for (const { value: usage } of allUsage) {
+    for (const reference of usage?.references || []) {
+      if (String(reference.pageId) === String(pageId) && reference.localId) {
+        localIds.add(reference.localId);
+      }
+    }
+  }
+
+  const sources = new Map();
+  const embeds = [];
+  for (const localId of localIds) {
+    const config = await storage.get(`macro-vars:${localId}`);
+    if (String(config?.pageId) !== String(pageId) || !config.excerptId) {
+      continue;
+    }
+    if (!sources.has(config.excerptId)) {
+      sources.set(config.excerptId, await resolveNestedSources(await storage.get(`excerpt:${config.excerptId}`)));
+    }
+    embeds.push({ localId, config, source: sources.get(config.excerptId) });
+  }
+  return embeds;
+}
+
+/**
+ * Variables and toggles used by the Embeds on a page, with how many Embeds use
+ * each one and how many of those set their own value
+ *
+ * @param {Array<Object>} embeds - getPageEmbeds result
+ * @returns {Object} { variables: [{ ...definition, usedBy, setLocally }], toggles: [{ name, description, usedBy, setLocally }] }
+ */
+function collectPageDefinitions(embeds) {
+  const variables = new Map();
+  const toggles = new Map();
+
+  for (const { config, source } of embeds) {
+    for (const variable of source?.variables || []) {
+      if (isComputedVariable(variable)) {
+        continue;
+      }
+      const entry = variables.get(variable.name) || { ...variable, usedBy: 0, setLocally: 0 };
+      entry.usedBy++;
+      if (hasVariableValue(config.variableValues?.[variable.name])) {
+        entry.setLocally++;
+      }
+      variables.set(variable.name, entry);
+    }
+    for (const toggle of source?.toggles || []) {
+      const entry = toggles.get(toggle.name) || { name: toggle.name, description: toggle.description || '', usedBy: 0, setLocally: 0 };
+      entry.usedBy++;
+      if (typeof config.toggleStates?.[toggle.name] === 'boolean') {
+        entry.setLocally++;
+      }
+      toggles.set(toggle.name, entry);
+    }
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  return {
+    variables: [...variables.values()].sort(byName),
+    toggles: [...toggles.values()].sort(byName)
+  };
+}
+
+/**
+ * Get the page-level variables of a page and the variables/toggles its Embeds use
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.pageId - Page ID (defaults to the page the macro is on)
+ * @returns {Object} { success, pageId, variableValues, toggleStates, updatedAt, updatedBy,
+ *   embedCount, approvedEmbedCount, variables, toggles } - see collectPageDefinitions
+ */
+export async function getPageVariables(req) {
+  try {
+    const pageId = req.payload?.pageId || req.context?.extension?.content?.id;
+    if (!pageId) {
+      return { success: false, error: 'pageId is required' };
+    }
+
+    const [pageScope, embeds] = await Promise.all([
+      getPageScope(pageId),
+      getPageEmbeds(pageId)
+    ]);
+
+    return {
+      success: true,
+      pageId,
+      variableValues: pageScope?.variableValues || {},
+      toggleStates: pageScope?.toggleStates || {},
+      updatedAt: pageScope?.updatedAt || null,
+      updatedBy: pageScope?.updatedBy || null,
+      embedCount: embeds.length,
+      // Approved Embeds go back for revision if a change here alters their content
+      approvedEmbedCount: embeds.filter(({ config }) => config.redlineStatus === APPROVED_REDLINE_STATE).length,
+      ...collectPageDefinitions(embeds)
+    };
+  } catch (error) {
+    logFailure('getPageVariables', 'Error loading page variables', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Save the page-level variables of a page and re-render the cached content of
+ * every Embed on it
+ *
+ * Empty values are dropped (nothing to inherit). Rejects the save if a value
+ * doesn't match the type any Source on the page declares for that variable;
+ * the response includes validationErrors keyed by variable name. Caches are
+ * re-rendered from the Source content each Embed last synced to, so this
+ * doesn't pull in pending Source updates. Approved Embeds whose rendered
+ * content changes go back to the workflow's revision state, as when the Embed
+ * itself is edited.
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.pageId - Page ID (defaults to the page the macro is on)
+ * @param {Object} req.payload.variableValues - { name: value }
+ * @param {Object} req.payload.toggleStates - { name: boolean } (unset toggles are left out)
+ * @returns {Object} { success, pageScope, refreshedEmbeds, revisedEmbeds: [localId] } or
+ *   { success: false, error, validationErrors }
+ */
+export async function savePageVariables(req) {
+  try {
+    const { variableValues = {}, toggleStates = {} } = req.payload || {};
+    const pageId = req.payload?.pageId || req.context?.extension?.content?.id;
+    if (!pageId) {
+      return { success: false, error: 'pageId is required' };
+    }
+    if (typeof variableValues !== 'object' || typeof toggleStates !== 'object') {
+      return { success: false, error: 'variableValues and toggleStates must be objects' };
+    }
+
+    const cleanValues = Object.fromEntries(
+      Object.entries(variableValues).filter(([, value]) => hasVariableValue(value))
+    );
+    const cleanToggles = Object.fromEntries(
+      Object.entries(toggleStates).filter(([, value]) => typeof value === 'boolean')
+    );
+
+    const embeds = await getPageEmbeds(pageId);
+
+    // Validate against every Source on the page that declares the variable
+    const validationErrors = {};
+    for (const { source } of embeds) {
+      const declared = (source?.variables || []).filter(v => v.name in cleanValues);
+      Object.assign(validationErrors, validateVariableValues(declared, cleanValues).errors);
+    }
+    const invalidNames = Object.keys(validationErrors);
+    if (invalidNames.length > 0) {
+      return {
+        success: false,
+        error: `Invalid value for ${invalidNames.map(name => `"${name}"`).join(', ')}: ${invalidNames.map(name => validationErrors[name]).join('; ')}`,
+        validationErrors
+      };
+    }
+
+    const now = new Date().toISOString();
+    const pageScope = {
+      pageId,
+      variableValues: cleanValues,
+      toggleStates: cleanToggles,
+      updatedAt: now,
+      updatedBy: req.context?.accountId || null
+    };
+    await storage.set(`page-vars:${pageId}`, pageScope);
+
+    let refreshedEmbeds = 0;
+    const revisedEmbeds = [];
+    const scopeCache = new Map();
+    for (const { localId, config, source } of embeds) {
+      const content = config.syncedContent || source?.content;
+      if (!content) {
+        continue;
+      }
+      try {
+        // Dictionaries still fill in what neither the Embed nor the page sets
+        const scopes = { ...await loadVariableScopes(config, scopeCache), pageScope };
+        const rendered = renderEmbed({ ...(source || {}), content }, applyVariableScopes(config, buildInheritedScopes(scopes)));
+        const previousCache = await storage.get(`macro-cache:${localId}`);
+        await storage.set(`macro-cache:${localId}`, { content: rendered, cachedAt: now });
+        refreshedEmbeds++;
+
+        // The approval covered the content as it rendered before
+        const changed = !!previousCache && JSON.stringify(previousCache.content) !== JSON.stringify(rendered);
+        if (config.redlineStatus === APPROVED_REDLINE_STATE && changed) {
+          const updatedConfig = applyRedlineAutoRevision(await storage.get(`macro-vars:${localId}`) || config, {
+            reason: 'Page variables changed after approval (auto-transition)',
+            now
+          });
+          await storage.set(`macro-vars:${localId}`, updatedConfig);
+          await indexRedlineEmbed(localId, updatedConfig);
+          revisedEmbeds.push(localId);
+        }
+      } catch (renderError) {
+        logFailure('savePageVariables', 'Error re-rendering Embed', renderError, { localId, pageId });
+      }
+    }
+
+    logSuccess('savePageVariables', `Saved page variables for ${pageId} (${refreshedEmbeds} Embed(s) re-rendered, ${revisedEmbeds.length} sent back for revision)`);
+    return { success: true, pageScope, refreshedEmbeds, revisedEmbeds };
+  } catch (error) {
+    logFailure('savePageVariables', 'Error saving page variables', error);
+    return { success: false, error: error.message };
+  }
+}
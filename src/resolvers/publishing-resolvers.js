@@ -0,0 +1,283 @@
+/**
+ * Publishing Resolvers
+ *
+ * Staged Source publishing: draft → (optional review) → publish.
+ *
+ * Sources with requiresPublish set keep edits in excerpt-draft:{id} (see
+ * utils/source-draft-utils.js) so a half-finished change doesn't reach every
+ * Embed at once. These resolvers drive the rest of the workflow:
+ * - getSourceDraftStatus: draft summary for the Source config / admin modal
+ * - requestSourceReview: name approvers (by default the owners of the Source's
+ *   category); from then on only they can publish
+ * - publishSourceDraft: copy the draft over the live excerpt with a changelog note
+ * - discardSourceDraft: drop the draft, keeping the live excerpt
+ *
+ * Resolvers return { success, error } like the rest of the excerpt API.
+ */
+
+import { storage } from '@forge/api';
+import { findIncludeCycle, checkSourceRename } from '../utils/nested-source-utils.js';
+import { updateExcerptIndex, getCategoryData } from '../utils/storage-utils.js';
+import { getCategoryOwners } from '../utils/category-utils.js';
+import { saveVersion } from '../utils/version-manager.js';
+import {
+  appendChangelogEntry,
+  getDraftKey,
+  getSourceDraft,
+  getDraftContent,
+  getDraftApprovers,
+  canPublishDraft,
+  canManageDraftReview,
+  summarizeDraft
+} from '../utils/source-draft-utils.js';
+import { RELEASE_TYPES, bumpVersion, suggestReleaseType } from '../utils/source-release-utils.js';
+import { queueVariableRenameMigration } from '../utils/variable-migration-utils.js';
+import { queueInsertionReanchor } from '../utils/insertion-reanchor-utils.js';
+import { indexSource } from '../utils/search-index-utils.js';
+
+/**
+ * Get the draft state of a Source
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.excerptId - Source ID
+ * @returns {Object} { success, requiresPublish, draft: summary|null, canPublish, canManageReview,
+ *   categoryOwners: [accountId] } - categoryOwners are the default approvers; canManageReview is
+ *   false while a review is pending and the user isn't an approver (see canManageDraftReview)
+ */
+export async function getSourceDraftStatus(req) {
+  try {
+    const { excerptId } = req.payload;
+
+    const excerpt = await storage.get(`excerpt:${excerptId}`);
+    if (!excerpt) {
+      return { success: false, error: 'Excerpt not found' };
+    }
+
+    const [storedDraft, { owners }] = await Promise.all([
+      getSourceDraft(excerptId),
+      getCategoryData()
+    ]);
+    const draft = summarizeDraft(storedDraft, excerpt);
+    const accountId = req.context?.accountId;
+
+    return {
+      success: true,
+      requiresPublish: !!excerpt.requiresPublish,
+      draft,
+      canPublish: !!draft && draft.hasChanges && canPublishDraft(storedDraft, accountId),
+      canManageReview: canManageDraftReview(storedDraft, accountId),
+      categoryOwners: getCategoryOwners(excerpt.category || 'General', owners).owners
+    };
+  } catch (error) {
+    console.error('[getSourceDraftStatus] Error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Send a Source draft for review
+ *
+ * With useCategoryOwners the owners of the Source's category (or the nearest
+ * parent category with owners) become the approvers; any one of them can publish.
+ * The requester can't be their own approver. Once in review, only the approvers
+ * can change or clear it.
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.excerptId - Source ID
+ * @param {string|null} req.payload.approverId - Confluence accountId of the approver (null clears review)
+ * @param {boolean} [req.payload.useCategoryOwners] - Request review from the category owners instead
+ * @returns {Object} { success, draft: summary }
+ */
+export async function requestSourceReview(req) {
+  try {
+    const { excerptId, approverId, useCategoryOwners } = req.payload;
+
+    const [excerpt, draft] = await Promise.all([
+      storage.get(`excerpt:${excerptId}`),
+      getSourceDraft(excerptId)
+    ]);
+    if (!excerpt || !draft) {
+      return { success: false, error: 'No draft to review - save changes to the Source first' };
+    }
+    const accountId = req.context?.accountId || null;
+    if (!canManageDraftReview(draft, accountId)) {
+      return { success: false, error: 'This draft is waiting for review - only its approvers can change the review' };
+    }
+
+    let approverIds = approverId ? [approverId] : [];
+    if (useCategoryOwners) {
+      const { owners } = await getCategoryData();
+      approverIds = getCategoryOwners(excerpt.category || 'General', owners).owners
+        .filter(ownerId => ownerId !== accountId);
+      if (approverIds.length === 0) {
+        return { success: false, error: `Category "${excerpt.category || 'General'}" has no other owners - choose an approver` };
+      }
+    } else if (accountId && approverId === accountId) {
+      return { success: false, error: 'You can\'t approve your own changes - choose someone else' };
+    }
+
+    const now = new Date().toISOString();
+    const inReview = approverIds.length > 0;
+    const updatedDraft = {
+      ...draft,
+      draftStatus: inReview ? 'in-review' : 'draft',
+      approverIds,
+      approverId: approverIds[0] || null,
+      reviewRequestedBy: inReview ? accountId : null,
+      reviewRequestedAt: inReview ? now : null
+    };
+
+    await storage.set(getDraftKey(excerptId), updatedDraft);
+
+    console.log(`[requestSourceReview] Source ${excerptId}: ${inReview ? `review requested from ${approverIds.join(', ')}` : 'review cleared'}`);
+
+    return { success: true, draft: summarizeDraft(updatedDraft, excerpt) };
+  } catch (error) {
+    console.error('[requestSourceReview] Error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Publish a Source draft
+ *
+ * Replaces the live excerpt with the draft (snapshotting the old version first),
+ * releases a new version, records a changelog entry, and deletes the draft. If the
+ * draft is in review, only its approvers can publish it - publishing is the approval.
+ * Variable/toggle renames saved with the draft are migrated across the Embeds now,
+ * and the Embeds' custom insertions and notes are re-anchored to the new content.
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.excerptId - Source ID
+ * @param {string} req.payload.changelogNote - What changed (shown to Embed authors in the update banner);
+ *   defaults to the change summary saved with the draft
+ * @param {string} [req.payload.releaseType] - 'major' | 'minor' | 'patch'; defaults to the type chosen
+ *   when the draft was saved, then to the suggested type
+ * @returns {Object} { success, contentHash, version, changelogEntry, migration: { jobId, progressId }|null }
+ */
+export async function publishSourceDraft(req) {
+  try {
+    const { excerptId, changelogNote = '', releaseType } = req.payload;
+    const accountId = req.context?.accountId || null;
+
+    const [excerpt, draft] = await Promise.all([
+      storage.get(`excerpt:${excerptId}`),
+      getSourceDraft(excerptId)
+    ]);
+    if (!excerpt) {
+      return { success: false, error: 'Excerpt not found' };
+    }
+    if (!draft) {
+      return { success: false, error: 'There is no draft to publish' };
+    }
+    if (!canPublishDraft(draft, accountId)) {
+      return { success: false, error: 'This draft is waiting for review - only its approvers can publish it' };
+    }
+    if (draft.contentHash === excerpt.contentHash) {
+      return { success: false, error: 'The draft matches the published version - there is nothing to publish' };
+    }
+
+    const { pendingRenames, ...draftContent } = getDraftContent(draft);
+
+    // The included (and including) Sources may have changed since the draft was saved
+    const includeCycle = await findIncludeCycle(draftContent);
+    if (includeCycle) {
+      return { success: false, error: `Nested Sources include each other in a cycle: ${includeCycle.join(' → ')}` };
+    }
+    const renameError = await checkSourceRename(excerpt, draftContent.name);
+    if (renameError) {
+      return { success: false, error: renameError };
+    }
+
+    const now = new Date().toISOString();
+    const note = changelogNote.trim() || draftContent.changeSummary || '';
+    const publishedReleaseType = (RELEASE_TYPES.includes(releaseType) ? releaseType : null)
+      || draftContent.releaseType
+      || suggestReleaseType(excerpt, draftContent);
+    const version = bumpVersion(excerpt.version, publishedReleaseType);
+    const changelogEntry = {
+      contentHash: draftContent.contentHash,
+      version,
+      releaseType: publishedReleaseType,
+      note,
+      publishedBy: accountId,
+      publishedAt: now,
+      approvedBy: getDraftApprovers(draft).length > 0 ? accountId : null
+    };
+
+    const publishedExcerpt = {
+      ...draftContent,
+      // Settings and publish history belong to the live Source, not the draft
+      requiresPublish: excerpt.requiresPublish,
+      tags: excerpt.tags || [],
+      changelog: appendChangelogEntry(excerpt.changelog, changelogEntry),
+      changeSummary: note,
+      version,
+      releaseType: publishedReleaseType,
+      publishedAt: now,
+      publishedBy: accountId,
+      updatedAt: now
+    };
+
+    const versionResult = await saveVersion(
+      storage,
+      `excerpt:${excerptId}`,
+      excerpt, // Save the OLD version before overwriting
+      {
+        changeType: 'UPDATE',
+        changedBy: 'publishSourceDraft',
+        userAccountId: accountId,
+        excerptName: excerpt.name,
+        changeSummary: excerpt.changeSummary || null
+      }
+    );
+    if (versionResult.success) {
+      console.log('[publishSourceDraft] ✅ Version snapshot created:', versionResult.versionId);
+    } else if (!versionResult.skipped) {
+      console.warn('[publishSourceDraft] ⚠️  Version snapshot failed:', versionResult.error);
+    }
+
+    await storage.set(`excerpt:${excerptId}`, publishedExcerpt);
+    await updateExcerptIndex(publishedExcerpt);
+    await indexSource(publishedExcerpt);
+    await storage.delete(getDraftKey(excerptId));
+
+    const migration = await queueVariableRenameMigration(excerptId, pendingRenames, accountId);
+    await queueInsertionReanchor(excerptId, accountId);
+
+    console.log(`[publishSourceDraft] Source ${excerptId} published by ${accountId}`);
+
+    return { success: true, contentHash: publishedExcerpt.contentHash, version, changelogEntry, migration };
+  } catch (error) {
+    console.error('[publishSourceDraft] Error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Discard a Source draft (the live excerpt is unchanged)
+ *
+ * Note the Source macro body on its page still holds the drafted content; the
+ * next automatic sync of that body will start a new draft. A draft in review can
+ * only be discarded by its approvers.
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.excerptId - Source ID
+ * @returns {Object} { success }
+ */
+export async function discardSourceDraft(req) {
+  try {
+    const { excerptId } = req.payload;
+
+    const draft = await getSourceDraft(excerptId);
+    if (!canManageDraftReview(draft, req.context?.accountId)) {
+      return { success: false, error: 'This draft is waiting for review - only its approvers can discard it' };
+    }
+
+    await storage.delete(getDraftKey(excerptId));
+    return { success: true };
+  } catch (error) {
+    console.error('[discardSourceDraft] Error:', error);
+    return { success: false, error: error.message };
+  }
+}
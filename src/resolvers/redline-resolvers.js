@@ -7,11 +7,18 @@
  * Core Features:
  * - Granular status tracking per Embed instance
  * - Automatic status transitions when approved content is modified
- * - Queue filtering, sorting, and grouping
+ * - Queue filtering, sorting, and grouping, one page at a time from the redline
+ *   index (see utils/redline-index-utils.js), which status and reviewer
+ *   changes keep current
  * - User avatar integration via Confluence API
  * - Audit trail for all status changes
+ * - Reviewer assignment and ownership, with rules that assign new Embeds by
+ *   Source category or page space (see utils/redline-assignment-utils.js)
+ * - Aging against per-status SLA thresholds, review metrics and a report
+ *   export (see utils/redline-metrics-utils.js)
  *
- * Status Types:
+ * Status Types (the default workflow - admins can add states and restrict
+ * transitions, see utils/redline-workflow-utils.js):
  * - "reviewable" - Ready for initial review
  * - "pre-approved" - Content finalized but not fully approved
  * - "needs-revision" - Requires changes/corrections
@@ -19,12 +26,19 @@
  *
  * Storage Schema (added to macro-vars:{localId}):
  * {
- *   redlineStatus: "reviewable" | "pre-approved" | "needs-revision" | "approved",
+ *   redlineStatus: "reviewable" | "needs-revision" | "approved" | <workflow state>,
  *   approvedContentHash: "abc123...",  // Hash when status set to "approved"
  *   approvedBy: "5e7f419c...",         // Confluence accountId
  *   approvedAt: "2025-01-15T10:30:00.000Z",
  *   statusHistory: [
- *     { status, changedBy, changedAt, reason }
+ *     { status, previousStatus, changedBy, changedAt, reason, comment, transitionId },
+ *     { ..., rejected: true, violation }   // attempted changes the workflow refused
+ *   ],
+ *   assignee: "5e7f419c...",           // Reviewer expected to act next (null = unassigned)
+ *   owner: "5e7f419c...",              // Accountable for the Embed
+ *   assignedBy, assignedAt,
+ *   assignmentHistory: [
+ *     { assignee, previousAssignee, owner, changedBy, changedAt, reason }
  *   ]
  * }
  */
@@ -32,146 +46,172 @@
 import { storage, startsWith } from '@forge/api';
 import api, { route } from '@forge/api';
 import { listVersions } from '../utils/version-manager.js';
+import { resolveNestedSources } from '../utils/nested-source-utils.js';
+import { renderEmbed } from '../utils/embed-renderer.js';
+import { withVariableScopes, getCategoryData, loadRedlineAssignmentRules, loadRedlineWorkflow, loadRedlineSla } from '../utils/storage-utils.js';
+import { validateAssignmentRules, resolveRedlineAssignment, applyRedlineAssignment } from '../utils/redline-assignment-utils.js';
+import {
+  INITIAL_REDLINE_STATE,
+  REVISION_REDLINE_STATE,
+  APPROVED_REDLINE_STATE,
+  validateRedlineWorkflow,
+  checkRedlineTransition,
+  canAssignRedlineEmbed,
+  getRedlineState
+} from '../utils/redline-workflow-utils.js';
+import { validateRedlineSla, getRedlineAging, getApprovalDurations, computeRedlineMetrics } from '../utils/redline-metrics-utils.js';
+import {
+  REDLINE_INDEX_META_KEY,
+  DEFAULT_QUEUE_PAGE_SIZE,
+  MAX_QUEUE_PAGE_SIZE,
+  queryRedlineIndex,
+  loadRedlineIndexEntries,
+  getRedlineEntryAging,
+  indexRedlineEmbed,
+  removeFromRedlineIndex,
+  getPageTitles,
+  queueRedlineIndexRebuild
+} from '../utils/redline-index-utils.js';
+import { generateUUID } from '../utils.js';
+import { postInlineCommentNearEmbed } from '../utils/confluence-comment-utils.js';
+import { getReviewThreadKey, summarizeReviewThread } from '../utils/review-thread-utils.js';
 
 /**
- * Get redline queue with filtering, sorting, and grouping
+ * Get one page of the redline queue with filtering, sorting, and grouping
+ *
+ * Reads the redline index (utils/redline-index-utils.js), so a page costs the
+ * same however many Embeds exist: only the page's Embeds are loaded, and their
+ * page titles are looked up in one batch (cached). Pass nextCursor back as
+ * cursor for the following page. indexMeta is null until the index has been
+ * built once (rebuildRedlineIndex).
+ *
+ * filters.assignee narrows the queue to one reviewer: 'me' (the current user -
+ * "My queue"), 'unassigned', or an accountId. filters.overdue keeps Embeds that
+ * have been in their status longer than its SLA threshold; every Embed carries
+ * its aging ({ enteredAt, ageDays, thresholdDays, overdue, overdueDays }).
+ * Search and overdue can't be narrowed by the index, so a page may come back
+ * short while nextCursor still continues.
  *
  * @param {Object} req.payload
- * @param {Object} req.payload.filters - Filter criteria { status: [], pageIds: [], excerptIds: [] }
- * @param {string} req.payload.sortBy - Sort field: "status" | "page" | "source" | "updated"
- * @param {string|null} req.payload.groupBy - Group field: "status" | "page" | "source" | null
- * @returns {Object} { embeds: [...], groups: {...} }
+ * @param {Object} req.payload.filters - Filter criteria { status: [], pageIds: [], excerptIds: [], assignee, overdue, searchTerm }
+ * @param {string} req.payload.sortBy - Sort field: "status" | "page" | "source" | "updated" | "age" (longest in status first)
+ * @param {string|null} req.payload.groupBy - Group field: "status" | "page" | "source" | null (groups this page)
+ * @param {Object|null} [req.payload.cursor] - nextCursor of the previous page
+ * @param {number} [req.payload.limit] - Embeds per page
+ * @returns {Object} { embeds: [...], groups: {...}, nextCursor, indexMeta }
  */
 export async function getRedlineQueue(req) {
-  const { filters = {}, sortBy = 'status', groupBy = null } = req.payload;
+  const { filters = {}, sortBy = 'status', groupBy = null, cursor = null, limit = DEFAULT_QUEUE_PAGE_SIZE } = req.payload;
 
   try {
-    // Get all macro-vars:* keys (Embed configs)
-    // Note: getMany() has a default limit, so we need to paginate through all results
-    let allKeys = [];
-    let cursor = undefined;
-
-    do {
-      const batch = await storage.query()
-        .where('key', startsWith('macro-vars:'))
-        .limit(100)
-        .cursor(cursor)
-        .getMany();
-
-      allKeys = allKeys.concat(batch.results);
-      cursor = batch.nextCursor;
-    } while (cursor);
+    const [workflow, sla, indexMeta] = await Promise.all([
+      loadRedlineWorkflow(),
+      loadRedlineSla(),
+      storage.get(REDLINE_INDEX_META_KEY)
+    ]);
+
+    const { entries, nextCursor } = await queryRedlineIndex({
+      filters,
+      sortBy,
+      cursor,
+      limit,
+      workflow,
+      sla,
+      accountId: req.context?.accountId
+    });
 
-    console.log(`[getRedlineQueue] Fetched ${allKeys.length} total Embed configs`);
+    console.log(`[getRedlineQueue] Loaded ${entries.length} Embed(s) from the redline index${nextCursor ? ' (more to come)' : ''}`);
 
-    // Load all Embed configs
-    const embedConfigs = await Promise.all(
-      allKeys.map(async (item) => {
-        const localId = item.key.replace('macro-vars:', '');
-        const config = item.value;
+    // Previews read each page's variables once; each Source is loaded once per page
+    const scopeCache = new Map();
+    const excerpts = new Map();
+    const loadExcerpt = (excerptId) => {
+      if (!excerpts.has(excerptId)) {
+        excerpts.set(excerptId, storage.get(`excerpt:${excerptId}`));
+      }
+      return excerpts.get(excerptId);
+    };
+    const [configs, pageTitles] = await Promise.all([
+      Promise.all(entries.map(entry => storage.get(`macro-vars:${entry.localId}`))),
+      getPageTitles(entries.map(entry => entry.pageId))
+    ]);
+    const now = new Date();
+
+    const embeds = await Promise.all(
+      entries.map(async (entry, index) => {
+        const { localId } = entry;
+        const config = configs[index];
+
+        // The Embed was deleted without the index noticing
+        if (!config) {
+          await removeFromRedlineIndex(localId);
+          return null;
+        }
 
         // Fetch excerpt details for display
-        let excerptData = null;
-        if (config.excerptId) {
-          const excerptKey = `excerpt:${config.excerptId}`;
-          excerptData = await storage.get(excerptKey);
+        const excerptData = config.excerptId ? await loadExcerpt(config.excerptId) : null;
+        const pageData = config.pageId ? pageTitles.get(String(config.pageId)) : null;
+
+        // Keep the index's sort keys in line with renamed pages and Sources
+        if ((pageData && pageData.title !== entry.pageTitle) || (excerptData && excerptData.name !== entry.sourceName)) {
+          await indexRedlineEmbed(localId, config, { excerpt: excerptData, pageTitle: pageData?.title || entry.pageTitle });
         }
 
-        // Fetch page details via Confluence API (v2)
-        let pageData = null;
-        if (config.pageId) {
+        // Render the preview from the Source content this Embed was last synced to,
+        // with the same pipeline that writes the Embed's cache
+        let renderedContent = null;
+        const previewSource = config.syncedContent || config.cachedContent;
+        if (previewSource) {
           try {
-            const pageResponse = await api.asApp().requestConfluence(
-              route`/wiki/api/v2/pages/${config.pageId}`
-            );
-            pageData = await pageResponse.json();
+            const previewExcerpt = await resolveNestedSources({ ...(excerptData || {}), content: previewSource });
+            renderedContent = renderEmbed(previewExcerpt, await withVariableScopes(config, scopeCache));
           } catch (error) {
-            console.error(`Failed to fetch page ${config.pageId}:`, error);
+            console.error(`[getRedlineQueue] Failed to render preview for ${localId}:`, error);
           }
         }
 
+        // Review discussion counts for the card
+        const reviewThread = summarizeReviewThread(await storage.get(getReviewThreadKey(localId)));
+
         return {
           localId,
           excerptId: config.excerptId,
           sourceName: excerptData?.name || 'Unknown Source',
           sourceCategory: excerptData?.category || 'Uncategorized',
+          sourceVariables: excerptData?.variables || [],
           pageId: config.pageId,
-          pageTitle: pageData?.title || (config.pageId ? `Page ${config.pageId}` : 'Unknown Page'),
-          spaceKey: pageData?.spaceId || 'Unknown',
+          pageTitle: pageData?.title || entry.pageTitle || (config.pageId ? `Page ${config.pageId}` : 'Unknown Page'),
+          spaceKey: config.spaceKey || pageData?.spaceId || 'Unknown',
           variableValues: config.variableValues || {},
           toggleStates: config.toggleStates || {},
           customInsertions: config.customInsertions || [],
           internalNotes: config.internalNotes || [],
+          blockOverrides: config.blockOverrides || [],
           cachedContent: config.cachedContent,
           syncedContent: config.syncedContent,
-          redlineStatus: config.redlineStatus || 'reviewable', // Default to reviewable
+          renderedContent,
+          redlineStatus: config.redlineStatus || INITIAL_REDLINE_STATE,
           approvedContentHash: config.approvedContentHash,
           approvedBy: config.approvedBy,
           approvedAt: config.approvedAt,
+          assignee: config.assignee || null,
+          owner: config.owner || null,
+          assignedBy: config.assignedBy || null,
+          assignedAt: config.assignedAt || null,
+          reviewThread,
+          aging: getRedlineAging(config, sla, now),
           lastSynced: config.lastSynced,
           updatedAt: config.updatedAt
         };
       })
     );
-
-    // Apply filters
-    let filteredEmbeds = embedConfigs;
-
-    if (filters.status && filters.status.length > 0 && filters.status[0] !== 'all') {
-      filteredEmbeds = filteredEmbeds.filter(embed =>
-        filters.status.includes(embed.redlineStatus)
-      );
-    }
-
-    if (filters.pageIds && filters.pageIds.length > 0) {
-      filteredEmbeds = filteredEmbeds.filter(embed =>
-        filters.pageIds.includes(embed.pageId)
-      );
-    }
-
-    if (filters.excerptIds && filters.excerptIds.length > 0) {
-      filteredEmbeds = filteredEmbeds.filter(embed =>
-        filters.excerptIds.includes(embed.excerptId)
-      );
-    }
-
-    // Search filter - matches Page Title or Embed UUID
-    if (filters.searchTerm && filters.searchTerm.trim()) {
-      const searchLower = filters.searchTerm.toLowerCase().trim();
-      filteredEmbeds = filteredEmbeds.filter(embed => {
-        const pageTitleMatch = embed.pageTitle?.toLowerCase().includes(searchLower);
-        const uuidMatch = embed.localId?.toLowerCase().includes(searchLower);
-        return pageTitleMatch || uuidMatch;
-      });
-    }
-
-    // Sort
-    filteredEmbeds.sort((a, b) => {
-      switch (sortBy) {
-        case 'status':
-          // Reviewable is highest priority (appears first)
-          const statusOrder = { 'reviewable': 0, 'needs-revision': 1, 'pre-approved': 2, 'approved': 3 };
-          return statusOrder[a.redlineStatus] - statusOrder[b.redlineStatus];
-
-        case 'page':
-          return a.pageTitle.localeCompare(b.pageTitle);
-
-        case 'source':
-          return a.sourceName.localeCompare(b.sourceName);
-
-        case 'updated':
-          return new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0);
-
-        default:
-          return 0;
-      }
-    });
+    const pageEmbeds = embeds.filter(Boolean);
 
     // Group if requested
     if (groupBy) {
       const groups = {};
 
-      filteredEmbeds.forEach(embed => {
+      pageEmbeds.forEach(embed => {
         let groupKey;
         switch (groupBy) {
           case 'status':
@@ -193,10 +233,10 @@ export async function getRedlineQueue(req) {
         groups[groupKey].push(embed);
       });
 
-      return { embeds: filteredEmbeds, groups };
+      return { embeds: pageEmbeds, groups, nextCursor, indexMeta };
     }
 
-    return { embeds: filteredEmbeds, groups: null };
+    return { embeds: pageEmbeds, groups: null, nextCursor, indexMeta };
 
   } catch (error) {
     console.error('[getRedlineQueue] Error:', error);
@@ -207,22 +247,28 @@ export async function getRedlineQueue(req) {
 /**
  * Set redline status for a single Embed
  *
+ * The change must be allowed by the redline workflow: a transition from the
+ * current state, which the user's role permits, with a comment when the
+ * transition requires one. Refused attempts are recorded in statusHistory.
+ *
  * @param {Object} req.payload
  * @param {string} req.payload.localId - Embed instance ID
  * @param {string} req.payload.status - New status
- * @param {string} req.payload.userId - Confluence accountId of user making change
+ * @param {string} req.payload.userId - Confluence accountId of user making change (the request context takes precedence)
  * @param {string} req.payload.reason - Reason for status change
+ * @param {string} [req.payload.comment] - Reviewer comment (required by some transitions)
  * @returns {Object} { success: true, localId, newStatus }
  */
 export async function setRedlineStatus(req) {
-  const { localId, status, userId, reason = '' } = req.payload;
+  const { localId, status, userId, reason = '', comment = '' } = req.payload;
+  const actorId = req.context?.accountId || userId;
 
   if (!localId) {
     throw new Error('localId is required');
   }
 
-  if (!['reviewable', 'pre-approved', 'needs-revision', 'approved'].includes(status)) {
-    throw new Error(`Invalid status: ${status}`);
+  if (!status) {
+    throw new Error('status is required');
   }
 
   try {
@@ -235,17 +281,53 @@ export async function setRedlineStatus(req) {
     }
 
     const now = new Date().toISOString();
-    const previousStatus = config.redlineStatus || 'reviewable';
+    const previousStatus = config.redlineStatus || INITIAL_REDLINE_STATE;
 
     // Initialize statusHistory if it doesn't exist
     const statusHistory = config.statusHistory || [];
 
+    // Enforce the workflow (category owners are those of the Embed's Source category)
+    const [workflow, excerpt, categoryData] = await Promise.all([
+      loadRedlineWorkflow(),
+      config.excerptId ? storage.get(`excerpt:${config.excerptId}`) : null,
+      getCategoryData()
+    ]);
+    const check = checkRedlineTransition(workflow, {
+      from: previousStatus,
+      to: status,
+      comment,
+      actor: {
+        accountId: actorId,
+        config,
+        category: excerpt?.category,
+        categoryOwners: categoryData.owners
+      }
+    });
+
+    if (!check.allowed) {
+      statusHistory.push({
+        status,
+        previousStatus,
+        changedBy: actorId,
+        changedAt: now,
+        reason,
+        comment,
+        transitionId: check.transition?.id || null,
+        rejected: true,
+        violation: check.violation
+      });
+      await storage.set(configKey, { ...config, statusHistory });
+
+      console.warn(`[setRedlineStatus] Refused ${previousStatus} → ${status} on Embed ${localId} (by ${actorId}): ${check.violation}`);
+      throw new Error(check.violation);
+    }
+
     // If setting to "approved", get contentHash from version system
     let approvedContentHash = config.approvedContentHash;
     let approvedBy = config.approvedBy;
     let approvedAt = config.approvedAt;
 
-    if (status === 'approved') {
+    if (status === APPROVED_REDLINE_STATE) {
       // Query version system for latest Embed version
       const versionsResult = await listVersions(storage, localId);
 
@@ -261,7 +343,7 @@ export async function setRedlineStatus(req) {
         approvedContentHash = null;
       }
 
-      approvedBy = userId;
+      approvedBy = actorId;
       approvedAt = now;
     }
 
@@ -269,9 +351,11 @@ export async function setRedlineStatus(req) {
     statusHistory.push({
       status,
       previousStatus,
-      changedBy: userId,
+      changedBy: actorId,
       changedAt: now,
-      reason
+      reason,
+      comment,
+      transitionId: check.transition.id || null
     });
 
     // Update config
@@ -281,15 +365,16 @@ export async function setRedlineStatus(req) {
       approvedContentHash,
       approvedBy,
       approvedAt,
-      lastChangedBy: userId, // Track who made the current status change
+      lastChangedBy: actorId, // Track who made the current status change
       lastChangedAt: now,
       statusHistory,
       updatedAt: now
     };
 
     await storage.set(configKey, updatedConfig);
+    await indexRedlineEmbed(localId, updatedConfig);
 
-    console.log(`[setRedlineStatus] Embed ${localId}: ${previousStatus} → ${status} (by ${userId})`);
+    console.log(`[setRedlineStatus] Embed ${localId}: ${previousStatus} → ${status} (by ${actorId})`);
 
     return {
       success: true,
@@ -313,10 +398,11 @@ export async function setRedlineStatus(req) {
  * @param {string} req.payload.status - New status for all
  * @param {string} req.payload.userId - Confluence accountId
  * @param {string} req.payload.reason - Reason for bulk change
+ * @param {string} [req.payload.comment] - Reviewer comment (required by some transitions)
  * @returns {Object} { success: true, updated: 10, failed: 2, errors: [...] }
  */
 export async function bulkSetRedlineStatus(req) {
-  const { localIds, status, userId, reason = 'Bulk status update' } = req.payload;
+  const { localIds, status, userId, reason = 'Bulk status update', comment = '' } = req.payload;
 
   if (!localIds || localIds.length === 0) {
     throw new Error('localIds array is required and must not be empty');
@@ -332,7 +418,8 @@ export async function bulkSetRedlineStatus(req) {
   for (const localId of localIds) {
     try {
       await setRedlineStatus({
-        payload: { localId, status, userId, reason }
+        payload: { localId, status, userId, reason, comment },
+        context: req.context
       });
       results.updated++;
     } catch (error) {
@@ -350,6 +437,353 @@ export async function bulkSetRedlineStatus(req) {
   return results;
 }
 
+/**
+ * Get the redline workflow (the default one until an admin saves their own)
+ *
+ * @returns {Object} { states, transitions, updatedAt, updatedBy }
+ */
+export async function getRedlineWorkflow(req) {
+  try {
+    return await loadRedlineWorkflow();
+  } catch (error) {
+    console.error('[getRedlineWorkflow] Error:', error);
+    throw new Error(`Failed to load redline workflow: ${error.message}`);
+  }
+}
+
+/**
+ * Replace the redline workflow
+ *
+ * Embeds in a state that is removed keep it until they are moved on; only
+ * transitions from "any state" apply to them.
+ *
+ * @param {Object} req.payload
+ * @param {Array<Object>} req.payload.states - [{ id, label, appearance }] in queue order
+ * @param {Array<Object>} req.payload.transitions - [{ id?, from, to, label, roles, userIds, requireComment }]
+ * @param {string} req.payload.userId - Confluence accountId
+ * @returns {Object} { success: true, workflow }
+ */
+export async function saveRedlineWorkflow(req) {
+  const { states, transitions, userId } = req.payload;
+
+  const validation = validateRedlineWorkflow({ states, transitions });
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  try {
+    const workflow = {
+      states: validation.workflow.states,
+      transitions: validation.workflow.transitions.map(transition => ({ ...transition, id: transition.id || generateUUID() })),
+      updatedAt: new Date().toISOString(),
+      updatedBy: userId || req.context?.accountId || null
+    };
+    await storage.set('redline-workflow', workflow);
+
+    console.log(`[saveRedlineWorkflow] Saved ${workflow.states.length} state(s), ${workflow.transitions.length} transition(s)`);
+
+    return { success: true, workflow };
+
+  } catch (error) {
+    console.error('[saveRedlineWorkflow] Error:', error);
+    throw new Error(`Failed to save redline workflow: ${error.message}`);
+  }
+}
+
+/**
+ * Assign (or reassign) the reviewer of a single Embed
+ *
+ * Only users the workflow lets hand out the assignee and owner roles may do it
+ * (see canAssignRedlineEmbed); the change is recorded against the calling user.
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.localId - Embed instance ID
+ * @param {string|null} req.payload.assigneeId - Reviewer accountId (null = unassign)
+ * @param {string|null} [req.payload.ownerId] - New owner accountId (omit to keep the current owner)
+ * @param {string} req.payload.reason - Reason for the change
+ * @returns {Object} { success: true, localId, assignee, previousAssignee, owner }
+ */
+export async function setRedlineAssignee(req) {
+  const { localId, assigneeId = null, ownerId, reason = 'Reassigned via redline queue' } = req.payload;
+  const accountId = req.context?.accountId || null;
+
+  if (!localId) {
+    throw new Error('localId is required');
+  }
+
+  try {
+    const configKey = `macro-vars:${localId}`;
+    const config = await storage.get(configKey);
+
+    if (!config) {
+      throw new Error(`Embed config not found for localId: ${localId}`);
+    }
+
+    const [workflow, excerpt, categoryData] = await Promise.all([
+      loadRedlineWorkflow(),
+      config.excerptId ? storage.get(`excerpt:${config.excerptId}`) : null,
+      getCategoryData()
+    ]);
+    const allowed = canAssignRedlineEmbed(workflow, {
+      accountId,
+      config,
+      category: excerpt?.category,
+      categoryOwners: categoryData.owners
+    });
+    if (!allowed) {
+      throw new Error('Only the current assignee or owner, the category owners, or users named in the workflow can reassign this Embed');
+    }
+
+    const previousAssignee = config.assignee || null;
+    const updatedConfig = applyRedlineAssignment(config, {
+      assignee: assigneeId,
+      owner: ownerId,
+      changedBy: accountId,
+      reason,
+      now: new Date().toISOString()
+    });
+
+    await storage.set(configKey, updatedConfig);
+    await indexRedlineEmbed(localId, updatedConfig);
+
+    console.log(`[setRedlineAssignee] Embed ${localId}: ${previousAssignee || 'unassigned'} → ${updatedConfig.assignee || 'unassigned'} (by ${accountId})`);
+
+    return {
+      success: true,
+      localId,
+      assignee: updatedConfig.assignee,
+      previousAssignee,
+      owner: updatedConfig.owner
+    };
+
+  } catch (error) {
+    console.error('[setRedlineAssignee] Error:', error);
+    throw new Error(`Failed to set redline assignee: ${error.message}`);
+  }
+}
+
+/**
+ * Bulk assignment for multiple Embeds
+ *
+ * Either a list of Embeds or queue filters: filters assign every Embed they
+ * match, not just the pages of the queue that were loaded.
+ *
+ * @param {Object} req.payload
+ * @param {string[]} [req.payload.localIds] - Array of Embed instance IDs
+ * @param {Object} [req.payload.filters] - Queue filters (see getRedlineQueue) instead of localIds
+ * @param {string|null} req.payload.assigneeId - Reviewer for all (null = unassign)
+ * @param {string|null} [req.payload.ownerId] - Owner for all (omit to keep each Embed's owner)
+ * @param {string} req.payload.reason - Reason for bulk change
+ * @returns {Object} { success: true, updated: 10, failed: 2, errors: [...], localIds: [assigned Embeds] }
+ */
+export async function bulkSetRedlineAssignee(req) {
+  const { filters, assigneeId = null, ownerId, reason = 'Bulk assignment' } = req.payload;
+  const localIds = filters ? await findRedlineEmbedIds(filters, req.context?.accountId) : req.payload.localIds;
+
+  if (!localIds || localIds.length === 0) {
+    throw new Error(filters ? 'No Embeds match the filters' : 'localIds array is required and must not be empty');
+  }
+
+  const results = {
+    success: true,
+    updated: 0,
+    failed: 0,
+    errors: [],
+    localIds: []
+  };
+
+  for (const localId of localIds) {
+    try {
+      await setRedlineAssignee({
+        payload: { localId, assigneeId, ownerId, reason },
+        context: req.context
+      });
+      results.updated++;
+      results.localIds.push(localId);
+    } catch (error) {
+      results.failed++;
+      results.errors.push({
+        localId,
+        error: error.message
+      });
+      console.error(`[bulkSetRedlineAssignee] Failed for ${localId}:`, error);
+    }
+  }
+
+  console.log(`[bulkSetRedlineAssignee] Completed: ${results.updated} updated, ${results.failed} failed`);
+
+  return results;
+}
+
+/**
+ * Every Embed in the redline index matching the queue filters
+ *
+ * @param {Object} filters - Queue filters (see getRedlineQueue)
+ * @param {string} [accountId] - Current user (for assignee 'me')
+ * @returns {Promise<Array<string>>} localIds
+ */
+async function findRedlineEmbedIds(filters, accountId) {
+  const [workflow, sla] = await Promise.all([loadRedlineWorkflow(), loadRedlineSla()]);
+  const localIds = [];
+  let cursor = null;
+
+  do {
+    const page = await queryRedlineIndex({ filters, sortBy: 'updated', cursor, limit: MAX_QUEUE_PAGE_SIZE, workflow, sla, accountId });
+    page.entries.forEach(entry => localIds.push(entry.localId));
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return localIds;
+}
+
+/**
+ * Queue a full rebuild of the redline index (in the background)
+ *
+ * Needed once for Embeds saved before the index existed, and after imports or
+ * restores. Poll getCheckProgress with the returned progressId.
+ *
+ * @returns {Object} { success, jobId, progressId }
+ */
+export async function rebuildRedlineIndex(req) {
+  try {
+    const { jobId, progressId } = await queueRedlineIndexRebuild(req.context?.accountId);
+    return { success: true, jobId, progressId };
+  } catch (error) {
+    console.error('[rebuildRedlineIndex] Error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get the assignment rules that assign new Embeds
+ *
+ * @returns {Object} { rules: [{ id, type, match, assigneeId, ownerId }], updatedAt, updatedBy }
+ */
+export async function getRedlineAssignmentRules(req) {
+  try {
+    return await loadRedlineAssignmentRules();
+  } catch (error) {
+    console.error('[getRedlineAssignmentRules] Error:', error);
+    throw new Error(`Failed to load assignment rules: ${error.message}`);
+  }
+}
+
+/**
+ * Replace the assignment rules (list order is priority - the first match wins)
+ *
+ * @param {Object} req.payload
+ * @param {Array<Object>} req.payload.rules - [{ id?, type: 'category'|'space', match, assigneeId, ownerId }]
+ * @param {string} req.payload.userId - Confluence accountId
+ * @returns {Object} { success: true, rules }
+ */
+export async function saveRedlineAssignmentRules(req) {
+  const { rules, userId } = req.payload;
+
+  const validation = validateAssignmentRules(rules);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  try {
+    const savedRules = validation.rules.map(rule => ({ ...rule, id: rule.id || generateUUID() }));
+    await storage.set('redline-assignment-rules', {
+      rules: savedRules,
+      updatedAt: new Date().toISOString(),
+      updatedBy: userId || req.context?.accountId || null
+    });
+
+    console.log(`[saveRedlineAssignmentRules] Saved ${savedRules.length} rule(s)`);
+
+    return { success: true, rules: savedRules };
+
+  } catch (error) {
+    console.error('[saveRedlineAssignmentRules] Error:', error);
+    throw new Error(`Failed to save assignment rules: ${error.message}`);
+  }
+}
+
+/**
+ * Assign existing Embeds by the assignment rules
+ *
+ * New Embeds are assigned when first saved; this covers Embeds created before
+ * the rules (or before a rule was added). Only unassigned, not-yet-approved
+ * Embeds are touched unless includeAssigned is set.
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.userId - Confluence accountId
+ * @param {boolean} [req.payload.includeAssigned] - Also reassign Embeds that already have a reviewer
+ * @returns {Object} { success: true, assigned: 12, unmatched: 3 }
+ */
+export async function applyRedlineAssignmentRules(req) {
+  const { userId, includeAssigned = false } = req.payload || {};
+
+  try {
+    const [{ rules }, { owners }] = await Promise.all([loadRedlineAssignmentRules(), getCategoryData()]);
+
+    let allKeys = [];
+    let cursor = undefined;
+
+    do {
+      const batch = await storage.query()
+        .where('key', startsWith('macro-vars:'))
+        .limit(100)
+        .cursor(cursor)
+        .getMany();
+
+      allKeys = allKeys.concat(batch.results);
+      cursor = batch.nextCursor;
+    } while (cursor);
+
+    const categoryByExcerpt = new Map();
+    const now = new Date().toISOString();
+    let assigned = 0;
+    let unmatched = 0;
+
+    for (const { key, value: config } of allKeys) {
+      if (config.redlineStatus === APPROVED_REDLINE_STATE || (config.assignee && !includeAssigned)) {
+        continue;
+      }
+
+      if (config.excerptId && !categoryByExcerpt.has(config.excerptId)) {
+        const excerpt = await storage.get(`excerpt:${config.excerptId}`);
+        categoryByExcerpt.set(config.excerptId, excerpt?.category || null);
+      }
+
+      const { assignee, owner, ruleId } = resolveRedlineAssignment(rules, owners, {
+        category: categoryByExcerpt.get(config.excerptId),
+        spaceKey: config.spaceKey
+      });
+
+      if (!ruleId || !assignee) {
+        unmatched++;
+        continue;
+      }
+      if (assignee === config.assignee) {
+        continue;
+      }
+
+      const updatedConfig = applyRedlineAssignment(config, {
+        assignee,
+        owner,
+        changedBy: userId || 'system',
+        reason: 'Assigned by assignment rule',
+        now
+      });
+      await storage.set(key, updatedConfig);
+      await indexRedlineEmbed(key.replace('macro-vars:', ''), updatedConfig);
+      assigned++;
+    }
+
+    console.log(`[applyRedlineAssignmentRules] ${assigned} assigned, ${unmatched} unmatched`);
+
+    return { success: true, assigned, unmatched };
+
+  } catch (error) {
+    console.error('[applyRedlineAssignmentRules] Error:', error);
+    throw new Error(`Failed to apply assignment rules: ${error.message}`);
+  }
+}
+
 /**
  * Check if an Embed needs re-review (content changed after approval)
  *
@@ -374,7 +808,7 @@ export async function checkRedlineStale(req) {
     }
 
     // If not approved, can't be stale
-    if (config.redlineStatus !== 'approved' || !config.approvedContentHash) {
+    if (config.redlineStatus !== APPROVED_REDLINE_STATE || !config.approvedContentHash) {
       return {
         isStale: false,
         reason: 'Not approved yet',
@@ -481,60 +915,66 @@ export async function getConfluenceUser(req) {
 }
 
 /**
- * Get redline statistics (counts by status)
+ * Get redline statistics (counts by status, and open Embeds per reviewer)
+ *
+ * Counted from the redline index entries (see utils/redline-index-utils.js), so
+ * Embeds not yet indexed are left out until a rebuild.
  *
- * @returns {Object} { reviewable: 10, preApproved: 5, needsRevision: 3, approved: 50, total: 68 }
+ * Open means not yet approved. workload lists every reviewer with open Embeds,
+ * busiest first; mine is the current user's open count. byStatus counts every
+ * workflow state, including ones added by admins; overdue counts Embeds past
+ * their status's SLA threshold.
+ *
+ * @returns {Object} { total: 68, byStatus: { [state]: count }, unassigned: 4, mine: 2,
+ *   workload: [{ accountId, open, needsRevision }], overdue: 3 }
  */
 export async function getRedlineStats(req) {
   try {
-    // Get all macro-vars:* keys with pagination
-    let allKeys = [];
-    let cursor = undefined;
+    // One index entry per Embed - far smaller than the configs themselves
+    const entries = await loadRedlineIndexEntries();
 
-    do {
-      const batch = await storage.query()
-        .where('key', startsWith('macro-vars:'))
-        .limit(100)
-        .cursor(cursor)
-        .getMany();
-
-      allKeys = allKeys.concat(batch.results);
-      cursor = batch.nextCursor;
-    } while (cursor);
-
-    console.log(`[getRedlineStats] Fetched ${allKeys.length} total Embed configs`);
+    console.log(`[getRedlineStats] Read ${entries.length} redline index entries`);
 
     const stats = {
-      reviewable: 0,
-      preApproved: 0,
-      needsRevision: 0,
-      approved: 0,
-      total: 0
+      total: 0,
+      unassigned: 0,
+      mine: 0,
+      workload: [],
+      byStatus: {},
+      overdue: 0
     };
+    const sla = await loadRedlineSla();
+    const now = new Date();
+    const workload = new Map();
 
     // Count by status
-    for (const item of allKeys) {
-      const config = item.value;
-      const status = config.redlineStatus || 'reviewable';
+    for (const entry of entries) {
+      const status = entry.status || INITIAL_REDLINE_STATE;
 
       stats.total++;
+      stats.byStatus[status] = (stats.byStatus[status] || 0) + 1;
+      if (getRedlineEntryAging(entry, sla, now).overdue) {
+        stats.overdue++;
+      }
 
-      switch (status) {
-        case 'reviewable':
-          stats.reviewable++;
-          break;
-        case 'pre-approved':
-          stats.preApproved++;
-          break;
-        case 'needs-revision':
-          stats.needsRevision++;
-          break;
-        case 'approved':
-          stats.approved++;
-          break;
+      // Reviewer workload counts open Embeds only
+      if (status !== APPROVED_REDLINE_STATE) {
+        if (!entry.assignee) {
+          stats.unassigned++;
+        } else {
+          const counts = workload.get(entry.assignee) || { accountId: entry.assignee, open: 0, needsRevision: 0 };
+          counts.open++;
+          if (status === REVISION_REDLINE_STATE) {
+            counts.needsRevision++;
+          }
+          workload.set(entry.assignee, counts);
+        }
       }
     }
 
+    stats.workload = [...workload.values()].sort((a, b) => b.open - a.open);
+    stats.mine = workload.get(req?.context?.accountId)?.open || 0;
+
     return stats;
 
   } catch (error) {
@@ -544,264 +984,209 @@ export async function getRedlineStats(req) {
 }
 
 /**
- * Post inline comment to Confluence page near the Embed macro
+ * All Embed configs (paginated through macro-vars:*)
  *
- * @param {Object} req.payload
- * @param {string} req.payload.localId - Embed instance ID
- * @param {string} req.payload.pageId - Confluence page ID where Embed is located
- * @param {string} req.payload.commentText - Comment text to post
- * @param {string} req.payload.userId - Confluence accountId of user posting comment
- * @returns {Object} { success: true, commentId, location }
+ * @returns {Promise<Array<Object>>} [{ localId, config }]
  */
-export async function postRedlineComment(req) {
-  const { localId, pageId, commentText, userId } = req.payload;
+async function loadAllEmbedConfigs() {
+  let allKeys = [];
+  let cursor = undefined;
+
+  do {
+    const batch = await storage.query()
+      .where('key', startsWith('macro-vars:'))
+      .limit(100)
+      .cursor(cursor)
+      .getMany();
+
+    allKeys = allKeys.concat(batch.results);
+    cursor = batch.nextCursor;
+  } while (cursor);
+
+  return allKeys.map(item => ({ localId: item.key.replace('macro-vars:', ''), config: item.value }));
+}
 
-  if (!localId) {
-    throw new Error('localId is required');
+/**
+ * Get the SLA thresholds (days allowed in each status)
+ *
+ * @returns {Object} { thresholds: { [stateId]: days }, updatedAt, updatedBy }
+ */
+export async function getRedlineSla(req) {
+  try {
+    return await loadRedlineSla();
+  } catch (error) {
+    console.error('[getRedlineSla] Error:', error);
+    throw new Error(`Failed to load SLA thresholds: ${error.message}`);
   }
+}
 
-  if (!pageId) {
-    throw new Error('pageId is required');
-  }
+/**
+ * Replace the SLA thresholds
+ *
+ * @param {Object} req.payload
+ * @param {Object} req.payload.thresholds - { [stateId]: days } (leave a state out for no SLA)
+ * @param {string} req.payload.userId - Confluence accountId
+ * @returns {Object} { success: true, sla }
+ */
+export async function saveRedlineSla(req) {
+  const { thresholds, userId } = req.payload;
 
-  if (!commentText || !commentText.trim()) {
-    throw new Error('commentText is required');
+  const validation = validateRedlineSla(thresholds);
+  if (!validation.valid) {
+    throw new Error(validation.error);
   }
 
   try {
-    // Step 1: Fetch page content (ADF) from Confluence
-    console.log(`[postRedlineComment] Fetching page ${pageId} content...`);
-
-    const pageResponse = await api.asUser().requestConfluence(
-      route`/wiki/api/v2/pages/${pageId}?body-format=atlas_doc_format`
-    );
-
-    if (!pageResponse.ok) {
-      throw new Error(`Failed to fetch page: ${pageResponse.status} ${pageResponse.statusText}`);
-    }
-
-    const pageData = await pageResponse.json();
-
-    // The ADF value is returned as a JSON string, so we need to parse it
-    const adfString = pageData.body?.atlas_doc_format?.value;
-
-    if (!adfString) {
-      throw new Error('Page ADF content not found in API response');
-    }
-
-    let adfContent;
-    try {
-      adfContent = JSON.parse(adfString);
-    } catch (parseError) {
-      throw new Error(`Failed to parse ADF content: ${parseError.message}`);
-    }
-
-    console.log(`[postRedlineComment] Fetched page "${pageData.title}", parsed ADF with ${adfContent?.content?.length || 0} top-level nodes`);
-
-    // Step 2: Navigate ADF to find the Embed macro and nearby text for inline comment
-    const { textSelection, matchCount, matchIndex } = findTextNearEmbed(adfContent, localId);
-
-    if (!textSelection) {
-      throw new Error(`Could not find suitable text near Embed ${localId} for inline comment`);
-    }
-
-    console.log(`[postRedlineComment] Found text selection: "${textSelection}" (match ${matchIndex + 1} of ${matchCount})`);
-
-    // Step 3: Post inline comment to Confluence
-    const commentBody = {
-      pageId,
-      body: {
-        representation: 'storage',
-        value: `<p>${commentText.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</p>`
-      },
-      inlineCommentProperties: {
-        textSelection,
-        textSelectionMatchCount: matchCount,
-        textSelectionMatchIndex: matchIndex
-      }
+    const sla = {
+      thresholds: validation.thresholds,
+      updatedAt: new Date().toISOString(),
+      updatedBy: userId || req.context?.accountId || null
     };
+    await storage.set('redline-sla', sla);
 
-    console.log(`[postRedlineComment] Posting inline comment...`);
-
-    const commentResponse = await api.asUser().requestConfluence(
-      route`/wiki/api/v2/inline-comments`,
-      {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(commentBody)
-      }
-    );
+    console.log(`[saveRedlineSla] Saved thresholds for ${Object.keys(sla.thresholds).length} state(s)`);
 
-    if (!commentResponse.ok) {
-      const errorText = await commentResponse.text();
-      throw new Error(`Failed to post comment: ${commentResponse.status} ${commentResponse.statusText} - ${errorText}`);
-    }
+    return { success: true, sla };
 
-    const commentData = await commentResponse.json();
+  } catch (error) {
+    console.error('[saveRedlineSla] Error:', error);
+    throw new Error(`Failed to save SLA thresholds: ${error.message}`);
+  }
+}
 
-    console.log(`[postRedlineComment] Successfully posted comment ${commentData.id}`);
+/**
+ * Get review metrics: time to approval, Embeds stuck in revision, overdue
+ * counts and per-reviewer weekly throughput
+ *
+ * @param {Object} req.payload
+ * @param {number} [req.payload.weeks] - Weeks of throughput (default 8)
+ * @returns {Object} { success: true, metrics, sla, generatedAt } - metrics as computeRedlineMetrics
+ */
+export async function getRedlineMetrics(req) {
+  const { weeks } = req.payload || {};
+
+  try {
+    const [embeds, sla] = await Promise.all([loadAllEmbedConfigs(), loadRedlineSla()]);
+    const now = new Date();
 
     return {
       success: true,
-      commentId: commentData.id,
-      textSelection,
-      location: `match ${matchIndex + 1} of ${matchCount}`
+      metrics: computeRedlineMetrics(embeds, { sla, weeks, now }),
+      sla,
+      generatedAt: now.toISOString()
     };
 
   } catch (error) {
-    console.error('[postRedlineComment] Error:', error);
-    throw new Error(`Failed to post inline comment: ${error.message}`);
+    console.error('[getRedlineMetrics] Error:', error);
+    throw new Error(`Failed to compute redline metrics: ${error.message}`);
   }
 }
 
 /**
- * Find suitable text near an Embed macro for inline comment targeting
+ * Aging report for leadership: the metrics plus one row per Embed
  *
- * Strategy:
- * 1. Find the Embed macro (extension node) with matching localId
- * 2. Look for the closest heading before the macro
- * 3. If no heading, look for the first text paragraph after the macro
- * 4. Count occurrences of that text in the document
+ * The Admin UI turns it into a CSV (rows) or JSON (everything) download.
  *
- * @param {Object} adfContent - ADF document
- * @param {string} targetLocalId - Embed localId to find
- * @returns {Object} { textSelection, matchCount, matchIndex } or { textSelection: null }
+ * @param {Object} req.payload
+ * @param {number} [req.payload.weeks] - Weeks of throughput (default 8)
+ * @returns {Object} { success: true, generatedAt, sla, metrics, embeds: [{ localId, pageId, spaceKey,
+ *   sourceName, sourceCategory, status, statusLabel, enteredAt, ageDays, thresholdDays, overdue,
+ *   overdueDays, assignee, owner, approvals, lastApprovalDays }] }
  */
-function findTextNearEmbed(adfContent, targetLocalId) {
-  console.log(`[findTextNearEmbed] 🔍 Starting search for Embed with localId: ${targetLocalId}`);
-  console.log(`[findTextNearEmbed] ADF root type: ${adfContent?.type}, has content: ${Array.isArray(adfContent?.content)}`);
-
-  // Track all content nodes in order for finding previous/next elements
-  const contentNodes = [];
-  let embedNodeIndex = -1;
-  let extensionNodesFound = 0;
-
-  // Recursively walk the ADF tree to collect all content nodes
-  function walkAdf(node, depth = 0) {
-    if (!node || typeof node !== 'object') return;
-
-    // Debug: Log all extension nodes we encounter
-    if (node.type === 'extension') {
-      extensionNodesFound++;
-      console.log(`[findTextNearEmbed] Found extension node #${extensionNodesFound}:`, JSON.stringify({
-        type: node.type,
-        extensionType: node.attrs?.extensionType,
-        extensionKey: node.attrs?.extensionKey,
-        parametersStructure: Object.keys(node.attrs?.parameters || {}),
-        fullParameters: node.attrs?.parameters,
-        macroParams: node.attrs?.parameters?.macroParams,
-        localIdPath1: node.attrs?.parameters?.macroParams?.localId?.value,
-        localIdPath2: node.attrs?.parameters?.macroParams?.localId,
-        localIdPath3: node.attrs?.parameters?.localId,
-        allAttrs: node.attrs
-      }, null, 2));
-    }
+export async function exportRedlineReport(req) {
+  const { weeks } = req.payload || {};
 
-    // Check if this is our target Embed macro
-    // The localId can be in multiple locations depending on macro type
-    const nodeLocalId = node.attrs?.localId ||
-                        node.attrs?.parameters?.localId ||
-                        node.attrs?.parameters?.macroParams?.localId?.value;
-
-    if (
-      node.type === 'extension' &&
-      nodeLocalId === targetLocalId
-    ) {
-      console.log(`[findTextNearEmbed] ✅ FOUND TARGET EMBED at node ${contentNodes.length}, localId at: ${
-        node.attrs?.localId ? 'attrs.localId' :
-        node.attrs?.parameters?.localId ? 'attrs.parameters.localId' :
-        'attrs.parameters.macroParams.localId.value'
-      }`);
-      embedNodeIndex = contentNodes.length;
-    }
+  try {
+    const [embeds, sla, workflow] = await Promise.all([loadAllEmbedConfigs(), loadRedlineSla(), loadRedlineWorkflow()]);
+    const now = new Date();
 
-    // Collect this node if it has useful content
-    contentNodes.push(node);
+    // Source names, one read per Source
+    const excerptIds = [...new Set(embeds.map(({ config }) => config.excerptId).filter(Boolean))];
+    const excerpts = new Map(await Promise.all(
+      excerptIds.map(async (excerptId) => [excerptId, await storage.get(`excerpt:${excerptId}`)])
+    ));
 
-    // Recurse into content array
-    if (Array.isArray(node.content)) {
-      node.content.forEach(child => walkAdf(child, depth + 1));
-    }
-  }
-
-  walkAdf(adfContent);
+    const rows = embeds.map(({ localId, config }) => {
+      const aging = getRedlineAging(config, sla, now);
+      const approvals = getApprovalDurations(config);
+      const excerpt = excerpts.get(config.excerptId);
 
-  console.log(`[findTextNearEmbed] 📊 Search complete - found ${extensionNodesFound} extension nodes total, collected ${contentNodes.length} content nodes`);
+      return {
+        localId,
+        pageId: config.pageId || null,
+        spaceKey: config.spaceKey || null,
+        sourceName: excerpt?.name || 'Unknown Source',
+        sourceCategory: excerpt?.category || 'Uncategorized',
+        status: aging.status,
+        statusLabel: getRedlineState(workflow, aging.status).label,
+        enteredAt: aging.enteredAt,
+        ageDays: aging.ageDays,
+        thresholdDays: aging.thresholdDays,
+        overdue: aging.overdue,
+        overdueDays: aging.overdueDays,
+        assignee: config.assignee || null,
+        owner: config.owner || null,
+        approvals: approvals.length,
+        lastApprovalDays: approvals.length ? approvals[approvals.length - 1].days : null
+      };
+    });
 
-  if (embedNodeIndex === -1) {
-    console.warn(`[findTextNearEmbed] ❌ Could not find Embed with localId ${targetLocalId} among ${extensionNodesFound} extension nodes`);
-    return { textSelection: null };
-  }
+    // Most overdue first
+    rows.sort((a, b) => (b.overdueDays - a.overdueDays) || ((b.ageDays || 0) - (a.ageDays || 0)));
 
-  console.log(`[findTextNearEmbed] Found Embed at node index ${embedNodeIndex}`);
+    console.log(`[exportRedlineReport] Report with ${rows.length} Embed(s)`);
 
-  // Strategy 1: Look backwards for the closest heading
-  for (let i = embedNodeIndex - 1; i >= 0; i--) {
-    const node = contentNodes[i];
-    if (node.type === 'heading' && node.content && node.content.length > 0) {
-      const headingText = extractText(node);
-      if (headingText && headingText.trim().length > 0) {
-        const { matchCount, matchIndex } = countTextOccurrences(adfContent, headingText);
-        console.log(`[findTextNearEmbed] Using heading: "${headingText}"`);
-        return { textSelection: headingText, matchCount, matchIndex };
-      }
-    }
-  }
+    return {
+      success: true,
+      generatedAt: now.toISOString(),
+      sla,
+      metrics: computeRedlineMetrics(embeds, { sla, weeks, now }),
+      embeds: rows
+    };
 
-  // Strategy 2: Look forward for the first paragraph with text
-  for (let i = embedNodeIndex + 1; i < contentNodes.length; i++) {
-    const node = contentNodes[i];
-    if (node.type === 'paragraph' && node.content && node.content.length > 0) {
-      const paraText = extractText(node);
-      if (paraText && paraText.trim().length > 0) {
-        const { matchCount, matchIndex } = countTextOccurrences(adfContent, paraText);
-        console.log(`[findTextNearEmbed] Using paragraph: "${paraText}"`);
-        return { textSelection: paraText, matchCount, matchIndex };
-      }
-    }
+  } catch (error) {
+    console.error('[exportRedlineReport] Error:', error);
+    throw new Error(`Failed to export redline report: ${error.message}`);
   }
-
-  console.warn(`[findTextNearEmbed] Could not find suitable text near Embed`);
-  return { textSelection: null };
 }
 
 /**
- * Extract plain text from an ADF node
+ * Post inline comment to Confluence page near the Embed macro
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.localId - Embed instance ID
+ * @param {string} req.payload.pageId - Confluence page ID where Embed is located
+ * @param {string} req.payload.commentText - Comment text to post
+ * @param {string} req.payload.userId - Confluence accountId of user posting comment
+ * @returns {Object} { success: true, commentId, location }
  */
-function extractText(node) {
-  if (!node) return '';
+export async function postRedlineComment(req) {
+  const { localId, pageId, commentText, userId } = req.payload;
 
-  if (node.type === 'text') {
-    return node.text || '';
+  if (!localId) {
+    throw new Error('localId is required');
   }
 
-  if (Array.isArray(node.content)) {
-    return node.content.map(extractText).join('');
+  if (!pageId) {
+    throw new Error('pageId is required');
   }
 
-  return '';
-}
-
-/**
- * Count how many times text appears in ADF document and find the index of the first occurrence
- */
-function countTextOccurrences(adfContent, targetText) {
-  const allText = extractText(adfContent);
-  let count = 0;
-  let matchIndex = 0;
-  let lastIndex = 0;
-
-  // Count occurrences
-  while ((lastIndex = allText.indexOf(targetText, lastIndex)) !== -1) {
-    if (count === 0) {
-      matchIndex = count; // First occurrence
-    }
-    count++;
-    lastIndex += targetText.length;
+  if (!commentText || !commentText.trim()) {
+    throw new Error('commentText is required');
   }
 
-  return { matchCount: count, matchIndex };
+  try {
+    const { commentId, textSelection, location } = await postInlineCommentNearEmbed(localId, pageId, commentText);
+
+    return {
+      success: true,
+      commentId,
+      textSelection,
+      location
+    };
+
+  } catch (error) {
+    console.error('[postRedlineComment] Error:', error);
+    throw new Error(`Failed to post inline comment: ${error.message}`);
+  }
 }
@@ -0,0 +1,205 @@
+/**
+ * Review Thread Resolvers
+ *
+ * App-side review discussions on Embeds: comments, replies, and resolve/reopen,
+ * each comment linked to the Embed version (and contentHash) it was made
+ * against. Storage format in utils/review-thread-utils.js.
+ *
+ * Comments can also be mirrored as a Confluence inline comment next to the
+ * Embed. Mirroring is optional and never blocks the comment: when the page has
+ * no text to anchor to, the comment is still kept here.
+ *
+ * Resolvers return { success, error } like the rest of the Admin API.
+ */
+
+import { storage } from '@forge/api';
+import { generateUUID } from '../utils.js';
+import { listVersions } from '../utils/version-manager.js';
+import { postInlineCommentNearEmbed } from '../utils/confluence-comment-utils.js';
+import {
+  MAX_REVIEW_COMMENT_LENGTH,
+  getReviewThreadKey,
+  buildReviewThreads
+} from '../utils/review-thread-utils.js';
+
+/**
+ * Latest Embed version (versions are stored oldest first)
+ */
+async function getLatestEmbedVersion(localId) {
+  const versionsResult = await listVersions(storage, localId);
+  const versions = versionsResult.success ? versionsResult.versions : [];
+  return versions[versions.length - 1] || null;
+}
+
+/**
+ * Get an Embed's review threads
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.localId - Embed instance ID
+ * @returns {Object} { success, threads: [{ ...comment, replies }], currentContentHash, currentVersionId }
+ */
+export async function getReviewThread(req) {
+  try {
+    const { localId } = req.payload || {};
+    if (!localId) {
+      return { success: false, error: 'localId is required' };
+    }
+
+    const [thread, latestVersion] = await Promise.all([
+      storage.get(getReviewThreadKey(localId)),
+      getLatestEmbedVersion(localId)
+    ]);
+
+    return {
+      success: true,
+      threads: buildReviewThreads(thread?.comments),
+      currentContentHash: latestVersion?.contentHash || null,
+      currentVersionId: latestVersion?.versionId || null
+    };
+  } catch (error) {
+    console.error('[getReviewThread] Error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Add a comment (or a reply) to an Embed's review discussion
+ *
+ * Replying to a resolved thread reopens it.
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.localId - Embed instance ID
+ * @param {string} req.payload.body - Comment text
+ * @param {string} [req.payload.parentId] - Comment being replied to (replies to replies join the same thread)
+ * @param {boolean} [req.payload.mirrorToConfluence] - Also post as a Confluence inline comment
+ * @param {string} [req.payload.pageId] - Page the Embed is on (defaults to the stored one)
+ * @returns {Object} { success, comment, mirror: { commentId } | { error } | null }
+ */
+export async function addReviewComment(req) {
+  try {
+    const { localId, parentId = null, mirrorToConfluence = false } = req.payload || {};
+    const body = typeof req.payload?.body === 'string' ? req.payload.body.trim() : '';
+    const authorId = req.context?.accountId || req.payload?.userId || null;
+
+    if (!localId) {
+      return { success: false, error: 'localId is required' };
+    }
+    if (!body) {
+      return { success: false, error: 'Write a comment first' };
+    }
+    if (body.length > MAX_REVIEW_COMMENT_LENGTH) {
+      return { success: false, error: `Comments can be at most ${MAX_REVIEW_COMMENT_LENGTH} characters` };
+    }
+
+    const config = await storage.get(`macro-vars:${localId}`);
+    if (!config) {
+      return { success: false, error: `Embed config not found for localId: ${localId}` };
+    }
+
+    const key = getReviewThreadKey(localId);
+    const thread = await storage.get(key) || { localId, comments: [] };
+    const now = new Date().toISOString();
+
+    // Replies always hang off the thread's first comment
+    let threadId = null;
+    if (parentId) {
+      const parent = thread.comments.find(comment => comment.id === parentId);
+      if (!parent) {
+        return { success: false, error: 'The comment you replied to no longer exists' };
+      }
+      threadId = parent.parentId || parent.id;
+    }
+
+    const latestVersion = await getLatestEmbedVersion(localId);
+    const comment = {
+      id: generateUUID(),
+      parentId: threadId,
+      authorId,
+      body,
+      createdAt: now,
+      embedVersionId: latestVersion?.versionId || null,
+      contentHash: latestVersion?.contentHash || null,
+      sourceVersion: config.syncedVersion || null,
+      redlineStatus: config.redlineStatus || 'reviewable',
+      resolved: false,
+      resolvedBy: null,
+      resolvedAt: null,
+      confluenceCommentId: null
+    };
+
+    let mirror = null;
+    const pageId = req.payload?.pageId || config.pageId;
+    if (mirrorToConfluence && pageId) {
+      try {
+        const { commentId } = await postInlineCommentNearEmbed(localId, pageId, body);
+        comment.confluenceCommentId = commentId;
+        mirror = { commentId };
+      } catch (mirrorError) {
+        console.warn(`[addReviewComment] Not mirrored to Confluence for ${localId}:`, mirrorError.message);
+        mirror = { error: mirrorError.message };
+      }
+    }
+
+    const comments = thread.comments.map(existing => (
+      threadId && existing.id === threadId && existing.resolved
+        ? { ...existing, resolved: false, resolvedBy: null, resolvedAt: null }
+        : existing
+    ));
+    comments.push(comment);
+
+    await storage.set(key, { localId, comments, updatedAt: now });
+
+    console.log(`[addReviewComment] ${threadId ? 'Reply' : 'Comment'} on Embed ${localId} by ${authorId}`);
+    return { success: true, comment, mirror };
+  } catch (error) {
+    console.error('[addReviewComment] Error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Resolve or reopen a review thread
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.localId - Embed instance ID
+ * @param {string} req.payload.commentId - The thread's first comment
+ * @param {boolean} req.payload.resolved - true to resolve, false to reopen
+ * @returns {Object} { success, comment }
+ */
+export async function setReviewThreadResolved(req) {
+  try {
+    const { localId, commentId, resolved } = req.payload || {};
+    if (!localId || !commentId) {
+      return { success: false, error: 'localId and commentId are required' };
+    }
+
+    const key = getReviewThreadKey(localId);
+    const thread = await storage.get(key);
+    const target = thread?.comments.find(comment => comment.id === commentId);
+    if (!target) {
+      return { success: false, error: 'Thread not found' };
+    }
+    if (target.parentId) {
+      return { success: false, error: 'Only whole threads can be resolved' };
+    }
+
+    const now = new Date().toISOString();
+    const updated = {
+      ...target,
+      resolved: !!resolved,
+      resolvedBy: resolved ? (req.context?.accountId || req.payload?.userId || null) : null,
+      resolvedAt: resolved ? now : null
+    };
+
+    await storage.set(key, {
+      ...thread,
+      comments: thread.comments.map(comment => (comment.id === commentId ? updated : comment)),
+      updatedAt: now
+    });
+
+    return { success: true, comment: updated };
+  } catch (error) {
+    console.error('[setReviewThreadResolved] Error:', error);
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Saved Search Resolvers
+ *
+ * Named Source searches for the Admin page sidebar. Each user keeps their own:
+ *
+ *   saved-searches:{accountId} = {
+ *     searches: [{ id, name, query, categoryFilter, sortBy, createdAt, updatedAt }]
+ *   }
+ *
+ * query uses the search language of utils/source-search-utils.js
+ * (tag:, category:, usage:, is:). Saving under an existing name (case-insensitive)
+ * replaces that search.
+ *
+ * Resolvers return { success, error } like the rest of the Admin API.
+ */
+
+import { storage } from '@forge/api';
+import { generateUUID } from '../utils.js';
+
+// Longest saved search name accepted
+const MAX_SEARCH_NAME_LENGTH = 60;
+
+// Saved searches kept per user
+const MAX_SAVED_SEARCHES = 50;
+
+/**
+ * Storage key of a user's saved searches
+ *
+ * @param {string} accountId - Confluence accountId
+ * @returns {string} Storage key
+ */
+function getSavedSearchesKey(accountId) {
+  return `saved-searches:${accountId}`;
+}
+
+/**
+ * Get the current user's saved searches
+ *
+ * @returns {Object} { success, searches } (in save order)
+ */
+export async function getSavedSearches(req) {
+  try {
+    const accountId = req.context?.accountId;
+    if (!accountId) {
+      return { success: false, error: 'No user context', searches: [] };
+    }
+
+    const data = await storage.get(getSavedSearchesKey(accountId));
+    return { success: true, searches: data?.searches || [] };
+  } catch (error) {
+    console.error('[getSavedSearches] Error:', error);
+    return { success: false, error: error.message, searches: [] };
+  }
+}
+
+/**
+ * Save a named search for the current user
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.name - Search name
+ * @param {string} req.payload.query - Search query
+ * @param {string} [req.payload.categoryFilter] - Category filter ('All' = none)
+ * @param {string} [req.payload.sortBy] - Sort order
+ * @returns {Object} { success, search, searches }
+ */
+export async function saveSavedSearch(req) {
+  try {
+    const accountId = req.context?.accountId;
+    if (!accountId) {
+      return { success: false, error: 'No user context' };
+    }
+
+    const name = typeof req.payload?.name === 'string' ? req.payload.name.trim() : '';
+    const query = typeof req.payload?.query === 'string' ? req.payload.query.trim() : '';
+    const categoryFilter = req.payload?.categoryFilter || 'All';
+    if (!name) {
+      return { success: false, error: 'Give the search a name' };
+    }
+    if (name.length > MAX_SEARCH_NAME_LENGTH) {
+      return { success: false, error: `Search names can be at most ${MAX_SEARCH_NAME_LENGTH} characters` };
+    }
+    if (!query && categoryFilter === 'All') {
+      return { success: false, error: 'Nothing to save - enter a search or choose a category first' };
+    }
+
+    const key = getSavedSearchesKey(accountId);
+    const data = await storage.get(key) || { searches: [] };
+    const now = new Date().toISOString();
+    const existing = data.searches.find(search => search.name.toLowerCase() === name.toLowerCase());
+
+    if (!existing && data.searches.length >= MAX_SAVED_SEARCHES) {
+      return { success: false, error: `You can keep at most ${MAX_SAVED_SEARCHES} saved searches - delete one first` };
+    }
+
+    const search = {
+      id: existing?.id || generateUUID(),
+      name,
+      query,
+      categoryFilter,
+      sortBy: req.payload?.sortBy || null,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+    const searches = existing
+      ? data.searches.map(s => (s.id === existing.id ? search : s))
+      : [...data.searches, search];
+
+    await storage.set(key, { searches });
+
+    console.log(`[saveSavedSearch] ${existing ? 'Updated' : 'Saved'} search "${name}" for ${accountId}`);
+    return { success: true, search, searches };
+  } catch (error) {
+    console.error('[saveSavedSearch] Error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete one of the current user's saved searches
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.searchId - Saved search ID
+ * @returns {Object} { success, searches }
+ */
+export async function deleteSavedSearch(req) {
+  try {
+    const accountId = req.context?.accountId;
+    if (!accountId) {
+      return { success: false, error: 'No user context' };
+    }
+
+    const key = getSavedSearchesKey(accountId);
+    const data = await storage.get(key) || { searches: [] };
+    const searches = data.searches.filter(search => search.id !== req.payload?.searchId);
+
+    await storage.set(key, { searches });
+    return { success: true, searches };
+  } catch (error) {
+    console.error('[deleteSavedSearch] Error:', error);
+    return { success: false, error: error.message };
+  }
+}
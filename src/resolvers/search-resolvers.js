@@ -0,0 +1,138 @@
+/**
+ * Full-Text Search Resolvers
+ *
+ * Admin page search over Source content, variables and documentation links,
+ * and optionally over Embed variable values and Free Write paragraphs. Reads
+ * the search index (utils/search-index-utils.js), which Source and Embed saves
+ * keep current; rebuildSearchIndex rewrites it from scratch in the background.
+ *
+ * Resolvers return { success, error } like the rest of the Admin API.
+ */
+
+import { storage } from '@forge/api';
+import {
+  SEARCH_INDEX_META_KEY,
+  getSearchDocKey,
+  loadSearchDocs,
+  parseSearchTerms,
+  matchSearchDoc,
+  queueSearchIndexRebuild
+} from '../utils/search-index-utils.js';
+
+// Most Sources returned by one search
+const MAX_RESULT_GROUPS = 100;
+
+/**
+ * Search Sources (and optionally Embeds)
+ *
+ * Every term must occur in the Source's (or Embed's) searched fields; quoted
+ * phrases match as a whole. Results are grouped by Source: the Source's own
+ * matching fields, then its matching Embeds.
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.query - Search terms
+ * @param {boolean} [req.payload.includeEmbeds] - Also search Embed values and Free Write paragraphs
+ * @param {Array<string>} [req.payload.kinds] - Field kinds to search (SEARCH_FIELD_KINDS; default all)
+ * @returns {Object} { success, terms, results: [{ excerptId, name, category, matches, embeds: [{ localId, pageId,
+ *   pageTitle, spaceKey, matches }] }], sourceMatchCount, embedMatchCount, truncated, indexMeta }
+ */
+export async function searchContent(req) {
+  try {
+    const { query, includeEmbeds = false } = req.payload || {};
+    const kinds = Array.isArray(req.payload?.kinds) && req.payload.kinds.length > 0 ? req.payload.kinds : null;
+    const terms = parseSearchTerms(query);
+    if (terms.length === 0) {
+      return { success: false, error: 'Enter something to search for' };
+    }
+
+    const [index, indexMeta, sourceDocs, embedDocs] = await Promise.all([
+      storage.get('excerpt-index'),
+      storage.get(SEARCH_INDEX_META_KEY),
+      loadSearchDocs(getSearchDocKey('source', '')),
+      includeEmbeds ? loadSearchDocs(getSearchDocKey('embed', '')) : []
+    ]);
+
+    // Only live Sources count (the index may briefly hold a deleted one)
+    const sourcesById = new Map((index?.excerpts || []).map(entry => [entry.id, entry]));
+    const groups = new Map();
+    const getGroup = (excerptId) => {
+      if (!groups.has(excerptId)) {
+        const entry = sourcesById.get(excerptId);
+        groups.set(excerptId, { excerptId, name: entry.name, category: entry.category || 'General', matches: [], embeds: [] });
+      }
+      return groups.get(excerptId);
+    };
+
+    let sourceMatchCount = 0;
+    for (const { value: doc } of sourceDocs) {
+      const matches = sourcesById.has(doc.excerptId) ? matchSearchDoc(doc, terms, kinds) : null;
+      if (matches) {
+        getGroup(doc.excerptId).matches = matches;
+        sourceMatchCount++;
+      }
+    }
+
+    let embedMatchCount = 0;
+    for (const { value: doc } of embedDocs) {
+      const matches = sourcesById.has(doc.excerptId) ? matchSearchDoc(doc, terms, kinds) : null;
+      if (matches) {
+        getGroup(doc.excerptId).embeds.push({
+          localId: doc.localId,
+          pageId: doc.pageId,
+          pageTitle: null,
+          spaceKey: doc.spaceKey,
+          matches
+        });
+        embedMatchCount++;
+      }
+    }
+
+    // Most hits first
+    const sorted = [...groups.values()].sort((a, b) =>
+      (b.matches.length + b.embeds.length) - (a.matches.length + a.embeds.length) || a.name.localeCompare(b.name)
+    );
+    const results = sorted.slice(0, MAX_RESULT_GROUPS);
+
+    // Page titles come from the usage data of each Source with matching Embeds
+    await Promise.all(results.filter(group => group.embeds.length > 0).map(async (group) => {
+      const usageData = await storage.get(`usage:${group.excerptId}`);
+      const titles = new Map((usageData?.references || []).map(ref => [ref.localId, ref.pageTitle]));
+      group.embeds.forEach(embed => {
+        embed.pageTitle = titles.get(embed.localId) || null;
+      });
+    }));
+
+    console.log(`[searchContent] "${query}": ${sourceMatchCount} Source(s), ${embedMatchCount} Embed(s)`);
+
+    return {
+      success: true,
+      terms,
+      results,
+      sourceMatchCount,
+      embedMatchCount,
+      truncated: sorted.length > results.length,
+      indexMeta: indexMeta || null
+    };
+  } catch (error) {
+    console.error('[searchContent] Error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Rebuild the search index in the background
+ *
+ * Needed once after upgrading (Sources saved earlier aren't indexed yet) and
+ * after imports or restores, which bypass the normal save paths.
+ *
+ * @returns {Object} { success, jobId, progressId } - poll getCheckProgress with progressId
+ */
+export async function rebuildSearchIndex(req) {
+  try {
+    const { jobId, progressId } = await queueSearchIndexRebuild(req.context?.accountId);
+    return { success: true, jobId, progressId };
+  } catch (error) {
+    console.error('[rebuildSearchIndex] Error:', error);
+    return { success: false, error: error.message };
+  }
+}
@@ -9,11 +9,24 @@
 
 import { storage, startsWith } from '@forge/api';
 import api, { route } from '@forge/api';
-import { detectVariables, detectToggles } from '../utils/detection-utils.js';
+import { detectVariables, detectToggles, detectConditions } from '../utils/detection-utils.js';
 import { saveVersion } from '../utils/version-manager.js';
 import { validateExcerptData, safeStorageSet } from '../utils/storage-validator.js';
-import { updateExcerptIndex } from '../utils/storage-utils.js';
+import { updateExcerptIndex, getCategoryData, loadVariableScopes, withVariableScopes, getEmbedDictionaryChangedAt } from '../utils/storage-utils.js';
+import { mergeVariableScopes, mergePageScope, buildInheritedScopes } from '../utils/page-variable-utils.js';
+import { getDictionaryChangedAt } from '../utils/variable-dictionary-utils.js';
+import {
+  DEFAULT_CATEGORIES,
+  normalizeCategoryPath,
+  isInCategory,
+  renameCategoryPath,
+  withCategoryAncestors
+} from '../utils/category-utils.js';
 import { calculateContentHash } from '../utils/hash-utils.js';
+import { resolveNestedSources } from '../utils/nested-source-utils.js';
+import { renderEmbed } from '../utils/embed-renderer.js';
+import { getSourceDraft, getDraftContent } from '../utils/source-draft-utils.js';
+import { getUpdateSeverity } from '../utils/source-release-utils.js';
 
 /**
  * Detect variables from content (for UI to call)
@@ -22,16 +35,20 @@ export async function detectVariablesFromContent(req) {
   try {
     const { content } = req.payload;
     const variables = detectVariables(content);
+    // Conditions report which variables each {{#if}} block depends on
+    const conditions = detectConditions(content);
     return {
       success: true,
-      variables
+      variables,
+      conditions
     };
   } catch (error) {
     console.error('Error detecting variables:', error);
     return {
       success: false,
       error: error.message,
-      variables: []
+      variables: [],
+      conditions: []
     };
   }
 }
@@ -79,11 +96,25 @@ export async function getExcerpts() {
 
 /**
  * Get specific excerpt by ID
+ *
+ * Pass resolveIncludes: true when the excerpt is fetched for rendering (Embeds):
+ * nested {{include:Name}} Sources are expanded and their variables/toggles merged.
+ * Editors must leave it off so they see and save the markers themselves.
+ *
+ * Editors pass includeDraft: true instead - for a staged Source with an unpublished
+ * draft they get the draft's content (hasDraft: true), so they keep editing it.
  */
 export async function getExcerpt(req) {
   try {
-    const excerptId = req.payload.excerptId;
-    const excerpt = await storage.get(`excerpt:${excerptId}`);
+    const { excerptId, resolveIncludes, includeDraft } = req.payload;
+    let storedExcerpt = await storage.get(`excerpt:${excerptId}`);
+    if (includeDraft && storedExcerpt?.requiresPublish) {
+      const draft = await getSourceDraft(excerptId);
+      if (draft) {
+        storedExcerpt = { ...getDraftContent(draft), tags: storedExcerpt.tags, requiresPublish: true, hasDraft: true };
+      }
+    }
+    const excerpt = resolveIncludes ? await resolveNestedSources(storedExcerpt) : storedExcerpt;
 
     // DEBUG: Log what we're returning
     console.log('[getExcerpt] Returning excerpt:', {
@@ -154,6 +185,18 @@ export async function getPageTitle(req) {
 
 /**
  * Get variable values and toggle states for a specific macro instance
+ *
+ * variableValues / toggleStates are the Embed's own values (what the Embed edits
+ * and saves). Page-level variables and the space/global variable dictionaries
+ * are merged in separately:
+ * - effectiveVariableValues / effectiveToggleStates: what the Embed renders with
+ * - valueSources: { variables, toggles } mapping each set name to 'embed', 'page',
+ *   'space' or 'global'
+ * - inheritedScopes: [{ source, variableValues, toggleStates }] nearest first,
+ *   for merging again client-side as the Embed's own values are edited
+ * - pageVariableValues / pageToggleStates: the page's own values
+ * - dictionaryChangedAt: when the dictionary values the Embed renders last
+ *   changed (newer than lastSynced = update available)
  */
 export async function getVariableValues(req) {
   try {
@@ -161,15 +204,46 @@ export async function getVariableValues(req) {
     const key = `macro-vars:${localId}`;
     const data = await storage.get(key) || {};
 
+    const pageId = req.payload.pageId || data.pageId || req.context?.extension?.content?.id;
+    const spaceKey = data.spaceKey || req.context?.extension?.space?.key || null;
+    const variableScopes = await loadVariableScopes({ pageId, spaceKey });
+    const inheritedScopes = buildInheritedScopes(variableScopes);
+    const effective = mergeVariableScopes(data, inheritedScopes);
+
+    // Only Embeds in reach of a dictionary need their Source's variable list
+    let dictionaryChangedAt = null;
+    const { pageScope, spaceDictionary, globalDictionary } = variableScopes;
+    if ((spaceDictionary || globalDictionary) && data.excerptId) {
+      // Nested Sources' variables render too
+      const excerpt = await resolveNestedSources(await storage.get(`excerpt:${data.excerptId}`));
+      dictionaryChangedAt = getDictionaryChangedAt(
+        excerpt?.variables,
+        mergePageScope(pageScope, data).variableValues,
+        spaceDictionary,
+        globalDictionary
+      );
+    }
+
     return {
       success: true,
       variableValues: data.variableValues || {},
       toggleStates: data.toggleStates || {},
+      effectiveVariableValues: effective.variableValues,
+      effectiveToggleStates: effective.toggleStates,
+      valueSources: effective.valueSources,
+      pageId: pageId || null,
+      spaceKey,
+      inheritedScopes,
+      pageVariableValues: pageScope?.variableValues || {},
+      pageToggleStates: pageScope?.toggleStates || {},
+      dictionaryChangedAt,
       customInsertions: data.customInsertions || [],
       internalNotes: data.internalNotes || [],
+      blockOverrides: data.blockOverrides || [],  // Embed's own wording for single Source paragraphs
       lastSynced: data.lastSynced,
       excerptId: data.excerptId,
       syncedContentHash: data.syncedContentHash,  // Hash for staleness detection
+      syncedVersion: data.syncedVersion || null,  // Source version at last sync (update severity)
       syncedContent: data.syncedContent,  // Old Source ADF for diff comparison
       redlineStatus: data.redlineStatus || 'reviewable',  // Redline approval status
       approvedBy: data.approvedBy,
@@ -334,36 +408,41 @@ export async function getCachedContent(req) {
 }
 
 /**
- * Get saved categories
+ * Get saved categories (full paths, see utils/category-utils.js) and their owners
  */
 export async function getCategories() {
   try {
-    const data = await storage.get('categories');
-
-    // Return stored categories or default list if not found
-    const defaultCategories = ['General', 'Pricing', 'Technical', 'Legal', 'Marketing'];
-    const categories = data?.categories || defaultCategories;
+    const { categories, owners } = await getCategoryData();
 
     return {
       success: true,
-      categories
+      categories,
+      owners
     };
   } catch (error) {
     console.error('Error getting categories:', error);
     return {
       success: false,
       error: error.message,
-      categories: ['General', 'Pricing', 'Technical', 'Legal', 'Marketing']
+      categories: DEFAULT_CATEGORIES,
+      owners: {}
     };
   }
 }
 
 /**
  * Save categories to storage
+ *
+ * Missing parent categories are added. Owners are replaced when sent and kept
+ * otherwise; owners of categories no longer in the list are dropped.
+ *
+ * @param {Object} req.payload
+ * @param {Array<string>} req.payload.categories - Category paths in display order
+ * @param {Object} [req.payload.owners] - { path: [accountId] }
  */
 export async function saveCategories(req) {
   try {
-    const { categories } = req.payload;
+    const { categories, owners } = req.payload;
 
     if (!Array.isArray(categories)) {
       return {
@@ -372,10 +451,22 @@ export async function saveCategories(req) {
       };
     }
 
-    await storage.set('categories', { categories });
+    const cleanCategories = withCategoryAncestors(categories);
+    const sourceOwners = owners && typeof owners === 'object' ? owners : (await getCategoryData()).owners;
+    const cleanOwners = {};
+    for (const [path, accountIds] of Object.entries(sourceOwners)) {
+      const normalizedPath = normalizeCategoryPath(path);
+      if (cleanCategories.includes(normalizedPath) && Array.isArray(accountIds) && accountIds.length > 0) {
+        cleanOwners[normalizedPath] = [...new Set(accountIds)];
+      }
+    }
+
+    await storage.set('categories', { categories: cleanCategories, owners: cleanOwners });
 
     return {
-      success: true
+      success: true,
+      categories: cleanCategories,
+      owners: cleanOwners
     };
   } catch (error) {
     console.error('Error saving categories:', error);
@@ -386,8 +477,109 @@ export async function saveCategories(req) {
   }
 }
 
+/**
+ * Rename or move a category, cascading to its subcategories, their owners,
+ * every Source filed under it (excerpt:{id}, its draft, and the excerpt-index)
+ * and the redline assignment rules that match it
+ *
+ * Moving is renaming to a path under another parent. The Sources' contentHash
+ * and updatedAt are left alone so re-filing a Source doesn't offer its Embeds
+ * an update.
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.from - Category path to rename
+ * @param {string} req.payload.to - New path ("Technical > Integrations" moves it under Technical)
+ * @returns {Object} { success, categories, owners, updatedSources, updatedRules }
+ */
+export async function renameCategory(req) {
+  try {
+    const from = normalizeCategoryPath(req.payload?.from);
+    const to = normalizeCategoryPath(req.payload?.to);
+
+    if (!from || !to) {
+      return { success: false, error: 'Both the current and the new category path are required' };
+    }
+    if (from === to) {
+      return { success: false, error: 'The new path is the same as the current one' };
+    }
+    if (isInCategory(to, from)) {
+      return { success: false, error: `Can't move "${from}" inside itself` };
+    }
+
+    const { categories, owners } = await getCategoryData();
+    if (!categories.includes(from)) {
+      return { success: false, error: `Category "${from}" not found` };
+    }
+    if (categories.includes(to)) {
+      return { success: false, error: `Category "${to}" already exists` };
+    }
+
+    const renamedCategories = withCategoryAncestors(categories.map(path => renameCategoryPath(path, from, to)));
+    const renamedOwners = Object.fromEntries(
+      Object.entries(owners).map(([path, accountIds]) => [renameCategoryPath(path, from, to), accountIds])
+    );
+    await storage.set('categories', { categories: renamedCategories, owners: renamedOwners });
+
+    // Re-file the Sources (and their unpublished drafts)
+    const index = await storage.get('excerpt-index') || { excerpts: [] };
+    let updatedSources = 0;
+    for (const entry of index.excerpts) {
+      if (!isInCategory(entry.category || 'General', from)) {
+        continue;
+      }
+      const newCategory = renameCategoryPath(entry.category || 'General', from, to);
+      const [excerpt, draft] = await Promise.all([
+        storage.get(`excerpt:${entry.id}`),
+        storage.get(`excerpt-draft:${entry.id}`)
+      ]);
+      if (excerpt) {
+        await storage.set(`excerpt:${entry.id}`, { ...excerpt, category: newCategory });
+      }
+      if (draft && isInCategory(draft.category || 'General', from)) {
+        await storage.set(`excerpt-draft:${entry.id}`, { ...draft, category: renameCategoryPath(draft.category || 'General', from, to) });
+      }
+      entry.category = newCategory;
+      updatedSources++;
+    }
+    await storage.set('excerpt-index', index);
+
+    // Category assignment rules would otherwise stop matching the re-filed Sources
+    const assignmentRules = await storage.get('redline-assignment-rules');
+    let updatedRules = 0;
+    if (assignmentRules?.rules?.length > 0) {
+      const rules = assignmentRules.rules.map(rule => {
+        if (rule.type !== 'category' || !isInCategory(rule.match, from)) {
+          return rule;
+        }
+        updatedRules++;
+        return { ...rule, match: renameCategoryPath(rule.match, from, to) };
+      });
+      if (updatedRules > 0) {
+        await storage.set('redline-assignment-rules', {
+          ...assignmentRules,
+          rules,
+          updatedAt: new Date().toISOString(),
+          updatedBy: req.context?.accountId || null
+        });
+      }
+    }
+
+    console.log(`[renameCategory] "${from}" → "${to}" (${updatedSources} Source(s) re-filed, ${updatedRules} assignment rule(s) updated)`);
+
+    return { success: true, categories: renamedCategories, owners: renamedOwners, updatedSources, updatedRules };
+  } catch (error) {
+    console.error('Error renaming category:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Check if Embed instance has stale content (update available)
+ * Also reports the update's severity from the Source and synced versions.
+ *
+ * An Embed is also stale when a variable dictionary value it renders changed
+ * after it last synced; staleReason says which ('source' wins when both). A
+ * dictionary change alone is no Source release, so it has no severity.
  */
 export async function checkVersionStaleness(req) {
   try {
@@ -406,11 +598,22 @@ export async function checkVersionStaleness(req) {
     const excerptLastModified = new Date(excerpt.updatedAt);
     const includeLastSynced = macroVars?.lastSynced ? new Date(macroVars.lastSynced) : new Date(0);
 
-    const isStale = excerptLastModified > includeLastSynced;
+    const sourceStale = excerptLastModified > includeLastSynced;
+    const dictionaryChangedAt = await getEmbedDictionaryChangedAt(
+      { ...macroVars, spaceKey: macroVars?.spaceKey || req.context?.extension?.space?.key || null },
+      excerpt
+    );
+    const dictionaryStale = !!dictionaryChangedAt && new Date(dictionaryChangedAt) > includeLastSynced;
+    const isStale = sourceStale || dictionaryStale;
 
     return {
       success: true,
       isStale,
+      staleReason: sourceStale ? 'source' : (dictionaryStale ? 'dictionary' : null),
+      dictionaryChangedAt,
+      updateSeverity: getUpdateSeverity(excerpt.version, macroVars?.syncedVersion, sourceStale),
+      sourceVersion: excerpt.version || null,
+      syncedVersion: macroVars?.syncedVersion || null,
       excerptLastModified: excerpt.updatedAt,
       includeLastSynced: macroVars?.lastSynced || null
     };
@@ -505,23 +708,37 @@ export async function getMultiExcerptScanProgress(req) {
 }
 
 /**
- * Save cached rendered content for an Embed instance
+ * Render and cache content for an Embed instance, marking it synced to the latest Source
+ *
+ * Rendering happens here (renderEmbed) from the stored Embed config rather than
+ * trusting client-rendered content, so the cache always matches what readers see.
+ * The rendered content is returned for immediate display.
  */
 export async function saveCachedContent(req) {
   try {
-    const { localId, renderedContent, syncedContentHash, syncedContent } = req.payload;
+    const { localId, excerptId } = req.payload;
 
     const key = `macro-cache:${localId}`;
+    const varsKey = `macro-vars:${localId}`;
     const now = new Date().toISOString();
 
+    const existingVars = await storage.get(varsKey) || {};
+    const sourceId = excerptId || existingVars.excerptId;
+    const excerpt = await resolveNestedSources(await storage.get(`excerpt:${sourceId}`));
+    if (!excerpt) {
+      return { success: false, error: 'Excerpt not found' };
+    }
+
+    // Embeds saved before variable dictionaries existed pick up their space here
+    existingVars.spaceKey = existingVars.spaceKey || req.context?.extension?.space?.key || null;
+
+    const renderedContent = renderEmbed(excerpt, await withVariableScopes(existingVars));
     await storage.set(key, {
       content: renderedContent,
       cachedAt: now
     });
 
     // Also update lastSynced, syncedContentHash, and syncedContent in macro-vars
-    const varsKey = `macro-vars:${localId}`;
-    const existingVars = await storage.get(varsKey) || {};
 
     // Phase 3: Create version snapshot before modification (v7.17.0)
     if (existingVars && Object.keys(existingVars).length > 0) {
@@ -546,20 +763,14 @@ export async function saveCachedContent(req) {
     }
 
     existingVars.lastSynced = now;
-
-    // Update syncedContentHash if provided (for Update button in view mode)
-    if (syncedContentHash !== undefined) {
-      existingVars.syncedContentHash = syncedContentHash;
-    }
-
-    // Update syncedContent if provided (for diff view)
-    if (syncedContent !== undefined) {
-      existingVars.syncedContent = syncedContent;
-    }
+    // Hash for the Update button in view mode, content for the diff view
+    existingVars.syncedContentHash = excerpt.contentHash || null;
+    existingVars.syncedVersion = excerpt.version || null;
+    existingVars.syncedContent = excerpt.content || null;
 
     await storage.set(varsKey, existingVars);
 
-    return { success: true, cachedAt: now };
+    return { success: true, cachedAt: now, renderedContent };
   } catch (error) {
     console.error('Error saving cached content:', error);
     return { success: false, error: error.message };
@@ -12,15 +12,22 @@
  * - trackExcerptUsage: Record when/where an excerpt is used on a page
  * - removeExcerptUsage: Remove usage tracking when Include is deleted
  * - getExcerptUsage: Get all pages using a specific excerpt
+ * - getAllUsageCounts / getAllStaleCounts: Per-Source page and stale Embed counts
  *
  * Push Update Functions:
  * - pushUpdatesToAll: Push excerpt updates to all Include instances
  * - pushUpdatesToPage: Push updates to specific page's Include instances
  */
 
-import { storage } from '@forge/api';
+import { storage, startsWith } from '@forge/api';
 import api, { route } from '@forge/api';
 import { findHeadingBeforeMacro } from '../utils/adf-utils.js';
+import { findIncludingSources, resolveNestedSources } from '../utils/nested-source-utils.js';
+import { renderEmbed } from '../utils/embed-renderer.js';
+import { withVariableScopes, getEmbedDictionaryChangedAt } from '../utils/storage-utils.js';
+
+// Sources read at once, and Embed configs per query page, when counting stale Embeds
+const STALE_COUNT_BATCH_SIZE = 100;
 
 /**
  * Track excerpt usage - record when/where an excerpt is used
@@ -162,6 +169,10 @@ export async function removeExcerptUsage(req) {
 
 /**
  * Get excerpt usage - which Embed macros reference this excerpt
+ *
+ * Usage is transitive: Embeds of Sources that include this one via
+ * {{include:Name}} (at any depth) are reported too, with includedVia set to
+ * the chain of Source names from the embedded Source down to this one.
  */
 export async function getExcerptUsage(req) {
   try {
@@ -170,14 +181,25 @@ export async function getExcerptUsage(req) {
     const usageKey = `usage:${excerptId}`;
     const usageData = await storage.get(usageKey) || { references: [] };
 
-    // Enrich usage data with lastSynced timestamp from macro-vars
-    const enrichedReferences = await Promise.all(usageData.references.map(async (ref) => {
+    // Add Embeds that reach this Source through nested Sources
+    const includingSources = await findIncludingSources(excerptId);
+    const indirectReferences = (await Promise.all(includingSources.map(async ({ excerpt, includedVia }) => {
+      const includerUsage = await storage.get(`usage:${excerpt.id}`) || { references: [] };
+      return includerUsage.references.map(ref => ({ ...ref, includedVia }));
+    }))).flat();
+
+    const allReferences = [...usageData.references, ...indirectReferences];
+
+    // Enrich usage data with lastSynced timestamp and synced Source version from macro-vars
+    const enrichedReferences = await Promise.all(allReferences.map(async (ref) => {
       const varsKey = `macro-vars:${ref.localId}`;
       const macroVars = await storage.get(varsKey);
 
       return {
         ...ref,
-        lastSynced: macroVars?.lastSynced || null
+        lastSynced: macroVars?.lastSynced || null,
+        // Embeds reached through a nested Source synced the embedded Source's version, not this one's
+        syncedVersion: ref.includedVia ? null : (macroVars?.syncedVersion || null)
       };
     }));
 
@@ -308,61 +330,168 @@ export async function getAllUsageCounts() {
   }
 }
 
+/**
+ * Get the number of stale Embeds of every excerpt (for the is:stale search filter)
+ *
+ * An Embed is stale when the Source, or a dictionary value it renders, changed
+ * after it last synced - the same test as checkVersionStaleness. Heavier than
+ * getAllUsageCounts (reads every Embed's macro-vars), so the Admin page only
+ * asks for it when a search uses is:stale. Sources are read in batches and Embed
+ * configs a query page at a time, never all at once.
+ *
+ * @returns {Object} { success, staleCounts: { excerptId: count } }
+ */
+export async function getAllStaleCounts() {
+  try {
+    const index = await storage.get('excerpt-index') || { excerpts: [] };
+    const scopeCache = new Map();
+    const staleCounts = {};
+    // excerptId -> { excerpt, localIds: Embeds in its usage }
+    const sources = new Map();
+
+    for (let start = 0; start < index.excerpts.length; start += STALE_COUNT_BATCH_SIZE) {
+      await Promise.all(index.excerpts.slice(start, start + STALE_COUNT_BATCH_SIZE).map(async (indexEntry) => {
+        const [excerpt, usageData] = await Promise.all([
+          storage.get(`excerpt:${indexEntry.id}`),
+          storage.get(`usage:${indexEntry.id}`)
+        ]);
+        staleCounts[indexEntry.id] = 0;
+        if (excerpt) {
+          sources.set(indexEntry.id, {
+            excerpt,
+            localIds: new Set((usageData?.references || []).map(ref => ref.localId))
+          });
+        }
+      }));
+    }
+
+    let cursor = undefined;
+    do {
+      const batch = await storage.query()
+        .where('key', startsWith('macro-vars:'))
+        .limit(STALE_COUNT_BATCH_SIZE)
+        .cursor(cursor)
+        .getMany();
+
+      for (const { key, value: macroVars } of batch.results) {
+        const source = sources.get(macroVars?.excerptId);
+        if (!source || !source.localIds.has(key.slice('macro-vars:'.length))) {
+          continue;
+        }
+        const lastSynced = macroVars.lastSynced ? new Date(macroVars.lastSynced) : new Date(0);
+        let isStale = new Date(source.excerpt.updatedAt) > lastSynced;
+        if (!isStale) {
+          const dictionaryChangedAt = await getEmbedDictionaryChangedAt(macroVars, source.excerpt, scopeCache);
+          isStale = !!dictionaryChangedAt && new Date(dictionaryChangedAt) > lastSynced;
+        }
+        if (isStale) {
+          staleCounts[macroVars.excerptId]++;
+        }
+      }
+      cursor = batch.nextCursor;
+    } while (cursor);
+
+    return {
+      success: true,
+      staleCounts
+    };
+  } catch (error) {
+    console.error('Error getting all stale counts:', error);
+    return {
+      success: false,
+      error: error.message,
+      staleCounts: {}
+    };
+  }
+}
+
+/**
+ * Re-render one Embed instance from the latest Source and refresh its cache
+ *
+ * Marks the instance as synced to the current Source content, the same as an
+ * Embed save does, so it is no longer reported as stale.
+ *
+ * @param {Object} excerpt - Source with nested Sources already resolved
+ * @param {string} localId - Embed instance ID
+ * @param {string|null} spaceKey - Space from the usage reference, for Embeds saved without one
+ * @param {Map} scopeCache - Optional cache shared across calls (see loadVariableScopes)
+ * @returns {Promise<void>}
+ */
+async function refreshEmbedCache(excerpt, localId, spaceKey = null, scopeCache = null) {
+  const varsKey = `macro-vars:${localId}`;
+  const macroVars = await storage.get(varsKey) || {};
+  const now = new Date().toISOString();
+
+  if (!macroVars.spaceKey && spaceKey && spaceKey !== 'Unknown Space') {
+    macroVars.spaceKey = spaceKey;
+  }
+
+  await storage.set(`macro-cache:${localId}`, {
+    content: renderEmbed(excerpt, await withVariableScopes(macroVars, scopeCache)),
+    cachedAt: now
+  });
+
+  macroVars.lastSynced = now;
+  macroVars.syncedContentHash = excerpt.contentHash || null;
+  macroVars.syncedVersion = excerpt.version || null;
+  macroVars.syncedContent = excerpt.content || null;
+  await storage.set(varsKey, macroVars);
+}
+
+/**
+ * Embeds to refresh when pushing a Source, each with the Source it renders
+ *
+ * Embeds of Sources that include this one via {{include:Name}} (at any depth)
+ * render their own Source, so they are refreshed from that, nested Sources
+ * expanded.
+ *
+ * @param {string} excerptId - Pushed Source
+ * @param {Object} excerpt - That Source with nested Sources resolved
+ * @returns {Promise<Array<Object>>} [{ excerpt, usage }] - usage is a usage:{id} reference
+ */
+async function collectPushTargets(excerptId, excerpt) {
+  const usageData = await storage.get(`usage:${excerptId}`) || { references: [] };
+  const targets = usageData.references.map(usage => ({ excerpt, usage }));
+
+  const includingSources = await findIncludingSources(excerptId);
+  for (const { excerpt: includer } of includingSources) {
+    const includerUsage = await storage.get(`usage:${includer.id}`) || { references: [] };
+    if (includerUsage.references.length === 0) {
+      continue;
+    }
+    const resolvedIncluder = await resolveNestedSources(includer);
+    targets.push(...includerUsage.references.map(usage => ({ excerpt: resolvedIncluder, usage })));
+  }
+
+  return targets;
+}
+
 /**
  * Push updates to all Include instances of a specific excerpt
- * Admin function to force-refresh all instances
+ * Admin function to force-refresh all instances (including Embeds that reach
+ * it through nested Sources)
  */
 export async function pushUpdatesToAll(req) {
   try {
     const { excerptId } = req.payload;
 
-    // Get the excerpt
-    const excerpt = await storage.get(`excerpt:${excerptId}`);
+    // Get the excerpt (with nested Sources expanded, as the Embeds render it)
+    const excerpt = await resolveNestedSources(await storage.get(`excerpt:${excerptId}`));
     if (!excerpt) {
       return { success: false, error: 'Excerpt not found' };
     }
 
-    // Get all usages of this excerpt
-    const usageKey = `excerpt-usage:${excerptId}`;
-    const usageData = await storage.get(usageKey) || { usages: [] };
+    // Get all usages of this excerpt, direct and through nested Sources
+    const targets = await collectPushTargets(excerptId, excerpt);
 
     let updated = 0;
     let errors = [];
+    const scopeCache = new Map();
 
     // For each usage, regenerate and cache content
-    for (const usage of usageData.usages) {
+    for (const { excerpt: renderedExcerpt, usage } of targets) {
       try {
-        const localId = usage.localId;
-
-        // Get variable values for this instance
-        const varsKey = `macro-vars:${localId}`;
-        const macroVars = await storage.get(varsKey) || {};
-        const variableValues = macroVars.variableValues || {};
-        const toggleStates = macroVars.toggleStates || {};
-        const customInsertions = macroVars.customInsertions || [];
-
-        // Generate fresh content
-        let freshContent = excerpt.content;
-        const isAdf = freshContent && typeof freshContent === 'object' && freshContent.type === 'doc';
-
-        if (isAdf) {
-          // Apply filters/substitutions (we'll need to import helper functions)
-          // For now, just cache the base content - frontend will handle processing
-          freshContent = excerpt.content;
-        }
-
-        // Cache the updated content
-        const now = new Date().toISOString();
-        const cacheKey = `macro-cache:${localId}`;
-        await storage.set(cacheKey, {
-          content: freshContent,
-          cachedAt: now
-        });
-
-        // Update lastSynced timestamp
-        macroVars.lastSynced = now;
-        await storage.set(varsKey, macroVars);
-
+        await refreshEmbedCache(renderedExcerpt, usage.localId, usage.spaceKey, scopeCache);
         updated++;
       } catch (err) {
         console.error(`Error updating localId ${usage.localId}:`, err);
@@ -373,7 +502,7 @@ export async function pushUpdatesToAll(req) {
     return {
       success: true,
       updated,
-      total: usageData.usages.length,
+      total: targets.length,
       errors: errors.length > 0 ? errors : undefined
     };
   } catch (error) {
@@ -384,56 +513,34 @@ export async function pushUpdatesToAll(req) {
 
 /**
  * Push updates to a specific page's Include instances
- * Admin function to force-refresh instances on one page
+ * Admin function to force-refresh instances on one page (including Embeds that
+ * reach the excerpt through nested Sources)
  */
 export async function pushUpdatesToPage(req) {
   try {
     const { excerptId, pageId } = req.payload;
 
-    // Get the excerpt
-    const excerpt = await storage.get(`excerpt:${excerptId}`);
+    // Get the excerpt (with nested Sources expanded, as the Embeds render it)
+    const excerpt = await resolveNestedSources(await storage.get(`excerpt:${excerptId}`));
     if (!excerpt) {
       return { success: false, error: 'Excerpt not found' };
     }
 
-    // Get all usages of this excerpt
-    const usageKey = `excerpt-usage:${excerptId}`;
-    const usageData = await storage.get(usageKey) || { usages: [] };
-
-    // Filter to only usages on the specified page
-    const pageUsages = usageData.usages.filter(u => u.pageId === pageId);
+    // Get all usages of this excerpt, filtered to the specified page
+    const pageTargets = (await collectPushTargets(excerptId, excerpt)).filter(({ usage }) => usage.pageId === pageId);
 
-    if (pageUsages.length === 0) {
+    if (pageTargets.length === 0) {
       return { success: false, error: 'No instances found on this page' };
     }
 
     let updated = 0;
     let errors = [];
+    const scopeCache = new Map();
 
     // Update each instance on this page
-    for (const usage of pageUsages) {
+    for (const { excerpt: renderedExcerpt, usage } of pageTargets) {
       try {
-        const localId = usage.localId;
-
-        // Get variable values for this instance
-        const varsKey = `macro-vars:${localId}`;
-        const macroVars = await storage.get(varsKey) || {};
-
-        // Generate fresh content
-        let freshContent = excerpt.content;
-
-        // Cache the updated content
-        const now = new Date().toISOString();
-        const cacheKey = `macro-cache:${localId}`;
-        await storage.set(cacheKey, {
-          content: freshContent,
-          cachedAt: now
-        });
-
-        // Update lastSynced timestamp
-        macroVars.lastSynced = now;
-        await storage.set(varsKey, macroVars);
-
+        await refreshEmbedCache(renderedExcerpt, usage.localId, usage.spaceKey, scopeCache);
         updated++;
       } catch (err) {
         console.error(`Error updating localId ${usage.localId}:`, err);
@@ -444,7 +551,7 @@ export async function pushUpdatesToPage(req) {
     return {
       success: true,
       updated,
-      total: pageUsages.length,
+      total: pageTargets.length,
       errors: errors.length > 0 ? errors : undefined
     };
   } catch (error) {
@@ -0,0 +1,131 @@
+/**
+ * Variable Dictionary Resolvers
+ *
+ * Admin-managed global and per-space variable dictionaries: values any Source
+ * variable with a matching name resolves from when the Embed and its page leave
+ * it empty (see utils/variable-dictionary-utils.js for the storage shape).
+ * Changing a value marks the Embeds rendering it stale (checkVersionStaleness,
+ * checkAllIncludes); they pick the new value up on their next sync.
+ *
+ * Resolvers return { success, error } like the rest of the Admin API.
+ */
+
+import { storage, startsWith } from '@forge/api';
+import { getVariableDictionary } from '../utils/storage-utils.js';
+import {
+  DICTIONARY_SCOPE,
+  getDictionaryKey,
+  validateDictionaryEntries,
+  updateDictionary
+} from '../utils/variable-dictionary-utils.js';
+import { logSuccess, logFailure } from '../utils/forge-logger.js';
+
+/**
+ * Dictionary as sent to the Admin page (entries as a name-sorted list)
+ *
+ * @param {Object|null} dictionary - Stored dictionary
+ * @param {string} scope - DICTIONARY_SCOPE value
+ * @param {string|null} spaceKey - Space key (space scope only)
+ * @returns {Object} { scope, spaceKey, updatedAt, updatedBy, entries: [{ name, value, description, updatedAt, updatedBy }] }
+ */
+function toClientDictionary(dictionary, scope, spaceKey = null) {
+  return {
+    scope,
+    spaceKey,
+    updatedAt: dictionary?.updatedAt || null,
+    updatedBy: dictionary?.updatedBy || null,
+    entries: Object.entries(dictionary?.entries || {})
+      .map(([name, entry]) => ({ name, ...entry }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  };
+}
+
+/**
+ * Get the global dictionary and every space dictionary
+ *
+ * @returns {Object} { success, global, spaces } - see toClientDictionary
+ */
+export async function getVariableDictionaries() {
+  try {
+    const spacePrefix = getDictionaryKey(DICTIONARY_SCOPE.SPACE, '');
+    let spaceResults = [];
+    let cursor = undefined;
+
+    do {
+      const batch = await storage.query()
+        .where('key', startsWith(spacePrefix))
+        .limit(100)
+        .cursor(cursor)
+        .getMany();
+
+      spaceResults = spaceResults.concat(batch.results);
+      cursor = batch.nextCursor;
+    } while (cursor);
+
+    const globalDictionary = await getVariableDictionary(DICTIONARY_SCOPE.GLOBAL);
+
+    return {
+      success: true,
+      global: toClientDictionary(globalDictionary, DICTIONARY_SCOPE.GLOBAL),
+      spaces: spaceResults
+        .map(({ key, value }) => toClientDictionary(value, DICTIONARY_SCOPE.SPACE, key.slice(spacePrefix.length)))
+        .sort((a, b) => a.spaceKey.localeCompare(b.spaceKey))
+    };
+  } catch (error) {
+    logFailure('getVariableDictionaries', 'Error loading variable dictionaries', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Replace the entries of one dictionary
+ *
+ * Entries whose value is unchanged keep their timestamps, so only Embeds
+ * rendering a changed (or removed) value go stale.
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.scope - 'global' or 'space'
+ * @param {string} req.payload.spaceKey - Space key (space scope only)
+ * @param {Array<Object>} req.payload.entries - [{ name, value, description }]
+ * @returns {Object} { success, dictionary, changedNames } or { success: false, error }
+ */
+export async function saveVariableDictionary(req) {
+  try {
+    const { scope, entries } = req.payload || {};
+    const spaceKey = typeof req.payload?.spaceKey === 'string' ? req.payload.spaceKey.trim() : '';
+
+    if (scope !== DICTIONARY_SCOPE.GLOBAL && scope !== DICTIONARY_SCOPE.SPACE) {
+      return { success: false, error: 'scope must be "global" or "space"' };
+    }
+    if (scope === DICTIONARY_SCOPE.SPACE && !spaceKey) {
+      return { success: false, error: 'spaceKey is required for a space dictionary' };
+    }
+
+    const errors = validateDictionaryEntries(entries);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('; ') };
+    }
+
+    const existing = await getVariableDictionary(scope, spaceKey);
+    const { dictionary, changedNames } = updateDictionary(existing, {
+      scope,
+      spaceKey,
+      entries,
+      accountId: req.context?.accountId || null,
+      now: new Date().toISOString()
+    });
+
+    await storage.set(getDictionaryKey(scope, spaceKey), dictionary);
+
+    const label = scope === DICTIONARY_SCOPE.SPACE ? `space ${spaceKey}` : 'global';
+    logSuccess('saveVariableDictionary', `Saved ${label} dictionary (${changedNames.length} changed)`);
+    return {
+      success: true,
+      dictionary: toClientDictionary(dictionary, scope, dictionary.spaceKey),
+      changedNames
+    };
+  } catch (error) {
+    logFailure('saveVariableDictionary', 'Error saving variable dictionary', error);
+    return { success: false, error: error.message };
+  }
+}
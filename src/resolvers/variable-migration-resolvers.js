@@ -0,0 +1,37 @@
+/**
+ * Variable Migration Resolvers
+ *
+ * Support for rename-aware Source saves. The Source config pairs removed
+ * variables/toggles with added ones (utils/variable-rename-utils.js) and asks
+ * the author to confirm; this resolver tells it how many Embeds would lose a
+ * value without the rename. The migration itself is queued by saveExcerpt /
+ * publishSourceDraft and runs in workers/variableMigrationWorker.js.
+ *
+ * Resolvers return { success, error } like the rest of the excerpt API.
+ */
+
+import { countEmbedsWithValues } from '../utils/variable-migration-utils.js';
+
+/**
+ * Count the Embeds holding values for variables/toggles that are being renamed
+ *
+ * @param {Object} req.payload
+ * @param {string} req.payload.excerptId - Source ID
+ * @param {Array<string>} req.payload.variableNames - Old variable names
+ * @param {Array<string>} req.payload.toggleNames - Old toggle names
+ * @returns {Object} { success, totalEmbeds, variableCounts: { name: n }, toggleCounts: { name: n } }
+ */
+export async function getVariableRenameImpact(req) {
+  try {
+    const { excerptId, variableNames = [], toggleNames = [] } = req.payload;
+    if (!excerptId) {
+      return { success: false, error: 'excerptId is required' };
+    }
+
+    const impact = await countEmbedsWithValues(excerptId, variableNames, toggleNames);
+    return { success: true, ...impact };
+  } catch (error) {
+    console.error('[getVariableRenameImpact] Error:', error);
+    return { success: false, error: error.message };
+  }
+}
@@ -18,8 +18,11 @@ import api, { route } from '@forge/api';
 import { Queue } from '@forge/events';
 import { generateUUID } from '../utils.js';
 import { extractTextFromAdf } from '../utils/adf-utils.js';
+import { parsePlaceholder } from '../utils/variable-filters.js';
 import { saveVersion, restoreVersion } from '../utils/version-manager.js';
 import { validateExcerptData } from '../utils/storage-validator.js';
+import { removeFromSearchIndex } from '../utils/search-index-utils.js';
+import { removeFromRedlineIndex } from '../utils/redline-index-utils.js';
 
 /**
  * Helper function to extract variables from ADF content
@@ -33,7 +36,8 @@ function extractVariablesFromAdf(adfDoc) {
     if (node.text) {
       let match;
       while ((match = variableRegex.exec(node.text)) !== null) {
-        variables.add(match[1]);
+        // Strip pipe filters ({{name | upper}} -> name)
+        variables.add(parsePlaceholder(match[1]).name);
       }
     }
 
@@ -773,6 +777,10 @@ export async function checkAllIncludes_OLD_SYNC_VERSION(req) {
         // Remove macro-cache entry
         await storage.delete(`macro-cache:${orphaned.localId}`);
 
+        // Remove from the full-text search and redline indexes
+        await removeFromSearchIndex('embed', orphaned.localId);
+        await removeFromRedlineIndex(orphaned.localId);
+
         orphanedEntriesRemoved++;
         console.log(`🗑️ Removed orphaned entries for localId ${orphaned.localId}`);
       } catch (err) {
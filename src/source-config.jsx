@@ -12,6 +12,7 @@ import ForgeReconciler, {
   Button,
   SectionMessage,
   Toggle,
+  TextArea,
   Tabs,
   Tab,
   TabList,
@@ -28,6 +29,14 @@ import { invoke, view, router } from '@forge/bridge';
 import { QueryClient, QueryClientProvider, useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useCategoriesQuery } from './hooks/admin-hooks';
 import { StableTextfield } from './components/common/StableTextfield';
+import { VariableMetadataFields } from './components/common/VariableMetadataFields';
+import { SourcePublishingPanel } from './components/common/SourcePublishingPanel';
+import { ReleaseTypeSelect } from './components/common/ReleaseTypeSelect';
+import { VariableRenamePanel } from './components/common/VariableRenamePanel';
+import { SourceImpactPanel } from './components/common/SourceImpactPanel';
+import { addFormulaReferencedVariables } from './utils/variable-resolution';
+import { SUPPORTED_FILTERS } from './utils/variable-filters';
+import { INITIAL_SOURCE_VERSION } from './utils/source-release-utils';
 
 // Create a client
 const queryClient = new QueryClient({
@@ -46,7 +55,8 @@ const useExcerptQuery = (excerptId, enabled) => {
     queryKey: ['excerpt', excerptId],
     queryFn: async () => {
       console.log('[source-config] Fetching excerpt:', excerptId);
-      const result = await invoke('getExcerpt', { excerptId });
+      // Staged Sources: keep editing the unpublished draft, not the live version
+      const result = await invoke('getExcerpt', { excerptId, includeDraft: true });
 
       console.log('[source-config] getExcerpt result:', {
         success: result?.success,
@@ -97,7 +107,7 @@ const useSaveExcerptMutation = () => {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: async ({ excerptName, category, content, excerptId, variableMetadata, toggleMetadata, documentationLinks, sourcePageId, sourcePageTitle, sourceSpaceKey, sourceLocalId }) => {
+    mutationFn: async ({ excerptName, category, content, excerptId, variableMetadata, toggleMetadata, documentationLinks, sourcePageId, sourcePageTitle, sourceSpaceKey, sourceLocalId, requiresPublish, changeSummary, releaseType, renames }) => {
       try {
         const result = await invoke('saveExcerpt', {
           excerptName,
@@ -110,7 +120,11 @@ const useSaveExcerptMutation = () => {
           sourcePageId,
           sourcePageTitle,
           sourceSpaceKey,
-          sourceLocalId
+          sourceLocalId,
+          requiresPublish,
+          changeSummary,
+          releaseType,
+          renames
         });
 
         // Backend returns excerpt data directly (no success wrapper)
@@ -150,10 +164,16 @@ const App = () => {
   const [category, setCategory] = useState('General');
   const [dataLoaded, setDataLoaded] = useState(false); // Track when data has been loaded for key generation
   const [detectedVariables, setDetectedVariables] = useState([]);
+  const [detectedConditions, setDetectedConditions] = useState([]);
   const [variableMetadata, setVariableMetadata] = useState({});
   const [detectedToggles, setDetectedToggles] = useState([]);
   const [toggleMetadata, setToggleMetadata] = useState({});
   const [documentationLinks, setDocumentationLinks] = useState([]);
+  const [requiresPublish, setRequiresPublish] = useState(false);
+  const [changeSummary, setChangeSummary] = useState('');
+  const [releaseType, setReleaseType] = useState(null); // null = suggested from the changes
+  const [sourceVersion, setSourceVersion] = useState(null);
+  const [renames, setRenames] = useState({ variables: {}, toggles: {} }); // { variables: { old: new }, toggles: { old: new } }
 
   // Form state for adding new documentation links
   const [newLinkAnchor, setNewLinkAnchor] = useState('');
@@ -290,7 +310,11 @@ const App = () => {
               metadata[v.name] = {
                 description: v.description || '',
                 example: v.example || '',
-                required: v.required || false
+                required: v.required || false,
+                type: v.type || 'text',
+                allowedValues: v.allowedValues || [],
+                defaultValue: v.defaultValue || '',
+                formula: v.formula || ''
               };
             });
             setVariableMetadata(metadata);
@@ -312,6 +336,10 @@ const App = () => {
             setDocumentationLinks(excerptData.documentationLinks);
           }
 
+          // Load staged publishing setting
+          setRequiresPublish(!!excerptData.requiresPublish);
+          setSourceVersion(excerptData.version || null);
+
           hasLoadedDataRef.current = true;
         }
       } else {
@@ -327,6 +355,7 @@ const App = () => {
   useEffect(() => {
     if (!macroBody) {
       setDetectedVariables([]);
+      setDetectedConditions([]);
       return;
     }
 
@@ -336,6 +365,7 @@ const App = () => {
         const result = await invoke('detectVariablesFromContent', { content: macroBody });
         if (result.success) {
           setDetectedVariables(result.variables);
+          setDetectedConditions(result.conditions || []);
         }
       } catch (err) {
         console.error('Error detecting variables:', err);
@@ -373,19 +403,36 @@ const App = () => {
     value: cat
   }));
 
+  // Variables detected in the content, plus any only referenced by computed-variable formulas
+  const configurableVariables = addFormulaReferencedVariables(detectedVariables, variableMetadata);
+
   const onSubmit = async (formData) => {
+    // Renamed variables/toggles keep the metadata configured under their old name
+    const renamedFrom = (renameMap) => Object.fromEntries(
+      Object.entries(renameMap || {}).filter(([, newName]) => newName).map(([oldName, newName]) => [newName, oldName])
+    );
+    const variablesRenamedFrom = renamedFrom(renames.variables);
+    const togglesRenamedFrom = renamedFrom(renames.toggles);
+
     // Merge detected variables with their metadata
-    const variablesWithMetadata = detectedVariables.map(v => ({
-      name: v.name,
-      description: variableMetadata[v.name]?.description || '',
-      example: variableMetadata[v.name]?.example || '',
-      required: variableMetadata[v.name]?.required || false
-    }));
+    const variablesWithMetadata = configurableVariables.map(v => {
+      const metadata = variableMetadata[v.name] || variableMetadata[variablesRenamedFrom[v.name]];
+      return {
+        name: v.name,
+        description: metadata?.description || '',
+        example: metadata?.example || '',
+        required: metadata?.required || false,
+        type: metadata?.type || 'text',
+        allowedValues: metadata?.allowedValues || [],
+        defaultValue: metadata?.defaultValue || '',
+        formula: metadata?.formula || ''
+      };
+    });
 
     // Merge detected toggles with their metadata
     const togglesWithMetadata = detectedToggles.map(t => ({
       name: t.name,
-      description: toggleMetadata[t.name]?.description || ''
+      description: (toggleMetadata[t.name] || toggleMetadata[togglesRenamedFrom[t.name]])?.description || ''
     }));
 
     // Extract page info from context (router.getContext() not available in config context)
@@ -406,7 +453,11 @@ const App = () => {
         sourcePageId,
         sourcePageTitle,
         sourceSpaceKey,
-        sourceLocalId: context?.localId
+        sourceLocalId: context?.localId,
+        requiresPublish,
+        changeSummary,
+        releaseType,
+        renames
       }, {
         onSuccess: async (result) => {
           try {
@@ -472,6 +523,8 @@ const App = () => {
           <Tab>Variables</Tab>
           <Tab>Toggles</Tab>
           <Tab>Documentation</Tab>
+          <Tab>Publishing</Tab>
+          <Tab>Impact</Tab>
         </TabList>
 
         <TabPanel>
@@ -499,6 +552,32 @@ const App = () => {
               onChange={(e) => setCategory(e.value)}
             />
 
+            {excerptId && (
+              <Fragment>
+                <Label labelFor={getFieldId('changeSummary')}>
+                  Change summary (optional)
+                </Label>
+                <TextArea
+                  id={getFieldId('changeSummary')}
+                  value={changeSummary}
+                  placeholder="What changed and why? Shown in version history and to Embed authors when they update."
+                  onChange={(e) => setChangeSummary(e.target.value)}
+                />
+
+                <Label labelFor={getFieldId('releaseType')}>
+                  Release type
+                </Label>
+                <ReleaseTypeSelect
+                  id={getFieldId('releaseType')}
+                  value={releaseType}
+                  onChange={setReleaseType}
+                />
+                <Text size="small" color="color.text.subtlest">
+                  Current version: {sourceVersion || INITIAL_SOURCE_VERSION}. Mark a release as Major when Embed owners need to act (e.g. variables removed or renamed).
+                </Text>
+              </Fragment>
+            )}
+
             <Text>{' '}</Text>
             <SectionMessage appearance="discovery">
               <Text>Edit macro body in the page editor. Use {'{{variable}}'} syntax for variables. IMPORTANT: After clicking "Save", you MUST publish the page to persist changes!</Text>
@@ -508,6 +587,18 @@ const App = () => {
 
         <TabPanel>
           <FormSection>
+            {(detectedVariables.length > 0 || !macroBody) && (
+              <VariableRenamePanel
+                excerptId={excerptId}
+                previousVariables={excerptData?.variables}
+                previousToggles={excerptData?.toggles}
+                currentVariables={configurableVariables}
+                currentToggles={detectedToggles}
+                renames={renames}
+                onRenamesChange={setRenames}
+              />
+            )}
+
             {macroBody && detectedVariables.length === 0 && (
               <Text><Em>Checking for variables...</Em></Text>
             )}
@@ -516,9 +607,9 @@ const App = () => {
               <Text>No variables detected. Add {'{{variable}}'} syntax to your macro body to create variables.</Text>
             )}
 
-            {detectedVariables.length > 0 && (
+            {configurableVariables.length > 0 && (
               <Fragment>
-                {detectedVariables.map((variable) => (
+                {configurableVariables.map((variable) => (
                   <Fragment key={variable.name}>
                     <Text>{' '}</Text>
                     <Inline space="space.300" alignBlock="center" spread="space-between">
@@ -575,14 +666,49 @@ const App = () => {
                         });
                       }}
                     />
+                    <VariableMetadataFields
+                      variableName={variable.name}
+                      metadata={variableMetadata[variable.name]}
+                      detectedVariable={variable}
+                      isDisabled={isLoadingExcerpt}
+                      stableKeyPrefix="source"
+                      onChange={(patch) => {
+                        setVariableMetadata({
+                          ...variableMetadata,
+                          [variable.name]: {
+                            ...variableMetadata[variable.name],
+                            ...patch
+                          }
+                        });
+                      }}
+                    />
                   </Fragment>
                 ))}
               </Fragment>
             )}
 
+            {detectedConditions.length > 0 && (
+              <Fragment>
+                <Text>{' '}</Text>
+                <Text><Strong>Conditional blocks</Strong></Text>
+                {detectedConditions.map((condition) => (
+                  <Text key={condition.expression}>
+                    <Code>{`{{#if ${condition.expression}}}`}</Code>
+                    {condition.error
+                      ? ` - invalid condition (${condition.error}); this block will always be hidden`
+                      : ` - depends on ${condition.variables.join(', ') || 'no variables'}`}
+                  </Text>
+                ))}
+              </Fragment>
+            )}
+
             <Text>{' '}</Text>
             <SectionMessage appearance="discovery">
               <Text>Edit macro body in the page editor. Use {'{{variable}}'} syntax for variables. IMPORTANT: After clicking "Save", you MUST publish the page to persist changes!</Text>
+              <Text>Show content conditionally with {'{{#if platform == "Ticketmaster"}}...{{else}}...{{/if}}'}.</Text>
+              <Text>Reuse another Source's content with {'{{include:Source Name}}'} - it stays in sync with that Source and uses this Embed's variable values.</Text>
+              <Text>Repeat content per list item with {'{{#each venues}}{{name}} ({{city}}){{/each}}'} - put the markers in a table row to repeat the row.</Text>
+              <Text>Format values with filters: {'{{name | upper}}'}, {'{{launchDate | date:"MMM D, YYYY"}}'}, {'{{fee | currency:USD}}'}, {'{{notes | default:"TBD"}}'}. Available filters: {SUPPORTED_FILTERS.join(', ')}.</Text>
             </SectionMessage>
           </FormSection>
         </TabPanel>
@@ -740,6 +866,29 @@ const App = () => {
             </SectionMessage>
           </FormSection>
         </TabPanel>
+
+        {/* Publishing Tab - staged draft/review/publish */}
+        <TabPanel>
+          <FormSection>
+            <SourcePublishingPanel
+              excerptId={excerptId}
+              requiresPublish={requiresPublish}
+              onRequiresPublishChange={setRequiresPublish}
+              isDisabled={isLoadingExcerpt}
+            />
+          </FormSection>
+        </TabPanel>
+
+        {/* Impact Tab - what saving this content does to the Embeds using it */}
+        <TabPanel>
+          <FormSection>
+            <SourceImpactPanel
+              excerptId={excerptId}
+              content={macroBody}
+              renames={renames}
+            />
+          </FormSection>
+        </TabPanel>
       </Tabs>
 
       <FormFooter>
@@ -751,7 +900,7 @@ const App = () => {
           )}
           <Inline space="space.200">
             <Button appearance="primary" type="submit">
-              Save
+              {excerptId && requiresPublish ? 'Save Draft' : 'Save'}
             </Button>
             <Button
               appearance="link"
@@ -15,12 +15,14 @@ import ForgeReconciler, {
   Stack, 
   AdfRenderer,
   Spinner,
+  SectionMessage,
   xcss
 } from '@forge/react';
 import { invoke } from '@forge/bridge';
 import { QueryClient, QueryClientProvider, useQueryClient } from '@tanstack/react-query';
 import { useQuery } from '@tanstack/react-query';
 import { DocumentationLinksDisplay } from './components/embed/DocumentationLinksDisplay';
+import { SourceImpactPanel } from './components/common/SourceImpactPanel';
 
 // Create a client for React Query
 const queryClient = new QueryClient({
@@ -209,6 +211,12 @@ const App = () => {
             </Inline>
           )}
           <DocumentationLinksDisplay documentationLinks={excerptData?.documentationLinks} />
+          {/* While editing: preview what publishing the page (updateExcerptContent) does downstream */}
+          {context?.extension?.isEditing && (
+            <SectionMessage appearance="information" title={excerptData?.requiresPublish ? 'Publishing this page updates the Source draft - Embeds are affected when it is published' : 'Publishing this page updates the Source'}>
+              <SourceImpactPanel excerptId={config.excerptId} content={macroBody} />
+            </SectionMessage>
+          )}
           {typeof bodyToRender === 'object' ? (
               <MemoizedAdfRenderer document={bodyToRender} />
           ) : (
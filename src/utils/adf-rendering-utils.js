@@ -12,6 +12,33 @@
  * - Custom paragraph and internal note insertions
  */
 
+import { resolveVariableValues } from './variable-resolution.js';
+import { renderPlaceholder } from './variable-filters.js';
+import {
+  CONDITION_MARKER_REGEX,
+  matchConditionMarker,
+  createConditionTracker
+} from './variable-conditions.js';
+import {
+  LOOP_MARKER_REGEX,
+  matchLoopMarker,
+  parseListValue,
+  getLoopItemValues,
+  findLoopEnd
+} from './variable-loops.js';
+import { extractTextFromAdf } from './adf-utils.js';
+import { RICH_INSERTION_BLOCK_TYPES, isRichInsertion, adfToPlainText } from './rich-text-utils.js';
+
+/**
+ * Paragraph attribute carrying the anchor fingerprint of a Source paragraph
+ *
+ * Set by tagParagraphAnchors (insertion-anchor-utils.js) on the Source content
+ * before it is filtered and substituted, so custom insertions and internal notes
+ * can follow their paragraph instead of a paragraph index. Stripped again by
+ * cleanAdfForRenderer.
+ */
+export const PARAGRAPH_ANCHOR_ATTR = 'blueprintAnchor';
+
 /**
  * Clean ADF for Forge's AdfRenderer
  *
@@ -39,6 +66,14 @@ export const cleanAdfForRenderer = (adfNode) => {
     // Remove localId (not supported by Forge AdfRenderer)
     delete cleanedAttrs.localId;
 
+    // Remove insertion anchor tags (internal only)
+    if (PARAGRAPH_ANCHOR_ATTR in cleanedAttrs) {
+      delete cleanedAttrs[PARAGRAPH_ANCHOR_ATTR];
+      if (Object.keys(cleanedAttrs).length === 0) {
+        delete cleaned.attrs;
+      }
+    }
+
     // Handle panels - remove null attributes
     if (cleaned.type === 'panel') {
       if (cleanedAttrs.panelIconId === null) delete cleanedAttrs.panelIconId;
@@ -62,7 +97,9 @@ export const cleanAdfForRenderer = (adfNode) => {
       delete cleanedAttrs.layout;
     }
 
-    cleaned.attrs = cleanedAttrs;
+    if (cleaned.attrs) {
+      cleaned.attrs = cleanedAttrs;
+    }
   }
 
   // Recursively clean content array
@@ -241,6 +278,313 @@ export const filterContentByToggles = (adfNode, toggleStates) => {
   return adfNode;
 };
 
+/**
+ * Split text nodes that contain conditional markers ({{#if}}, {{else}}, {{/if}})
+ * into separate nodes, same approach as splitTextNodeByToggleMarkers
+ *
+ * @param {Object} textNode - Text node that may contain conditional markers
+ * @returns {Array} Array of text nodes (original node if no markers found)
+ */
+function splitTextNodeByConditionMarkers(textNode) {
+  if (textNode.type !== 'text' || !textNode.text || !CONDITION_MARKER_REGEX.test(textNode.text)) {
+    return [textNode];
+  }
+
+  const parts = textNode.text
+    .split(new RegExp(CONDITION_MARKER_REGEX.source, 'g'))
+    .filter(part => part !== '');
+
+  return parts.map(part => ({
+    type: 'text',
+    text: part,
+    ...(textNode.marks && textNode.marks.length > 0 ? { marks: [...textNode.marks] } : {})
+  }));
+}
+
+/**
+ * Get the conditional marker a block consists of, if it contains nothing else
+ *
+ * A paragraph whose only text is "{{#if x}}" (or {{else}} / {{/if}}) acts as a
+ * block-level marker, so conditions can wrap whole paragraphs, tables, panels, etc.
+ *
+ * @param {Object} node - ADF block node
+ * @returns {Object|null} Marker from matchConditionMarker, or null
+ */
+function getBlockConditionMarker(node) {
+  if (node.type !== 'paragraph' || !Array.isArray(node.content) || node.content.length === 0) {
+    return null;
+  }
+  if (!node.content.every(child => child.type === 'text' || child.type === 'hardBreak')) {
+    return null;
+  }
+  const text = node.content.map(child => child.text || '').join('');
+  return matchConditionMarker(text);
+}
+
+/**
+ * Filter content based on conditional blocks evaluated against variable values
+ *
+ * Same two-phase approach as filterContentByToggles:
+ * 1. Split text nodes so markers are isolated; treat marker-only paragraphs as markers
+ * 2. Track nested {{#if}}/{{else}}/{{/if}} state, removing hidden content and markers
+ *
+ * Markers must open and close within the same container (e.g. the same paragraph,
+ * or sibling blocks at the same level).
+ *
+ * @param {Object} adfNode - ADF node to filter
+ * @param {Object} variableValues - Map of variable names to values (already resolved)
+ * @returns {Object|null} Filtered ADF node
+ */
+export const filterContentByConditions = (adfNode, variableValues) => {
+  if (!adfNode) return null;
+
+  if (adfNode.content && Array.isArray(adfNode.content)) {
+    // Phase 1: Isolate markers (text-level and block-level)
+    const expandedContent = [];
+
+    for (const child of adfNode.content) {
+      const blockMarker = getBlockConditionMarker(child);
+      if (blockMarker) {
+        expandedContent.push({ _conditionMarker: blockMarker });
+      } else if (child.type === 'text') {
+        expandedContent.push(...splitTextNodeByConditionMarkers(child));
+      } else if (child.content && Array.isArray(child.content)) {
+        const processed = filterContentByConditions(child, variableValues);
+        if (processed) {
+          expandedContent.push(processed);
+        }
+      } else {
+        expandedContent.push(child);
+      }
+    }
+
+    // Phase 2: Walk nodes tracking condition state
+    const tracker = createConditionTracker(variableValues);
+    const filteredContent = [];
+
+    for (const node of expandedContent) {
+      const marker = node._conditionMarker ||
+        (node.type === 'text' ? matchConditionMarker(node.text) : null);
+      if (marker) {
+        tracker.handleMarker(marker);
+        continue;
+      }
+      if (tracker.isVisible()) {
+        filteredContent.push(node);
+      }
+    }
+
+    if (filteredContent.length === 0 && adfNode.type !== 'doc') {
+      return null;
+    }
+
+    return {
+      ...adfNode,
+      content: filteredContent
+    };
+  }
+
+  return adfNode;
+};
+
+/**
+ * Split text nodes that contain loop markers ({{#each}}, {{/each}}) into
+ * separate nodes, same approach as splitTextNodeByToggleMarkers
+ *
+ * @param {Object} textNode - Text node that may contain loop markers
+ * @returns {Array} Array of text nodes (original node if no markers found)
+ */
+function splitTextNodeByLoopMarkers(textNode) {
+  if (textNode.type !== 'text' || !textNode.text || !LOOP_MARKER_REGEX.test(textNode.text)) {
+    return [textNode];
+  }
+
+  const parts = textNode.text
+    .split(new RegExp(LOOP_MARKER_REGEX.source, 'g'))
+    .filter(part => part !== '');
+
+  return parts.map(part => ({
+    type: 'text',
+    text: part,
+    ...(textNode.marks && textNode.marks.length > 0 ? { marks: [...textNode.marks] } : {})
+  }));
+}
+
+/**
+ * Get the loop marker a block consists of, if it contains nothing else
+ *
+ * A paragraph whose only text is "{{#each list}}" or "{{/each}}" acts as a
+ * block-level marker, so loops can repeat whole paragraphs, panels, lists, etc.
+ *
+ * @param {Object} node - ADF block node
+ * @returns {Object|null} Marker from matchLoopMarker, or null
+ */
+function getBlockLoopMarker(node) {
+  if (node.type !== 'paragraph' || !Array.isArray(node.content) || node.content.length === 0) {
+    return null;
+  }
+  if (!node.content.every(child => child.type === 'text' || child.type === 'hardBreak')) {
+    return null;
+  }
+  const text = node.content.map(child => child.text || '').join('');
+  return matchLoopMarker(text);
+}
+
+/**
+ * Remove loop markers from anywhere inside a node, collecting them in order
+ *
+ * @param {Object} node - ADF node (e.g. a table row)
+ * @param {Array<Object>} markers - Receives the markers that were removed
+ * @returns {Object|null} Node without markers (null for text nodes left empty)
+ */
+function stripLoopMarkers(node, markers) {
+  if (node.type === 'text') {
+    if (!node.text || !LOOP_MARKER_REGEX.test(node.text)) {
+      return node;
+    }
+    const text = node.text
+      .split(new RegExp(LOOP_MARKER_REGEX.source, 'g'))
+      .filter(part => {
+        const marker = matchLoopMarker(part);
+        if (marker) {
+          markers.push(marker);
+          return false;
+        }
+        return true;
+      })
+      .join('');
+    return text === '' ? null : { ...node, text };
+  }
+
+  if (node.content && Array.isArray(node.content)) {
+    return {
+      ...node,
+      content: node.content
+        .map(child => stripLoopMarkers(child, markers))
+        .filter(child => child !== null)
+    };
+  }
+
+  return node;
+}
+
+/**
+ * Isolate the loop markers inside a table row
+ *
+ * A row containing {{#each list}} starts a repeated range of rows and a row
+ * containing {{/each}} ends it (both may be the same row). Markers are removed
+ * from the cells; a row left with no text was only there to hold the markers
+ * and is dropped.
+ *
+ * @param {Object} row - ADF tableRow node
+ * @returns {Array} Sequence of {_loopMarker} entries and the stripped row
+ */
+function splitTableRowByLoopMarkers(row) {
+  const markers = [];
+  const strippedRow = stripLoopMarkers(row, markers);
+  if (markers.length === 0) {
+    return [row];
+  }
+
+  const isMarkerOnlyRow = extractTextFromAdf(strippedRow).trim() === '';
+  return [
+    ...markers.filter(marker => marker.kind === 'each').map(marker => ({ _loopMarker: marker })),
+    ...(isMarkerOnlyRow ? [] : [strippedRow]),
+    ...markers.filter(marker => marker.kind === 'endeach').map(marker => ({ _loopMarker: marker }))
+  ];
+}
+
+/**
+ * Render the body of one loop iteration with that item's values
+ *
+ * Nested loops, conditions and placeholders inside the body all see the item's
+ * fields, so they are processed here rather than by the outer pass.
+ *
+ * @param {Array} body - Sibling nodes between {{#each}} and {{/each}}
+ * @param {Object} itemValues - Values for this iteration (from getLoopItemValues)
+ * @param {string} containerType - Type of the node that holds the body
+ * @returns {Array} Rendered nodes for this iteration
+ */
+function renderLoopIteration(body, itemValues, containerType) {
+  const container = { type: containerType, content: body };
+  const rendered = substituteVariablesInNode(
+    filterContentByConditions(expandLoopsInAdf(container, itemValues), itemValues),
+    itemValues
+  );
+  return rendered?.content || [];
+}
+
+/**
+ * Expand repeating sections ({{#each list}}...{{/each}}) over list-valued variables
+ *
+ * Same two-phase approach as filterContentByConditions, except that the body of
+ * each loop is rendered once per item (see variable-loops.js for item values).
+ * Loops can repeat inline text, whole blocks, or table rows. An empty or unset
+ * list removes the section.
+ *
+ * @param {Object} adfNode - ADF node to expand
+ * @param {Object} variableValues - Map of variable names to values (already resolved)
+ * @returns {Object|null} ADF node with loops expanded
+ */
+export const expandLoopsInAdf = (adfNode, variableValues) => {
+  if (!adfNode) return null;
+
+  if (adfNode.content && Array.isArray(adfNode.content)) {
+    // Phase 1: Isolate markers at this level (children are handled in phase 2,
+    // so loop bodies are only ever processed with their item's values)
+    const sequence = [];
+
+    for (const child of adfNode.content) {
+      const blockMarker = getBlockLoopMarker(child);
+      if (blockMarker) {
+        sequence.push({ _loopMarker: blockMarker });
+      } else if (child.type === 'text') {
+        sequence.push(...splitTextNodeByLoopMarkers(child));
+      } else if (child.type === 'tableRow') {
+        sequence.push(...splitTableRowByLoopMarkers(child));
+      } else {
+        sequence.push(child);
+      }
+    }
+
+    // Phase 2: Repeat each loop body per item, recurse into everything else
+    const getMarker = (node) => node._loopMarker ||
+      (node.type === 'text' ? matchLoopMarker(node.text) : null);
+    const expandedContent = [];
+
+    for (let i = 0; i < sequence.length; i++) {
+      const marker = getMarker(sequence[i]);
+      if (!marker) {
+        const processed = expandLoopsInAdf(sequence[i], variableValues);
+        if (processed) {
+          expandedContent.push(processed);
+        }
+        continue;
+      }
+      if (marker.kind === 'endeach') {
+        // Stray closing marker - drop it
+        continue;
+      }
+
+      const end = findLoopEnd(sequence, i + 1, getMarker);
+      const body = sequence.slice(i + 1, end);
+      const items = parseListValue(variableValues?.[marker.name]);
+      items.forEach((item, index) => {
+        const itemValues = getLoopItemValues(variableValues, marker.name, item, index, items.length);
+        expandedContent.push(...renderLoopIteration(body, itemValues, adfNode.type));
+      });
+      i = end;
+    }
+
+    return {
+      ...adfNode,
+      content: expandedContent
+    };
+  }
+
+  return adfNode;
+};
+
 /**
  * Strip toggle markers from text nodes
  *
@@ -277,14 +621,41 @@ export const stripToggleMarkers = (adfNode) => {
 /**
  * Perform variable substitution in ADF content
  *
- * Replaces {{variableName}} placeholders with actual values.
+ * Replaces {{variableName}} placeholders with actual values, applying any pipe
+ * filters ({{name | upper}}, {{date | date:"MMM D, YYYY"}}, see variable-filters.js).
  * Unset variables (empty values) are wrapped in code marks for visual distinction.
  *
+ * When the Source's variable definitions are passed, default values and computed
+ * variables are resolved first (see variable-resolution.js), so callers don't
+ * need to pre-process variableValues themselves.
+ *
+ * Repeating sections ({{#each list}}...{{/each}}) are expanded first, then conditional
+ * blocks ({{#if ...}}...{{else}}...{{/if}}) are evaluated against the same values
+ * before substitution, so placeholders in hidden branches never render.
+ *
  * @param {Object} adfNode - ADF node to process
  * @param {Object} variableValues - Map of variable names to values
+ * @param {Array<Object>} [variables] - Source variable definitions (for defaults/computed values)
  * @returns {Object} ADF node with variables substituted
  */
-export const substituteVariablesInAdf = (adfNode, variableValues) => {
+export const substituteVariablesInAdf = (adfNode, variableValues, variables) => {
+  if (!adfNode) return adfNode;
+
+  // Resolve defaults/computed variables once at the top level, then recurse with plain values
+  const values = variables ? resolveVariableValues(variables, variableValues) : variableValues;
+
+  const expanded = expandLoopsInAdf(adfNode, values);
+  return substituteVariablesInNode(filterContentByConditions(expanded, values), values);
+};
+
+/**
+ * Recursive worker for substituteVariablesInAdf (values already resolved, conditions applied)
+ *
+ * @param {Object} adfNode - ADF node to process
+ * @param {Object} variableValues - Map of variable names to values
+ * @returns {Object} ADF node with variables substituted (text nodes may carry _parts)
+ */
+const substituteVariablesInNode = (adfNode, variableValues) => {
   if (!adfNode) return adfNode;
 
   // If it's a text node, perform substitution
@@ -309,8 +680,7 @@ export const substituteVariablesInAdf = (adfNode, variableValues) => {
         parts.push(part);
       }
 
-      const varName = match[1].trim();
-      const value = variableValues?.[varName];
+      const value = renderPlaceholder(match[1].trim(), variableValues);
 
       if (value) {
         // Variable has a value - substitute it
@@ -375,7 +745,7 @@ export const substituteVariablesInAdf = (adfNode, variableValues) => {
   if (adfNode.content && Array.isArray(adfNode.content)) {
     const newContent = [];
     adfNode.content.forEach(child => {
-      const processed = substituteVariablesInAdf(child, variableValues);
+      const processed = substituteVariablesInNode(child, variableValues);
       if (processed._parts) {
         // Expand parts into multiple text nodes
         newContent.push(...processed._parts);
@@ -393,22 +763,95 @@ export const substituteVariablesInAdf = (adfNode, variableValues) => {
   return adfNode;
 };
 
+/**
+ * Build a function that finds the insertions/notes belonging after a paragraph
+ *
+ * Anchored items ({ anchor: { fingerprint } }) follow the paragraph tagged with
+ * that fingerprint when the content was tagged (tagParagraphAnchors); in untagged
+ * content, and for items created before anchors existed, the stored position is
+ * used. Items flagged as orphaned (their paragraph is gone) are never placed.
+ * Each item is placed once, even if its paragraph repeats (e.g. inside a loop).
+ *
+ * @param {Object} adfNode - ADF document the items are inserted into
+ * @param {Array} items - Custom insertions or internal notes
+ * @returns {Function} (paragraphNode, paragraphIndex) => items to place after it
+ */
+const createParagraphItemMatcher = (adfNode, items) => {
+  const hasAnchorTag = (node) => !!node && (
+    !!node.attrs?.[PARAGRAPH_ANCHOR_ATTR]
+    || (Array.isArray(node.content) && node.content.some(hasAnchorTag))
+  );
+  const isTagged = hasAnchorTag(adfNode);
+  const placed = new Set();
+
+  return (paragraphNode, paragraphIndex) => items.filter(item => {
+    if (item.orphaned || placed.has(item)) {
+      return false;
+    }
+    const matches = isTagged && item.anchor?.fingerprint
+      ? paragraphNode.attrs?.[PARAGRAPH_ANCHOR_ATTR] === item.anchor.fingerprint
+      : item.position === paragraphIndex;
+    if (matches) {
+      placed.add(item);
+    }
+    return matches;
+  });
+};
+
+// Containers that accept every rich insertion block (elsewhere only paragraphs and lists fit)
+const RICH_INSERTION_CONTAINERS = ['doc', 'layoutColumn', 'expand', 'nestedExpand'];
+
+/**
+ * Block nodes for one custom insertion, valid inside the given parent node
+ *
+ * Plain-text insertions become a single paragraph. Rich insertions keep their
+ * blocks; blocks the parent can't hold (e.g. a table inside a table cell or a
+ * panel) fall back to a plain-text paragraph per line.
+ *
+ * @param {Object} insertion - Custom insertion ({ text } or { text, adf })
+ * @param {string} parentType - Type of the node the blocks are inserted into
+ * @returns {Array<Object>} ADF block nodes
+ */
+const getInsertionBlocks = (insertion, parentType) => {
+  if (!isRichInsertion(insertion)) {
+    return [{ type: 'paragraph', content: [{ type: 'text', text: insertion.text }] }];
+  }
+
+  const allowedTypes = RICH_INSERTION_CONTAINERS.includes(parentType)
+    ? RICH_INSERTION_BLOCK_TYPES
+    : ['paragraph', 'bulletList', 'orderedList'];
+
+  return insertion.adf.content.flatMap(block => {
+    if (allowedTypes.includes(block.type)) {
+      return [block];
+    }
+    return adfToPlainText(block)
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => ({ type: 'paragraph', content: [{ type: 'text', text: line }] }));
+  });
+};
+
 /**
  * Insert custom paragraphs into ADF content
  *
- * Inserts custom paragraph nodes at specified positions in the content.
+ * Inserts custom content at specified positions in the content: a paragraph
+ * for plain-text insertions, the insertion's blocks (lists, tables, formatted
+ * paragraphs...) for rich ones (see rich-text-utils.js).
  * Recursively traverses nested structures (panels, tables, etc.) to match
  * how extractParagraphsFromAdf counts paragraphs.
  *
  * @param {Object} adfNode - ADF node to process
- * @param {Array} customInsertions - Array of {position: number, text: string}
- * @returns {Object} ADF node with custom paragraphs inserted
+ * @param {Array} customInsertions - Array of {position: number, text: string, adf?, anchor?, orphaned?}
+ * @returns {Object} ADF node with custom content inserted
  */
 export const insertCustomParagraphsInAdf = (adfNode, customInsertions) => {
   if (!adfNode || !adfNode.content || !customInsertions || customInsertions.length === 0) {
     return adfNode;
   }
 
+  const findInsertions = createParagraphItemMatcher(adfNode, customInsertions);
+
   // Use a shared counter object so it persists across recursive calls
   const paragraphIndex = { value: 0 };
 
@@ -434,20 +877,11 @@ export const insertCustomParagraphsInAdf = (adfNode, customInsertions) => {
 
         // If the child is a paragraph, check if we need to insert custom content after it
         if (childNode.type === 'paragraph') {
-          // Find all insertions for this position
-          const insertionsHere = customInsertions.filter(ins => ins.position === paragraphIndex.value);
+          // Find all insertions for this paragraph
+          const insertionsHere = findInsertions(childNode, paragraphIndex.value);
 
           insertionsHere.forEach(insertion => {
-            // Create a new paragraph node with the custom text
-            newContent.push({
-              type: 'paragraph',
-              content: [
-                {
-                  type: 'text',
-                  text: insertion.text
-                }
-              ]
-            });
+            newContent.push(...getInsertionBlocks(insertion, node.type));
           });
 
           paragraphIndex.value++;
@@ -463,6 +897,71 @@ export const insertCustomParagraphsInAdf = (adfNode, customInsertions) => {
   return processNode(adfNode);
 };
 
+// Marks the end of a paragraph the Embed rewrote (block override)
+const OVERRIDE_MARKER_TEXT = ' ✎';
+const OVERRIDE_MARKER_COLOR = '#974F0C'; // dark orange, distinct from the internal note gray
+
+/**
+ * Replace Source paragraphs with the Embed's block overrides
+ *
+ * Each override's blocks (see getInsertionBlocks) take the place of the
+ * paragraph it's anchored to. The replacement ends in a paragraph flagged with
+ * an override marker; that paragraph keeps the Source paragraph's anchor tag so
+ * custom insertions and internal notes anchored to it still follow it. Must
+ * run before insertCustomParagraphsInAdf / insertInternalNotesInAdf.
+ *
+ * @param {Object} adfNode - ADF node to process (tagged by tagParagraphAnchors)
+ * @param {Array} blockOverrides - Array of {position, text, adf?, anchor, orphaned?}
+ * @returns {Object} ADF node with overridden paragraphs replaced
+ */
+export const applyBlockOverridesInAdf = (adfNode, blockOverrides) => {
+  if (!adfNode || !adfNode.content || !blockOverrides || blockOverrides.length === 0) {
+    return adfNode;
+  }
+
+  const findOverrides = createParagraphItemMatcher(adfNode, blockOverrides);
+  const paragraphIndex = { value: 0 };
+
+  const marker = {
+    type: 'text',
+    text: OVERRIDE_MARKER_TEXT,
+    marks: [{ type: 'textColor', attrs: { color: OVERRIDE_MARKER_COLOR } }, { type: 'strong' }]
+  };
+
+  const processNode = (node) => {
+    if (!node || !Array.isArray(node.content)) return node;
+
+    const newContent = [];
+    node.content.forEach(childNode => {
+      if (childNode.type !== 'paragraph') {
+        newContent.push(processNode(childNode));
+        return;
+      }
+
+      const [override] = findOverrides(childNode, paragraphIndex.value);
+      paragraphIndex.value++;
+      if (!override) {
+        newContent.push(childNode);
+        return;
+      }
+
+      const blocks = getInsertionBlocks(override, node.type);
+      const last = blocks[blocks.length - 1];
+      const anchorAttrs = childNode.attrs ? { attrs: childNode.attrs } : {};
+      if (last?.type === 'paragraph') {
+        blocks[blocks.length - 1] = { ...last, ...anchorAttrs, content: [...(last.content || []), marker] };
+      } else {
+        blocks.push({ type: 'paragraph', ...anchorAttrs, content: [marker] });
+      }
+      newContent.push(...blocks);
+    });
+
+    return { ...node, content: newContent };
+  };
+
+  return processNode(adfNode);
+};
+
 /**
  * Insert internal note markers inline in ADF content
  *
@@ -475,7 +974,7 @@ export const insertCustomParagraphsInAdf = (adfNode, customInsertions) => {
  * 2. External filtering (hide from external users)
  *
  * @param {Object} adfNode - ADF node to process
- * @param {Array} internalNotes - Array of {position: number, content: string}
+ * @param {Array} internalNotes - Array of {position: number, content: string, anchor?, orphaned?}
  * @returns {Object} ADF node with internal notes inserted
  */
 export const insertInternalNotesInAdf = (adfNode, internalNotes) => {
@@ -483,14 +982,10 @@ export const insertInternalNotesInAdf = (adfNode, internalNotes) => {
     return adfNode;
   }
 
-  // Sort notes by position to assign sequential footnote numbers
-  const sortedNotes = [...internalNotes].sort((a, b) => a.position - b.position);
+  const findNotes = createParagraphItemMatcher(adfNode, internalNotes);
 
-  // Create a map of position -> footnote number
-  const positionToNumber = {};
-  sortedNotes.forEach((note, index) => {
-    positionToNumber[note.position] = index + 1;
-  });
+  // Notes in the order their markers appear (footnote numbers follow this order)
+  const placedNotes = [];
 
   // Unicode superscript numbers
   const superscriptNumbers = ['⁰', '¹', '²', '³', '⁴', '⁵', '⁶', '⁷', '⁸', '⁹'];
@@ -521,17 +1016,18 @@ export const insertInternalNotesInAdf = (adfNode, internalNotes) => {
     // If this is a paragraph, check if we need to add a note marker
     // We do this AFTER processing children so the marker is added to already-processed content
     if (node.type === 'paragraph') {
-      const noteNumber = positionToNumber[paragraphIndex.value];
+      const notesHere = findNotes(node, paragraphIndex.value);
 
-      if (noteNumber) {
+      if (notesHere.length > 0) {
         // Add the paragraph with an inline footnote marker at the end
         // Use processedNode.content (already processed children) instead of node.content
         const paragraphContent = [...(processedNode.content || [])];
 
         // Add inline marker with distinctive color for internal notes
+        placedNotes.push(...notesHere);
         paragraphContent.push({
           type: 'text',
-          text: toSuperscript(noteNumber),
+          text: notesHere.map((note, i) => toSuperscript(placedNotes.length - notesHere.length + i + 1)).join(' '),
           marks: [
             {
               type: 'textColor',
@@ -558,6 +1054,12 @@ export const insertInternalNotesInAdf = (adfNode, internalNotes) => {
   const processedAdf = processNode(adfNode);
   const newContent = [...processedAdf.content];
 
+  // Notes whose paragraph wasn't found (but aren't known orphans) are still listed, without a marker
+  const sortedNotes = [
+    ...placedNotes,
+    ...internalNotes.filter(note => !note.orphaned && !placedNotes.includes(note))
+  ];
+
   // Add footnotes section at the bottom wrapped in an expand node
   if (sortedNotes.length > 0) {
     // Wrap entire footnotes section in an expandable/collapsible section
@@ -635,7 +1137,7 @@ export const insertInternalNotesInAdf = (adfNode, internalNotes) => {
  * Returns array of paragraph metadata for UI display and position selection.
  *
  * @param {Object} adfNode - ADF node to process
- * @returns {Array} Array of {index, lastSentence, fullText}
+ * @returns {Array} Array of {index, lastSentence, fullText, anchor}
  */
 export const extractParagraphsFromAdf = (adfNode) => {
   const paragraphs = [];
@@ -676,7 +1178,9 @@ export const extractParagraphsFromAdf = (adfNode) => {
         paragraphs.push({
           index: paragraphIndex.value,
           lastSentence: lastSentence.substring(0, 60) + (lastSentence.length > 60 ? '...' : ''),
-          fullText: fullText
+          fullText: fullText,
+          // Anchor fingerprint if the content was tagged (see PARAGRAPH_ANCHOR_ATTR)
+          anchor: node.attrs?.[PARAGRAPH_ANCHOR_ATTR] || null
         });
         paragraphIndex.value++;
       }
@@ -704,13 +1208,14 @@ export const extractParagraphsFromAdf = (adfNode) => {
  * @param {Object} adfContent - ADF content to render
  * @param {Object} variableValues - Variable values for substitution
  * @param {Object} toggleStates - Toggle states (enabled/disabled)
+ * @param {Array<Object>} [variables] - Source variable definitions (for defaults/computed values)
  * @returns {Object} Rendered ADF with all content visible, disabled toggles marked
  */
-export function renderContentWithGhostToggles(adfContent, variableValues, toggleStates) {
+export function renderContentWithGhostToggles(adfContent, variableValues, toggleStates, variables) {
   if (!adfContent) return adfContent;
 
   // Step 1: Apply variable substitutions
-  let rendered = substituteVariablesInAdf(adfContent, variableValues);
+  let rendered = substituteVariablesInAdf(adfContent, variableValues, variables);
 
   // Step 2: Mark disabled toggle blocks (DON'T remove them)
   rendered = markDisabledToggleBlocks(rendered, toggleStates);
@@ -8,12 +8,15 @@
  * - escapeCSV: Escape values for CSV format
  * - generateIncludesCSV: Generate CSV export for embed instances
  * - generateMultiExcerptCSV: Generate CSV for MultiExcerpt migration data
- * - filterExcerpts: Filter excerpts by search term and category
+ * - generateRedlineReportCSV: Generate CSV for the redline aging report
+ * - filterExcerpts: Filter excerpts by search query (text, tags, usage, staleness) and category
  * - sortExcerpts: Sort excerpts by various criteria
  * - calculateStalenessStatus: Determine if an embed is stale
  */
 
 import { extractTextFromAdf } from './adf-utils.js';
+import { isInCategory } from './category-utils.js';
+import { parseSearchQuery, matchesSearchQuery } from './source-search-utils.js';
 
 /**
  * Escape a value for CSV format
@@ -291,19 +294,78 @@ export const generateMultiExcerptCSV = (includeData) => {
 };
 
 /**
- * Filter excerpts by search term and category
+ * Generate CSV export for the redline aging report
+ *
+ * One row per Embed, most overdue first (as exportRedlineReport orders them).
+ * Reviewers and owners are Confluence accountIds.
+ *
+ * @param {Object} report - exportRedlineReport result
+ * @returns {string} CSV string ready for download
+ */
+export const generateRedlineReportCSV = (report) => {
+  if (!report?.embeds || report.embeds.length === 0) {
+    return '';
+  }
+
+  const headers = [
+    'Embed UUID',
+    'Page ID',
+    'Space',
+    'Standard Name',
+    'Standard Category',
+    'Status',
+    'In Status Since',
+    'Days in Status',
+    'SLA (days)',
+    'Overdue',
+    'Days Overdue',
+    'Reviewer',
+    'Owner',
+    'Approvals',
+    'Last Time to Approval (days)'
+  ];
+
+  const rows = report.embeds.map(embed => [
+    escapeCSV(embed.localId),
+    escapeCSV(embed.pageId || ''),
+    escapeCSV(embed.spaceKey || ''),
+    escapeCSV(embed.sourceName || ''),
+    escapeCSV(embed.sourceCategory || ''),
+    escapeCSV(embed.statusLabel || embed.status),
+    escapeCSV(embed.enteredAt || ''),
+    escapeCSV(embed.ageDays ?? ''),
+    escapeCSV(embed.thresholdDays ?? ''),
+    escapeCSV(embed.overdue ? 'Yes' : 'No'),
+    escapeCSV(embed.overdue ? embed.overdueDays : ''),
+    escapeCSV(embed.assignee || ''),
+    escapeCSV(embed.owner || ''),
+    escapeCSV(embed.approvals),
+    escapeCSV(embed.lastApprovalDays ?? '')
+  ].join(','));
+
+  // Combine header and rows
+  return [headers.join(','), ...rows].join('\n');
+};
+
+/**
+ * Filter excerpts by search query and category
+ *
+ * The query is name text plus optional tag:/category:/usage:/is: filters
+ * (see source-search-utils.js).
  *
  * @param {Array} excerpts - Array of excerpt objects
- * @param {string} searchTerm - Search string to filter by name (case-insensitive)
+ * @param {string} searchTerm - Search query (name text is case-insensitive)
  * @param {string} categoryFilter - Category to filter by ('All' for no filter)
+ * @param {Object} stats - { usageCounts, staleCounts } maps of excerpt IDs (for usage:/is: filters)
  * @returns {Array} Filtered array of excerpts
  */
-export const filterExcerpts = (excerpts, searchTerm, categoryFilter) => {
+export const filterExcerpts = (excerpts, searchTerm, categoryFilter, stats = {}) => {
   if (!Array.isArray(excerpts)) return [];
 
+  const parsedQuery = parseSearchQuery(searchTerm);
   return excerpts.filter(excerpt => {
-    const matchesSearch = excerpt.name.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesCategory = categoryFilter === 'All' || excerpt.category === categoryFilter;
+    const matchesSearch = matchesSearchQuery(excerpt, parsedQuery, stats);
+    const matchesCategory = categoryFilter === 'All' || isInCategory(excerpt.category || 'General', categoryFilter);
     return matchesSearch && matchesCategory;
   });
 };
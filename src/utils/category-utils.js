@@ -0,0 +1,180 @@
+/**
+ * Category Utility Functions
+ *
+ * Categories nest: a category is stored as its full path, with levels joined
+ * by CATEGORY_SEPARATOR ("Technical > Integrations > Ticketing"). Sources keep
+ * the full path in excerpt.category, so a flat list of paths is still a valid
+ * category list and older single-level names are simply top-level categories.
+ *
+ * Stored as:
+ *
+ *   categories = { categories: [path, ...], owners: { path: [accountId, ...] } }
+ *
+ * List order is the display order among siblings. Owners are the default
+ * approvers for Sources in the category and everything below it (the nearest
+ * category with owners wins).
+ *
+ * Shared by the Admin UI, the Source config and the backend, so this module
+ * must stay free of storage access.
+ */
+
+export const CATEGORY_SEPARATOR = ' > ';
+
+// Used when nothing is stored yet
+export const DEFAULT_CATEGORIES = ['General', 'Pricing', 'Technical', 'Legal', 'Marketing'];
+
+/**
+ * Levels of a category path ("A > B" and "A>B" both give ['A', 'B'])
+ *
+ * @param {string} path - Category path
+ * @returns {Array<string>} Non-empty, trimmed level names
+ */
+export function splitCategoryPath(path) {
+  return String(path || '')
+    .split('>')
+    .map(level => level.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Canonical form of a category path
+ *
+ * @param {string} path - Category path as typed
+ * @returns {string} Path with single separators ('' if it has no levels)
+ */
+export function normalizeCategoryPath(path) {
+  return splitCategoryPath(path).join(CATEGORY_SEPARATOR);
+}
+
+/**
+ * Last level of a category path (what the tree shows)
+ *
+ * @param {string} path - Category path
+ * @returns {string} Category name
+ */
+export function getCategoryName(path) {
+  const levels = splitCategoryPath(path);
+  return levels[levels.length - 1] || '';
+}
+
+/**
+ * Parent of a category
+ *
+ * @param {string} path - Category path
+ * @returns {string|null} Parent path, or null for a top-level category
+ */
+export function getParentCategory(path) {
+  const levels = splitCategoryPath(path);
+  return levels.length > 1 ? levels.slice(0, -1).join(CATEGORY_SEPARATOR) : null;
+}
+
+/**
+ * Ancestors of a category, outermost first (the category itself excluded)
+ *
+ * @param {string} path - Category path
+ * @returns {Array<string>} Ancestor paths
+ */
+export function getCategoryAncestors(path) {
+  const levels = splitCategoryPath(path);
+  return levels.slice(0, -1).map((_, index) => levels.slice(0, index + 1).join(CATEGORY_SEPARATOR));
+}
+
+/**
+ * Whether a category is the given category or nested anywhere below it
+ *
+ * @param {string} path - Category path to test
+ * @param {string} category - Category path
+ * @returns {boolean}
+ */
+export function isInCategory(path, category) {
+  const normalizedPath = normalizeCategoryPath(path);
+  const normalizedCategory = normalizeCategoryPath(category);
+  return normalizedPath === normalizedCategory || normalizedPath.startsWith(normalizedCategory + CATEGORY_SEPARATOR);
+}
+
+/**
+ * Path of a category after renaming/moving one of its ancestors (or itself)
+ *
+ * @param {string} path - Category path
+ * @param {string} from - Renamed category
+ * @param {string} to - Its new path
+ * @returns {string} New path (unchanged if path isn't in `from`)
+ */
+export function renameCategoryPath(path, from, to) {
+  if (!isInCategory(path, from)) {
+    return path;
+  }
+  const normalizedPath = normalizeCategoryPath(path);
+  return normalizeCategoryPath(to) + normalizedPath.slice(normalizeCategoryPath(from).length);
+}
+
+/**
+ * Normalize a category list: canonical paths, no duplicates, and every
+ * ancestor present (added just before its first descendant)
+ *
+ * @param {Array<string>} paths - Category paths
+ * @returns {Array<string>} Category list
+ */
+export function withCategoryAncestors(paths) {
+  const result = [];
+  const seen = new Set();
+  const add = (path) => {
+    if (path && !seen.has(path)) {
+      seen.add(path);
+      result.push(path);
+    }
+  };
+  for (const rawPath of paths || []) {
+    const path = normalizeCategoryPath(rawPath);
+    getCategoryAncestors(path).forEach(add);
+    add(path);
+  }
+  return result;
+}
+
+/**
+ * Build the category tree
+ *
+ * @param {Array<string>} paths - Category list (ancestors are filled in)
+ * @returns {Array<Object>} Top-level nodes: [{ path, name, depth, children }], siblings in list order
+ */
+export function buildCategoryTree(paths) {
+  const nodes = new Map();
+  const roots = [];
+  for (const path of withCategoryAncestors(paths)) {
+    const node = { path, name: getCategoryName(path), depth: splitCategoryPath(path).length - 1, children: [] };
+    nodes.set(path, node);
+    const parent = getParentCategory(path);
+    (parent ? nodes.get(parent).children : roots).push(node);
+  }
+  return roots;
+}
+
+/**
+ * Category tree as a list in display order (parents before their children)
+ *
+ * @param {Array<Object>} tree - buildCategoryTree result
+ * @returns {Array<Object>} [{ path, name, depth, children }]
+ */
+export function flattenCategoryTree(tree) {
+  return tree.flatMap(node => [node, ...flattenCategoryTree(node.children)]);
+}
+
+/**
+ * Owners responsible for a category: its own, else the nearest ancestor's
+ *
+ * @param {string} path - Category path
+ * @param {Object} owners - { path: [accountId] }
+ * @returns {Object} { owners: [accountId], inheritedFrom: path|null } (inheritedFrom null = the category's own)
+ */
+export function getCategoryOwners(path, owners) {
+  const normalizedPath = normalizeCategoryPath(path);
+  const candidates = [normalizedPath, ...getCategoryAncestors(normalizedPath).reverse()];
+  for (const candidate of candidates) {
+    const accountIds = owners?.[candidate];
+    if (Array.isArray(accountIds) && accountIds.length > 0) {
+      return { owners: accountIds, inheritedFrom: candidate === normalizedPath ? null : candidate };
+    }
+  }
+  return { owners: [], inheritedFrom: null };
+}
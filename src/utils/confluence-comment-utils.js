@@ -0,0 +1,256 @@
+/**
+ * Confluence Inline Comment Utility Functions
+ *
+ * Posts a Confluence inline comment next to an Embed macro. Inline comments
+ * must anchor to text on the page, so the comment goes on the closest heading
+ * above the Embed, or else the first paragraph after it; pages with neither
+ * can't take one (the error message then contains "Could not find suitable
+ * text near Embed").
+ *
+ * Used by the redline queue (postRedlineComment) and to mirror review thread
+ * comments (review-thread-resolvers.js). Backend only - calls the Confluence
+ * API as the current user.
+ */
+
+import api, { route } from '@forge/api';
+
+/**
+ * Post an inline comment on a page, anchored near an Embed
+ *
+ * @param {string} localId - Embed instance ID
+ * @param {string} pageId - Confluence page ID where the Embed is located
+ * @param {string} commentText - Plain comment text
+ * @returns {Promise<Object>} { commentId, textSelection, location }
+ * @throws {Error} When the page can't be read, no anchor text is found, or posting fails
+ */
+export async function postInlineCommentNearEmbed(localId, pageId, commentText) {
+  // Step 1: Fetch page content (ADF) from Confluence
+  console.log(`[postInlineCommentNearEmbed] Fetching page ${pageId} content...`);
+
+  const pageResponse = await api.asUser().requestConfluence(
+    route`/wiki/api/v2/pages/${pageId}?body-format=atlas_doc_format`
+  );
+
+  if (!pageResponse.ok) {
+    throw new Error(`Failed to fetch page: ${pageResponse.status} ${pageResponse.statusText}`);
+  }
+
+  const pageData = await pageResponse.json();
+
+  // The ADF value is returned as a JSON string, so we need to parse it
+  const adfString = pageData.body?.atlas_doc_format?.value;
+
+  if (!adfString) {
+    throw new Error('Page ADF content not found in API response');
+  }
+
+  let adfContent;
+  try {
+    adfContent = JSON.parse(adfString);
+  } catch (parseError) {
+    throw new Error(`Failed to parse ADF content: ${parseError.message}`);
+  }
+
+  console.log(`[postInlineCommentNearEmbed] Fetched page "${pageData.title}", parsed ADF with ${adfContent?.content?.length || 0} top-level nodes`);
+
+  // Step 2: Navigate ADF to find the Embed macro and nearby text for inline comment
+  const { textSelection, matchCount, matchIndex } = findTextNearEmbed(adfContent, localId);
+
+  if (!textSelection) {
+    throw new Error(`Could not find suitable text near Embed ${localId} for inline comment`);
+  }
+
+  console.log(`[postInlineCommentNearEmbed] Found text selection: "${textSelection}" (match ${matchIndex + 1} of ${matchCount})`);
+
+  // Step 3: Post inline comment to Confluence
+  const commentBody = {
+    pageId,
+    body: {
+      representation: 'storage',
+      value: `<p>${commentText.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</p>`
+    },
+    inlineCommentProperties: {
+      textSelection,
+      textSelectionMatchCount: matchCount,
+      textSelectionMatchIndex: matchIndex
+    }
+  };
+
+  console.log(`[postInlineCommentNearEmbed] Posting inline comment...`);
+
+  const commentResponse = await api.asUser().requestConfluence(
+    route`/wiki/api/v2/inline-comments`,
+    {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(commentBody)
+    }
+  );
+
+  if (!commentResponse.ok) {
+    const errorText = await commentResponse.text();
+    throw new Error(`Failed to post comment: ${commentResponse.status} ${commentResponse.statusText} - ${errorText}`);
+  }
+
+  const commentData = await commentResponse.json();
+
+  console.log(`[postInlineCommentNearEmbed] Successfully posted comment ${commentData.id}`);
+
+  return {
+    commentId: commentData.id,
+    textSelection,
+    location: `match ${matchIndex + 1} of ${matchCount}`
+  };
+}
+
+/**
+ * Find suitable text near an Embed macro for inline comment targeting
+ *
+ * Strategy:
+ * 1. Find the Embed macro (extension node) with matching localId
+ * 2. Look for the closest heading before the macro
+ * 3. If no heading, look for the first text paragraph after the macro
+ * 4. Count occurrences of that text in the document
+ *
+ * @param {Object} adfContent - ADF document
+ * @param {string} targetLocalId - Embed localId to find
+ * @returns {Object} { textSelection, matchCount, matchIndex } or { textSelection: null }
+ */
+function findTextNearEmbed(adfContent, targetLocalId) {
+  console.log(`[findTextNearEmbed] 🔍 Starting search for Embed with localId: ${targetLocalId}`);
+  console.log(`[findTextNearEmbed] ADF root type: ${adfContent?.type}, has content: ${Array.isArray(adfContent?.content)}`);
+
+  // Track all content nodes in order for finding previous/next elements
+  const contentNodes = [];
+  let embedNodeIndex = -1;
+  let extensionNodesFound = 0;
+
+  // Recursively walk the ADF tree to collect all content nodes
+  function walkAdf(node, depth = 0) {
+    if (!node || typeof node !== 'object') return;
+
+    // Debug: Log all extension nodes we encounter
+    if (node.type === 'extension') {
+      extensionNodesFound++;
+      console.log(`[findTextNearEmbed] Found extension node #${extensionNodesFound}:`, JSON.stringify({
+        type: node.type,
+        extensionType: node.attrs?.extensionType,
+        extensionKey: node.attrs?.extensionKey,
+        parametersStructure: Object.keys(node.attrs?.parameters || {}),
+        fullParameters: node.attrs?.parameters,
+        macroParams: node.attrs?.parameters?.macroParams,
+        localIdPath1: node.attrs?.parameters?.macroParams?.localId?.value,
+        localIdPath2: node.attrs?.parameters?.macroParams?.localId,
+        localIdPath3: node.attrs?.parameters?.localId,
+        allAttrs: node.attrs
+      }, null, 2));
+    }
+
+    // Check if this is our target Embed macro
+    // The localId can be in multiple locations depending on macro type
+    const nodeLocalId = node.attrs?.localId ||
+                        node.attrs?.parameters?.localId ||
+                        node.attrs?.parameters?.macroParams?.localId?.value;
+
+    if (
+      node.type === 'extension' &&
+      nodeLocalId === targetLocalId
+    ) {
+      console.log(`[findTextNearEmbed] ✅ FOUND TARGET EMBED at node ${contentNodes.length}, localId at: ${
+        node.attrs?.localId ? 'attrs.localId' :
+        node.attrs?.parameters?.localId ? 'attrs.parameters.localId' :
+        'attrs.parameters.macroParams.localId.value'
+      }`);
+      embedNodeIndex = contentNodes.length;
+    }
+
+    // Collect this node if it has useful content
+    contentNodes.push(node);
+
+    // Recurse into content array
+    if (Array.isArray(node.content)) {
+      node.content.forEach(child => walkAdf(child, depth + 1));
+    }
+  }
+
+  walkAdf(adfContent);
+
+  console.log(`[findTextNearEmbed] 📊 Search complete - found ${extensionNodesFound} extension nodes total, collected ${contentNodes.length} content nodes`);
+
+  if (embedNodeIndex === -1) {
+    console.warn(`[findTextNearEmbed] ❌ Could not find Embed with localId ${targetLocalId} among ${extensionNodesFound} extension nodes`);
+    return { textSelection: null };
+  }
+
+  console.log(`[findTextNearEmbed] Found Embed at node index ${embedNodeIndex}`);
+
+  // Strategy 1: Look backwards for the closest heading
+  for (let i = embedNodeIndex - 1; i >= 0; i--) {
+    const node = contentNodes[i];
+    if (node.type === 'heading' && node.content && node.content.length > 0) {
+      const headingText = extractText(node);
+      if (headingText && headingText.trim().length > 0) {
+        const { matchCount, matchIndex } = countTextOccurrences(adfContent, headingText);
+        console.log(`[findTextNearEmbed] Using heading: "${headingText}"`);
+        return { textSelection: headingText, matchCount, matchIndex };
+      }
+    }
+  }
+
+  // Strategy 2: Look forward for the first paragraph with text
+  for (let i = embedNodeIndex + 1; i < contentNodes.length; i++) {
+    const node = contentNodes[i];
+    if (node.type === 'paragraph' && node.content && node.content.length > 0) {
+      const paraText = extractText(node);
+      if (paraText && paraText.trim().length > 0) {
+        const { matchCount, matchIndex } = countTextOccurrences(adfContent, paraText);
+        console.log(`[findTextNearEmbed] Using paragraph: "${paraText}"`);
+        return { textSelection: paraText, matchCount, matchIndex };
+      }
+    }
+  }
+
+  console.warn(`[findTextNearEmbed] Could not find suitable text near Embed`);
+  return { textSelection: null };
+}
+
+/**
+ * Extract plain text from an ADF node
+ */
+function extractText(node) {
+  if (!node) return '';
+
+  if (node.type === 'text') {
+    return node.text || '';
+  }
+
+  if (Array.isArray(node.content)) {
+    return node.content.map(extractText).join('');
+  }
+
+  return '';
+}
+
+/**
+ * Count how many times text appears in ADF document and find the index of the first occurrence
+ */
+function countTextOccurrences(adfContent, targetText) {
+  const allText = extractText(adfContent);
+  let count = 0;
+  let matchIndex = 0;
+  let lastIndex = 0;
+
+  // Count occurrences
+  while ((lastIndex = allText.indexOf(targetText, lastIndex)) !== -1) {
+    if (count === 0) {
+      matchIndex = count; // First occurrence
+    }
+    count++;
+    lastIndex += targetText.length;
+  }
+
+  return { matchCount: count, matchIndex };
+}
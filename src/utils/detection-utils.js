@@ -6,57 +6,232 @@
  */
 
 import { extractTextFromAdf } from './adf-utils.js';
+import { parsePlaceholder, isBlockMarker } from './variable-filters.js';
+import { getConditionVariables, parseCondition, matchConditionMarker } from './variable-conditions.js';
+import { matchLoopMarker } from './variable-loops.js';
 
 /**
  * Detect variables in content using {{variable}} syntax
  *
  * Searches for variable placeholders in the format {{variable-name}} and returns
  * an array of unique variables found. Excludes toggle markers ({{toggle:...}}).
+ * Pipe filters are stripped, so {{name | upper}} and {{name}} are the same variable.
+ * Variables that only appear in {{#if ...}} conditions are included too.
  * Supports both plain text strings and ADF format objects.
+ * Detected variables default to type 'text'; the Source author can change the
+ * type (number, date, enum, ...) in the Source config.
+ *
+ * Variables iterated with {{#each list}} are detected as type 'list'. Placeholders
+ * inside the loop that never appear outside it are that list's item fields
+ * (reported as itemFields, not as separate variables).
  *
  * @param {string|Object} content - The content to scan (plain text or ADF object)
- * @returns {Array<Object>} Array of variable objects with name, description, and example
+ * @returns {Array<Object>} Array of variable objects with name, description, example, and type
  *
  * @example
  * const content = "Hello {{name}}, your {{role}} is important.";
  * const vars = detectVariables(content);
  * // Returns: [
- * //   { name: 'name', description: '', example: '' },
- * //   { name: 'role', description: '', example: '' }
+ * //   { name: 'name', description: '', example: '', type: 'text' },
+ * //   { name: 'role', description: '', example: '', type: 'text' }
+ * // ]
+ *
+ * @example
+ * detectVariables('{{#each venues}}{{name}} - {{venues.city}}{{/each}}');
+ * // Returns: [
+ * //   { name: 'venues', description: '', example: '', type: 'list', itemFields: ['name', 'city'] }
  * // ]
  */
 export function detectVariables(content) {
   const variables = [];
   const variableRegex = /\{\{([^}]+)\}\}/g;
+  const loopStack = []; // List variables whose {{#each}} block we're inside
+  const loopFields = new Map(); // list name -> candidate item field names
   let match;
 
-  // Extract text from content (handle both string and ADF object)
-  let textContent = '';
-  if (typeof content === 'string') {
-    textContent = content;
-  } else if (content && typeof content === 'object') {
-    // ADF format
-    textContent = extractTextFromAdf(content);
-  }
+  const textContent = getTextContent(content);
 
-  while ((match = variableRegex.exec(textContent)) !== null) {
-    const varName = match[1].trim();
-    // Skip toggle markers (they start with "toggle:" or "/toggle:")
-    if (varName.startsWith('toggle:') || varName.startsWith('/toggle:')) {
-      continue;
+  const addVariable = (varName, type = 'text') => {
+    const existing = variables.find(v => v.name === varName);
+    if (existing) {
+      if (type === 'list' && existing.type !== 'list') {
+        existing.type = 'list';
+        existing.itemFields = [];
+      }
+      return;
     }
-    if (!variables.find(v => v.name === varName)) {
+    if (varName) {
       variables.push({
         name: varName,
         description: '',
-        example: ''
+        example: '',
+        type,
+        ...(type === 'list' ? { itemFields: [] } : {})
       });
     }
+  };
+
+  // Inside a loop, a name is a candidate item field of the innermost list
+  // (or of the named list for qualified {{venues.city}} references)
+  const addReference = (varName) => {
+    if (loopStack.length === 0) {
+      addVariable(varName);
+      return;
+    }
+    if (varName === 'this' || varName.startsWith('@')) {
+      return;
+    }
+    const dotIndex = varName.indexOf('.');
+    const qualifiedList = dotIndex > 0 ? varName.substring(0, dotIndex) : null;
+    if (qualifiedList && loopStack.includes(qualifiedList)) {
+      loopFields.get(qualifiedList).add(varName.substring(dotIndex + 1));
+      return;
+    }
+    loopFields.get(loopStack[loopStack.length - 1]).add(varName);
+  };
+
+  while ((match = variableRegex.exec(textContent)) !== null) {
+    const placeholder = match[1].trim();
+    const loopMarker = matchLoopMarker(match[0]);
+    const conditionMarker = matchConditionMarker(match[0]);
+
+    if (loopMarker?.kind === 'each') {
+      addVariable(loopMarker.name, 'list');
+      loopStack.push(loopMarker.name);
+      if (!loopFields.has(loopMarker.name)) {
+        loopFields.set(loopMarker.name, new Set());
+      }
+    } else if (loopMarker?.kind === 'endeach') {
+      loopStack.pop();
+    } else if (conditionMarker?.kind === 'if') {
+      // Variables referenced by conditions need an input in the Embed too
+      getConditionVariables(conditionMarker.expression).forEach(addReference);
+    } else if (!isBlockMarker(placeholder)) {
+      // Skip toggle markers, {{else}}/{{/if}} and {{include:...}}
+      addReference(parsePlaceholder(placeholder).name);
+    }
+  }
+
+  // Names also used outside the loop are outer variables, not item fields
+  for (const [listName, fields] of loopFields) {
+    const listVariable = variables.find(v => v.name === listName);
+    for (const field of fields) {
+      if (variables.find(v => v.name === field && v.type !== 'list')) {
+        continue;
+      }
+      if (!listVariable.itemFields.includes(field)) {
+        listVariable.itemFields.push(field);
+      }
+    }
   }
 
   return variables;
 }
 
+/**
+ * Extract plain text from content (plain text string or ADF object)
+ *
+ * @param {string|Object} content - The content to scan
+ * @returns {string} Text content
+ */
+function getTextContent(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (content && typeof content === 'object') {
+    // ADF format
+    return extractTextFromAdf(content);
+  }
+  return '';
+}
+
+/**
+ * Detect conditional blocks in content using {{#if condition}} syntax
+ *
+ * Returns each unique condition with the variables it depends on, so the Embed
+ * Write tab can explain why a block is shown or hidden. Malformed conditions are
+ * still reported, with an error message (they always evaluate to false).
+ * Conditions inside {{#each}} blocks are skipped - they depend on each list item.
+ *
+ * @param {string|Object} content - The content to scan (plain text or ADF object)
+ * @returns {Array<Object>} Array of condition objects with expression, variables, and error
+ *
+ * @example
+ * const content = '{{#if platform == "Ticketmaster"}}TM setup{{else}}Other setup{{/if}}';
+ * const conditions = detectConditions(content);
+ * // Returns: [
+ * //   { expression: 'platform == "Ticketmaster"', variables: ['platform'], error: null }
+ * // ]
+ */
+export function detectConditions(content) {
+  const conditions = [];
+  const markerRegex = /\{\{\s*(?:#if\s+[^}]+|#each\s+[^}]+|\/each\s*)\}\}/g;
+  const textContent = getTextContent(content);
+  let loopDepth = 0;
+  let match;
+
+  while ((match = markerRegex.exec(textContent)) !== null) {
+    const loopMarker = matchLoopMarker(match[0]);
+    if (loopMarker) {
+      loopDepth = Math.max(0, loopDepth + (loopMarker.kind === 'each' ? 1 : -1));
+      continue;
+    }
+    // Conditions inside {{#each}} are evaluated per item, not against the Embed's values
+    if (loopDepth > 0) {
+      continue;
+    }
+
+    const expression = matchConditionMarker(match[0]).expression;
+    if (conditions.find(c => c.expression === expression)) {
+      continue;
+    }
+
+    let error = null;
+    try {
+      parseCondition(expression);
+    } catch (e) {
+      error = e.message;
+    }
+
+    conditions.push({
+      expression,
+      variables: getConditionVariables(expression),
+      error
+    });
+  }
+
+  return conditions;
+}
+
+/**
+ * Detect nested Source includes in content using {{include:SourceName}} syntax
+ *
+ * Returns the unique Source names referenced, in order of appearance. The
+ * included content is resolved at render time (see nested-source-utils.js).
+ *
+ * @param {string|Object} content - The content to scan (plain text or ADF object)
+ * @returns {Array<string>} Included Source names
+ *
+ * @example
+ * detectIncludes('Intro {{include:Standard Disclaimer}}');
+ * // Returns: ['Standard Disclaimer']
+ */
+export function detectIncludes(content) {
+  const includes = [];
+  const includeRegex = /\{\{\s*include:([^}]+)\}\}/g;
+  const textContent = getTextContent(content);
+  let match;
+
+  while ((match = includeRegex.exec(textContent)) !== null) {
+    const sourceName = match[1].trim();
+    if (sourceName && !includes.includes(sourceName)) {
+      includes.push(sourceName);
+    }
+  }
+
+  return includes;
+}
+
 /**
  * Detect toggle blocks in content using {{toggle:name}} syntax
  *
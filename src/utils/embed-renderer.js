@@ -0,0 +1,100 @@
+/**
+ * Embed Renderer
+ *
+ * The single server-side rendering pipeline for an Embed instance: it turns a
+ * Source's content plus one Embed's config (macro-vars:{localId}) into exactly
+ * what the reader sees. Everything that writes macro-cache:{localId} or shows a
+ * rendered Embed outside the Embed macro itself goes through renderEmbed, so
+ * cached content can't drift from the live Embed:
+ * - saveVariableValues / saveCachedContent (include-resolvers.js, simple-resolvers.js)
+ * - pushUpdatesToAll / pushUpdatesToPage (usage-resolvers.js)
+ * - getRedlineQueue previews (redline-resolvers.js)
+ * - injectIncludeContent (injection-resolver.js)
+ *
+ * Pipeline order (ADF):
+ *   1. tagParagraphAnchors        - fingerprint Source paragraphs (insertion-anchor-utils.js)
+ *   2. filterContentByToggles     - remove disabled toggle blocks
+ *   3. substituteVariablesInAdf   - defaults/computed values, loops, conditions, filters
+ *   4. applyBlockOverridesInAdf   - the Embed's own wording for single paragraphs
+ *   5. insertCustomParagraphsInAdf
+ *   6. insertInternalNotesInAdf   - anchored items follow their tagged paragraph; legacy
+ *                                   positions index the toggle-filtered paragraphs,
+ *                                   which is what the Custom tab shows when picking them
+ *   7. cleanAdfForRenderer        - also strips the anchor tags
+ *
+ * Nested Sources must already be expanded (resolveNestedSources) before rendering.
+ */
+
+import {
+  filterContentByToggles,
+  substituteVariablesInAdf,
+  applyBlockOverridesInAdf,
+  insertCustomParagraphsInAdf,
+  insertInternalNotesInAdf,
+  cleanAdfForRenderer
+} from './adf-rendering-utils.js';
+import { tagParagraphAnchors } from './insertion-anchor-utils.js';
+import { resolveVariableValues } from './variable-resolution.js';
+import { substituteVariablesInText } from './variable-filters.js';
+
+/**
+ * Filter toggle blocks out of plain-text (non-ADF) content
+ *
+ * @param {string} text - Plain-text Source content
+ * @param {Object} toggleStates - Map of toggle name -> enabled
+ * @returns {string} Text with disabled blocks and all toggle markers removed
+ */
+function filterTextByToggles(text, toggleStates) {
+  const toggleRegex = /\{\{toggle:([^}]+)\}\}([\s\S]*?)\{\{\/toggle:\1\}\}/g;
+  return text
+    .replace(toggleRegex, (match, toggleName, content) => (
+      (toggleStates || {})[toggleName.trim()] === true ? content : ''
+    ))
+    // Strip any remaining (unbalanced) markers
+    .replace(/\{\{toggle:[^}]+\}\}/g, '')
+    .replace(/\{\{\/toggle:[^}]+\}\}/g, '');
+}
+
+/**
+ * Render an Embed instance
+ *
+ * @param {Object} excerpt - Source ({content, variables}); nested Sources already resolved
+ * @param {Object} macroVars - Embed config ({variableValues, toggleStates, blockOverrides, customInsertions, internalNotes})
+ * @returns {Object|string|null} Rendered ADF document (or text for plain-text Sources), null if no content
+ *
+ * @example
+ * const excerpt = await resolveNestedSources(await storage.get(`excerpt:${excerptId}`));
+ * const macroVars = await storage.get(`macro-vars:${localId}`);
+ * await storage.set(`macro-cache:${localId}`, {
+ *   content: renderEmbed(excerpt, macroVars),
+ *   cachedAt: new Date().toISOString()
+ * });
+ */
+export function renderEmbed(excerpt, macroVars) {
+  const content = excerpt?.content;
+  if (!content) {
+    return null;
+  }
+
+  const variableValues = macroVars?.variableValues || {};
+  const toggleStates = macroVars?.toggleStates || {};
+
+  const isAdf = typeof content === 'object' && content.type === 'doc';
+  if (!isAdf) {
+    const text = typeof content === 'string' ? content : String(content);
+    return substituteVariablesInText(
+      filterTextByToggles(text, toggleStates),
+      resolveVariableValues(excerpt.variables, variableValues)
+    );
+  }
+
+  // TODO: Fix for GitHub issue #2 - Free Write paragraph insertion position with enabled toggles.
+  // Insertions would ideally be placed before toggle filtering, but that needs the Custom tab
+  // to index unfiltered paragraphs (and a migration of stored positions) first.
+  let rendered = filterContentByToggles(tagParagraphAnchors(content), toggleStates);
+  rendered = substituteVariablesInAdf(rendered, variableValues, excerpt.variables);
+  rendered = applyBlockOverridesInAdf(rendered, macroVars?.blockOverrides || []);
+  rendered = insertCustomParagraphsInAdf(rendered, macroVars?.customInsertions || []);
+  rendered = insertInternalNotesInAdf(rendered, macroVars?.internalNotes || []);
+  return cleanAdfForRenderer(rendered);
+}
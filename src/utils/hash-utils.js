@@ -44,7 +44,7 @@ function normalizeJSON(obj) {
  * - content (ADF document)
  * - name
  * - category
- * - variables (array of {name, description, example, required})
+ * - variables (array of {name, description, example, required, type, allowedValues, itemFields, defaultValue, formula})
  * - toggles (array of {name, description})
  * - documentationLinks (array of {anchor, url})
  *
@@ -0,0 +1,190 @@
+/**
+ * Impact Analysis Utility Functions
+ *
+ * Works out what a Source change would do downstream before it is saved, so
+ * the author sees it up front instead of in the redline queue afterwards:
+ * - how many Embeds (and pages) use the Source, directly or through a Source
+ *   that includes it
+ * - Embeds whose custom insertions / internal notes / paragraph overrides are
+ *   anchored to a paragraph the change edits or removes, so re-anchoring moves
+ *   them to a similar paragraph (overrides: flags them as possibly outdated) or
+ *   leaves them orphaned (insertion-anchor-utils.js)
+ * - Embeds that have a toggle enabled which the change removes
+ * - Approved Embeds that will drop back to needs-revision once they pick up the
+ *   change (saveVariableValues auto-transitions them)
+ *
+ * The change is compared with the live Source, which is what Embeds render.
+ *
+ * Backend only (reads @forge/api storage).
+ */
+
+import { storage } from '@forge/api';
+import { detectVariables, detectToggles, detectConditions, detectIncludes } from './detection-utils.js';
+import { addFormulaReferencedVariables } from './variable-resolution.js';
+import { calculateContentHash } from './hash-utils.js';
+import { resolveNestedSources } from './nested-source-utils.js';
+import { collectMigrationTargets } from './variable-migration-utils.js';
+import { cleanRenameMap } from './variable-rename-utils.js';
+import { reanchorEmbedItems } from './insertion-anchor-utils.js';
+import { withVariableScopes } from './storage-utils.js';
+import { APPROVED_REDLINE_STATE } from './redline-workflow-utils.js';
+
+/**
+ * Build the excerpt a content change would produce (same re-detection as
+ * updateExcerptContent: existing variable/toggle metadata is kept by name)
+ *
+ * @param {Object} excerpt - Live excerpt
+ * @param {Object|string} content - New content
+ * @returns {Object} Excerpt with the new content, variables, toggles and contentHash
+ */
+export function buildPreviewExcerpt(excerpt, content) {
+  const existingMetadata = Object.fromEntries((excerpt.variables || []).map(v => [v.name, v]));
+  const variables = addFormulaReferencedVariables(detectVariables(content), existingMetadata).map(v => {
+    const existing = existingMetadata[v.name];
+    if (existing) {
+      return v.type === 'list' ? { ...existing, type: 'list', itemFields: v.itemFields || [] } : existing;
+    }
+    return {
+      name: v.name,
+      description: '',
+      example: '',
+      required: false,
+      type: v.type || 'text',
+      allowedValues: [],
+      itemFields: v.itemFields || [],
+      defaultValue: '',
+      formula: ''
+    };
+  });
+  const toggles = detectToggles(content).map(t => (
+    (excerpt.toggles || []).find(et => et.name === t.name) || { name: t.name, description: '' }
+  ));
+
+  const preview = {
+    ...excerpt,
+    content,
+    variables,
+    toggles,
+    conditions: detectConditions(content),
+    includes: detectIncludes(content)
+  };
+  preview.contentHash = calculateContentHash(preview);
+  return preview;
+}
+
+/**
+ * Predict what re-anchoring does to an Embed's insertions and notes
+ *
+ * Items whose paragraph is unchanged stay put and aren't reported; the rest
+ * either move to the most similar (edited) paragraph or lose their paragraph.
+ *
+ * @param {Object} previewExcerpt - Changed Source (nested Sources resolved)
+ * @param {Object} macroVars - Embed config
+ * @returns {Array<Object>} [{ kind: 'insertion'|'note'|'override', anchorText, newAnchorText: string|null }]
+ *   (newAnchorText null = the item loses its paragraph)
+ */
+export function predictReanchoring(previewExcerpt, macroVars) {
+  const result = reanchorEmbedItems(previewExcerpt, macroVars, macroVars?.syncedContent);
+
+  const describe = (kind, before, after) => after.flatMap((item, index) => {
+    const previous = before[index];
+    if (previous?.orphaned) {
+      return [];
+    }
+    if (item.orphaned) {
+      return [{ kind, anchorText: item.anchor?.text || '', newAnchorText: null }];
+    }
+    if (previous?.anchor?.fingerprint && item.anchor?.fingerprint !== previous.anchor.fingerprint) {
+      return [{ kind, anchorText: previous.anchor.text, newAnchorText: item.anchor?.text || '' }];
+    }
+    return [];
+  });
+
+  return [
+    ...describe('insertion', macroVars?.customInsertions || [], result.customInsertions),
+    ...describe('note', macroVars?.internalNotes || [], result.internalNotes),
+    ...describe('override', macroVars?.blockOverrides || [], result.blockOverrides)
+  ];
+}
+
+/**
+ * Analyze what saving new content for a Source would do to its Embeds
+ *
+ * @param {string} excerptId - Source ID
+ * @param {Object|string} content - Proposed content
+ * @param {Object} renames - { variables, toggles } confirmed renames (renamed toggles aren't "removed")
+ * @returns {Promise<Object|null>} Impact summary, or null if the Source doesn't exist:
+ *   { totalEmbeds, totalPages, contentChanged, removedToggles: [names],
+ *     reanchoredEmbeds: [{ ...embed, items }], toggleEmbeds: [{ ...embed, toggles }],
+ *     approvedEmbeds: [{ ...embed, approvedBy, approvedAt }] }
+ *   where embed is { localId, pageId, pageTitle, includedVia }
+ */
+export async function analyzeSourceImpact(excerptId, content, renames = {}) {
+  const liveExcerpt = await storage.get(`excerpt:${excerptId}`);
+  if (!liveExcerpt) {
+    return null;
+  }
+
+  const previewExcerpt = buildPreviewExcerpt(liveExcerpt, content);
+  const contentChanged = previewExcerpt.contentHash !== liveExcerpt.contentHash;
+
+  const renamedToggles = cleanRenameMap(renames?.toggles);
+  const nextToggleNames = previewExcerpt.toggles.map(t => t.name);
+  const removedToggles = (liveExcerpt.toggles || [])
+    .map(t => t.name)
+    .filter(name => !nextToggleNames.includes(name) && !renamedToggles[name]);
+
+  // Direct Embeds render the resolved Source content
+  const resolvedPreview = await resolveNestedSources(previewExcerpt);
+
+  const targets = await collectMigrationTargets(excerptId);
+  const pageIds = new Set();
+  const reanchoredEmbeds = [];
+  const toggleEmbeds = [];
+  const approvedEmbeds = [];
+  const scopeCache = new Map();
+
+  for (const target of targets) {
+    const embed = {
+      localId: target.localId,
+      pageId: target.ref?.pageId || null,
+      pageTitle: target.ref?.pageTitle || 'Unknown Page',
+      includedVia: target.includedVia
+    };
+    if (embed.pageId) {
+      pageIds.add(embed.pageId);
+    }
+
+    const macroVars = await storage.get(`macro-vars:${target.localId}`);
+    if (!macroVars) {
+      continue;
+    }
+
+    // Embeds of an including Source render that Source - not analyzed here
+    if (contentChanged && !target.includedVia) {
+      const items = predictReanchoring(resolvedPreview, await withVariableScopes(macroVars, scopeCache));
+      if (items.length > 0) {
+        reanchoredEmbeds.push({ ...embed, items });
+      }
+    }
+
+    const enabledRemovedToggles = removedToggles.filter(name => macroVars.toggleStates?.[name] === true);
+    if (enabledRemovedToggles.length > 0) {
+      toggleEmbeds.push({ ...embed, toggles: enabledRemovedToggles });
+    }
+
+    if (contentChanged && macroVars.redlineStatus === APPROVED_REDLINE_STATE) {
+      approvedEmbeds.push({ ...embed, approvedBy: macroVars.approvedBy || null, approvedAt: macroVars.approvedAt || null });
+    }
+  }
+
+  return {
+    totalEmbeds: targets.length,
+    totalPages: pageIds.size,
+    contentChanged,
+    removedToggles,
+    reanchoredEmbeds,
+    toggleEmbeds,
+    approvedEmbeds
+  };
+}
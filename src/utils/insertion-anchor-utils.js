@@ -0,0 +1,332 @@
+/**
+ * Insertion Anchor Utility Functions
+ *
+ * Custom insertions (Free Write paragraphs) and internal notes used to be
+ * placed by paragraph index, so any paragraph added to or removed from the
+ * Source moved every Embed's insertions. They are now anchored to the content
+ * of the paragraph they follow:
+ *
+ *   { position, text, anchor: { fingerprint, text } }   // custom insertion
+ *   { position, content, anchor: { fingerprint, text } } // internal note
+ *
+ * - fingerprint: hash of the paragraph's Source text (before toggle filtering and
+ *   variable substitution, so it doesn't change with the Embed's settings), with
+ *   an occurrence suffix for repeated paragraphs
+ * - text: the paragraph as the Embed author saw it, used to re-anchor by
+ *   similarity after the paragraph itself was edited
+ * - position: index of the paragraph in the Embed's rendered paragraphs, kept
+ *   up to date as a fallback for untagged content
+ * - orphaned: true once re-anchoring found no matching paragraph; such items are
+ *   not rendered and are listed for the author to re-place or delete
+ *
+ * Block overrides (the Embed's own wording for one Source paragraph) use the same
+ * anchors, plus what is needed to notice the Source editing that paragraph later:
+ *
+ *   { position, text, adf, anchor, baseText, conflict? }
+ *
+ * - baseText: the paragraph as it read when the override was written
+ * - conflict: true once re-anchoring moved the override to an edited paragraph -
+ *   the override still replaces it, but may be outdated (three-way diff:
+ *   baseText / anchor.text / the override)
+ *
+ * Rendering tags every Source paragraph with its fingerprint (tagParagraphAnchors)
+ * before filtering/substitution; insertCustomParagraphsInAdf and
+ * insertInternalNotesInAdf then place anchored items by tag.
+ *
+ * Shared by the Embed UI and the backend (saveVariableValues, the re-anchoring
+ * worker), so this module must stay free of frontend-only or backend-only imports.
+ */
+
+import {
+  PARAGRAPH_ANCHOR_ATTR,
+  filterContentByToggles,
+  stripToggleMarkers,
+  substituteVariablesInAdf,
+  extractParagraphsFromAdf
+} from './adf-rendering-utils.js';
+
+// Minimum word overlap (0-1) for re-anchoring to an edited paragraph
+const REANCHOR_SIMILARITY_THRESHOLD = 0.6;
+
+/**
+ * Normalize paragraph text for fingerprinting (case and whitespace insensitive)
+ *
+ * @param {string} text - Paragraph text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 32-bit FNV-1a hash of a string, as 8 hex characters
+ *
+ * @param {string} text - Text to hash
+ * @returns {string} Hash
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Plain text of an ADF node (text nodes concatenated)
+ *
+ * @param {Object} node - ADF node
+ * @returns {string} Text
+ */
+function getNodeText(node) {
+  if (!node) return '';
+  if (node.type === 'text') return node.text || '';
+  return Array.isArray(node.content) ? node.content.map(getNodeText).join('') : '';
+}
+
+/**
+ * Tag every non-empty paragraph of Source content with its anchor fingerprint
+ *
+ * Must run on the Source content before filterContentByToggles /
+ * substituteVariablesInAdf, which keep paragraph attrs.
+ *
+ * @param {Object} adfNode - Source ADF document
+ * @returns {Object} Copy with paragraph attrs[PARAGRAPH_ANCHOR_ATTR] set
+ */
+export function tagParagraphAnchors(adfNode) {
+  if (!adfNode || typeof adfNode !== 'object' || !Array.isArray(adfNode.content)) {
+    return adfNode;
+  }
+
+  const occurrences = new Map();
+
+  const tag = (node) => {
+    if (!node || typeof node !== 'object') return node;
+
+    const tagged = Array.isArray(node.content) ? { ...node, content: node.content.map(tag) } : node;
+    if (node.type !== 'paragraph') {
+      return tagged;
+    }
+
+    const text = normalizeText(getNodeText(node));
+    if (!text) {
+      return tagged;
+    }
+    const occurrence = occurrences.get(text) || 0;
+    occurrences.set(text, occurrence + 1);
+
+    return {
+      ...tagged,
+      attrs: {
+        ...(node.attrs || {}),
+        [PARAGRAPH_ANCHOR_ATTR]: hashText(occurrence > 0 ? `${text}#${occurrence}` : text)
+      }
+    };
+  };
+
+  return tag(adfNode);
+}
+
+/**
+ * Paragraphs of an Embed's content as the Custom tab lists them, with anchors
+ *
+ * @param {Object} content - Source ADF (nested Sources resolved)
+ * @param {Object} options
+ * @param {Object} options.variableValues - Embed variable values
+ * @param {Object} options.toggleStates - Embed toggle states
+ * @param {Array<Object>} options.variables - Source variable definitions
+ * @param {boolean} options.allToggles - List paragraphs of disabled toggles too
+ * @returns {Array<Object>} extractParagraphsFromAdf result ({ index, lastSentence, fullText, anchor })
+ */
+export function getAnchoredParagraphs(content, { variableValues = {}, toggleStates = {}, variables, allToggles = false } = {}) {
+  if (!content || typeof content !== 'object' || content.type !== 'doc') {
+    return [];
+  }
+  const tagged = tagParagraphAnchors(content);
+  const filtered = allToggles ? stripToggleMarkers(tagged) : filterContentByToggles(tagged, toggleStates);
+  return extractParagraphsFromAdf(substituteVariablesInAdf(filtered, variableValues, variables));
+}
+
+/**
+ * Anchor for an item placed after the given paragraph
+ *
+ * @param {Object} paragraph - Entry from getAnchoredParagraphs
+ * @returns {Object|null} { fingerprint, text }, or null for untagged paragraphs
+ */
+export function createInsertionAnchor(paragraph) {
+  return paragraph?.anchor ? { fingerprint: paragraph.anchor, text: paragraph.fullText } : null;
+}
+
+/**
+ * Paragraph an item is currently attached to
+ *
+ * @param {Array<Object>} paragraphs - Entries from getAnchoredParagraphs
+ * @param {Object} item - Custom insertion or internal note
+ * @returns {Object|undefined} Paragraph, if the item isn't orphaned and its paragraph is listed
+ */
+export function findItemParagraph(paragraphs, item) {
+  if (item.orphaned) {
+    return undefined;
+  }
+  return item.anchor?.fingerprint
+    ? paragraphs.find(p => p.anchor === item.anchor.fingerprint)
+    : paragraphs.find(p => p.index === item.position);
+}
+
+/**
+ * Word overlap between two texts (Jaccard index of their word sets)
+ *
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} 0 (nothing shared) to 1 (same words)
+ */
+export function textSimilarity(a, b) {
+  const words = (text) => new Set(normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+  const wordsA = words(a);
+  const wordsB = words(b);
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Re-anchor items after the Source content changed
+ *
+ * An item keeps its paragraph if the fingerprint is still there, moves to the
+ * most similar paragraph if its paragraph was edited, and is flagged orphaned
+ * if nothing is close enough. Items without an anchor (created before anchors
+ * existed) are first anchored to the paragraph at their position in
+ * legacyParagraphs - the content they were placed against.
+ *
+ * @param {Array<Object>} items - Custom insertions or internal notes
+ * @param {Object} context
+ * @param {Array<Object>} context.paragraphs - All paragraphs of the new content (allToggles)
+ * @param {Array<Object>} context.visibleParagraphs - Paragraphs the Embed renders (for position)
+ * @param {Array<Object>} context.legacyParagraphs - Paragraphs legacy positions refer to
+ * @returns {Object} { items: updated copy, changed: boolean, orphaned: [items newly orphaned] }
+ */
+export function reanchorItems(items, { paragraphs, visibleParagraphs, legacyParagraphs = [] }) {
+  const orphaned = [];
+
+  const updated = (items || []).map(item => {
+    const anchor = item.anchor?.fingerprint
+      ? item.anchor
+      : createInsertionAnchor(legacyParagraphs.find(p => p.index === item.position));
+    if (!anchor) {
+      return item;
+    }
+
+    let match = paragraphs.find(p => p.anchor === anchor.fingerprint);
+    if (!match) {
+      let bestScore = REANCHOR_SIMILARITY_THRESHOLD;
+      for (const paragraph of paragraphs) {
+        const score = textSimilarity(anchor.text, paragraph.fullText);
+        if (score >= bestScore) {
+          match = paragraph;
+          bestScore = score;
+        }
+      }
+    }
+
+    if (!match) {
+      if (!item.orphaned) {
+        orphaned.push(item);
+      }
+      return { ...item, anchor, orphaned: true };
+    }
+
+    const { orphaned: wasOrphaned, ...rest } = item;
+    const visible = visibleParagraphs.find(p => p.anchor === match.anchor);
+    return {
+      ...rest,
+      anchor: match.anchor === anchor.fingerprint ? anchor : createInsertionAnchor(match),
+      position: visible ? visible.index : item.position
+    };
+  });
+
+  return {
+    items: updated,
+    changed: JSON.stringify(updated) !== JSON.stringify(items || []),
+    orphaned
+  };
+}
+
+/**
+ * Re-anchor an Embed's custom insertions and internal notes against its Source
+ *
+ * @param {Object} excerpt - The Embed's Source (nested Sources resolved)
+ * @param {Object} macroVars - Embed config (variableValues, toggleStates, customInsertions, internalNotes, blockOverrides)
+ * @param {Object|null} legacyContent - Content legacy positions refer to (the Embed's syncedContent)
+ * @returns {Object} { customInsertions, internalNotes, blockOverrides, changed, orphaned: [items newly orphaned] }
+ */
+export function reanchorEmbedItems(excerpt, macroVars, legacyContent = null) {
+  const options = {
+    variableValues: macroVars?.variableValues || {},
+    toggleStates: macroVars?.toggleStates || {},
+    variables: excerpt?.variables
+  };
+  const context = {
+    paragraphs: getAnchoredParagraphs(excerpt?.content, { ...options, allToggles: true }),
+    visibleParagraphs: getAnchoredParagraphs(excerpt?.content, options),
+    legacyParagraphs: getAnchoredParagraphs(legacyContent || excerpt?.content, options)
+  };
+
+  const insertions = reanchorItems(macroVars?.customInsertions, context);
+  const notes = reanchorItems(macroVars?.internalNotes, context);
+  const overrides = reanchorItems(macroVars?.blockOverrides, context);
+
+  // An override that had to follow its paragraph to an edited one may be outdated.
+  // Legacy overrides (no anchor yet) are compared with the paragraph at their
+  // position in legacyParagraphs, the one they were written against.
+  const blockOverrides = overrides.items.map((override, i) => {
+    const previous = macroVars.blockOverrides[i];
+    const baseAnchor = previous.anchor?.fingerprint
+      ? previous.anchor
+      : createInsertionAnchor(context.legacyParagraphs.find(p => p.index === previous.position));
+    const withBase = previous.baseText === undefined && baseAnchor
+      ? { ...override, baseText: baseAnchor.text }
+      : override;
+    return !override.orphaned && override.anchor?.fingerprint !== baseAnchor?.fingerprint
+      ? { ...withBase, conflict: true }
+      : withBase;
+  });
+
+  return {
+    customInsertions: insertions.items,
+    internalNotes: notes.items,
+    blockOverrides,
+    changed: insertions.changed || notes.changed || overrides.changed,
+    orphaned: [...insertions.orphaned, ...notes.orphaned, ...overrides.orphaned]
+  };
+}
+
+/**
+ * Mark a conflicting block override as reviewed: the current Source paragraph
+ * becomes its new base, so it's only flagged again if the Source changes again
+ *
+ * @param {Object} override - Block override with conflict: true
+ * @returns {Object} Override without the conflict flag
+ */
+export function rebaseBlockOverride(override) {
+  const { conflict, ...rest } = override;
+  return { ...rest, baseText: override.anchor?.text || override.baseText };
+}
+
+/**
+ * Insertions, notes and block overrides of an Embed that could not be re-anchored
+ *
+ * @param {Object} macroVars - Embed config
+ * @returns {Array<Object>} [{ kind: 'insertion'|'note'|'override', index, text, anchorText }]
+ */
+export function getOrphanedItems(macroVars) {
+  return [
+    ...(macroVars?.customInsertions || []).map((item, index) => ({ kind: 'insertion', index, text: item.text, item })),
+    ...(macroVars?.internalNotes || []).map((item, index) => ({ kind: 'note', index, text: item.content, item })),
+    ...(macroVars?.blockOverrides || []).map((item, index) => ({ kind: 'override', index, text: item.text, item }))
+  ]
+    .filter(entry => entry.item.orphaned)
+    .map(({ item, ...entry }) => ({ ...entry, anchorText: item.anchor?.text || '' }));
+}
@@ -0,0 +1,67 @@
+/**
+ * Insertion Re-anchoring Utility Functions
+ *
+ * Backend side of content-anchored custom insertions and internal notes (see
+ * insertion-anchor-utils.js): when a Source's content changes, every Embed
+ * that shows it - directly or through a Source that includes it - gets its
+ * insertions re-anchored in the background (workers/insertionReanchorWorker.js).
+ *
+ * Backend only (reads @forge/api storage, pushes to a @forge/events queue).
+ */
+
+import { storage } from '@forge/api';
+import { Queue } from '@forge/events';
+import { generateUUID } from '../utils.js';
+
+export const INSERTION_REANCHOR_QUEUE = 'insertion-reanchor-queue';
+
+/**
+ * Queue re-anchoring of the insertions of all Embeds of a Source
+ *
+ * Progress is written to progress:{progressId} (poll with getCheckProgress).
+ *
+ * @param {string} excerptId - Source whose content changed
+ * @param {string|null} accountId - User who made the change (recorded on the version snapshots)
+ * @returns {Promise<Object|null>} { jobId, progressId }, or null if the job couldn't be queued
+ *   (not fatal - each Embed is also re-anchored by saveVariableValues on its next save)
+ */
+export async function queueInsertionReanchor(excerptId, accountId) {
+  try {
+    return await pushReanchorJob(excerptId, accountId);
+  } catch (error) {
+    console.warn(`[queueInsertionReanchor] Could not queue re-anchoring for Source ${excerptId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Write the queued progress record and push the job
+ *
+ * @param {string} excerptId - Source whose content changed
+ * @param {string|null} accountId - User who made the change
+ * @returns {Promise<Object>} { jobId, progressId }
+ */
+async function pushReanchorJob(excerptId, accountId) {
+  const progressId = generateUUID();
+  await storage.set(`progress:${progressId}`, {
+    phase: 'queued',
+    percent: 0,
+    status: 'Re-anchoring custom insertions queued...',
+    total: 0,
+    processed: 0,
+    queuedAt: new Date().toISOString()
+  });
+
+  const queue = new Queue({ key: INSERTION_REANCHOR_QUEUE });
+  const { jobId } = await queue.push({
+    body: {
+      progressId,
+      excerptId,
+      accountId: accountId || null
+    }
+  });
+
+  console.log(`[queueInsertionReanchor] Source ${excerptId}: job ${jobId}, progress ${progressId}`);
+
+  return { jobId, progressId };
+}
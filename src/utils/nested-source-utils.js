@@ -0,0 +1,353 @@
+/**
+ * Nested Source Utility Functions
+ *
+ * A Source can embed another Source with an include marker in its content:
+ *
+ *   {{include:Standard Disclaimer}}
+ *
+ * The marker is replaced at render time with the named Source's content
+ * (recursively), so shared boilerplate is maintained in one place. The Embed's
+ * variable values and toggle states pass straight through to the included
+ * content, and the included Source's variable/toggle definitions are merged in
+ * (the outer Source's definitions win on name clashes).
+ *
+ * Included Sources are looked up by name (case-insensitive) in the excerpt index.
+ * Unknown names and cycles are left as the literal marker when rendering;
+ * saveExcerpt rejects cycles up front via findIncludeCycle, and renaming a
+ * Source that others include via checkSourceRename.
+ *
+ * Backend only (reads @forge/api storage).
+ */
+
+import { storage } from '@forge/api';
+import { detectIncludes } from './detection-utils.js';
+import { extractTextFromAdf } from './adf-utils.js';
+
+export const INCLUDE_MARKER_REGEX = /(\{\{\s*include:[^}]+\}\})/;
+
+// Guard against pathological nesting (cycles are rejected on save, but old data may predate that)
+const MAX_INCLUDE_DEPTH = 10;
+
+/**
+ * Normalize a Source name for include lookups
+ *
+ * @param {string} name - Source name as written in the marker or stored on the excerpt
+ * @returns {string} Lowercased, trimmed name
+ */
+function normalizeSourceName(name) {
+  return (name || '').trim().toLowerCase();
+}
+
+/**
+ * Extract the Source name from a standalone include marker
+ *
+ * @param {string} text - Text that may be exactly one include marker
+ * @returns {string|null} Included Source name, or null
+ */
+function matchIncludeMarker(text) {
+  const match = /^\{\{\s*include:([^}]+)\}\}$/.exec((text || '').trim());
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Load the excerpts referenced by include markers, keyed by normalized name
+ *
+ * @param {Object} index - Excerpt index ({ excerpts: [{id, name}] })
+ * @param {Array<string>} names - Source names to load
+ * @param {Map} loaded - Cache of already loaded excerpts (normalized name -> excerpt|null)
+ * @returns {Promise<Array<Object>>} Newly loaded excerpts (nulls filtered out)
+ */
+async function loadSourcesByName(index, names, loaded) {
+  const pending = names
+    .map(normalizeSourceName)
+    .filter((name, i, all) => name && !loaded.has(name) && all.indexOf(name) === i);
+
+  const results = await Promise.all(pending.map(async (name) => {
+    const entry = (index.excerpts || []).find(e => normalizeSourceName(e.name) === name);
+    const excerpt = entry ? await storage.get(`excerpt:${entry.id}`) : null;
+    loaded.set(name, excerpt || null);
+    return excerpt;
+  }));
+
+  return results.filter(Boolean);
+}
+
+/**
+ * Find an include cycle starting from a Source that's about to be saved
+ *
+ * @param {Object} excerpt - Source being saved ({id, name, content}); content may not be stored yet
+ * @returns {Promise<Array<string>|null>} Cycle as a list of Source names (first == last), or null
+ *
+ * @example
+ * // "Overview" includes "Disclaimer", which includes "Overview"
+ * await findIncludeCycle({ id: 'abc', name: 'Overview', content });
+ * // Returns: ['Overview', 'Disclaimer', 'Overview']
+ */
+export async function findIncludeCycle(excerpt) {
+  const rootName = normalizeSourceName(excerpt.name);
+  if (detectIncludes(excerpt.content).length === 0) {
+    return null;
+  }
+
+  const index = await storage.get('excerpt-index') || { excerpts: [] };
+  const loaded = new Map();
+
+  const visit = async (content, path) => {
+    const includes = detectIncludes(content);
+    await loadSourcesByName(index, includes, loaded);
+
+    for (const includedName of includes) {
+      const normalized = normalizeSourceName(includedName);
+      const included = loaded.get(normalized);
+      const isRoot = normalized === rootName || included?.id === excerpt.id;
+      if (isRoot) {
+        return [...path, excerpt.name];
+      }
+      if (!included || path.length > MAX_INCLUDE_DEPTH) {
+        continue;
+      }
+      if (path.some(name => normalizeSourceName(name) === normalized)) {
+        // Cycle among other Sources (not through this one) - reported when those are saved
+        continue;
+      }
+      const cycle = await visit(included.content, [...path, included.name]);
+      if (cycle) {
+        return cycle;
+      }
+    }
+    return null;
+  };
+
+  return visit(excerpt.content, [excerpt.name]);
+}
+
+/**
+ * Expand include markers inside one paragraph
+ *
+ * The paragraph is split around each marker; the included Source's blocks are
+ * placed between the halves (empty halves are dropped).
+ *
+ * @param {Object} paragraph - ADF paragraph containing include markers
+ * @param {Function} renderInclude - (name) => Array of ADF blocks, or null to keep the marker
+ * @returns {Array<Object>} Replacement blocks
+ */
+function expandIncludesInParagraph(paragraph, renderInclude) {
+  const blocks = [];
+  let inline = [];
+
+  const flush = () => {
+    const hasContent = inline.some(node => node.type !== 'text' || node.text.trim() !== '');
+    if (hasContent) {
+      blocks.push({ ...paragraph, content: inline });
+    }
+    inline = [];
+  };
+
+  for (const child of paragraph.content) {
+    if (child.type !== 'text' || !child.text || !INCLUDE_MARKER_REGEX.test(child.text)) {
+      inline.push(child);
+      continue;
+    }
+
+    const parts = child.text
+      .split(new RegExp(INCLUDE_MARKER_REGEX.source, 'g'))
+      .filter(part => part !== '');
+    for (const part of parts) {
+      const includedName = matchIncludeMarker(part);
+      const includedBlocks = includedName ? renderInclude(includedName) : null;
+      if (includedBlocks) {
+        flush();
+        blocks.push(...includedBlocks);
+      } else {
+        inline.push({ ...child, text: part });
+      }
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Replace include markers with the included Sources' content (pure, sources preloaded)
+ *
+ * @param {Object|string} content - ADF document or plain text
+ * @param {Map} sourcesByName - Normalized name -> excerpt (null if not found)
+ * @param {Array<string>} ancestry - Normalized names of the Sources being expanded (cycle guard)
+ * @returns {Object|string} Content with includes expanded
+ */
+function expandIncludes(content, sourcesByName, ancestry) {
+  const getIncluded = (name) => {
+    const normalized = normalizeSourceName(name);
+    const included = sourcesByName.get(normalized);
+    if (!included || ancestry.includes(normalized) || ancestry.length > MAX_INCLUDE_DEPTH) {
+      return null;
+    }
+    return {
+      content: expandIncludes(included.content, sourcesByName, [...ancestry, normalized])
+    };
+  };
+
+  if (typeof content === 'string') {
+    return content.replace(new RegExp(INCLUDE_MARKER_REGEX.source, 'g'), (marker) => {
+      const included = getIncluded(matchIncludeMarker(marker));
+      if (!included) return marker;
+      return typeof included.content === 'string'
+        ? included.content
+        : extractTextFromAdf(included.content);
+    });
+  }
+
+  const renderInclude = (name) => {
+    const included = getIncluded(name);
+    if (!included) return null;
+    if (typeof included.content === 'string') {
+      return [{ type: 'paragraph', content: [{ type: 'text', text: included.content }] }];
+    }
+    return included.content?.content || [];
+  };
+
+  const expandNode = (node) => {
+    if (!node || !Array.isArray(node.content)) {
+      return node;
+    }
+    const newContent = [];
+    for (const child of node.content) {
+      if (child.type === 'paragraph' && Array.isArray(child.content) &&
+          child.content.some(c => c.type === 'text' && INCLUDE_MARKER_REGEX.test(c.text || ''))) {
+        newContent.push(...expandIncludesInParagraph(child, renderInclude));
+      } else {
+        newContent.push(expandNode(child));
+      }
+    }
+    return { ...node, content: newContent };
+  };
+
+  return expandNode(content);
+}
+
+/**
+ * Merge definitions (variables or toggles) by name; earlier lists win
+ *
+ * @param {Array<Array<Object>>} lists - Definition lists, outermost Source first
+ * @returns {Array<Object>} Merged definitions
+ */
+function mergeDefinitions(lists) {
+  const merged = [];
+  for (const list of lists) {
+    for (const definition of list || []) {
+      if (!merged.find(d => d.name === definition.name)) {
+        merged.push(definition);
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Resolve nested Sources for rendering
+ *
+ * Returns a copy of the excerpt whose content has every {{include:...}} marker
+ * expanded, with the included Sources' variables and toggles merged in so the
+ * Embed can offer inputs for them. The stored excerpt is never modified.
+ *
+ * @param {Object} excerpt - Excerpt as stored
+ * @returns {Promise<Object>} Excerpt ready for rendering (nestedSources lists what was pulled in)
+ */
+export async function resolveNestedSources(excerpt) {
+  if (!excerpt || detectIncludes(excerpt.content).length === 0) {
+    return excerpt;
+  }
+
+  const index = await storage.get('excerpt-index') || { excerpts: [] };
+  const loaded = new Map();
+
+  // Load every Source reachable through includes, level by level
+  let frontier = [excerpt];
+  for (let depth = 0; depth < MAX_INCLUDE_DEPTH && frontier.length > 0; depth++) {
+    const names = frontier.flatMap(source => detectIncludes(source.content));
+    frontier = (await loadSourcesByName(index, names, loaded)).filter(source => source.id !== excerpt.id);
+  }
+
+  const nestedSources = [...loaded.values()].filter(source => source && source.id !== excerpt.id);
+
+  return {
+    ...excerpt,
+    content: expandIncludes(excerpt.content, loaded, [normalizeSourceName(excerpt.name)]),
+    variables: mergeDefinitions([excerpt.variables, ...nestedSources.map(source => source.variables)]),
+    toggles: mergeDefinitions([excerpt.toggles, ...nestedSources.map(source => source.toggles)]),
+    nestedSources: nestedSources.map(source => ({ id: source.id, name: source.name }))
+  };
+}
+
+/**
+ * Find every Source that includes the given Source, directly or transitively
+ *
+ * @param {string} excerptId - ID of the included Source
+ * @returns {Promise<Array<Object>>} [{ excerpt, includedVia: [outermost name, ..., direct includer name] }]
+ */
+export async function findIncludingSources(excerptId) {
+  const index = await storage.get('excerpt-index') || { excerpts: [] };
+  const excerpts = (await Promise.all(
+    (index.excerpts || []).map(entry => storage.get(`excerpt:${entry.id}`))
+  )).filter(Boolean);
+
+  const target = excerpts.find(e => e.id === excerptId);
+  if (!target) {
+    return [];
+  }
+
+  // Map each Source to the Sources it directly includes (by normalized name)
+  const includesById = new Map(excerpts.map(e => [
+    e.id,
+    detectIncludes(e.content).map(normalizeSourceName)
+  ]));
+
+  const results = [];
+  const visited = new Set([excerptId]);
+  // Walk outward: each queue entry is a Source plus the chain from it down to the target
+  let queue = [{ excerpt: target, chain: [] }];
+
+  while (queue.length > 0) {
+    const nextQueue = [];
+    for (const { excerpt: current, chain } of queue) {
+      const currentName = normalizeSourceName(current.name);
+      for (const candidate of excerpts) {
+        if (visited.has(candidate.id) || !includesById.get(candidate.id).includes(currentName)) {
+          continue;
+        }
+        visited.add(candidate.id);
+        const includedVia = [candidate.name, ...chain];
+        results.push({ excerpt: candidate, includedVia });
+        nextQueue.push({ excerpt: candidate, chain: includedVia });
+      }
+    }
+    queue = nextQueue;
+  }
+
+  return results;
+}
+
+/**
+ * Check that renaming a Source won't break the Sources that include it
+ *
+ * Includes are resolved by name, so a rename would leave the direct includers'
+ * markers pointing at nothing. Changing only the case is fine (lookups ignore it).
+ *
+ * @param {Object|null} excerpt - Stored Source ({ id, name }); null for a new Source
+ * @param {string} newName - Requested name
+ * @returns {Promise<string|null>} Why the rename is refused, or null if it's safe
+ */
+export async function checkSourceRename(excerpt, newName) {
+  if (!excerpt || normalizeSourceName(excerpt.name) === normalizeSourceName(newName)) {
+    return null;
+  }
+  const includers = (await findIncludingSources(excerpt.id))
+    .filter(({ includedVia }) => includedVia.length === 1)
+    .map(({ excerpt: includer }) => `"${includer.name}"`);
+  if (includers.length === 0) {
+    return null;
+  }
+  return `Can't rename "${excerpt.name}": ${includers.join(', ')} include${includers.length === 1 ? 's' : ''} it by name - `
+    + `change ${includers.length === 1 ? 'its' : 'their'} {{include:${excerpt.name}}} marker first`;
+}
@@ -0,0 +1,147 @@
+/**
+ * Page Variable Utility Functions
+ *
+ * Page-level variables are values shared by every Embed on a page (client name,
+ * venue, launch date...), stored once per page:
+ *
+ *   page-vars:{pageId} = { pageId, variableValues: { name: value }, toggleStates: { name: boolean }, updatedAt, updatedBy }
+ *
+ * An Embed inherits a page value unless it sets its own: a non-empty variable
+ * value, or a toggle it has switched either way. The Embed's own values stay
+ * in macro-vars:{localId} as they are, so clearing a local value falls back to
+ * the page value again.
+ *
+ * Variables left empty by both the Embed and the page resolve from the admin
+ * variable dictionaries (variable-dictionary-utils.js), so the full order is:
+ * Embed -> page -> space dictionary -> global dictionary -> Source default.
+ * Dictionaries only hold variable values; toggles stop at the page.
+ *
+ * Shared by the Embed UI and the backend, so this module must stay free of
+ * storage access (page scope is loaded by storage-utils.js on the backend and
+ * returned by getVariableValues / getPageVariables to the UI).
+ */
+
+import { getDictionaryValues } from './variable-dictionary-utils.js';
+
+// Where an effective value came from (getVariableValues valueSources)
+export const VALUE_SOURCE = {
+  EMBED: 'embed',
+  PAGE: 'page',
+  SPACE: 'space',
+  GLOBAL: 'global'
+};
+
+/**
+ * Whether a variable value counts as set (empty strings and lists inherit)
+ *
+ * @param {*} value - Variable value
+ * @returns {boolean}
+ */
+export function hasVariableValue(value) {
+  if (value === undefined || value === null) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  return String(value).trim() !== '';
+}
+
+/**
+ * Inherited scopes of an Embed, nearest first, for mergeVariableScopes
+ *
+ * @param {Object} scopes
+ * @param {Object|null} scopes.pageScope - page-vars:{pageId}
+ * @param {Object|null} scopes.spaceDictionary - Dictionary of the Embed's space
+ * @param {Object|null} scopes.globalDictionary - Global dictionary
+ * @returns {Array<Object>} [{ source, variableValues, toggleStates }]
+ */
+export function buildInheritedScopes({ pageScope = null, spaceDictionary = null, globalDictionary = null } = {}) {
+  return [
+    { source: VALUE_SOURCE.PAGE, variableValues: pageScope?.variableValues || {}, toggleStates: pageScope?.toggleStates || {} },
+    { source: VALUE_SOURCE.SPACE, variableValues: getDictionaryValues(spaceDictionary), toggleStates: {} },
+    { source: VALUE_SOURCE.GLOBAL, variableValues: getDictionaryValues(globalDictionary), toggleStates: {} }
+  ];
+}
+
+/**
+ * Merge inherited values with an Embed's own values
+ *
+ * @param {Object} embedScope - { variableValues, toggleStates } of the Embed
+ * @param {Array<Object>} inheritedScopes - [{ source, variableValues, toggleStates }], nearest first
+ * @returns {Object} { variableValues, toggleStates, valueSources: { variables, toggles } }
+ *   where valueSources maps each set name to the VALUE_SOURCE it came from
+ */
+export function mergeVariableScopes(embedScope, inheritedScopes = []) {
+  const embedValues = embedScope?.variableValues || {};
+  const embedToggles = embedScope?.toggleStates || {};
+
+  const variableValues = { ...embedValues };
+  const toggleStates = { ...embedToggles };
+  const variables = {};
+  const toggles = {};
+
+  for (const [name, value] of Object.entries(embedValues)) {
+    if (hasVariableValue(value)) {
+      variables[name] = VALUE_SOURCE.EMBED;
+    }
+  }
+  for (const [name, value] of Object.entries(embedToggles)) {
+    if (typeof value === 'boolean') {
+      toggles[name] = VALUE_SOURCE.EMBED;
+    }
+  }
+
+  for (const scope of inheritedScopes) {
+    for (const [name, value] of Object.entries(scope?.variableValues || {})) {
+      if (!variables[name] && hasVariableValue(value)) {
+        variableValues[name] = value;
+        variables[name] = scope.source;
+      }
+    }
+    for (const [name, value] of Object.entries(scope?.toggleStates || {})) {
+      if (!toggles[name] && typeof value === 'boolean') {
+        toggleStates[name] = value;
+        toggles[name] = scope.source;
+      }
+    }
+  }
+
+  return { variableValues, toggleStates, valueSources: { variables, toggles } };
+}
+
+/**
+ * The inherited value a variable falls back to while the Embed leaves it empty
+ *
+ * @param {string} name - Variable name
+ * @param {Array<Object>} inheritedScopes - [{ source, variableValues }], nearest first
+ * @returns {Object|null} { value, source } from the nearest scope that sets it, or null
+ */
+export function getInheritedValue(name, inheritedScopes = []) {
+  for (const scope of inheritedScopes) {
+    const value = scope?.variableValues?.[name];
+    if (hasVariableValue(value)) {
+      return { value, source: scope.source };
+    }
+  }
+  return null;
+}
+
+/**
+ * Merge page-level values with an Embed's own values
+ *
+ * @param {Object|null} pageScope - { variableValues, toggleStates } for the page (may be null)
+ * @param {Object} embedScope - { variableValues, toggleStates } of the Embed
+ * @returns {Object} { variableValues, toggleStates, valueSources } - see mergeVariableScopes
+ */
+export function mergePageScope(pageScope, embedScope) {
+  return mergeVariableScopes(embedScope, [{ source: VALUE_SOURCE.PAGE, ...(pageScope || {}) }]);
+}
+
+/**
+ * Embed config with inherited values filled in, ready for renderEmbed
+ *
+ * @param {Object} macroVars - Embed config (macro-vars:{localId})
+ * @param {Array<Object>} inheritedScopes - buildInheritedScopes result
+ * @returns {Object} Config with merged variableValues and toggleStates
+ */
+export function applyVariableScopes(macroVars, inheritedScopes) {
+  const { variableValues, toggleStates } = mergeVariableScopes(macroVars, inheritedScopes);
+  return { ...macroVars, variableValues, toggleStates };
+}
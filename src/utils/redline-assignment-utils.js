@@ -0,0 +1,153 @@
+/**
+ * Redline Assignment Utility Functions
+ *
+ * Every Embed in the redline queue can have an assignee (the reviewer expected
+ * to act on it next) and an owner (who answers for the Embed being right).
+ * Both are Confluence accountIds on macro-vars:{localId}:
+ *
+ *   { assignee, owner, assignedBy, assignedAt,
+ *     assignmentHistory: [{ assignee, previousAssignee, owner, changedBy, changedAt, reason }] }
+ *
+ * New Embeds are assigned by the admin-managed assignment rules:
+ *
+ *   redline-assignment-rules = {
+ *     rules: [{ id, type: 'category'|'space', match, assigneeId, ownerId }],
+ *     updatedAt, updatedBy
+ *   }
+ *
+ * A category rule covers the category and everything below it; a space rule
+ * covers one space key. The first matching rule in list order wins. When no
+ * rule matches, the owner falls back to the owners of the Source's category
+ * (category-utils.js getCategoryOwners) and the Embed stays unassigned.
+ *
+ * Shared by the Admin UI and the backend, so this module must stay free of
+ * storage access.
+ */
+
+import { isInCategory, normalizeCategoryPath, getCategoryOwners } from './category-utils.js';
+
+export const ASSIGNMENT_RULE_TYPES = {
+  CATEGORY: 'category',
+  SPACE: 'space'
+};
+
+// Most assignment rules kept
+export const MAX_ASSIGNMENT_RULES = 100;
+
+// Assignment history entries kept per Embed (oldest dropped first)
+const MAX_ASSIGNMENT_HISTORY = 50;
+
+/**
+ * Check and clean up assignment rules before saving
+ *
+ * @param {Array<Object>} rules - Rules as edited
+ * @returns {Object} { valid, rules, error } - rules trimmed and normalized when valid
+ */
+export function validateAssignmentRules(rules) {
+  if (!Array.isArray(rules)) {
+    return { valid: false, error: 'Rules must be a list' };
+  }
+  if (rules.length > MAX_ASSIGNMENT_RULES) {
+    return { valid: false, error: `At most ${MAX_ASSIGNMENT_RULES} assignment rules are allowed` };
+  }
+
+  const cleaned = [];
+  for (const [index, rule] of rules.entries()) {
+    const position = `Rule ${index + 1}`;
+    if (!Object.values(ASSIGNMENT_RULE_TYPES).includes(rule?.type)) {
+      return { valid: false, error: `${position}: choose whether it matches a category or a space` };
+    }
+    const match = rule.type === ASSIGNMENT_RULE_TYPES.CATEGORY
+      ? normalizeCategoryPath(rule.match || '')
+      : String(rule.match || '').trim();
+    if (!match) {
+      return { valid: false, error: `${position}: choose the ${rule.type} it matches` };
+    }
+    if (!rule.assigneeId && !rule.ownerId) {
+      return { valid: false, error: `${position}: choose an assignee or an owner` };
+    }
+    cleaned.push({
+      id: rule.id,
+      type: rule.type,
+      match,
+      assigneeId: rule.assigneeId || null,
+      ownerId: rule.ownerId || null
+    });
+  }
+
+  return { valid: true, rules: cleaned };
+}
+
+/**
+ * First rule that applies to an Embed
+ *
+ * @param {Array<Object>} rules - Assignment rules
+ * @param {Object} target - { category, spaceKey } of the Embed (category is its Source's)
+ * @returns {Object|null} Matching rule
+ */
+export function findAssignmentRule(rules, { category, spaceKey }) {
+  return (rules || []).find(rule => {
+    if (rule.type === ASSIGNMENT_RULE_TYPES.CATEGORY) {
+      return !!category && isInCategory(category, rule.match);
+    }
+    if (rule.type === ASSIGNMENT_RULE_TYPES.SPACE) {
+      return !!spaceKey && rule.match.toLowerCase() === String(spaceKey).toLowerCase();
+    }
+    return false;
+  }) || null;
+}
+
+/**
+ * Assignee and owner a new (or unassigned) Embed should get
+ *
+ * @param {Array<Object>} rules - Assignment rules
+ * @param {Object} categoryOwners - { path: [accountId] } from the categories record
+ * @param {Object} target - { category, spaceKey }
+ * @returns {Object} { assignee, owner, ruleId } (null where nothing applies)
+ */
+export function resolveRedlineAssignment(rules, categoryOwners, { category, spaceKey }) {
+  const rule = findAssignmentRule(rules, { category, spaceKey });
+  const fallbackOwner = getCategoryOwners(category || 'General', categoryOwners).owners[0] || null;
+
+  return {
+    assignee: rule?.assigneeId || null,
+    owner: rule?.ownerId || fallbackOwner,
+    ruleId: rule?.id || null
+  };
+}
+
+/**
+ * Embed config with a new assignee (and optionally owner), history included
+ *
+ * @param {Object} config - macro-vars:{localId}
+ * @param {Object} change
+ * @param {string|null} change.assignee - New assignee (null = unassigned)
+ * @param {string|null} [change.owner] - New owner (undefined = keep)
+ * @param {string} change.changedBy - accountId, or 'system' for rules
+ * @param {string} change.reason - Why (shown in the history)
+ * @param {string} change.now - ISO timestamp
+ * @returns {Object} Updated config
+ */
+export function applyRedlineAssignment(config, { assignee, owner, changedBy, reason, now }) {
+  const nextOwner = owner === undefined ? (config.owner || null) : owner;
+  const history = [
+    ...(config.assignmentHistory || []),
+    {
+      assignee: assignee || null,
+      previousAssignee: config.assignee || null,
+      owner: nextOwner,
+      changedBy,
+      changedAt: now,
+      reason
+    }
+  ].slice(-MAX_ASSIGNMENT_HISTORY);
+
+  return {
+    ...config,
+    assignee: assignee || null,
+    owner: nextOwner,
+    assignedBy: changedBy,
+    assignedAt: now,
+    assignmentHistory: history
+  };
+}
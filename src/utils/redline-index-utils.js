@@ -0,0 +1,489 @@
+/**
+ * Redline Index Utility Functions
+ *
+ * The redline queue reads a maintained index instead of every Embed config, so
+ * one page of the queue costs the same however many Embeds exist. Each Embed
+ * has an entry with the fields the queue filters and sorts on:
+ *
+ *   redline-entry:{localId} = {
+ *     localId, excerptId, pageId, spaceKey, status, assignee, owner,
+ *     statusEnteredAt, updatedAt, sourceName, sourceCategory, pageTitle,
+ *     indexedAt, indexKeys
+ *   }
+ *
+ * and a copy of it under one key per ordering, so a filtered, sorted page is a
+ * single prefix query (storage returns keys in ascending order):
+ *
+ *   redline-idx:status:{status}:{statusEnteredAt}:{localId}     - by state, longest waiting first
+ *   redline-idx:assignee:{accountId|unassigned}:{statusEnteredAt}:{localId}
+ *   redline-idx:age:{statusEnteredAt}:{localId}                 - longest in status first
+ *   redline-idx:updated:{inverted updatedAt}:{localId}          - most recently updated first
+ *   redline-idx:page:{page title}:{pageId}:{localId}
+ *   redline-idx:source:{Source name}:{excerptId}:{localId}
+ *
+ * indexKeys lists an entry's current keys so an update can drop the ones that
+ * no longer apply. Two updates of one Embed racing can still leave a key behind,
+ * so queries check each key they read against the entry and drop orphans.
+ * Whole-queue counts (getRedlineStats) read the entries, one per Embed.
+ *
+ * Embeds are indexed when their configuration is saved and when their status or
+ * reviewer changes. Anything written another way - imports, restores, Source
+ * renames, Embeds saved before the index existed - is picked up by a full
+ * rebuild (workers/redlineIndexWorker.js), which redline-index-meta records.
+ *
+ * Page titles come from the Confluence API in batches and are cached:
+ *
+ *   page-title:{pageId} = { title, spaceId, fetchedAt }
+ *
+ * Backend only (reads @forge/api storage, pushes to a @forge/events queue).
+ */
+
+import { storage, startsWith } from '@forge/api';
+import api, { route } from '@forge/api';
+import { Queue } from '@forge/events';
+import { generateUUID } from '../utils.js';
+import { getStatusEnteredAt, getRedlineAging } from './redline-metrics-utils.js';
+import { INITIAL_REDLINE_STATE } from './redline-workflow-utils.js';
+
+export const REDLINE_INDEX_QUEUE = 'redline-index-queue';
+export const REDLINE_ENTRY_PREFIX = 'redline-entry:';
+export const REDLINE_INDEX_PREFIX = 'redline-idx:';
+export const REDLINE_INDEX_META_KEY = 'redline-index-meta';
+export const PAGE_TITLE_PREFIX = 'page-title:';
+
+// Queue page size by default / at most (also the storage query batch size)
+export const DEFAULT_QUEUE_PAGE_SIZE = 20;
+export const MAX_QUEUE_PAGE_SIZE = 100;
+
+// Storage batches read for one page of the queue; filters the keys can't
+// narrow (search, overdue) may return a short page with a cursor to continue
+const MAX_BATCHES_PER_PAGE = 10;
+
+// Cached page titles are refetched after this long
+const PAGE_TITLE_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Page IDs per Confluence request (the API's page size limit)
+const PAGE_TITLE_BATCH_SIZE = 250;
+
+// Characters of a title kept in a sort key
+const SORT_TOKEN_LENGTH = 60;
+
+// Sorts after every timestamp (Embeds with no known status start)
+const UNKNOWN_TIME = '9999-12-31T23:59:59.999Z';
+
+/**
+ * Storage key of an Embed's index entry
+ *
+ * @param {string} localId - Embed instance ID
+ * @returns {string} Storage key
+ */
+export function getRedlineEntryKey(localId) {
+  return `${REDLINE_ENTRY_PREFIX}${localId}`;
+}
+
+/**
+ * Title reduced to characters allowed in storage keys, for sorting
+ */
+function toSortToken(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, SORT_TOKEN_LENGTH) || '-';
+}
+
+/**
+ * Timestamp that sorts newest first
+ */
+function toInvertedTime(isoString) {
+  const time = isoString ? new Date(isoString).getTime() : 0;
+  return String(9999999999999 - (Number.isFinite(time) ? time : 0)).padStart(13, '0');
+}
+
+/**
+ * Index entry of an Embed (without indexKeys)
+ *
+ * @param {string} localId - Embed instance ID
+ * @param {Object} config - macro-vars:{localId}
+ * @param {Object} details
+ * @param {Object} [details.excerpt] - The Embed's Source (name and category)
+ * @param {string} [details.pageTitle] - Title of the Embed's page
+ * @returns {Object} Index entry
+ */
+export function buildRedlineIndexEntry(localId, config, { excerpt = null, pageTitle = null } = {}) {
+  return {
+    localId,
+    excerptId: config.excerptId || null,
+    pageId: config.pageId || null,
+    spaceKey: config.spaceKey || null,
+    status: config.redlineStatus || INITIAL_REDLINE_STATE,
+    assignee: config.assignee || null,
+    owner: config.owner || null,
+    statusEnteredAt: getStatusEnteredAt(config),
+    updatedAt: config.updatedAt || config.lastSynced || null,
+    sourceName: excerpt?.name || null,
+    sourceCategory: excerpt?.category || null,
+    pageTitle: pageTitle || null,
+    indexedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Every index key an entry is stored under
+ *
+ * @param {Object} entry - Index entry
+ * @returns {Array<string>} Storage keys
+ */
+export function getRedlineIndexKeys(entry) {
+  const entered = entry.statusEnteredAt || UNKNOWN_TIME;
+  return [
+    `${REDLINE_INDEX_PREFIX}status:${entry.status}:${entered}:${entry.localId}`,
+    `${REDLINE_INDEX_PREFIX}assignee:${entry.assignee || 'unassigned'}:${entered}:${entry.localId}`,
+    `${REDLINE_INDEX_PREFIX}age:${entered}:${entry.localId}`,
+    `${REDLINE_INDEX_PREFIX}updated:${toInvertedTime(entry.updatedAt)}:${entry.localId}`,
+    `${REDLINE_INDEX_PREFIX}page:${toSortToken(entry.pageTitle || `Page ${entry.pageId}`)}:${entry.pageId || '-'}:${entry.localId}`,
+    `${REDLINE_INDEX_PREFIX}source:${toSortToken(entry.sourceName)}:${entry.excerptId || '-'}:${entry.localId}`
+  ];
+}
+
+/**
+ * Write an entry and its index keys, dropping keys a previous version used
+ *
+ * @param {Object} entry - Index entry
+ * @param {Object|null} previous - The entry as stored before
+ * @returns {Promise<Object>} The stored entry (with indexKeys)
+ */
+export async function writeRedlineIndexEntry(entry, previous) {
+  const indexKeys = getRedlineIndexKeys(entry);
+  const staleKeys = (previous?.indexKeys || []).filter(key => !indexKeys.includes(key));
+
+  for (const key of staleKeys) {
+    await storage.delete(key);
+  }
+  for (const key of indexKeys) {
+    await storage.set(key, entry);
+  }
+
+  const stored = { ...entry, indexKeys };
+  await storage.set(getRedlineEntryKey(entry.localId), stored);
+  return stored;
+}
+
+/**
+ * Index an Embed (not fatal - a rebuild catches up)
+ *
+ * The Source and page title are read from storage unless given; a page whose
+ * title isn't cached keeps the title it was last indexed with.
+ *
+ * @param {string} localId - Embed instance ID
+ * @param {Object} config - macro-vars:{localId}
+ * @param {Object} [details] - { excerpt, pageTitle } when the caller has them
+ * @returns {Promise<void>}
+ */
+export async function indexRedlineEmbed(localId, config, details = {}) {
+  try {
+    const previous = await storage.get(getRedlineEntryKey(localId));
+    const excerpt = details.excerpt !== undefined
+      ? details.excerpt
+      : (config.excerptId ? await storage.get(`excerpt:${config.excerptId}`) : null);
+    let pageTitle = details.pageTitle;
+    if (pageTitle === undefined) {
+      const cached = config.pageId ? await storage.get(`${PAGE_TITLE_PREFIX}${config.pageId}`) : null;
+      pageTitle = cached?.title || (previous?.pageId === config.pageId ? previous?.pageTitle : null);
+    }
+
+    await writeRedlineIndexEntry(buildRedlineIndexEntry(localId, config, { excerpt, pageTitle }), previous);
+  } catch (error) {
+    console.warn(`[indexRedlineEmbed] Could not index Embed ${localId}:`, error);
+  }
+}
+
+/**
+ * Drop an Embed from the index
+ *
+ * @param {string} localId - Embed instance ID
+ * @returns {Promise<void>}
+ */
+export async function removeFromRedlineIndex(localId) {
+  try {
+    const entry = await storage.get(getRedlineEntryKey(localId));
+    for (const key of entry?.indexKeys || []) {
+      await storage.delete(key);
+    }
+    await storage.delete(getRedlineEntryKey(localId));
+  } catch (error) {
+    console.warn(`[removeFromRedlineIndex] Could not remove Embed ${localId}:`, error);
+  }
+}
+
+/**
+ * Titles of Confluence pages, from the cache or in batches from the API
+ *
+ * Pages the app can't read (deleted, restricted) are left out; an expired
+ * cached title is still used when the refetch fails.
+ *
+ * @param {Array<string>} pageIds - Page IDs
+ * @returns {Promise<Map>} pageId -> { title, spaceId }
+ */
+export async function getPageTitles(pageIds) {
+  const ids = [...new Set(pageIds.filter(Boolean).map(String))];
+  const titles = new Map();
+  const nowMs = Date.now();
+
+  const cached = await Promise.all(ids.map(id => storage.get(`${PAGE_TITLE_PREFIX}${id}`)));
+  const missing = [];
+  ids.forEach((id, index) => {
+    const entry = cached[index];
+    if (entry?.title) {
+      titles.set(id, { title: entry.title, spaceId: entry.spaceId || null });
+    }
+    if (!entry || nowMs - new Date(entry.fetchedAt).getTime() > PAGE_TITLE_TTL_MS) {
+      missing.push(id);
+    }
+  });
+
+  for (let start = 0; start < missing.length; start += PAGE_TITLE_BATCH_SIZE) {
+    const batch = missing.slice(start, start + PAGE_TITLE_BATCH_SIZE);
+    try {
+      const response = await api.asApp().requestConfluence(
+        route`/wiki/api/v2/pages?id=${batch.join(',')}&limit=${batch.length}`
+      );
+      if (!response.ok) {
+        throw new Error(`Confluence API returned ${response.status}`);
+      }
+      const { results = [] } = await response.json();
+      const fetchedAt = new Date().toISOString();
+      for (const page of results) {
+        const id = String(page.id);
+        titles.set(id, { title: page.title, spaceId: page.spaceId || null });
+        await storage.set(`${PAGE_TITLE_PREFIX}${id}`, { title: page.title, spaceId: page.spaceId || null, fetchedAt });
+      }
+    } catch (error) {
+      console.error(`[getPageTitles] Failed to fetch ${batch.length} page title(s):`, error);
+    }
+  }
+
+  return titles;
+}
+
+/**
+ * Every index entry (one per indexed Embed)
+ *
+ * @returns {Promise<Array<Object>>} Index entries
+ */
+export async function loadRedlineIndexEntries() {
+  let entries = [];
+  let cursor = undefined;
+
+  do {
+    const batch = await storage.query()
+      .where('key', startsWith(REDLINE_ENTRY_PREFIX))
+      .limit(100)
+      .cursor(cursor)
+      .getMany();
+
+    entries = entries.concat(batch.results.map(({ value }) => value));
+    cursor = batch.nextCursor;
+  } while (cursor);
+
+  return entries;
+}
+
+/**
+ * How long an indexed Embed has been in its status, against the SLA
+ *
+ * @param {Object} entry - Index entry
+ * @param {Object} sla - { thresholds }
+ * @param {Date} [now] - Reference time
+ * @returns {Object} See getRedlineAging
+ */
+export function getRedlineEntryAging(entry, sla, now = new Date()) {
+  // Aging only needs the status and when it was entered
+  return getRedlineAging({ redlineStatus: entry.status, createdAt: entry.statusEnteredAt }, sla, now);
+}
+
+/**
+ * Whether an entry passes the queue filters
+ *
+ * @param {Object} entry - Index entry
+ * @param {Object} filters - { status: [], pageIds: [], excerptIds: [], assignee, overdue, searchTerm }
+ * @param {Object} context
+ * @param {string} [context.accountId] - Current user (for assignee 'me')
+ * @param {Object} [context.sla] - SLA thresholds (for overdue)
+ * @param {Date} [context.now] - Reference time
+ * @returns {boolean}
+ */
+export function matchesRedlineFilters(entry, filters, { accountId, sla, now = new Date() } = {}) {
+  if (filters.status && filters.status.length > 0 && filters.status[0] !== 'all' && !filters.status.includes(entry.status)) {
+    return false;
+  }
+  if (filters.pageIds && filters.pageIds.length > 0 && !filters.pageIds.includes(entry.pageId)) {
+    return false;
+  }
+  if (filters.excerptIds && filters.excerptIds.length > 0 && !filters.excerptIds.includes(entry.excerptId)) {
+    return false;
+  }
+  if (filters.assignee) {
+    const assignee = filters.assignee === 'me' ? accountId : filters.assignee;
+    if (assignee === 'unassigned' ? entry.assignee : entry.assignee !== assignee) {
+      return false;
+    }
+  }
+  if (filters.overdue && !getRedlineEntryAging(entry, sla, now).overdue) {
+    return false;
+  }
+  if (filters.searchTerm && filters.searchTerm.trim()) {
+    const searchLower = filters.searchTerm.toLowerCase().trim();
+    const pageTitle = entry.pageTitle || `Page ${entry.pageId}`;
+    if (!pageTitle.toLowerCase().includes(searchLower) && !entry.localId.toLowerCase().includes(searchLower)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Index scans to read, in order, for a filter and sort
+ *
+ * Sorting by status walks the workflow's states one prefix at a time, then picks
+ * up Embeds left in states an admin removed from the workflow (they keep them
+ * until moved on) from the age prefix; a status or reviewer filter narrows the
+ * read when its key order suits the sort.
+ *
+ * @param {Object} filters - Queue filters
+ * @param {string} sortBy - "status" | "page" | "source" | "updated" | "age"
+ * @param {Object} context
+ * @param {Object} context.workflow - Redline workflow (state order)
+ * @param {string} [context.accountId] - Current user (for assignee 'me')
+ * @returns {Array<Object>} [{ prefix, unlistedStatusesOnly }] - unlistedStatusesOnly keeps
+ *   only entries whose status is not in the workflow
+ */
+export function getRedlineScanPrefixes(filters, sortBy, { workflow, accountId }) {
+  const statuses = filters.status && filters.status.length > 0 && filters.status[0] !== 'all' ? filters.status : null;
+  const assignee = filters.assignee === 'me' ? accountId : filters.assignee;
+  const scan = (prefix, unlistedStatusesOnly = false) => ({ prefix: `${REDLINE_INDEX_PREFIX}${prefix}`, unlistedStatusesOnly });
+
+  switch (sortBy) {
+    case 'status': {
+      const stateIds = workflow.states.map(state => state.id);
+      if (!statuses) {
+        return [...stateIds.map(id => scan(`status:${id}:`)), scan('age:', true)];
+      }
+      return [
+        ...stateIds.filter(id => statuses.includes(id)),
+        ...statuses.filter(id => !stateIds.includes(id))
+      ].map(id => scan(`status:${id}:`));
+    }
+    case 'age':
+      if (statuses && statuses.length === 1) {
+        return [scan(`status:${statuses[0]}:`)];
+      }
+      if (assignee) {
+        return [scan(`assignee:${assignee}:`)];
+      }
+      return [scan('age:')];
+    case 'page':
+      return [scan('page:')];
+    case 'source':
+      return [scan('source:')];
+    case 'updated':
+    default:
+      return [scan('updated:')];
+  }
+}
+
+/**
+ * One page of index entries matching the filters, in sort order
+ *
+ * A page holds at least `limit` entries unless the index runs out or the read
+ * budget is spent first (then it is short, possibly empty, and nextCursor
+ * continues where it stopped).
+ *
+ * @param {Object} options
+ * @param {Object} options.filters - Queue filters
+ * @param {string} options.sortBy - Sort field
+ * @param {Object|null} [options.cursor] - nextCursor of the previous page
+ * @param {number} [options.limit] - Page size
+ * @param {Object} options.workflow - Redline workflow
+ * @param {Object} [options.sla] - SLA thresholds
+ * @param {string} [options.accountId] - Current user
+ * @returns {Promise<Object>} { entries, nextCursor } - nextCursor is null on the last page
+ */
+export async function queryRedlineIndex({ filters = {}, sortBy = 'status', cursor = null, limit = DEFAULT_QUEUE_PAGE_SIZE, workflow, sla, accountId }) {
+  const pageSize = Math.min(Math.max(1, limit), MAX_QUEUE_PAGE_SIZE);
+  const scans = getRedlineScanPrefixes(filters, sortBy, { workflow, accountId });
+  const workflowStates = new Set(workflow.states.map(state => state.id));
+  const now = new Date();
+  const entries = [];
+  let scan = cursor?.scan || 0;
+  let storageCursor = cursor?.cursor || undefined;
+  let batches = 0;
+
+  while (scan < scans.length && entries.length < pageSize && batches < MAX_BATCHES_PER_PAGE) {
+    const batch = await storage.query()
+      .where('key', startsWith(scans[scan].prefix))
+      .limit(pageSize)
+      .cursor(storageCursor)
+      .getMany();
+    batches++;
+
+    const current = await Promise.all(batch.results.map(({ value }) => storage.get(getRedlineEntryKey(value.localId))));
+    for (const [index, { key, value }] of batch.results.entries()) {
+      // Left behind by racing updates - the entry no longer lists it
+      if (!current[index]?.indexKeys?.includes(key)) {
+        await storage.delete(key);
+        continue;
+      }
+      if (scans[scan].unlistedStatusesOnly && workflowStates.has(current[index].status)) {
+        continue;
+      }
+      if (matchesRedlineFilters(current[index], filters, { accountId, sla, now })) {
+        entries.push(current[index]);
+      }
+    }
+
+    if (batch.nextCursor) {
+      storageCursor = batch.nextCursor;
+    } else {
+      scan++;
+      storageCursor = undefined;
+    }
+  }
+
+  return {
+    entries,
+    nextCursor: scan < scans.length ? { scan, cursor: storageCursor || null } : null
+  };
+}
+
+/**
+ * Queue a full rebuild of the redline index
+ *
+ * Progress is written to progress:{progressId} (poll with getCheckProgress).
+ *
+ * @param {string|null} accountId - User who asked for it
+ * @returns {Promise<Object>} { jobId, progressId }
+ */
+export async function queueRedlineIndexRebuild(accountId) {
+  const progressId = generateUUID();
+  await storage.set(`progress:${progressId}`, {
+    phase: 'queued',
+    percent: 0,
+    status: 'Redline index rebuild queued...',
+    total: 0,
+    processed: 0,
+    queuedAt: new Date().toISOString()
+  });
+
+  const queue = new Queue({ key: REDLINE_INDEX_QUEUE });
+  const { jobId } = await queue.push({
+    body: {
+      progressId,
+      accountId: accountId || null
+    }
+  });
+
+  console.log(`[queueRedlineIndexRebuild] job ${jobId}, progress ${progressId}`);
+
+  return { jobId, progressId };
+}
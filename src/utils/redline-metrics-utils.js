@@ -0,0 +1,249 @@
+/**
+ * Redline Metrics Utility Functions
+ *
+ * Time-based review metrics computed from each Embed's statusHistory
+ * (macro-vars:{localId}, see redline-resolvers.js):
+ *
+ * - Aging: how long an Embed has been in its current status, against the SLA
+ *   threshold for that status
+ * - Time to approval: from the start of a review cycle (Embed created, or
+ *   leaving Approved) to the next approval
+ * - Embeds stuck in Needs Revision past its SLA threshold
+ * - Throughput: status changes (and approvals) per reviewer per week
+ *
+ * SLA thresholds are admin-managed, in days per workflow state (no entry = no SLA):
+ *
+ *   redline-sla = { thresholds: { [stateId]: days }, updatedAt, updatedBy }
+ *
+ * Refused status changes (rejected: true) and automatic ones (changedBy
+ * 'system') never count as reviews. Embeds saved before createdAt was recorded
+ * have no known start: until their first status change they age from their last
+ * sync, and their first approval is not measured.
+ *
+ * Shared by the Admin UI and the backend, so this module must stay free of
+ * storage access.
+ */
+
+import { INITIAL_REDLINE_STATE, REVISION_REDLINE_STATE, APPROVED_REDLINE_STATE } from './redline-workflow-utils.js';
+
+export const DEFAULT_REDLINE_SLA = {
+  thresholds: {
+    [INITIAL_REDLINE_STATE]: 7,
+    [REVISION_REDLINE_STATE]: 5,
+    'pre-approved': 10
+  },
+  updatedAt: null,
+  updatedBy: null
+};
+
+// Longest SLA threshold accepted, in days
+export const MAX_SLA_DAYS = 365;
+
+// Weeks of throughput reported by default / at most
+export const DEFAULT_THROUGHPUT_WEEKS = 8;
+export const MAX_THROUGHPUT_WEEKS = 52;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDays = (ms) => Math.round((ms / DAY_MS) * 10) / 10;
+
+// Status changes that actually happened (refused attempts are kept in the history too)
+const getAppliedHistory = (config) => (config?.statusHistory || []).filter(entry => !entry.rejected);
+
+/**
+ * Check and clean up SLA thresholds before saving
+ *
+ * @param {Object} thresholds - { [stateId]: days } as edited (empty = no SLA)
+ * @returns {Object} { valid, thresholds, error }
+ */
+export function validateRedlineSla(thresholds) {
+  if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    return { valid: false, error: 'Thresholds must map workflow states to days' };
+  }
+
+  const cleaned = {};
+  for (const [stateId, value] of Object.entries(thresholds)) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+      continue;
+    }
+    const days = Number(value);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_SLA_DAYS) {
+      return { valid: false, error: `The threshold for "${stateId}" must be between 0 and ${MAX_SLA_DAYS} days` };
+    }
+    cleaned[stateId] = days;
+  }
+
+  return { valid: true, thresholds: cleaned };
+}
+
+/**
+ * When the Embed entered its current status
+ *
+ * @param {Object} config - macro-vars:{localId}
+ * @returns {string|null} ISO timestamp (null when unknown)
+ */
+export function getStatusEnteredAt(config) {
+  const history = getAppliedHistory(config);
+  const last = history[history.length - 1];
+  if (last && last.status === (config.redlineStatus || INITIAL_REDLINE_STATE)) {
+    return last.changedAt;
+  }
+  return config.createdAt || config.lastSynced || null;
+}
+
+/**
+ * How long an Embed has been in its current status, against the SLA
+ *
+ * @param {Object} config - macro-vars:{localId}
+ * @param {Object} sla - { thresholds }
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { status, enteredAt, ageDays, thresholdDays, overdue, overdueDays }
+ */
+export function getRedlineAging(config, sla, now = new Date()) {
+  const status = config.redlineStatus || INITIAL_REDLINE_STATE;
+  const enteredAt = getStatusEnteredAt(config);
+  const ageDays = enteredAt ? Math.max(0, toDays(now - new Date(enteredAt))) : null;
+  const thresholdDays = sla?.thresholds?.[status] || null;
+  const overdue = ageDays !== null && thresholdDays !== null && ageDays > thresholdDays;
+
+  return {
+    status,
+    enteredAt,
+    ageDays,
+    thresholdDays,
+    overdue,
+    overdueDays: overdue ? Math.round((ageDays - thresholdDays) * 10) / 10 : 0
+  };
+}
+
+/**
+ * Every measured approval of an Embed
+ *
+ * @param {Object} config - macro-vars:{localId}
+ * @returns {Array<Object>} [{ approvedAt, approvedBy, days }]
+ */
+export function getApprovalDurations(config) {
+  const approvals = [];
+  let cycleStart = config.createdAt || null;
+
+  for (const entry of getAppliedHistory(config)) {
+    if (entry.status === APPROVED_REDLINE_STATE) {
+      if (cycleStart && new Date(entry.changedAt) >= new Date(cycleStart)) {
+        approvals.push({
+          approvedAt: entry.changedAt,
+          approvedBy: entry.changedBy,
+          days: toDays(new Date(entry.changedAt) - new Date(cycleStart))
+        });
+      }
+      cycleStart = null;
+    } else if (!cycleStart) {
+      cycleStart = entry.changedAt;
+    }
+  }
+
+  return approvals;
+}
+
+/**
+ * Monday (UTC) of the week a timestamp falls in
+ *
+ * @param {string|Date} date - Timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+export function getWeekStart(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().split('T')[0];
+}
+
+const median = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round(((sorted[middle - 1] + sorted[middle]) / 2) * 10) / 10;
+};
+
+/**
+ * Review metrics across Embeds
+ *
+ * @param {Array<Object>} embeds - [{ localId, config }]
+ * @param {Object} options
+ * @param {Object} options.sla - { thresholds }
+ * @param {number} [options.weeks] - Weeks of throughput, this week included
+ * @param {Date} [options.now] - Reference time
+ * @returns {Object} {
+ *   timeToApproval: { medianDays, averageDays, count },
+ *   stuckInRevision: { thresholdDays, embeds: [{ localId, ageDays, enteredAt, assignee }] },
+ *   overdue: { total, byStatus: { [stateId]: count } },
+ *   throughput: { weekStarts: [YYYY-MM-DD], reviewers: [{ accountId, total, approvals, weeks: [count] }] }
+ * }
+ */
+export function computeRedlineMetrics(embeds, { sla, weeks = DEFAULT_THROUGHPUT_WEEKS, now = new Date() }) {
+  const weekCount = Math.min(Math.max(1, weeks), MAX_THROUGHPUT_WEEKS);
+  const currentWeek = getWeekStart(now);
+  const weekStarts = Array.from({ length: weekCount }, (_, index) => (
+    getWeekStart(new Date(new Date(currentWeek).getTime() - (weekCount - 1 - index) * 7 * DAY_MS))
+  ));
+  const weekIndex = new Map(weekStarts.map((week, index) => [week, index]));
+
+  const approvalDays = [];
+  const stuck = [];
+  const overdueByStatus = {};
+  const reviewers = new Map();
+  const revisionThreshold = sla?.thresholds?.[REVISION_REDLINE_STATE] || null;
+
+  for (const { localId, config } of embeds) {
+    getApprovalDurations(config).forEach(approval => approvalDays.push(approval.days));
+
+    const aging = getRedlineAging(config, sla, now);
+    if (aging.overdue) {
+      overdueByStatus[aging.status] = (overdueByStatus[aging.status] || 0) + 1;
+      if (aging.status === REVISION_REDLINE_STATE) {
+        stuck.push({ localId, ageDays: aging.ageDays, enteredAt: aging.enteredAt, assignee: config.assignee || null });
+      }
+    }
+
+    for (const entry of getAppliedHistory(config)) {
+      if (!entry.changedBy || entry.changedBy === 'system') {
+        continue;
+      }
+      const index = weekIndex.get(getWeekStart(entry.changedAt));
+      if (index === undefined) {
+        continue;
+      }
+      const reviewer = reviewers.get(entry.changedBy)
+        || { accountId: entry.changedBy, total: 0, approvals: 0, weeks: weekStarts.map(() => 0) };
+      reviewer.total++;
+      reviewer.weeks[index]++;
+      if (entry.status === APPROVED_REDLINE_STATE) {
+        reviewer.approvals++;
+      }
+      reviewers.set(entry.changedBy, reviewer);
+    }
+  }
+
+  return {
+    timeToApproval: {
+      medianDays: median(approvalDays),
+      averageDays: approvalDays.length
+        ? Math.round((approvalDays.reduce((sum, days) => sum + days, 0) / approvalDays.length) * 10) / 10
+        : null,
+      count: approvalDays.length
+    },
+    stuckInRevision: {
+      thresholdDays: revisionThreshold,
+      embeds: stuck.sort((a, b) => b.ageDays - a.ageDays)
+    },
+    overdue: {
+      total: Object.values(overdueByStatus).reduce((sum, count) => sum + count, 0),
+      byStatus: overdueByStatus
+    },
+    throughput: {
+      weekStarts,
+      reviewers: [...reviewers.values()].sort((a, b) => b.total - a.total)
+    }
+  };
+}
@@ -0,0 +1,333 @@
+/**
+ * Redline Workflow Utility Functions
+ *
+ * The redline statuses an Embed moves through, and who may move it, are
+ * admin-defined:
+ *
+ *   redline-workflow = {
+ *     states: [{ id, label, appearance }],   // list order = queue sort order
+ *     transitions: [{
+ *       id,
+ *       from,                // state id, or '*' for any state
+ *       to,                  // state id
+ *       label,               // queue button text (defaults to the target state's label)
+ *       roles: ['anyone' | 'assignee' | 'owner' | 'category-owner'],
+ *       userIds: [accountId],// named users who may also perform it
+ *       requireComment       // a comment must accompany the change
+ *     }],
+ *     updatedAt, updatedBy
+ *   }
+ *
+ * Three states carry behaviour elsewhere and can be relabelled but not removed:
+ * "reviewable" (new Embeds), "needs-revision" (approved Embeds whose content
+ * changed drop back to it) and "approved" (the content hash is recorded).
+ *
+ * Without a stored workflow DEFAULT_REDLINE_WORKFLOW applies: the original four
+ * statuses, any change allowed for anyone.
+ *
+ * Shared by the Admin UI and the backend, so this module must stay free of
+ * storage access.
+ */
+
+import { getCategoryOwners } from './category-utils.js';
+
+export const INITIAL_REDLINE_STATE = 'reviewable';
+export const REVISION_REDLINE_STATE = 'needs-revision';
+export const APPROVED_REDLINE_STATE = 'approved';
+export const REQUIRED_REDLINE_STATES = [INITIAL_REDLINE_STATE, REVISION_REDLINE_STATE, APPROVED_REDLINE_STATE];
+
+// Transition source matching every state
+export const ANY_REDLINE_STATE = '*';
+
+export const TRANSITION_ROLES = {
+  ANYONE: 'anyone',
+  ASSIGNEE: 'assignee',
+  OWNER: 'owner',
+  CATEGORY_OWNER: 'category-owner'
+};
+
+// Lozenge appearances a state can use
+export const REDLINE_STATE_APPEARANCES = ['default', 'new', 'inprogress', 'moved', 'removed', 'success'];
+
+// Most states / transitions kept
+export const MAX_REDLINE_STATES = 20;
+export const MAX_REDLINE_TRANSITIONS = 100;
+
+const STATE_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+export const DEFAULT_REDLINE_WORKFLOW = {
+  states: [
+    { id: 'reviewable', label: 'Reviewable', appearance: 'new' },
+    { id: 'needs-revision', label: 'Needs Revision', appearance: 'removed' },
+    { id: 'pre-approved', label: 'Pre-Approved', appearance: 'inprogress' },
+    { id: 'approved', label: 'Approved', appearance: 'success' }
+  ],
+  transitions: [
+    { id: 'default-approved', from: ANY_REDLINE_STATE, to: 'approved', label: '👍 Approve', roles: [TRANSITION_ROLES.ANYONE], userIds: [], requireComment: false },
+    { id: 'default-pre-approved', from: ANY_REDLINE_STATE, to: 'pre-approved', label: '👌 Pre-Approved', roles: [TRANSITION_ROLES.ANYONE], userIds: [], requireComment: false },
+    { id: 'default-needs-revision', from: ANY_REDLINE_STATE, to: 'needs-revision', label: '👎 Needs Revision', roles: [TRANSITION_ROLES.ANYONE], userIds: [], requireComment: false },
+    { id: 'default-reviewable', from: ANY_REDLINE_STATE, to: 'reviewable', label: '↩ Back to Reviewable', roles: [TRANSITION_ROLES.ANYONE], userIds: [], requireComment: false }
+  ],
+  updatedAt: null,
+  updatedBy: null
+};
+
+/**
+ * Check and clean up a workflow before saving
+ *
+ * @param {Object} workflow - { states, transitions } as edited
+ * @returns {Object} { valid, workflow, error } - trimmed and normalized when valid
+ */
+export function validateRedlineWorkflow(workflow) {
+  const { states, transitions } = workflow || {};
+  if (!Array.isArray(states) || !Array.isArray(transitions)) {
+    return { valid: false, error: 'A workflow needs a list of states and a list of transitions' };
+  }
+  if (states.length > MAX_REDLINE_STATES) {
+    return { valid: false, error: `At most ${MAX_REDLINE_STATES} states are allowed` };
+  }
+  if (transitions.length > MAX_REDLINE_TRANSITIONS) {
+    return { valid: false, error: `At most ${MAX_REDLINE_TRANSITIONS} transitions are allowed` };
+  }
+
+  const cleanedStates = [];
+  for (const [index, state] of states.entries()) {
+    const id = String(state?.id || '').trim().toLowerCase();
+    const label = String(state?.label || '').trim();
+    if (!STATE_ID_PATTERN.test(id)) {
+      return { valid: false, error: `State ${index + 1}: the ID may only use lowercase letters, digits and dashes` };
+    }
+    if (cleanedStates.some(existing => existing.id === id)) {
+      return { valid: false, error: `State "${id}" is listed twice` };
+    }
+    if (!label) {
+      return { valid: false, error: `State "${id}" needs a label` };
+    }
+    cleanedStates.push({
+      id,
+      label,
+      appearance: REDLINE_STATE_APPEARANCES.includes(state.appearance) ? state.appearance : 'default'
+    });
+  }
+
+  const missing = REQUIRED_REDLINE_STATES.filter(id => !cleanedStates.some(state => state.id === id));
+  if (missing.length > 0) {
+    return { valid: false, error: `The workflow must keep the ${missing.join(', ')} state(s)` };
+  }
+
+  const stateIds = new Set(cleanedStates.map(state => state.id));
+  const cleanedTransitions = [];
+  for (const [index, transition] of transitions.entries()) {
+    const position = `Transition ${index + 1}`;
+    if (transition?.from !== ANY_REDLINE_STATE && !stateIds.has(transition?.from)) {
+      return { valid: false, error: `${position}: choose the state it starts from` };
+    }
+    if (!stateIds.has(transition.to)) {
+      return { valid: false, error: `${position}: choose the state it leads to` };
+    }
+    if (transition.from === transition.to) {
+      return { valid: false, error: `${position}: a transition must lead to a different state` };
+    }
+    if (cleanedTransitions.some(existing => existing.from === transition.from && existing.to === transition.to)) {
+      return { valid: false, error: `${position}: the same transition is listed twice` };
+    }
+    const roles = (transition.roles || []).filter(role => Object.values(TRANSITION_ROLES).includes(role));
+    const userIds = (transition.userIds || []).filter(Boolean);
+    if (roles.length === 0 && userIds.length === 0) {
+      return { valid: false, error: `${position}: choose who may perform it` };
+    }
+    cleanedTransitions.push({
+      id: transition.id,
+      from: transition.from,
+      to: transition.to,
+      label: String(transition.label || '').trim(),
+      roles,
+      userIds,
+      requireComment: !!transition.requireComment
+    });
+  }
+
+  return { valid: true, workflow: { states: cleanedStates, transitions: cleanedTransitions } };
+}
+
+/**
+ * A state's definition (states no longer in the workflow get a plain one)
+ *
+ * @param {Object} workflow - Redline workflow
+ * @param {string} stateId - State ID
+ * @returns {Object} { id, label, appearance }
+ */
+export function getRedlineState(workflow, stateId) {
+  return workflow?.states?.find(state => state.id === stateId)
+    || { id: stateId, label: stateId, appearance: 'default' };
+}
+
+/**
+ * Queue sort position of each state (unknown states sort last)
+ *
+ * @param {Object} workflow - Redline workflow
+ * @returns {Function} (stateId) => position
+ */
+export function getRedlineStateOrder(workflow) {
+  const positions = new Map((workflow?.states || []).map((state, index) => [state.id, index]));
+  return (stateId) => (positions.has(stateId) ? positions.get(stateId) : positions.size);
+}
+
+/**
+ * The transition that applies to a status change (a specific "from" beats '*')
+ *
+ * @param {Object} workflow - Redline workflow
+ * @param {string} from - Current state
+ * @param {string} to - Requested state
+ * @returns {Object|null} Transition
+ */
+export function findRedlineTransition(workflow, from, to) {
+  const transitions = (workflow?.transitions || []).filter(transition => transition.to === to);
+  return transitions.find(transition => transition.from === from)
+    || transitions.find(transition => transition.from === ANY_REDLINE_STATE)
+    || null;
+}
+
+/**
+ * Transitions available from a state, one per target state, in state order
+ *
+ * @param {Object} workflow - Redline workflow
+ * @param {string} from - Current state
+ * @returns {Array<Object>} [{ ...transition, label }] - label falls back to the target state's label
+ */
+export function getAvailableRedlineTransitions(workflow, from) {
+  return (workflow?.states || [])
+    .filter(state => state.id !== from)
+    .map(state => findRedlineTransition(workflow, from, state.id))
+    .filter(Boolean)
+    .map(transition => ({ ...transition, label: transition.label || getRedlineState(workflow, transition.to).label }));
+}
+
+/**
+ * Whether a user may perform a transition on an Embed
+ *
+ * @param {Object} transition - Workflow transition
+ * @param {Object} actor
+ * @param {string} actor.accountId - User making the change
+ * @param {Object} actor.config - macro-vars:{localId} (for assignee and owner)
+ * @param {string} [actor.category] - The Embed's Source category
+ * @param {Object} [actor.categoryOwners] - { path: [accountId] } from the categories record
+ * @returns {boolean}
+ */
+export function canPerformRedlineTransition(transition, { accountId, config, category, categoryOwners }) {
+  if ((transition.roles || []).includes(TRANSITION_ROLES.ANYONE)) {
+    return true;
+  }
+  if (!accountId) {
+    return false;
+  }
+  if ((transition.userIds || []).includes(accountId)) {
+    return true;
+  }
+  return (transition.roles || []).some(role => {
+    switch (role) {
+      case TRANSITION_ROLES.ASSIGNEE:
+        return config?.assignee === accountId;
+      case TRANSITION_ROLES.OWNER:
+        return config?.owner === accountId;
+      case TRANSITION_ROLES.CATEGORY_OWNER:
+        return getCategoryOwners(category || 'General', categoryOwners).owners.includes(accountId);
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * Whether a user may change an Embed's assignee or owner
+ *
+ * Assignee and owner are roles the workflow's transitions can be limited to, so
+ * handing them out is limited too: to the current assignee and owner, the
+ * category owners, and the users a transition names. While nobody holds any of
+ * those (or no transition is limited by role) anyone may assign.
+ *
+ * @param {Object} workflow - Redline workflow
+ * @param {Object} actor - See canPerformRedlineTransition
+ * @returns {boolean}
+ */
+export function canAssignRedlineEmbed(workflow, { accountId, config, category, categoryOwners }) {
+  const restricted = workflow.transitions.some(transition => !(transition.roles || []).includes(TRANSITION_ROLES.ANYONE));
+  if (!restricted) {
+    return true;
+  }
+  if (!accountId) {
+    return false;
+  }
+
+  const namedUsers = workflow.transitions.flatMap(transition => transition.userIds || []);
+  const holders = [
+    config?.assignee,
+    config?.owner,
+    ...getCategoryOwners(category || 'General', categoryOwners).owners,
+    ...namedUsers
+  ].filter(Boolean);
+  return holders.length === 0 || holders.includes(accountId);
+}
+
+/**
+ * Check a requested status change against the workflow
+ *
+ * @param {Object} workflow - Redline workflow
+ * @param {Object} change
+ * @param {string} change.from - Current state
+ * @param {string} change.to - Requested state
+ * @param {string} [change.comment] - Comment accompanying the change
+ * @param {Object} change.actor - See canPerformRedlineTransition
+ * @returns {Object} { allowed, transition, violation } - violation explains a refusal
+ */
+export function checkRedlineTransition(workflow, { from, to, comment, actor }) {
+  if (!workflow.states.some(state => state.id === to)) {
+    return { allowed: false, transition: null, violation: `"${to}" is not a state in the redline workflow` };
+  }
+  if (from === to) {
+    return { allowed: false, transition: null, violation: `The Embed is already ${getRedlineState(workflow, to).label}` };
+  }
+
+  const transition = findRedlineTransition(workflow, from, to);
+  const fromLabel = getRedlineState(workflow, from).label;
+  const toLabel = getRedlineState(workflow, to).label;
+  if (!transition) {
+    return { allowed: false, transition: null, violation: `The workflow doesn't allow moving from ${fromLabel} to ${toLabel}` };
+  }
+  if (!canPerformRedlineTransition(transition, actor)) {
+    return { allowed: false, transition, violation: `You are not allowed to move Embeds from ${fromLabel} to ${toLabel}` };
+  }
+  if (transition.requireComment && !String(comment || '').trim()) {
+    return { allowed: false, transition, violation: `Moving to ${toLabel} needs a comment` };
+  }
+  return { allowed: true, transition, violation: null };
+}
+
+/**
+ * Send an approved Embed whose content changed back for revision
+ *
+ * System changes bypass the workflow's transitions - an approval only covers the
+ * content that was reviewed.
+ *
+ * @param {Object} config - macro-vars:{localId}
+ * @param {Object} change
+ * @param {string} change.reason - Recorded in the status history
+ * @param {string} [change.now] - ISO timestamp (defaults to now)
+ * @returns {Object} Updated config in REVISION_REDLINE_STATE
+ */
+export function applyRedlineAutoRevision(config, { reason, now = new Date().toISOString() }) {
+  return {
+    ...config,
+    redlineStatus: REVISION_REDLINE_STATE,
+    statusHistory: [
+      ...(config.statusHistory || []),
+      {
+        status: REVISION_REDLINE_STATE,
+        previousStatus: config.redlineStatus,
+        changedBy: 'system',
+        changedAt: now,
+        reason
+      }
+    ]
+  };
+}
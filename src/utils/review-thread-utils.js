@@ -0,0 +1,72 @@
+/**
+ * Review Thread Utility Functions
+ *
+ * Each Embed has an app-side review discussion, kept whether or not the
+ * comments are also posted to Confluence:
+ *
+ *   review-thread:{localId} = {
+ *     localId,
+ *     comments: [{
+ *       id, parentId,            // parentId null = starts a thread; replies point at the thread's first comment
+ *       authorId, body, createdAt,
+ *       embedVersionId,          // Embed version the comment was made against (version-manager)
+ *       contentHash,             // ...and its contentHash, to flag comments on older content
+ *       sourceVersion,           // Source version the Embed was synced to
+ *       redlineStatus,           // Redline status when the comment was made
+ *       resolved, resolvedBy, resolvedAt,   // threads only
+ *       confluenceCommentId      // set when mirrored as a Confluence inline comment
+ *     }],
+ *     updatedAt
+ *   }
+ *
+ * Threads outlive their Embed (a recovered Embed keeps its discussion).
+ *
+ * Shared by the Admin UI, the Embed editor and the backend, so this module
+ * must stay free of storage access.
+ */
+
+// Longest comment accepted
+export const MAX_REVIEW_COMMENT_LENGTH = 4000;
+
+/**
+ * Storage key of an Embed's review thread
+ *
+ * @param {string} localId - Embed instance ID
+ * @returns {string} Storage key
+ */
+export function getReviewThreadKey(localId) {
+  return `review-thread:${localId}`;
+}
+
+/**
+ * Group comments into threads, oldest first, replies under their thread
+ *
+ * @param {Array<Object>} comments - Stored comments
+ * @returns {Array<Object>} [{ ...firstComment, replies: [comment] }]
+ */
+export function buildReviewThreads(comments) {
+  const byTime = [...(comments || [])].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  const threads = byTime.filter(comment => !comment.parentId).map(comment => ({ ...comment, replies: [] }));
+  const threadsById = new Map(threads.map(thread => [thread.id, thread]));
+
+  byTime.filter(comment => comment.parentId).forEach(reply => {
+    threadsById.get(reply.parentId)?.replies.push(reply);
+  });
+
+  return threads;
+}
+
+/**
+ * Counts shown on queue cards
+ *
+ * @param {Object|null} thread - review-thread:{localId}
+ * @returns {Object} { total, open, lastCommentAt } - total comments, unresolved threads
+ */
+export function summarizeReviewThread(thread) {
+  const comments = thread?.comments || [];
+  return {
+    total: comments.length,
+    open: comments.filter(comment => !comment.parentId && !comment.resolved).length,
+    lastCommentAt: comments.reduce((latest, comment) => (!latest || comment.createdAt > latest ? comment.createdAt : latest), null)
+  };
+}
@@ -0,0 +1,238 @@
+/**
+ * Rich Text Utility Functions
+ *
+ * Custom insertions (Free Write content) are authored as lightweight markdown in
+ * the Custom tab - UI Kit has no rich text editor - and stored as ADF:
+ *
+ *   { position, text, adf: { type: 'doc', version: 1, content: [blocks] }, anchor }
+ *
+ * - adf: the insertion's block nodes, placed after the anchor paragraph as-is
+ * - text: plain-text summary of adf, for lists, CSV export and storage validation
+ *   (insertions saved before rich text only have text)
+ *
+ * Supported markdown:
+ * - Paragraphs separated by a blank line (single line breaks are kept)
+ * - "# " to "### " headings
+ * - "- " / "* " bullet lists and "1. " numbered lists
+ * - Pipe tables ("| a | b |"), with an optional "|---|---|" row under the header
+ * - Inline **bold**, *italic* / _italic_, `code` and [links](https://...)
+ *
+ * Shared by the Embed UI and the backend, so this module must stay free of
+ * frontend-only or backend-only imports.
+ */
+
+// Block node types a rich insertion may contain (anything else is dropped when rendering)
+export const RICH_INSERTION_BLOCK_TYPES = [
+  'paragraph',
+  'heading',
+  'bulletList',
+  'orderedList',
+  'table',
+  'blockquote',
+  'codeBlock',
+  'rule'
+];
+
+// Only these link targets are turned into links; anything else stays plain text
+const SAFE_LINK_PATTERN = /^(https?:\/\/|mailto:|\/)/i;
+
+// Inline markdown tokens, longest first so **bold** wins over *italic*
+// (underscores inside words, e.g. snake_case, aren't italics)
+const INLINE_TOKEN_PATTERN = /(\*\*[^*]+\*\*|`[^`]+`|\[[^\]]+\]\([^)\s]+\)|\*[^*\s][^*]*\*|(?<!\w)_[^_\s][^_]*_(?!\w))/;
+
+/**
+ * Parse inline markdown into ADF text nodes
+ *
+ * @param {string} text - One line (or paragraph) of markdown
+ * @param {Array<Object>} marks - Marks inherited from the enclosing token
+ * @returns {Array<Object>} ADF text nodes
+ */
+function parseInline(text, marks = []) {
+  const nodes = [];
+  const withMarks = (value) => (marks.length > 0 ? { type: 'text', text: value, marks } : { type: 'text', text: value });
+
+  // split() with the capturing pattern puts the matched tokens at the odd indexes;
+  // everything in between is literal text, even lone "*" or "_"
+  for (const [index, part] of text.split(INLINE_TOKEN_PATTERN).entries()) {
+    if (!part) continue;
+
+    if (index % 2 === 0) {
+      nodes.push(withMarks(part));
+    } else if (part.startsWith('**') && part.endsWith('**') && part.length > 4) {
+      nodes.push(...parseInline(part.slice(2, -2), [...marks, { type: 'strong' }]));
+    } else if (part.startsWith('`') && part.endsWith('`') && part.length > 2) {
+      nodes.push({ type: 'text', text: part.slice(1, -1), marks: [...marks, { type: 'code' }] });
+    } else if (part.startsWith('[')) {
+      const [, label, href] = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/) || [];
+      if (label && SAFE_LINK_PATTERN.test(href)) {
+        nodes.push(...parseInline(label, [...marks, { type: 'link', attrs: { href } }]));
+      } else {
+        nodes.push(withMarks(part));
+      }
+    } else if ((part.startsWith('*') && part.endsWith('*')) || (part.startsWith('_') && part.endsWith('_'))) {
+      nodes.push(...parseInline(part.slice(1, -1), [...marks, { type: 'em' }]));
+    } else {
+      nodes.push(withMarks(part));
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Paragraph from one or more markdown lines (line breaks become hardBreaks)
+ *
+ * @param {Array<string>} lines - Lines of the paragraph
+ * @returns {Object} ADF paragraph
+ */
+function createParagraph(lines) {
+  const content = [];
+  lines.forEach((line, i) => {
+    if (i > 0) {
+      content.push({ type: 'hardBreak' });
+    }
+    content.push(...parseInline(line.trim()));
+  });
+  return { type: 'paragraph', content };
+}
+
+/**
+ * Split a pipe table row into trimmed cell texts
+ *
+ * @param {string} line - "| a | b |"
+ * @returns {Array<string>} Cell texts
+ */
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Build an ADF table from pipe table lines
+ *
+ * @param {Array<string>} lines - Table lines (including an optional separator row)
+ * @returns {Object} ADF table
+ */
+function createTable(lines) {
+  const isSeparator = (line) => /^\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?$/.test(line.trim());
+  const hasHeader = lines.length > 1 && isSeparator(lines[1]);
+  const rows = lines.filter(line => !isSeparator(line)).map(splitTableRow);
+  const columnCount = Math.max(...rows.map(row => row.length));
+
+  return {
+    type: 'table',
+    attrs: { isNumberColumnEnabled: false, layout: 'default' },
+    content: rows.map((cells, rowIndex) => ({
+      type: 'tableRow',
+      content: Array.from({ length: columnCount }, (_, i) => ({
+        type: hasHeader && rowIndex === 0 ? 'tableHeader' : 'tableCell',
+        attrs: {},
+        content: [{ type: 'paragraph', content: parseInline(cells[i] || '') }]
+      }))
+    }))
+  };
+}
+
+/**
+ * Convert lightweight markdown to an ADF document
+ *
+ * @param {string} markdown - Markdown text
+ * @returns {Object} ADF document (empty content for blank input)
+ */
+export function markdownToAdf(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  // Collect consecutive lines matching a pattern
+  const takeWhile = (pattern) => {
+    const taken = [];
+    while (i < lines.length && pattern.test(lines[i])) {
+      taken.push(lines[i]);
+      i++;
+    }
+    return taken;
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+    } else if (/^#{1,3}\s+/.test(line)) {
+      const [, hashes, text] = line.match(/^(#{1,3})\s+(.*)$/);
+      blocks.push({ type: 'heading', attrs: { level: hashes.length }, content: parseInline(text.trim()) });
+      i++;
+    } else if (/^\s*[-*]\s+/.test(line)) {
+      const items = takeWhile(/^\s*[-*]\s+/);
+      blocks.push({
+        type: 'bulletList',
+        content: items.map(item => ({ type: 'listItem', content: [createParagraph([item.replace(/^\s*[-*]\s+/, '')])] }))
+      });
+    } else if (/^\s*\d+[.)]\s+/.test(line)) {
+      const items = takeWhile(/^\s*\d+[.)]\s+/);
+      blocks.push({
+        type: 'orderedList',
+        attrs: { order: 1 },
+        content: items.map(item => ({ type: 'listItem', content: [createParagraph([item.replace(/^\s*\d+[.)]\s+/, '')])] }))
+      });
+    } else if (/^\s*\|/.test(line)) {
+      blocks.push(createTable(takeWhile(/^\s*\|/)));
+    } else {
+      // Paragraph: runs until a blank line or the start of another block
+      const paragraphLines = takeWhile(/^(?!\s*$)(?!#{1,3}\s)(?!\s*[-*]\s)(?!\s*\d+[.)]\s)(?!\s*\|)/);
+      blocks.push(createParagraph(paragraphLines));
+    }
+  }
+
+  return { type: 'doc', version: 1, content: blocks };
+}
+
+/**
+ * Plain-text summary of ADF (blocks on separate lines, table cells joined by " | ")
+ *
+ * @param {Object} adfNode - ADF node
+ * @returns {string} Text
+ */
+export function adfToPlainText(adfNode) {
+  if (!adfNode) return '';
+  if (adfNode.type === 'text') return adfNode.text || '';
+  if (adfNode.type === 'hardBreak') return '\n';
+
+  const children = Array.isArray(adfNode.content) ? adfNode.content.map(adfToPlainText) : [];
+  switch (adfNode.type) {
+    case 'tableRow':
+      return children.join(' | ');
+    case 'doc':
+    case 'table':
+    case 'bulletList':
+    case 'orderedList':
+    case 'blockquote':
+    case 'tableCell':
+    case 'tableHeader':
+    case 'listItem':
+      return children.filter(Boolean).join('\n');
+    default:
+      return children.join('');
+  }
+}
+
+/**
+ * Whether a custom insertion holds ADF (rather than plain text only)
+ *
+ * @param {Object} insertion - Custom insertion
+ * @returns {boolean}
+ */
+export function isRichInsertion(insertion) {
+  return insertion?.adf?.type === 'doc' && Array.isArray(insertion.adf.content) && insertion.adf.content.length > 0;
+}
+
+/**
+ * Build a custom insertion's content fields from markdown
+ *
+ * @param {string} markdown - Markdown typed in the Custom tab
+ * @returns {Object} { text, adf }
+ */
+export function createRichInsertionContent(markdown) {
+  const adf = markdownToAdf(markdown);
+  return { text: adfToPlainText(adf).trim(), adf };
+}
@@ -0,0 +1,316 @@
+/**
+ * Full-Text Search Index Utility Functions
+ *
+ * The Admin page's full-text search reads pre-extracted plain text instead of
+ * raw Sources and Embed configs, so a search is one prefix scan of small
+ * records rather than loading every ADF document:
+ *
+ *   search-doc:source:{excerptId} = { type: 'source', excerptId, fields, indexedAt }
+ *   search-doc:embed:{localId}    = { type: 'embed', localId, excerptId, pageId, spaceKey, fields, indexedAt }
+ *   search-index-meta             = { rebuiltAt, rebuiltBy, sourceCount, embedCount }
+ *
+ * fields is a list of { kind, label, text }:
+ * - Sources: name, content (live content via extractTextFromAdf), variable
+ *   (name and description), documentation (link anchor and URL)
+ * - Embeds: variableValue (one per filled-in variable) and customInsertion
+ *   (Free Write paragraphs)
+ *
+ * Live Sources are indexed when they're saved or published (drafts aren't
+ * searched) and Embeds when their configuration is saved. Anything written
+ * another way - imports, restores, Sources saved before the index existed - is
+ * picked up by a full rebuild (workers/searchIndexWorker.js).
+ *
+ * Backend only (reads @forge/api storage, pushes to a @forge/events queue).
+ */
+
+import { storage, startsWith } from '@forge/api';
+import { Queue } from '@forge/events';
+import { generateUUID } from '../utils.js';
+import { extractTextFromAdf } from './adf-utils.js';
+import { adfToPlainText } from './rich-text-utils.js';
+
+export const SEARCH_INDEX_QUEUE = 'search-index-queue';
+export const SEARCH_DOC_PREFIX = 'search-doc:';
+export const SEARCH_INDEX_META_KEY = 'search-index-meta';
+
+// Field kinds, in the order results list them
+export const SEARCH_FIELD_KINDS = {
+  NAME: 'name',
+  CONTENT: 'content',
+  VARIABLE: 'variable',
+  DOCUMENTATION: 'documentation',
+  VARIABLE_VALUE: 'variableValue',
+  CUSTOM_INSERTION: 'customInsertion'
+};
+
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+
+/**
+ * Storage key of a search document
+ *
+ * @param {string} type - 'source' or 'embed'
+ * @param {string} id - excerptId or localId
+ * @returns {string} Storage key
+ */
+export function getSearchDocKey(type, id) {
+  return `${SEARCH_DOC_PREFIX}${type}:${id}`;
+}
+
+/**
+ * Collapse whitespace so snippets read as one line
+ */
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Search document of a live Source
+ *
+ * @param {Object} excerpt - Live excerpt
+ * @returns {Object} Search document
+ */
+export function buildSourceSearchDoc(excerpt) {
+  const fields = [
+    { kind: SEARCH_FIELD_KINDS.NAME, label: 'Name', text: cleanText(excerpt.name) },
+    { kind: SEARCH_FIELD_KINDS.CONTENT, label: 'Content', text: cleanText(excerpt.content ? extractTextFromAdf(excerpt.content) : '') },
+    ...(excerpt.variables || []).map(variable => ({
+      kind: SEARCH_FIELD_KINDS.VARIABLE,
+      label: `Variable {{${variable.name}}}`,
+      text: cleanText(`${variable.name} ${variable.description || ''}`)
+    })),
+    ...(excerpt.documentationLinks || []).map(link => ({
+      kind: SEARCH_FIELD_KINDS.DOCUMENTATION,
+      label: 'Documentation link',
+      text: cleanText(`${link.anchor || ''} ${link.url || ''}`)
+    }))
+  ];
+
+  return {
+    type: 'source',
+    excerptId: excerpt.id,
+    fields: fields.filter(field => field.text),
+    indexedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Search document of an Embed's own configuration (values it inherits aren't included)
+ *
+ * @param {string} localId - Embed instance ID
+ * @param {Object} macroVars - macro-vars:{localId}
+ * @returns {Object} Search document
+ */
+export function buildEmbedSearchDoc(localId, macroVars) {
+  const valueFields = Object.entries(macroVars.variableValues || {}).map(([name, value]) => ({
+    kind: SEARCH_FIELD_KINDS.VARIABLE_VALUE,
+    label: `{{${name}}}`,
+    // List variables hold rows of fields
+    text: cleanText(typeof value === 'string' ? value : JSON.stringify(value ?? '').replace(/[[\]{}"]/g, ' '))
+  }));
+  const insertionFields = (macroVars.customInsertions || []).map(insertion => ({
+    kind: SEARCH_FIELD_KINDS.CUSTOM_INSERTION,
+    label: 'Free Write paragraph',
+    text: cleanText(insertion.text || (insertion.adf ? adfToPlainText(insertion.adf) : ''))
+  }));
+
+  return {
+    type: 'embed',
+    localId,
+    excerptId: macroVars.excerptId || null,
+    pageId: macroVars.pageId || null,
+    spaceKey: macroVars.spaceKey || null,
+    fields: [...valueFields, ...insertionFields].filter(field => field.text),
+    indexedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Index a live Source (not fatal - a rebuild catches up)
+ *
+ * @param {Object} excerpt - Live excerpt
+ * @returns {Promise<void>}
+ */
+export async function indexSource(excerpt) {
+  try {
+    await storage.set(getSearchDocKey('source', excerpt.id), buildSourceSearchDoc(excerpt));
+  } catch (error) {
+    console.warn(`[indexSource] Could not index Source ${excerpt?.id}:`, error);
+  }
+}
+
+/**
+ * Index an Embed's configuration (not fatal - a rebuild catches up)
+ *
+ * @param {string} localId - Embed instance ID
+ * @param {Object} macroVars - macro-vars:{localId}
+ * @returns {Promise<void>}
+ */
+export async function indexEmbed(localId, macroVars) {
+  try {
+    await storage.set(getSearchDocKey('embed', localId), buildEmbedSearchDoc(localId, macroVars));
+  } catch (error) {
+    console.warn(`[indexEmbed] Could not index Embed ${localId}:`, error);
+  }
+}
+
+/**
+ * Drop a Source or Embed from the index
+ *
+ * @param {string} type - 'source' or 'embed'
+ * @param {string} id - excerptId or localId
+ * @returns {Promise<void>}
+ */
+export async function removeFromSearchIndex(type, id) {
+  try {
+    await storage.delete(getSearchDocKey(type, id));
+  } catch (error) {
+    console.warn(`[removeFromSearchIndex] Could not remove ${type} ${id}:`, error);
+  }
+}
+
+/**
+ * Load every search document with a key prefix
+ *
+ * @param {string} prefix - Storage key prefix
+ * @returns {Promise<Array<Object>>} [{ key, value }]
+ */
+export async function loadSearchDocs(prefix) {
+  let results = [];
+  let cursor = undefined;
+
+  do {
+    const batch = await storage.query()
+      .where('key', startsWith(prefix))
+      .limit(100)
+      .cursor(cursor)
+      .getMany();
+
+    results = results.concat(batch.results);
+    cursor = batch.nextCursor;
+  } while (cursor);
+
+  return results;
+}
+
+/**
+ * Split a search into lowercase terms, keeping "quoted phrases" together
+ *
+ * @param {string} query - Search as typed
+ * @returns {Array<string>} Terms (all must match)
+ */
+export function parseSearchTerms(query) {
+  const terms = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(query || ''))) !== null) {
+    const term = cleanText(match[1] ?? match[2]).toLowerCase();
+    if (term) {
+      terms.push(term);
+    }
+  }
+  return [...new Set(terms)];
+}
+
+/**
+ * Snippet of a field around its first match, split into highlighted parts
+ *
+ * @param {string} text - Field text
+ * @param {Array<string>} terms - Lowercase terms
+ * @returns {Array<Object>} [{ text, highlight }]
+ */
+export function buildSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  const firstMatch = Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index >= 0));
+  const start = Math.max(0, firstMatch - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, firstMatch + SNIPPET_CONTEXT * 2);
+  const window = text.slice(start, end);
+  const lowerWindow = window.toLowerCase();
+
+  // Mark every term occurrence in the window, then merge into parts
+  const highlighted = new Array(window.length).fill(false);
+  for (const term of terms) {
+    let index = lowerWindow.indexOf(term);
+    while (index >= 0) {
+      highlighted.fill(true, index, index + term.length);
+      index = lowerWindow.indexOf(term, index + term.length);
+    }
+  }
+
+  const parts = [];
+  for (let i = 0; i < window.length; i++) {
+    const last = parts[parts.length - 1];
+    if (last && last.highlight === highlighted[i]) {
+      last.text += window[i];
+    } else {
+      parts.push({ text: window[i], highlight: highlighted[i] });
+    }
+  }
+  if (start > 0) {
+    parts.unshift({ text: '…', highlight: false });
+  }
+  if (end < text.length) {
+    parts.push({ text: '…', highlight: false });
+  }
+  return parts;
+}
+
+/**
+ * Match a search document: every term must occur in one of its fields
+ *
+ * @param {Object} doc - Search document
+ * @param {Array<string>} terms - Lowercase terms
+ * @param {Array<string>|null} kinds - Field kinds to search (null = all)
+ * @returns {Array<Object>|null} Matching fields [{ kind, label, snippet }], or null if the document doesn't match
+ */
+export function matchSearchDoc(doc, terms, kinds = null) {
+  if (terms.length === 0) {
+    return null;
+  }
+  const fields = (doc.fields || []).filter(field => !kinds || kinds.includes(field.kind));
+  const lowerTexts = fields.map(field => field.text.toLowerCase());
+
+  if (!terms.every(term => lowerTexts.some(text => text.includes(term)))) {
+    return null;
+  }
+
+  return fields
+    .filter((field, index) => terms.some(term => lowerTexts[index].includes(term)))
+    .map(field => ({
+      kind: field.kind,
+      label: field.label,
+      snippet: buildSnippet(field.text, terms.filter(term => field.text.toLowerCase().includes(term)))
+    }));
+}
+
+/**
+ * Queue a full rebuild of the search index
+ *
+ * Progress is written to progress:{progressId} (poll with getCheckProgress).
+ *
+ * @param {string|null} accountId - User who asked for it
+ * @returns {Promise<Object>} { jobId, progressId }
+ */
+export async function queueSearchIndexRebuild(accountId) {
+  const progressId = generateUUID();
+  await storage.set(`progress:${progressId}`, {
+    phase: 'queued',
+    percent: 0,
+    status: 'Search index rebuild queued...',
+    total: 0,
+    processed: 0,
+    queuedAt: new Date().toISOString()
+  });
+
+  const queue = new Queue({ key: SEARCH_INDEX_QUEUE });
+  const { jobId } = await queue.push({
+    body: {
+      progressId,
+      accountId: accountId || null
+    }
+  });
+
+  console.log(`[queueSearchIndexRebuild] job ${jobId}, progress ${progressId}`);
+
+  return { jobId, progressId };
+}
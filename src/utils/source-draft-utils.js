@@ -0,0 +1,196 @@
+/**
+ * Source Draft Utility Functions
+ *
+ * Staged publishing keeps a Source's in-progress changes out of the live
+ * excerpt:{id} that every Embed reads. When a Source has requiresPublish set,
+ * saves (from the Source config, the admin modal, and the automatic macro body
+ * sync) land in a separate draft record instead:
+ *
+ *   excerpt-draft:{id} = {
+ *     ...excerpt fields (content, variables, toggles, contentHash, ...),
+ *     draftStatus: 'draft' | 'in-review',
+ *     approverIds: [accountId],           // only these users may publish once set
+ *     approverId: accountId | null,       // first approver (drafts from before approverIds)
+ *     reviewRequestedBy, reviewRequestedAt,
+ *     basedOnContentHash,                 // published hash the draft started from
+ *     draftUpdatedBy, draftUpdatedAt,
+ *     pendingRenames                      // { variables, toggles } to migrate across Embeds on publish
+ *   }
+ *
+ * Publishing copies the draft over the live excerpt and appends a changelog
+ * entry ({ contentHash, version, releaseType, note, publishedBy, publishedAt, approvedBy }) that the
+ * Embed's Update Available banner shows. See resolvers/publishing-resolvers.js.
+ * Unstaged Sources get the same entry when saved with a change summary.
+ *
+ * Backend only (reads @forge/api storage).
+ */
+
+import { storage } from '@forge/api';
+import { suggestReleaseType } from './source-release-utils.js';
+
+// Changelog entries kept on the live excerpt (oldest dropped first)
+export const MAX_CHANGELOG_ENTRIES = 50;
+
+// Fields that describe the draft itself rather than the Source content
+const DRAFT_FIELDS = [
+  'draftStatus',
+  'approverIds',
+  'approverId',
+  'reviewRequestedBy',
+  'reviewRequestedAt',
+  'basedOnContentHash',
+  'draftUpdatedBy',
+  'draftUpdatedAt'
+];
+
+/**
+ * Append an entry to a Source's changelog, dropping the oldest past the cap
+ *
+ * @param {Array<Object>} changelog - Existing changelog (oldest first)
+ * @param {Object} entry - { contentHash, version, releaseType, note, publishedBy, publishedAt, approvedBy }
+ * @returns {Array<Object>} New changelog
+ */
+export function appendChangelogEntry(changelog, entry) {
+  return [...(changelog || []), entry].slice(-MAX_CHANGELOG_ENTRIES);
+}
+
+/**
+ * Users who may publish a draft that is in review
+ *
+ * @param {Object|null} draft - Draft record
+ * @returns {Array<string>} accountIds (empty = anyone can publish)
+ */
+export function getDraftApprovers(draft) {
+  if (Array.isArray(draft?.approverIds) && draft.approverIds.length > 0) {
+    return draft.approverIds;
+  }
+  return draft?.approverId ? [draft.approverId] : [];
+}
+
+/**
+ * Whether a user may publish a draft
+ *
+ * @param {Object|null} draft - Draft record
+ * @param {string|null} accountId - User
+ * @returns {boolean}
+ */
+export function canPublishDraft(draft, accountId) {
+  const approvers = getDraftApprovers(draft);
+  return approvers.length === 0 || approvers.includes(accountId);
+}
+
+/**
+ * Whether a user may change, cancel or drop a draft's review
+ *
+ * While a draft is in review only its approvers may clear the review, discard
+ * the draft, or turn staging off (which publishes straight away) - otherwise the
+ * requester, or anyone else, could get around the approver. The requester can
+ * still change the content, which sends the draft back to 'draft' (see
+ * saveSourceDraft).
+ *
+ * @param {Object|null} draft - Draft record
+ * @param {string|null} accountId - User
+ * @returns {boolean}
+ */
+export function canManageDraftReview(draft, accountId) {
+  return draft?.draftStatus !== 'in-review' || canPublishDraft(draft, accountId);
+}
+
+/**
+ * Storage key for a Source's draft
+ *
+ * @param {string} excerptId - Source ID
+ * @returns {string} Storage key
+ */
+export function getDraftKey(excerptId) {
+  return `excerpt-draft:${excerptId}`;
+}
+
+/**
+ * Load a Source's draft
+ *
+ * @param {string} excerptId - Source ID
+ * @returns {Promise<Object|null>} Draft record, or null if there is none
+ */
+export async function getSourceDraft(excerptId) {
+  return await storage.get(getDraftKey(excerptId)) || null;
+}
+
+/**
+ * Save Source content as a draft, keeping the review state of an existing draft
+ *
+ * Changing the content of a draft in review (other than by one of its approvers)
+ * withdraws the review: the approvers would otherwise publish text they never
+ * saw, so the review has to be requested again.
+ *
+ * @param {Object} excerpt - Full excerpt object (with contentHash) to hold as the draft
+ * @param {Object} publishedExcerpt - Current live excerpt
+ * @param {string} accountId - User saving the draft
+ * @returns {Promise<Object>} The stored draft
+ */
+export async function saveSourceDraft(excerpt, publishedExcerpt, accountId) {
+  const existingDraft = await getSourceDraft(excerpt.id);
+  const keepReview = existingDraft?.draftStatus !== 'in-review'
+    || existingDraft.contentHash === excerpt.contentHash
+    || canManageDraftReview(existingDraft, accountId);
+  const review = keepReview ? existingDraft : null;
+
+  const draft = {
+    ...excerpt,
+    draftStatus: review?.draftStatus || 'draft',
+    approverIds: getDraftApprovers(review),
+    approverId: review?.approverId || null,
+    reviewRequestedBy: review?.reviewRequestedBy || null,
+    reviewRequestedAt: review?.reviewRequestedAt || null,
+    basedOnContentHash: existingDraft?.basedOnContentHash || publishedExcerpt?.contentHash || null,
+    draftUpdatedBy: accountId || null,
+    draftUpdatedAt: new Date().toISOString()
+  };
+
+  await storage.set(getDraftKey(excerpt.id), draft);
+  return draft;
+}
+
+/**
+ * Strip the draft bookkeeping fields, leaving the Source content
+ *
+ * @param {Object} draft - Draft record
+ * @returns {Object} Excerpt fields only
+ */
+export function getDraftContent(draft) {
+  const content = { ...draft };
+  DRAFT_FIELDS.forEach(field => delete content[field]);
+  return content;
+}
+
+/**
+ * Summarize a draft for the editors (no content)
+ *
+ * @param {Object|null} draft - Draft record
+ * @param {Object|null} publishedExcerpt - Current live excerpt
+ * @returns {Object|null} { status, approverId, approverIds, reviewRequestedBy, reviewRequestedAt, updatedBy, updatedAt,
+ *   hasChanges, isOutdated, releaseType, suggestedReleaseType, publishedVersion }
+ */
+export function summarizeDraft(draft, publishedExcerpt) {
+  if (!draft) {
+    return null;
+  }
+
+  return {
+    status: draft.draftStatus,
+    approverId: draft.approverId,
+    approverIds: getDraftApprovers(draft),
+    reviewRequestedBy: draft.reviewRequestedBy,
+    reviewRequestedAt: draft.reviewRequestedAt,
+    updatedBy: draft.draftUpdatedBy,
+    updatedAt: draft.draftUpdatedAt,
+    // Nothing to publish if the draft matches what's live
+    hasChanges: draft.contentHash !== publishedExcerpt?.contentHash,
+    // Someone published another change after this draft was started
+    isOutdated: !!draft.basedOnContentHash && draft.basedOnContentHash !== publishedExcerpt?.contentHash,
+    // Release type chosen when saving (null = not chosen) and the one suggested by the changes
+    releaseType: draft.releaseType || null,
+    suggestedReleaseType: suggestReleaseType(publishedExcerpt, draft),
+    publishedVersion: publishedExcerpt?.version || null
+  };
+}
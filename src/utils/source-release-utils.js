@@ -0,0 +1,132 @@
+/**
+ * Source Release Utility Functions
+ *
+ * Every Source carries a semver-style version ("MAJOR.MINOR.PATCH") that is
+ * bumped each time a change goes live - a direct save or automatic body sync of
+ * an unstaged Source, or publishing a staged Source's draft. The author picks
+ * the release type (or accepts the suggested one):
+ *
+ *   major - breaking: variables or toggles removed/renamed, structure changed;
+ *           Embed owners need to review their configuration
+ *   minor - new variables or toggles; existing Embeds keep working
+ *   patch - cosmetic: wording, formatting, documentation
+ *
+ * Embeds record the version they last synced (macro-vars:{localId}.syncedVersion),
+ * so staleness can be reported by severity instead of a plain "Update Available".
+ *
+ * Shared by the resolvers and the UI, so this module must stay free of
+ * frontend-only or backend-only imports.
+ */
+
+// Version given to new Sources (and assumed for Sources saved before versioning)
+export const INITIAL_SOURCE_VERSION = '1.0.0';
+
+/**
+ * Release types, most severe first, with the labels the editors show
+ */
+export const RELEASE_TYPES = ['major', 'minor', 'patch'];
+
+export const RELEASE_TYPE_LABELS = {
+  major: 'Major - breaking (Embeds need attention)',
+  minor: 'Minor - new variables or toggles',
+  patch: 'Patch - cosmetic (wording, formatting)'
+};
+
+/**
+ * Parse a version string
+ *
+ * @param {string} version - "MAJOR.MINOR.PATCH"
+ * @returns {Array<number>|null} [major, minor, patch], or null if not a valid version
+ */
+export function parseVersion(version) {
+  const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(String(version || '').trim());
+  return match ? match.slice(1).map(Number) : null;
+}
+
+/**
+ * Bump a version for a release
+ *
+ * @param {string} version - Current version (invalid/missing is treated as INITIAL_SOURCE_VERSION)
+ * @param {string} releaseType - 'major' | 'minor' | 'patch'
+ * @returns {string} Next version
+ *
+ * @example
+ * bumpVersion('1.4.2', 'minor'); // '1.5.0'
+ * bumpVersion('1.4.2', 'major'); // '2.0.0'
+ */
+export function bumpVersion(version, releaseType) {
+  const [major, minor, patch] = parseVersion(version) || parseVersion(INITIAL_SOURCE_VERSION);
+  if (releaseType === 'major') {
+    return `${major + 1}.0.0`;
+  }
+  if (releaseType === 'minor') {
+    return `${major}.${minor + 1}.0`;
+  }
+  return `${major}.${minor}.${patch + 1}`;
+}
+
+/**
+ * Suggest a release type from what changed between two versions of a Source
+ *
+ * Removed variables or toggles break Embeds that set them (a rename looks like
+ * a removal plus an addition), so that's major. Only additions is minor, and
+ * anything else is a patch. A variable whose type changed is treated as major,
+ * since existing values may no longer be valid.
+ *
+ * @param {Object} previous - Live Source before the change
+ * @param {Object} next - Source after the change
+ * @returns {string} 'major' | 'minor' | 'patch'
+ */
+export function suggestReleaseType(previous, next) {
+  const previousVariables = previous?.variables || [];
+  const nextVariables = next?.variables || [];
+  const previousToggles = (previous?.toggles || []).map(t => t.name);
+  const nextToggles = (next?.toggles || []).map(t => t.name);
+
+  const removedVariable = previousVariables.some(v => !nextVariables.find(n => n.name === v.name));
+  const retypedVariable = previousVariables.some(v => {
+    const match = nextVariables.find(n => n.name === v.name);
+    return match && (match.type || 'text') !== (v.type || 'text');
+  });
+  const removedToggle = previousToggles.some(name => !nextToggles.includes(name));
+  if (removedVariable || retypedVariable || removedToggle) {
+    return 'major';
+  }
+
+  const addedVariable = nextVariables.some(v => !previousVariables.find(p => p.name === v.name));
+  const addedToggle = nextToggles.some(name => !previousToggles.includes(name));
+  if (addedVariable || addedToggle) {
+    return 'minor';
+  }
+
+  return 'patch';
+}
+
+/**
+ * Severity of the update waiting for an Embed
+ *
+ * @param {string} sourceVersion - Source's current version
+ * @param {string} syncedVersion - Version the Embed last synced (macro-vars syncedVersion)
+ * @param {boolean} isStale - Whether the Embed is out of date at all
+ * @returns {string|null} 'major' | 'minor' | 'patch', 'unknown' if either version is
+ *   missing (Embeds synced before versioning), or null if the Embed is up to date
+ */
+export function getUpdateSeverity(sourceVersion, syncedVersion, isStale) {
+  if (!isStale) {
+    return null;
+  }
+
+  const current = parseVersion(sourceVersion);
+  const synced = parseVersion(syncedVersion);
+  if (!current || !synced) {
+    return 'unknown';
+  }
+
+  if (current[0] !== synced[0]) {
+    return 'major';
+  }
+  if (current[1] !== synced[1]) {
+    return 'minor';
+  }
+  return 'patch';
+}
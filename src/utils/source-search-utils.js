@@ -0,0 +1,202 @@
+/**
+ * Source Search Utility Functions
+ *
+ * Tags and the query language of the Admin page's Source search box.
+ *
+ * Tags are free-form labels on a Source (excerpt.tags, e.g. "deprecated",
+ * "EU-only", "needs-legal-review"). They organize Sources for admins only:
+ * they aren't part of the contentHash and never offer Embeds an update.
+ *
+ * A search is plain text (matched against the Source name) mixed with filters:
+ *
+ *   tag:deprecated          has the tag (repeat for several; case-insensitive)
+ *   category:"Legal > EU"   in the category or one of its subcategories
+ *   usage:0  usage:>5       number of pages using the Source (=, >, >=, <, <=)
+ *   is:stale                some Embeds haven't synced the current Source
+ *   is:unused / is:used     no pages / at least one page use the Source
+ *
+ * Prefix a filter with "-" to negate it (-tag:deprecated). Values with spaces
+ * go in double quotes. Unknown filters are searched as text.
+ *
+ * Shared by the Admin UI and the backend, so this module must stay free of
+ * storage access.
+ */
+
+import { isInCategory } from './category-utils.js';
+
+// Longest tag accepted (longer ones are cut)
+export const MAX_TAG_LENGTH = 40;
+
+const FILTER_KEYS = ['tag', 'category', 'usage', 'is'];
+const IS_VALUES = ['stale', 'unused', 'used'];
+const USAGE_PATTERN = /^(>=|<=|>|<|=)?(\d+)$/;
+
+/**
+ * Canonical form of a tag: trimmed, inner whitespace as "-", length-capped
+ *
+ * @param {string} tag - Tag as typed
+ * @returns {string} Tag ('' if empty)
+ */
+export function normalizeTag(tag) {
+  return String(tag || '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Normalize a tag list: canonical tags, no empties, no case-insensitive duplicates
+ *
+ * @param {Array<string>} tags - Tags
+ * @returns {Array<string>} Tags in their original order
+ */
+export function normalizeTags(tags) {
+  const seen = new Set();
+  const result = [];
+  for (const rawTag of Array.isArray(tags) ? tags : []) {
+    const tag = normalizeTag(rawTag);
+    if (tag && !seen.has(tag.toLowerCase())) {
+      seen.add(tag.toLowerCase());
+      result.push(tag);
+    }
+  }
+  return result;
+}
+
+/**
+ * Every tag used by the given Sources, with how many Sources use it
+ *
+ * @param {Array<Object>} excerpts - Sources
+ * @returns {Array<Object>} [{ tag, count }] sorted by tag
+ */
+export function collectTags(excerpts) {
+  const counts = new Map();
+  for (const excerpt of excerpts || []) {
+    for (const tag of normalizeTags(excerpt?.tags)) {
+      const key = tag.toLowerCase();
+      const entry = counts.get(key) || { tag, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    }
+  }
+  return [...counts.values()].sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Split a search into terms, keeping double-quoted values together
+ *
+ * @param {string} query - Search as typed
+ * @returns {Array<string>} Terms with the quotes removed
+ */
+function tokenizeQuery(query) {
+  const terms = [];
+  const pattern = /(-?[\w]+:)?"([^"]*)"?|\S+/g;
+  let match;
+  while ((match = pattern.exec(String(query || ''))) !== null) {
+    terms.push(match[2] !== undefined ? `${match[1] || ''}${match[2]}` : match[0]);
+  }
+  return terms;
+}
+
+/**
+ * Parse a search into name text and filters
+ *
+ * @param {string} query - Search as typed
+ * @returns {Object} { text, filters: [{ key, value, negate, operator?, count? }] }
+ */
+export function parseSearchQuery(query) {
+  const textTerms = [];
+  const filters = [];
+
+  for (const term of tokenizeQuery(query)) {
+    const match = term.match(/^(-?)(\w+):(.+)$/);
+    const key = match?.[2].toLowerCase();
+    const value = match?.[3].trim();
+    if (!match || !FILTER_KEYS.includes(key) || !value) {
+      textTerms.push(term);
+      continue;
+    }
+
+    const filter = { key, value, negate: match[1] === '-' };
+    if (key === 'usage') {
+      const usage = value.match(USAGE_PATTERN);
+      if (!usage) {
+        textTerms.push(term);
+        continue;
+      }
+      filter.operator = usage[1] || '=';
+      filter.count = Number(usage[2]);
+    } else if (key === 'is') {
+      filter.value = value.toLowerCase();
+      if (!IS_VALUES.includes(filter.value)) {
+        textTerms.push(term);
+        continue;
+      }
+    }
+    filters.push(filter);
+  }
+
+  return { text: textTerms.join(' '), filters };
+}
+
+/**
+ * Whether a count satisfies a usage filter
+ */
+function compareCount(count, operator, expected) {
+  switch (operator) {
+    case '>': return count > expected;
+    case '>=': return count >= expected;
+    case '<': return count < expected;
+    case '<=': return count <= expected;
+    default: return count === expected;
+  }
+}
+
+/**
+ * Whether a Source matches one filter (before negation)
+ */
+function matchesFilter(excerpt, filter, stats) {
+  const usage = stats.usageCounts?.[excerpt.id] || 0;
+  switch (filter.key) {
+    case 'tag':
+      return normalizeTags(excerpt.tags).some(tag => tag.toLowerCase() === normalizeTag(filter.value).toLowerCase());
+    case 'category':
+      return isInCategory(excerpt.category || 'General', filter.value);
+    case 'usage':
+      return compareCount(usage, filter.operator, filter.count);
+    case 'is':
+      if (filter.value === 'stale') {
+        return (stats.staleCounts?.[excerpt.id] || 0) > 0;
+      }
+      return filter.value === 'unused' ? usage === 0 : usage > 0;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Whether a Source matches a parsed search (all filters must match)
+ *
+ * @param {Object} excerpt - Source ({ id, name, category, tags })
+ * @param {Object} parsedQuery - parseSearchQuery result
+ * @param {Object} stats - { usageCounts: { id: pages }, staleCounts: { id: stale Embeds } }
+ * @returns {boolean}
+ */
+export function matchesSearchQuery(excerpt, parsedQuery, stats = {}) {
+  const text = parsedQuery.text.toLowerCase();
+  if (text && !String(excerpt.name || '').toLowerCase().includes(text)) {
+    return false;
+  }
+  return parsedQuery.filters.every(filter => matchesFilter(excerpt, filter, stats) !== filter.negate);
+}
+
+/**
+ * Quote a filter value for a search if it needs it
+ *
+ * @param {string} key - Filter key (tag, category, ...)
+ * @param {string} value - Filter value
+ * @returns {string} Search term, e.g. category:"Legal > EU"
+ */
+export function formatSearchFilter(key, value) {
+  return /[\s"]/.test(value) ? `${key}:"${value.replace(/"/g, '')}"` : `${key}:${value}`;
+}
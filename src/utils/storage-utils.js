@@ -2,10 +2,19 @@
  * Storage Utility Functions
  *
  * This module provides utilities for managing Forge storage operations,
- * particularly maintaining the excerpt index for fast retrieval.
+ * particularly maintaining the excerpt index for fast retrieval and loading
+ * the values Embeds inherit: page-level variables (page-vars:{pageId}) and the
+ * space/global variable dictionaries (variable-dictionary:*), the category
+ * list with its owners, the redline assignment rules, workflow and SLA thresholds.
  */
 
 import { storage } from '@forge/api';
+import { buildInheritedScopes, applyVariableScopes, mergePageScope } from './page-variable-utils.js';
+import { DICTIONARY_SCOPE, getDictionaryKey, getDictionaryChangedAt } from './variable-dictionary-utils.js';
+import { DEFAULT_CATEGORIES, withCategoryAncestors } from './category-utils.js';
+import { DEFAULT_REDLINE_WORKFLOW } from './redline-workflow-utils.js';
+import { DEFAULT_REDLINE_SLA } from './redline-metrics-utils.js';
+import { resolveNestedSources } from './nested-source-utils.js';
 
 /**
  * Update the excerpt index with a modified or new excerpt
@@ -46,3 +55,148 @@ export async function updateExcerptIndex(excerpt) {
 
   await storage.set('excerpt-index', index);
 }
+
+/**
+ * Load the category list and category owners (see category-utils.js)
+ *
+ * @returns {Promise<Object>} { categories: [path], owners: { path: [accountId] } }
+ */
+export async function getCategoryData() {
+  const data = await storage.get('categories');
+  return {
+    categories: withCategoryAncestors(data?.categories || DEFAULT_CATEGORIES),
+    owners: data?.owners || {}
+  };
+}
+
+/**
+ * Load the redline assignment rules (see redline-assignment-utils.js)
+ *
+ * @returns {Promise<Object>} { rules: [{ id, type, match, assigneeId, ownerId }], updatedAt, updatedBy }
+ */
+export async function loadRedlineAssignmentRules() {
+  const data = await storage.get('redline-assignment-rules');
+  return {
+    rules: data?.rules || [],
+    updatedAt: data?.updatedAt || null,
+    updatedBy: data?.updatedBy || null
+  };
+}
+
+/**
+ * Load the redline workflow (see redline-workflow-utils.js), or the default one
+ *
+ * @returns {Promise<Object>} { states, transitions, updatedAt, updatedBy }
+ */
+export async function loadRedlineWorkflow() {
+  return await storage.get('redline-workflow') || DEFAULT_REDLINE_WORKFLOW;
+}
+
+/**
+ * Load the redline SLA thresholds (see redline-metrics-utils.js), or the default ones
+ *
+ * @returns {Promise<Object>} { thresholds: { [stateId]: days }, updatedAt, updatedBy }
+ */
+export async function loadRedlineSla() {
+  return await storage.get('redline-sla') || DEFAULT_REDLINE_SLA;
+}
+
+/**
+ * Load the page-level variables for a page
+ *
+ * @param {string|null} pageId - Confluence page ID
+ * @returns {Promise<Object|null>} page-vars:{pageId} ({ variableValues, toggleStates, ... }), or null
+ */
+export async function getPageScope(pageId) {
+  if (!pageId) {
+    return null;
+  }
+  return await storage.get(`page-vars:${pageId}`) || null;
+}
+
+/**
+ * Load a variable dictionary
+ *
+ * @param {string} scope - DICTIONARY_SCOPE.GLOBAL or DICTIONARY_SCOPE.SPACE
+ * @param {string|null} spaceKey - Space key (space scope only)
+ * @returns {Promise<Object|null>} Stored dictionary, or null
+ */
+export async function getVariableDictionary(scope, spaceKey = null) {
+  if (scope === DICTIONARY_SCOPE.SPACE && !spaceKey) {
+    return null;
+  }
+  return await storage.get(getDictionaryKey(scope, spaceKey)) || null;
+}
+
+/**
+ * Load everything an Embed inherits values from
+ *
+ * Pass the same Map to every call when handling many Embeds so each page and
+ * dictionary is read only once.
+ *
+ * @param {Object} location - { pageId, spaceKey } of the Embed
+ * @param {Map} scopeCache - Optional storage key -> Promise cache
+ * @returns {Promise<Object>} { pageScope, spaceDictionary, globalDictionary }
+ */
+export async function loadVariableScopes({ pageId = null, spaceKey = null } = {}, scopeCache = null) {
+  const cached = (key, load) => {
+    if (!scopeCache) {
+      return load();
+    }
+    if (!scopeCache.has(key)) {
+      scopeCache.set(key, load());
+    }
+    return scopeCache.get(key);
+  };
+
+  const [pageScope, spaceDictionary, globalDictionary] = await Promise.all([
+    cached(`page-vars:${pageId}`, () => getPageScope(pageId)),
+    cached(getDictionaryKey(DICTIONARY_SCOPE.SPACE, spaceKey), () => getVariableDictionary(DICTIONARY_SCOPE.SPACE, spaceKey)),
+    cached(getDictionaryKey(DICTIONARY_SCOPE.GLOBAL), () => getVariableDictionary(DICTIONARY_SCOPE.GLOBAL))
+  ]);
+  return { pageScope, spaceDictionary, globalDictionary };
+}
+
+/**
+ * Embed config with its inherited values filled in (page variables, then the
+ * space and global dictionaries - see page-variable-utils.js)
+ *
+ * @param {Object} macroVars - Embed config (macro-vars:{localId}), including pageId and spaceKey
+ * @param {Map} scopeCache - Optional cache shared across calls (see loadVariableScopes)
+ * @returns {Promise<Object>} Config to render with
+ */
+export async function withVariableScopes(macroVars, scopeCache = null) {
+  if (!macroVars) {
+    return macroVars;
+  }
+  const scopes = await loadVariableScopes(macroVars, scopeCache);
+  return applyVariableScopes(macroVars, buildInheritedScopes(scopes));
+}
+
+/**
+ * When the dictionary values an Embed renders last changed (null if it renders
+ * none), for comparing with its lastSynced
+ *
+ * Variables of nested Sources count too - they are resolved here, as for rendering.
+ *
+ * @param {Object} macroVars - Embed config, including pageId and spaceKey
+ * @param {Object} excerpt - Source the Embed renders (as stored)
+ * @param {Map} scopeCache - Optional cache shared across calls (see loadVariableScopes);
+ *   also keeps each resolved Source
+ * @returns {Promise<string|null>} ISO timestamp
+ */
+export async function getEmbedDictionaryChangedAt(macroVars, excerpt, scopeCache = null) {
+  const { pageScope, spaceDictionary, globalDictionary } = await loadVariableScopes(macroVars || {}, scopeCache);
+  if (!spaceDictionary && !globalDictionary) {
+    return null;
+  }
+
+  const resolveKey = `resolved-excerpt:${excerpt?.id}:${excerpt?.contentHash}`;
+  if (scopeCache && !scopeCache.has(resolveKey)) {
+    scopeCache.set(resolveKey, resolveNestedSources(excerpt));
+  }
+  const resolvedExcerpt = await (scopeCache ? scopeCache.get(resolveKey) : resolveNestedSources(excerpt));
+
+  const ownValues = mergePageScope(pageScope, macroVars).variableValues;
+  return getDictionaryChangedAt(resolvedExcerpt?.variables, ownValues, spaceDictionary, globalDictionary);
+}
@@ -36,6 +36,7 @@ import {
   logSuccess
 } from './forge-logger.js';
 import { calculateContentHash } from './hash-utils.js';
+import { VARIABLE_TYPES } from './variable-types.js';
 
 /**
  * Validates Blueprint Standard Source (excerpt) data structure and integrity
@@ -102,6 +103,9 @@ export function validateExcerptData(excerpt) {
         if (variable.defaultValue !== undefined && typeof variable.defaultValue !== 'string') {
           errors.push(`Variable "${variable.name}" has non-string defaultValue`);
         }
+        if (variable.type !== undefined && !VARIABLE_TYPES.includes(variable.type)) {
+          errors.push(`Variable "${variable.name}" has unknown type "${variable.type}"`);
+        }
       }
 
       // Check for duplicate variable names
@@ -210,7 +214,7 @@ export function validateMacroVarsData(macroVars) {
   }
 
   // Custom insertions validation
-  // Data structure: { position: number, text: string }
+  // Data structure: { position: number, text: string, adf?: ADF doc } (adf for rich text insertions)
   if (macroVars.customInsertions !== undefined) {
     if (!Array.isArray(macroVars.customInsertions)) {
       errors.push('customInsertions must be an array');
@@ -223,6 +227,32 @@ export function validateMacroVarsData(macroVars) {
         if (!insertion.text || typeof insertion.text !== 'string') {
           errors.push(`Custom insertion at index ${i} missing or invalid text`);
         }
+        if (insertion.adf !== undefined && insertion.adf !== null &&
+            (insertion.adf.type !== 'doc' || !Array.isArray(insertion.adf.content))) {
+          errors.push(`Custom insertion at index ${i} has invalid adf (must be an ADF doc with a content array)`);
+        }
+      }
+    }
+  }
+
+  // Block overrides validation
+  // Data structure: { position: number, text: string, adf?: ADF doc, anchor: { fingerprint, text }, baseText: string }
+  if (macroVars.blockOverrides !== undefined) {
+    if (!Array.isArray(macroVars.blockOverrides)) {
+      errors.push('blockOverrides must be an array');
+    } else {
+      for (let i = 0; i < macroVars.blockOverrides.length; i++) {
+        const override = macroVars.blockOverrides[i];
+        if (!override.anchor?.fingerprint || typeof override.anchor.fingerprint !== 'string') {
+          errors.push(`Block override at index ${i} missing or invalid anchor`);
+        }
+        if (typeof override.text !== 'string') {
+          errors.push(`Block override at index ${i} missing or invalid text`);
+        }
+        if (override.adf !== undefined && override.adf !== null &&
+            (override.adf.type !== 'doc' || !Array.isArray(override.adf.content))) {
+          errors.push(`Block override at index ${i} has invalid adf (must be an ADF doc with a content array)`);
+        }
       }
     }
   }
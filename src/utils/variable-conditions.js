@@ -0,0 +1,342 @@
+/**
+ * Variable Condition Utility Functions
+ *
+ * Conditional blocks show or hide content based on the Embed's variable values
+ * (unlike toggles, which are switched on/off by hand):
+ *
+ *   {{#if ticketingPlatform == "Ticketmaster"}} ... {{else}} ... {{/if}}
+ *
+ * Supported condition syntax:
+ * - Comparisons: ==, !=, >, >=, <, <= (numbers compare numerically, otherwise as text)
+ * - Truthiness: {{#if discountCode}} (true when the variable has a value)
+ * - Negation: !var, not var
+ * - Combining: && / and, || / or, parentheses
+ * - Operands: "quoted text", 'quoted text', numbers, or variable names
+ *
+ * This module handles parsing/evaluation and plain-text filtering; ADF filtering
+ * lives in adf-rendering-utils.js (filterContentByConditions). Shared by the frontend
+ * and backend rendering paths, so it must stay dependency-free.
+ */
+
+export const CONDITION_OPEN_REGEX = /^\{\{\s*#if\s+([^}]+)\}\}$/;
+export const CONDITION_ELSE_REGEX = /^\{\{\s*else\s*\}\}$/;
+export const CONDITION_CLOSE_REGEX = /^\{\{\s*\/if\s*\}\}$/;
+// Matches any conditional marker (used to split text nodes)
+export const CONDITION_MARKER_REGEX = /(\{\{\s*#if\s+[^}]+\}\}|\{\{\s*else\s*\}\}|\{\{\s*\/if\s*\}\})/;
+
+const KEYWORDS = ['and', 'or', 'not', 'true', 'false'];
+
+/**
+ * Split a condition expression into tokens
+ *
+ * @param {string} expression - Condition expression
+ * @returns {Array<Object>} Tokens ({type: 'string'|'number'|'identifier'|'op'|'paren', value})
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const tokenRegex = /\s*(?:"([^"]*)"|'([^']*)'|(==|!=|>=|<=|&&|\|\||[><!()])|([^\s()!=<>&|"']+))/y;
+  let index = 0;
+
+  while (index < expression.length) {
+    if (/^\s*$/.test(expression.substring(index))) break;
+
+    tokenRegex.lastIndex = index;
+    const match = tokenRegex.exec(expression);
+    if (!match) {
+      throw new Error(`Unexpected character "${expression[index]}"`);
+    }
+    index = tokenRegex.lastIndex;
+
+    if (match[1] !== undefined || match[2] !== undefined) {
+      tokens.push({ type: 'string', value: match[1] !== undefined ? match[1] : match[2] });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: match[3] === '(' || match[3] === ')' ? 'paren' : 'op', value: match[3] });
+    } else {
+      const word = match[4];
+      const lower = word.toLowerCase();
+      if (lower === 'and') tokens.push({ type: 'op', value: '&&' });
+      else if (lower === 'or') tokens.push({ type: 'op', value: '||' });
+      else if (lower === 'not') tokens.push({ type: 'op', value: '!' });
+      else if (lower === 'true' || lower === 'false') tokens.push({ type: 'boolean', value: lower === 'true' });
+      else if (/^-?\d+(\.\d+)?$/.test(word)) tokens.push({ type: 'number', value: word });
+      else tokens.push({ type: 'identifier', value: word });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a condition expression into an AST
+ *
+ * @param {string} expression - Condition expression, e.g. 'tier == "Pro" && seats > 10'
+ * @returns {Object} AST node
+ * @throws {Error} If the expression is malformed
+ */
+export function parseCondition(expression) {
+  const tokens = tokenize(expression || '');
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const parseOperand = () => {
+    const token = next();
+    if (!token) {
+      throw new Error('Condition ended unexpectedly');
+    }
+    if (token.type === 'paren' && token.value === '(') {
+      const inner = parseOr();
+      const closing = next();
+      if (!closing || closing.value !== ')') {
+        throw new Error('Missing closing parenthesis');
+      }
+      return inner;
+    }
+    if (token.type === 'string' || token.type === 'number' || token.type === 'boolean') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'identifier') {
+      return { type: 'variable', name: token.value };
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const parseComparison = () => {
+    const left = parseOperand();
+    const token = peek();
+    if (token && token.type === 'op' && ['==', '!=', '>', '>=', '<', '<='].includes(token.value)) {
+      next();
+      return { type: 'compare', operator: token.value, left, right: parseOperand() };
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token && token.type === 'op' && token.value === '!') {
+      next();
+      return { type: 'not', operand: parseUnary() };
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let node = parseUnary();
+    while (peek() && peek().type === 'op' && peek().value === '&&') {
+      next();
+      node = { type: 'and', left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (peek() && peek().type === 'op' && peek().value === '||') {
+      next();
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  if (tokens.length === 0) {
+    throw new Error('Empty condition');
+  }
+  const ast = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}"`);
+  }
+  return ast;
+}
+
+/**
+ * List the variable names a condition depends on
+ *
+ * @param {string} expression - Condition expression
+ * @returns {Array<string>} Unique variable names (empty if the expression is malformed)
+ */
+export function getConditionVariables(expression) {
+  const names = [];
+  const walk = (node) => {
+    if (!node) return;
+    if (node.type === 'variable' && !names.includes(node.name) && !KEYWORDS.includes(node.name)) {
+      names.push(node.name);
+    }
+    walk(node.left);
+    walk(node.right);
+    walk(node.operand);
+  };
+
+  try {
+    walk(parseCondition(expression));
+  } catch (e) {
+    // Malformed condition - no dependencies can be determined
+  }
+  return names;
+}
+
+/**
+ * Resolve an AST operand to a string value
+ */
+function operandValue(node, variableValues) {
+  if (node.type === 'literal') {
+    return typeof node.value === 'boolean' ? String(node.value) : node.value;
+  }
+  if (node.type === 'variable') {
+    const value = variableValues?.[node.name];
+    return value === undefined || value === null ? '' : String(value).trim();
+  }
+  return evaluateNode(node, variableValues) ? 'true' : '';
+}
+
+/**
+ * Evaluate an AST node to a boolean
+ */
+function evaluateNode(node, variableValues) {
+  switch (node.type) {
+    case 'literal':
+      return typeof node.value === 'boolean' ? node.value : String(node.value).trim() !== '';
+    case 'variable':
+      return operandValue(node, variableValues) !== '';
+    case 'not':
+      return !evaluateNode(node.operand, variableValues);
+    case 'and':
+      return evaluateNode(node.left, variableValues) && evaluateNode(node.right, variableValues);
+    case 'or':
+      return evaluateNode(node.left, variableValues) || evaluateNode(node.right, variableValues);
+    case 'compare': {
+      const left = operandValue(node.left, variableValues);
+      const right = operandValue(node.right, variableValues);
+      const leftNumber = Number(left.replace(/[$€£¥,\s]/g, ''));
+      const rightNumber = Number(right.replace(/[$€£¥,\s]/g, ''));
+      const numeric = left !== '' && right !== '' && !isNaN(leftNumber) && !isNaN(rightNumber);
+      const a = numeric ? leftNumber : left;
+      const b = numeric ? rightNumber : right;
+      switch (node.operator) {
+        case '==': return a === b;
+        case '!=': return a !== b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        default: return false;
+      }
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a condition expression against variable values
+ *
+ * Malformed conditions evaluate to false (the block stays hidden).
+ *
+ * @param {string} expression - Condition expression
+ * @param {Object} variableValues - Map of variable name -> value (already resolved)
+ * @returns {boolean} Whether the condition holds
+ *
+ * @example
+ * evaluateCondition('ticketingPlatform == "Ticketmaster"', { ticketingPlatform: 'Ticketmaster' });
+ * // Returns: true
+ */
+export function evaluateCondition(expression, variableValues) {
+  try {
+    return evaluateNode(parseCondition(expression), variableValues);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Classify a standalone text token as a conditional marker
+ *
+ * @param {string} text - Text that may be exactly one marker
+ * @returns {Object|null} {kind: 'if'|'else'|'endif', expression?} or null
+ */
+export function matchConditionMarker(text) {
+  const trimmed = (text || '').trim();
+  const openMatch = trimmed.match(CONDITION_OPEN_REGEX);
+  if (openMatch) {
+    return { kind: 'if', expression: openMatch[1].trim() };
+  }
+  if (CONDITION_ELSE_REGEX.test(trimmed)) {
+    return { kind: 'else' };
+  }
+  if (CONDITION_CLOSE_REGEX.test(trimmed)) {
+    return { kind: 'endif' };
+  }
+  return null;
+}
+
+/**
+ * Track nested conditional blocks while walking a sequence of nodes/tokens
+ *
+ * @param {Object} variableValues - Map of variable name -> value (already resolved)
+ * @returns {Object} { handleMarker(marker), isVisible() }
+ */
+export function createConditionTracker(variableValues) {
+  const stack = []; // {result, inElse}
+
+  return {
+    handleMarker(marker) {
+      if (marker.kind === 'if') {
+        stack.push({ result: evaluateCondition(marker.expression, variableValues), inElse: false });
+      } else if (marker.kind === 'else' && stack.length > 0) {
+        stack[stack.length - 1].inElse = true;
+      } else if (marker.kind === 'endif') {
+        stack.pop();
+      }
+    },
+    isVisible() {
+      return stack.every(frame => (frame.inElse ? !frame.result : frame.result));
+    }
+  };
+}
+
+/**
+ * Remove hidden conditional branches from plain text (non-ADF / storage-format content)
+ *
+ * @param {string} text - Text containing {{#if}}/{{else}}/{{/if}} markers
+ * @param {Object} variableValues - Map of variable name -> value (already resolved)
+ * @returns {string} Text with hidden branches and all markers removed
+ */
+export function filterTextByConditions(text, variableValues) {
+  if (typeof text !== 'string' || !CONDITION_MARKER_REGEX.test(text)) {
+    return text;
+  }
+
+  const parts = text.split(new RegExp(CONDITION_MARKER_REGEX.source, 'g'));
+  const tracker = createConditionTracker(variableValues);
+  let output = '';
+
+  for (const part of parts) {
+    const marker = matchConditionMarker(part);
+    if (marker) {
+      tracker.handleMarker(marker);
+    } else if (tracker.isVisible()) {
+      output += part;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Describe whether each condition currently shows or hides its block
+ *
+ * Used by the Embed Write tab to explain why content is hidden.
+ *
+ * @param {Array<Object>} conditions - Conditions from detectConditions ({expression, variables})
+ * @param {Object} variableValues - Map of variable name -> value (already resolved)
+ * @returns {Array<Object>} [{expression, variables, isMet, values: {name: value}}]
+ */
+export function describeConditions(conditions, variableValues) {
+  return (conditions || []).map(condition => ({
+    ...condition,
+    isMet: evaluateCondition(condition.expression, variableValues),
+    values: Object.fromEntries(
+      (condition.variables || []).map(name => [name, variableValues?.[name] || ''])
+    )
+  }));
+}
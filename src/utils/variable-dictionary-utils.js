@@ -0,0 +1,176 @@
+/**
+ * Variable Dictionary Utility Functions
+ *
+ * Variable dictionaries hold values that are the same across a whole space or
+ * the whole company (support email, legal entity name, standard SLA hours).
+ * Any Source variable with a matching name resolves from them when neither the
+ * Embed nor its page sets a value (see page-variable-utils.js for the order).
+ * Admin-managed from the Admin page, stored as:
+ *
+ *   variable-dictionary:global
+ *   variable-dictionary:space:{spaceKey}
+ *     = { scope: 'global'|'space', spaceKey, updatedAt, updatedBy,
+ *         entries: { name: { value, description, updatedAt, updatedBy } },
+ *         removedEntries: { name: removedAt } }
+ *
+ * Per-entry timestamps (and removal times) let staleness checks flag only the
+ * Embeds that actually render a changed value: an Embed is stale when a value
+ * it inherits changed after it last synced (checkVersionStaleness,
+ * checkAllIncludes).
+ *
+ * Shared by the Admin UI and the backend, so this module must stay free of
+ * storage access.
+ */
+
+import { hasVariableValue } from './page-variable-utils.js';
+
+export const DICTIONARY_SCOPE = {
+  GLOBAL: 'global',
+  SPACE: 'space'
+};
+
+// Dictionary entry names follow Source variable names
+const ENTRY_NAME_PATTERN = /^[A-Za-z_][\w.-]*$/;
+
+/**
+ * Storage key of a dictionary
+ *
+ * @param {string} scope - DICTIONARY_SCOPE.GLOBAL or DICTIONARY_SCOPE.SPACE
+ * @param {string} spaceKey - Space key (space scope only)
+ * @returns {string} Storage key
+ */
+export function getDictionaryKey(scope, spaceKey) {
+  return scope === DICTIONARY_SCOPE.SPACE
+    ? `variable-dictionary:space:${spaceKey}`
+    : 'variable-dictionary:global';
+}
+
+/**
+ * Values of a dictionary as a plain name -> value map
+ *
+ * @param {Object|null} dictionary - Stored dictionary
+ * @returns {Object} { name: value }
+ */
+export function getDictionaryValues(dictionary) {
+  return Object.fromEntries(
+    Object.entries(dictionary?.entries || {}).map(([name, entry]) => [name, entry.value])
+  );
+}
+
+/**
+ * Validate dictionary entries sent from the Admin page
+ *
+ * @param {Array<Object>} entries - [{ name, value, description }]
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateDictionaryEntries(entries) {
+  if (!Array.isArray(entries)) {
+    return ['entries must be an array'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+  entries.forEach((entry, index) => {
+    const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+    if (!ENTRY_NAME_PATTERN.test(name)) {
+      errors.push(`Entry ${index + 1}: "${name}" is not a valid variable name`);
+    } else if (seen.has(name)) {
+      errors.push(`Entry ${index + 1}: "${name}" is listed twice`);
+    }
+    seen.add(name);
+    if (typeof entry?.value !== 'string') {
+      errors.push(`Entry ${index + 1}: value must be text`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Apply an edited entry list to a dictionary, stamping only the entries whose
+ * value changed and recording removals
+ *
+ * @param {Object|null} existing - Stored dictionary
+ * @param {Object} update - { scope, spaceKey, entries: [{ name, value, description }], accountId, now }
+ * @returns {Object} { dictionary, changedNames }
+ */
+export function updateDictionary(existing, { scope, spaceKey, entries, accountId, now }) {
+  const previousEntries = existing?.entries || {};
+  const nextEntries = {};
+  const changedNames = [];
+
+  for (const { name: rawName, value, description } of entries) {
+    const name = rawName.trim();
+    const previous = previousEntries[name];
+    const valueChanged = !previous || previous.value !== value;
+    nextEntries[name] = {
+      value,
+      description: description || '',
+      updatedAt: valueChanged ? now : previous.updatedAt,
+      updatedBy: valueChanged ? accountId : previous.updatedBy
+    };
+    if (valueChanged) {
+      changedNames.push(name);
+    }
+  }
+
+  // Removed names keep their removal time; re-added names drop it
+  const removedEntries = { ...(existing?.removedEntries || {}) };
+  for (const name of Object.keys(previousEntries)) {
+    if (!nextEntries[name]) {
+      removedEntries[name] = now;
+      changedNames.push(name);
+    }
+  }
+  for (const name of Object.keys(nextEntries)) {
+    delete removedEntries[name];
+  }
+
+  return {
+    dictionary: {
+      scope,
+      spaceKey: scope === DICTIONARY_SCOPE.SPACE ? spaceKey : null,
+      entries: nextEntries,
+      removedEntries,
+      updatedAt: changedNames.length > 0 ? now : (existing?.updatedAt || now),
+      updatedBy: changedNames.length > 0 ? accountId : (existing?.updatedBy || accountId)
+    },
+    changedNames
+  };
+}
+
+/**
+ * When the dictionary values an Embed renders last changed
+ *
+ * Only Source variables the Embed (with its page-level values) leaves empty
+ * count, and for each one only the dictionary that supplies it: a space entry
+ * hides the global one.
+ *
+ * @param {Array<Object>} variables - Source variable definitions
+ * @param {Object} ownValues - The Embed's values with page-level values merged in
+ * @param {Object|null} spaceDictionary - Dictionary of the Embed's space
+ * @param {Object|null} globalDictionary - Global dictionary
+ * @returns {string|null} ISO timestamp of the latest relevant change, or null
+ */
+export function getDictionaryChangedAt(variables, ownValues, spaceDictionary, globalDictionary) {
+  let latest = null;
+  const consider = (timestamp) => {
+    if (timestamp && (!latest || timestamp > latest)) {
+      latest = timestamp;
+    }
+  };
+
+  for (const variable of variables || []) {
+    if (hasVariableValue(ownValues?.[variable.name])) {
+      continue;
+    }
+    for (const dictionary of [spaceDictionary, globalDictionary]) {
+      const entry = dictionary?.entries?.[variable.name];
+      consider(entry?.updatedAt || dictionary?.removedEntries?.[variable.name]);
+      if (entry) {
+        break;
+      }
+    }
+  }
+
+  return latest;
+}
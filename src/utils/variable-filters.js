@@ -0,0 +1,283 @@
+/**
+ * Variable Filter Utility Functions
+ *
+ * Placeholders can pipe a variable's value through formatting filters, so one
+ * variable can appear in several formats within the same Source:
+ *
+ *   {{clientName | upper}}
+ *   {{launchDate | date:"MMM D, YYYY"}}
+ *   {{fee | currency:USD}}
+ *   {{notes | default:"TBD"}}
+ *
+ * Filters are applied left to right. Unknown filters leave the value unchanged.
+ * Shared by the frontend and backend rendering paths, so it must stay free of
+ * frontend-only or backend-only imports.
+ */
+
+import { filterTextByConditions } from './variable-conditions.js';
+import { expandLoopsInText } from './variable-loops.js';
+
+const PLACEHOLDER_REGEX = /\{\{([^}]+)\}\}/g;
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Split a string on a separator, ignoring separators inside double/single quotes
+ *
+ * @param {string} input - String to split
+ * @param {string} separator - Single-character separator
+ * @returns {Array<string>} Trimmed segments
+ */
+function splitOutsideQuotes(input, separator) {
+  const segments = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of input) {
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === separator) {
+      segments.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  segments.push(current.trim());
+  return segments;
+}
+
+/**
+ * Remove matching surrounding quotes from a filter argument
+ *
+ * @param {string} arg - Raw argument
+ * @returns {string} Unquoted argument
+ */
+function unquote(arg) {
+  if (arg.length >= 2 && (arg[0] === '"' || arg[0] === "'") && arg[arg.length - 1] === arg[0]) {
+    return arg.substring(1, arg.length - 1);
+  }
+  return arg;
+}
+
+/**
+ * Check whether a placeholder is a block marker rather than a variable
+ *
+ * Block markers: {{toggle:x}}, {{/toggle:x}}, {{#if ...}}, {{else}}, {{/if}},
+ * {{#each list}}, {{/each}}, and nested Source includes {{include:Name}}
+ *
+ * @param {string} inner - Text between the braces
+ * @returns {boolean} True for toggle/conditional/loop markers
+ */
+export function isBlockMarker(inner) {
+  const trimmed = (inner || '').trim();
+  return trimmed.startsWith('toggle:') ||
+    trimmed.startsWith('/toggle:') ||
+    trimmed.startsWith('#') ||
+    trimmed.startsWith('/') ||
+    trimmed.startsWith('include:') ||
+    trimmed === 'else';
+}
+
+/**
+ * Parse the inside of a {{...}} placeholder into a variable name and filter chain
+ *
+ * @param {string} inner - Text between the braces, e.g. 'fee | currency:USD'
+ * @returns {Object} { name: string, filters: Array<{name: string, args: Array<string>}> }
+ *
+ * @example
+ * parsePlaceholder('launchDate | date:"MMM D, YYYY" | upper');
+ * // Returns: {
+ * //   name: 'launchDate',
+ * //   filters: [{ name: 'date', args: ['MMM D, YYYY'] }, { name: 'upper', args: [] }]
+ * // }
+ */
+export function parsePlaceholder(inner) {
+  const [name, ...filterSegments] = splitOutsideQuotes(inner || '', '|');
+
+  const filters = filterSegments
+    .filter(segment => segment !== '')
+    .map(segment => {
+      const colonIndex = segment.indexOf(':');
+      if (colonIndex === -1) {
+        return { name: segment.trim(), args: [] };
+      }
+      return {
+        name: segment.substring(0, colonIndex).trim(),
+        args: splitOutsideQuotes(segment.substring(colonIndex + 1), ',').map(unquote)
+      };
+    });
+
+  return { name: name.trim(), filters };
+}
+
+/**
+ * Parse a numeric value that may include currency symbols/codes and thousands separators
+ *
+ * @param {string} value - Raw value, e.g. '$5,000.50' or 'USD 12'
+ * @returns {number|null} Parsed number, or null if not numeric
+ */
+function parseNumeric(value) {
+  const cleaned = String(value).replace(/[^0-9.-]/g, '');
+  if (cleaned === '' || cleaned === '-' || cleaned === '.') {
+    return null;
+  }
+  const number = Number(cleaned);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Format a YYYY-MM-DD date with a simple token pattern
+ *
+ * Supported tokens: YYYY, YY, MMMM, MMM, MM, M, DD, D, dddd, ddd.
+ * Text in [brackets] is output literally.
+ *
+ * @param {string} value - Date value (YYYY-MM-DD or anything Date can parse)
+ * @param {string} pattern - Format pattern, e.g. 'MMM D, YYYY'
+ * @returns {string} Formatted date, or the original value if it isn't a date
+ */
+function formatDate(value, pattern) {
+  const isoMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  const date = isoMatch
+    ? new Date(Date.UTC(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3])))
+    : new Date(value);
+  if (isNaN(date.getTime())) {
+    return value;
+  }
+
+  // Date-only values are built in UTC; read them back in UTC so the day doesn't shift
+  const year = isoMatch ? date.getUTCFullYear() : date.getFullYear();
+  const month = isoMatch ? date.getUTCMonth() : date.getMonth();
+  const day = isoMatch ? date.getUTCDate() : date.getDate();
+  const weekday = isoMatch ? date.getUTCDay() : date.getDay();
+
+  const tokens = {
+    YYYY: String(year),
+    YY: String(year).slice(-2),
+    MMMM: MONTH_NAMES[month],
+    MMM: MONTH_NAMES[month].substring(0, 3),
+    MM: String(month + 1).padStart(2, '0'),
+    M: String(month + 1),
+    DD: String(day).padStart(2, '0'),
+    D: String(day),
+    dddd: DAY_NAMES[weekday],
+    ddd: DAY_NAMES[weekday].substring(0, 3)
+  };
+
+  return (pattern || 'YYYY-MM-DD').replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd/g, (token, literal) => (
+    literal !== undefined ? literal : tokens[token]
+  ));
+}
+
+/**
+ * Filter implementations: (value, args) => formatted value
+ * Every filter except `default` is skipped for empty values.
+ */
+const FILTERS = {
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+  capitalize: (value) => value.charAt(0).toUpperCase() + value.slice(1),
+  title: (value) => value.replace(/\b\w/g, char => char.toUpperCase()),
+  trim: (value) => value.trim(),
+  date: (value, args) => formatDate(value, args[0]),
+  number: (value, args) => {
+    const number = parseNumeric(value);
+    if (number === null) return value;
+    const decimals = args[0] !== undefined ? Number(args[0]) : undefined;
+    return new Intl.NumberFormat('en-US', decimals !== undefined && !isNaN(decimals)
+      ? { minimumFractionDigits: decimals, maximumFractionDigits: decimals }
+      : {}
+    ).format(number);
+  },
+  currency: (value, args) => {
+    const number = parseNumeric(value);
+    if (number === null) return value;
+    try {
+      return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: (args[0] || 'USD').toUpperCase()
+      }).format(number);
+    } catch (e) {
+      // Invalid ISO currency code - fall back to plain number formatting
+      return new Intl.NumberFormat('en-US').format(number);
+    }
+  },
+  default: (value, args) => value
+};
+
+/**
+ * Names of all supported filters (for Source config help text / validation)
+ */
+export const SUPPORTED_FILTERS = Object.keys(FILTERS);
+
+/**
+ * Apply a parsed filter chain to a value
+ *
+ * @param {string} value - Resolved variable value ('' if unset)
+ * @param {Array<Object>} filters - Filters from parsePlaceholder
+ * @returns {string} Filtered value ('' if still unset)
+ */
+export function applyFilters(value, filters) {
+  let result = value === undefined || value === null ? '' : String(value);
+
+  for (const filter of filters || []) {
+    if (filter.name === 'default') {
+      if (result.trim() === '') {
+        result = filter.args[0] || '';
+      }
+      continue;
+    }
+    const apply = FILTERS[filter.name];
+    if (apply && result !== '') {
+      result = apply(result, filter.args);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Resolve the final text for a placeholder given the (already resolved) variable values
+ *
+ * @param {string} inner - Text between the braces
+ * @param {Object} variableValues - Map of variable name -> value
+ * @returns {string} Formatted value, or '' if the variable is unset and has no default filter
+ */
+export function renderPlaceholder(inner, variableValues) {
+  const { name, filters } = parsePlaceholder(inner);
+  return applyFilters(variableValues?.[name], filters);
+}
+
+/**
+ * Substitute all variable placeholders in a plain string (non-ADF / storage-format content)
+ *
+ * Repeating sections ({{#each list}}) are expanded first, then conditional blocks
+ * ({{#if ...}}) are evaluated and hidden branches removed.
+ * Unset variables are left as their original {{...}} placeholder.
+ * Toggle markers are never touched.
+ *
+ * @param {string} text - Text to process
+ * @param {Object} variableValues - Map of variable name -> value (already resolved)
+ * @returns {string} Text with placeholders substituted
+ */
+export function substituteVariablesInText(text, variableValues) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  const expandedText = expandLoopsInText(text, variableValues, substituteVariablesInText);
+  const visibleText = filterTextByConditions(expandedText, variableValues);
+  return visibleText.replace(new RegExp(PLACEHOLDER_REGEX.source, 'g'), (match, inner) => {
+    if (isBlockMarker(inner)) {
+      return match;
+    }
+    return renderPlaceholder(inner.trim(), variableValues) || match;
+  });
+}
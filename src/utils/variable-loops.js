@@ -0,0 +1,216 @@
+/**
+ * Variable Loop Utility Functions
+ *
+ * Repeating sections expand once per item of a list-valued variable:
+ *
+ *   {{#each venues}}{{name}} ({{city}}){{/each}}
+ *
+ * Inside the block, each item's fields are available by name ({{name}}) or
+ * qualified with the list name ({{venues.name}}). Outer variables stay visible
+ * unless an item field shadows them. Extra per-item values:
+ * - {{this}}: the item itself (simple lists) or its field values joined with ", "
+ * - {{@index}} (0-based), {{@number}} (1-based)
+ * - {{@first}} / {{@last}}: "true" for the first/last item (for {{#if @last}})
+ *
+ * List values are stored as strings like every other variable value: a JSON
+ * array of objects (field -> text) or strings. Plain text with one item per
+ * line is accepted too, so defaults and formulas can produce simple lists.
+ *
+ * This module handles parsing and plain-text expansion; ADF expansion lives in
+ * adf-rendering-utils.js (expandLoopsInAdf). Shared by the frontend and backend
+ * rendering paths, so it must stay dependency-free.
+ */
+
+export const LOOP_OPEN_REGEX = /^\{\{\s*#each\s+([^}\s]+)\s*\}\}$/;
+export const LOOP_CLOSE_REGEX = /^\{\{\s*\/each\s*\}\}$/;
+// Matches any loop marker (used to split text nodes)
+export const LOOP_MARKER_REGEX = /(\{\{\s*#each\s+[^}\s]+\s*\}\}|\{\{\s*\/each\s*\}\})/;
+
+/**
+ * Classify a standalone text token as a loop marker
+ *
+ * @param {string} text - Text that may be exactly one marker
+ * @returns {Object|null} {kind: 'each', name} | {kind: 'endeach'} | null
+ */
+export function matchLoopMarker(text) {
+  const trimmed = (text || '').trim();
+  const openMatch = trimmed.match(LOOP_OPEN_REGEX);
+  if (openMatch) {
+    return { kind: 'each', name: openMatch[1] };
+  }
+  if (LOOP_CLOSE_REGEX.test(trimmed)) {
+    return { kind: 'endeach' };
+  }
+  return null;
+}
+
+/**
+ * Parse a stored list value into items
+ *
+ * @param {string|Array} value - JSON array string, newline-separated text, or an array
+ * @returns {Array<Object>} Items as field -> text maps (simple items use the field "this")
+ *
+ * @example
+ * parseListValue('[{"name":"MSG","city":"NYC"},"Other"]');
+ * // Returns: [{ name: 'MSG', city: 'NYC' }, { this: 'Other' }]
+ */
+export function parseListValue(value) {
+  let raw = value;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed === '') {
+      return [];
+    }
+    if (trimmed.startsWith('[')) {
+      try {
+        raw = JSON.parse(trimmed);
+      } catch (e) {
+        return [];
+      }
+    } else {
+      raw = trimmed.split('\n').map(line => line.trim()).filter(line => line !== '');
+    }
+  }
+  if (!Array.isArray(raw)) {
+    return [];
+  }
+
+  return raw
+    .filter(item => item !== null && item !== undefined)
+    .map(item => {
+      if (typeof item === 'object' && !Array.isArray(item)) {
+        return Object.fromEntries(
+          Object.entries(item).map(([field, fieldValue]) => [field, fieldValue == null ? '' : String(fieldValue)])
+        );
+      }
+      return { this: String(item) };
+    });
+}
+
+/**
+ * Serialize list items for storage (inverse of parseListValue)
+ *
+ * @param {Array<Object>} items - Items as field -> text maps
+ * @returns {string} JSON array string, or '' for an empty list
+ */
+export function serializeListValue(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return '';
+  }
+  return JSON.stringify(items);
+}
+
+/**
+ * Check whether a stored list value is well-formed
+ *
+ * @param {string} value - Stored list value
+ * @returns {boolean} False only for JSON that isn't an array of strings/objects
+ */
+export function isValidListValue(value) {
+  const trimmed = (value || '').trim();
+  if (!trimmed.startsWith('[')) {
+    return true;
+  }
+  try {
+    const parsed = JSON.parse(trimmed);
+    return Array.isArray(parsed) && parsed.every(item => (
+      typeof item === 'string' ||
+      typeof item === 'number' ||
+      (item !== null && typeof item === 'object' && !Array.isArray(item))
+    ));
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Build the variable values visible inside one iteration of a loop
+ *
+ * @param {Object} variableValues - Outer values (already resolved)
+ * @param {string} listName - Name of the list variable being iterated
+ * @param {Object} item - Item from parseListValue
+ * @param {number} index - 0-based item index
+ * @param {number} count - Total number of items
+ * @returns {Object} Values for this iteration
+ */
+export function getLoopItemValues(variableValues, listName, item, index, count) {
+  const qualified = Object.fromEntries(
+    Object.entries(item).map(([field, value]) => [`${listName}.${field}`, value])
+  );
+
+  return {
+    ...variableValues,
+    ...item,
+    ...qualified,
+    this: item.this !== undefined
+      ? item.this
+      : Object.values(item).filter(value => value !== '').join(', '),
+    '@index': String(index),
+    '@number': String(index + 1),
+    '@first': index === 0 ? 'true' : '',
+    '@last': index === count - 1 ? 'true' : ''
+  };
+}
+
+/**
+ * Find the index of the {{/each}} that closes the loop opened just before `start`
+ *
+ * @param {Array} sequence - Items to scan
+ * @param {number} start - Index of the first item after the opening marker
+ * @param {Function} getMarker - Returns the loop marker for an item (or null)
+ * @returns {number} Index of the closing marker, or sequence.length if unclosed
+ */
+export function findLoopEnd(sequence, start, getMarker) {
+  let depth = 1;
+  for (let i = start; i < sequence.length; i++) {
+    const marker = getMarker(sequence[i]);
+    if (marker?.kind === 'each') {
+      depth++;
+    } else if (marker?.kind === 'endeach') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return sequence.length;
+}
+
+/**
+ * Expand {{#each}} blocks in plain text (non-ADF / storage-format content)
+ *
+ * @param {string} text - Text containing {{#each list}}...{{/each}} blocks
+ * @param {Object} variableValues - Map of variable name -> value (already resolved)
+ * @param {Function} renderBody - (bodyText, itemValues) => rendered text for one iteration
+ * @returns {string} Text with every loop expanded and all loop markers removed
+ */
+export function expandLoopsInText(text, variableValues, renderBody) {
+  if (typeof text !== 'string' || !LOOP_MARKER_REGEX.test(text)) {
+    return text;
+  }
+
+  const parts = text.split(new RegExp(LOOP_MARKER_REGEX.source, 'g'));
+  let output = '';
+
+  for (let i = 0; i < parts.length; i++) {
+    const marker = matchLoopMarker(parts[i]);
+    if (!marker) {
+      output += parts[i];
+      continue;
+    }
+    if (marker.kind === 'endeach') {
+      // Stray closing marker - drop it
+      continue;
+    }
+
+    const end = findLoopEnd(parts, i + 1, matchLoopMarker);
+    const body = parts.slice(i + 1, end).join('');
+    const items = parseListValue(variableValues?.[marker.name]);
+    items.forEach((item, index) => {
+      output += renderBody(body, getLoopItemValues(variableValues, marker.name, item, index, items.length));
+    });
+    i = end;
+  }
+
+  return output;
+}
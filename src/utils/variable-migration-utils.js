@@ -0,0 +1,164 @@
+/**
+ * Variable Migration Utility Functions
+ *
+ * Backend side of rename-aware Source saves: finds the Embeds whose stored
+ * values a variable/toggle rename affects, and queues the background migration
+ * (workers/variableMigrationWorker.js) that rewrites them.
+ *
+ * Embeds reach a Source directly (usage:{excerptId}) or through a Source that
+ * includes it ({{include:Name}}); both hold values for its variables. An
+ * including Source that defines a variable of the same name itself owns that
+ * value, so the rename is skipped for its Embeds.
+ *
+ * Backend only (reads @forge/api storage, pushes to a @forge/events queue).
+ */
+
+import { storage } from '@forge/api';
+import { Queue } from '@forge/events';
+import { findIncludingSources } from './nested-source-utils.js';
+import { applyRenames, cleanRenameMap, hasRenames } from './variable-rename-utils.js';
+import { generateUUID } from '../utils.js';
+
+export const VARIABLE_MIGRATION_QUEUE = 'variable-migration-queue';
+
+/**
+ * List the Embeds a rename of this Source's variables/toggles applies to
+ *
+ * @param {string} excerptId - Renamed Source
+ * @returns {Promise<Array<Object>>} [{ localId, ref: usage reference, includedVia: [Source names] | null,
+ *   shadowedVariables: [names owned by the including Source] }]
+ */
+export async function collectMigrationTargets(excerptId) {
+  const targets = new Map();
+
+  const usageData = await storage.get(`usage:${excerptId}`) || { references: [] };
+  for (const ref of usageData.references) {
+    targets.set(ref.localId, { localId: ref.localId, ref, includedVia: null, shadowedVariables: [] });
+  }
+
+  const includingSources = await findIncludingSources(excerptId);
+  for (const { excerpt, includedVia } of includingSources) {
+    const includerUsage = await storage.get(`usage:${excerpt.id}`) || { references: [] };
+    const shadowedVariables = (excerpt.variables || []).map(v => v.name);
+    for (const ref of includerUsage.references) {
+      if (!targets.has(ref.localId)) {
+        targets.set(ref.localId, { localId: ref.localId, ref, includedVia, shadowedVariables });
+      }
+    }
+  }
+
+  return [...targets.values()];
+}
+
+/**
+ * Rename map for one Embed, without the variables its own Source owns
+ *
+ * @param {Object} renames - { variables, toggles }
+ * @param {Object} target - Entry from collectMigrationTargets
+ * @returns {Object} { variables, toggles }
+ */
+export function getTargetRenames(renames, target) {
+  const variables = cleanRenameMap(renames?.variables);
+  for (const name of target.shadowedVariables || []) {
+    delete variables[name];
+  }
+  return { variables, toggles: cleanRenameMap(renames?.toggles) };
+}
+
+/**
+ * Count the Embeds that hold a value for each renamed variable / toggle
+ *
+ * @param {string} excerptId - Source ID
+ * @param {Array<string>} variableNames - Old variable names
+ * @param {Array<string>} toggleNames - Old toggle names
+ * @returns {Promise<Object>} { totalEmbeds, variableCounts: { name: n }, toggleCounts: { name: n } }
+ */
+export async function countEmbedsWithValues(excerptId, variableNames = [], toggleNames = []) {
+  const targets = await collectMigrationTargets(excerptId);
+  const variableCounts = Object.fromEntries(variableNames.map(name => [name, 0]));
+  const toggleCounts = Object.fromEntries(toggleNames.map(name => [name, 0]));
+
+  for (const target of targets) {
+    const macroVars = await storage.get(`macro-vars:${target.localId}`);
+    if (!macroVars) {
+      continue;
+    }
+    for (const name of variableNames) {
+      const value = macroVars.variableValues?.[name];
+      if (!target.shadowedVariables.includes(name) && value !== undefined && value !== null && value !== '') {
+        variableCounts[name]++;
+      }
+    }
+    for (const name of toggleNames) {
+      if (macroVars.toggleStates && name in macroVars.toggleStates) {
+        toggleCounts[name]++;
+      }
+    }
+  }
+
+  return { totalEmbeds: targets.length, variableCounts, toggleCounts };
+}
+
+/**
+ * Apply a rename to one Embed's stored config
+ *
+ * @param {Object} macroVars - macro-vars:{localId} value
+ * @param {Object} renames - { variables, toggles } already filtered for this Embed
+ * @returns {Object|null} Updated config, or null if nothing was renamed
+ */
+export function renameEmbedValues(macroVars, renames) {
+  const variableResult = applyRenames(macroVars?.variableValues, renames.variables);
+  const toggleResult = applyRenames(macroVars?.toggleStates, renames.toggles);
+  if (variableResult.renamed.length === 0 && toggleResult.renamed.length === 0) {
+    return null;
+  }
+  return {
+    ...macroVars,
+    variableValues: variableResult.values,
+    toggleStates: toggleResult.values,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Queue the background migration of a rename across all Embeds of a Source
+ *
+ * Progress is written to progress:{progressId} (poll with getCheckProgress).
+ *
+ * @param {string} excerptId - Renamed Source
+ * @param {Object} renames - { variables: { old: new }, toggles: { old: new } }
+ * @param {string|null} accountId - User who made the change (recorded on the version snapshots)
+ * @returns {Promise<Object|null>} { jobId, progressId }, or null if there is nothing to rename
+ */
+export async function queueVariableRenameMigration(excerptId, renames, accountId) {
+  if (!hasRenames(renames)) {
+    return null;
+  }
+
+  const progressId = generateUUID();
+  await storage.set(`progress:${progressId}`, {
+    phase: 'queued',
+    percent: 0,
+    status: 'Variable rename queued...',
+    total: 0,
+    processed: 0,
+    queuedAt: new Date().toISOString()
+  });
+
+  const queue = new Queue({ key: VARIABLE_MIGRATION_QUEUE });
+  const { jobId } = await queue.push({
+    body: {
+      progressId,
+      excerptId,
+      renames: {
+        variables: cleanRenameMap(renames.variables),
+        toggles: cleanRenameMap(renames.toggles)
+      },
+      accountId: accountId || null
+    }
+  });
+
+  console.log(`[queueVariableRenameMigration] Source ${excerptId}: job ${jobId}, progress ${progressId}`);
+
+  return { jobId, progressId };
+}
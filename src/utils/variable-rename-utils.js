@@ -0,0 +1,148 @@
+/**
+ * Variable Rename Utility Functions
+ *
+ * Embeds store their values by variable name (macro-vars:{localId}.variableValues)
+ * and toggle name (toggleStates). When a Source author renames {{clientName}} to
+ * {{client_name}}, re-detection alone would leave every Embed holding a value for
+ * a name the Source no longer has. These helpers pair removed names with added
+ * ones so the Source config can offer a rename, and apply a rename map to an
+ * Embed's stored values (see workers/variableMigrationWorker.js).
+ *
+ * A rename map is a plain object { oldName: newName }. The migration request
+ * carries one map for variables and one for toggles:
+ *   { variables: { clientName: 'client_name' }, toggles: { legacy: 'classic' } }
+ *
+ * Shared by the Source config UI and the backend, so this module must stay free
+ * of frontend-only or backend-only imports.
+ */
+
+/**
+ * Normalize a name for loose comparison ("clientName", "client_name" and
+ * "Client-Name" all become "clientname")
+ *
+ * @param {string} name - Variable or toggle name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[\s_\-.]/g, '');
+}
+
+/**
+ * Find likely renames between two versions of a Source's variables or toggles
+ *
+ * A removed name is paired with an added name when they only differ by case or
+ * separators, or when exactly one name was removed and exactly one was added.
+ *
+ * @param {Array<Object>} previous - Definitions before the change ({ name, ... })
+ * @param {Array<Object>} next - Definitions after the change
+ * @returns {Object} { removed: [names], added: [names], suggestions: { oldName: newName } }
+ *
+ * @example
+ * detectRenameCandidates([{ name: 'clientName' }], [{ name: 'client_name' }]);
+ * // Returns: { removed: ['clientName'], added: ['client_name'], suggestions: { clientName: 'client_name' } }
+ */
+export function detectRenameCandidates(previous, next) {
+  const previousNames = (previous || []).map(d => d.name);
+  const nextNames = (next || []).map(d => d.name);
+  const removed = previousNames.filter(name => !nextNames.includes(name));
+  const added = nextNames.filter(name => !previousNames.includes(name));
+
+  const suggestions = {};
+  const unmatchedAdded = [...added];
+  for (const oldName of removed) {
+    const match = unmatchedAdded.find(newName => normalizeName(newName) === normalizeName(oldName));
+    if (match) {
+      suggestions[oldName] = match;
+      unmatchedAdded.splice(unmatchedAdded.indexOf(match), 1);
+    }
+  }
+
+  const unmatchedRemoved = removed.filter(name => !suggestions[name]);
+  if (unmatchedRemoved.length === 1 && unmatchedAdded.length === 1) {
+    suggestions[unmatchedRemoved[0]] = unmatchedAdded[0];
+  }
+
+  return { removed, added, suggestions };
+}
+
+/**
+ * Drop entries that don't rename anything (empty target or same name)
+ *
+ * @param {Object} renames - { oldName: newName }
+ * @returns {Object} Cleaned rename map
+ */
+export function cleanRenameMap(renames) {
+  return Object.fromEntries(
+    Object.entries(renames || {}).filter(([oldName, newName]) => newName && newName !== oldName)
+  );
+}
+
+/**
+ * Apply a rename map to stored values (variableValues or toggleStates)
+ *
+ * The old key's value moves to the new name unless the Embed already has a
+ * non-empty value under the new name, which wins. The old key is always removed.
+ *
+ * @param {Object} values - Stored values keyed by name
+ * @param {Object} renames - { oldName: newName }
+ * @returns {Object} { values: updated copy, renamed: [oldName, ...] } - renamed lists keys that were present
+ */
+export function applyRenames(values, renames) {
+  const updated = { ...(values || {}) };
+  const renamed = [];
+
+  for (const [oldName, newName] of Object.entries(cleanRenameMap(renames))) {
+    if (!(oldName in updated)) {
+      continue;
+    }
+    const existing = updated[newName];
+    if (existing === undefined || existing === null || existing === '') {
+      updated[newName] = updated[oldName];
+    }
+    delete updated[oldName];
+    renamed.push(oldName);
+  }
+
+  return { values: updated, renamed };
+}
+
+/**
+ * Merge two migration requests (later renames win; chains a → b → c collapse to a → c)
+ *
+ * @param {Object|null} first - { variables, toggles }
+ * @param {Object|null} second - { variables, toggles }
+ * @returns {Object} { variables, toggles }
+ */
+export function mergeRenames(first, second) {
+  const mergeMaps = (a, b) => {
+    const merged = { ...(a || {}) };
+    for (const [oldName, newName] of Object.entries(b || {})) {
+      // a → oldName followed by oldName → newName becomes a → newName
+      for (const key of Object.keys(merged)) {
+        if (merged[key] === oldName) {
+          merged[key] = newName;
+        }
+      }
+      if (!Object.values(a || {}).includes(oldName)) {
+        merged[oldName] = newName;
+      }
+    }
+    return cleanRenameMap(merged);
+  };
+
+  return {
+    variables: mergeMaps(first?.variables, second?.variables),
+    toggles: mergeMaps(first?.toggles, second?.toggles)
+  };
+}
+
+/**
+ * Whether a migration request renames anything
+ *
+ * @param {Object|null} renames - { variables, toggles }
+ * @returns {boolean}
+ */
+export function hasRenames(renames) {
+  return Object.keys(cleanRenameMap(renames?.variables)).length > 0
+    || Object.keys(cleanRenameMap(renames?.toggles)).length > 0;
+}
@@ -0,0 +1,255 @@
+/**
+ * Variable Resolution Utility Functions
+ *
+ * Turns the values an Embed author typed into the *effective* values used for
+ * rendering, by applying the Source's variable definitions:
+ *
+ * - Default values: `defaultValue` is used when the Embed leaves a variable empty
+ * - Computed variables: `formula` builds a value from other variables, e.g.
+ *     {{fullName}}   formula: "{{firstName}} {{lastName}}"
+ *     {{renewalDate}} formula: "{{launchDate}} + 30 days"
+ *   Computed variables ignore any value typed in the Embed.
+ *
+ * Formulas may use pipe filters, e.g. "{{firstName | upper}} {{lastName}}".
+ *
+ * Shared by the frontend (Embed preview, admin preview) and the backend
+ * (cache generation, page-publish injection), so it must stay free of
+ * frontend-only or backend-only imports.
+ */
+
+import { parsePlaceholder, applyFilters } from './variable-filters.js';
+
+const VARIABLE_REFERENCE_REGEX = /\{\{([^}]+)\}\}/g;
+const DATE_OFFSET_REGEX = /^\{\{([^}]+)\}\}\s*([+-])\s*(\d+)\s*(d|days?|w|weeks?|m|months?|y|years?)$/i;
+const ISO_DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Check whether a variable definition is computed from other variables
+ *
+ * @param {Object} variable - Variable definition
+ * @returns {boolean} True if the variable has a non-empty formula
+ */
+export function isComputedVariable(variable) {
+  return typeof variable?.formula === 'string' && variable.formula.trim() !== '';
+}
+
+/**
+ * List the variable names referenced by a formula
+ *
+ * @param {string} formula - Formula string, e.g. "{{firstName}} {{lastName}}"
+ * @returns {Array<string>} Unique referenced variable names, in order of appearance
+ */
+export function getFormulaReferences(formula) {
+  const references = [];
+  if (typeof formula !== 'string') {
+    return references;
+  }
+
+  let match;
+  const regex = new RegExp(VARIABLE_REFERENCE_REGEX.source, 'g');
+  while ((match = regex.exec(formula)) !== null) {
+    const name = parsePlaceholder(match[1]).name;
+    if (!references.includes(name)) {
+      references.push(name);
+    }
+  }
+  return references;
+}
+
+/**
+ * Add a day/week/month/year offset to a YYYY-MM-DD date
+ *
+ * @param {string} isoDate - Base date (YYYY-MM-DD)
+ * @param {number} amount - Signed offset amount
+ * @param {string} unit - d/day(s), w/week(s), m/month(s), y/year(s)
+ * @returns {string} Offset date as YYYY-MM-DD, or '' if the base date is invalid
+ */
+function offsetDate(isoDate, amount, unit) {
+  const match = ISO_DATE_REGEX.exec((isoDate || '').trim());
+  if (!match) {
+    return '';
+  }
+
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  const unitKey = unit.toLowerCase()[0];
+  if (unitKey === 'd') {
+    date.setUTCDate(date.getUTCDate() + amount);
+  } else if (unitKey === 'w') {
+    date.setUTCDate(date.getUTCDate() + amount * 7);
+  } else if (unitKey === 'm' || unitKey === 'y') {
+    // Clamp to the end of the target month (Jan 31 + 1 month = Feb 28/29, not Mar 3)
+    const totalMonths = date.getUTCMonth() + (unitKey === 'm' ? amount : amount * 12);
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(totalMonths);
+    const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, daysInMonth));
+  }
+
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Evaluate a formula against already-resolved values
+ *
+ * A computed value is only produced when every referenced variable has a value;
+ * otherwise it resolves to '' so the Embed shows the usual unset placeholder.
+ *
+ * @param {string} formula - Formula string
+ * @param {Function} getValue - Returns the resolved value for a variable name
+ * @returns {string} Computed value
+ */
+function evaluateFormula(formula, getValue) {
+  const trimmed = formula.trim();
+
+  const offsetMatch = DATE_OFFSET_REGEX.exec(trimmed);
+  if (offsetMatch) {
+    const [, baseName, sign, amount, unit] = offsetMatch;
+    const baseValue = getValue(parsePlaceholder(baseName).name);
+    if (!baseValue) {
+      return '';
+    }
+    return offsetDate(baseValue, (sign === '-' ? -1 : 1) * Number(amount), unit);
+  }
+
+  const references = getFormulaReferences(trimmed);
+  if (references.some(name => !getValue(name))) {
+    return '';
+  }
+
+  return trimmed.replace(new RegExp(VARIABLE_REFERENCE_REGEX.source, 'g'), (m, inner) => {
+    const { name, filters } = parsePlaceholder(inner);
+    return applyFilters(getValue(name), filters);
+  });
+}
+
+/**
+ * Resolve the effective value of every variable (defaults + computed variables)
+ *
+ * Values for names the Source doesn't define are passed through unchanged.
+ * Circular formulas resolve to '' instead of recursing forever.
+ *
+ * @param {Array<Object>} variables - Source variable definitions ({name, defaultValue, formula})
+ * @param {Object} variableValues - Values entered in the Embed (name -> value)
+ * @returns {Object} Effective values (name -> value)
+ *
+ * @example
+ * resolveVariableValues(
+ *   [
+ *     { name: 'firstName' },
+ *     { name: 'lastName', defaultValue: 'Smith' },
+ *     { name: 'fullName', formula: '{{firstName}} {{lastName}}' }
+ *   ],
+ *   { firstName: 'Jane' }
+ * );
+ * // Returns: { firstName: 'Jane', lastName: 'Smith', fullName: 'Jane Smith' }
+ */
+export function resolveVariableValues(variables, variableValues) {
+  const entered = variableValues || {};
+  if (!Array.isArray(variables) || variables.length === 0) {
+    return { ...entered };
+  }
+
+  const definitions = new Map(variables.map(v => [v.name, v]));
+  const resolved = { ...entered };
+  const done = new Set();
+  const inProgress = new Set();
+
+  const resolve = (name) => {
+    if (done.has(name)) {
+      return resolved[name] || '';
+    }
+    const variable = definitions.get(name);
+    if (!variable) {
+      return entered[name] || '';
+    }
+    if (inProgress.has(name)) {
+      // Circular formula - treat as unset
+      return '';
+    }
+
+    inProgress.add(name);
+    let value;
+    if (isComputedVariable(variable)) {
+      value = evaluateFormula(variable.formula, resolve);
+    } else {
+      value = entered[name];
+    }
+    if ((value === undefined || value === null || String(value).trim() === '') && variable.defaultValue) {
+      value = variable.defaultValue;
+    }
+    inProgress.delete(name);
+
+    resolved[name] = value || '';
+    done.add(name);
+    return resolved[name];
+  };
+
+  for (const variable of variables) {
+    resolve(variable.name);
+  }
+
+  return resolved;
+}
+
+/**
+ * Find computed variables whose formulas reference each other in a cycle
+ *
+ * @param {Array<Object>} variables - Source variable definitions
+ * @returns {Array<string>} Names of variables that are part of a formula cycle
+ */
+export function findCircularFormulas(variables) {
+  const definitions = new Map((variables || []).map(v => [v.name, v]));
+  const circular = [];
+
+  for (const variable of variables || []) {
+    if (!isComputedVariable(variable)) continue;
+
+    // Depth-first walk from this variable; a path back to it means a cycle
+    const stack = [...getFormulaReferences(variable.formula)];
+    const seen = new Set();
+    while (stack.length > 0) {
+      const name = stack.pop();
+      if (name === variable.name) {
+        circular.push(variable.name);
+        break;
+      }
+      if (seen.has(name)) continue;
+      seen.add(name);
+      const referenced = definitions.get(name);
+      if (isComputedVariable(referenced)) {
+        stack.push(...getFormulaReferences(referenced.formula));
+      }
+    }
+  }
+
+  return circular;
+}
+
+/**
+ * Add variables referenced only by formulas to a detected-variables list
+ *
+ * A computed {{fullName}} may reference {{firstName}} even if firstName never
+ * appears in the Source body; Embed authors still need an input for it.
+ *
+ * @param {Array<Object>} detectedVariables - Variables detected in the Source content
+ * @param {Object} variableMetadata - Map of name -> metadata ({formula, ...})
+ * @returns {Array<Object>} detectedVariables plus any formula-only references
+ */
+export function addFormulaReferencedVariables(detectedVariables, variableMetadata) {
+  const result = [...(detectedVariables || [])];
+  const names = new Set(result.map(v => v.name));
+
+  // Walk newly added variables too, so chains of formulas are followed
+  for (let i = 0; i < result.length; i++) {
+    const formula = variableMetadata?.[result[i].name]?.formula;
+    for (const reference of getFormulaReferences(formula)) {
+      if (!names.has(reference)) {
+        names.add(reference);
+        result.push({ name: reference, description: '', example: '', type: 'text' });
+      }
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,197 @@
+/**
+ * Variable Type Utility Functions
+ *
+ * Typed variables let a Source declare what kind of value each {{variable}}
+ * expects (number, date, email, ...). The same rules are used by the Embed
+ * Write tab (inline feedback) and by saveVariableValues (server-side rejection),
+ * so this module must stay free of frontend-only or backend-only imports.
+ *
+ * Variable values are always stored as strings in macro-vars:{localId}
+ * (list values as a JSON array string - see variable-loops.js).
+ * Empty values are never "invalid" here - missing required values are
+ * surfaced separately by the required-field indicators.
+ */
+
+import { isValidListValue } from './variable-loops.js';
+
+/**
+ * Supported variable types, in the order they appear in the Source config Select
+ */
+export const VARIABLE_TYPES = [
+  'text',
+  'number',
+  'currency',
+  'date',
+  'email',
+  'url',
+  'enum',
+  'multiline',
+  'list'
+];
+
+/**
+ * Select options for the variable type picker (Source config + admin modal)
+ */
+export const VARIABLE_TYPE_OPTIONS = [
+  { label: 'Text', value: 'text' },
+  { label: 'Number', value: 'number' },
+  { label: 'Currency', value: 'currency' },
+  { label: 'Date', value: 'date' },
+  { label: 'Email', value: 'email' },
+  { label: 'URL', value: 'url' },
+  { label: 'Choice (enum)', value: 'enum' },
+  { label: 'Multi-line text', value: 'multiline' },
+  { label: 'List (repeating section)', value: 'list' }
+];
+
+// Accepts "1234", "1,234", "-12.5", "1,234.56"
+const NUMBER_REGEX = /^-?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/;
+// Optional leading symbol or ISO code, then a number with at most 2 decimals;
+// one optional minus, before or after the symbol ("-$5", "$-5")
+const CURRENCY_REGEX = /^(-?([$€£¥]|[A-Z]{3}\s?)?|([$€£¥]|[A-Z]{3}\s?)-)(\d{1,3}(,\d{3})+|\d+)(\.\d{1,2})?$/;
+const DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Normalize a variable type, falling back to 'text' for unknown/missing values
+ *
+ * @param {string} type - Declared variable type
+ * @returns {string} One of VARIABLE_TYPES
+ */
+export function normalizeVariableType(type) {
+  return VARIABLE_TYPES.includes(type) ? type : 'text';
+}
+
+/**
+ * Parse enum allowed values from either an array or a comma-separated string
+ *
+ * @param {Array<string>|string} allowedValues - Raw allowed values
+ * @returns {Array<string>} Trimmed, de-duplicated, non-empty values
+ *
+ * @example
+ * parseAllowedValues('Basic, Pro , Enterprise,,Pro');
+ * // Returns: ['Basic', 'Pro', 'Enterprise']
+ */
+export function parseAllowedValues(allowedValues) {
+  const raw = Array.isArray(allowedValues)
+    ? allowedValues
+    : typeof allowedValues === 'string'
+      ? allowedValues.split(',')
+      : [];
+
+  const values = [];
+  for (const value of raw) {
+    const trimmed = String(value ?? '').trim();
+    if (trimmed && !values.includes(trimmed)) {
+      values.push(trimmed);
+    }
+  }
+  return values;
+}
+
+/**
+ * Validate a single value against its variable's declared type
+ *
+ * @param {Object} variable - Variable definition ({name, type, allowedValues})
+ * @param {string} value - The value entered in the Embed
+ * @returns {string|null} Human-readable error message, or null if valid
+ *
+ * @example
+ * validateVariableValue({ name: 'price', type: 'number' }, '$5k');
+ * // Returns: 'Must be a number (e.g., 5000 or 5,000.50)'
+ */
+export function validateVariableValue(variable, value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    return 'Must be a text value';
+  }
+
+  const trimmed = value.trim();
+  if (trimmed === '') {
+    return null;
+  }
+
+  switch (normalizeVariableType(variable?.type)) {
+    case 'number':
+      return NUMBER_REGEX.test(trimmed) ? null : 'Must be a number (e.g., 5000 or 5,000.50)';
+
+    case 'currency':
+      return CURRENCY_REGEX.test(trimmed) ? null : 'Must be an amount (e.g., $5,000 or USD 5000.00)';
+
+    case 'date': {
+      const match = DATE_REGEX.exec(trimmed);
+      if (!match) {
+        return 'Must be a date in YYYY-MM-DD format';
+      }
+      const [, year, month, day] = match.map(Number);
+      const date = new Date(Date.UTC(year, month - 1, day));
+      const isRealDate = date.getUTCFullYear() === year &&
+        date.getUTCMonth() === month - 1 &&
+        date.getUTCDate() === day;
+      return isRealDate ? null : 'Must be a valid calendar date';
+    }
+
+    case 'email':
+      return EMAIL_REGEX.test(trimmed) ? null : 'Must be a valid email address';
+
+    case 'url':
+      try {
+        const url = new URL(trimmed);
+        return url.protocol === 'http:' || url.protocol === 'https:'
+          ? null
+          : 'Must be an http(s) URL';
+      } catch (e) {
+        return 'Must be a valid URL (e.g., https://example.com)';
+      }
+
+    case 'enum': {
+      const allowed = parseAllowedValues(variable?.allowedValues);
+      if (allowed.length === 0) {
+        return null;
+      }
+      return allowed.includes(trimmed) ? null : `Must be one of: ${allowed.join(', ')}`;
+    }
+
+    case 'list':
+      return isValidListValue(trimmed) ? null : 'Must be a list of items';
+
+    case 'multiline':
+    case 'text':
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate all variable values for an Embed against the Source's variable definitions
+ *
+ * Values for names the Source doesn't declare are ignored (they may be left over
+ * from a previous version of the Source and are harmless). Computed variables
+ * (those with a formula) are skipped because any typed value is ignored.
+ *
+ * @param {Array<Object>} variables - Source variable definitions
+ * @param {Object} variableValues - Map of variable name -> value
+ * @returns {Object} { valid: boolean, errors: { [variableName]: string } }
+ */
+export function validateVariableValues(variables, variableValues) {
+  const errors = {};
+
+  if (Array.isArray(variables) && variableValues && typeof variableValues === 'object') {
+    for (const variable of variables) {
+      if (typeof variable.formula === 'string' && variable.formula.trim() !== '') {
+        continue;
+      }
+      const error = validateVariableValue(variable, variableValues[variable.name]);
+      if (error) {
+        errors[variable.name] = error;
+      }
+    }
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors
+  };
+}
@@ -149,6 +149,7 @@ function calculateContentHash(data) {
  * @param {Object} metadata - Optional metadata about the change
  * @param {string} metadata.changeType - Type of change: CREATE, UPDATE, DELETE
  * @param {string} metadata.changedBy - Function/operation making the change
+ * @param {string} metadata.changeSummary - Author's summary of the snapshotted Source version (optional)
  * @returns {Promise<Object>} Result: { success: boolean, versionId: string, contentHash: string }
  */
 export async function saveVersion(storageInstance, storageKey, data, metadata = {}) {
@@ -224,6 +225,8 @@ export async function saveVersion(storageInstance, storageKey, data, metadata =
       timestamp: versionSnapshot.timestamp,
       contentHash,
       changeType: versionSnapshot.metadata.changeType,
+      // Source change summary, so history lists don't need to load every snapshot
+      changeSummary: versionSnapshot.metadata.changeSummary || data?.changeSummary || null,
       size: JSON.stringify(versionSnapshot).length
     });
 
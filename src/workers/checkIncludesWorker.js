@@ -28,6 +28,7 @@ import { handlePageNotFound, handleOrphanedMacro, removeFromUsageTracking } from
 import { attemptReferenceRepair, checkExcerptExists, buildRepairedRecord, buildBrokenRecord } from './helpers/reference-repairer.js';
 import { createBackupSnapshot } from './helpers/backup-manager.js';
 import { collectAllEmbedInstances, buildActiveIncludeRecord } from './helpers/usage-collector.js';
+import { getEmbedDictionaryChangedAt } from '../utils/storage-utils.js';
 
 // SAFETY: Dry-run mode configuration
 // Default is true (preview mode) - must be explicitly set to false for cleanup
@@ -159,6 +160,7 @@ export async function handler(event, context) {
     const repairedReferences = [];
     const staleIncludes = [];
     const orphanedEntriesRemoved = [];
+    const scopeCache = new Map();  // Page variables and dictionaries, read once per run
 
     let pagesProcessed = 0;
 
@@ -196,7 +198,8 @@ export async function handler(event, context) {
                 activeIncludes,
                 brokenReferences,
                 repairedReferences,
-                staleIncludes
+                staleIncludes,
+                scopeCache
               );
             }
           }
@@ -244,6 +247,8 @@ export async function handler(event, context) {
       brokenReferenceCount: brokenReferences.length,
       repairedReferenceCount: repairedReferences.length,
       staleCount: staleIncludes.length,
+      // Stale Embeds by update severity (see source-release-utils.js)
+      staleBySeverity: countBySeverity(staleIncludes),
       orphanedEntriesRemoved: orphanedEntriesRemoved.length,
       pagesChecked: totalPages
     };
@@ -314,9 +319,23 @@ export async function handler(event, context) {
   }
 }
 
+/**
+ * Count stale Embeds per update severity
+ * @param {Array} staleIncludes - Active include records with updateSeverity and staleReason
+ * @returns {Object} { major, minor, patch, unknown, dictionary } - dictionary = only a dictionary value changed
+ */
+function countBySeverity(staleIncludes) {
+  const counts = { major: 0, minor: 0, patch: 0, unknown: 0, dictionary: 0 };
+  for (const include of staleIncludes) {
+    counts[include.staleReason === 'dictionary' ? 'dictionary' : (include.updateSeverity || 'unknown')]++;
+  }
+  return counts;
+}
+
 /**
  * Process an active Embed (macro exists on page)
  * Checks if excerpt exists, repairs broken references, and detects staleness
+ * (Source updates and variable dictionary changes)
  */
 async function processActiveEmbed(
   include,
@@ -324,7 +343,8 @@ async function processActiveEmbed(
   activeIncludes,
   brokenReferences,
   repairedReferences,
-  staleIncludes
+  staleIncludes,
+  scopeCache
 ) {
   const excerptId = include.excerptId;
   console.log(`[CHECK-MACRO] Checking excerptId for localId ${include.localId}: ${excerptId}`);
@@ -365,13 +385,19 @@ async function processActiveEmbed(
 
   const macroVars = await storage.get(`macro-vars:${include.localId}`);
   const cacheData = await storage.get(`macro-cache:${include.localId}`);
+  const dictionaryChangedAt = await getEmbedDictionaryChangedAt(
+    { ...macroVars, pageId: include.pageId, spaceKey: macroVars?.spaceKey || include.spaceKey },
+    excerptCheck.excerpt,
+    scopeCache
+  );
 
   const activeRecord = buildActiveIncludeRecord(
     include,
     pageData,
     excerptCheck.excerpt,
     macroVars,
-    cacheData
+    cacheData,
+    dictionaryChangedAt
   );
 
   activeIncludes.push(activeRecord);
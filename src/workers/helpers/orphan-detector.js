@@ -12,6 +12,8 @@
 
 import { storage } from '@forge/api';
 import { saveVersion } from '../../utils/version-manager.js';
+import { removeFromSearchIndex } from '../../utils/search-index-utils.js';
+import { removeFromRedlineIndex } from '../../utils/redline-index-utils.js';
 
 // SAFETY: Dry-run mode configuration
 // Default is true (preview mode) - must be explicitly set to false for cleanup
@@ -66,6 +68,8 @@ export async function softDeleteMacroVars(localId, reason, metadata = {}, dryRun
   // Remove from active namespace
   if (!dryRun) {
     await storage.delete(`macro-vars:${localId}`);
+    await removeFromSearchIndex('embed', localId);
+    await removeFromRedlineIndex(localId);
     console.log(`[DELETE] Removed macro-vars:${localId} from active storage`);
   } else {
     console.log(`[DRY-RUN] Would delete macro-vars:${localId} (SKIPPED)`);
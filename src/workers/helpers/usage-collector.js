@@ -6,6 +6,7 @@
  */
 
 import { storage, startsWith } from '@forge/api';
+import { getUpdateSeverity } from '../../utils/source-release-utils.js';
 
 /**
  * Collect all Embed instances from ALL usage keys
@@ -77,12 +78,17 @@ export function checkStalenessstatus(lastSynced, excerptUpdated) {
  * @param {Object} excerpt - Source excerpt data
  * @param {Object} macroVars - Embed configuration data
  * @param {Object} cacheData - Cached content data
+ * @param {string|null} dictionaryChangedAt - When the variable dictionary values the Embed renders last changed
  * @returns {Object} Active include record
  */
-export function buildActiveIncludeRecord(include, pageData, excerpt, macroVars, cacheData) {
+export function buildActiveIncludeRecord(include, pageData, excerpt, macroVars, cacheData, dictionaryChangedAt = null) {
   const lastSynced = macroVars?.lastSynced;
   const excerptUpdated = excerpt.updatedAt;
-  const isStale = checkStalenessstatus(lastSynced, excerptUpdated);
+  const sourceStale = checkStalenessstatus(lastSynced, excerptUpdated);
+  const dictionaryStale = checkStalenessstatus(lastSynced, dictionaryChangedAt);
+  const isStale = sourceStale || dictionaryStale;
+  // Only a Source change is a release; dictionary-only staleness has no severity
+  const updateSeverity = getUpdateSeverity(excerpt.version, macroVars?.syncedVersion, sourceStale);
 
   // Construct page URL for CSV export
   const pageUrl = pageData._links?.webui ? `/wiki${pageData._links.webui}` : null;
@@ -97,11 +103,16 @@ export function buildActiveIncludeRecord(include, pageData, excerpt, macroVars,
     excerptId: include.excerptId,
     excerptName: excerpt.name,
     excerptCategory: excerpt.category,
-    status: isStale ? 'Stale (update available)' : 'Active',
+    status: sourceStale ? 'Stale (update available)' : (dictionaryStale ? 'Stale (dictionary value changed)' : 'Active'),
     lastSynced,
     excerptUpdated,
     excerptLastModified: excerpt.updatedAt,
     isStale,
+    staleReason: sourceStale ? 'source' : (dictionaryStale ? 'dictionary' : null),
+    dictionaryChangedAt,
+    updateSeverity,
+    sourceVersion: excerpt.version || null,
+    syncedVersion: macroVars?.syncedVersion || null,
     variables: excerpt.variables || [],
     toggles: excerpt.toggles || [],
     variableValues: macroVars?.variableValues || {},
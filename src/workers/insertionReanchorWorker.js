@@ -0,0 +1,161 @@
+/**
+ * Insertion Re-anchoring - Async Worker
+ *
+ * Re-anchors the custom insertions and internal notes of every Embed of a
+ * Source after its content changed: items follow their paragraph if it still
+ * exists, move to the most similar paragraph if it was edited, and are flagged
+ * orphaned (hidden, listed for the author) if it's gone. Block overrides are
+ * re-anchored the same way and flagged as conflicts when their paragraph was
+ * edited. See utils/insertion-anchor-utils.js.
+ *
+ * Architecture:
+ * 1. saveExcerpt / updateExcerptContent / publishSourceDraft queue the job with
+ *    queueInsertionReanchor (utils/insertion-reanchor-utils.js) when content goes live
+ * 2. This worker processes each Embed: version snapshot, then the update
+ * 3. Frontend polls getCheckProgress with the progressId
+ *
+ * Progress Flow:
+ * - 0%: Job queued
+ * - 10%: Collecting Embeds
+ * - 10-95%: Re-anchoring Embeds (incremental)
+ * - 100%: Complete
+ */
+
+import { storage } from '@forge/api';
+import { updateProgress, calculatePhaseProgress } from './helpers/progress-tracker.js';
+import { saveVersion } from '../utils/version-manager.js';
+import { resolveNestedSources } from '../utils/nested-source-utils.js';
+import { collectMigrationTargets } from '../utils/variable-migration-utils.js';
+import { reanchorEmbedItems } from '../utils/insertion-anchor-utils.js';
+import { withVariableScopes } from '../utils/storage-utils.js';
+
+/**
+ * Process an insertion re-anchoring job
+ * @param {AsyncEvent} event - The async event from the queue (v2: payload is in event.body)
+ * @param {Object} context - The context object with jobId, etc.
+ */
+export async function handler(event, context) {
+  // In @forge/events v2, payload is in event.body, not event.payload
+  const payload = event.payload || event.body || event;
+  const { progressId, excerptId, accountId } = payload;
+
+  console.log(`[INSERTION-REANCHOR] Starting for Source ${excerptId} (progressId: ${progressId})`);
+
+  try {
+    await updateProgress(progressId, {
+      phase: 'collecting',
+      percent: 10,
+      status: 'Finding Embeds of this Source...',
+      total: 0,
+      processed: 0
+    });
+
+    const targets = await collectMigrationTargets(excerptId);
+    // Embeds of an including Source render that Source, so resolve each Source once
+    const resolvedSources = new Map();
+    const scopeCache = new Map();
+    const updated = [];
+    const orphaned = [];
+    const errors = [];
+
+    for (let i = 0; i < targets.length; i++) {
+      const target = targets[i];
+      const varsKey = `macro-vars:${target.localId}`;
+
+      try {
+        const macroVars = await storage.get(varsKey);
+        const hasItems = (macroVars?.customInsertions?.length || 0)
+          + (macroVars?.internalNotes?.length || 0)
+          + (macroVars?.blockOverrides?.length || 0) > 0;
+
+        if (hasItems && macroVars.excerptId) {
+          if (!resolvedSources.has(macroVars.excerptId)) {
+            resolvedSources.set(macroVars.excerptId, await resolveNestedSources(await storage.get(`excerpt:${macroVars.excerptId}`)));
+          }
+          const source = resolvedSources.get(macroVars.excerptId);
+          const result = source?.content ? reanchorEmbedItems(source, await withVariableScopes(macroVars, scopeCache), macroVars.syncedContent) : null;
+
+          if (result?.changed) {
+            const versionResult = await saveVersion(
+              storage,
+              varsKey,
+              macroVars,
+              {
+                changeType: 'UPDATE',
+                changedBy: 'insertionReanchor',
+                userAccountId: accountId,
+                localId: target.localId,
+                excerptId: macroVars.excerptId
+              }
+            );
+            if (!versionResult.success && !versionResult.skipped) {
+              // Don't rewrite what we couldn't snapshot - the change must stay undoable
+              throw new Error(`Version snapshot failed: ${versionResult.error}`);
+            }
+
+            // Re-read so a concurrent save of other fields isn't overwritten
+            const latestVars = await storage.get(varsKey) || macroVars;
+            await storage.set(varsKey, {
+              ...latestVars,
+              customInsertions: result.customInsertions,
+              internalNotes: result.internalNotes,
+              blockOverrides: result.blockOverrides,
+              updatedAt: new Date().toISOString()
+            });
+            updated.push(target.localId);
+            if (result.orphaned.length > 0) {
+              orphaned.push({ localId: target.localId, pageTitle: target.ref?.pageTitle || null, count: result.orphaned.length });
+            }
+          }
+        }
+      } catch (error) {
+        console.error(`[INSERTION-REANCHOR] Error re-anchoring ${target.localId}:`, error);
+        errors.push({ localId: target.localId, error: error.message });
+      }
+
+      await updateProgress(progressId, {
+        phase: 'processing',
+        percent: calculatePhaseProgress(i + 1, targets.length, 10, 95),
+        status: `Re-anchored ${i + 1}/${targets.length} Embed(s)...`,
+        total: targets.length,
+        processed: i + 1
+      });
+    }
+
+    const results = {
+      excerptId,
+      totalEmbeds: targets.length,
+      updatedCount: updated.length,
+      updated,
+      orphaned,
+      errors,
+      completedAt: new Date().toISOString()
+    };
+
+    await updateProgress(progressId, {
+      phase: 'complete',
+      percent: 100,
+      status: `Re-anchored insertions in ${updated.length} of ${targets.length} Embed(s)${orphaned.length > 0 ? ` (${orphaned.length} with insertions that lost their paragraph)` : ''}${errors.length > 0 ? ` (${errors.length} failed)` : ''}`,
+      total: targets.length,
+      processed: targets.length,
+      results
+    });
+
+    console.log(`[INSERTION-REANCHOR] Complete: ${updated.length}/${targets.length} updated, ${orphaned.length} with orphans, ${errors.length} errors`);
+
+    return { success: true, progressId, updatedCount: updated.length };
+  } catch (error) {
+    console.error('[INSERTION-REANCHOR] Fatal error:', error);
+
+    await updateProgress(progressId, {
+      phase: 'error',
+      percent: 0,
+      status: `Error: ${error.message}`,
+      total: 0,
+      processed: 0,
+      error: error.message
+    });
+
+    return { success: false, error: error.message, progressId };
+  }
+}
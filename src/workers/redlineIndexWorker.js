@@ -0,0 +1,159 @@
+/**
+ * Redline Index Rebuild - Async Worker
+ *
+ * Re-indexes every Embed configuration for the redline queue, with fresh page
+ * titles and Source names, and drops entries whose Embed is gone. See
+ * utils/redline-index-utils.js for the index format.
+ *
+ * Architecture:
+ * 1. rebuildRedlineIndex (resolvers/redline-resolvers.js) queues the job with
+ *    queueRedlineIndexRebuild
+ * 2. This worker rewrites the index
+ * 3. Frontend polls getCheckProgress with the progressId
+ *
+ * Progress Flow:
+ * - 0%: Job queued
+ * - 5%: Collecting Embeds
+ * - 5-90%: Indexing Embeds (incremental)
+ * - 90-100%: Removing stale entries, complete
+ */
+
+import { storage, startsWith } from '@forge/api';
+import { updateProgress, calculatePhaseProgress } from './helpers/progress-tracker.js';
+import {
+  REDLINE_ENTRY_PREFIX,
+  REDLINE_INDEX_META_KEY,
+  getRedlineEntryKey,
+  buildRedlineIndexEntry,
+  writeRedlineIndexEntry,
+  removeFromRedlineIndex,
+  getPageTitles
+} from '../utils/redline-index-utils.js';
+
+// Embeds indexed per progress update (and per batch of page title lookups)
+const BATCH_SIZE = 100;
+
+/**
+ * Load every key with a prefix (values included)
+ */
+async function loadAllWithPrefix(prefix) {
+  let results = [];
+  let cursor = undefined;
+
+  do {
+    const batch = await storage.query()
+      .where('key', startsWith(prefix))
+      .limit(100)
+      .cursor(cursor)
+      .getMany();
+
+    results = results.concat(batch.results);
+    cursor = batch.nextCursor;
+  } while (cursor);
+
+  return results;
+}
+
+/**
+ * Process a redline index rebuild job
+ * @param {AsyncEvent} event - The async event from the queue (v2: payload is in event.body)
+ * @param {Object} context - The context object with jobId, etc.
+ */
+export async function handler(event, context) {
+  // In @forge/events v2, payload is in event.body, not event.payload
+  const payload = event.payload || event.body || event;
+  const { progressId, accountId } = payload;
+
+  console.log(`[REDLINE-INDEX] Starting rebuild (progressId: ${progressId})`);
+
+  try {
+    await updateProgress(progressId, {
+      phase: 'collecting',
+      percent: 5,
+      status: 'Collecting Embeds...',
+      total: 0,
+      processed: 0
+    });
+
+    const embedEntries = (await loadAllWithPrefix('macro-vars:')).filter(({ value }) => value?.excerptId);
+    const total = embedEntries.length;
+    const excerpts = new Map();
+    const keepIds = new Set();
+
+    for (let start = 0; start < total; start += BATCH_SIZE) {
+      const batch = embedEntries.slice(start, start + BATCH_SIZE);
+      const pageTitles = await getPageTitles(batch.map(({ value }) => value.pageId));
+
+      for (const { key, value: config } of batch) {
+        const localId = key.slice('macro-vars:'.length);
+        if (!excerpts.has(config.excerptId)) {
+          excerpts.set(config.excerptId, await storage.get(`excerpt:${config.excerptId}`));
+        }
+        const previous = await storage.get(getRedlineEntryKey(localId));
+        const pageTitle = pageTitles.get(String(config.pageId))?.title || previous?.pageTitle || null;
+        await writeRedlineIndexEntry(
+          buildRedlineIndexEntry(localId, config, { excerpt: excerpts.get(config.excerptId), pageTitle }),
+          previous
+        );
+        keepIds.add(localId);
+      }
+
+      const processed = Math.min(start + BATCH_SIZE, total);
+      await updateProgress(progressId, {
+        phase: 'embeds',
+        percent: calculatePhaseProgress(processed, total, 5, 90),
+        status: `Indexed ${processed}/${total} Embed(s)...`,
+        total,
+        processed
+      });
+    }
+
+    await updateProgress(progressId, {
+      phase: 'cleanup',
+      percent: 90,
+      status: 'Removing deleted Embeds from the index...',
+      total,
+      processed: total
+    });
+
+    const staleIds = (await loadAllWithPrefix(REDLINE_ENTRY_PREFIX))
+      .map(({ key }) => key.slice(REDLINE_ENTRY_PREFIX.length))
+      .filter(localId => !keepIds.has(localId));
+    for (const localId of staleIds) {
+      await removeFromRedlineIndex(localId);
+    }
+
+    const meta = {
+      rebuiltAt: new Date().toISOString(),
+      rebuiltBy: accountId || null,
+      embedCount: keepIds.size
+    };
+    await storage.set(REDLINE_INDEX_META_KEY, meta);
+
+    await updateProgress(progressId, {
+      phase: 'complete',
+      percent: 100,
+      status: `Indexed ${meta.embedCount} Embed(s)${staleIds.length > 0 ? `, removed ${staleIds.length} stale entr${staleIds.length === 1 ? 'y' : 'ies'}` : ''}`,
+      total,
+      processed: total,
+      results: { ...meta, removedCount: staleIds.length }
+    });
+
+    console.log(`[REDLINE-INDEX] Complete: ${meta.embedCount} Embeds, ${staleIds.length} removed`);
+
+    return { success: true, progressId };
+  } catch (error) {
+    console.error('[REDLINE-INDEX] Fatal error:', error);
+
+    await updateProgress(progressId, {
+      phase: 'error',
+      percent: 0,
+      status: `Error: ${error.message}`,
+      total: 0,
+      processed: 0,
+      error: error.message
+    });
+
+    return { success: false, error: error.message, progressId };
+  }
+}
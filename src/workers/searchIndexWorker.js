@@ -0,0 +1,170 @@
+/**
+ * Search Index Rebuild - Async Worker
+ *
+ * Re-extracts the search documents of every live Source and every Embed
+ * configuration, and drops documents whose Source or Embed is gone. See
+ * utils/search-index-utils.js for the index format.
+ *
+ * Architecture:
+ * 1. rebuildSearchIndex (resolvers/search-resolvers.js) queues the job with
+ *    queueSearchIndexRebuild
+ * 2. This worker rewrites the index
+ * 3. Frontend polls getCheckProgress with the progressId
+ *
+ * Progress Flow:
+ * - 0%: Job queued
+ * - 5%: Collecting Sources and Embeds
+ * - 5-50%: Indexing Sources (incremental)
+ * - 50-90%: Indexing Embeds (incremental)
+ * - 90-100%: Removing stale documents, complete
+ */
+
+import { storage, startsWith } from '@forge/api';
+import { updateProgress, calculatePhaseProgress } from './helpers/progress-tracker.js';
+import {
+  SEARCH_DOC_PREFIX,
+  SEARCH_INDEX_META_KEY,
+  getSearchDocKey,
+  buildSourceSearchDoc,
+  buildEmbedSearchDoc
+} from '../utils/search-index-utils.js';
+
+// Update progress every this many items (each update is a storage write)
+const PROGRESS_INTERVAL = 25;
+
+/**
+ * Load every key with a prefix (values included)
+ */
+async function loadAllWithPrefix(prefix) {
+  let results = [];
+  let cursor = undefined;
+
+  do {
+    const batch = await storage.query()
+      .where('key', startsWith(prefix))
+      .limit(100)
+      .cursor(cursor)
+      .getMany();
+
+    results = results.concat(batch.results);
+    cursor = batch.nextCursor;
+  } while (cursor);
+
+  return results;
+}
+
+/**
+ * Process a search index rebuild job
+ * @param {AsyncEvent} event - The async event from the queue (v2: payload is in event.body)
+ * @param {Object} context - The context object with jobId, etc.
+ */
+export async function handler(event, context) {
+  // In @forge/events v2, payload is in event.body, not event.payload
+  const payload = event.payload || event.body || event;
+  const { progressId, accountId } = payload;
+
+  console.log(`[SEARCH-INDEX] Starting rebuild (progressId: ${progressId})`);
+
+  try {
+    await updateProgress(progressId, {
+      phase: 'collecting',
+      percent: 5,
+      status: 'Collecting Sources and Embeds...',
+      total: 0,
+      processed: 0
+    });
+
+    const index = await storage.get('excerpt-index') || { excerpts: [] };
+    const embedEntries = await loadAllWithPrefix('macro-vars:');
+    const total = index.excerpts.length + embedEntries.length;
+    const keepKeys = new Set();
+    let processed = 0;
+
+    for (const entry of index.excerpts) {
+      const excerpt = await storage.get(`excerpt:${entry.id}`);
+      if (excerpt) {
+        const key = getSearchDocKey('source', excerpt.id);
+        await storage.set(key, buildSourceSearchDoc(excerpt));
+        keepKeys.add(key);
+      }
+      processed++;
+      if (processed % PROGRESS_INTERVAL === 0) {
+        await updateProgress(progressId, {
+          phase: 'sources',
+          percent: calculatePhaseProgress(processed, index.excerpts.length, 5, 50),
+          status: `Indexed ${processed}/${index.excerpts.length} Source(s)...`,
+          total,
+          processed
+        });
+      }
+    }
+
+    for (let i = 0; i < embedEntries.length; i++) {
+      const { key: varsKey, value: macroVars } = embedEntries[i];
+      const localId = varsKey.slice('macro-vars:'.length);
+      if (macroVars?.excerptId) {
+        const key = getSearchDocKey('embed', localId);
+        await storage.set(key, buildEmbedSearchDoc(localId, macroVars));
+        keepKeys.add(key);
+      }
+      processed++;
+      if ((i + 1) % PROGRESS_INTERVAL === 0) {
+        await updateProgress(progressId, {
+          phase: 'embeds',
+          percent: calculatePhaseProgress(i + 1, embedEntries.length, 50, 90),
+          status: `Indexed ${i + 1}/${embedEntries.length} Embed(s)...`,
+          total,
+          processed
+        });
+      }
+    }
+
+    await updateProgress(progressId, {
+      phase: 'cleanup',
+      percent: 90,
+      status: 'Removing deleted Sources and Embeds from the index...',
+      total,
+      processed
+    });
+
+    const staleDocs = (await loadAllWithPrefix(SEARCH_DOC_PREFIX)).filter(({ key }) => !keepKeys.has(key));
+    for (const { key } of staleDocs) {
+      await storage.delete(key);
+    }
+
+    const sourceCount = [...keepKeys].filter(key => key.startsWith(getSearchDocKey('source', ''))).length;
+    const meta = {
+      rebuiltAt: new Date().toISOString(),
+      rebuiltBy: accountId || null,
+      sourceCount,
+      embedCount: keepKeys.size - sourceCount
+    };
+    await storage.set(SEARCH_INDEX_META_KEY, meta);
+
+    await updateProgress(progressId, {
+      phase: 'complete',
+      percent: 100,
+      status: `Indexed ${meta.sourceCount} Source(s) and ${meta.embedCount} Embed(s)${staleDocs.length > 0 ? `, removed ${staleDocs.length} stale document(s)` : ''}`,
+      total,
+      processed: total,
+      results: { ...meta, removedCount: staleDocs.length }
+    });
+
+    console.log(`[SEARCH-INDEX] Complete: ${meta.sourceCount} Sources, ${meta.embedCount} Embeds, ${staleDocs.length} removed`);
+
+    return { success: true, progressId };
+  } catch (error) {
+    console.error('[SEARCH-INDEX] Fatal error:', error);
+
+    await updateProgress(progressId, {
+      phase: 'error',
+      percent: 0,
+      status: `Error: ${error.message}`,
+      total: 0,
+      processed: 0,
+      error: error.message
+    });
+
+    return { success: false, error: error.message, progressId };
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * Variable Rename Migration - Async Worker
+ *
+ * Rewrites the stored values of every Embed of a Source after the Source
+ * renamed variables or toggles, so Embeds keep their values under the new
+ * names (see utils/variable-rename-utils.js).
+ *
+ * Architecture:
+ * 1. saveExcerpt (live save) or publishSourceDraft (staged Source) queues the
+ *    job with queueVariableRenameMigration (utils/variable-migration-utils.js)
+ * 2. This worker processes each Embed: version snapshot, then the rewrite
+ * 3. Frontend polls getCheckProgress with the progressId
+ *
+ * Every changed macro-vars:{localId} is snapshotted with saveVersion first, so
+ * the migration can be undone per Embed from the version history. Migrated
+ * Embeds are re-indexed for search.
+ *
+ * Progress Flow:
+ * - 0%: Job queued
+ * - 10%: Collecting Embeds
+ * - 10-95%: Migrating Embeds (incremental)
+ * - 100%: Complete
+ */
+
+import { storage } from '@forge/api';
+import { updateProgress, calculatePhaseProgress } from './helpers/progress-tracker.js';
+import { saveVersion } from '../utils/version-manager.js';
+import { indexEmbed } from '../utils/search-index-utils.js';
+import { collectMigrationTargets, getTargetRenames, renameEmbedValues } from '../utils/variable-migration-utils.js';
+
+/**
+ * Process a variable rename migration
+ * @param {AsyncEvent} event - The async event from the queue (v2: payload is in event.body)
+ * @param {Object} context - The context object with jobId, etc.
+ */
+export async function handler(event, context) {
+  // In @forge/events v2, payload is in event.body, not event.payload
+  const payload = event.payload || event.body || event;
+  const { progressId, excerptId, renames, accountId } = payload;
+
+  console.log(`[VARIABLE-MIGRATION] Starting for Source ${excerptId} (progressId: ${progressId})`, renames);
+
+  try {
+    await updateProgress(progressId, {
+      phase: 'collecting',
+      percent: 10,
+      status: 'Finding Embeds of this Source...',
+      total: 0,
+      processed: 0
+    });
+
+    const targets = await collectMigrationTargets(excerptId);
+    const migrated = [];
+    const errors = [];
+
+    for (let i = 0; i < targets.length; i++) {
+      const target = targets[i];
+      const varsKey = `macro-vars:${target.localId}`;
+
+      try {
+        const macroVars = await storage.get(varsKey);
+        const updatedVars = macroVars ? renameEmbedValues(macroVars, getTargetRenames(renames, target)) : null;
+
+        if (updatedVars) {
+          const versionResult = await saveVersion(
+            storage,
+            varsKey,
+            macroVars,
+            {
+              changeType: 'UPDATE',
+              changedBy: 'variableRenameMigration',
+              userAccountId: accountId,
+              localId: target.localId,
+              excerptId
+            }
+          );
+          if (!versionResult.success && !versionResult.skipped) {
+            // Don't rewrite what we couldn't snapshot - the change must stay undoable
+            throw new Error(`Version snapshot failed: ${versionResult.error}`);
+          }
+
+          // Re-read so a concurrent save of other fields isn't overwritten
+          const latestVars = await storage.get(varsKey);
+          const latestUpdatedVars = latestVars
+            ? renameEmbedValues(latestVars, getTargetRenames(renames, target))
+            : null;
+          if (latestUpdatedVars) {
+            await storage.set(varsKey, latestUpdatedVars);
+            await indexEmbed(target.localId, latestUpdatedVars);
+            migrated.push(target.localId);
+          }
+        }
+      } catch (error) {
+        console.error(`[VARIABLE-MIGRATION] Error migrating ${target.localId}:`, error);
+        errors.push({ localId: target.localId, error: error.message });
+      }
+
+      await updateProgress(progressId, {
+        phase: 'processing',
+        percent: calculatePhaseProgress(i + 1, targets.length, 10, 95),
+        status: `Migrated ${i + 1}/${targets.length} Embed(s)...`,
+        total: targets.length,
+        processed: i + 1
+      });
+    }
+
+    const results = {
+      excerptId,
+      renames,
+      totalEmbeds: targets.length,
+      migratedCount: migrated.length,
+      migrated,
+      errors,
+      completedAt: new Date().toISOString()
+    };
+
+    await updateProgress(progressId, {
+      phase: 'complete',
+      percent: 100,
+      status: `Renamed values in ${migrated.length} of ${targets.length} Embed(s)${errors.length > 0 ? ` (${errors.length} failed)` : ''}`,
+      total: targets.length,
+      processed: targets.length,
+      results
+    });
+
+    console.log(`[VARIABLE-MIGRATION] Complete: ${migrated.length}/${targets.length} migrated, ${errors.length} errors`);
+
+    return { success: true, progressId, migratedCount: migrated.length };
+  } catch (error) {
+    console.error('[VARIABLE-MIGRATION] Fatal error:', error);
+
+    await updateProgress(progressId, {
+      phase: 'error',
+      percent: 0,
+      status: `Error: ${error.message}`,
+      total: 0,
+      processed: 0,
+      error: error.message
+    });
+
+    return { success: false, error: error.message, progressId };
+  }
+}